@@ -32,6 +32,8 @@ const router = require( 'express' ).Router();
 const passport = require( './passport.js' );
 const debug = require( './debug' )( 'server:announcements' );
 const validateString = require( './helpers/validate_string.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const ErrorStatus = require( './helpers/error.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const Namespace = require( './models/namespace.js' );
 
@@ -80,12 +82,11 @@ router.post( '/new_announcement',
 	wrapAsync( async function newAnnouncement( req, res ) {
 		const { namespaceName, announcement } = req.body;
 		validateString( namespaceName, 'namespaceName', req.t );
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: {
-				$in: [ req.user ]
-			}
-		});
+		const namespace = await Namespace.findOne({ title: namespaceName });
+		if ( !namespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		await validatePermissions( req, 'update_namespace', { namespace });
 		namespace.announcements.unshift( announcement );
 		await namespace.save();
 		res.json({ message: req.t( 'announcement-added' ) });
@@ -134,12 +135,11 @@ router.post( '/edit_announcement',
 	wrapAsync( async function editAnnouncement( req, res ) {
 		const { namespaceName, announcement } = req.body;
 		validateString( namespaceName, 'namespaceName', req.t );
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: {
-				$in: [ req.user ]
-			}
-		});
+		const namespace = await Namespace.findOne({ title: namespaceName });
+		if ( !namespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		await validatePermissions( req, 'update_namespace', { namespace });
 		debug( 'Search through announcements for matches...' );
 		for ( let i = 0; i < namespace.announcements.length; i++ ) {
 			const val = namespace.announcements[ i ];
@@ -197,12 +197,11 @@ router.post( '/delete_announcement',
 	wrapAsync( async function deleteAnnouncement( req, res ) {
 		const { namespaceName, createdAt } = req.body;
 		validateString( namespaceName, 'namespaceName', req.t );
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: {
-				$in: [ req.user ]
-			}
-		});
+		const namespace = await Namespace.findOne({ title: namespaceName });
+		if ( !namespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		await validatePermissions( req, 'update_namespace', { namespace });
 		namespace.announcements = namespace.announcements.filter( x => {
 			return x.createdAt !== Number( createdAt );
 		});
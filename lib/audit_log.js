@@ -0,0 +1,298 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: AuditLog
+ *   description: Persistent record of privileged actions such as impersonations and changes to users, roles, and settings.
+ */
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const debug = require( './debug' )( 'server:audit-log' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const toCSV = require( './utils/to_csv.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
+const validateString = require( './helpers/validate_string.js' );
+const parseDate = require( './helpers/parse_date.js' );
+const AuditLog = require( './models/audit_log.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const EXPORT_COLUMNS = [ 'createdAt', 'action', 'actor', 'actorEmail', 'impersonator', 'impersonatorEmail', 'targetType', 'target', 'changes', 'ip', 'userAgent' ];
+
+
+// FUNCTIONS //
+
+/**
+* Builds the query for audit log entries from the filters supplied in the query string.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @throws {Error} invalid filter
+* @returns {Object} query object
+*/
+function buildAuditQuery( req ) {
+	const { action, actor, target, targetType } = req.query;
+	const query = {};
+	if ( action ) {
+		validateString( action, 'action', req.t );
+		query.action = action;
+	}
+	if ( actor ) {
+		validateObjectId( actor, 'actor', req.t );
+		query.$or = [ { actor }, { impersonator: actor } ];
+	}
+	if ( target ) {
+		validateString( target, 'target', req.t );
+		query.target = target;
+	}
+	if ( targetType ) {
+		validateString( targetType, 'targetType', req.t );
+		query.targetType = targetType;
+	}
+	const startDate = parseDate( req.query.startDate, 'startDate', req.t );
+	const endDate = parseDate( req.query.endDate, 'endDate', req.t );
+	if ( startDate || endDate ) {
+		query.createdAt = {};
+		if ( startDate ) {
+			query.createdAt.$gte = startDate;
+		}
+		if ( endDate ) {
+			query.createdAt.$lte = endDate;
+		}
+	}
+	return query;
+}
+
+/**
+* Flattens an audit log entry with populated actor and impersonator into a row for CSV export.
+*
+* @private
+* @param {Object} entry - audit log entry
+* @returns {Object} row object
+*/
+function toExportRow( entry ) {
+	return {
+		createdAt: entry.createdAt.toISOString(),
+		action: entry.action,
+		actor: entry.actor ? entry.actor.name : '',
+		actorEmail: entry.actor ? entry.actor.email : '',
+		impersonator: entry.impersonator ? entry.impersonator.name : '',
+		impersonatorEmail: entry.impersonator ? entry.impersonator.email : '',
+		targetType: entry.targetType,
+		target: entry.target || '',
+		changes: entry.changes.length > 0 ? JSON.stringify( entry.changes ) : '',
+		ip: entry.ip,
+		userAgent: entry.userAgent
+	};
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /get_audit_log:
+ *   get:
+ *     summary: Get audit log
+ *     description: Get a page of audit log entries, most recent first. Only accessible to administrators.
+ *     tags: [AuditLog]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         description: Only return entries for this action (e.g., `impersonate`)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         description: Only return entries for actions performed by (or on behalf of) this user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target
+ *         description: Only return entries affecting this entity (e.g., a user ID or the name of a setting)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         description: Only return entries affecting entities of this type
+ *         schema:
+ *           type: string
+ *           enum: [user, namespace, program, setting, role, event, lti-platform]
+ *       - in: query
+ *         name: startDate
+ *         description: Only return entries recorded at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         description: Only return entries recorded at or before this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         description: Page number (starting at 1)
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         description: Number of entries per page
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuditLog'
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of matching entries.
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Access denied for users lacking the `view_audit_log` permission
+ */
+router.get( '/get_audit_log',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetAuditLog( req, res ) {
+		await validatePermissions( req, 'view_audit_log' );
+		const query = buildAuditQuery( req );
+		const page = Math.max( parseInt( req.query.page, 10 ) || 1, 1 );
+		const limit = Math.min( parseInt( req.query.limit, 10 ) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE );
+		debug( `Get audit log entries (page: ${page}, limit: ${limit})...` );
+		const total = await AuditLog.countDocuments( query );
+		const entries = await AuditLog
+			.find( query )
+			.sort({ createdAt: -1 })
+			.skip( ( page-1 ) * limit )
+			.limit( limit )
+			.populate( 'actor', [ 'name', 'email' ])
+			.populate( 'impersonator', [ 'name', 'email' ])
+			.lean();
+		res.json({ message: 'ok', entries, total });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /export_audit_log:
+ *   get:
+ *     summary: Export audit log
+ *     description: Export the audit log entries in chronological order as a CSV file. Accepts the same filters as `/get_audit_log`. Only accessible to administrators.
+ *     tags: [AuditLog]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         description: Only export entries for this action
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: actor
+ *         description: Only export entries for actions performed by (or on behalf of) this user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: target
+ *         description: Only export entries affecting this entity
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetType
+ *         description: Only export entries affecting entities of this type
+ *         schema:
+ *           type: string
+ *           enum: [user, namespace, program, setting, role, event, lti-platform]
+ *       - in: query
+ *         name: startDate
+ *         description: Only export entries recorded at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         description: Only export entries recorded at or before this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: CSV file with the audit log entries
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Access denied for users lacking the `view_audit_log` permission
+ */
+router.get( '/export_audit_log',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onExportAuditLog( req, res ) {
+		await validatePermissions( req, 'view_audit_log' );
+		const query = buildAuditQuery( req );
+		const entries = await AuditLog
+			.find( query )
+			.sort({ createdAt: 1 })
+			.populate( 'actor', [ 'name', 'email' ])
+			.populate( 'impersonator', [ 'name', 'email' ])
+			.lean();
+		debug( `Export ${entries.length} audit log entries...` );
+		res.attachment( 'audit_log.csv' );
+		res.type( 'text/csv' );
+		res.send( toCSV( entries.map( toExportRow ), EXPORT_COLUMNS ) );
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
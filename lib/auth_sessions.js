@@ -0,0 +1,327 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const debug = require( './debug' )( 'server:auth-sessions' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const revokeAuthSessions = require( './utils/revoke_auth_sessions.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
+const AuthSession = require( './models/auth_session.js' );
+const User = require( './models/user.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns the active authentication sessions of a user, most recently used first.
+*
+* @private
+* @param {ObjectId} user - user identifier
+* @param {ObjectId} [current] - identifier of the session of the current request
+* @returns {Promise<Array>} sessions
+*/
+async function activeSessions( user, current ) {
+	const sessions = await AuthSession.find({
+		user,
+		revokedAt: null,
+		expiresAt: { $gt: new Date() }
+	})
+		.populate( 'impersonator', [ 'name', 'email' ] )
+		.sort( '-lastUsedAt' )
+		.lean();
+	return sessions.map( session => {
+		return {
+			_id: session._id,
+			userAgent: session.userAgent,
+			ip: session.ip,
+			impersonator: session.impersonator,
+			lastUsedAt: session.lastUsedAt,
+			expiresAt: session.expiresAt,
+			createdAt: session.createdAt,
+			current: Boolean( current ) && String( session._id ) === String( current )
+		};
+	});
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /get_auth_sessions:
+ *   get:
+ *     summary: Get active sessions
+ *     description: Get the active authentication sessions (i.e., devices on which the user is logged in) of the current user.
+ *     tags: [Users]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: ObjectId
+ *                         description: Session identifier
+ *                       userAgent:
+ *                         type: string
+ *                         description: User agent of the device
+ *                       ip:
+ *                         type: string
+ *                         description: IP address from which the session was last used
+ *                       impersonator:
+ *                         $ref: '#/components/schemas/User'
+ *                       lastUsedAt:
+ *                         type: string
+ *                         format: date-time
+ *                       expiresAt:
+ *                         type: string
+ *                         format: date-time
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                       current:
+ *                         type: boolean
+ *                         description: Whether the session is the one of the current request
+ */
+router.get( '/get_auth_sessions',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetAuthSessions( req, res ) {
+		const sessions = await activeSessions( req.user._id, req.authInfo.session._id );
+		res.json({ message: 'ok', sessions });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /revoke_auth_session:
+ *   post:
+ *     summary: Revoke session
+ *     description: Revoke one of the authentication sessions of the current user, i.e. log out the respective device.
+ *     tags: [Users]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: Session identifier
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Session revoked.
+ *       404:
+ *         description: No active session with the given identifier exists for the user
+ */
+router.post( '/revoke_auth_session',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRevokeAuthSession( req, res ) {
+		const { id } = req.body;
+
+		validateObjectId( id, 'id', req.t );
+
+		const count = await revokeAuthSessions({ _id: id, user: req.user._id }, req.user._id );
+		if ( count === 0 ) {
+			throw new ErrorStatus( 404, req.t( 'auth-session-nonexistent' ) );
+		}
+		res.json({ message: req.t( 'auth-session-revoked' ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /revoke_other_auth_sessions:
+ *   post:
+ *     summary: Revoke other sessions
+ *     description: Revoke all authentication sessions of the current user except the one of the current request, i.e. log out all other devices.
+ *     tags: [Users]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: 2 session(s) revoked.
+ *                 count:
+ *                   type: integer
+ *                   description: Number of revoked sessions
+ *                   example: 2
+ */
+router.post( '/revoke_other_auth_sessions',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRevokeOtherAuthSessions( req, res ) {
+		const count = await revokeAuthSessions({
+			user: req.user._id,
+			_id: { $ne: req.authInfo.session._id }
+		}, req.user._id );
+		res.json({ message: req.t( 'auth-sessions-revoked', { count }), count });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_get_auth_sessions:
+ *   get:
+ *     summary: Get active sessions of a user
+ *     description: Get the active authentication sessions of a user.
+ *     tags: [Users]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         description: User identifier
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 sessions:
+ *                   type: array
+ *                   description: Active sessions (see `/get_auth_sessions`)
+ *       403:
+ *         description: Access denied for users lacking the `manage_security` permission
+ */
+router.get( '/admin_get_auth_sessions',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onAdminGetAuthSessions( req, res ) {
+		await validatePermissions( req, 'manage_security' );
+		validateObjectId( req.query.id, 'id', req.t );
+
+		const sessions = await activeSessions( req.query.id, req.authInfo.session._id );
+		res.json({ message: 'ok', sessions });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_revoke_auth_sessions:
+ *   post:
+ *     summary: Force logout of a user
+ *     description: Revoke all authentication sessions of a user, logging the user out on all devices.
+ *     tags: [Users]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: User identifier
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: 3 session(s) revoked.
+ *                 count:
+ *                   type: integer
+ *                   description: Number of revoked sessions
+ *                   example: 3
+ *       403:
+ *         description: Access denied for users lacking the `manage_security` permission
+ *       404:
+ *         description: User does not exist
+ */
+router.post( '/admin_revoke_auth_sessions',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onAdminRevokeAuthSessions( req, res ) {
+		const { id } = req.body;
+
+		await validatePermissions( req, 'manage_security' );
+		validateObjectId( id, 'id', req.t );
+
+		const user = await User.findById( id );
+		if ( !user ) {
+			throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
+		}
+		const count = await revokeAuthSessions({ user: user._id }, req.user._id );
+		debug( `Revoked ${count} session(s) of user ${user.email}...` );
+		res.json({ message: req.t( 'auth-sessions-revoked', { count }), count });
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
@@ -38,9 +38,11 @@ const archiver = require( 'archiver' );
 const debug = require( './debug' )( 'server:backups' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
+const { signURL } = require( './utils/signed_url.js' );
+const { backupPath } = require( './utils/media_path.js' );
 const ErrorStatus = require( './helpers/error.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const { checkPermissions } = require( './helpers/check_permissions.js' );
 const Backup = require( './models/backup.js' );
 const mailer = require( './mailer' );
 const settings = require( './../etc/settings.json' );
@@ -66,8 +68,10 @@ const createBackupLimiter = rateLimit({
  * /get_backups:
  *   get:
  *     summary: Get backups
- *     description: Get a list of backups.
+ *     description: Get a list of backups along with signed URLs for downloading them, which expire after the number of minutes given by the `signedURLLifetimeMinutes` setting.
  *     tags: [Backups]
+ *     security:
+ *       - JWT: []
  *     responses:
  *       200:
  *         description: A JSON object containing a list of backups and an `ok` status message
@@ -81,13 +85,20 @@ const createBackupLimiter = rateLimit({
  *                   description: A status message
  *                 backups:
  *                   type: array
- *                   description: A list of backups
+ *                   description: A list of backups (each with a signed download `url`)
  *                   items:
  *                     $ref: '#/components/schemas/Backup'
+ *       403:
+ *         description: Access denied for users lacking the `manage_backups` permission
  */
 router.get( '/get_backups',
+	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'manage_backups' ),
 	wrapAsync( async function onGetBackups( req, res ) {
-		const backups = await Backup.find();
+		const backups = await Backup.find().lean();
+		for ( let i = 0; i < backups.length; i++ ) {
+			backups[ i ].url = signURL( backupPath( backups[ i ] ) );
+		}
 		res.json({ message: 'ok', backups });
 	})
 );
@@ -116,12 +127,12 @@ router.get( '/get_backups',
  *       200:
  *         description: A JSON object containing a status `message`
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_backups` permission
  */
 router.post( '/delete_backup',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'manage_backups' ),
 	wrapAsync( async function onDeleteBackup( req, res ) {
-		validateAdmin( req );
 		validateObjectId( req.body.id, 'id', req.t );
 
 		const backup = await Backup.findById( req.body.id );
@@ -145,7 +156,7 @@ router.post( '/delete_backup',
  *       200:
  *         description: A JSON object containing a status `message`
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_backups` permission
  *       404:
  *         description: Error message indicating that backup directory does not exist or mongodump command failed
  *       500:
@@ -156,9 +167,8 @@ router.post( '/delete_backup',
 router.post( '/create_backup',
 	passport.authenticate( 'jwt', { session: false }),
 	createBackupLimiter,
+	checkPermissions( 'manage_backups' ),
 	function onCreateBackup( req, res ) {
-		validateAdmin( req );
-
 		const args = [ '--db', 'isle-db', '--out', BACKUP_DIRECTORY ];
 		const dump = spawn( 'mongodump', args );
 		dump.stdout.on('data', function onStdOut( data ) {
@@ -0,0 +1,427 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: Chats
+ *   description: Retrieval, search and export of persisted lesson chats.
+ */
+
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const debug = require( './debug' )( 'server:chats' );
+const escapeRegExpString = require( '@stdlib/utils/escape-regexp-string' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const toCSVRow = require( './utils/to_csv_row.js' );
+const waitForDrain = require( './utils/wait_for_drain.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const validateString = require( './helpers/validate_string.js' );
+const validateEnum = require( './helpers/validate_enum.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
+const parseDate = require( './helpers/parse_date.js' );
+const ChatMessage = require( './models/chat_message.js' );
+const Lesson = require( './models/lesson.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const EXPORT_FORMATS = [ 'csv', 'json' ];
+const EXPORT_COLUMNS = [ 'chat', 'createdAt', 'author', 'email', 'anonymous', 'closed', 'content' ];
+const EXPORT_BATCH_SIZE = 1000; // Number of messages written to the response at a time when exporting chat messages
+
+
+// FUNCTIONS //
+
+/**
+* Validates that the lesson with the supplied identifier exists and that the request is made by a user allowed to view the data of its students.
+*
+* @private
+* @param {Object} req - HTTP request object
+* @param {string} lessonID - lesson identifier
+* @throws {Error} error if the lesson does not exist or the user lacks the permission
+* @returns {Promise<Object>} lesson
+*/
+async function validateLessonAccess( req, lessonID ) {
+	validateObjectId( lessonID, 'lessonID', req.t );
+	const lesson = await Lesson.findById( lessonID );
+	if ( !lesson ) {
+		throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+	}
+	await validatePermissions( req, 'view_student_data', { lesson });
+	return lesson;
+}
+
+/**
+* Builds the database query for the chat messages of a lesson from the query parameters of a request.
+*
+* @private
+* @param {Object} req - HTTP request object
+* @param {Object} lesson - lesson
+* @returns {Object} database query
+*/
+function buildMessageQuery( req, lesson ) {
+	const query = {
+		lesson: lesson._id
+	};
+	if ( req.query.chat ) {
+		validateString( req.query.chat, 'chat', req.t );
+		query.chat = req.query.chat;
+	}
+	if ( req.query.query ) {
+		validateString( req.query.query, 'query', req.t );
+		query.content = {
+			$regex: escapeRegExpString( req.query.query ),
+			$options: 'i'
+		};
+	}
+	const startDate = parseDate( req.query.startDate, 'startDate', req.t );
+	const endDate = parseDate( req.query.endDate, 'endDate', req.t );
+	if ( startDate || endDate ) {
+		query.createdAt = {};
+		if ( startDate ) {
+			query.createdAt.$gte = startDate;
+		}
+		if ( endDate ) {
+			query.createdAt.$lte = endDate;
+		}
+	}
+	return query;
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /get_lesson_chats:
+ *   get:
+ *     summary: Get lesson chats
+ *     description: Get an overview of all chats of a lesson for which messages have been persisted.
+ *     tags: [Chats]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 chats:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       chat:
+ *                         type: string
+ *                         description: Full name of the chat.
+ *                       nMessages:
+ *                         type: integer
+ *                         description: Number of messages in the chat.
+ *                       firstMessage:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Time of the first message.
+ *                       lastMessage:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Time of the last message.
+ *       401:
+ *         description: Access denied for users lacking the `view_student_data` permission for the lesson
+ *       404:
+ *         description: Lesson not found
+ */
+router.get( '/get_lesson_chats',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetLessonChats( req, res ) {
+		const lesson = await validateLessonAccess( req, req.query.lessonID );
+		const chats = await ChatMessage.aggregate([
+			{ $match: { lesson: lesson._id }},
+			{ $group: {
+				_id: '$chat',
+				nMessages: { $sum: 1 },
+				firstMessage: { $min: '$createdAt' },
+				lastMessage: { $max: '$createdAt' }
+			}},
+			{ $sort: { lastMessage: -1 }}
+		]);
+		res.json({
+			chats: chats.map( x => {
+				return {
+					chat: x._id,
+					nMessages: x.nMessages,
+					firstMessage: x.firstMessage,
+					lastMessage: x.lastMessage
+				};
+			})
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /search_chat_messages:
+ *   get:
+ *     summary: Search chat messages
+ *     description: Search the persisted chat messages of a lesson. Messages are returned from newest to oldest.
+ *     tags: [Chats]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: query
+ *         description: Text to search for in the message contents (case-insensitive)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: chat
+ *         description: Full name of a chat to restrict the search to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         description: Only return messages sent at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         description: Only return messages sent at or before this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         description: Page number (starting at 1)
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         description: Number of messages per page
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 messages:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ChatMessage'
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of matching messages.
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Access denied for users lacking the `view_student_data` permission for the lesson
+ *       404:
+ *         description: Lesson not found
+ */
+router.get( '/search_chat_messages',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onSearchChatMessages( req, res ) {
+		const lesson = await validateLessonAccess( req, req.query.lessonID );
+		const query = buildMessageQuery( req, lesson );
+		const page = Math.max( parseInt( req.query.page, 10 ) || 1, 1 );
+		const limit = Math.min( parseInt( req.query.limit, 10 ) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE );
+		debug( `Search chat messages of lesson ${lesson._id} (page: ${page}, limit: ${limit})...` );
+		const total = await ChatMessage.countDocuments( query );
+		const messages = await ChatMessage
+			.find( query )
+			.sort({ createdAt: -1 })
+			.skip( ( page-1 ) * limit )
+			.limit( limit )
+			.lean();
+		res.json({
+			messages,
+			total
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /export_chat_messages:
+ *   get:
+ *     summary: Export chat messages
+ *     description: Export the persisted chat messages of a lesson in chronological order as a CSV or JSON file. Accepts the same filters as `/search_chat_messages`.
+ *     tags: [Chats]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         description: Export format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: query
+ *         description: Text to search for in the message contents (case-insensitive)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: chat
+ *         description: Full name of a chat to restrict the export to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         description: Only export messages sent at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: endDate
+ *         description: Only export messages sent at or before this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: File with the exported chat messages
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/ChatMessage'
+ *       400:
+ *         description: Invalid query parameters
+ *       401:
+ *         description: Access denied for users lacking the `view_student_data` permission for the lesson
+ *       404:
+ *         description: Lesson not found
+ */
+router.get( '/export_chat_messages',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onExportChatMessages( req, res ) {
+		const format = req.query.format || 'csv';
+		validateEnum( format, EXPORT_FORMATS, 'format', req.t );
+		const lesson = await validateLessonAccess( req, req.query.lessonID );
+		const query = buildMessageQuery( req, lesson );
+		const filename = `chats_${lesson._id}.${format}`;
+		res.attachment( filename );
+		res.type( format === 'json' ? 'application/json' : 'text/csv' );
+		res.write( format === 'json' ? '[' : toCSVRow( EXPORT_COLUMNS ) );
+
+		let count = 0;
+
+		/**
+		* Writes a batch of messages to the response.
+		*
+		* @private
+		* @param {Array<Object>} batch - chat messages
+		* @returns {Promise} promise resolving once the response is ready to receive more data
+		*/
+		async function writeBatch( batch ) {
+			let out = '';
+			for ( let i = 0; i < batch.length; i++ ) {
+				if ( format === 'json' ) {
+					out += ( count + i > 0 ? ',' : '' ) + JSON.stringify( batch[ i ] );
+				} else {
+					out += toCSVRow( EXPORT_COLUMNS.map( key => batch[ i ][ key ] ) );
+				}
+			}
+			count += batch.length;
+			if ( !res.write( out ) ) {
+				await waitForDrain( res );
+			}
+		}
+
+		const cursor = ChatMessage
+			.find( query )
+			.sort({ createdAt: 1 })
+			.lean()
+			.cursor({ batchSize: EXPORT_BATCH_SIZE });
+		let batch = [];
+		try {
+			for await ( const message of cursor ) {
+				if ( res.destroyed ) {
+					debug( 'Client closed the connection, abort export...' );
+					break;
+				}
+				batch.push( message );
+				if ( batch.length === EXPORT_BATCH_SIZE ) {
+					await writeBatch( batch );
+					batch = [];
+				}
+			}
+			if ( batch.length > 0 && !res.destroyed ) {
+				await writeBatch( batch );
+			}
+		} catch ( err ) {
+			// Headers have already been sent, so the error cannot be reported to the client via the error handler:
+			debug( 'Encountered an error while exporting chat messages: '+err.message );
+			await cursor.close();
+			return res.destroy( err );
+		}
+		await cursor.close();
+		debug( `Exported ${count} chat messages of lesson ${lesson._id} as ${format}` );
+		res.end( format === 'json' ? ']' : '' );
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
@@ -37,7 +37,8 @@ const wrapAsync = require( './utils/wrap_async.js' );
 const sendCohortInvitations = require( './utils/send_cohort_invitations.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const validateString = require( './helpers/validate_string.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const { checkPermissions } = require( './helpers/check_permissions.js' );
 const Namespace = require( './models/namespace.js' );
 const mailer = require( './mailer' );
 const Cohort = require( './models/cohort.js' );
@@ -106,6 +107,7 @@ const User = require( './models/user.js' );
  */
 router.post( '/create_cohort',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'manage_cohorts' ),
 	wrapAsync( async function onCreateCohort( req, res ) {
 		debug( 'POST request: ' + JSON.stringify( req.body ) );
 		if ( req.body.title && req.body.namespaceID ) {
@@ -246,6 +248,7 @@ router.get( '/get_enrollable_cohorts',
  */
 router.get( '/get_cohorts',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'view_student_data' ),
 	wrapAsync( async function onCohorts( req, res ) {
 		let memberFields = req.query.memberFields || 'email name picture score spentTime lessonData lessonGrades badges anonEmail anonName customFields';
 		validateString( memberFields, 'memberFields', req.t );
@@ -308,7 +311,7 @@ router.get( '/get_all_cohorts',
 		let memberFields = req.query.memberFields || 'email name picture';
 		const namespaceFields = req.query.namespaceFields || 'title';
 
-		validateAdmin( req );
+		await validatePermissions( req, 'view_all_courses' );
 		validateString( memberFields, 'memberFields', req.t );
 		validateString( namespaceFields, 'namespaceFields', req.t );
 
@@ -369,16 +372,7 @@ router.post( '/delete_cohort',
 		if ( !cohort ) {
 			return res.status( 404 ).send( req.t( 'cohort-nonexistent' ) );
 		}
-		if ( !req.user.administrator ) {
-			// Check whether user is course owner and thus allowed to delete cohort:
-			const namespace = await Namespace.findOne({
-				_id: cohort.namespace,
-				owners: { $in: [ req.user ]}
-			});
-			if ( !namespace ) {
-				return res.status( 403 ).send( req.t( 'access-denied-no-owner' ) );
-			}
-		}
+		await validatePermissions( req, 'manage_cohorts', { namespace: cohort.namespace });
 		const users = await User.find({ _id: { $in: cohort.members }});
 		users.forEach( user => {
 			const idx = user.enrolledNamespaces.indexOf( cohort.namespace );
@@ -502,6 +496,7 @@ router.post( '/update_cohort',
 		if ( !cohort ) {
 			return res.status( 404 ).send( req.t( 'cohort-nonexistent' ) );
 		}
+		await validatePermissions( req, 'manage_cohorts', { namespace: cohort.namespace });
 		for ( let i = 0; i < cohort.members.length; i++ ) {
 			const user = cohort.members[ i ];
 			debug( 'Remove user with email '+user.email+' from cohort' );
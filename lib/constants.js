@@ -33,7 +33,8 @@ const {
 	mediaDirectory = './../media',
 	localesDirectory = './../locales',
 	logsDirectory = './../logs',
-	server: SERVER_HOST_NAME
+	server: SERVER_HOST_NAME,
+	mail = {}
 } = config;
 const NAMESPACES_DIRECTORY = isAbsolutePath( namespacesDirectory ) ?
 	namespacesDirectory : resolve( __dirname, namespacesDirectory );
@@ -41,9 +42,10 @@ const MEDIA_DIRECTORY = isAbsolutePath( mediaDirectory ) ? mediaDirectory : reso
 const BACKUP_DIRECTORY = isAbsolutePath( backupDirectory ) ? backupDirectory : resolve( __dirname, backupDirectory );
 const LOCALES_DIRECTORY = isAbsolutePath( localesDirectory ) ? localesDirectory : resolve( __dirname, localesDirectory );
 const LOGS_DIRECTORY = isAbsolutePath( logsDirectory ) ? logsDirectory : resolve( __dirname, logsDirectory );
+const PUBLIC_MEDIA_DIRECTORIES = [ 'audio', 'avatar', 'badges', 'branding', 'screenshots', 'thumbnail' ]; // Subdirectories of the media directory holding avatars, thumbnails, logos, recordings and screenshots, which are served to anyone
 const NOTIFICATIONS_EMAIL = {
-	name: 'ISLE Messenger',
-	address: `notifications@${url.parse( SERVER_HOST_NAME ).host}`
+	name: mail.fromName || 'ISLE Messenger',
+	address: mail.from || `notifications@${url.parse( SERVER_HOST_NAME ).host}`
 };
 
 
@@ -56,6 +58,7 @@ const main = {
 	MEDIA_DIRECTORY,
 	NAMESPACES_DIRECTORY,
 	NOTIFICATIONS_EMAIL,
+	PUBLIC_MEDIA_DIRECTORIES,
 	SERVER_HOST_NAME
 };
 
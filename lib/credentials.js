@@ -19,6 +19,8 @@
 
 // MODULES //
 
+const fs = require( 'fs' );
+const path = require( 'path' );
 const tokens = require( './../credentials/tokens.json' );
 const apixu = require( './../credentials/apixu.json' );
 const deepl = require( './../credentials/deepl.json' );
@@ -29,6 +31,24 @@ const mapbox = require( './../credentials/mapbox.json' );
 const opencpu = require( './../credentials/opencpu.json' );
 
 
+// FUNCTIONS //
+
+/**
+* Loads an optional credentials file.
+*
+* @private
+* @param {string} name - file name
+* @returns {Object} credentials or an empty object if the file does not exist
+*/
+function loadOptional( name ) {
+	const file = path.join( __dirname, './../credentials', name );
+	if ( !fs.existsSync( file ) ) {
+		return {};
+	}
+	return require( file );
+}
+
+
 // MAIN //
 
 const main = {
@@ -38,7 +58,9 @@ const main = {
 	jitsi,
 	github,
 	mailgun,
+	mail: loadOptional( 'mail.json' ),
 	mapbox,
+	oidc: loadOptional( 'oidc.json' ),
 	opencpu
 };
 
@@ -31,7 +31,7 @@
 const router = require( 'express' ).Router();
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
 const validateString = require( './helpers/validate_string.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const CustomUserField = require( './models/custom_user_field.js' );
@@ -100,14 +100,14 @@ router.get( '/get_custom_fields',
  *                 field:
  *                   $ref: '#/components/schemas/CustomField'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_settings` permission
  */
 router.post( '/create_custom_field',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onCreateCustomField( req, res ) {
 		const { name, description, type, options, showOnProfile, editableOnSignup, editableOnProfile, position } = req.body;
 
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_settings' );
 		validateString( name, 'name', req.t );
 		validateString( description, 'description', req.t );
 
@@ -158,12 +158,12 @@ router.post( '/create_custom_field',
  *                    description: Success message
  *                    example: 'Custom field was successfully deleted.'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_settings` permission
  */
 router.post( '/delete_custom_field',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onDeleteCustomField( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_settings' );
 		validateObjectId( req.body.id, 'id', req.t );
 
 		const status = await CustomUserField.deleteOne({ _id: req.body.id });
@@ -211,12 +211,12 @@ router.post( '/delete_custom_field',
  *                    items:
  *                      $ref: '#/components/schemas/CustomField'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_settings` permission
  */
 router.post( '/increment_field_position',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onDecrementPosition( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_settings' );
 		validateObjectId( req.body.id, 'id', req.t );
 
 		const field = await CustomUserField.findOne({ _id: req.body.id });
@@ -273,12 +273,12 @@ router.post( '/increment_field_position',
  *                    items:
  *                      $ref: '#/components/schemas/CustomField'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_settings` permission
  */
 router.post( '/decrement_field_position',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onDecrementPosition( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_settings' );
 		validateObjectId( req.body.id, 'id', req.t );
 
 		const field = await CustomUserField.findOne({ _id: req.body.id });
@@ -83,6 +83,7 @@ const options = {
 		resolve( __dirname, '..', 'sketchpad.js' ),
 		resolve( __dirname, '..', 'statistics.js' ),
 		resolve( __dirname, '..', 'sticky_notes.js' ),
+		resolve( __dirname, '..', 'storage_usage.js' ),
 		resolve( __dirname, '..', 'text_editor_document.js' ),
 		resolve( __dirname, '..', 'tickets.js' ),
 		resolve( __dirname, '..', 'two_factor_authentication.js' ),
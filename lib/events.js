@@ -29,9 +29,11 @@
 // MODULES //
 
 const router = require( 'express' ).Router();
+const pick = require( '@stdlib/utils/pick' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const recordAuditLog = require( './utils/record_audit_log.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const Event = require( './models/event.js' );
 const { triggerEvent } = require( './scheduler.js' );
@@ -67,12 +69,12 @@ const { triggerEvent } = require( './scheduler.js' );
  *                   items:
  *                     $ref: '#/components/schemas/Event'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_events` permission
  */
 router.get( '/get_events',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetEvents( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_events' );
 
 		const events = await Event
 			.find({})
@@ -119,12 +121,12 @@ router.get( '/get_events',
  *                   type: string
  *                   description: Status code
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_events` permission
  */
 router.post( '/delete_event',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onDeleteEvent( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_events' );
 		validateObjectId( req.body.id, 'id', req.t );
 
 		const status = await Event.deleteOne({ _id: req.body.id });
@@ -166,16 +168,22 @@ router.post( '/delete_event',
  *                   description: Success message
  *                   example: Event successfully triggered
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_events` permission
  */
 router.post( '/trigger_event',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onTriggerEvent( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_events' );
 		validateObjectId( req.body.id, 'id', req.t );
 
 		const event = await Event.findOne({ _id: req.body.id });
 		triggerEvent( event );
+		await recordAuditLog( req, {
+			action: 'trigger_event',
+			targetType: 'event',
+			target: req.body.id,
+			before: event ? pick( event.toObject(), [ 'type', 'time', 'data', 'done' ]) : null
+		});
 		res.json({ message: req.t( 'event-successfully-triggered' ) });
 	})
 );
@@ -31,24 +31,26 @@
 const router = require( 'express' ).Router();
 const multer = require( 'multer' );
 const { join } = require( 'path' );
-const { stat, writeFile } = require( 'fs/promises' );
+const { rm, stat, writeFile } = require( 'fs/promises' );
 const isString = require( '@stdlib/assert/is-string' ).isPrimitive;
 const debug = require( './debug' )( 'server:files' );
 const storage = require( './storage' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const isAdmin = require( './helpers/is_admin.js' );
-const isOwner = require( './helpers/is_owner.js' );
 const fileOwnerCheck = require( './helpers/file_owner_check.js' );
 const validateEnum = require( './helpers/validate_enum.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
 const validateString = require( './helpers/validate_string.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
+const validateNamespaceQuota = require( './helpers/validate_namespace_quota.js' );
 const ErrorStatus = require( './helpers/error.js' );
 const File = require( './models/file.js' );
 const Lesson = require( './models/lesson.js' );
 const Namespace = require( './models/namespace.js' );
 const settings = require( './../etc/settings.json' );
+const { signURL } = require( './utils/signed_url.js' );
+const { mediaPath } = require( './utils/media_path.js' );
 const { SERVER_HOST_NAME } = require( './constants.js' );
 
 
@@ -178,12 +180,12 @@ router.get( '/get_files',
  *                   items:
  *                     $ref: '#/components/schemas/File'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `view_all_courses` permission
  */
 router.get( '/get_all_files',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onRequest( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'view_all_courses' );
 
 		const files = await File
 			.find({})
@@ -201,7 +203,7 @@ router.get( '/get_all_files',
  * /get_user_files:
  *   get:
  *     summary: Get user files
- *     description: Get all files owned by a user.
+ *     description: Get all files uploaded by the user along with signed URLs for downloading them.
  *     tags: [Files]
  *     security:
  *       - JWT: []
@@ -215,7 +217,7 @@ router.get( '/get_all_files',
  *               properties:
  *                 files:
  *                   type: array
- *                   description: Array of files
+ *                   description: Array of files (each with a signed download `url`)
  *                   items:
  *                     $ref: '#/components/schemas/File'
  */
@@ -224,7 +226,10 @@ router.get( '/get_user_files',
 	wrapAsync( async function onRequest( req, res ) {
 		const files = await File.find({
 			'user': req.user
-		});
+		}).lean();
+		for ( let i = 0; i < files.length; i++ ) {
+			files[ i ].url = signURL( mediaPath( files[ i ] ) );
+		}
 		res.json({
 			'files': files
 		});
@@ -237,7 +242,7 @@ router.get( '/get_user_files',
  * /upload_file:
  *   post:
  *     summary: Upload file
- *     description: Upload a file.
+ *     description: Upload a file. The file must not exceed the maximum size for its type (setting `fileTypeMaxSizeMB`) nor the storage quotas of the user (setting `userStorageQuotaMB`) and the namespace (setting `namespaceStorageQuotaMB`).
  *     tags: [Files]
  *     security:
  *       - JWT: []
@@ -264,7 +269,7 @@ router.get( '/get_user_files',
  *                 example: 'my-lesson'
  *               owner:
  *                 type: boolean
- *                 description: Whether to create an owner file associated with a namespace
+ *                 description: Whether to create an owner file associated with a namespace (requires the `manage_files` permission for the namespace)
  *     responses:
  *       200:
  *         description: Success
@@ -281,13 +286,23 @@ router.get( '/get_user_files',
  *                   type: string
  *                   description: File name
  *                   example: 'my-file.txt'
+ *                 url:
+ *                   type: string
+ *                   description: Signed URL for downloading the file or embedding it in a lesson (expires after the number of minutes given by the `signedURLLifetimeMinutes` setting)
+ *       403:
+ *         description: Access denied for owner files uploaded by users lacking the `manage_files` permission for the namespace
+ *       404:
+ *         description: Namespace not found
+ *       413:
+ *         description: File exceeds the maximum size for its type or the storage quota of the user or namespace
  */
 router.post( '/upload_file',
+	passport.authenticate( 'jwt', { session: false }),
 	fileOwnerCheck,
 	singleFileUpload,
-	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onUploadFile( req, res ) {
-		const { namespaceName, lessonName, owner } = req.body;
+		const { namespaceName, lessonName } = req.body;
+		const owner = req.body.owner === true || req.body.owner === 'true';
 
 		validateString( namespaceName, 'namespaceName', req.t );
 		if ( lessonName ) {
@@ -309,6 +324,19 @@ router.post( '/upload_file',
 		fileMetaData.size = fileSizeInMegabytes;
 		debug( `Store file for namespace ${namespaceName} and lesson ${lessonName}` );
 		const namespace = await Namespace.findOne({ title: namespaceName });
+		if ( !namespace ) {
+			await rm( req.file.path, { force: true });
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		if ( owner ) {
+			try {
+				await validatePermissions( req, 'manage_files', { namespace });
+			} catch ( err ) {
+				await rm( req.file.path, { force: true });
+				throw err;
+			}
+		}
+		await validateNamespaceQuota( req, namespace._id );
 		fileMetaData.namespace = namespace;
 		if ( !lessonName ) {
 			// Update file if already existing or create new one:
@@ -331,7 +359,8 @@ router.post( '/upload_file',
 		}
 		res.json({
 			message: req.t( 'file-saved' ),
-			filename: req.file.filename
+			filename: req.file.filename,
+			url: signURL( mediaPath( req.file ) )
 		});
 	})
 );
@@ -378,15 +407,9 @@ router.post( '/delete_file',
 		if ( !file ) {
 			return res.status( 404 ).send( req.t( 'file-nonexistent' ) );
 		}
-		// Deny access if user is not owner of the namespace the file belongs to, not an administrator, and not the user who uploaded the file:
-		const isAdmin = req.user.administrator;
-		if ( !isAdmin ) {
-			if ( file.user.toString() !== req.user._id.toString() ) {
-				const owner = await isOwner( req, file.namespace );
-				if ( !owner ) {
-					throw new ErrorStatus( 401, req.t( 'access-denied' ) );
-				}
-			}
+		// Deny access if user is not the user who uploaded the file and lacks the permission to manage the files of its namespace:
+		if ( file.user.toString() !== req.user._id.toString() ) {
+			await validatePermissions( req, 'manage_files', { namespace: file.namespace });
 		}
 		await File.deleteOne( { _id: req.body._id } );
 		res.json({ message: req.t( 'file-deleted' ) });
@@ -435,7 +458,7 @@ router.post( '/delete_file',
  *                   description: Server instance settings
  *                   example: {}
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_settings` permission
  */
 router.post( '/upload_logo',
 	isAdmin,
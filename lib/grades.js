@@ -0,0 +1,642 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: Grades
+ *   description: Gradebook of a course with weighted grade categories, CSV export and import.
+ */
+
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const multer = require( 'multer' );
+const isArray = require( '@stdlib/assert/is-array' );
+const isNumber = require( '@stdlib/assert/is-number' ).isPrimitive;
+const isnan = require( '@stdlib/math/base/assert/is-nan' );
+const groupBy = require( '@stdlib/utils/group-by' );
+const objectKeys = require( '@stdlib/utils/keys' );
+const debug = require( './debug' )( 'server:grades' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const toCSV = require( './utils/to_csv.js' );
+const parseCSV = require( './utils/parse_csv.js' );
+const updateGrades = require( './utils/update_grades.js' );
+const gradebookTotals = require( './utils/gradebook_totals.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const validateString = require( './helpers/validate_string.js' );
+const validateEnum = require( './helpers/validate_enum.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
+const Cohort = require( './models/cohort.js' );
+const Grade = require( './models/grade.js' );
+const Lesson = require( './models/lesson.js' );
+const Namespace = require( './models/namespace.js' );
+const User = require( './models/user.js' );
+
+
+// VARIABLES //
+
+const EXPORT_LAYOUTS = [ 'grades', 'totals' ];
+const GRADE_COLUMNS = [ 'email', 'name', 'cohort', 'lesson', 'component', 'points', 'maxPoints' ];
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // Maximum size of uploaded gradebook files (5MB)
+const gradebookUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: { fileSize: MAX_IMPORT_FILE_SIZE }
+}).single( 'file' );
+
+
+// FUNCTIONS //
+
+/**
+* Parses an optional number of points.
+*
+* @private
+* @param {*} value - value to parse
+* @returns {(number|null|undefined)} points, `null` if no value is provided, or `undefined` if the value is not a valid number
+*/
+function parsePoints( value ) {
+	if ( value === null || value === void 0 || value === '' ) {
+		return null;
+	}
+	const out = Number( value );
+	if ( isnan( out ) ) {
+		return void 0;
+	}
+	return out;
+}
+
+/**
+* Loads the gradebook of a namespace, optionally restricted to the members of a cohort.
+*
+* @private
+* @param {Object} req - HTTP request object
+* @param {Object} namespace - namespace
+* @param {string} [cohortID] - cohort identifier
+* @throws {Error} error if the cohort does not exist in the namespace
+* @returns {Promise<Object>} gradebook with `lessons`, `categories`, `cohorts` and `rows`
+*/
+async function loadGradebook( req, namespace, cohortID ) {
+	const lessons = await Lesson
+		.find({ namespace: namespace._id }, { title: 1 })
+		.sort({ title: 1 })
+		.lean();
+	let cohorts = await Cohort.find({ namespace: namespace._id }, { title: 1, members: 1 }).lean();
+	const match = { namespace: namespace._id };
+	if ( cohortID ) {
+		validateObjectId( cohortID, 'cohortID', req.t );
+		cohorts = cohorts.filter( x => String( x._id ) === cohortID );
+		if ( cohorts.length === 0 ) {
+			throw new ErrorStatus( 404, req.t( 'cohort-nonexistent' ) );
+		}
+		match.user = { $in: cohorts[ 0 ].members };
+	}
+	const memberCohorts = {};
+	for ( let i = 0; i < cohorts.length; i++ ) {
+		const members = cohorts[ i ].members;
+		for ( let j = 0; j < members.length; j++ ) {
+			const id = String( members[ j ] );
+			memberCohorts[ id ] = memberCohorts[ id ] || [];
+			memberCohorts[ id ].push( cohorts[ i ].title );
+		}
+	}
+	const totals = await Grade.aggregate([
+		{ $match: match },
+		{ $group: {
+			_id: { user: '$user', lesson: '$lesson' },
+			points: { $sum: '$points' },
+			scoredPoints: {
+				$sum: {
+					$cond: [ { $eq: [ { $ifNull: [ '$maxPoints', null ]}, null ]}, 0, '$points' ]
+				}
+			},
+			maxPoints: { $sum: '$maxPoints' },
+			components: { $push: { component: '$component', points: '$points', maxPoints: '$maxPoints' }}
+		}}
+	]);
+	const byUser = groupBy( totals, x => String( x._id.user ) );
+	const ids = objectKeys( memberCohorts ).concat( objectKeys( byUser ) );
+	const users = await User
+		.find({ _id: { $in: ids }}, { email: 1, name: 1 })
+		.sort({ name: 1 })
+		.lean();
+	const categories = namespace.gradeCategories || [];
+	const rows = users.map( user => {
+		const id = String( user._id );
+		const grades = {};
+		const lessonTotals = {};
+		const entries = byUser[ id ] || [];
+		for ( let i = 0; i < entries.length; i++ ) {
+			const lesson = String( entries[ i ]._id.lesson );
+			lessonTotals[ lesson ] = {
+				points: entries[ i ].points,
+				scoredPoints: entries[ i ].scoredPoints,
+				maxPoints: entries[ i ].maxPoints
+			};
+			grades[ lesson ] = {};
+			for ( let j = 0; j < entries[ i ].components.length; j++ ) {
+				const { component, points, maxPoints } = entries[ i ].components[ j ];
+				grades[ lesson ][ component ] = { points, maxPoints };
+			}
+		}
+		return {
+			email: user.email,
+			name: user.name,
+			cohorts: memberCohorts[ id ] || [],
+			grades,
+			lessons: lessonTotals,
+			...gradebookTotals( lessonTotals, categories )
+		};
+	});
+	return {
+		lessons,
+		categories,
+		cohorts: cohorts.map( x => ({ _id: x._id, title: x.title }) ),
+		rows
+	};
+}
+
+/**
+* Validates the grade categories of a gradebook.
+*
+* @private
+* @param {*} categories - grade categories
+* @param {Array<Object>} lessons - lessons of the namespace
+* @param {Function} t - translation function
+* @throws {Error} error if the categories are invalid
+* @returns {Array<Object>} validated categories
+*/
+function validateCategories( categories, lessons, t ) {
+	if ( !isArray( categories ) ) {
+		throw new ErrorStatus( 400, t( 'field-expect-array', { field: 'categories' }) );
+	}
+	const lessonIDs = lessons.map( x => String( x._id ) );
+	return categories.map( ( category, idx ) => {
+		validateString( category.name, `categories[${idx}].name`, t );
+		const weight = category.weight === void 0 ? 1 : category.weight;
+		if ( !isNumber( weight ) || weight < 0 ) {
+			throw new ErrorStatus( 400, t( 'field-expect-nonnegative-number', { field: `categories[${idx}].weight` }) );
+		}
+		const assigned = category.lessons || [];
+		if ( !isArray( assigned ) ) {
+			throw new ErrorStatus( 400, t( 'field-expect-array', { field: `categories[${idx}].lessons` }) );
+		}
+		for ( let i = 0; i < assigned.length; i++ ) {
+			validateEnum( String( assigned[ i ] ), lessonIDs, `categories[${idx}].lessons`, t );
+		}
+		return {
+			name: category.name,
+			weight,
+			lessons: assigned
+		};
+	});
+}
+
+/**
+* Retrieves a namespace after validating that the user has a permission for it.
+*
+* @private
+* @param {Object} req - HTTP request object
+* @param {string} namespaceID - namespace identifier
+* @param {string} permission - required permission
+* @throws {Error} error if the namespace does not exist or the user lacks the permission
+* @returns {Promise<Object>} namespace
+*/
+async function findNamespace( req, namespaceID, permission ) {
+	validateObjectId( namespaceID, 'namespaceID', req.t );
+	const namespace = await Namespace.findById( namespaceID );
+	if ( !namespace ) {
+		throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+	}
+	await validatePermissions( req, permission, { namespace });
+	return namespace;
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /get_gradebook:
+ *   get:
+ *     summary: Get gradebook
+ *     description: Get the grades of all members of a course (or of one of its cohorts) with lesson, category and weighted overall totals.
+ *     tags: [Grades]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: namespaceID
+ *         description: ID of the namespace
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: cohortID
+ *         description: ID of a cohort to restrict the gradebook to
+ *         schema:
+ *           type: ObjectId
+ *     responses:
+ *       200:
+ *         description: Gradebook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lessons:
+ *                   type: array
+ *                   description: Lessons of the namespace (with `_id` and `title`)
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GradeCategory'
+ *                 cohorts:
+ *                   type: array
+ *                   description: Cohorts included in the gradebook (with `_id` and `title`)
+ *                 rows:
+ *                   type: array
+ *                   description: Gradebook row for each user with the points per lesson component (`grades`), the totals per lesson (`lessons`) and category (`categories`), the sum of all `points` and the weighted overall `total` percentage
+ *       401:
+ *         description: Access denied for users lacking the `view_gradebook` permission
+ *       404:
+ *         description: Namespace or cohort does not exist
+ */
+router.get( '/get_gradebook',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetGradebook( req, res ) {
+		const namespace = await findNamespace( req, req.query.namespaceID, 'view_gradebook' );
+		const gradebook = await loadGradebook( req, namespace, req.query.cohortID );
+		res.json( gradebook );
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /update_gradebook_categories:
+ *   post:
+ *     summary: Update grade categories
+ *     description: Update the weighted grade categories of the gradebook of a course.
+ *     tags: [Grades]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               namespaceID:
+ *                 type: ObjectId
+ *                 description: ID of the namespace
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/GradeCategory'
+ *     responses:
+ *       200:
+ *         description: Categories updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GradeCategory'
+ *       400:
+ *         description: Invalid categories
+ *       401:
+ *         description: Access denied for users lacking the `grade_students` permission
+ */
+router.post( '/update_gradebook_categories',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onUpdateGradebookCategories( req, res ) {
+		const namespace = await findNamespace( req, req.body.namespaceID, 'grade_students' );
+		const lessons = await Lesson.find({ namespace: namespace._id }, { _id: 1 });
+		const categories = validateCategories( req.body.categories, lessons, req.t );
+		namespace.gradeCategories = categories;
+		await namespace.save();
+		res.json({
+			message: req.t( 'gradebook-categories-updated' ),
+			categories: namespace.gradeCategories
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /export_gradebook:
+ *   get:
+ *     summary: Export gradebook
+ *     description: Export the gradebook of a course as CSV, either with one row per graded lesson component (which can be imported again) or with one row of totals per user.
+ *     tags: [Grades]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: namespaceID
+ *         description: ID of the namespace
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: cohortID
+ *         description: ID of a cohort to restrict the export to
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: layout
+ *         description: Layout of the exported file
+ *         schema:
+ *           type: string
+ *           enum: [ grades, totals ]
+ *           default: grades
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Access denied for users lacking the `view_gradebook` permission
+ */
+router.get( '/export_gradebook',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onExportGradebook( req, res ) {
+		const layout = req.query.layout || 'grades';
+		validateEnum( layout, EXPORT_LAYOUTS, 'layout', req.t );
+		const namespace = await findNamespace( req, req.query.namespaceID, 'view_gradebook' );
+		const { lessons, categories, rows } = await loadGradebook( req, namespace, req.query.cohortID );
+		const lessonTitles = {};
+		for ( let i = 0; i < lessons.length; i++ ) {
+			lessonTitles[ String( lessons[ i ]._id ) ] = lessons[ i ].title;
+		}
+		let csv;
+		if ( layout === 'grades' ) {
+			const out = [];
+			for ( let i = 0; i < rows.length; i++ ) {
+				const row = rows[ i ];
+				const ids = objectKeys( row.grades );
+				for ( let j = 0; j < ids.length; j++ ) {
+					const components = objectKeys( row.grades[ ids[ j ] ] );
+					for ( let k = 0; k < components.length; k++ ) {
+						const { points, maxPoints } = row.grades[ ids[ j ] ][ components[ k ] ];
+						if ( points !== null ) {
+							out.push({
+								email: row.email,
+								name: row.name,
+								cohort: row.cohorts.join( '; ' ),
+								lesson: lessonTitles[ ids[ j ] ],
+								component: components[ k ],
+								points,
+								maxPoints
+							});
+						}
+					}
+				}
+			}
+			csv = toCSV( out, GRADE_COLUMNS );
+		} else {
+			const lessonColumns = lessons.map( x => x.title );
+			const categoryColumns = categories.map( x => x.name );
+			const out = rows.map( row => {
+				const obj = {
+					email: row.email,
+					name: row.name,
+					cohort: row.cohorts.join( '; ' ),
+					points: row.points,
+					total: row.total
+				};
+				for ( let i = 0; i < lessons.length; i++ ) {
+					const totals = row.lessons[ String( lessons[ i ]._id ) ];
+					obj[ lessons[ i ].title ] = totals ? totals.points : null;
+				}
+				for ( let i = 0; i < categoryColumns.length; i++ ) {
+					obj[ categoryColumns[ i ] ] = row.categories[ categoryColumns[ i ] ].percentage;
+				}
+				return obj;
+			});
+			csv = toCSV( out, [ 'email', 'name', 'cohort' ].concat( lessonColumns, categoryColumns, [ 'points', 'total' ]) );
+		}
+		res.attachment( `gradebook_${namespace.title}_${layout}.csv` );
+		res.type( 'text/csv' );
+		res.send( csv );
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /import_gradebook:
+ *   post:
+ *     summary: Import gradebook
+ *     description: Import grades from a CSV file with the columns `email`, `lesson` (title or ID), `component`, `points` and optionally `maxPoints` (as produced by `/export_gradebook`). Grades of components not contained in the file are left untouched.
+ *     tags: [Grades]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               namespaceID:
+ *                 type: ObjectId
+ *                 description: ID of the namespace
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV file
+ *     responses:
+ *       200:
+ *         description: Grades imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                 updated:
+ *                   type: integer
+ *                   description: Number of changed grades
+ *                 skipped:
+ *                   type: array
+ *                   description: Skipped rows with their line number and the reason (`unknown-user`, `unknown-lesson`, `missing-component` or `invalid-points`)
+ *       400:
+ *         description: Missing file
+ *       401:
+ *         description: Access denied for users lacking the `grade_students` permission
+ */
+router.post( '/import_gradebook',
+	gradebookUpload,
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onImportGradebook( req, res ) {
+		const namespace = await findNamespace( req, req.body.namespaceID, 'grade_students' );
+		if ( !req.file ) {
+			throw new ErrorStatus( 400, req.t( 'missing-field', { field: 'file' }) );
+		}
+		const records = parseCSV( req.file.buffer.toString( 'utf8' ) );
+		const lessons = await Lesson.find({ namespace: namespace._id }, { title: 1 });
+		const lessonsByKey = {};
+		for ( let i = 0; i < lessons.length; i++ ) {
+			lessonsByKey[ lessons[ i ].title ] = lessons[ i ];
+			lessonsByKey[ String( lessons[ i ]._id ) ] = lessons[ i ];
+		}
+		const emails = records.map( x => ( x.email || '' ).trim() );
+		const users = await User.find({ email: { $in: emails }});
+		const usersByEmail = {};
+		for ( let i = 0; i < users.length; i++ ) {
+			usersByEmail[ users[ i ].email ] = users[ i ];
+		}
+		const skipped = [];
+		const changes = {};
+		for ( let i = 0; i < records.length; i++ ) {
+			const record = records[ i ];
+			const line = i + 2; // Account for header row and one-based line numbers...
+			const user = usersByEmail[ emails[ i ] ];
+			const lesson = lessonsByKey[ ( record.lesson || '' ).trim() ];
+			const points = parsePoints( record.points );
+			const maxPoints = parsePoints( record.maxPoints );
+			if ( !user ) {
+				skipped.push({ line, reason: 'unknown-user' });
+			} else if ( !lesson ) {
+				skipped.push({ line, reason: 'unknown-lesson' });
+			} else if ( !record.component ) {
+				skipped.push({ line, reason: 'missing-component' });
+			} else if ( points === void 0 || maxPoints === void 0 ) {
+				skipped.push({ line, reason: 'invalid-points' });
+			} else {
+				const key = user.email + ':' + lesson._id;
+				if ( !changes[ key ] ) {
+					changes[ key ] = { user, lesson: lesson._id, grades: {}, maxPoints: {}};
+				}
+				changes[ key ].grades[ record.component ] = points;
+				changes[ key ].maxPoints[ record.component ] = maxPoints;
+			}
+		}
+		let updated = 0;
+		const keys = objectKeys( changes );
+		for ( let i = 0; i < keys.length; i++ ) {
+			const change = changes[ keys[ i ] ];
+			updated += await updateGrades({
+				...change,
+				namespace: namespace._id,
+				grader: req.user,
+				replace: false
+			});
+		}
+		debug( `Imported grades for ${keys.length} user-lesson pairs (${skipped.length} rows skipped)` );
+		res.json({
+			message: req.t( 'gradebook-imported', { count: updated, skipped: skipped.length }),
+			updated,
+			skipped
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_grade:
+ *   get:
+ *     summary: Get grade
+ *     description: Get the grade of a user for a lesson component including its messages and history. Available to the graded user and to users with the `view_gradebook` permission for the lesson.
+ *     tags: [Grades]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: component
+ *         description: ID of the lesson component
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: email
+ *         description: Email address of the user (defaults to the requesting user)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Grade
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 grade:
+ *                   $ref: '#/components/schemas/Grade'
+ *       401:
+ *         description: Access denied
+ *       404:
+ *         description: Grade does not exist
+ */
+router.get( '/get_grade',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetGrade( req, res ) {
+		const { lessonID, component } = req.query;
+		const email = req.query.email || req.user.email;
+		validateObjectId( lessonID, 'lessonID', req.t );
+		validateString( component, 'component', req.t );
+		validateString( email, 'email', req.t );
+		const lesson = await Lesson.findById( lessonID );
+		if ( !lesson ) {
+			throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+		}
+		if ( email !== req.user.email ) {
+			await validatePermissions( req, 'view_gradebook', { lesson });
+		}
+		const user = email === req.user.email ? req.user : await User.findOne({ email });
+		if ( !user ) {
+			throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
+		}
+		const grade = await Grade
+			.findOne({ user: user._id, lesson: lesson._id, component })
+			.populate( 'grader history.grader', 'name email' );
+		if ( !grade ) {
+			throw new ErrorStatus( 404, req.t( 'grade-nonexistent' ) );
+		}
+		res.json({ grade });
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
@@ -20,226 +20,402 @@
 // MODULES //
 
 const setReadOnly = require( '@stdlib/utils/define-read-only-property' );
-const every = require( '@stdlib/utils/every' );
+const objectKeys = require( '@stdlib/utils/keys' );
+const pick = require( '@stdlib/utils/pick' );
+const isValidObjectId = require( 'mongoose' ).Types.ObjectId.isValid;
+const debug = require( './../debug' )( 'server:permissions' );
+const ErrorStatus = require( './error.js' );
+const wrapAsync = require( './../utils/wrap_async.js' );
 const Role = require( './../models/role.js' );
+const Lesson = require( './../models/lesson.js' );
+const Namespace = require( './../models/namespace.js' );
+const Program = require( './../models/program.js' );
+const { PERMISSIONS } = require( './../permissions/catalogue.js' );
+const DEFAULT_ROLES = require( './../permissions/default_roles.js' );
 
 
 // VARIABLES //
 
-let ROLES;
+const LEVELS = [ 'lesson', 'namespace', 'program', 'global' ];
+const ROLES_CACHE_DURATION = 60 * 1000; // One minute...
+let ROLES = null;
+let rolesExpireAt = 0;
+let pendingRoles = null;
 
 
 // FUNCTIONS //
 
 /**
-* Returns the next level in the hierarchy.
+* Marks the cached roles as stale, so that they are reloaded from the database before the next permission check.
 *
 * @private
-* @param {string} level - input level
-* @returns {string} successor level
 */
-function successor( level ) {
-	switch ( level ) {
-		case 'lesson':
-			return 'namespace';
-		case 'namespace':
-			return 'program';
-		case 'program':
-			return 'global';
-		case 'global':
-		default:
-			return null;
+function updateRolesHash() {
+	rolesExpireAt = 0;
+}
+
+/**
+* Returns all roles with their permission maps, keyed by role identifier, along with the built-in roles.
+*
+* ## Notes
+*
+* -   Roles are cached for a minute, so that changes made by other server processes take effect without a restart.
+* -   Built-in roles whose documents have not been created (yet) fall back to their default permissions, as do permissions missing from the documents of built-in roles.
+*
+* @private
+* @returns {Promise<Object>} object with `byID` and `builtIn` properties
+*/
+function loadRoles() {
+	if ( ROLES && rolesExpireAt > Date.now() ) {
+		return Promise.resolve( ROLES );
+	}
+	if ( !pendingRoles ) {
+		pendingRoles = Role.find({}, { title: 1, permissions: 1, builtIn: 1 })
+			.lean()
+			.then( arr => {
+				const roles = {
+					byID: {},
+					builtIn: {}
+				};
+				for ( let i = 0; i < DEFAULT_ROLES.length; i++ ) {
+					const { builtIn, title, permissions } = DEFAULT_ROLES[ i ];
+					roles.builtIn[ builtIn ] = {
+						_id: null,
+						title,
+						builtIn,
+						permissions
+					};
+				}
+				for ( let i = 0; i < arr.length; i++ ) {
+					const role = {
+						_id: String( arr[ i ]._id ),
+						title: arr[ i ].title,
+						builtIn: arr[ i ].builtIn || null,
+						permissions: arr[ i ].permissions || {}
+					};
+					if ( role.builtIn ) {
+						// Permissions added to the catalogue after the role was created fall back to their defaults:
+						role.permissions = { ...roles.builtIn[ role.builtIn ].permissions, ...role.permissions };
+						roles.builtIn[ role.builtIn ] = role;
+					}
+					roles.byID[ role._id ] = role;
+				}
+				ROLES = roles;
+				rolesExpireAt = Date.now() + ROLES_CACHE_DURATION;
+				pendingRoles = null;
+				return roles;
+			}, err => {
+				pendingRoles = null;
+				throw err;
+			});
 	}
+	return pendingRoles;
 }
 
 /**
-* Updates the `ROLES` object with the latest roles.
+* Returns the identifier of a document or identifier as a string.
 *
 * @private
+* @param {(Object|string|null|undefined)} x - document or identifier
+* @returns {(string|null)} identifier
 */
-function updateRolesHash() {
-	Role.find({}).then( arr => {
-		ROLES = {};
-		for ( let i = 0; arr.length; i++ ) {
-			const elem = arr[ i ];
-			ROLES[ elem._id ] = elem;
-		}
-	});
+function toID( x ) {
+	if ( x === null || x === void 0 ) {
+		return null;
+	}
+	return String( x._id || x );
 }
 
 /**
-* Returns a boolean indicating whether a user has a permission in the relevant context.
+* Completes a context by looking up the namespace of its lesson, the owners and program of its namespace and the administrators of its program.
+*
+* ## Notes
+*
+* -   The program of a namespace takes precedence over a program supplied in the context.
 *
 * @private
-* @param {Object} user - user object
-* @param {string} permission - name of permission
-* @param {string} level - context level
-* @param {Array<string>} target - context targets (ObjectId's)
-* @returns {boolean} boolean indicating whether user has the specified permission
+* @param {Object} context - context with `lesson`, `namespace` and `program` documents or identifiers
+* @returns {Promise<Object>} context with `lesson`, `namespace`, `program`, `owners` and `administrators` properties
 */
-function hasIndividualPermission( user, permission, level, target ) {
-	let idx = 0;
-	while ( level ) {
-		const roles = user.roles[ level ];
-		for ( let i = 0; i < roles.length; i += 1 ) {
-			const role = roles[ i ];
-			if ( role.context === ( target[ idx ] || null ) ) {
-				const permissions = ROLES[ role.role ].permissions;
-				if ( permissions[ permission ] === true ) {
-					return true;
-				} else if ( permissions[ permission] === false ) {
-					return false;
-				}
-			}
+async function completeContext( context ) {
+	const out = {
+		lesson: toID( context.lesson ),
+		namespace: toID( context.namespace ),
+		program: toID( context.program ),
+		owners: null,
+		administrators: null
+	};
+	if ( out.lesson && !out.namespace ) {
+		const lesson = context.lesson.namespace ? context.lesson : await Lesson.findById( out.lesson, { namespace: 1 }).lean();
+		out.namespace = lesson ? toID( lesson.namespace ) : null;
+	}
+	if ( out.namespace ) {
+		let namespace = context.namespace;
+		if ( !namespace || !namespace.owners || namespace.program === void 0 ) {
+			namespace = await Namespace.findById( out.namespace, { owners: 1, program: 1 }).lean() || {};
 		}
-		level = successor( level );
-		idx += 1;
+		out.owners = ( namespace.owners || [] ).map( toID );
+		if ( namespace.program ) {
+			out.program = toID( namespace.program );
+		}
+	}
+	if ( out.program ) {
+		let program = context.program;
+		if ( !program || !program.administrators || toID( program ) !== out.program ) {
+			program = await Program.findById( out.program, { administrators: 1 }).lean() || {};
+		}
+		out.administrators = ( program.administrators || [] ).map( toID );
 	}
-	return false;
+	return out;
 }
 
 /**
-* Returns a boolean indicating whether a user has two specified permissions in the relevant context.
+* Returns the roles a user holds at a level of the context hierarchy.
 *
 * @private
-* @param {Object} user - user object
-* @param {string} perm1 - name of first permission
-* @param {string} perm2 - name of second permission
+* @param {Object} user - user document
+* @param {Object} roles - cached roles
 * @param {string} level - context level
-* @param {Array<string>} target - context targets (ObjectId's)
-* @returns {boolean} boolean indicating whether user has the specified permissions
+* @param {Object} context - completed context
+* @returns {Array<Object>} held roles along with a boolean indicating whether they are held implicitly
 */
-function hasTwoPermissions( user, perm1, perm2, level, target ) {
-	let idx = 0;
-	let bool1 = false;
-	let bool2 = false;
-	while ( level ) {
-		const roles = user.roles[ level ];
-		for ( let i = 0; i < roles.length; i += 1 ) {
-			const role = roles[ i ];
-			if ( role.context === target[ idx ] ) {
-				const permissions = ROLES[ role.role ].permissions;
-				if ( permissions[ perm1 ] === true ) {
-					bool1 = true;
-				} else if ( permissions[ perm1 ] === false ) {
-					return false;
-				}
-				if ( permissions[ perm2 ] === true ) {
-					bool2 = true;
-				} else if ( permissions[ perm2 ] === false ) {
-					return false;
-				}
-				if ( bool1 && bool2 ) {
-					return true;
-				}
+function heldRoles( user, roles, level, context ) {
+	const out = [];
+	const target = context[ level ] || null;
+	const assigned = ( user.roles && user.roles[ level ] ) || [];
+	for ( let i = 0; i < assigned.length; i++ ) {
+		if ( ( assigned[ i ].context || null ) === target ) {
+			const role = roles.byID[ toID( assigned[ i ].role ) ];
+			if ( role ) {
+				out.push({ role, implicit: false });
 			}
 		}
-		level = successor( level );
-		idx += 1;
 	}
-	return false;
+	if ( level === 'global' && user.writeAccess ) {
+		out.push({ role: roles.builtIn.instructor, implicit: true });
+	}
+	if ( level === 'program' && context.administrators && context.administrators.includes( toID( user ) ) ) {
+		out.push({ role: roles.builtIn[ 'program-administrator' ], implicit: true });
+	}
+	if ( level === 'namespace' && context.owners && context.owners.includes( toID( user ) ) ) {
+		out.push({ role: roles.builtIn.owner, implicit: true });
+	}
+	return out;
 }
 
 /**
-* Returns a boolean indicating whether a user has a list of permissions in the relevant context.
+* Resolves a permission of a user in a completed context.
+*
+* ## Notes
+*
+* -   The roles of the user are consulted from the most specific level of the context (lesson, namespace, program) up to the global level; the first level at which a role grants or denies the permission decides, with denials taking precedence over grants at the same level.
 *
 * @private
-* @param {Object} user - user object
-* @param {Array<string>} args - permission names
-* @param {string} level - context level
-* @param {Array<string>} target - context targets (ObjectId's)
-* @returns {boolean} boolean indicating whether user has permissions
+* @param {Object} user - user document
+* @param {Object} roles - cached roles
+* @param {string} permission - permission name
+* @param {Object} context - completed context
+* @returns {Object} decision with `granted`, `level`, `role` and `implicit` properties (`level` and `role` are `null` if no role decided)
 */
-function hasMultiplePermissions( user, args, level, target ) {
-	const booleans = new Array( args.length ).fill( false );
-	let idx = 0;
-	while ( level ) {
-		const roles = user.roles[ level ];
-		for ( let i = 0; i < roles.length; i += 1 ) {
-			const role = roles[ i ];
-			if ( role.context === target[ idx ] ) {
-				const permissions = ROLES[ role.role ].permissions;
-				for ( let i = 0; i < args.length; i++ ) {
-					if ( permissions[ args[ i ] ] === true ) {
-						booleans[ i ] = true;
-					} else if ( permissions[ args[ i ] ] === false ) {
-						return false;
-					}
-				}
-				if ( every( booleans ) ) {
-					return true;
-				}
+function decide( user, roles, permission, context ) {
+	const levels = LEVELS.slice( LEVELS.indexOf( PERMISSIONS[ permission ].level ) );
+	for ( let i = 0; i < levels.length; i++ ) {
+		const level = levels[ i ];
+		if ( level !== 'global' && !context[ level ] ) {
+			continue;
+		}
+		const held = heldRoles( user, roles, level, context );
+		let grant = null;
+		for ( let j = 0; j < held.length; j++ ) {
+			const value = held[ j ].role.permissions[ permission ];
+			if ( value === false ) {
+				return { granted: false, level, ...held[ j ] };
+			}
+			if ( value === true && !grant ) {
+				grant = held[ j ];
 			}
 		}
-		level = successor( level );
-		idx += 1;
+		if ( grant ) {
+			return { granted: true, level, ...grant };
+		}
 	}
-	return false;
+	return { granted: false, level: null, role: null, implicit: false };
 }
 
 /**
-* Returns a function to create Express middleware functions for the specified context.
+* Returns a boolean indicating whether a user has a permission in the specified context.
 *
-* @param {string} checkLevel - context for checks (either `namespace`, `lesson`, `global`)
-* @returns {Function} function to create Express middleware function for the specified permissions
+* ## Notes
+*
+* -   Roles held for more specific levels of the context take precedence over roles held for less specific ones.
+* -   Administrators have all permissions.
+*
+* @param {Object} user - user document
+* @param {string} permission - permission name
+* @param {Object} [context={}] - context with `lesson`, `namespace` and `program` documents or identifiers
+* @throws {Error} unknown permission
+* @returns {Promise<boolean>} boolean indicating whether the user has the permission
 */
-function permissionCheckFactory( checkLevel ) {
-	if ( !ROLES ) {
-		updateRolesHash();
+async function hasPermission( user, permission, context = {}) {
+	if ( !PERMISSIONS[ permission ] ) {
+		throw new Error( `Unknown permission: ${permission}` );
 	}
-	return ( ...args ) => {
-		if ( args.length === 0 ) {
-			return ( req, res, next ) => {
-				// Only check whether the context level is set:
-				const level = req.headers[ 'X-Context-Level' ];
-				if ( level !== checkLevel ) {
-					return res.status( 403 ).send( req.t( 'access-denied' ) );
-				}
-				next();
-			};
+	if ( !user ) {
+		return false;
+	}
+	if ( user.administrator ) {
+		return true;
+	}
+	const roles = await loadRoles();
+	context = await completeContext( context );
+	return decide( user, roles, permission, context ).granted;
+}
+
+/**
+* Returns the effective permissions of a user in the specified context along with the role and level each decision came from.
+*
+* ## Notes
+*
+* -   Administrators are reported as holding all permissions via the built-in administrator role at the global level.
+*
+* @param {Object} user - user document
+* @param {Object} [context={}] - context with `lesson`, `namespace` and `program` documents or identifiers
+* @returns {Promise<Object>} object mapping permission names to decisions with `granted`, `level`, `role` (with `_id`, `title` and `builtIn` properties) and `implicit` properties
+*/
+async function explainPermissions( user, context = {}) {
+	const roles = await loadRoles();
+	context = await completeContext( context );
+	const out = {};
+	const names = objectKeys( PERMISSIONS );
+	for ( let i = 0; i < names.length; i++ ) {
+		let decision;
+		if ( user.administrator ) {
+			decision = { granted: true, level: 'global', role: roles.builtIn.administrator, implicit: true };
+		} else {
+			decision = decide( user, roles, names[ i ], context );
 		}
-		if ( args.length === 1 ) {
-			return ( req, res, next ) => {
-				const target = req.headers[ 'X-Context-Target' ].split( ';' ) || ''; // ObjectId or `null`
-				const level = req.headers[ 'X-Context-Level' ];
-				if ( level !== checkLevel ) {
-					return res.status( 403 ).send( req.t( 'access-denied' ) );
-				}
-				const bool = hasIndividualPermission( req.user, args[ 0 ], level, target );
-				if ( !bool ) {
-					return res.status( 403 ).send( req.t( 'access-denied' ) );
-				}
-				next();
-			};
+		out[ names[ i ] ] = {
+			granted: decision.granted,
+			level: decision.level,
+			role: decision.role ? pick( decision.role, [ '_id', 'title', 'builtIn' ]) : null,
+			implicit: decision.implicit
+		};
+	}
+	return out;
+}
+
+/**
+* Resolves the context of a request from the `X-Context-Level` and `X-Context-Target` headers and the `lessonID`, `namespaceID` and `programID` parameters.
+*
+* ## Notes
+*
+* -   `X-Context-Target` holds the identifier of the target at the given level, optionally followed by the identifiers of its parents separated by semicolons (e.g., `<lessonID>;<namespaceID>;<programID>`).
+* -   Parents are always looked up in the database; claimed parents and request parameters which do not match the looked up context are rejected, so that clients cannot acquire permissions by claiming a context unrelated to the requested resource.
+*
+* @param {Request} req - HTTP request object
+* @throws {ErrorStatus} invalid or inconsistent context
+* @returns {Promise<Object>} context with the `lesson` identifier and the `namespace` (with its `owners` and `program`) and `program` (with its `administrators`) documents
+*/
+async function resolveContext( req ) {
+	const claimed = {};
+	const level = req.get( 'X-Context-Level' );
+	if ( level ) {
+		const idx = LEVELS.indexOf( level );
+		if ( idx === -1 ) {
+			throw new ErrorStatus( 400, req.t( 'context-invalid' ) );
 		}
-		if ( args.length === 2 ) {
-			return ( req, res, next ) => {
-				const target = req.headers[ 'X-Context-Target' ].split( ';' ) || ''; // ObjectId or `null`
-				const level = req.headers[ 'X-Context-Level' ];
-				if ( level !== checkLevel ) {
-					return res.status( 403 ).send( req.t( 'access-denied' ) );
-				}
-				const bool = hasTwoPermissions( req.user, args[ 0 ], args[ 1 ], level, target );
-				if ( !bool ) {
-					return res.status( 403 ).send( req.t( 'access-denied' ) );
-				}
-				next();
-			};
+		const targets = ( req.get( 'X-Context-Target' ) || '' ).split( ';' );
+		for ( let i = idx; i < LEVELS.length - 1; i++ ) {
+			if ( targets[ i - idx ] && targets[ i - idx ] !== 'null' ) {
+				claimed[ LEVELS[ i ] ] = targets[ i - idx ];
+			}
 		}
-		// Case: More than two permissions to check
-		return ( req, res, next ) => {
-			const target = req.headers[ 'X-Context-Target' ].split( ';' ) || ''; // ObjectId or `null`
-			const level = req.headers[ 'X-Context-Level' ];
-			if ( level !== checkLevel ) {
-				return res.status( 403 ).send( req.t( 'access-denied' ) );
+	}
+	const body = req.body || {};
+	const params = {
+		lesson: body.lessonID || req.query.lessonID,
+		namespace: body.namespaceID || req.query.namespaceID,
+		program: body.programID || req.query.programID
+	};
+	for ( const key in params ) {
+		if ( params[ key ] ) {
+			if ( claimed[ key ] && claimed[ key ] !== String( params[ key ] ) ) {
+				throw new ErrorStatus( 403, req.t( 'context-mismatch' ) );
 			}
-			const bool = hasMultiplePermissions( req.user, args, target, level );
+			claimed[ key ] = String( params[ key ] );
+		}
+	}
+	for ( const key in claimed ) {
+		if ( !isValidObjectId( claimed[ key ] ) ) {
+			throw new ErrorStatus( 400, req.t( 'context-invalid' ) );
+		}
+	}
+	const context = {
+		lesson: null,
+		namespace: null,
+		program: null
+	};
+	if ( claimed.lesson ) {
+		const lesson = await Lesson.findById( claimed.lesson, { namespace: 1 }).lean();
+		if ( !lesson ) {
+			throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+		}
+		if ( claimed.namespace && claimed.namespace !== String( lesson.namespace ) ) {
+			throw new ErrorStatus( 403, req.t( 'context-mismatch' ) );
+		}
+		context.lesson = claimed.lesson;
+		claimed.namespace = String( lesson.namespace );
+	}
+	if ( claimed.namespace ) {
+		const namespace = await Namespace.findById( claimed.namespace, { owners: 1, program: 1 }).lean();
+		if ( !namespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		const program = namespace.program ? String( namespace.program ) : null;
+		if ( claimed.program && claimed.program !== program ) {
+			throw new ErrorStatus( 403, req.t( 'context-mismatch' ) );
+		}
+		context.namespace = namespace;
+		claimed.program = program;
+	}
+	if ( claimed.program ) {
+		const program = await Program.findById( claimed.program, { title: 1, administrators: 1 }).lean();
+		if ( !program ) {
+			throw new ErrorStatus( 404, req.t( 'program-nonexistent' ) );
+		}
+		context.program = program;
+	}
+	return context;
+}
+
+/**
+* Returns Express middleware checking that the user has all specified permissions in the context of the request.
+*
+* ## Notes
+*
+* -   The resolved context is stored as `req.context` for use by subsequent route handlers.
+*
+* @param {...string} permissions - permission names
+* @returns {Function} Express middleware
+*/
+function checkPermissions( ...permissions ) {
+	for ( let i = 0; i < permissions.length; i++ ) {
+		if ( !PERMISSIONS[ permissions[ i ] ] ) {
+			throw new Error( `Unknown permission: ${permissions[ i ]}` );
+		}
+	}
+	return wrapAsync( async function permissionCheck( req, res, next ) {
+		const context = await resolveContext( req );
+		for ( let i = 0; i < permissions.length; i++ ) {
+			const bool = await hasPermission( req.user, permissions[ i ], context );
 			if ( !bool ) {
-				return res.status( 403 ).send( req.t( 'access-denied' ) );
+				debug( `User ${req.user.email} lacks permission "${permissions[ i ]}"...` );
+				throw new ErrorStatus( 403, req.t( 'access-denied-no-permission', { permission: permissions[ i ] }) );
 			}
-			next();
-		};
-	};
+		}
+		req.context = context;
+		next();
+	});
 }
 
 
@@ -261,36 +437,36 @@ const ns = {};
 setReadOnly( ns, 'updateRolesHash', updateRolesHash );
 
 /**
-* @name checkGlobalPermissions
+* @name hasPermission
 * @memberof ns
 * @readonly
 * @type {Function}
 */
-setReadOnly( ns, 'checkGlobalPermissions', permissionCheckFactory( 'global' ) );
+setReadOnly( ns, 'hasPermission', hasPermission );
 
 /**
-* @name checkProgramPermissions
+* @name explainPermissions
 * @memberof ns
 * @readonly
 * @type {Function}
 */
-setReadOnly( ns, 'checkProgramPermissions', permissionCheckFactory( 'program' ) );
+setReadOnly( ns, 'explainPermissions', explainPermissions );
 
 /**
-* @name checkNamespacePermissions
+* @name resolveContext
 * @memberof ns
 * @readonly
 * @type {Function}
 */
-setReadOnly( ns, 'checkNamespacePermissions', permissionCheckFactory( 'namespace' ) );
+setReadOnly( ns, 'resolveContext', resolveContext );
 
 /**
-* @name checkLessonPermissions
+* @name checkPermissions
 * @memberof ns
 * @readonly
 * @type {Function}
 */
-setReadOnly( ns, 'checkLessonPermissions', permissionCheckFactory( 'lesson' ) );
+setReadOnly( ns, 'checkPermissions', checkPermissions );
 
 
 // EXPORTS //
@@ -19,42 +19,36 @@
 
 // MODULES //
 
-const jwt = require( 'jsonwebtoken' );
-const User = require( './../models/user.js' );
-const { tokens } = require( './../credentials.js' );
+const Namespace = require( './../models/namespace.js' );
+const { hasPermission } = require( './check_permissions.js' );
 
 
 // MAIN //
 
 /**
-* Checks if a user is a file owner, sending an error message back if not.
+* Checks if the authenticated user may manage the files of the namespace specified via the `namespaceName` query parameter when uploading an owner file, sending an error message back if not.
+*
+* ## Notes
+*
+* -   Owner files are stored under a name derived from the `namespaceName` query parameter (replacing earlier uploads of the same file), so the check has to take place before the file is received.
 *
 * @param {Request} req - HTTP request object
 * @param {Response} res - HTTP response object
 * @param {Function} next - callback to invoke after executing a route handler
-* @returns {void}
+* @returns {Promise} promise resolving once the check has been performed
 */
 async function fileOwnerCheck( req, res, next ) {
-	if ( !req.query.owner ) {
+	if ( req.query.owner !== 'true' ) {
 		return next();
 	}
-	const token = req.query.jwt;
-	if ( !token ) {
-		return res.status( 403 ).send( req.t( 'access-denied' ) );
-	}
-	const payload = jwt.verify( token, tokens.jwtKey );
-	const user = await User
-		.findOne({ '_id': payload.id })
-		.populate( 'ownedNamespaces' )
-		.exec();
-	let isOwner = false;
-	user.ownedNamespaces.forEach( x => {
-		if ( x.title === req.query.namespaceName ) {
-			isOwner = true;
+	try {
+		const namespace = await Namespace.findOne({ title: req.query.namespaceName }, { owners: 1 }).lean();
+		const allowed = namespace ? await hasPermission( req.user, 'manage_files', { namespace }) : false;
+		if ( !allowed ) {
+			return res.status( 403 ).send( req.t( 'access-denied' ) );
 		}
-	});
-	if ( !isOwner ) {
-		return res.status( 403 ).send( req.t( 'access-denied' ) );
+	} catch ( err ) {
+		return next( err );
 	}
 	next();
 }
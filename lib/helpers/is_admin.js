@@ -21,27 +21,45 @@
 
 const jwt = require( 'jsonwebtoken' );
 const User = require( './../models/user.js' );
+const resolveAuthSession = require( './../utils/resolve_auth_session.js' );
+const { hasPermission } = require( './check_permissions.js' );
 const { tokens } = require( './../credentials.js' );
 
 
 // MAIN //
 
 /**
-* Determines whether a user is an administrator and sends an error message back if not.
+* Determines whether the user authenticated via the `jwt` query parameter may manage the platform settings (as administrators can) and sends an error message back if not.
 *
 * @param {Request} req - HTTP request object
 * @param {Response} res - HTTP response object
 * @param {Function} next - callback to invoke after executing a route handler
-* @returns {void}
+* @returns {Promise} promise resolving once the check has been performed
 */
 async function isAdmin( req, res, next ) {
 	const token = req.query.jwt;
 	if ( !token ) {
 		return res.status( 403 ).send( req.t( 'access-denied' ) );
 	}
-	const payload = jwt.verify( token, tokens.jwtKey );
-	const user = await User.findOne({ '_id': payload.id });
-	if ( !user.administrator ) {
+	let payload;
+	try {
+		payload = jwt.verify( token, tokens.jwtKey );
+	} catch ( err ) {
+		return res.status( 401 ).send( req.t( 'invalid-token' ) );
+	}
+	let user;
+	let allowed;
+	try {
+		const session = await resolveAuthSession( payload, req.ip );
+		if ( !session ) {
+			return res.status( 401 ).send( req.t( 'session-expired' ) );
+		}
+		user = await User.findOne({ '_id': payload.id });
+		allowed = user ? await hasPermission( user, 'manage_settings' ) : false;
+	} catch ( err ) {
+		return next( err );
+	}
+	if ( !allowed ) {
 		return res.status( 403 ).send( req.t( 'access-denied' ) );
 	}
 	req.user = user;
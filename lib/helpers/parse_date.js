@@ -19,34 +19,33 @@
 
 // MODULES //
 
-const Namespace = require( './../models/namespace.js' );
+const isUndefined = require( '@stdlib/assert/is-undefined' );
+const ErrorStatus = require( './error.js' );
 
 
 // MAIN //
 
 /**
-* Verifies whether a user is the owner of a namespace.
+* Parses an optional date parameter.
 *
-* @param {Request} req - HTTP request object
-* @param {string} namespaceID - namespace identifier
-* @returns {boolean} boolean indicating whether a user is the owner of a namespace
+* @param {*} value - parameter value
+* @param {string} name - name of the parameter
+* @param {Function} t - translation function
+* @throws {Error} error if the value is not a valid date
+* @returns {(Date|null)} date or `null` if not provided
 */
-async function isOwner( req, namespaceID ) {
-	const namespace = await Namespace.findOne({ _id: namespaceID });
-	if ( !namespace ) {
-		throw new Error( req.t( 'namespace-nonexistent' ) );
+function parseDate( value, name, t ) {
+	if ( isUndefined( value ) || value === '' ) {
+		return null;
 	}
-	const id = req.user._id.toString();
-	let owner = false;
-	for ( let i = 0; i < namespace.owners.length; i++ ) {
-		if ( namespace.owners[ i ].toString() === id ) {
-			owner = true;
-		}
+	const date = new Date( value );
+	if ( isNaN( date.getTime() ) ) {
+		throw new ErrorStatus( 400, t( 'field-expect-date', { field: name }) );
 	}
-	return owner;
+	return date;
 }
 
 
 // EXPORTS //
 
-module.exports = isOwner;
+module.exports = parseDate;
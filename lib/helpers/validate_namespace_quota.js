@@ -0,0 +1,60 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { rm } = require( 'fs/promises' );
+const ErrorStatus = require( './error.js' );
+const { namespaceQuota, namespaceUsage } = require( './../storage/quota.js' );
+
+
+// MAIN //
+
+/**
+* Validates that the files uploaded with a request fit into the storage quota of a namespace, removing them otherwise.
+*
+* ## Notes
+*
+* -   The storage engine can only enforce the quota while receiving a file if the namespace is sent before the file; this check covers uploads where it is sent afterwards.
+*
+* @param {Request} req - HTTP request object
+* @param {ObjectId} namespace - namespace identifier
+* @throws {ErrorStatus} uploaded files must not exceed the storage quota of the namespace
+* @returns {Promise} promise resolving once the quota has been validated
+*/
+async function validateNamespaceQuota( req, namespace ) {
+	const quota = namespaceQuota();
+	if ( quota === null || !req.uploadSize ) {
+		return;
+	}
+	const usage = await namespaceUsage( namespace );
+	if ( usage.size + req.uploadSize <= quota ) {
+		return;
+	}
+	const files = req.files || ( req.file ? [ req.file ] : [] );
+	for ( let i = 0; i < files.length; i++ ) {
+		await rm( files[ i ].path, { force: true });
+	}
+	throw new ErrorStatus( 413, req.t( 'namespace-storage-quota-exceeded', { max: quota }) );
+}
+
+
+// EXPORTS //
+
+module.exports = validateNamespaceQuota;
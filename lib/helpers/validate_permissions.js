@@ -0,0 +1,52 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const ErrorStatus = require( './error.js' );
+const { hasPermission } = require( './check_permissions.js' );
+
+
+// MAIN //
+
+/**
+* Validates that a request is made by a user having the specified permissions in a context.
+*
+* @param {Request} req - HTTP request object
+* @param {(string|Array<string>)} permissions - permission name(s)
+* @param {Object} [context] - context with `lesson`, `namespace` and `program` documents or identifiers (defaults to the global context)
+* @throws {Error} error if the user lacks one of the permissions
+* @returns {Promise<void>} promise resolving once all permissions have been checked
+*/
+async function validatePermissions( req, permissions, context ) {
+	if ( !Array.isArray( permissions ) ) {
+		permissions = [ permissions ];
+	}
+	for ( let i = 0; i < permissions.length; i++ ) {
+		const bool = await hasPermission( req.user, permissions[ i ], context );
+		if ( !bool ) {
+			throw new ErrorStatus( 403, req.t( 'access-denied-no-permission', { permission: permissions[ i ] }) );
+		}
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = validatePermissions;
@@ -0,0 +1,63 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const isString = require( '@stdlib/assert/is-string' ).isPrimitive;
+const ErrorStatus = require( './error.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Tests whether a value is an absolute HTTPS URL.
+*
+* @private
+* @param {string} value - value to test
+* @returns {boolean} boolean indicating whether a value is an HTTPS URL
+*/
+function isHTTPSURL( value ) {
+	try {
+		return new URL( value ).protocol === 'https:';
+	} catch ( err ) {
+		return false;
+	}
+}
+
+
+// MAIN //
+
+/**
+* Validates if a value is an absolute HTTPS URL.
+*
+* @param {*} value - value to validate
+* @param {string} name - property name
+* @param {Function} t - translation function
+* @throws {Error} if a value is not an HTTPS URL
+*/
+function validateURL( value, name, t ) {
+	if ( !isString( value ) || !isHTTPSURL( value ) ) {
+		throw new ErrorStatus( 400, t('field-expect-url', { field: name }));
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = validateURL;
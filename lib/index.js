@@ -44,12 +44,14 @@ const passport = require( './passport.js' );
 const i18next = require( './i18n.js' );
 const fromWithinApp = require( './helpers/from_within.js' );
 const socketHandler = require( './sockets/handler.js' );
+const attachSocketAdapter = require( './sockets/adapter.js' );
 const isAdmin = require( './helpers/is_admin.js' );
 const config = require( '../etc/config.json' );
 const pkgJSON = require( './../package.json' );
 const { tokens } = require( './credentials.js' );
 const registerSAML = require( './saml.js' );
-const { BACKUP_DIRECTORY, LOCALES_DIRECTORY, LOGS_DIRECTORY, MEDIA_DIRECTORY, NAMESPACES_DIRECTORY } = require( './constants.js' );
+const runMigrations = require( './migrations' );
+const { LOCALES_DIRECTORY, LOGS_DIRECTORY, MEDIA_DIRECTORY, NAMESPACES_DIRECTORY, PUBLIC_MEDIA_DIRECTORIES } = require( './constants.js' );
 require( './connect_mongoose.js' );
 require( './create_events.js' );
 require( './scheduler.js' );
@@ -103,6 +105,19 @@ const io = require( 'socket.io' )( server, {
 });
 socketHandler( io );
 
+// Make socket.io available to routes which notify connected clients:
+app.set( 'io', io );
+
+// Share broadcasts between several server processes if configured:
+attachSocketAdapter( io ).catch( ( err ) => {
+	debug( `Encountered an error when attaching the socket.io adapter: ${err.message}` );
+});
+
+// Bring the database up to date (queries are buffered until the connection has been established):
+runMigrations().catch( ( err ) => {
+	debug( `Encountered an error when running database migrations: ${err.message}` );
+});
+
 // Configure CORS (TODO: should be revisited):
 app.use( cors({
 	'origin': '*',
@@ -221,9 +236,11 @@ app.use( '/files/', fromWithinApp );
 
 app.use( express.static( NAMESPACES_DIRECTORY ) );
 
-app.use( express.static( MEDIA_DIRECTORY ) );
-
-app.use( express.static( BACKUP_DIRECTORY ) );
+// Uploaded files, ticket attachments and backups are served by `./media.js` after checking access:
+for ( let i = 0; i < PUBLIC_MEDIA_DIRECTORIES.length; i++ ) {
+	const dir = PUBLIC_MEDIA_DIRECTORIES[ i ];
+	app.use( '/'+dir+'/', express.static( join( MEDIA_DIRECTORY, dir ) ) );
+}
 
 app.use( '/locales/', express.static( LOCALES_DIRECTORY ) );
 
@@ -247,17 +264,25 @@ app.use( bodyParser.json({
 
 app.use( require('./statistics.js' ) );
 app.use( require('./announcements.js' ) );
+app.use( require('./audit_log.js' ) );
+app.use( require('./auth_sessions.js' ) );
 app.use( require('./backups.js' ) );
 app.use( require('./badges.js' ) );
+app.use( require('./chats.js' ) );
 app.use( require('./cohorts.js' ) );
 app.use( require('./custom_fields.js' ) );
 app.use( require('./events.js' ) );
 app.use( require('./files.js' ) );
+app.use( require('./grades.js' ) );
 app.use( require('./lessons.js' ) );
 app.use( require('./license.js' ) );
 app.use( require('./login.js' ) );
+app.use( require('./login_lockouts.js' ) );
+app.use( require('./lti' ) );
 app.use( require('./mail.js' ) );
 app.use( require('./namespaces.js' ) );
+app.use( require('./oidc' ) );
+app.use( require('./programs.js' ) );
 app.use( require('./roles.js' ) );
 app.use( require('./services.js' ) );
 app.use( require('./sessiondata.js' ) );
@@ -265,12 +290,17 @@ app.use( require('./settings.js' ) );
 app.use( require('./sketchpad.js' ) );
 app.use( require('./statistics.js' ) );
 app.use( require('./sticky_notes.js' ) );
+app.use( require('./storage_usage.js' ) );
 app.use( require('./text_editor_document.js' ) );
 app.use( require('./tickets.js' ) );
 app.use( require('./two_factor_authentication.js' ) );
 app.use( require('./users.js' ) );
+app.use( require('./webauthn' ) );
 app.use( require('./docs' ) );
 
+// Has to come last, as it serves uploaded files for otherwise unmatched paths:
+app.use( require('./media.js' ) );
+
 app.get( '/', function onDefault( req, res ) {
 	req.session.inDashboard = true;
 	res.redirect( '/dashboard/' );
@@ -32,7 +32,7 @@ const router = require( 'express' ).Router();
 const multer = require( 'multer' );
 const ncp = require( 'ncp' ).ncp;
 const { join, resolve } = require( 'path' );
-const { readFile, rmdir } = require( 'fs/promises' );
+const { readFile, rm, rmdir } = require( 'fs/promises' );
 const axios = require( 'axios' );
 const qs = require( 'qs' );
 const contains = require( '@stdlib/assert/contains' );
@@ -50,27 +50,33 @@ const validateLessonName = require( './helpers/validate_lesson_name.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const validateBoolean = require( './helpers/validate_boolean.js' );
 const validateString = require( './helpers/validate_string.js' );
-const validateOwner = require( './helpers/validate_owner.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const { checkPermissions, hasPermission } = require( './helpers/check_permissions.js' );
 const ErrorStatus = require( './helpers/error.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const Namespace = require( './models/namespace.js' );
-const Cohort = require( './models/cohort.js' );
+const Program = require( './models/program.js' );
+const Grade = require( './models/grade.js' );
 const Event = require( './models/event.js' );
 const Lesson = require( './models/lesson.js' );
 const { deepl } = require( './credentials.js' );
 const renameDirectory = require( './utils/rename_directory.js' );
-const openRooms = require( './sockets/open_rooms.js' );
-const unzipLessonFolder = require( './unzip_lesson_folder.js' );
+const Room = require( './sockets/room.js' );
+const { removePreviousLessonFolder, rollbackLessonFolder, unzipLessonFolder } = require( './unzip_lesson_folder.js' );
+const QuotaStorage = require( './storage/quota_storage.js' );
+const { namespaceQuota, namespaceUsage } = require( './storage/quota.js' );
 const { NAMESPACES_DIRECTORY } = require( './constants.js' );
 
 
 // VARIABLES //
 
 const RE_PREAMBLE = /^(---[\S\s]*?---)/;
+const BYTES_PER_MB = 1e6; // Same unit as the storage quotas
 // Settings fo lesson data upload from the ISLE editor using `multer` library:
 const lessonUpload = multer({
-	dest: NAMESPACES_DIRECTORY,
+	storage: new QuotaStorage( multer.diskStorage({
+		destination: NAMESPACES_DIRECTORY
+	}) ),
 	limits: {
 		fieldNameSize: 100,
 		fileSize: 30 * 1024 * 1024, // 30MB
@@ -79,6 +85,66 @@ const lessonUpload = multer({
 });
 
 
+// FUNCTIONS //
+
+/**
+* Retrieves a namespace by its title along with one of its lessons and validates that the user has a permission for the lesson.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @param {string} namespaceName - namespace title
+* @param {string} lessonName - lesson title
+* @param {string} permission - required permission
+* @throws {Error} namespace or lesson does not exist or user lacks the permission
+* @returns {Promise<Object>} object with `namespace` and `lesson` documents
+*/
+async function findLesson( req, namespaceName, lessonName, permission ) {
+	const namespace = await Namespace.findOne({ title: namespaceName });
+	if ( !namespace ) {
+		throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+	}
+	const lesson = await Lesson.findOne({ namespace: namespace, title: lessonName });
+	if ( !lesson ) {
+		throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+	}
+	await validatePermissions( req, permission, { namespace, lesson });
+	return { namespace, lesson };
+}
+
+/**
+* Validates that lessons shared as templates within a program are only copied into namespaces of the same program.
+*
+* ## Notes
+*
+* -   Users who may update the source lesson can copy it anywhere.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @param {string} source - title of the source namespace
+* @param {string} sourceName - title of the source lesson
+* @param {Object} target - target namespace
+* @throws {ErrorStatus} lesson is a program template of another program
+* @returns {Promise<void>} promise resolving once access has been validated
+*/
+async function validateTemplateAccess( req, source, sourceName, target ) {
+	const namespace = await Namespace.findOne({ title: source }, { owners: 1, program: 1 }).lean();
+	if ( !namespace ) {
+		return;
+	}
+	const lesson = await Lesson.findOne({ namespace: namespace._id, title: sourceName }, { namespace: 1, template: 1, programTemplate: 1 }).lean();
+	if ( !lesson || !lesson.programTemplate || lesson.template ) {
+		return;
+	}
+	if ( target.program && String( target.program ) === String( namespace.program ) ) {
+		return;
+	}
+	const bool = await hasPermission( req.user, 'update_lesson', { namespace, lesson });
+	if ( !bool ) {
+		throw new ErrorStatus( 403, req.t( 'lesson-template-other-program' ) );
+	}
+}
+
+
 // MAIN //
 
 /**
@@ -87,7 +153,7 @@ const lessonUpload = multer({
  * /create_lesson:
  *   post:
  *     summary: Create lesson
- *     description: Create a new lesson.
+ *     description: Create a new lesson or upload a new version of an existing lesson. The uploaded ZIP archive is validated (entry paths, number of files and total unpacked size as limited by the `lessonUploadMaxFiles` and `lessonUploadMaxSizeMB` settings) and extracted into a staging directory before replacing the lesson files, whose previous version is kept for `/rollback_lesson`. The unpacked lesson must fit into the storage quota of the namespace (setting `namespaceStorageQuotaMB`), against which the version being replaced does not count.
  *     tags: [Lessons]
  *     security:
  *       - JWT: []
@@ -133,77 +199,191 @@ const lessonUpload = multer({
  *                   type: string
  *                   description: Result message.
  *                   example: Lesson successfully created.
+ *                 hasPreviousVersion:
+ *                   type: boolean
+ *                   description: Whether the upload replaced an earlier version of the lesson, which can be restored via `/rollback_lesson`.
+ *       400:
+ *         description: Missing, corrupt or unsafe lesson archive or archive exceeding the size or file count limits.
+ *       403:
+ *         description: User lacks the permission to create or update the lesson.
+ *       404:
+ *         description: Namespace does not exist.
+ *       413:
+ *         description: Lesson exceeds the storage quota of the namespace.
  */
 router.post( '/create_lesson',
-	lessonUpload.single( 'zipped' ),
 	passport.authenticate( 'jwt', { session: false }),
+	lessonUpload.single( 'zipped' ),
 	wrapAsync( async function onCreateLesson( req, res ) {
-		const { namespaceName, lessonName, description, metadata, showInGallery, active } = req.body;
-
-		validateNamespaceName( namespaceName, 'namespaceName', req.t );
-		validateLessonName( lessonName, 'lessonName', req.t );
+		try {
+			const { namespaceName, lessonName, description, metadata, showInGallery, active } = req.body;
 
-		debug( 'Should create lesson....' );
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: { $in: [ req.user ]}
-		});
-		debug( 'Create lesson object:' );
-		let lesson = await Lesson.findOne({
-			namespace: namespace,
-			title: lessonName
-		});
-		if ( !lesson ) {
-			const data = {
-				namespace: namespace,
-				title: lessonName
-			};
-			if ( isString( description ) ) {
-				data.description = description;
+			validateNamespaceName( namespaceName, 'namespaceName', req.t );
+			validateLessonName( lessonName, 'lessonName', req.t );
+			if ( !req.file ) {
+				throw new ErrorStatus( 400, req.t( 'lesson-archive-missing' ) );
 			}
-			if ( isJSON( metadata ) ) {
-				data.metadata = JSON.parse( metadata );
+			debug( 'Should create lesson....' );
+			const namespace = await Namespace.findOne({ title: namespaceName });
+			if ( !namespace ) {
+				throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
 			}
-			if ( isString( active ) ) {
-				data.active = ( active === 'true' );
+			let lesson = await Lesson.findOne({
+				namespace: namespace,
+				title: lessonName
+			});
+			const isNew = !lesson;
+			if ( isNew ) {
+				await validatePermissions( req, 'create_lesson', { namespace });
+				debug( 'Create lesson object:' );
+				lesson = new Lesson({
+					namespace: namespace,
+					title: lessonName
+				});
+			} else {
+				await validatePermissions( req, 'update_lesson', { namespace, lesson });
 			}
-			if ( isString( showInGallery ) ) {
-				data.public = ( showInGallery === 'true' );
+			const maxStorage = namespaceQuota();
+			let quota = null;
+			if ( maxStorage !== null ) {
+				const usage = await namespaceUsage( namespace._id, lessonName );
+				quota = {
+					available: maxStorage - usage.size,
+					max: maxStorage
+				};
 			}
-			lesson = new Lesson( data );
-			debug( 'Save lesson to database...' );
-			await lesson.save();
+			const { size, hasPreviousVersion } = await unzipLessonFolder({
+				namespaceName,
+				lessonName,
+				lessonID: lesson._id,
+				filename: req.file.filename,
+				t: req.t,
+				quota
+			});
+			lesson.previousSize = hasPreviousVersion ? lesson.size : 0;
+			lesson.size = size / BYTES_PER_MB;
+			if ( isNew ) {
+				if ( isString( description ) ) {
+					lesson.description = description;
+				}
+				if ( isJSON( metadata ) ) {
+					lesson.metadata = JSON.parse( metadata );
+				}
+				if ( isString( active ) ) {
+					lesson.active = ( active === 'true' );
+				}
+				if ( isString( showInGallery ) ) {
+					lesson.public = ( showInGallery === 'true' );
+				}
+				debug( 'Save lesson to database...' );
+				await lesson.save();
 
-			if ( !namespace.lessons || namespace.lessons.length === 0 ) {
-				debug( 'Attach all lessons to namespace...' );
-				const lessons = await Lesson.find({ namespace: namespace });
-				namespace.lessons = lessons;
+				if ( !namespace.lessons || namespace.lessons.length === 0 ) {
+					debug( 'Attach all lessons to namespace...' );
+					const lessons = await Lesson.find({ namespace: namespace });
+					namespace.lessons = lessons;
+				} else {
+					debug( 'Attach new lesson to namespace...' );
+					namespace.lessons.push( lesson._id );
+				}
+				await namespace.save();
 			} else {
-				debug( 'Attach new lesson to namespace...' );
-				namespace.lessons.push( lesson._id );
-			}
-			await namespace.save();
-		} else {
-			lesson.updatedAt = new Date();
-			if ( isString( description ) && lesson.description === 'No description supplied.' ) {
-				lesson.description = description;
-			}
-			if ( isJSON( metadata ) ) {
-				lesson.metadata = JSON.parse( metadata );
-			}
-			if ( isString( active ) ) {
-				lesson.active = ( active === 'true' );
-			}
-			if ( isString( showInGallery ) ) {
-				lesson.public = ( showInGallery === 'true' );
+				lesson.updatedAt = new Date();
+				if ( isString( description ) && lesson.description === 'No description supplied.' ) {
+					lesson.description = description;
+				}
+				if ( isJSON( metadata ) ) {
+					lesson.metadata = JSON.parse( metadata );
+				}
+				if ( isString( active ) ) {
+					lesson.active = ( active === 'true' );
+				}
+				if ( isString( showInGallery ) ) {
+					lesson.public = ( showInGallery === 'true' );
+				}
+				await lesson.save({
+					timestamps: true
+				});
 			}
-			lesson.save({
-				timestamps: true
+			res.json({
+				message: req.t( 'lesson-uploaded' ),
+				hasPreviousVersion
 			});
+		} finally {
+			if ( req.file ) {
+				await rm( req.file.path, { force: true });
+			}
 		}
-		unzipLessonFolder( namespaceName, lessonName, req.file.filename );
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /rollback_lesson:
+ *   post:
+ *     summary: Roll back lesson
+ *     description: Restore the version of a lesson that was replaced by its last upload. The replaced files become the new previous version, so that the rollback can be undone by calling the route again.
+ *     tags: [Lessons]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               namespaceName:
+ *                 type: string
+ *                 description: The name of the namespace to which the lesson belongs.
+ *                 example: my-namespace
+ *               lessonName:
+ *                 type: string
+ *                 description: The name of the lesson.
+ *                 example: my-lesson
+ *     responses:
+ *       200:
+ *         description: Previous version restored.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Result message.
+ *                   example: The previous version of the lesson has been restored.
+ *       403:
+ *         description: User lacks the permission to update the lesson.
+ *       404:
+ *         description: Namespace, lesson or previous version does not exist.
+ */
+router.post( '/rollback_lesson',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRollbackLesson( req, res ) {
+		const { namespaceName, lessonName } = req.body;
+
+		validateNamespaceName( namespaceName, 'namespaceName', req.t );
+		validateLessonName( lessonName, 'lessonName', req.t );
+
+		const { lesson } = await findLesson( req, namespaceName, lessonName, 'update_lesson' );
+		const restored = await rollbackLessonFolder({
+			namespaceName,
+			lessonName,
+			lessonID: lesson._id
+		});
+		if ( !restored ) {
+			throw new ErrorStatus( 404, req.t( 'lesson-previous-version-nonexistent' ) );
+		}
+		const size = lesson.size;
+		lesson.size = lesson.previousSize;
+		lesson.previousSize = size;
+		lesson.updatedAt = new Date();
+		await lesson.save({
+			timestamps: true
+		});
 		res.json({
-			message: req.t( 'lesson-uploaded' )
+			message: req.t( 'lesson-rolled-back' )
 		});
 	})
 );
@@ -258,19 +438,7 @@ router.post( '/delete_lesson',
 		validateNamespaceName( namespaceName, 'namespaceName', req.t );
 		validateLessonName( lessonName, 'lessonName', req.t );
 
-		const query = {
-			title: namespaceName
-		};
-		if ( !req.user.administrator ) {
-			query.owners = {
-				$in: [ req.user ]
-			};
-		}
-		const namespace = await Namespace.findOne( query );
-		if ( !namespace ) {
-			throw new ErrorStatus( 403, req.t( 'namespace-nonexistent' ) );
-		}
-		const lesson = await Lesson.findOne({ namespace: namespace, title: lessonName });
+		const { namespace, lesson } = await findLesson( req, namespaceName, lessonName, 'delete_lesson' );
 		namespace.lessons.pull( lesson._id );
 		await namespace.save();
 
@@ -280,6 +448,7 @@ router.post( '/delete_lesson',
 		await rmdir( dirpath, {
 			recursive: true
 		});
+		await removePreviousLessonFolder( lesson._id );
 		await Lesson.deleteOne({ namespace: namespace, title: lessonName });
 		res.json({
 			message: req.t( 'lesson-deleted' )
@@ -335,6 +504,10 @@ router.post( '/delete_lesson',
  *                 type: boolean
  *                 description: Whether the lesson should serve as a template.
  *                 example: true
+ *               programTemplate:
+ *                 type: boolean
+ *                 description: Whether the lesson should serve as a template for the namespaces in the program of its namespace.
+ *                 example: true
  *     responses:
  *       200:
  *         description: Lesson updated.
@@ -366,16 +539,13 @@ router.post( '/delete_lesson',
 router.post( '/update_lesson',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onUpdateLesson( req, res ) {
-		const { namespaceName, lessonName, newTitle, newDescription, lockUntil, lockAfter, hideFromDashboard, template } = req.body;
+		const { namespaceName, lessonName, newTitle, newDescription, lockUntil, lockAfter, hideFromDashboard, template, programTemplate } = req.body;
 
 		validateNamespaceName( namespaceName, 'namespaceName', req.t );
 		validateLessonName( lessonName, 'lessonName', req.t );
 		validateLessonName( newTitle, 'newTitle', req.t );
 		validateString( newDescription, 'newDescription', req.t );
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: { $in: [ req.user ]}
-		});
+		const { namespace, lesson } = await findLesson( req, namespaceName, lessonName, 'update_lesson' );
 		if ( newTitle !== lessonName ) {
 			const existingLesson = await Lesson.findOne({
 				namespace: namespace, title: newTitle
@@ -385,18 +555,24 @@ router.post( '/update_lesson',
 			}
 		}
 		if ( !isUndefined( template ) ) {
-			validateAdmin( req );
+			await validatePermissions( req, 'manage_templates' );
 		}
-		const lesson = await Lesson
-			.findOne({ namespace: namespace, title: lessonName })
-			.populate( [ 'lockUntil', 'lockAfter' ] )
-			.exec();
+		if ( !isUndefined( programTemplate ) ) {
+			validateBoolean( programTemplate, 'programTemplate', req.t );
+			if ( programTemplate && !namespace.program ) {
+				throw new ErrorStatus( 400, req.t( 'namespace-not-in-program' ) );
+			}
+		}
+		await lesson.populate([ 'lockUntil', 'lockAfter' ]);
 		try {
 			lesson.title = newTitle;
 			lesson.description = newDescription;
 			if ( !isUndefined( template ) ) {
 				lesson.template = template;
 			}
+			if ( !isUndefined( programTemplate ) ) {
+				lesson.programTemplate = programTemplate;
+			}
 			if ( !isUndefined( hideFromDashboard ) ) {
 				validateBoolean( hideFromDashboard, 'hideFromDashboard', req.t );
 				lesson.hideFromDashboard = hideFromDashboard;
@@ -619,12 +795,12 @@ router.get( '/get_lesson_info',
  */
 router.post( '/update_metadata',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'update_lesson' ),
 	wrapAsync( async function updateMetadata( req, res ) {
 		const { lessonID, namespaceID, type, key, value } = req.body;
 
 		validateObjectId( lessonID, 'lessonID', req.t );
 		validateObjectId( namespaceID, 'namespaceID', req.t );
-		await validateOwner( req, namespaceID );
 		validateString( type, 'type', req.t );
 		validateString( key, 'key', req.t );
 
@@ -900,7 +1076,7 @@ router.get( '/get_all_lessons',
 	wrapAsync( async function onGetAllLessons( req, res ) {
 		const namespaceFields = req.query.namespaceFields || 'title';
 
-		validateAdmin( req );
+		await validatePermissions( req, 'view_all_courses' );
 		validateString( namespaceFields, 'namespaceFields', req.t );
 
 		const lessons = await Lesson
@@ -917,7 +1093,7 @@ router.get( '/get_all_lessons',
  * /get_template_lessons:
  *   get:
  *     summary: Get template lessons
- *     description: Get template lessons.
+ *     description: Get the template lessons offered to all instructors along with the template lessons shared within the programs whose namespaces the user owns or administers.
  *     tags: [Lessons]
  *     security:
  *       - JWT: []
@@ -942,9 +1118,23 @@ router.get( '/get_all_lessons',
 router.get( '/get_template_lessons',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetTemplateLessons( req, res ) {
+		// Programs whose namespaces the user owns or which the user administers:
+		const owned = await Namespace.distinct( 'program', {
+			owners: req.user._id,
+			program: { $ne: null }
+		});
+		const administered = await Program.distinct( '_id', {
+			administrators: req.user._id
+		});
+		const namespaces = await Namespace.distinct( '_id', {
+			program: { $in: owned.concat( administered ) }
+		});
 		const lessons = await Lesson
 			.find({
-				template: true
+				$or: [
+					{ template: true },
+					{ programTemplate: true, namespace: { $in: namespaces }}
+				]
 			})
 			.populate( 'namespace', 'title' )
 			.exec();
@@ -994,10 +1184,7 @@ router.post( '/translate_lesson',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onTranslateLesson( req, res ) {
 		/* eslint-disable camelcase */
-		const isInstructor = req.user.writeAccess;
-		if ( !isInstructor ) {
-			return res.status( 403 ).send( req.t( 'access-denied' ) );
-		}
+		await validatePermissions( req, 'translate_lesson' );
 		let { text, target_lang } = req.body;
 
 		validateString( text, 'text', req.t );
@@ -1074,16 +1261,8 @@ router.post( '/activate_lesson',
 		validateNamespaceName( namespaceName, 'namespaceName', req.t );
 		validateLessonName( lessonName, 'lessonName', req.t );
 
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: {
-				$in: [ req.user ]
-			}
-		});
-		await Lesson.updateOne(
-			{ namespace: namespace, title: lessonName },
-			{ active: true }
-		);
+		const { lesson } = await findLesson( req, namespaceName, lessonName, 'update_lesson' );
+		await lesson.updateOne( { active: true } );
 		res.json({
 			message: req.t( 'lesson-activated' )
 		});
@@ -1138,16 +1317,8 @@ router.post( '/deactivate_lesson',
 		validateNamespaceName( namespaceName, 'namespaceName', req.t );
 		validateLessonName( lessonName, 'lessonName', req.t );
 
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: {
-				$in: [ req.user ]
-			}
-		});
-		await Lesson.updateOne(
-			{ namespace: namespace, title: lessonName },
-			{ active: false }
-		);
+		const { lesson } = await findLesson( req, namespaceName, lessonName, 'update_lesson' );
+		await lesson.updateOne( { active: false } );
 		res.json({
 			message: req.t( 'lesson-deactivated' )
 		});
@@ -1202,16 +1373,8 @@ router.post( '/show_lesson',
 		validateNamespaceName( namespaceName, 'namespaceName', req.t );
 		validateLessonName( lessonName, 'lessonName', req.t );
 
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: {
-				$in: [ req.user ]
-			}
-		});
-		await Lesson.updateOne(
-			{ namespace: namespace, title: lessonName },
-			{ public: true }
-		);
+		const { lesson } = await findLesson( req, namespaceName, lessonName, 'update_lesson' );
+		await lesson.updateOne( { public: true } );
 		res.json({
 			message: req.t( 'lesson-visible-gallery' )
 		});
@@ -1266,16 +1429,8 @@ router.post( '/hide_lesson',
 		validateNamespaceName( namespaceName, 'namespaceName', req.t );
 		validateLessonName( lessonName, 'lessonName', req.t );
 
-		const namespace = await Namespace.findOne({
-			title: namespaceName,
-			owners: {
-				$in: [ req.user ]
-			}
-		});
-		await Lesson.updateOne(
-			{ namespace: namespace, title: lessonName },
-			{ public: false }
-		);
+		const { lesson } = await findLesson( req, namespaceName, lessonName, 'update_lesson' );
+		await lesson.updateOne( { public: false } );
 		res.json({
 			message: req.t( 'lesson-hidden-gallery' )
 		});
@@ -1331,6 +1486,8 @@ router.post( '/hide_lesson',
  *                   type: string
  *                   description: Success message
  *                   example: Lesson copied
+ *       403:
+ *         description: Access denied for users lacking the `create_lesson` permission for the target namespace or when copying a template lesson shared within another program
  *       405:
  *         description: Invalid request
  *         content:
@@ -1353,7 +1510,12 @@ router.post( '/copy_lesson',
 		validateLessonName( targetName, 'targetName', req.t );
 
 		debug( 'Should copy lesson....' );
-		const namespace = await Namespace.findOne({ title: target, owners: { $in: [ req.user ]}} );
+		const namespace = await Namespace.findOne({ title: target });
+		if ( !namespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		await validatePermissions( req, 'create_lesson', { namespace });
+		await validateTemplateAccess( req, source, sourceName, namespace );
 		debug( 'Create lesson object: ' );
 		let lesson = new Lesson({
 			namespace: namespace,
@@ -1448,10 +1610,13 @@ router.post( '/copy_namespace_lessons',
 			.findOne({ title: target })
 			.populate( 'lessons' )
 			.exec();
+		if ( !sourceNamespace || !targetNamespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
 		const targetLessons = targetNamespace.lessons.map( x => x.title );
 
-		await validateOwner( req, sourceNamespace._id );
-		await validateOwner( req, targetNamespace._id );
+		await validatePermissions( req, 'update_lesson', { namespace: sourceNamespace });
+		await validatePermissions( req, 'create_lesson', { namespace: targetNamespace });
 
 		const sourceLessons = sourceNamespace.lessons;
 
@@ -1548,23 +1713,23 @@ router.post( '/copy_namespace_lessons',
  */
 router.get( '/get_lesson_grades',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'view_gradebook' ),
 	wrapAsync( async function onLessonGrades( req, res ) {
 		const { lessonID, namespaceID } = req.query;
 
 		validateObjectId( namespaceID, 'namespaceID', req.t );
 		validateObjectId( lessonID, 'lessonID', req.t );
-		await validateOwner( req, namespaceID );
 
-		const cohorts = await Cohort
-			.find({ namespace: namespaceID })
-			.populate( 'members', 'email lessonGrades' );
+		const docs = await Grade
+			.find({ namespace: namespaceID, lesson: lessonID, points: { $ne: null }}, { user: 1, component: 1, points: 1 })
+			.populate( 'user', 'email' )
+			.lean();
 		const grades = {};
-		for ( let i = 0; i < cohorts.length; i++ ) {
-			for ( let j = 0; j < cohorts[ i ].members.length; j++ ) {
-				const member = cohorts[ i ].members[ j ];
-				if ( member.lessonGrades[ lessonID ] ) {
-					grades[ member.email ] = member.lessonGrades[ lessonID ];
-				}
+		for ( let i = 0; i < docs.length; i++ ) {
+			const { user, component, points } = docs[ i ];
+			if ( user ) {
+				grades[ user.email ] = grades[ user.email ] || {};
+				grades[ user.email ][ component ] = points;
 			}
 		}
 		res.json({ message: 'ok', grades: grades });
@@ -1612,23 +1777,23 @@ router.get( '/get_lesson_grades',
  */
 router.get( '/get_lesson_grade_messages',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'view_gradebook' ),
 	wrapAsync( async function onLessonGradeMessages( req, res ) {
 		const { lessonID, namespaceID } = req.query;
 
 		validateObjectId( namespaceID, 'namespaceID', req.t );
 		validateObjectId( lessonID, 'lessonID', req.t );
-		await validateOwner( req, namespaceID );
 
-		const cohorts = await Cohort
-			.find({ namespace: namespaceID })
-			.populate( 'members', 'email lessonGradeMessages' );
+		const docs = await Grade
+			.find({ namespace: namespaceID, lesson: lessonID, 'messages.0': { $exists: true }}, { user: 1, component: 1, messages: 1 })
+			.populate( 'user', 'email' )
+			.lean();
 		const gradeMessages = {};
-		for ( let i = 0; i < cohorts.length; i++ ) {
-			for ( let j = 0; j < cohorts[ i ].members.length; j++ ) {
-				const member = cohorts[ i ].members[ j ];
-				if ( member.lessonGradeMessages[ lessonID ] ) {
-					gradeMessages[ member.email ] = member.lessonGradeMessages[ req.query.lessonID ];
-				}
+		for ( let i = 0; i < docs.length; i++ ) {
+			const { user, component, messages } = docs[ i ];
+			if ( user ) {
+				gradeMessages[ user.email ] = gradeMessages[ user.email ] || {};
+				gradeMessages[ user.email ][ component ] = messages;
 			}
 		}
 		res.json({ message: 'ok', gradeMessages: gradeMessages });
@@ -1683,20 +1848,17 @@ router.get( '/get_lesson_grade_messages',
  */
 router.get( '/get_open_rooms',
 	passport.authenticate( 'jwt', { session: false }),
-	function onGetOpenRooms( req, res ) {
-		validateAdmin( req );
-
-		const rooms = openRooms.map( ( room ) => {
-			return {
-				name: room.name,
-				startTime: room.startTime,
-				members: room.members,
-				chats: room.chats,
-				groups: room.groups
-			};
-		});
+	wrapAsync( async function onGetOpenRooms( req, res ) {
+		await validatePermissions( req, 'view_statistics' );
+
+		const names = await Room.list();
+		const rooms = [];
+		for ( let i = 0; i < names.length; i++ ) {
+			const room = new Room( null, names[ i ] );
+			rooms.push( await room.describe() );
+		}
 		res.json({ message: 'ok', rooms });
-	}
+	})
 );
 
 
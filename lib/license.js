@@ -36,7 +36,7 @@ const storage = require( './storage' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const isAdmin = require( './helpers/is_admin.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
 const ev = require( './ev.js' );
 const { MEDIA_DIRECTORY, SERVER_HOST_NAME } = require( './constants.js' );
 
@@ -106,7 +106,7 @@ router.get( '/get_license',
 router.post( '/remove_license',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onRemoveLicense( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_settings' );
 		await unlink( join( MEDIA_DIRECTORY, '.isle-license' ) );
 		res.json({ message: 'ok' });
 	})
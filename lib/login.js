@@ -29,9 +29,19 @@
 
 const router = require( 'express' ).Router();
 const jwt = require( 'jsonwebtoken' );
+const isValidObjectId = require( 'mongoose' ).isValidObjectId;
+const ExtractJwt = require( 'passport-jwt' ).ExtractJwt;
 const debug = require( './debug' )( 'server:login' );
 const passport = require( './passport.js' );
 const sendVerificationEmail = require( './utils/send_verification_email.js' );
+const createAuthSession = require( './utils/create_auth_session.js' );
+const refreshAuthSession = require( './utils/refresh_auth_session.js' );
+const revokeAuthSessions = require( './utils/revoke_auth_sessions.js' );
+const hashToken = require( './utils/hash_token.js' );
+const issueUserToken = require( './utils/issue_user_token.js' );
+const consumeUserToken = require( './utils/consume_user_token.js' );
+const { assertLoginAllowed, recordLoginAttempt } = require( './login_throttle.js' );
+const authenticationOptions = require( './webauthn/authentication_options.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const ErrorStatus = require( './helpers/error.js' );
 const validateString = require( './helpers/validate_string.js' );
@@ -45,6 +55,11 @@ const ev = require( './ev.js' );
 const { NOTIFICATIONS_EMAIL, SERVER_HOST_NAME } = require( './constants.js' );
 
 
+// VARIABLES //
+
+const extractJwt = ExtractJwt.fromAuthHeaderWithScheme( 'jwt' );
+
+
 // MAIN //
 
 /**
@@ -53,7 +68,7 @@ const { NOTIFICATIONS_EMAIL, SERVER_HOST_NAME } = require( './constants.js' );
  * /login:
  *   post:
  *     summary: Login user.
- *     description: Login user and return a JWT token.
+ *     description: Login user and return a JWT token. If the user has registered a security key or passkey, the response instead has the message `finish-login-via-webauthn` and contains authentication options for completing the login via `/login_webauthn`; if two-factor authentication via an authenticator app is enabled, the message is `finish-login-via-tfa` and the login has to be completed via `/login_tfa`.
  *     tags: [Users]
  *     requestBody:
  *       content:
@@ -84,14 +99,29 @@ const { NOTIFICATIONS_EMAIL, SERVER_HOST_NAME } = require( './constants.js' );
  *                   example: ok
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT token for authentication
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.e30.Et9HFtf9R3GEMA0IICOfFMVXY7kkTX1wr4qCyhIf58U
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token to obtain a new JWT token via `/refresh_token` once the current one has expired
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the JWT token in seconds
+ *                   example: 900
+ *                 options:
+ *                   type: object
+ *                   description: WebAuthn authentication options to be passed to `navigator.credentials.get()` (only for the message `finish-login-via-webauthn`)
+ *                 tfa:
+ *                   type: boolean
+ *                   description: Whether the user can alternatively complete the login via `/login_tfa` (only for the message `finish-login-via-webauthn`)
  *       401:
  *         description: Invalid password / User not being verified
  *       404:
  *         description: No user found with the specified email address
  *       405:
  *         description: Users signing in via SSO cannot be logged in via the API
+ *       429:
+ *         description: Too many failed login attempts for the account or from the IP address (the `Retry-After` header holds the number of seconds to wait)
  *       503:
  *         description: Email service is not available
  */
@@ -103,22 +133,27 @@ router.post( '/login',
 		validateString( password, 'password', req.t );
 		validateString( email, 'email', req.t );
 
+		await assertLoginAllowed( email, req, res );
 		const user = await User.findOne({ 'email': email });
 		if ( !user ) {
+			await recordLoginAttempt({ email, req, reason: 'unknown-email' });
 			return res.status( 404 ).send( req.t( 'user-email-not-found' ) );
 		}
 		if ( user.loginWithoutPassword ) {
 			return res.status( 405 ).send( req.t( 'user-login-without-password' ) );
 		}
 		if ( !user.password ) {
+			const token = await issueUserToken({ user: user._id, purpose: 'registration' });
 			const mail = {
 				'from': NOTIFICATIONS_EMAIL,
-				'subject': req.t('complete-registration'),
 				'to': user.email,
-				'text': `
-					${req.t('complete-registration-email', { user: user.name, server: SERVER_HOST_NAME })}
-				`,
-				'link': `${SERVER_HOST_NAME}/dashboard/complete-registration/?token=${user._id}`
+				'translation': {
+					'subject': 'complete-registration',
+					'text': 'complete-registration-email',
+					'data': { user: user.name, server: SERVER_HOST_NAME }
+				},
+				'locale': user.locale || req.language,
+				'link': `${SERVER_HOST_NAME}/dashboard/complete-registration/?token=${token}`
 			};
 			mailer.send( mail, function onDone( error ) {
 				if ( error ) {
@@ -129,15 +164,19 @@ router.post( '/login',
 		}
 		const isMatch = await user.comparePassword( password );
 		if ( isMatch ) {
+			const options = await authenticationOptions( user );
+			if ( options ) {
+				return res.json({ message: 'finish-login-via-webauthn', options, tfa: user.twoFactorAuth });
+			}
 			if ( user.twoFactorAuth ) {
 				return res.json({ message: 'finish-login-via-tfa', email, password });
 			}
-			// Identify users by their ID:
-			const payload = { id: user.id };
-			const token = jwt.sign( payload, tokens.jwtKey );
+			await recordLoginAttempt({ email, user, req, reason: 'ok' });
+			const { token, refreshToken, expiresIn } = await createAuthSession({ user: user._id, req });
 			req.session.loggedIn = true;
-			res.json({ message: 'ok', token: token, id: user.id });
+			res.json({ message: 'ok', token, refreshToken, expiresIn, id: user.id });
 		} else {
+			await recordLoginAttempt({ email, user, req, reason: 'wrong-password' });
 			res.status( 401 ).send( req.t( 'password-incorrect' ) );
 		}
 	})
@@ -174,14 +213,93 @@ router.post( '/ensure_session',
 	}
 );
 
+/**
+ * @openapi
+ *
+ * /refresh_token:
+ *   post:
+ *     summary: Refresh access token.
+ *     description: Exchange a refresh token for a new JWT token. The refresh token is rotated, i.e. a new refresh token is returned and the supplied one becomes invalid.
+ *     tags: [Users]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token returned upon login or by the previous refresh.
+ *     responses:
+ *       200:
+ *         description: A JSON object containing a new JWT token and refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 token:
+ *                   type: string
+ *                   description: Short-lived JWT token for authentication
+ *                 refreshToken:
+ *                   type: string
+ *                   description: New refresh token
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the JWT token in seconds
+ *                   example: 900
+ *                 id:
+ *                   type: ObjectId
+ *                   description: User ID
+ *                   example: 5b9f8f8f8f8f8f8f8f8f8f8
+ *       400:
+ *         description: Missing refresh token
+ *       401:
+ *         description: Refresh token is invalid, has expired or its session has been revoked
+ */
+router.post( '/refresh_token',
+	wrapAsync( async function onRefreshToken( req, res ) {
+		const { refreshToken } = req.body;
+
+		validateString( refreshToken, 'refreshToken', req.t );
+
+		const out = await refreshAuthSession( refreshToken, req );
+		if ( !out ) {
+			throw new ErrorStatus( 401, req.t( 'invalid-refresh-token' ) );
+		}
+		res.json({
+			message: 'ok',
+			token: out.token,
+			refreshToken: out.refreshToken,
+			expiresIn: out.expiresIn,
+			id: String( out.session.user )
+		});
+	})
+);
+
 /**
  * @openapi
  *
  * /invalidate_session:
  *   post:
  *     summary: Invalidate user session.
- *     description: Invalidate the user's session.
+ *     description: Invalidate the user's session. If a JWT token or refresh token is supplied, the corresponding authentication session is revoked so that neither token can be used anymore.
  *     tags: [Users]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token of the session to revoke.
  *     responses:
  *       200:
  *         description: Success
@@ -196,10 +314,28 @@ router.post( '/ensure_session',
  *                   example: ok
  */
 router.post( '/invalidate_session',
-	function onInvalidateSession( req, res ) {
+	wrapAsync( async function onInvalidateSession( req, res ) {
 		req.session = null;
+		const { refreshToken } = req.body;
+		const token = extractJwt( req );
+		if ( refreshToken ) {
+			validateString( refreshToken, 'refreshToken', req.t );
+			await revokeAuthSessions({ refreshTokenHash: hashToken( refreshToken ) });
+		}
+		else if ( token ) {
+			let payload;
+			try {
+				// Allow logging out with an expired token:
+				payload = jwt.verify( token, tokens.jwtKey, { ignoreExpiration: true });
+			} catch ( err ) {
+				debug( 'Received an invalid token: '+err.message );
+			}
+			if ( payload && isValidObjectId( payload.sid ) ) {
+				await revokeAuthSessions({ _id: payload.sid, user: payload.id });
+			}
+		}
 		res.json({ message: 'ok' });
-	}
+	})
 );
 
 /**
@@ -550,9 +686,12 @@ router.post( '/credentials_dashboard',
  *                 type: string
  *                 description: Password of the user
  *                 example: myPassword
+ *               token:
+ *                 type: string
+ *                 description: Registration token from the link sent to the user via email
  *               id:
  *                 type: ObjectId
- *                 description: ID of the user
+ *                 description: ID of the user (deprecated; only accepted during the transition window for links sent by earlier versions of the server)
  *                 example: 5a9b8f8f8f8f8f8f8f8f8f8
  *     responses:
  *       200:
@@ -566,6 +705,8 @@ router.post( '/credentials_dashboard',
  *                   type: string
  *                   description: Success message
  *                   example: Registration completed
+ *       401:
+ *         description: Invalid, expired or already used token
  *       403:
  *         description: Registration already completed
  */
@@ -573,26 +714,39 @@ router.post( '/complete_registration',
 	wrapAsync( async function onCompleteRegistration( req, res ) {
 		debug( 'Should set name and user password...' );
 		const password = req.body.password || req.body.newPassword;
-		const id = req.body.id;
+		const token = req.body.token || req.body.id;
 		validateString( password, 'password', req.t );
-		validateObjectId( id, 'id', req.t );
+		validateString( token, 'token', req.t );
 
-		const user = await User.findOne({ _id: id });
+		const hasNameParts = req.body.firstName || req.body.lastName || req.body.preferredName;
+		const name = req.body.name || req.body.newName;
+		if ( hasNameParts ) {
+			validateString( req.body.firstName, 'firstName', req.t );
+			validateString( req.body.lastName, 'lastName', req.t );
+			if ( req.body.preferredName ) {
+				validateString( req.body.preferredName, 'preferredName', req.t );
+			}
+		} else {
+			validateString( name, 'name', req.t );
+		}
+		const userToken = await consumeUserToken( token, [ 'registration', 'cohort-invite' ] );
+		if ( !userToken ) {
+			throw new ErrorStatus( 401, req.t( 'invalid-user-token' ) );
+		}
+		const user = await User.findOne({ _id: userToken.user });
+		if ( !user ) {
+			throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
+		}
 		if ( user.verifiedEmail ) {
 			return res.status( 403 ).send( req.t( 'registration-already-completed' ) );
 		}
-		if ( req.body.firstName || req.body.lastName || req.body.preferredName ) {
-			validateString( req.body.firstName, 'firstName', req.t );
-			validateString( req.body.lastName, 'lastName', req.t );
+		if ( hasNameParts ) {
 			user.firstName = req.body.firstName;
 			user.lastName = req.body.lastName;
 			if ( req.body.preferredName ) {
-				validateString( req.body.preferredName, 'preferredName', req.t );
 				user.preferredName = req.body.preferredName;
 			}
 		} else {
-			const name = req.body.name || req.body.newName;
-			validateString( name, 'name', req.t );
 			user.name = name;
 		}
 		user.verifiedEmail = true;
@@ -639,10 +793,10 @@ router.post( '/complete_registration',
  */
 router.post( '/resend_confirm_email',
 	passport.authenticate( 'jwt', { session: false }),
-	function onResend( req, res ) {
-		sendVerificationEmail( req.user, req.t );
+	wrapAsync( async function onResend( req, res ) {
+		await sendVerificationEmail( req.user, req.t, req.user.locale || req.language );
 		res.json({ successful: true });
-	}
+	})
 );
 
 /**
@@ -676,13 +830,19 @@ router.post( '/resend_confirm_email',
  *                   type: string
  *                   description: Confirmation message.
  *                   example: Email address has been confirmed.
+ *       401:
+ *         description: Invalid, expired or already used token.
  */
 router.post( '/confirm_email', wrapAsync( async function onConfirm( req, res ) {
 	debug( 'Should confirm user email address...' );
 
-	validateObjectId( req.body.token, 'token', req.t );
+	validateString( req.body.token, 'token', req.t );
 
-	const user = await User.findOne({ _id: req.body.token });
+	const userToken = await consumeUserToken( req.body.token, [ 'confirm-email' ] );
+	if ( !userToken ) {
+		throw new ErrorStatus( 401, req.t( 'invalid-user-token' ) );
+	}
+	const user = await User.findOne({ _id: userToken.user });
 	if ( !user ) {
 		throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
 	}
@@ -738,14 +898,17 @@ router.get( '/forgot_password', wrapAsync( async function onForgotPassword( req,
 	if ( !mailer.active ) {
 		throw new ErrorStatus( 500, req.t( 'email-service-not-configured-password-reset' ) );
 	}
+	const token = await issueUserToken({ user: user._id, purpose: 'reset-password' });
 	const mail = {
 		'from': NOTIFICATIONS_EMAIL,
-		'subject': req.t('new-password-requested'),
 		'to': req.query.email,
-		'text': `
-			${req.t('new-password-requested-email', { user: user.name })}
-		`,
-		'link': `${SERVER_HOST_NAME}/dashboard/new-password?token=${user._id}`
+		'translation': {
+			'subject': 'new-password-requested',
+			'text': 'new-password-requested-email',
+			'data': { user: user.name }
+		},
+		'locale': user.locale || req.language,
+		'link': `${SERVER_HOST_NAME}/dashboard/new-password?token=${token}`
 	};
 	debug( 'Mail: ' + JSON.stringify( mail ) );
 	mailer.send( mail, function onDone( error, response ) {
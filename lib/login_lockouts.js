@@ -0,0 +1,209 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const debug = require( './debug' )( 'server:login-lockouts' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
+const LoginAttempt = require( './models/login_attempt.js' );
+const LoginThrottle = require( './models/login_throttle.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /admin_get_login_lockouts:
+ *   get:
+ *     summary: Get login lockouts
+ *     description: Get all accounts and IP addresses which are currently locked or have recent failed login attempts.
+ *     tags: [Users]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Lockouts, most recently updated first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 lockouts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginThrottle'
+ *       403:
+ *         description: Access denied for users lacking the `manage_security` permission
+ */
+router.get( '/admin_get_login_lockouts',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetLoginLockouts( req, res ) {
+		await validatePermissions( req, 'manage_security' );
+		const lockouts = await LoginThrottle.find({
+			$or: [
+				{ lockedUntil: { $gt: new Date() }},
+				{ failures: { $gt: 0 }}
+			]
+		})
+			.sort( '-updatedAt' )
+			.lean();
+		res.json({ message: 'ok', lockouts });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_clear_login_lockout:
+ *   post:
+ *     summary: Clear login lockout
+ *     description: Unlock an account or IP address and reset its failed login attempts.
+ *     tags: [Users]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: Lockout identifier
+ *     responses:
+ *       200:
+ *         description: Lockout cleared
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Lockout cleared.
+ *       403:
+ *         description: Access denied for users lacking the `manage_security` permission
+ *       404:
+ *         description: Lockout does not exist
+ */
+router.post( '/admin_clear_login_lockout',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onClearLoginLockout( req, res ) {
+		await validatePermissions( req, 'manage_security' );
+		validateObjectId( req.body.id, 'id', req.t );
+
+		const lockout = await LoginThrottle.findOneAndDelete({ _id: req.body.id });
+		if ( !lockout ) {
+			throw new ErrorStatus( 404, req.t( 'login-lockout-nonexistent' ) );
+		}
+		debug( `Cleared lockout of ${lockout.kind} ${lockout.key}...` );
+		res.json({ message: req.t( 'login-lockout-cleared' ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_get_login_attempts:
+ *   get:
+ *     summary: Get login attempts
+ *     description: Get the audit trail of login attempts, optionally restricted to an email or IP address.
+ *     tags: [Users]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: email
+ *         description: Email address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         description: IP address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         description: Maximum number of attempts to return (at most 1000)
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Login attempts, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 attempts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginAttempt'
+ *       403:
+ *         description: Access denied for users lacking the `manage_security` permission
+ */
+router.get( '/admin_get_login_attempts',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetLoginAttempts( req, res ) {
+		await validatePermissions( req, 'manage_security' );
+		const query = {};
+		if ( req.query.email ) {
+			query.email = String( req.query.email ).trim()
+				.toLowerCase();
+		}
+		if ( req.query.ip ) {
+			query.ip = String( req.query.ip );
+		}
+		const limit = Math.min( parseInt( req.query.limit, 10 ) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE );
+		const attempts = await LoginAttempt.find( query )
+			.sort( '-createdAt' )
+			.limit( limit )
+			.lean();
+		res.json({ message: 'ok', attempts });
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
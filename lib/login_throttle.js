@@ -0,0 +1,312 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const isPositiveInteger = require( '@stdlib/assert/is-positive-integer' ).isPrimitive;
+const isPositiveNumber = require( '@stdlib/assert/is-positive-number' ).isPrimitive;
+const debug = require( './debug' )( 'server:login-throttle' );
+const ErrorStatus = require( './helpers/error.js' );
+const LoginAttempt = require( './models/login_attempt.js' );
+const LoginThrottle = require( './models/login_throttle.js' );
+const mailer = require( './mailer' );
+const settings = require( './../etc/settings.json' );
+const { NOTIFICATIONS_EMAIL, SERVER_HOST_NAME } = require( './constants.js' );
+
+
+// VARIABLES //
+
+const MILLISECONDS_PER_MINUTE = 60 * 1000;
+const FAILURE_WINDOW = 60 * MILLISECONDS_PER_MINUTE; // Failed attempts are forgotten after an hour without failures
+const RECORD_LIFETIME = 24 * 60 * MILLISECONDS_PER_MINUTE;
+const FREE_ATTEMPTS = {
+	'account': 3,
+	'ip': 10
+};
+const DEFAULT_MAX_FAILED_ATTEMPTS = {
+	'account': 10,
+	'ip': 50
+};
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const MAX_DELAY = 60 * 1000;
+const MAX_LOCKOUT = 24 * 60 * MILLISECONDS_PER_MINUTE;
+const MAX_USER_AGENT_LENGTH = 512;
+const FAILURE_REASONS = [ 'unknown-email', 'wrong-password', 'wrong-code' ];
+
+
+// FUNCTIONS //
+
+/**
+* Normalizes an email address for use as a throttling key.
+*
+* @private
+* @param {string} email - email address
+* @returns {string} normalized email address
+*/
+function normalizeEmail( email ) {
+	return String( email ).trim()
+		.toLowerCase();
+}
+
+/**
+* Returns the number of failed login attempts after which an account or IP address is locked.
+*
+* @private
+* @param {string} kind - `account` or `ip`
+* @returns {integer} maximum number of failed attempts
+*/
+function maxFailedAttempts( kind ) {
+	const value = kind === 'ip' ? settings.loginMaxFailedAttemptsPerIP : settings.loginMaxFailedAttempts;
+	return isPositiveInteger( value ) ? value : DEFAULT_MAX_FAILED_ATTEMPTS[ kind ];
+}
+
+/**
+* Returns the duration of a lockout, which doubles with every consecutive lockout.
+*
+* @private
+* @param {integer} lockouts - number of previous consecutive lockouts
+* @returns {number} duration in milliseconds
+*/
+function lockoutDuration( lockouts ) {
+	const minutes = isPositiveNumber( settings.loginLockoutMinutes ) ?
+		settings.loginLockoutMinutes :
+		DEFAULT_LOCKOUT_MINUTES;
+	const duration = minutes * MILLISECONDS_PER_MINUTE * Math.pow( 2, Math.min( lockouts, 10 ) );
+	return Math.min( duration, MAX_LOCKOUT );
+}
+
+/**
+* Returns the time in milliseconds a client has to wait before the next login attempt.
+*
+* ## Notes
+*
+* -   Once the number of failed attempts exceeds a small number of free attempts, the delay doubles with every further failure (up to one minute).
+*
+* @private
+* @param {Object} throttle - throttle document
+* @param {number} now - current time
+* @returns {number} remaining delay in milliseconds
+*/
+function remainingDelay( throttle, now ) {
+	if ( throttle.lockedUntil && throttle.lockedUntil.getTime() > now ) {
+		return throttle.lockedUntil.getTime() - now;
+	}
+	if ( !throttle.lastFailureAt || now - throttle.lastFailureAt.getTime() > FAILURE_WINDOW ) {
+		return 0;
+	}
+	const excess = throttle.failures - FREE_ATTEMPTS[ throttle.kind ];
+	if ( excess <= 0 ) {
+		return 0;
+	}
+	const delay = Math.min( 1000 * Math.pow( 2, excess - 1 ), MAX_DELAY );
+	return Math.max( throttle.lastFailureAt.getTime() + delay - now, 0 );
+}
+
+/**
+* Counts a failed login attempt and locks the account or IP address once the maximum number of failed attempts has been reached.
+*
+* @private
+* @param {string} kind - `account` or `ip`
+* @param {string} key - email or IP address
+* @returns {Promise<(Object|null)>} throttle document if the failure triggered a lockout and `null` otherwise
+*/
+async function registerFailure( kind, key ) {
+	const now = new Date();
+	const throttle = await LoginThrottle.findOneAndUpdate({ kind, key }, [
+		{
+			$set: {
+				failures: {
+					$cond: [
+						{ $gt: [ '$lastFailureAt', new Date( now.getTime() - FAILURE_WINDOW ) ]},
+						{ $add: [ '$failures', 1 ]},
+						1
+					]
+				},
+				lastFailureAt: now,
+				lockedUntil: { $ifNull: [ '$lockedUntil', null ]},
+				lockouts: { $ifNull: [ '$lockouts', 0 ]},
+				expiresAt: new Date( now.getTime() + RECORD_LIFETIME )
+			}
+		}
+	], { upsert: true, new: true });
+	if ( throttle.failures < maxFailedAttempts( kind ) ) {
+		return null;
+	}
+	const lockedUntil = new Date( now.getTime() + lockoutDuration( throttle.lockouts ) );
+	const locked = await LoginThrottle.findOneAndUpdate({
+		_id: throttle._id,
+		failures: { $gte: maxFailedAttempts( kind ) }
+	}, {
+		$set: {
+			failures: 0,
+			lockedUntil,
+			expiresAt: new Date( lockedUntil.getTime() + RECORD_LIFETIME )
+		},
+		$inc: { lockouts: 1 }
+	}, { new: true });
+	if ( locked ) {
+		debug( `Locked ${kind} ${key} until ${lockedUntil.toISOString()}...` );
+	}
+	return locked;
+}
+
+/**
+* Notifies the owner of an account that the account has been temporarily locked.
+*
+* @private
+* @param {Object} user - user document
+* @param {Object} throttle - throttle document
+* @param {string} ip - IP address of the last failed attempt
+*/
+function notifyLockout( user, throttle, ip ) {
+	if ( !mailer.active ) {
+		debug( 'Mailer is not active, account owner is not notified about lockout...' );
+		return;
+	}
+	const minutes = Math.ceil( ( throttle.lockedUntil.getTime() - Date.now() ) / MILLISECONDS_PER_MINUTE );
+	mailer.send({
+		'from': NOTIFICATIONS_EMAIL,
+		'to': user.email,
+		'translation': {
+			'subject': 'account-locked-subject',
+			'text': 'account-locked-email',
+			'data': {
+				user: user.name,
+				minutes,
+				ip
+			}
+		},
+		'locale': user.locale || void 0,
+		'link': `${SERVER_HOST_NAME}/dashboard/forgot-password`
+	}, function onDone( error ) {
+		if ( error ) {
+			debug( 'Encountered an error when sending lockout notification: '+error.message );
+		}
+	});
+}
+
+
+// MAIN //
+
+/**
+* Checks whether a login attempt for the given email address from the given IP address may proceed.
+*
+* @param {Object} options - function options
+* @param {string} options.email - email address
+* @param {string} options.ip - IP address
+* @returns {Promise<Object>} object indicating whether the account or IP address is `locked` and the number of seconds to wait before the next attempt (`retryAfter`, zero if the attempt may proceed)
+*/
+async function checkLoginThrottle({ email, ip }) {
+	const now = Date.now();
+	const throttles = await LoginThrottle.find({
+		$or: [
+			{ kind: 'account', key: normalizeEmail( email ) },
+			{ kind: 'ip', key: ip }
+		]
+	});
+	let locked = false;
+	let wait = 0;
+	for ( let i = 0; i < throttles.length; i++ ) {
+		const throttle = throttles[ i ];
+		if ( throttle.lockedUntil && throttle.lockedUntil.getTime() > now ) {
+			locked = true;
+		}
+		wait = Math.max( wait, remainingDelay( throttle, now ) );
+	}
+	return {
+		locked,
+		retryAfter: Math.ceil( wait / 1000 )
+	};
+}
+
+/**
+* Records a login attempt in the audit trail and updates the failure counts of the account and IP address.
+*
+* ## Notes
+*
+* -   A successful login resets the failure count of the account.
+* -   When an account is locked, its owner is notified via email.
+* -   Attempts rejected because of throttling or a lockout are recorded, but do not count as further failures.
+*
+* @param {Object} options - function options
+* @param {string} options.email - email address
+* @param {Object} [options.user] - user document (if the email address belongs to an account)
+* @param {Request} options.req - HTTP request object
+* @param {string} options.reason - outcome of the attempt (`ok`, `unknown-email`, `wrong-password`, `wrong-code`, `throttled` or `locked`)
+* @returns {Promise<void>}
+*/
+async function recordLoginAttempt({ email, user, req, reason }) {
+	const key = normalizeEmail( email );
+	const success = reason === 'ok';
+	await LoginAttempt.create({
+		email: key,
+		user: user ? user._id : null,
+		ip: req.ip,
+		userAgent: String( req.get( 'User-Agent' ) || '' ).substring( 0, MAX_USER_AGENT_LENGTH ),
+		success,
+		reason
+	});
+	if ( success ) {
+		await LoginThrottle.deleteOne({ kind: 'account', key });
+		return;
+	}
+	if ( !FAILURE_REASONS.includes( reason ) ) {
+		return;
+	}
+	const locked = await registerFailure( 'account', key );
+	await registerFailure( 'ip', req.ip );
+	if ( locked && user ) {
+		notifyLockout( user, locked, req.ip );
+	}
+}
+
+/**
+* Rejects a login attempt with a `429` status code if the account or IP address is locked or has to wait before the next attempt.
+*
+* @param {string} email - email address
+* @param {Request} req - HTTP request object
+* @param {Response} res - HTTP response object
+* @throws {Error} login attempt is throttled
+* @returns {Promise<void>}
+*/
+async function assertLoginAllowed( email, req, res ) {
+	const { locked, retryAfter } = await checkLoginThrottle({ email, ip: req.ip });
+	if ( retryAfter === 0 ) {
+		return;
+	}
+	await recordLoginAttempt({ email, req, reason: locked ? 'locked' : 'throttled' });
+	res.set( 'Retry-After', String( retryAfter ) );
+	if ( locked ) {
+		throw new ErrorStatus( 429, req.t( 'login-temporarily-locked', {
+			minutes: Math.ceil( retryAfter / 60 )
+		}) );
+	}
+	throw new ErrorStatus( 429, req.t( 'too-many-login-attempts', {
+		seconds: retryAfter
+	}) );
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	assertLoginAllowed,
+	checkLoginThrottle,
+	recordLoginAttempt
+};
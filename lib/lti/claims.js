@@ -0,0 +1,74 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// VARIABLES //
+
+const LTI = 'https://purl.imsglobal.org/spec/lti/claim/';
+const INSTRUCTOR_ROLES = [
+	'http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor',
+	'http://purl.imsglobal.org/vocab/lis/v2/membership#ContentDeveloper',
+	'http://purl.imsglobal.org/vocab/lis/v2/membership#Administrator',
+	'http://purl.imsglobal.org/vocab/lis/v2/institution/person#Administrator'
+];
+
+
+// MAIN //
+
+/**
+* Names of the claims of LTI 1.3 messages.
+*/
+const CLAIMS = {
+	MESSAGE_TYPE: LTI+'message_type',
+	VERSION: LTI+'version',
+	DEPLOYMENT_ID: LTI+'deployment_id',
+	TARGET_LINK_URI: LTI+'target_link_uri',
+	RESOURCE_LINK: LTI+'resource_link',
+	CONTEXT: LTI+'context',
+	ROLES: LTI+'roles',
+	CUSTOM: LTI+'custom',
+	DEEP_LINKING_SETTINGS: 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings',
+	CONTENT_ITEMS: 'https://purl.imsglobal.org/spec/lti-dl/claim/content_items',
+	DEEP_LINKING_DATA: 'https://purl.imsglobal.org/spec/lti-dl/claim/data',
+	AGS_ENDPOINT: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'
+};
+
+/**
+* Scope for sending scores via the Assignment and Grade Services.
+*/
+const SCORE_SCOPE = 'https://purl.imsglobal.org/spec/lti-ags/scope/score';
+
+/**
+* Returns a boolean indicating whether the user of a launch is an instructor of the course.
+*
+* @param {Object} claims - launch claims
+* @returns {boolean} boolean indicating whether the user is an instructor
+*/
+function isInstructor( claims ) {
+	const roles = claims[ CLAIMS.ROLES ] || [];
+	return roles.some( role => INSTRUCTOR_ROLES.includes( role ) );
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	CLAIMS,
+	SCORE_SCOPE,
+	isInstructor
+};
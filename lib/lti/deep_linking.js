@@ -0,0 +1,172 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const crypto = require( 'crypto' );
+const objectKeys = require( '@stdlib/utils/keys' );
+const escapeHTML = require( './../utils/escape_html.js' );
+const { signMessage } = require( './tool_key.js' );
+const { CLAIMS } = require( './claims.js' );
+const { SERVER_HOST_NAME } = require( './../constants.js' );
+
+
+// VARIABLES //
+
+const SCORE_MAXIMUM = 100;
+
+
+// FUNCTIONS //
+
+/**
+* Returns the content item for linking a lesson from a course in the learning management system.
+*
+* @private
+* @param {Object} lesson - lesson document
+* @returns {Object} content item
+*/
+function contentItem( lesson ) {
+	const item = {
+		type: 'ltiResourceLink',
+		title: lesson.title,
+		url: `${SERVER_HOST_NAME}/lti/launch`,
+		custom: {
+			lesson: String( lesson._id )
+		},
+		lineItem: {
+			scoreMaximum: SCORE_MAXIMUM,
+			label: lesson.title,
+			resourceId: String( lesson._id )
+		}
+	};
+	if ( lesson.description && lesson.description !== 'No description supplied.' ) {
+		item.text = lesson.description;
+	}
+	return item;
+}
+
+/**
+* Returns a document wrapping the body of a page.
+*
+* @private
+* @param {string} lang - language of the page
+* @param {string} title - page title
+* @param {string} body - page body
+* @returns {string} HTML page
+*/
+function page( lang, title, body ) {
+	return `<!DOCTYPE html>
+<html lang="${escapeHTML( lang )}">
+<head>
+	<meta charset="utf-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1">
+	<title>${escapeHTML( title )}</title>
+	<style type="text/css">
+		body { font-family: sans-serif; margin: 24px auto; max-width: 640px; }
+		fieldset { border: 1px solid #ccc; border-radius: 4px; margin: 12px 0; }
+		label { display: block; padding: 4px 0; }
+		button { padding: 8px 16px; }
+	</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+
+// MAIN //
+
+/**
+* Returns the signed deep linking response returning the selected lessons to the platform.
+*
+* @param {Object} platform - platform document (including the private key)
+* @param {Object} options - function options
+* @param {string} options.deploymentID - deployment identifier of the deep linking request
+* @param {string} [options.data] - opaque value of the deep linking request to be returned to the platform
+* @param {Array<Object>} options.lessons - selected lessons
+* @returns {string} signed JSON Web Token
+*/
+function deepLinkingResponse( platform, { deploymentID, data, lessons }) {
+	const payload = {
+		nonce: crypto.randomBytes( 16 ).toString( 'hex' ),
+		[ CLAIMS.MESSAGE_TYPE ]: 'LtiDeepLinkingResponse',
+		[ CLAIMS.VERSION ]: '1.3.0',
+		[ CLAIMS.DEPLOYMENT_ID ]: deploymentID,
+		[ CLAIMS.CONTENT_ITEMS ]: lessons.map( contentItem )
+	};
+	if ( data ) {
+		payload[ CLAIMS.DEEP_LINKING_DATA ] = data;
+	}
+	return signMessage( platform, payload, {
+		issuer: platform.clientID,
+		audience: platform.issuer
+	});
+}
+
+/**
+* Returns a page letting instructors select the lessons to add to their course.
+*
+* @param {Object} options - function options
+* @param {Function} options.t - translation function
+* @param {string} options.lang - language of the page
+* @param {Array<Object>} options.namespaces - namespaces along with their `lessons`
+* @param {string} options.csrf - token protecting the form submission
+* @returns {string} HTML page
+*/
+function selectionPage({ t, lang, namespaces, csrf }) {
+	const title = t( 'lti-select-lessons' );
+	const fieldsets = namespaces.map( namespace => {
+		const lessons = namespace.lessons.map( lesson => {
+			return `<label><input type="checkbox" name="lessons" value="${escapeHTML( lesson._id )}"> ${escapeHTML( lesson.title )}</label>`;
+		}).join( '\n' );
+		return `<fieldset><legend>${escapeHTML( namespace.title )}</legend>\n${lessons}\n</fieldset>`;
+	}).join( '\n' );
+	return page( lang, title, `<h1>${escapeHTML( title )}</h1>
+<form method="post" action="/lti/deep_link">
+<input type="hidden" name="csrf" value="${escapeHTML( csrf )}">
+${fieldsets}
+<button type="submit">${escapeHTML( t( 'lti-add-lessons' ) )}</button>
+</form>` );
+}
+
+/**
+* Returns a page that immediately posts a form to a URL, e.g. to return a deep linking response to the platform.
+*
+* @param {string} url - form action
+* @param {Object} fields - form fields
+* @returns {string} HTML page
+*/
+function autoSubmitPage( url, fields ) {
+	const inputs = objectKeys( fields ).map( name => `<input type="hidden" name="${escapeHTML( name )}" value="${escapeHTML( fields[ name ] )}">` );
+	return page( 'en', 'ISLE', `<form id="lti-form" method="post" action="${escapeHTML( url )}">
+${inputs.join( '\n' )}
+<noscript><button type="submit">Continue</button></noscript>
+</form>
+<script>document.getElementById( 'lti-form' ).submit();</script>` );
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	autoSubmitPage,
+	deepLinkingResponse,
+	selectionPage
+};
@@ -0,0 +1,921 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: LTI
+ *   description: Launching lessons from learning management systems via LTI 1.3.
+ */
+
+// MODULES //
+
+const crypto = require( 'crypto' );
+const router = require( 'express' ).Router();
+const qs = require( 'qs' );
+const isArray = require( '@stdlib/assert/is-array' );
+const pick = require( '@stdlib/utils/pick' );
+const debug = require( './../debug' )( 'server:lti' );
+const passport = require( './../passport.js' );
+const wrapAsync = require( './../utils/wrap_async.js' );
+const issueUserToken = require( './../utils/issue_user_token.js' );
+const provisionSSOUser = require( './../utils/provision_sso_user.js' );
+const recordAuditLog = require( './../utils/record_audit_log.js' );
+const ErrorStatus = require( './../helpers/error.js' );
+const validatePermissions = require( './../helpers/validate_permissions.js' );
+const validateBoolean = require( './../helpers/validate_boolean.js' );
+const validateObjectId = require( './../helpers/validate_object_id.js' );
+const validateString = require( './../helpers/validate_string.js' );
+const validateStringArray = require( './../helpers/validate_string_array.js' );
+const validateURL = require( './../helpers/validate_url.js' );
+const Cohort = require( './../models/cohort.js' );
+const Lesson = require( './../models/lesson.js' );
+const Namespace = require( './../models/namespace.js' );
+const LtiContext = require( './../models/lti_context.js' );
+const LtiPlatform = require( './../models/lti_platform.js' );
+const LtiResourceLink = require( './../models/lti_resource_link.js' );
+const LtiUser = require( './../models/lti_user.js' );
+const mapClaims = require( './../oidc/map_claims.js' );
+const verifyLaunch = require( './verify_launch.js' );
+const { generateToolKey, publicJWK } = require( './tool_key.js' );
+const { autoSubmitPage, deepLinkingResponse, selectionPage } = require( './deep_linking.js' );
+const { CLAIMS, isInstructor } = require( './claims.js' );
+const { SERVER_HOST_NAME } = require( './../constants.js' );
+
+
+// VARIABLES //
+
+const LOGIN_URL = `${SERVER_HOST_NAME}/lti/login`;
+const LAUNCH_URL = `${SERVER_HOST_NAME}/lti/launch`;
+const JWKS_URL = `${SERVER_HOST_NAME}/lti/jwks`;
+const LOGIN_REDIRECT = `${SERVER_HOST_NAME}/dashboard/login`;
+const MAX_LAUNCH_DURATION = 10 * 60 * 1000; // Ten minutes...
+const MAX_PENDING_LAUNCHES = 10;
+const URL_FIELDS = [ 'authLoginURL', 'authTokenURL', 'keysetURL' ];
+const PLATFORM_FIELDS = [ 'name', 'issuer', 'clientID', 'deploymentIDs', 'authLoginURL', 'authTokenURL', 'authTokenAudience', 'keysetURL', 'active' ];
+const CLAIM_MAPPING = {
+	claims: {},
+	customFields: {}
+};
+
+
+// FUNCTIONS //
+
+/**
+* Returns the URLs to be registered with a learning management system.
+*
+* @private
+* @returns {Object} tool configuration
+*/
+function toolConfiguration() {
+	return {
+		loginURL: LOGIN_URL,
+		launchURL: LAUNCH_URL,
+		redirectURIs: [ LAUNCH_URL ],
+		jwksURL: JWKS_URL
+	};
+}
+
+/**
+* Validates the fields of a platform registration.
+*
+* @private
+* @param {Object} body - request body
+* @param {Function} t - translation function
+* @param {boolean} partial - whether fields may be omitted
+* @throws {ErrorStatus} fields must be valid
+*/
+function validatePlatformFields( body, t, partial ) {
+	const strings = [ 'name', 'issuer', 'clientID' ];
+	for ( let i = 0; i < strings.length; i++ ) {
+		if ( !partial || body[ strings[ i ] ] !== void 0 ) {
+			validateString( body[ strings[ i ] ], strings[ i ], t );
+		}
+	}
+	for ( let i = 0; i < URL_FIELDS.length; i++ ) {
+		if ( !partial || body[ URL_FIELDS[ i ] ] !== void 0 ) {
+			validateURL( body[ URL_FIELDS[ i ] ], URL_FIELDS[ i ], t );
+		}
+	}
+	if ( body.authTokenAudience ) {
+		validateString( body.authTokenAudience, 'authTokenAudience', t );
+	}
+	if ( body.deploymentIDs !== void 0 && !( isArray( body.deploymentIDs ) && body.deploymentIDs.length === 0 ) ) {
+		validateStringArray( body.deploymentIDs, 'deploymentIDs', t );
+	}
+	if ( body.active !== void 0 ) {
+		validateBoolean( body.active, 'active', t );
+	}
+}
+
+/**
+* Stores the state and nonce of a launch in the user's session.
+*
+* ## Notes
+*
+* -   Several launches may be pending at the same time (e.g., when a course page embeds several lessons), so launches are keyed by their state. Expired launches are removed and only the most recent launches are kept to limit the size of the session cookie.
+*
+* @private
+* @param {Object} session - session object
+* @param {string} state - launch state
+* @param {Object} launch - launch information
+*/
+function storePendingLaunch( session, state, launch ) {
+	const now = Date.now();
+	const pending = {};
+	const entries = Object.entries( session.ltiLaunches || {} )
+		.filter( ([ , x ]) => now - x.createdAt < MAX_LAUNCH_DURATION )
+		.slice( -( MAX_PENDING_LAUNCHES - 1 ) );
+	for ( let i = 0; i < entries.length; i++ ) {
+		pending[ entries[ i ][ 0 ] ] = entries[ i ][ 1 ];
+	}
+	pending[ state ] = launch;
+	session.ltiLaunches = pending;
+}
+
+/**
+* Removes a pending launch from the user's session and returns it.
+*
+* @private
+* @param {Object} session - session object
+* @param {string} state - launch state
+* @returns {(Object|null)} launch information or `null` if no unexpired launch with the given state exists
+*/
+function takePendingLaunch( session, state ) {
+	const pending = session.ltiLaunches || {};
+	const launch = pending[ state ];
+	if ( !launch ) {
+		return null;
+	}
+	const rest = { ...pending };
+	delete rest[ state ];
+	session.ltiLaunches = rest;
+	if ( Date.now() - launch.createdAt > MAX_LAUNCH_DURATION ) {
+		return null;
+	}
+	return launch;
+}
+
+/**
+* Returns the user of a launch, creating the user if necessary and remembering the identifier of the user in the learning management system.
+*
+* @private
+* @param {Object} platform - platform document
+* @param {Object} claims - launch claims
+* @param {Function} t - translation function
+* @throws {ErrorStatus} launch has to include the user's email address
+* @returns {Promise<User>} user
+*/
+async function launchUser( platform, claims, t ) {
+	const { email, name } = mapClaims( CLAIM_MAPPING, claims );
+	if ( !email ) {
+		throw new ErrorStatus( 403, t( 'lti-email-missing' ) );
+	}
+	const user = await provisionSSOUser({ email, name });
+	await LtiUser.updateOne(
+		{ platform: platform._id, sub: claims.sub },
+		{ $set: { user: user._id }},
+		{ upsert: true }
+	);
+	return user;
+}
+
+/**
+* Returns the URL of a lesson.
+*
+* @private
+* @param {Object} namespace - namespace document
+* @param {Object} lesson - lesson document
+* @returns {string} lesson URL
+*/
+function lessonURL( namespace, lesson ) {
+	return `${SERVER_HOST_NAME}/${encodeURIComponent( namespace.title )}/${encodeURIComponent( lesson.title )}/`;
+}
+
+/**
+* Links a course in a learning management system to a namespace, creating a cohort for the students of the course.
+*
+* @private
+* @param {ObjectId} platform - platform identifier
+* @param {Object} deepLink - deep linking request stored in the session
+* @param {Object} namespace - namespace document
+* @returns {Promise<LtiContext>} course link
+*/
+async function linkContext( platform, deepLink, namespace ) {
+	const title = deepLink.contextTitle || deepLink.contextID;
+	let cohort = new Cohort({
+		title,
+		namespace: namespace._id,
+		private: true
+	});
+	try {
+		await cohort.save();
+	} catch ( err ) {
+		// Case: A cohort with the course title already exists in the namespace...
+		cohort = new Cohort({
+			title: `${title} (${deepLink.contextID})`,
+			namespace: namespace._id,
+			private: true
+		});
+		await cohort.save();
+	}
+	return LtiContext.create({
+		platform,
+		contextID: deepLink.contextID,
+		deploymentID: deepLink.deploymentID,
+		title: deepLink.contextTitle,
+		namespace: namespace._id,
+		cohort: cohort._id
+	});
+}
+
+/**
+* Handles a deep linking request by letting instructors select lessons from namespaces they own.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @param {Response} res - HTTP response object
+* @param {Object} platform - platform document
+* @param {Object} claims - launch claims
+* @param {User} user - launching user
+* @throws {ErrorStatus} only instructors owning namespaces may add lessons to a course
+*/
+async function handleDeepLinkingRequest( req, res, platform, claims, user ) {
+	if ( !isInstructor( claims ) ) {
+		throw new ErrorStatus( 403, req.t( 'lti-deep-linking-instructors-only' ) );
+	}
+	const settings = claims[ CLAIMS.DEEP_LINKING_SETTINGS ] || {};
+	const context = claims[ CLAIMS.CONTEXT ] || {};
+	if ( !settings.deep_link_return_url || !context.id ) {
+		throw new ErrorStatus( 400, req.t( 'lti-launch-invalid' ) );
+	}
+	const query = { owners: user._id };
+	const link = await LtiContext.findOne({ platform: platform._id, contextID: context.id });
+	if ( link ) {
+		// Lessons added to a course that has already been linked have to belong to the linked namespace:
+		query._id = link.namespace;
+	}
+	const namespaces = await Namespace.find( query )
+		.select([ 'title' ])
+		.lean();
+	if ( namespaces.length === 0 ) {
+		throw new ErrorStatus( 403, req.t( 'lti-no-owned-namespaces' ) );
+	}
+	for ( let i = 0; i < namespaces.length; i++ ) {
+		namespaces[ i ].lessons = await Lesson.find({ namespace: namespaces[ i ]._id })
+			.select([ 'title' ])
+			.sort({ title: 1 })
+			.lean();
+	}
+	const csrf = crypto.randomBytes( 24 ).toString( 'hex' );
+	req.session.ltiDeepLink = {
+		platform: String( platform._id ),
+		user: String( user._id ),
+		deploymentID: claims[ CLAIMS.DEPLOYMENT_ID ],
+		returnURL: settings.deep_link_return_url,
+		data: settings.data,
+		contextID: context.id,
+		contextTitle: context.title || context.label || '',
+		csrf,
+		createdAt: Date.now()
+	};
+	res.type( 'html' ).send( selectionPage({
+		t: req.t,
+		lang: req.language || 'en',
+		namespaces,
+		csrf
+	}) );
+}
+
+/**
+* Handles a resource link request by enrolling the user in the course's cohort and redirecting to the linked lesson.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @param {Response} res - HTTP response object
+* @param {Object} platform - platform document
+* @param {Object} claims - launch claims
+* @param {User} user - launching user
+* @throws {ErrorStatus} course has to be linked to a namespace containing the lesson
+*/
+async function handleResourceLinkRequest( req, res, platform, claims, user ) {
+	const context = claims[ CLAIMS.CONTEXT ] || {};
+	const resourceLink = claims[ CLAIMS.RESOURCE_LINK ] || {};
+	const custom = claims[ CLAIMS.CUSTOM ] || {};
+	const link = context.id ? await LtiContext.findOne({ platform: platform._id, contextID: context.id }) : null;
+	if ( !link ) {
+		throw new ErrorStatus( 404, req.t( 'lti-course-not-linked' ) );
+	}
+	const namespace = await Namespace.findById( link.namespace );
+	const lesson = custom.lesson ?
+		await Lesson.findOne({ _id: String( custom.lesson ), namespace: link.namespace }) :
+		null;
+	if ( !namespace || !lesson ) {
+		throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+	}
+	if ( resourceLink.id ) {
+		const endpoint = claims[ CLAIMS.AGS_ENDPOINT ] || {};
+		await LtiResourceLink.updateOne(
+			{ platform: platform._id, resourceLinkID: resourceLink.id },
+			{ $set: {
+				context: link._id,
+				lesson: lesson._id,
+				lineItem: endpoint.lineitem || null
+			}},
+			{ upsert: true }
+		);
+	}
+	const isOwner = namespace.owners.some( x => String( x ) === String( user._id ) );
+	if ( !isOwner ) {
+		await Cohort.updateOne({ _id: link.cohort }, { $addToSet: { members: user._id }});
+		user.enrolledNamespaces.addToSet( namespace._id );
+		await user.save();
+	}
+	const code = await issueUserToken({
+		user: user._id,
+		purpose: 'sso-login',
+		data: { platform: String( platform._id ) }
+	});
+	res.redirect( LOGIN_REDIRECT + '?' + qs.stringify({
+		oidcCode: code,
+		redirect: lessonURL( namespace, lesson )
+	}) );
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /lti/jwks:
+ *   get:
+ *     summary: Get tool keys
+ *     description: Get the public keys with which ISLE signs messages to learning management systems as a JSON Web Key Set.
+ *     tags: [LTI]
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get( '/lti/jwks',
+	wrapAsync( async function onJWKS( req, res ) {
+		const platforms = await LtiPlatform.find({ active: true }).select( '+toolPrivateKey' );
+		res.json({
+			keys: platforms.map( publicJWK )
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /lti/login:
+ *   post:
+ *     summary: Initiate LTI launch
+ *     description: Third-party initiated login endpoint of the LTI 1.3 launch flow. Redirects to the authentication endpoint of the platform. Also accepts `GET` requests with the parameters in the query string.
+ *     tags: [LTI]
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               iss:
+ *                 type: string
+ *                 description: Issuer identifier of the platform
+ *               login_hint:
+ *                 type: string
+ *                 description: Opaque hint identifying the user
+ *               target_link_uri:
+ *                 type: string
+ *                 description: Launch URL
+ *               lti_message_hint:
+ *                 type: string
+ *                 description: Opaque hint identifying the message
+ *               client_id:
+ *                 type: string
+ *                 description: Client ID of ISLE at the platform
+ *     responses:
+ *       302:
+ *         description: Redirect to the authentication endpoint of the platform
+ *       404:
+ *         description: Platform is not registered
+ */
+async function onLogin( req, res ) {
+	const params = req.method === 'POST' ? req.body : req.query;
+	validateString( params.iss, 'iss', req.t );
+	validateString( params.login_hint, 'login_hint', req.t );
+	const query = {
+		issuer: params.iss,
+		active: true
+	};
+	if ( params.client_id ) {
+		query.clientID = String( params.client_id );
+	}
+	const platform = await LtiPlatform.findOne( query );
+	if ( !platform ) {
+		throw new ErrorStatus( 404, req.t( 'lti-platform-nonexistent' ) );
+	}
+	const state = crypto.randomBytes( 24 ).toString( 'base64url' );
+	const nonce = crypto.randomBytes( 24 ).toString( 'base64url' );
+	storePendingLaunch( req.session, state, {
+		platform: String( platform._id ),
+		nonce,
+		createdAt: Date.now()
+	});
+	const auth = {
+		scope: 'openid',
+		response_type: 'id_token',
+		response_mode: 'form_post',
+		prompt: 'none',
+		client_id: platform.clientID,
+		redirect_uri: LAUNCH_URL,
+		login_hint: params.login_hint,
+		state,
+		nonce
+	};
+	if ( params.lti_message_hint ) {
+		auth.lti_message_hint = params.lti_message_hint;
+	}
+	const endpoint = platform.authLoginURL;
+	res.redirect( endpoint + ( endpoint.includes( '?' ) ? '&' : '?' ) + qs.stringify( auth ) );
+}
+
+router.get( '/lti/login', wrapAsync( onLogin ) );
+
+router.post( '/lti/login', wrapAsync( onLogin ) );
+
+/**
+ * @openapi
+ *
+ * /lti/launch:
+ *   post:
+ *     summary: Launch from learning management system
+ *     description: Redirect URI of the LTI 1.3 launch flow. Verifies the ID token posted by the platform and creates the user on first launch. Resource link launches enroll students in the cohort of the course and redirect to the linked lesson (via the dashboard's login page with a single-use login code), while deep linking requests display a page for selecting lessons.
+ *     tags: [LTI]
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id_token:
+ *                 type: string
+ *                 description: ID token of the launch
+ *               state:
+ *                 type: string
+ *                 description: State sent in the authentication request
+ *     responses:
+ *       200:
+ *         description: Lesson selection page (for deep linking requests)
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       302:
+ *         description: Redirect to the launched lesson
+ *       401:
+ *         description: Invalid launch
+ *       403:
+ *         description: Missing email address or deep linking request by a student or by an instructor owning no namespaces
+ *       404:
+ *         description: Course is not linked to a namespace or lesson does not exist
+ */
+router.post( '/lti/launch',
+	wrapAsync( async function onLaunch( req, res ) {
+		validateString( req.body.id_token, 'id_token', req.t );
+		validateString( req.body.state, 'state', req.t );
+		const pending = takePendingLaunch( req.session, req.body.state );
+		if ( !pending ) {
+			throw new ErrorStatus( 401, req.t( 'lti-launch-invalid' ) );
+		}
+		const platform = await LtiPlatform.findOne({ _id: pending.platform, active: true });
+		if ( !platform ) {
+			throw new ErrorStatus( 404, req.t( 'lti-platform-nonexistent' ) );
+		}
+		let claims;
+		try {
+			claims = await verifyLaunch( platform, req.body.id_token, pending.nonce );
+		} catch ( err ) {
+			debug( `Rejected launch from ${platform.issuer}: ${err.message}` );
+			throw new ErrorStatus( 401, req.t( 'lti-launch-invalid' ) );
+		}
+		const user = await launchUser( platform, claims, req.t );
+		if ( claims[ CLAIMS.MESSAGE_TYPE ] === 'LtiDeepLinkingRequest' ) {
+			return handleDeepLinkingRequest( req, res, platform, claims, user );
+		}
+		await handleResourceLinkRequest( req, res, platform, claims, user );
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /lti/deep_link:
+ *   post:
+ *     summary: Return selected lessons
+ *     description: Return the lessons selected on the lesson selection page of a deep linking request to the platform. Links the course to the namespace of the lessons on first use.
+ *     tags: [LTI]
+ *     requestBody:
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               csrf:
+ *                 type: string
+ *                 description: Token of the selection page
+ *               lessons:
+ *                 type: array
+ *                 description: IDs of the selected lessons
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Page posting the deep linking response to the platform
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Lessons belong to several namespaces or to another namespace than the one linked to the course
+ *       401:
+ *         description: Invalid or expired deep linking request
+ */
+router.post( '/lti/deep_link',
+	wrapAsync( async function onDeepLink( req, res ) {
+		const deepLink = req.session.ltiDeepLink;
+		req.session.ltiDeepLink = null;
+		if (
+			!deepLink || !req.body.csrf || req.body.csrf !== deepLink.csrf ||
+			Date.now() - deepLink.createdAt > MAX_LAUNCH_DURATION
+		) {
+			throw new ErrorStatus( 401, req.t( 'lti-launch-invalid' ) );
+		}
+		const ids = [].concat( req.body.lessons || [] ).map( String );
+		for ( let i = 0; i < ids.length; i++ ) {
+			validateObjectId( ids[ i ], 'lessons', req.t );
+		}
+		const lessons = await Lesson.find({ _id: { $in: ids }});
+		const namespaceIDs = [ ...new Set( lessons.map( x => String( x.namespace ) ) ) ];
+		if ( namespaceIDs.length > 1 ) {
+			throw new ErrorStatus( 400, req.t( 'lti-lessons-from-several-namespaces' ) );
+		}
+		const platform = await LtiPlatform.findById( deepLink.platform ).select( '+toolPrivateKey' );
+		if ( !platform ) {
+			throw new ErrorStatus( 404, req.t( 'lti-platform-nonexistent' ) );
+		}
+		if ( lessons.length > 0 ) {
+			const namespace = await Namespace.findOne({ _id: namespaceIDs[ 0 ], owners: deepLink.user });
+			if ( !namespace ) {
+				throw new ErrorStatus( 403, req.t( 'lti-no-owned-namespaces' ) );
+			}
+			const link = await LtiContext.findOne({ platform: platform._id, contextID: deepLink.contextID });
+			if ( !link ) {
+				await linkContext( platform._id, deepLink, namespace );
+			}
+			else if ( String( link.namespace ) !== String( namespace._id ) ) {
+				throw new ErrorStatus( 400, req.t( 'lti-course-linked-to-other-namespace' ) );
+			}
+		}
+		const jwt = deepLinkingResponse( platform, {
+			deploymentID: deepLink.deploymentID,
+			data: deepLink.data,
+			lessons
+		});
+		res.type( 'html' ).send( autoSubmitPage( deepLink.returnURL, { JWT: jwt }) );
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_get_lti_platforms:
+ *   get:
+ *     summary: Get LTI platforms
+ *     description: Get the learning management systems registered for LTI launches along with the URLs to configure in them. Only accessible to administrators.
+ *     tags: [LTI]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 platforms:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LtiPlatform'
+ *                 tool:
+ *                   type: object
+ *                   description: Login, launch and key set URLs to configure in learning management systems
+ *       403:
+ *         description: Access denied for users lacking the `manage_lti_platforms` permission
+ */
+router.get( '/admin_get_lti_platforms',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetPlatforms( req, res ) {
+		await validatePermissions( req, 'manage_lti_platforms' );
+		const platforms = await LtiPlatform.find().sort({ name: 1 })
+			.lean();
+		res.json({
+			message: 'ok',
+			platforms,
+			tool: toolConfiguration()
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_create_lti_platform:
+ *   post:
+ *     summary: Register LTI platform
+ *     description: Register a learning management system for LTI launches. A new key pair for signing messages to the platform is generated. Only accessible to administrators.
+ *     tags: [LTI]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/LtiPlatform'
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                 platform:
+ *                   $ref: '#/components/schemas/LtiPlatform'
+ *                 tool:
+ *                   type: object
+ *                   description: Login, launch and key set URLs to configure in the platform
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Access denied for users lacking the `manage_lti_platforms` permission
+ *       409:
+ *         description: Platform with the same issuer and client ID is already registered
+ */
+router.post( '/admin_create_lti_platform',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onCreatePlatform( req, res ) {
+		await validatePermissions( req, 'manage_lti_platforms' );
+		validatePlatformFields( req.body, req.t, false );
+		const exists = await LtiPlatform.exists({ issuer: req.body.issuer, clientID: req.body.clientID });
+		if ( exists ) {
+			throw new ErrorStatus( 409, req.t( 'lti-platform-already-exists' ) );
+		}
+		const platform = await LtiPlatform.create({
+			...pick( req.body, PLATFORM_FIELDS ),
+			...generateToolKey()
+		});
+		const after = pick( platform.toObject(), PLATFORM_FIELDS );
+		await recordAuditLog( req, {
+			action: 'create_lti_platform',
+			targetType: 'lti-platform',
+			target: platform._id,
+			after
+		});
+		res.json({
+			message: req.t( 'lti-platform-created' ),
+			platform: { _id: platform._id, toolKeyID: platform.toolKeyID, ...after },
+			tool: toolConfiguration()
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_update_lti_platform:
+ *   post:
+ *     summary: Update LTI platform
+ *     description: Update the registration of a learning management system. Only accessible to administrators.
+ *     tags: [LTI]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/LtiPlatform'
+ *               - type: object
+ *                 properties:
+ *                   id:
+ *                     type: ObjectId
+ *                     description: Platform identifier
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                 platform:
+ *                   $ref: '#/components/schemas/LtiPlatform'
+ *       400:
+ *         description: Invalid fields
+ *       403:
+ *         description: Access denied for users lacking the `manage_lti_platforms` permission
+ *       404:
+ *         description: Platform does not exist
+ */
+router.post( '/admin_update_lti_platform',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onUpdatePlatform( req, res ) {
+		await validatePermissions( req, 'manage_lti_platforms' );
+		validateObjectId( req.body.id, 'id', req.t );
+		validatePlatformFields( req.body, req.t, true );
+		const platform = await LtiPlatform.findById( req.body.id );
+		if ( !platform ) {
+			throw new ErrorStatus( 404, req.t( 'lti-platform-nonexistent' ) );
+		}
+		const before = pick( platform.toObject(), PLATFORM_FIELDS );
+		platform.set( pick( req.body, PLATFORM_FIELDS ) );
+		await platform.save();
+		const after = pick( platform.toObject(), PLATFORM_FIELDS );
+		await recordAuditLog( req, {
+			action: 'update_lti_platform',
+			targetType: 'lti-platform',
+			target: platform._id,
+			before,
+			after
+		});
+		res.json({
+			message: req.t( 'lti-platform-updated' ),
+			platform: { _id: platform._id, toolKeyID: platform.toolKeyID, ...after }
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_rotate_lti_platform_key:
+ *   post:
+ *     summary: Rotate LTI tool key
+ *     description: Replace the key pair with which ISLE signs messages to a learning management system. Only accessible to administrators.
+ *     tags: [LTI]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: Platform identifier
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                 toolKeyID:
+ *                   type: string
+ *                   description: Identifier of the new key
+ *       403:
+ *         description: Access denied for users lacking the `manage_lti_platforms` permission
+ *       404:
+ *         description: Platform does not exist
+ */
+router.post( '/admin_rotate_lti_platform_key',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRotateKey( req, res ) {
+		await validatePermissions( req, 'manage_lti_platforms' );
+		validateObjectId( req.body.id, 'id', req.t );
+		const platform = await LtiPlatform.findById( req.body.id );
+		if ( !platform ) {
+			throw new ErrorStatus( 404, req.t( 'lti-platform-nonexistent' ) );
+		}
+		const before = platform.toolKeyID;
+		platform.set( generateToolKey() );
+		await platform.save();
+		await recordAuditLog( req, {
+			action: 'rotate_lti_platform_key',
+			targetType: 'lti-platform',
+			target: platform._id,
+			before: { toolKeyID: before },
+			after: { toolKeyID: platform.toolKeyID }
+		});
+		res.json({
+			message: req.t( 'lti-platform-key-rotated' ),
+			toolKeyID: platform.toolKeyID
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_delete_lti_platform:
+ *   post:
+ *     summary: Delete LTI platform
+ *     description: Delete the registration of a learning management system along with its course and lesson links. Only accessible to administrators.
+ *     tags: [LTI]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: Platform identifier
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       403:
+ *         description: Access denied for users lacking the `manage_lti_platforms` permission
+ *       404:
+ *         description: Platform does not exist
+ */
+router.post( '/admin_delete_lti_platform',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onDeletePlatform( req, res ) {
+		await validatePermissions( req, 'manage_lti_platforms' );
+		validateObjectId( req.body.id, 'id', req.t );
+		const platform = await LtiPlatform.findOneAndDelete({ _id: req.body.id });
+		if ( !platform ) {
+			throw new ErrorStatus( 404, req.t( 'lti-platform-nonexistent' ) );
+		}
+		await LtiContext.deleteMany({ platform: platform._id });
+		await LtiResourceLink.deleteMany({ platform: platform._id });
+		await LtiUser.deleteMany({ platform: platform._id });
+		await recordAuditLog( req, {
+			action: 'delete_lti_platform',
+			targetType: 'lti-platform',
+			target: platform._id,
+			before: pick( platform.toObject(), PLATFORM_FIELDS )
+		});
+		res.json({ message: req.t( 'lti-platform-deleted' ) });
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
@@ -0,0 +1,209 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const crypto = require( 'crypto' );
+const axios = require( 'axios' );
+const qs = require( 'qs' );
+const debug = require( './../debug' )( 'server:lti' );
+const Grade = require( './../models/grade.js' );
+const User = require( './../models/user.js' );
+const LtiPlatform = require( './../models/lti_platform.js' );
+const LtiResourceLink = require( './../models/lti_resource_link.js' );
+const LtiUser = require( './../models/lti_user.js' );
+const { signMessage } = require( './tool_key.js' );
+const { SCORE_SCOPE } = require( './claims.js' );
+
+
+// VARIABLES //
+
+const SCORE_MAXIMUM = 100;
+const TOKEN_EXPIRY_MARGIN = 60 * 1000; // One minute...
+const DEFAULT_TOKEN_LIFETIME = 3600; // Seconds...
+const tokenCache = new Map();
+
+
+// FUNCTIONS //
+
+/**
+* Returns an access token for sending scores to a platform, requesting a new one via the client credentials grant if no valid token is cached.
+*
+* @private
+* @param {Object} platform - platform document (including the private key)
+* @returns {Promise<string>} access token
+*/
+async function accessToken( platform ) {
+	const key = String( platform._id );
+	const entry = tokenCache.get( key );
+	if ( entry && entry.expiresAt > Date.now() ) {
+		return entry.token;
+	}
+	const assertion = signMessage( platform, {
+		jti: crypto.randomBytes( 16 ).toString( 'hex' )
+	}, {
+		issuer: platform.clientID,
+		subject: platform.clientID,
+		audience: platform.authTokenAudience || platform.authTokenURL
+	});
+	const res = await axios.post( platform.authTokenURL, qs.stringify({
+		grant_type: 'client_credentials',
+		client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+		client_assertion: assertion,
+		scope: SCORE_SCOPE
+	}), {
+		headers: {
+			'Content-Type': 'application/x-www-form-urlencoded',
+			'Accept': 'application/json'
+		}
+	});
+	const lifetime = ( res.data.expires_in || DEFAULT_TOKEN_LIFETIME ) * 1000;
+	tokenCache.set( key, {
+		token: res.data.access_token,
+		expiresAt: Date.now() + lifetime - TOKEN_EXPIRY_MARGIN
+	});
+	return res.data.access_token;
+}
+
+/**
+* Returns the URL of the scores endpoint of a line item.
+*
+* @private
+* @param {string} lineItem - line item URL
+* @returns {string} scores URL
+*/
+function scoresURL( lineItem ) {
+	const url = new URL( lineItem );
+	url.pathname = url.pathname.replace( /\/+$/, '' ) + '/scores';
+	return url.toString();
+}
+
+/**
+* Computes the score of a user for a lesson.
+*
+* ## Notes
+*
+* -   If the lesson has graded components with maximum points, the score is the percentage of points achieved; otherwise, it is the user's progress in the lesson.
+*
+* @private
+* @param {Array<Object>} grades - grades of the user for the lesson
+* @param {number} progress - progress of the user in the lesson (between zero and one)
+* @returns {Object} score (without user identifier and timestamp)
+*/
+function lessonScore( grades, progress ) {
+	let points = 0;
+	let maxPoints = 0;
+	for ( let i = 0; i < grades.length; i++ ) {
+		if ( grades[ i ].maxPoints ) {
+			points += grades[ i ].points;
+			maxPoints += grades[ i ].maxPoints;
+		}
+	}
+	const fraction = maxPoints > 0 ? points / maxPoints : progress;
+	let activityProgress = 'Initialized';
+	if ( progress >= 1 ) {
+		activityProgress = 'Completed';
+	} else if ( progress > 0 ) {
+		activityProgress = 'InProgress';
+	}
+	return {
+		scoreGiven: Math.round( Math.min( Math.max( fraction, 0 ), 1 ) * SCORE_MAXIMUM * 100 ) / 100,
+		scoreMaximum: SCORE_MAXIMUM,
+		activityProgress,
+		gradingProgress: 'FullyGraded'
+	};
+}
+
+
+// MAIN //
+
+/**
+* Sends the score of a user for a lesson to the gradebooks of all courses in learning management systems linking the lesson.
+*
+* ## Notes
+*
+* -   Scores are only sent for links with a line item and for users who have launched ISLE from the respective platform before.
+* -   Errors are logged but not propagated, so that callers do not have to wait for or handle the delivery of scores.
+*
+* @param {Object} options - function options
+* @param {ObjectId} options.user - user identifier
+* @param {ObjectId} options.lesson - lesson identifier
+* @returns {Promise<number>} number of sent scores
+*/
+async function syncLtiScore({ user, lesson }) {
+	let sent = 0;
+	try {
+		const links = await LtiResourceLink.find({ lesson, lineItem: { $ne: null }}).lean();
+		if ( links.length === 0 ) {
+			return sent;
+		}
+		const ltiUsers = await LtiUser.find({
+			user,
+			platform: { $in: links.map( x => x.platform ) }
+		}).lean();
+		if ( ltiUsers.length === 0 ) {
+			return sent;
+		}
+		const platforms = await LtiPlatform.find({
+			_id: { $in: ltiUsers.map( x => x.platform ) },
+			active: true
+		}).select( '+toolPrivateKey' );
+		const grades = await Grade
+			.find({ user, lesson, points: { $ne: null }})
+			.lean();
+		const doc = await User
+			.findById( user )
+			.select( 'lessonData' )
+			.lean();
+		const lessonData = ( doc && doc.lessonData ) ? doc.lessonData[ lesson ] : null;
+		const score = lessonScore( grades, ( lessonData && lessonData.progress ) || 0 );
+		for ( let i = 0; i < links.length; i++ ) {
+			const link = links[ i ];
+			const platform = platforms.find( x => String( x._id ) === String( link.platform ) );
+			const ltiUser = ltiUsers.find( x => String( x.platform ) === String( link.platform ) );
+			if ( !platform || !ltiUser ) {
+				continue;
+			}
+			try {
+				const token = await accessToken( platform );
+				await axios.post( scoresURL( link.lineItem ), {
+					...score,
+					userId: ltiUser.sub,
+					timestamp: new Date().toISOString()
+				}, {
+					headers: {
+						'Authorization': 'Bearer '+token,
+						'Content-Type': 'application/vnd.ims.lis.v1.score+json'
+					}
+				});
+				sent += 1;
+			} catch ( err ) {
+				debug( `Encountered an error when sending score to ${link.lineItem}: ${err.message}` );
+			}
+		}
+	} catch ( err ) {
+		debug( 'Encountered an error when synchronizing LTI scores: '+err.message );
+	}
+	return sent;
+}
+
+
+// EXPORTS //
+
+module.exports = syncLtiScore;
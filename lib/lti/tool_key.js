@@ -0,0 +1,87 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const crypto = require( 'crypto' );
+const jwt = require( 'jsonwebtoken' );
+
+
+// VARIABLES //
+
+const MODULUS_LENGTH = 2048;
+const MESSAGE_LIFETIME = 5 * 60; // Five minutes (in seconds)...
+
+
+// MAIN //
+
+/**
+* Generates a new key pair with which ISLE signs messages to a platform.
+*
+* @returns {Object} object holding the key identifier (`toolKeyID`) and the PEM encoded private key (`toolPrivateKey`)
+*/
+function generateToolKey() {
+	const { privateKey } = crypto.generateKeyPairSync( 'rsa', { modulusLength: MODULUS_LENGTH });
+	return {
+		toolKeyID: crypto.randomBytes( 16 ).toString( 'hex' ),
+		toolPrivateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+	};
+}
+
+/**
+* Returns the public key of a platform's tool key in JSON Web Key format.
+*
+* @param {Object} platform - platform document (including the private key)
+* @returns {Object} JSON Web Key
+*/
+function publicJWK( platform ) {
+	const jwk = crypto.createPublicKey( platform.toolPrivateKey ).export({ format: 'jwk' });
+	return {
+		...jwk,
+		kid: platform.toolKeyID,
+		alg: 'RS256',
+		use: 'sig'
+	};
+}
+
+/**
+* Signs a message to a platform with its tool key.
+*
+* @param {Object} platform - platform document (including the private key)
+* @param {Object} payload - message claims
+* @param {Object} [options={}] - additional signing options (e.g., the `audience`)
+* @returns {string} signed JSON Web Token
+*/
+function signMessage( platform, payload, options = {}) {
+	return jwt.sign( payload, platform.toolPrivateKey, {
+		algorithm: 'RS256',
+		keyid: platform.toolKeyID,
+		expiresIn: MESSAGE_LIFETIME,
+		...options
+	});
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	generateToolKey,
+	publicJWK,
+	signMessage
+};
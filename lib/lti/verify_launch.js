@@ -0,0 +1,78 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { verifyJWT } = require( './../oidc/client.js' );
+const { CLAIMS } = require( './claims.js' );
+
+
+// VARIABLES //
+
+const MESSAGE_TYPES = [ 'LtiResourceLinkRequest', 'LtiDeepLinkingRequest' ];
+
+
+// MAIN //
+
+/**
+* Verifies the ID token of an LTI 1.3 launch and returns its claims.
+*
+* @param {Object} platform - platform document
+* @param {string} idToken - ID token posted by the platform
+* @param {string} nonce - nonce sent in the authentication request
+* @throws {Error} ID token must be signed by the platform, issued for ISLE and contain the nonce
+* @throws {Error} launch must be an LTI 1.3 resource link or deep linking request
+* @throws {Error} deployment must be registered for the platform
+* @returns {Promise<Object>} claims
+*/
+async function verifyLaunch( platform, idToken, nonce ) {
+	const claims = await verifyJWT( idToken, {
+		jwksURI: platform.keysetURL,
+		issuer: platform.issuer,
+		audience: platform.clientID
+	});
+	if ( claims.nonce !== nonce ) {
+		throw new Error( 'Launch nonce mismatch' );
+	}
+	if ( Array.isArray( claims.aud ) && claims.aud.length > 1 && claims.azp !== platform.clientID ) {
+		throw new Error( 'Launch was issued to another party' );
+	}
+	if ( !claims.sub ) {
+		throw new Error( 'Anonymous launches are not supported' );
+	}
+	if ( claims[ CLAIMS.VERSION ] !== '1.3.0' ) {
+		throw new Error( 'Unsupported LTI version: '+claims[ CLAIMS.VERSION ] );
+	}
+	if ( !MESSAGE_TYPES.includes( claims[ CLAIMS.MESSAGE_TYPE ] ) ) {
+		throw new Error( 'Unsupported message type: '+claims[ CLAIMS.MESSAGE_TYPE ] );
+	}
+	const deploymentID = claims[ CLAIMS.DEPLOYMENT_ID ];
+	if (
+		!deploymentID ||
+		( platform.deploymentIDs.length > 0 && !platform.deploymentIDs.includes( deploymentID ) )
+	) {
+		throw new Error( 'Unknown deployment: '+deploymentID );
+	}
+	return claims;
+}
+
+
+// EXPORTS //
+
+module.exports = verifyLaunch;
@@ -15,13 +15,38 @@
 * along with this program.  If not, see <https://www.gnu.org/licenses/>.
 */
 
+
 'use strict';
 
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: Mail
+ *   description: Sending of emails and monitoring of their delivery.
+ */
+
 // MODULES //
 
 const router = require( 'express' ).Router();
 const debug = require( './debug' )( 'server:mail' );
 const mailer = require( './mailer' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const validateEnum = require( './helpers/validate_enum.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
+const validateEmailAddress = require( './helpers/validate_email_address.js' );
+const OutgoingMail = require( './models/outgoing_mail.js' );
+const { NOTIFICATIONS_EMAIL } = require( './constants.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const STATUSES = [ 'queued', 'sending', 'sent', 'failed' ];
 
 
 // MAIN //
@@ -33,6 +58,7 @@ const mailer = require( './mailer' );
  *   post:
  *     summary: Send email
  *     description: Send an email.
+ *     tags: [Mail]
  */
 router.post( '/send_mail', function onSendMail( req, res ) {
 	if ( !mailer.active ) {
@@ -48,6 +74,249 @@ router.post( '/send_mail', function onSendMail( req, res ) {
 	});
 });
 
+/**
+ * @openapi
+ *
+ * /admin_get_outgoing_mails:
+ *   get:
+ *     summary: Get outgoing emails
+ *     description: Get a page of the emails in the outbox along with their delivery status, most recent first. Only accessible to administrators.
+ *     tags: [Mail]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         description: Only return emails with this delivery status
+ *         schema:
+ *           type: string
+ *           enum: [queued, sending, sent, failed]
+ *       - in: query
+ *         name: to
+ *         description: Only return emails sent to this address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         description: Page number (starting at 1)
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         description: Number of emails per page
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 mails:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OutgoingMail'
+ *                 total:
+ *                   type: integer
+ *                   description: Total number of matching emails.
+ *       400:
+ *         description: Invalid query parameters
+ *       403:
+ *         description: Access denied for users lacking the `manage_mail` permission
+ */
+router.get( '/admin_get_outgoing_mails',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetOutgoingMails( req, res ) {
+		await validatePermissions( req, 'manage_mail' );
+		const query = {};
+		if ( req.query.status ) {
+			validateEnum( req.query.status, STATUSES, 'status', req.t );
+			query.status = req.query.status;
+		}
+		if ( req.query.to ) {
+			query.to = req.query.to;
+		}
+		const page = Math.max( parseInt( req.query.page, 10 ) || 1, 1 );
+		const limit = Math.min( parseInt( req.query.limit, 10 ) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE );
+		const total = await OutgoingMail.countDocuments( query );
+		const mails = await OutgoingMail
+			.find( query )
+			.select( '-html' )
+			.sort({ createdAt: -1 })
+			.skip( ( page-1 ) * limit )
+			.limit( limit )
+			.lean();
+		res.json({ message: 'ok', mails, total });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_retry_outgoing_mail:
+ *   post:
+ *     summary: Retry outgoing email
+ *     description: Re-queue an email whose delivery failed for immediate delivery and reset its number of attempts. Only accessible to administrators.
+ *     tags: [Mail]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: Outgoing email identifier
+ *     responses:
+ *       200:
+ *         description: Email re-queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Email has been queued for delivery.
+ *       403:
+ *         description: Access denied for users lacking the `manage_mail` permission
+ *       404:
+ *         description: Email does not exist or has already been sent
+ */
+router.post( '/admin_retry_outgoing_mail',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRetryOutgoingMail( req, res ) {
+		await validatePermissions( req, 'manage_mail' );
+		validateObjectId( req.body.id, 'id', req.t );
+
+		const mail = await OutgoingMail.findOneAndUpdate({
+			_id: req.body.id,
+			status: { $in: [ 'queued', 'failed' ]}
+		}, {
+			$set: {
+				status: 'queued',
+				attempts: 0,
+				nextAttemptAt: new Date()
+			}
+		}, { new: true });
+		if ( !mail ) {
+			throw new ErrorStatus( 404, req.t( 'outgoing-mail-nonexistent' ) );
+		}
+		debug( `Re-queued email ${mail._id} to ${mail.to}...` );
+		res.json({ message: req.t( 'outgoing-mail-requeued' ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_send_test_mail:
+ *   post:
+ *     summary: Send test email
+ *     description: Verify the configured mail transport and send a test email. Only accessible to administrators.
+ *     tags: [Mail]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               to:
+ *                 type: string
+ *                 description: Recipient of the test email (defaults to the email address of the administrator)
+ *                 example: jane.doe@isledocs.com
+ *     responses:
+ *       200:
+ *         description: Result of the transport verification and of the delivery of the test email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Result message
+ *                   example: Test email has been sent.
+ *                 transport:
+ *                   type: string
+ *                   description: Configured mail transport
+ *                   example: smtp
+ *                 verification:
+ *                   type: object
+ *                   description: Result of the transport verification
+ *                   properties:
+ *                     ok:
+ *                       type: boolean
+ *                     error:
+ *                       type: string
+ *                     checkedAt:
+ *                       type: string
+ *                       format: date-time
+ *                 delivery:
+ *                   type: object
+ *                   description: Result of the delivery attempt
+ *                   properties:
+ *                     ok:
+ *                       type: boolean
+ *                     messageId:
+ *                       type: string
+ *                     error:
+ *                       type: string
+ *       400:
+ *         description: Invalid recipient
+ *       403:
+ *         description: Access denied for users lacking the `manage_mail` permission
+ */
+router.post( '/admin_send_test_mail',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onSendTestMail( req, res ) {
+		await validatePermissions( req, 'manage_mail' );
+		const to = req.body.to || req.user.email;
+		validateEmailAddress( to, 'to', req.t );
+
+		const verification = await mailer.verify();
+		debug( `Send test email to ${to} via ${mailer.transportName} transport...` );
+		const delivery = await new Promise( function promise( resolve ) {
+			mailer.send({
+				'from': NOTIFICATIONS_EMAIL,
+				'subject': req.t( 'test-email-subject' ),
+				'to': to,
+				'text': req.t( 'test-email-text', {
+					transport: mailer.transportName
+				}),
+				'locale': req.language
+			}, function onDone( error, info ) {
+				if ( error ) {
+					return resolve({ ok: false, error: error.message });
+				}
+				resolve({ ok: true, messageId: info.messageId || null });
+			});
+		});
+		res.json({
+			message: req.t( delivery.ok ? 'test-email-sent' : 'test-email-failed' ),
+			transport: mailer.transportName,
+			verification,
+			delivery
+		});
+	})
+);
+
 
 // EXPORTS //
 
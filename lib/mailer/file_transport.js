@@ -0,0 +1,74 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+const crypto = require( 'crypto' );
+const debug = require( './../debug' )( 'server:mailer' );
+
+
+// MAIN //
+
+/**
+* Creates a nodemailer transport which writes emails as `.eml` files to a directory instead of sending them (for development).
+*
+* @param {string} directory - output directory
+*/
+function FileTransport( directory ) {
+	this.name = 'file';
+	this.version = '1.0.0';
+
+	this.send = function send( mail, clbk ) {
+		mail.message.build( function onBuild( err, message ) {
+			if ( err ) {
+				return clbk( err );
+			}
+			const filename = `${Date.now()}-${crypto.randomBytes( 4 ).toString( 'hex' )}.eml`;
+			const file = path.join( directory, filename );
+			fs.writeFile( file, message, function onWrite( error ) {
+				if ( error ) {
+					return clbk( error );
+				}
+				debug( `Wrote email to ${file}...` );
+				clbk( null, {
+					envelope: mail.message.getEnvelope(),
+					messageId: mail.message.messageId(),
+					path: file
+				});
+			});
+		});
+	};
+
+	this.verify = function verify( clbk ) {
+		fs.access( directory, fs.constants.W_OK, function onAccess( err ) {
+			if ( err ) {
+				return clbk( new Error( `Mail directory ${directory} is not writable` ) );
+			}
+			clbk( null, true );
+		});
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = FileTransport;
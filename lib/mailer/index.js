@@ -15,26 +15,23 @@
 * along with this program.  If not, see <https://www.gnu.org/licenses/>.
 */
 
+
 'use strict';
 
 // MODULES //
 
-const fs = require( 'fs' );
-const path = require( 'path' );
 const nodemailer = require( 'nodemailer' );
 const debug = require( './../debug' )( 'server:mailer' );
-const replace = require( '@stdlib/string/replace' );
 const noop = require( '@stdlib/utils/noop' );
-const { mailgun } = require( './../credentials.js' );
+const credentials = require( './../credentials.js' );
 const config = require( './../../etc/config.json' );
+const transportOptions = require( './transport_options.js' );
+const { deliverMail, processOutbox, queueMail } = require( './outbox.js' );
 
 
 // VARIABLES //
 
-let HTML_TEMPLATE = fs.readFileSync( path.join( __dirname, './email_template.txt' ) ).toString();
-HTML_TEMPLATE = replace( HTML_TEMPLATE, '{{server}}', config.server );
-let HTML_TEMPLATE_WITH_LINK = fs.readFileSync( path.join( __dirname, './email_template_with_link.txt' ) ).toString();
-HTML_TEMPLATE_WITH_LINK = replace( HTML_TEMPLATE_WITH_LINK, '{{server}}', config.server );
+const OUTBOX_INTERVAL = 15 * 1000; // Check for due emails every fifteen seconds
 
 
 // MAIN  //
@@ -42,75 +39,105 @@ HTML_TEMPLATE_WITH_LINK = replace( HTML_TEMPLATE_WITH_LINK, '{{server}}', config
 /**
 * Creates a mailer instance.
 *
-* @param {Object} config - mailer configuration
-* @param {Array} mails - array of mails
+* ## Notes
+*
+* -   Emails are persisted in the outbox (`OutgoingMail` collection) before delivery, so that scheduled emails and emails whose delivery failed survive restarts and are retried.
+* -   By default, emails are sent via Mailgun. A different transport (SMTP, SES, sendmail, or a JSON or file transport for development) can be configured via the `mail` option in `etc/config.json` (see `transport_options.js`) or supplied via `setTransport`.
+*
+* @param {Object} [options] - mail configuration
 */
-function Mailer( config ) {
+function Mailer( options = {} ) {
 	const self = this;
-	const transportOptions = {
-		'service': 'Mailgun',
-		'auth': mailgun
+	self.active = false;
+	self.transportName = options.transport || 'mailgun';
+	self.transporter = null;
+	self.verification = null;
+
+	this.verify = function verify() {
+		return new Promise( function promise( resolve ) {
+			function done( error ) {
+				self.active = !error;
+				self.verification = {
+					ok: !error,
+					error: error ? error.message : null,
+					checkedAt: new Date()
+				};
+				if ( error ) {
+					debug( 'Encountered an error: '+error.message );
+				} else {
+					debug( 'Server is ready to send emails.' );
+				}
+				resolve( self.verification );
+			}
+			if ( !self.transporter ) {
+				return done( new Error( 'No mail transport configured' ) );
+			}
+			if ( typeof self.transporter.verify !== 'function' ) {
+				// Transports such as `sendmail` or `json` do not support verification...
+				return done( null );
+			}
+			self.transporter.verify( done );
+		});
+	};
+
+	this.setTransport = function setTransport( transport ) {
+		self.transporter = transport;
+		self.active = false;
+		return self.verify();
 	};
-	self.jobs = [];
 
-	if ( !config ) {
-		this.transporter = nodemailer.createTransport( transportOptions );
-	} else {
-		this.transporter = nodemailer.createTransport( config );
-	}
-	self.active = false;
-	this.transporter.verify( function onVerification( error, success ) {
-		if ( error ) {
-			debug( 'Encountered an error: '+error.message );
-			self.active = false;
-		} else {
-			debug( 'Server is ready to send emails.' );
-			self.active = true;
-		}
-	});
 	this.send = function send( mailOptions, clbk = noop ) {
-		if ( !mailOptions.subject || ( !mailOptions.text && !mailOptions.html ) ) {
+		if ( !mailOptions.translation && ( !mailOptions.subject || ( !mailOptions.text && !mailOptions.html ) ) ) {
 			debug( 'Skipping trying to send empty email: '+JSON.stringify( mailOptions ) );
 			return;
 		}
-		let date;
-		if ( Object.prototype.hasOwnProperty.call( mailOptions, 'delay' ) ) {
-			date = new Date().getTime();
-			date += ( mailOptions.delay * 1000 );
-			mailOptions.clbk = clbk;
-			self.jobs.push( mailOptions );
-		} else {
-			mailOptions.date = date;
-			if ( mailOptions.link ) {
-				let html = replace( HTML_TEMPLATE_WITH_LINK, '{{text}}', mailOptions.text || '' );
-				html = replace( html, '{{link}}', mailOptions.link );
-				mailOptions.html = html;
-			} else {
-				mailOptions.html = replace( HTML_TEMPLATE, '{{text}}', mailOptions.text || '' );
-			}
-			this.transporter.sendMail( mailOptions, clbk );
-		}
+		queueMail( mailOptions )
+			.then( function onQueued( mail ) {
+				if ( mail.nextAttemptAt.getTime() > Date.now() ) {
+					debug( `Scheduled email ${mail._id} for ${mail.nextAttemptAt.toISOString()}...` );
+					return clbk( null, {
+						id: mail._id,
+						status: mail.status,
+						nextAttemptAt: mail.nextAttemptAt
+					});
+				}
+				deliverMail( mail._id, self.transporter )
+					.then( info => clbk( null, info ) )
+					.catch( clbk );
+			})
+			.catch( function onError( err ) {
+				debug( 'Could not queue email: '+err.message );
+				clbk( err );
+			});
+	};
+
+	this.processOutbox = function process() {
+		return processOutbox( self.transporter )
+			.catch( function onError( err ) {
+				debug( 'Encountered an error when processing the outbox: '+err.message );
+				return 0;
+			});
 	};
 
 	this.init = function init() {
 		debug( 'Mailer initialized.' );
-		setInterval( self.check, 3000 );
-	};
-	this.check = function check() {
-		const currentDate = new Date().getTime();
-		let i = self.jobs.length;
-		while ( i-- ) {
-			if ( self.jobs[ i ].date > currentDate ) {
-				const clbk = self.jobs[ i ].clbk || noop;
-				self.transporter.sendMail( self.jobs[ i ], clbk );
-				self.jobs.splice( i, 1 );
-			}
-		}
+		const interval = setInterval( self.processOutbox, OUTBOX_INTERVAL );
+		interval.unref();
 	};
+	try {
+		self.setTransport( nodemailer.createTransport( transportOptions( options, credentials ) ) );
+	} catch ( err ) {
+		debug( 'Invalid mail configuration: '+err.message );
+		self.verification = {
+			ok: false,
+			error: err.message,
+			checkedAt: new Date()
+		};
+	}
 	self.init();
 }
 
 
 // EXPORTS //
 
-module.exports = new Mailer();
+module.exports = new Mailer( config.mail );
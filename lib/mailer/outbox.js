@@ -0,0 +1,307 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const isArray = require( '@stdlib/assert/is-array' );
+const isObject = require( '@stdlib/assert/is-object' );
+const isPositiveInteger = require( '@stdlib/assert/is-positive-integer' ).isPrimitive;
+const replace = require( '@stdlib/string/replace' );
+const objectKeys = require( '@stdlib/utils/keys' );
+const debug = require( './../debug' )( 'server:mailer' );
+const OutgoingMail = require( './../models/outgoing_mail.js' );
+const settings = require( './../../etc/settings.json' );
+const i18next = require( './../i18n.js' );
+const escapeHTML = require( './../utils/escape_html.js' );
+const renderMail = require( './render_mail.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY = 60 * 1000; // One minute before the first retry
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+const STALE_SENDING_TIMEOUT = 10 * 60 * 1000; // Mails stuck in `sending` (e.g., after a crash) are re-queued after ten minutes
+const BATCH_SIZE = 50;
+const ADDRESS_FIELDS = [ 'from', 'to', 'cc', 'bcc', 'replyTo' ];
+
+
+// FUNCTIONS //
+
+/**
+* Returns the maximum number of delivery attempts before an email is marked as failed.
+*
+* @private
+* @returns {integer} maximum number of attempts
+*/
+function maxAttempts() {
+	return isPositiveInteger( settings.mailMaxAttempts ) ? settings.mailMaxAttempts : DEFAULT_MAX_ATTEMPTS;
+}
+
+/**
+* Returns the delay before the next delivery attempt, which doubles with every failed attempt.
+*
+* @private
+* @param {integer} attempts - number of failed attempts
+* @returns {number} delay in milliseconds
+*/
+function retryDelay( attempts ) {
+	return Math.min( RETRY_BASE_DELAY * Math.pow( 2, attempts - 1 ), MAX_RETRY_DELAY );
+}
+
+/**
+* Formats an address supplied either as a string or as an object with `name` and `address` properties.
+*
+* @private
+* @param {(string|Object)} value - address
+* @returns {string} formatted address
+*/
+function formatAddress( value ) {
+	if ( isObject( value ) ) {
+		if ( !value.name ) {
+			return value.address;
+		}
+		return `"${replace( value.name, '"', '\\"' )}" <${value.address}>`;
+	}
+	return value;
+}
+
+/**
+* Normalizes an address field which may be supplied as an array of addresses.
+*
+* @private
+* @param {(string|Object|Array)} value - address or addresses
+* @returns {(string|null)} comma-separated addresses
+*/
+function normalizeAddresses( value ) {
+	if ( isArray( value ) ) {
+		return value.map( formatAddress ).join( ', ' );
+	}
+	return value ? formatAddress( value ) : null;
+}
+
+/**
+* Translates the subject and body of an email into the language of its recipient.
+*
+* ## Notes
+*
+* -   The body is translated twice: with the interpolated values as given for the plain-text part and with HTML-escaped values for insertion into the HTML email template.
+*
+* @private
+* @param {Object} translation - translation keys and values
+* @param {string} translation.subject - translation key of the subject
+* @param {string} translation.text - translation key of the body
+* @param {Object} [translation.data={}] - values interpolated into the translations
+* @param {string} locale - language identifier
+* @returns {Promise<Object>} object holding the translated `subject`, the plain-text body `text` and the body `html` for the HTML email template
+*/
+async function translateMail( translation, locale ) {
+	const data = translation.data || {};
+	await i18next.loadLanguages( locale );
+	const t = i18next.getFixedT( locale );
+	const escaped = {};
+	const keys = objectKeys( data );
+	for ( let i = 0; i < keys.length; i++ ) {
+		const value = data[ keys[ i ] ];
+		escaped[ keys[ i ] ] = typeof value === 'string' ? escapeHTML( value ) : value;
+	}
+	const interpolation = { escapeValue: false };
+	return {
+		subject: t( translation.subject, { ...data, interpolation }),
+		text: t( translation.text, { ...data, interpolation }),
+		html: t( translation.text, { ...escaped, interpolation })
+	};
+}
+
+/**
+* Hands an email over to a mail transport.
+*
+* @private
+* @param {Object} transport - nodemailer-compatible transport
+* @param {Object} options - message options
+* @returns {Promise<Object>} delivery information
+*/
+function sendMail( transport, options ) {
+	return new Promise( function promise( resolve, reject ) {
+		transport.sendMail( options, function onSent( err, info ) {
+			if ( err ) {
+				return reject( err );
+			}
+			resolve( info || {} );
+		});
+	});
+}
+
+
+// MAIN //
+
+/**
+* Persists an email in the outbox.
+*
+* @param {Object} options - email options
+* @param {string} options.to - recipient(s)
+* @param {string} [options.subject] - subject
+* @param {string} [options.text] - plain text body
+* @param {Object} [options.translation] - translation keys of the `subject` and `text` along with the `data` interpolated into them (translated into the language given by `locale` in place of `subject` and `text`)
+* @param {string} [options.html] - custom HTML body
+* @param {string} [options.link] - link displayed below the text
+* @param {string} [options.locale] - language in which to render the email template
+* @param {number} [options.delay] - number of seconds to wait before the first delivery attempt
+* @param {(Date|number)} [options.sendAt] - time of the first delivery attempt
+* @returns {Promise<Object>} outgoing mail document
+*/
+async function queueMail( options ) {
+	let nextAttemptAt = new Date();
+	if ( options.sendAt ) {
+		nextAttemptAt = new Date( options.sendAt );
+	} else if ( options.delay ) {
+		nextAttemptAt = new Date( nextAttemptAt.getTime() + ( options.delay * 1000 ) );
+	}
+	const locale = options.locale || 'en';
+	let { subject, text, html } = options;
+	if ( options.translation ) {
+		const translated = await translateMail( options.translation, locale );
+		subject = translated.subject;
+		text = translated.text;
+		if ( !html ) {
+			// Render the HTML part from the escaped translation, as the plain-text body holds the values as given:
+			html = await renderMail({ text: translated.html, link: options.link, locale });
+		}
+	}
+	const mail = {
+		subject,
+		text: text || '',
+		html: html || null,
+		link: options.link || null,
+		locale,
+		nextAttemptAt
+	};
+	for ( let i = 0; i < ADDRESS_FIELDS.length; i++ ) {
+		const field = ADDRESS_FIELDS[ i ];
+		mail[ field ] = normalizeAddresses( options[ field ] );
+	}
+	return OutgoingMail.create( mail );
+}
+
+/**
+* Attempts to deliver a queued email.
+*
+* ## Notes
+*
+* -   The email is claimed atomically, so that concurrent workers never deliver the same email twice.
+* -   On failure, the email is re-queued with an exponentially increasing delay until the maximum number of attempts (setting `mailMaxAttempts`) is reached, after which it is marked as failed.
+*
+* @param {ObjectId} id - outgoing mail identifier
+* @param {Object} transport - nodemailer-compatible transport
+* @throws {Error} delivery error
+* @returns {Promise<(Object|null)>} delivery information or `null` if the email is not queued (e.g., because it has been claimed by another worker)
+*/
+async function deliverMail( id, transport ) {
+	const mail = await OutgoingMail.findOneAndUpdate({
+		_id: id,
+		status: 'queued'
+	}, {
+		$set: { status: 'sending' },
+		$inc: { attempts: 1 }
+	}, { new: true });
+	if ( !mail ) {
+		return null;
+	}
+	try {
+		const html = mail.html || await renderMail( mail );
+		const info = await sendMail( transport, {
+			from: mail.from,
+			to: mail.to,
+			cc: mail.cc || void 0,
+			bcc: mail.bcc || void 0,
+			replyTo: mail.replyTo || void 0,
+			subject: mail.subject,
+			text: mail.text,
+			html
+		});
+		await OutgoingMail.updateOne({ _id: mail._id }, {
+			$set: {
+				status: 'sent',
+				sentAt: new Date(),
+				messageId: info.messageId || null,
+				lastError: null
+			}
+		});
+		debug( `Delivered email ${mail._id} to ${mail.to}...` );
+		return info;
+	} catch ( err ) {
+		const failed = mail.attempts >= maxAttempts();
+		const update = {
+			status: failed ? 'failed' : 'queued',
+			lastError: err.message
+		};
+		if ( !failed ) {
+			update.nextAttemptAt = new Date( Date.now() + retryDelay( mail.attempts ) );
+		}
+		await OutgoingMail.updateOne({ _id: mail._id }, { $set: update });
+		debug( `Delivery of email ${mail._id} failed (attempt ${mail.attempts}): ${err.message}` );
+		throw err;
+	}
+}
+
+/**
+* Delivers all queued emails whose next delivery attempt is due.
+*
+* @param {Object} transport - nodemailer-compatible transport
+* @returns {Promise<integer>} number of delivered emails
+*/
+async function processOutbox( transport ) {
+	const now = Date.now();
+	await OutgoingMail.updateMany({
+		status: 'sending',
+		updatedAt: { $lt: new Date( now - STALE_SENDING_TIMEOUT ) }
+	}, {
+		$set: { status: 'queued' }
+	});
+	const due = await OutgoingMail.find({
+		status: 'queued',
+		nextAttemptAt: { $lte: new Date( now ) }
+	})
+		.sort( 'nextAttemptAt' )
+		.limit( BATCH_SIZE )
+		.select( '_id' )
+		.lean();
+	let delivered = 0;
+	for ( let i = 0; i < due.length; i++ ) {
+		try {
+			const info = await deliverMail( due[ i ]._id, transport );
+			if ( info ) {
+				delivered += 1;
+			}
+		} catch ( err ) {
+			// Error has been recorded on the outgoing mail...
+		}
+	}
+	return delivered;
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	deliverMail,
+	processOutbox,
+	queueMail
+};
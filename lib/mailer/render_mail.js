@@ -0,0 +1,69 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+const replace = require( '@stdlib/string/replace' );
+const i18next = require( './../i18n.js' );
+const config = require( './../../etc/config.json' );
+
+
+// VARIABLES //
+
+const LAYOUT = replace( fs.readFileSync( path.join( __dirname, './email_template.html' ) ).toString(), '{{server}}', config.server );
+const BUTTON = fs.readFileSync( path.join( __dirname, './email_button.html' ) ).toString();
+
+
+// MAIN //
+
+/**
+* Renders the HTML body of an email in the language of its recipient.
+*
+* ## Notes
+*
+* -   The labels of the template are taken from the `email-title` and `email-open-link` translation keys in `locales/`, so that they can be overridden via custom translations.
+* -   A button pointing to the link of the email is only rendered if a link has been supplied.
+*
+* @param {Object} mail - email
+* @param {string} [mail.text=''] - body text
+* @param {string} [mail.link] - link displayed below the text
+* @param {string} [mail.locale='en'] - language identifier
+* @returns {Promise<string>} HTML body
+*/
+async function renderMail({ text = '', link, locale = 'en' }) {
+	await i18next.loadLanguages( locale );
+	const t = i18next.getFixedT( locale );
+	let button = '';
+	if ( link ) {
+		button = replace( BUTTON, '{{label}}', t( 'email-open-link' ) );
+		button = replace( button, '{{link}}', link );
+	}
+	let html = replace( LAYOUT, '{{lang}}', locale );
+	html = replace( html, '{{title}}', t( 'email-title' ) );
+	html = replace( html, '{{button}}', button );
+	return replace( html, '{{text}}', text );
+}
+
+
+// EXPORTS //
+
+module.exports = renderMail;
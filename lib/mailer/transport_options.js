@@ -0,0 +1,180 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+const FileTransport = require( './file_transport.js' );
+
+
+// VARIABLES //
+
+const SMTP_PORT = 587;
+const SMTPS_PORT = 465;
+
+
+// FUNCTIONS //
+
+/**
+* Returns SMTP authentication options if a user name has been supplied.
+*
+* @private
+* @param {Object} secrets - mail credentials
+* @returns {(Object|void)} authentication options
+*/
+function smtpAuth( secrets ) {
+	if ( !secrets.user ) {
+		return;
+	}
+	return {
+		user: secrets.user,
+		pass: secrets.pass
+	};
+}
+
+/**
+* Returns SMTP transport options.
+*
+* @private
+* @param {Object} options - mail configuration
+* @param {Object} secrets - mail credentials
+* @returns {Object} transport options
+*/
+function smtpOptions( options, secrets ) {
+	const secure = options.secure === true;
+	return {
+		host: options.host || 'localhost',
+		port: options.port || ( secure ? SMTPS_PORT : SMTP_PORT ),
+		secure,
+		requireTLS: options.requireTLS === true,
+		ignoreTLS: options.ignoreTLS === true,
+		name: options.name,
+		auth: smtpAuth( secrets ),
+		tls: {
+			rejectUnauthorized: options.rejectUnauthorized !== false
+		}
+	};
+}
+
+/**
+* Returns DKIM signing options if DKIM has been configured.
+*
+* @private
+* @param {Object} dkim - DKIM configuration
+* @param {Object} secrets - mail credentials
+* @throws {Error} DKIM private key is missing
+* @returns {(Object|void)} DKIM options
+*/
+function dkimOptions( dkim, secrets ) {
+	if ( !dkim || !dkim.domainName ) {
+		return;
+	}
+	let privateKey = secrets.dkimPrivateKey;
+	if ( !privateKey && dkim.privateKeyFile ) {
+		privateKey = fs.readFileSync( path.resolve( __dirname, './..', dkim.privateKeyFile ) ).toString();
+	}
+	if ( !privateKey ) {
+		throw new Error( 'DKIM signing requires a private key (`dkimPrivateKey` in `credentials/mail.json` or `mail.dkim.privateKeyFile` in `etc/config.json`)' );
+	}
+	return {
+		domainName: dkim.domainName,
+		keySelector: dkim.keySelector || 'default',
+		privateKey
+	};
+}
+
+
+// MAIN //
+
+/**
+* Returns the nodemailer transport options for the mail configuration in `etc/config.json`.
+*
+* ## Notes
+*
+* -   Supported transports are `mailgun` (the default), `smtp`, `ses` (the SMTP interface of Amazon SES or compatible services), `sendmail`, `json` (messages are only logged), and `file` (messages are written to a directory).
+* -   Secrets (SMTP user name and password, DKIM private key) are read from `credentials/mail.json`.
+* -   Relative paths (`directory` of the file transport and `dkim.privateKeyFile`) are resolved relative to the `lib` directory, like the other directories in `etc/config.json`.
+*
+* @param {Object} [options={}] - mail configuration
+* @param {string} [options.transport='mailgun'] - transport type
+* @param {Object} credentials - server credentials
+* @throws {Error} unknown transport or incomplete configuration
+* @returns {Object} nodemailer transport options or custom transport
+*
+* @example
+* const opts = transportOptions( { transport: 'smtp', host: 'smtp.cmu.edu' }, { mail: {} } );
+* // returns { host: 'smtp.cmu.edu', port: 587, ... }
+*/
+function transportOptions( options = {}, credentials ) {
+	const secrets = credentials.mail || {};
+	const transport = options.transport || 'mailgun';
+	let out;
+	switch ( transport ) {
+		case 'mailgun':
+			out = {
+				service: 'Mailgun',
+				auth: credentials.mailgun
+			};
+		break;
+		case 'smtp':
+			out = smtpOptions( options, secrets );
+		break;
+		case 'ses':
+			if ( !options.host && !options.region ) {
+				throw new Error( 'SES transport requires a `region` or `host`' );
+			}
+			out = smtpOptions({
+				...options,
+				host: options.host || `email-smtp.${options.region}.amazonaws.com`,
+				requireTLS: true
+			}, secrets );
+		break;
+		case 'sendmail':
+			out = {
+				sendmail: true,
+				newline: 'unix',
+				path: options.path || '/usr/sbin/sendmail'
+			};
+		break;
+		case 'json':
+			out = {
+				jsonTransport: true
+			};
+		break;
+		case 'file':
+			if ( !options.directory ) {
+				throw new Error( 'File transport requires a `directory`' );
+			}
+			return new FileTransport( path.resolve( __dirname, './..', options.directory ) );
+		default:
+			throw new Error( `Unknown mail transport: ${transport}` );
+	}
+	const dkim = dkimOptions( options.dkim, secrets );
+	if ( dkim ) {
+		out.dkim = dkim;
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = transportOptions;
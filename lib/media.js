@@ -0,0 +1,377 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: Media
+ *   description: Access-controlled downloads of uploaded files, ticket attachments and backups.
+ */
+
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const { basename, join, resolve } = require( 'path' );
+const noop = require( '@stdlib/utils/noop' );
+const debug = require( './debug' )( 'server:media' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const { signURL, verifySignedURL } = require( './utils/signed_url.js' );
+const { backupPath, mediaPath } = require( './utils/media_path.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
+const { hasPermission } = require( './helpers/check_permissions.js' );
+const File = require( './models/file.js' );
+const Lesson = require( './models/lesson.js' );
+const Cohort = require( './models/cohort.js' );
+const Ticket = require( './models/ticket.js' );
+const Backup = require( './models/backup.js' );
+const { MEDIA_DIRECTORY } = require( './constants.js' );
+
+
+// VARIABLES //
+
+const PRIVATE_HEADERS = {
+	'Cache-Control': 'private, no-store'
+};
+const RE_UPLOAD_FILENAME = /^[^.][^/]*_[^/]*$/; // Names of uploaded files as chosen by `./storage` (`<name>_<timestamp><ext>` or `<namespace>_<name>` for owner files)
+
+
+// FUNCTIONS //
+
+/**
+* Returns the file document of an uploaded file stored at a path.
+*
+* @private
+* @param {string} filePath - absolute file path
+* @returns {Promise<(Object|null)>} file document or `null` if the file has not been uploaded by a user
+*/
+async function findFile( filePath ) {
+	const files = await File.find({ filename: basename( filePath ) }).lean();
+	for ( let i = 0; i < files.length; i++ ) {
+		if ( resolve( files[ i ].path ) === filePath ) {
+			return files[ i ];
+		}
+	}
+	return null;
+}
+
+/**
+* Authenticates the user of a request carrying an access token, if any.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @param {Response} res - HTTP response object
+* @returns {Promise<(Object|null)>} user document or `null` for anonymous requests and requests with invalid tokens
+*/
+function authenticateUser( req, res ) {
+	if ( !req.get( 'Authorization' ) ) {
+		return Promise.resolve( null );
+	}
+	return new Promise( function promise( resolvePromise, reject ) {
+		passport.authenticate( 'jwt', { session: false }, function onAuthenticate( err, user ) {
+			if ( err ) {
+				return reject( err );
+			}
+			resolvePromise( user || null );
+		})( req, res, noop );
+	});
+}
+
+/**
+* Returns a boolean indicating whether a user may download an uploaded file.
+*
+* ## Notes
+*
+* -   Users can always download the files they uploaded.
+* -   Files uploaded by the owners of a namespace can be downloaded by the members of its cohorts and by users who may manage its files; files of public lessons can be downloaded by anyone.
+* -   Ticket attachments can be downloaded by users who may inspect the tickets of the ticket's namespace.
+* -   Other files uploaded by students can be downloaded by users who may inspect the data of students of the respective lesson or namespace.
+*
+* @private
+* @param {(Object|null)} user - user document
+* @param {Object} file - file document
+* @returns {Promise<boolean>} boolean indicating whether the user may download the file
+*/
+async function canAccessFile( user, file ) {
+	if ( user && String( file.user ) === String( user._id ) ) {
+		return true;
+	}
+	if ( file.owner ) {
+		if ( file.lesson ) {
+			const lesson = await Lesson.findById( file.lesson, { public: 1 }).lean();
+			if ( lesson && lesson.public ) {
+				return true;
+			}
+		}
+		if ( !user ) {
+			return false;
+		}
+		const manager = await hasPermission( user, 'manage_files', { namespace: file.namespace });
+		if ( manager ) {
+			return true;
+		}
+		const member = await Cohort.exists({ namespace: file.namespace, members: user._id });
+		return Boolean( member );
+	}
+	if ( !user ) {
+		return false;
+	}
+	const ticket = await Ticket.findOne({ attachments: file._id }, { namespace: 1 }).lean();
+	if ( ticket ) {
+		const admin = await hasPermission( user, 'manage_tickets' );
+		if ( admin ) {
+			return true;
+		}
+		return hasPermission( user, 'view_course_tickets', { namespace: ticket.namespace });
+	}
+	return hasPermission( user, 'view_student_data', {
+		namespace: file.namespace,
+		lesson: file.lesson || null
+	});
+}
+
+/**
+* Returns a route handler serving uploaded files stored in a subdirectory of the media directory.
+*
+* ## Notes
+*
+* -   Requests for files which have not been uploaded by users (i.e., which have no file document) or whose names do not match the supplied pattern are passed on to the next handler.
+* -   Access is granted to requests with a valid signature (see `/get_file_url`) and to requests authenticated via an access token whose user may download the file.
+*
+* @private
+* @param {string} directory - subdirectory of the media directory
+* @param {RegExp} [pattern] - pattern the names of the served files have to match
+* @returns {Function} route handler
+*/
+function serveMediaFile( directory, pattern ) {
+	return wrapAsync( async function onMediaFile( req, res, next ) {
+		const { filename } = req.params;
+		if ( !filename || filename !== basename( filename ) || filename.startsWith( '.' ) ) {
+			return next();
+		}
+		if ( pattern && !pattern.test( filename ) ) {
+			return next();
+		}
+		const filePath = join( MEDIA_DIRECTORY, directory, filename );
+		const file = await findFile( filePath );
+		if ( !file ) {
+			return next();
+		}
+		let allowed = verifySignedURL( mediaPath( file ), req.query );
+		if ( !allowed ) {
+			const user = await authenticateUser( req, res );
+			allowed = await canAccessFile( user, file );
+		}
+		if ( !allowed ) {
+			debug( `Denied access to file ${filename}...` );
+			throw new ErrorStatus( 403, req.t( 'access-denied' ) );
+		}
+		res.sendFile( filePath, { headers: PRIVATE_HEADERS });
+	});
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /get_file_url:
+ *   get:
+ *     summary: Get file URL
+ *     description: Get a signed URL for downloading an uploaded file or embedding it in a lesson. The URL expires after the number of minutes given by the `signedURLLifetimeMinutes` setting (default is one hour).
+ *     tags: [Media]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: fileID
+ *         schema:
+ *           type: ObjectId
+ *         required: true
+ *         description: ID of the file
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'ok'
+ *                 url:
+ *                   type: string
+ *                   description: Signed URL of the file
+ *                   example: 'https://isle.stat.cmu.edu/data_1589788000000.csv?expires=1589791600&signature=9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08'
+ *       403:
+ *         description: Access denied for users who may not download the file
+ *       404:
+ *         description: File not found
+ */
+router.get( '/get_file_url',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetFileURL( req, res ) {
+		validateObjectId( req.query.fileID, 'fileID', req.t );
+		const file = await File.findById( req.query.fileID ).lean();
+		if ( !file ) {
+			throw new ErrorStatus( 404, req.t( 'file-nonexistent' ) );
+		}
+		const allowed = await canAccessFile( req.user, file );
+		if ( !allowed ) {
+			throw new ErrorStatus( 403, req.t( 'access-denied' ) );
+		}
+		res.json({ message: 'ok', url: signURL( mediaPath( file ) ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /backups/{filename}:
+ *   get:
+ *     summary: Download backup
+ *     description: Download a backup via a signed URL as returned by `/get_backups` or with an access token of a user holding the `manage_backups` permission.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: File name of the backup
+ *       - in: query
+ *         name: expires
+ *         schema:
+ *           type: integer
+ *         description: Expiration time of the signed URL (in seconds since epoch)
+ *       - in: query
+ *         name: signature
+ *         schema:
+ *           type: string
+ *         description: Signature of the signed URL
+ *     responses:
+ *       200:
+ *         description: Backup archive
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       403:
+ *         description: Access denied for requests without a valid signature by users lacking the `manage_backups` permission
+ *       404:
+ *         description: Backup not found
+ */
+router.get( '/backups/:filename',
+	wrapAsync( async function onDownloadBackup( req, res ) {
+		const backup = await Backup.findOne({ filename: req.params.filename }).lean();
+		if ( !backup ) {
+			throw new ErrorStatus( 404, req.t( 'backup-nonexistent' ) );
+		}
+		let allowed = verifySignedURL( backupPath( backup ), req.query );
+		if ( !allowed ) {
+			const user = await authenticateUser( req, res );
+			allowed = await hasPermission( user, 'manage_backups' );
+		}
+		if ( !allowed ) {
+			throw new ErrorStatus( 403, req.t( 'access-denied' ) );
+		}
+		res.download( backup.path, backup.filename, { headers: PRIVATE_HEADERS });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /attachments/{filename}:
+ *   get:
+ *     summary: Download ticket attachment
+ *     description: Download a file attached to a ticket via a signed URL or with an access token of a user who may inspect the ticket.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: File name
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       403:
+ *         description: Access denied
+ */
+router.get( '/attachments/:filename', serveMediaFile( 'attachments' ) );
+
+/**
+ * @openapi
+ *
+ * /files/{filename}:
+ *   get:
+ *     summary: Download file
+ *     description: Download a file stored in the `files` subdirectory of the media directory via a signed URL or with an access token of a user who may download the file.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: File name
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       403:
+ *         description: Access denied
+ */
+router.get( '/files/:filename', serveMediaFile( 'files' ) );
+
+/**
+ * @openapi
+ *
+ * /{filename}:
+ *   get:
+ *     summary: Download uploaded file
+ *     description: Download a file uploaded via `/upload_file` via a signed URL (see `/get_file_url`) or with an access token of a user who may download the file. The owners of a namespace and the members of its cohorts may download the files uploaded by the owners, while the files of students can only be downloaded by themselves and by users who may inspect the data of students.
+ *     tags: [Media]
+ *     parameters:
+ *       - in: path
+ *         name: filename
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: File name
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       403:
+ *         description: Access denied
+ */
+// Only names of uploaded files are looked up, as the route matches all remaining single-segment paths:
+router.get( '/:filename', serveMediaFile( '.', RE_UPLOAD_FILENAME ) );
+
+
+// EXPORTS //
+
+module.exports = router;
@@ -0,0 +1,64 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const Role = require( './../models/role.js' );
+const DEFAULT_ROLES = require( './../permissions/default_roles.js' );
+
+
+// MAIN //
+
+/**
+* Creates the built-in roles reproducing the access rights of administrators, instructors, namespace owners and teaching assistants.
+*
+* ## Notes
+*
+* -   Built-in roles which already exist are left untouched, so that administrators may adjust their permissions.
+* -   If a custom role already uses the title of a built-in role, the built-in role is created with a `(built-in)` suffix.
+*
+* @returns {Promise<Object>} number of created roles
+*/
+async function up() {
+	let created = 0;
+	for ( let i = 0; i < DEFAULT_ROLES.length; i++ ) {
+		const { builtIn, title, searchContext, permissions } = DEFAULT_ROLES[ i ];
+		const existing = await Role.findOne({ builtIn });
+		if ( existing ) {
+			continue;
+		}
+		const conflict = await Role.exists({ title });
+		await Role.create({
+			builtIn,
+			title: conflict ? `${title} (built-in)` : title,
+			searchContext,
+			permissions
+		});
+		created += 1;
+	}
+	return { created };
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	name: 'default-roles',
+	up
+};
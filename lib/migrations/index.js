@@ -0,0 +1,134 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const debug = require( './../debug' )( 'server:migrations' );
+const Migration = require( './../models/migration.js' );
+
+
+// VARIABLES //
+
+const DUPLICATE_KEY_ERROR = 11000;
+const STALE_RUNNING_TIMEOUT = 60 * 60 * 1000; // Migrations stuck in `running` (e.g., after a crash) are reclaimed after an hour
+
+// Database migrations in the order in which they have to be applied:
+const MIGRATIONS = [
+	require( './session_data_fields.js' ),
+	require( './lesson_grades.js' ),
+	require( './default_roles.js' ),
+	require( './program_roles.js' ),
+	require( './lesson_sizes.js' )
+];
+
+
+// FUNCTIONS //
+
+/**
+* Claims a migration so that it is only applied by a single server process.
+*
+* @private
+* @param {string} name - migration name
+* @returns {Promise<(Object|null)>} migration record or `null` if the migration has already been applied or is running elsewhere
+*/
+async function claim( name ) {
+	const existing = await Migration.findOne({ name });
+	if ( existing ) {
+		if ( existing.status === 'failed' ) {
+			// Retry migrations which failed on an earlier start of the server:
+			return Migration.findOneAndUpdate(
+				{ _id: existing._id, status: 'failed' },
+				{ status: 'running', error: null, startedAt: new Date() },
+				{ new: true }
+			);
+		}
+		if ( existing.status === 'running' ) {
+			// Reclaim migrations whose server process has presumably crashed while applying them:
+			const reclaimed = await Migration.findOneAndUpdate({
+				_id: existing._id,
+				status: 'running',
+				$or: [
+					{ startedAt: { $lt: new Date( Date.now() - STALE_RUNNING_TIMEOUT ) }},
+					{ startedAt: { $exists: false }, createdAt: { $lt: new Date( Date.now() - STALE_RUNNING_TIMEOUT ) }}
+				]
+			}, { error: null, startedAt: new Date() }, { new: true });
+			if ( reclaimed ) {
+				debug( `Reclaimed migration "${name}" which has been running since ${existing.startedAt || existing.createdAt}...` );
+			}
+			return reclaimed;
+		}
+		return null;
+	}
+	try {
+		const record = await Migration.create({ name });
+		return record;
+	} catch ( err ) {
+		if ( err.code === DUPLICATE_KEY_ERROR ) {
+			return null;
+		}
+		throw err;
+	}
+}
+
+
+// MAIN //
+
+/**
+* Applies all database migrations which have not been applied yet.
+*
+* ## Notes
+*
+* -   Applied migrations are recorded in the `migrations` collection; failed migrations are retried on the next start of the server.
+* -   Migrations that have been running for more than an hour are assumed to have been interrupted by a crash and are applied again on the next start of the server.
+*
+* @param {Array<Object>} [migrations] - migrations with `name` and `up` properties
+* @returns {Promise<Array>} names of the applied migrations
+*/
+async function runMigrations( migrations = MIGRATIONS ) {
+	const applied = [];
+	for ( let i = 0; i < migrations.length; i++ ) {
+		const { name, up } = migrations[ i ];
+		const record = await claim( name );
+		if ( !record ) {
+			continue;
+		}
+		debug( `Applying migration "${name}"...` );
+		try {
+			record.result = await up();
+			record.status = 'done';
+			await record.save();
+			applied.push( name );
+			debug( `Applied migration "${name}".` );
+		} catch ( err ) {
+			debug( `Migration "${name}" failed: ${err.message}` );
+			record.status = 'failed';
+			record.error = err.message;
+			await record.save();
+
+			// Later migrations may depend on the failed one, so stop here:
+			break;
+		}
+	}
+	return applied;
+}
+
+
+// EXPORTS //
+
+module.exports = runMigrations;
@@ -0,0 +1,143 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const objectKeys = require( '@stdlib/utils/keys' );
+const isnan = require( '@stdlib/math/base/assert/is-nan' );
+const isValidObjectId = require( 'mongoose' ).Types.ObjectId.isValid;
+const Grade = require( './../models/grade.js' );
+const Lesson = require( './../models/lesson.js' );
+const User = require( './../models/user.js' );
+
+
+// VARIABLES //
+
+const BATCH_SIZE = 1000;
+
+
+// FUNCTIONS //
+
+/**
+* Converts a legacy grade value to a number of points.
+*
+* @private
+* @param {*} value - legacy grade value
+* @returns {(number|null)} points or `null` if the value is not numeric
+*/
+function toPoints( value ) {
+	if ( value === null || value === void 0 || value === '' ) {
+		return null;
+	}
+	const out = Number( value );
+	return isnan( out ) ? null : out;
+}
+
+
+// MAIN //
+
+/**
+* Creates `Grade` documents from the grades and grade messages stored in the `lessonGrades` and `lessonGradeMessages` fields of all users.
+*
+* ## Notes
+*
+* -   Grades for lessons which no longer exist are skipped.
+* -   Existing `Grade` documents are left untouched, so that the migration can safely be re-run.
+*
+* @returns {Promise<Object>} number of processed users and upserted grades
+*/
+async function up() {
+	const namespaces = {};
+
+	/**
+	* Returns the namespace of a lesson (or `null` if the lesson does not exist).
+	*
+	* @private
+	* @param {string} lessonID - lesson identifier
+	* @returns {Promise<(ObjectId|null)>} namespace identifier
+	*/
+	async function lessonNamespace( lessonID ) {
+		if ( namespaces[ lessonID ] === void 0 ) {
+			const lesson = isValidObjectId( lessonID ) ? await Lesson.findById( lessonID, { namespace: 1 }) : null;
+			namespaces[ lessonID ] = lesson ? lesson.namespace : null;
+		}
+		return namespaces[ lessonID ];
+	}
+
+	let ops = [];
+	let users = 0;
+	let upserted = 0;
+	const flush = async () => {
+		if ( ops.length > 0 ) {
+			const result = await Grade.bulkWrite( ops, { ordered: false });
+			upserted += result.upsertedCount;
+			ops = [];
+		}
+	};
+	const cursor = User
+		.find({}, { lessonGrades: 1, lessonGradeMessages: 1 })
+		.lean()
+		.cursor();
+	for await ( const user of cursor ) {
+		const grades = user.lessonGrades || {};
+		const messages = user.lessonGradeMessages || {};
+		const lessons = objectKeys({ ...grades, ...messages });
+		if ( lessons.length > 0 ) {
+			users += 1;
+		}
+		for ( let i = 0; i < lessons.length; i++ ) {
+			const namespace = await lessonNamespace( lessons[ i ] );
+			if ( !namespace ) {
+				continue;
+			}
+			const lessonGrades = grades[ lessons[ i ] ] || {};
+			const lessonMessages = messages[ lessons[ i ] ] || {};
+			const components = objectKeys({ ...lessonGrades, ...lessonMessages });
+			for ( let j = 0; j < components.length; j++ ) {
+				const component = components[ j ];
+				ops.push({
+					updateOne: {
+						filter: { user: user._id, lesson: lessons[ i ], component },
+						update: {
+							$setOnInsert: {
+								namespace,
+								points: toPoints( lessonGrades[ component ] ),
+								messages: lessonMessages[ component ] || []
+							}
+						},
+						upsert: true
+					}
+				});
+			}
+			if ( ops.length >= BATCH_SIZE ) {
+				await flush();
+			}
+		}
+	}
+	await flush();
+	return { users, upserted };
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	name: 'lesson-grades',
+	up
+};
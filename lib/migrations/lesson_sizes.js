@@ -0,0 +1,107 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { readdir, stat } = require( 'fs/promises' );
+const path = require( 'path' );
+const Lesson = require( './../models/lesson.js' );
+const Namespace = require( './../models/namespace.js' );
+const { NAMESPACES_DIRECTORY } = require( './../constants.js' );
+
+
+// VARIABLES //
+
+const BYTES_PER_MB = 1e6; // Same unit as the storage quotas
+
+
+// FUNCTIONS //
+
+/**
+* Returns the total size of the files in a directory and its subdirectories.
+*
+* @private
+* @param {string} dir - directory path
+* @returns {Promise<number>} size in bytes (zero if the directory does not exist)
+*/
+async function directorySize( dir ) {
+	let entries;
+	try {
+		entries = await readdir( dir, { withFileTypes: true });
+	} catch ( err ) {
+		if ( err.code === 'ENOENT' ) {
+			return 0;
+		}
+		throw err;
+	}
+	let size = 0;
+	for ( let i = 0; i < entries.length; i++ ) {
+		const entry = entries[ i ];
+		const entryPath = path.join( dir, entry.name );
+		if ( entry.isDirectory() ) {
+			size += await directorySize( entryPath );
+		} else if ( entry.isFile() ) {
+			size += ( await stat( entryPath ) ).size;
+		}
+	}
+	return size;
+}
+
+
+// MAIN //
+
+/**
+* Records the size of the files of all existing lessons and of their previous versions, so that they count against the storage quotas of their namespaces.
+*
+* @returns {Promise<Object>} number of updated lessons
+*/
+async function up() {
+	const titles = {};
+	const namespaces = await Namespace.find({}, { title: 1 }).lean();
+	for ( let i = 0; i < namespaces.length; i++ ) {
+		titles[ namespaces[ i ]._id ] = namespaces[ i ].title;
+	}
+	let lessons = 0;
+	const cursor = Lesson
+		.find({}, { title: 1, namespace: 1 })
+		.lean()
+		.cursor();
+	for await ( const lesson of cursor ) {
+		const namespace = titles[ lesson.namespace ];
+		if ( !namespace ) {
+			continue;
+		}
+		const size = await directorySize( path.join( NAMESPACES_DIRECTORY, namespace, lesson.title ) );
+		const previousSize = await directorySize( path.join( NAMESPACES_DIRECTORY, '.previous', String( lesson._id ) ) );
+		await Lesson.updateOne({ _id: lesson._id }, {
+			size: size / BYTES_PER_MB,
+			previousSize: previousSize / BYTES_PER_MB
+		});
+		lessons += 1;
+	}
+	return { lessons };
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	name: 'lesson-sizes',
+	up
+};
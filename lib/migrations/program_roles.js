@@ -19,25 +19,24 @@
 
 // MODULES //
 
-const ErrorStatus = require( './error.js' );
+const { up } = require( './default_roles.js' );
 
 
 // MAIN //
 
 /**
-* Determines whether current user is an administrator and sends an error message back if not.
+* Creates the built-in `program-administrator` role on servers which had already created the other built-in roles before programs were introduced.
 *
-* @param {Request} req - HTTP request object
-* @throws {Error} user is not an administrator
-* @returns {void}
+* @returns {Promise<Object>} number of created roles
 */
-function validateAdmin( req ) {
-	if ( !req.user.administrator ) {
-		throw new ErrorStatus( 403, req.t( 'access-denied-no-admin' ) );
-	}
+function createProgramRoles() {
+	return up();
 }
 
 
 // EXPORTS //
 
-module.exports = validateAdmin;
+module.exports = {
+	name: 'program-roles',
+	up: createProgramRoles
+};
@@ -0,0 +1,67 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const SessionData = require( './../models/session_data.js' );
+
+
+// MAIN //
+
+/**
+* Copies the component identifier, action type and timestamp of existing session data from the untyped `data` object into the indexed top-level fields.
+*
+* ## Notes
+*
+* -   The update is performed inside the database via an aggregation pipeline, so that no documents have to be loaded into the server process.
+* -   Timestamps which cannot be converted to dates are set to `null`.
+*
+* @returns {Promise<Object>} number of updated documents
+*/
+async function up() {
+	const result = await SessionData.updateMany({
+		componentID: { $exists: false }
+	}, [
+		{
+			$set: {
+				componentID: '$data.id',
+				actionType: '$data.type',
+				time: {
+					$convert: {
+						input: '$data.absoluteTime',
+						to: 'date',
+						onError: null,
+						onNull: null
+					}
+				}
+			}
+		}
+	]);
+	return {
+		modified: result.modifiedCount
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	name: 'session-data-fields',
+	up
+};
@@ -0,0 +1,134 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       AuditLog:
+ *         type: object
+ *         required:
+ *           - action
+ *           - targetType
+ *         properties:
+ *           actor:
+ *             $ref: '#/components/schemas/User'
+ *           impersonator:
+ *             $ref: '#/components/schemas/User'
+ *           action:
+ *             type: string
+ *             description: Name of the privileged action (usually the name of the route).
+ *             example: impersonate
+ *           targetType:
+ *             type: string
+ *             description: Type of the entity affected by the action.
+ *             enum: [ user, namespace, program, setting, role, event, lti-platform ]
+ *             example: user
+ *           target:
+ *             type: string
+ *             description: Identifier of the affected entity (e.g., the ID of a user or the name of a setting).
+ *             example: 5b9f9f9f9f9f9f9f9f9f9f9f
+ *           changes:
+ *             type: array
+ *             description: Fields changed by the action with their values before and after the change (sensitive values are redacted).
+ *             items:
+ *               type: object
+ *               properties:
+ *                 field:
+ *                   type: string
+ *                 before:
+ *                   description: Value before the change
+ *                 after:
+ *                   description: Value after the change
+ *           ip:
+ *             type: string
+ *             description: IP address from which the action was performed.
+ *             example: 127.0.0.1
+ *           userAgent:
+ *             type: string
+ *             description: User agent of the client.
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time at which the action was performed.
+ */
+
+const Schema = mongoose.Schema;
+
+const AuditLogSchema = new Schema({
+	actor: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'default': null
+	},
+	impersonator: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'default': null
+	},
+	action: {
+		'type': String,
+		'required': true
+	},
+	targetType: {
+		'type': String,
+		'enum': [ 'user', 'namespace', 'program', 'setting', 'role', 'event', 'lti-platform' ],
+		'required': true
+	},
+	target: {
+		'type': String,
+		'default': null
+	},
+	changes: {
+		'type': [ {
+			'_id': false,
+			'field': String,
+			'before': Schema.Types.Mixed,
+			'after': Schema.Types.Mixed
+		} ],
+		'default': []
+	},
+	ip: {
+		'type': String,
+		'default': ''
+	},
+	userAgent: {
+		'type': String,
+		'default': ''
+	}
+}, { timestamps: { createdAt: true, updatedAt: false }});
+
+AuditLogSchema.index({ createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+AuditLogSchema.index({ actor: 1, createdAt: -1 });
+AuditLogSchema.index({ target: 1, createdAt: -1 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'AuditLog', AuditLogSchema );
@@ -0,0 +1,131 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       AuthSession:
+ *         type: object
+ *         required:
+ *           - user
+ *           - refreshTokenHash
+ *           - expiresAt
+ *         properties:
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ *           impersonator:
+ *             $ref: '#/components/schemas/User'
+ *           refreshTokenHash:
+ *             type: string
+ *             description: SHA-256 hash of the current refresh token of the session (the token itself is never stored).
+ *           userAgent:
+ *             type: string
+ *             description: User agent of the device on which the session was started.
+ *             example: Mozilla/5.0 (X11; Linux x86_64; rv:109.0) Gecko/20100101 Firefox/118.0
+ *           ip:
+ *             type: string
+ *             description: IP address from which the session was last used.
+ *             example: 127.0.0.1
+ *           lastUsedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the session was last used.
+ *           expiresAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the refresh token of the session expires (expired sessions are removed automatically).
+ *           revokedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the session was revoked (`null` for active sessions).
+ *             default: null
+ *           revokedBy:
+ *             $ref: '#/components/schemas/User'
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the session was started.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the session was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const AuthSessionSchema = new Schema({
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'required': true,
+		'index': true
+	},
+	impersonator: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'default': null
+	},
+	refreshTokenHash: {
+		'type': String,
+		'required': true,
+		'unique': true,
+		'select': false
+	},
+	userAgent: {
+		'type': String,
+		'default': ''
+	},
+	ip: {
+		'type': String,
+		'default': ''
+	},
+	lastUsedAt: {
+		'type': Date,
+		'default': Date.now
+	},
+	expiresAt: {
+		'type': Date,
+		'required': true
+	},
+	revokedAt: {
+		'type': Date,
+		'default': null
+	},
+	revokedBy: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'default': null
+	}
+}, { timestamps: true });
+
+AuthSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'AuthSession', AuthSessionSchema );
@@ -0,0 +1,150 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       ChatMessage:
+ *         type: object
+ *         required:
+ *           - chat
+ *           - roomName
+ *         properties:
+ *           namespace:
+ *             $ref: '#/components/schemas/Namespace'
+ *           lesson:
+ *             $ref: '#/components/schemas/Lesson'
+ *           chat:
+ *             type: string
+ *             description: Full name of the chat the message was sent to.
+ *             example: "Statistics 101/Lesson 1:group-1"
+ *           roomName:
+ *             type: string
+ *             description: Name of the lesson room the chat belongs to.
+ *             example: "Statistics 101/Lesson 1"
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ *           author:
+ *             type: string
+ *             description: Name of the message author.
+ *             example: "Mister X"
+ *           email:
+ *             type: string
+ *             description: Email address of the message author.
+ *             example: "misterx@isledocs.com"
+ *           picture:
+ *             type: string
+ *             description: Profile picture of the message author.
+ *             example: "misterx.jpg"
+ *           content:
+ *             type: string
+ *             description: Text content of the message.
+ *             example: "Hello, world!"
+ *           anonymous:
+ *             type: boolean
+ *             description: Whether the message was sent anonymously (i.e., the author is only revealed to instructors).
+ *             default: false
+ *           closed:
+ *             type: boolean
+ *             description: Whether the message belongs to a closed chat session (closed messages are no longer sent to students but remain available to instructors).
+ *             default: false
+ *           data:
+ *             type: object
+ *             description: Message object as sent by the client.
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: The date and time the message was sent.
+ *             example: "2016-12-31T23:59:59.999Z"
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: The date and time the message was last updated.
+ *             example: "2016-12-31T23:59:59.999Z"
+ */
+
+const Schema = mongoose.Schema;
+
+const ChatMessageSchema = new Schema({
+	namespace: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Namespace'
+	},
+	lesson: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Lesson'
+	},
+	chat: {
+		'type': String,
+		'required': true
+	},
+	roomName: {
+		'type': String,
+		'required': true
+	},
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User'
+	},
+	author: {
+		'type': String,
+		'default': ''
+	},
+	email: {
+		'type': String,
+		'default': ''
+	},
+	picture: {
+		'type': String,
+		'default': ''
+	},
+	content: {
+		'type': String,
+		'default': ''
+	},
+	anonymous: {
+		'type': Boolean,
+		'default': false
+	},
+	closed: {
+		'type': Boolean,
+		'default': false
+	},
+	data: {
+		'type': Object,
+		'default': {}
+	}
+}, { timestamps: true });
+
+ChatMessageSchema.index({ chat: 1, createdAt: -1 });
+ChatMessageSchema.index({ lesson: 1, createdAt: -1 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'ChatMessage', ChatMessageSchema );
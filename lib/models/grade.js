@@ -0,0 +1,167 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       Grade:
+ *         type: object
+ *         required:
+ *           - user
+ *           - namespace
+ *           - lesson
+ *           - component
+ *         properties:
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ *           namespace:
+ *             $ref: '#/components/schemas/Namespace'
+ *           lesson:
+ *             $ref: '#/components/schemas/Lesson'
+ *           component:
+ *             type: string
+ *             description: Identifier of the graded lesson component.
+ *             example: "free-text-question-1"
+ *           points:
+ *             type: number
+ *             description: Awarded points (`null` if the component has not been graded yet, e.g. when only a grade message exists).
+ *             example: 7
+ *             default: null
+ *           maxPoints:
+ *             type: number
+ *             description: Maximum number of points for the component (`null` if unknown).
+ *             example: 10
+ *             default: null
+ *           grader:
+ *             $ref: '#/components/schemas/User'
+ *           gradedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the points were last changed.
+ *           messages:
+ *             type: array
+ *             description: Messages exchanged between graders and the student about the grade.
+ *             default: []
+ *           history:
+ *             type: array
+ *             description: Earlier values of the grade (oldest first).
+ *             items:
+ *               type: object
+ *               properties:
+ *                 points:
+ *                   type: number
+ *                 maxPoints:
+ *                   type: number
+ *                 grader:
+ *                   $ref: '#/components/schemas/User'
+ *                 gradedAt:
+ *                   type: string
+ *                   format: date-time
+ *             default: []
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the grade was created.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the grade was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const GradeHistorySchema = new Schema({
+	points: {
+		'type': Number,
+		'default': null
+	},
+	maxPoints: {
+		'type': Number,
+		'default': null
+	},
+	grader: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User'
+	},
+	gradedAt: {
+		'type': Date
+	}
+}, { _id: false });
+
+const GradeSchema = new Schema({
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'required': true
+	},
+	namespace: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Namespace',
+		'required': true
+	},
+	lesson: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Lesson',
+		'required': true
+	},
+	component: {
+		'type': String,
+		'required': true
+	},
+	points: {
+		'type': Number,
+		'default': null
+	},
+	maxPoints: {
+		'type': Number,
+		'default': null
+	},
+	grader: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User'
+	},
+	gradedAt: {
+		'type': Date
+	},
+	messages: {
+		'type': Array,
+		'default': []
+	},
+	history: {
+		'type': [ GradeHistorySchema ],
+		'default': []
+	}
+}, { timestamps: true });
+
+GradeSchema.index({ user: 1, lesson: 1, component: 1 }, { unique: true });
+GradeSchema.index({ namespace: 1, lesson: 1 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'Grade', GradeSchema );
@@ -0,0 +1,74 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       GradeCategory:
+ *         type: object
+ *         required:
+ *           - name
+ *         properties:
+ *           name:
+ *             type: string
+ *             description: Name of the grade category
+ *             example: "Homework"
+ *           weight:
+ *             type: number
+ *             description: Weight of the category in the overall grade
+ *             example: 0.3
+ *             default: 1
+ *           lessons:
+ *             type: array
+ *             description: Lessons whose grades count towards the category
+ *             items:
+ *               $ref: '#/components/schemas/Lesson'
+ *             default: []
+ */
+
+const Schema = mongoose.Schema;
+
+const GradeCategorySchema = new Schema({
+	name: {
+		'type': String,
+		'required': true
+	},
+	weight: {
+		'type': Number,
+		'min': 0,
+		'default': 1
+	},
+	lessons: [
+		{ 'type': Schema.Types.ObjectId, 'ref': 'Lesson' }
+	]
+}, { _id: false });
+
+
+// EXPORTS //
+
+module.exports = GradeCategorySchema;
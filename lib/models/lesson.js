@@ -77,6 +77,19 @@ const mongoose = require( 'mongoose' );
  *             description: Whether the lesson can be used as a template for other lessons.
  *             default: false
  *             example: true
+ *           programTemplate:
+ *             type: boolean
+ *             description: Whether the lesson can be used as a template for lessons of other namespaces in the program of its namespace.
+ *             default: false
+ *             example: false
+ *           size:
+ *             type: number
+ *             description: Total size of the unpacked lesson files in megabyte.
+ *             default: 0
+ *           previousSize:
+ *             type: number
+ *             description: Total size of the unpacked files of the previous version of the lesson in megabyte.
+ *             default: 0
  *           createdAt:
  *             type: string
  *             format: date-time
@@ -139,6 +152,19 @@ const LessonSchema = new Schema({
 		'type': Boolean,
 		'required': false,
 		'default': false
+	},
+	programTemplate: {
+		'type': Boolean,
+		'required': false,
+		'default': false
+	},
+	size: {
+		'type': Number,
+		'default': 0
+	},
+	previousSize: {
+		'type': Number,
+		'default': 0
 	}
 }, { timestamps: true });
 
@@ -0,0 +1,108 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// VARIABLES //
+
+const RETENTION_SECONDS = 90 * 24 * 60 * 60; // Keep login attempts for ninety days
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       LoginAttempt:
+ *         type: object
+ *         required:
+ *           - email
+ *           - success
+ *           - reason
+ *         properties:
+ *           email:
+ *             type: string
+ *             description: Email address (in lower case) used for the login attempt.
+ *             example: jane.doe@isledocs.com
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ *           ip:
+ *             type: string
+ *             description: IP address from which the attempt was made.
+ *             example: 127.0.0.1
+ *           userAgent:
+ *             type: string
+ *             description: User agent of the client.
+ *           success:
+ *             type: boolean
+ *             description: Whether the login attempt was successful.
+ *           reason:
+ *             type: string
+ *             description: Outcome of the login attempt.
+ *             enum: [ ok, unknown-email, wrong-password, wrong-code, throttled, locked ]
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time of the login attempt (attempts are removed after ninety days).
+ */
+
+const Schema = mongoose.Schema;
+
+const LoginAttemptSchema = new Schema({
+	email: {
+		'type': String,
+		'required': true
+	},
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'default': null
+	},
+	ip: {
+		'type': String,
+		'default': ''
+	},
+	userAgent: {
+		'type': String,
+		'default': ''
+	},
+	success: {
+		'type': Boolean,
+		'required': true
+	},
+	reason: {
+		'type': String,
+		'enum': [ 'ok', 'unknown-email', 'wrong-password', 'wrong-code', 'throttled', 'locked' ],
+		'required': true
+	}
+}, { timestamps: { createdAt: true, updatedAt: false }});
+
+LoginAttemptSchema.index({ email: 1, createdAt: -1 });
+LoginAttemptSchema.index({ ip: 1, createdAt: -1 });
+LoginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'LoginAttempt', LoginAttemptSchema );
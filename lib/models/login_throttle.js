@@ -0,0 +1,115 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       LoginThrottle:
+ *         type: object
+ *         required:
+ *           - kind
+ *           - key
+ *         properties:
+ *           kind:
+ *             type: string
+ *             description: Whether failed login attempts are counted for an account or an IP address.
+ *             enum: [ account, ip ]
+ *           key:
+ *             type: string
+ *             description: Email address (in lower case) or IP address.
+ *             example: jane.doe@isledocs.com
+ *           failures:
+ *             type: integer
+ *             description: Number of failed login attempts within the current window.
+ *             default: 0
+ *           lastFailureAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time of the last failed login attempt.
+ *           lockedUntil:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time until which logins are blocked (`null` if not locked).
+ *             default: null
+ *           lockouts:
+ *             type: integer
+ *             description: Number of consecutive lockouts (used to increase the duration of subsequent lockouts).
+ *             default: 0
+ *           expiresAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time after which the record is removed automatically.
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time of the first recorded failure.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the record was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const LoginThrottleSchema = new Schema({
+	kind: {
+		'type': String,
+		'enum': [ 'account', 'ip' ],
+		'required': true
+	},
+	key: {
+		'type': String,
+		'required': true
+	},
+	failures: {
+		'type': Number,
+		'default': 0
+	},
+	lastFailureAt: {
+		'type': Date
+	},
+	lockedUntil: {
+		'type': Date,
+		'default': null
+	},
+	lockouts: {
+		'type': Number,
+		'default': 0
+	},
+	expiresAt: {
+		'type': Date
+	}
+}, { timestamps: true });
+
+LoginThrottleSchema.index({ kind: 1, key: 1 }, { unique: true });
+LoginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'LoginThrottle', LoginThrottleSchema );
@@ -0,0 +1,103 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       LtiContext:
+ *         type: object
+ *         required:
+ *           - platform
+ *           - contextID
+ *           - namespace
+ *           - cohort
+ *         properties:
+ *           platform:
+ *             $ref: '#/components/schemas/LtiPlatform'
+ *           contextID:
+ *             type: string
+ *             description: Identifier of the course in the learning management system.
+ *           deploymentID:
+ *             type: string
+ *             description: Deployment through which the course was first linked.
+ *           title:
+ *             type: string
+ *             description: Title of the course in the learning management system.
+ *             example: Introduction to Statistics
+ *           namespace:
+ *             $ref: '#/components/schemas/Namespace'
+ *           cohort:
+ *             $ref: '#/components/schemas/Cohort'
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time at which the course was linked.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time at which the link was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const LtiContextSchema = new Schema({
+	platform: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'LtiPlatform',
+		'required': true
+	},
+	contextID: {
+		'type': String,
+		'required': true
+	},
+	deploymentID: {
+		'type': String,
+		'default': null
+	},
+	title: {
+		'type': String,
+		'default': ''
+	},
+	namespace: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Namespace',
+		'required': true
+	},
+	cohort: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Cohort',
+		'required': true
+	}
+}, { timestamps: true });
+
+LtiContextSchema.index({ platform: 1, contextID: 1 }, { unique: true });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'LtiContext', LtiContextSchema );
@@ -0,0 +1,146 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       LtiPlatform:
+ *         type: object
+ *         required:
+ *           - name
+ *           - issuer
+ *           - clientID
+ *           - authLoginURL
+ *           - authTokenURL
+ *           - keysetURL
+ *         properties:
+ *           name:
+ *             type: string
+ *             description: Display name of the learning management system.
+ *             example: Canvas
+ *           issuer:
+ *             type: string
+ *             description: Issuer identifier of the platform.
+ *             example: https://canvas.instructure.com
+ *           clientID:
+ *             type: string
+ *             description: Client ID assigned to ISLE by the platform.
+ *             example: 10000000000001
+ *           deploymentIDs:
+ *             type: array
+ *             description: Accepted deployment IDs (all deployments are accepted if empty).
+ *             items:
+ *               type: string
+ *           authLoginURL:
+ *             type: string
+ *             description: OpenID Connect authentication endpoint of the platform.
+ *             example: https://canvas.instructure.com/api/lti/authorize_redirect
+ *           authTokenURL:
+ *             type: string
+ *             description: OAuth 2 token endpoint of the platform (used for grade passback).
+ *             example: https://canvas.instructure.com/login/oauth2/token
+ *           authTokenAudience:
+ *             type: string
+ *             description: Audience of the client assertions sent to the token endpoint (defaults to the token endpoint URL).
+ *           keysetURL:
+ *             type: string
+ *             description: URL of the JSON Web Key Set of the platform.
+ *             example: https://canvas.instructure.com/api/lti/security/jwks
+ *           toolKeyID:
+ *             type: string
+ *             description: Identifier of the key with which ISLE signs messages to the platform.
+ *           active:
+ *             type: boolean
+ *             description: Whether launches from the platform are accepted.
+ *             default: true
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time at which the platform was registered.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time at which the platform was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const LtiPlatformSchema = new Schema({
+	name: {
+		'type': String,
+		'required': true
+	},
+	issuer: {
+		'type': String,
+		'required': true
+	},
+	clientID: {
+		'type': String,
+		'required': true
+	},
+	deploymentIDs: {
+		'type': [ String ],
+		'default': []
+	},
+	authLoginURL: {
+		'type': String,
+		'required': true
+	},
+	authTokenURL: {
+		'type': String,
+		'required': true
+	},
+	authTokenAudience: {
+		'type': String,
+		'default': null
+	},
+	keysetURL: {
+		'type': String,
+		'required': true
+	},
+	toolKeyID: {
+		'type': String,
+		'required': true
+	},
+	toolPrivateKey: {
+		'type': String,
+		'required': true,
+		'select': false
+	},
+	active: {
+		'type': Boolean,
+		'default': true
+	}
+}, { timestamps: true });
+
+LtiPlatformSchema.index({ issuer: 1, clientID: 1 }, { unique: true });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'LtiPlatform', LtiPlatformSchema );
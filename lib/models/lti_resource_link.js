@@ -0,0 +1,96 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       LtiResourceLink:
+ *         type: object
+ *         required:
+ *           - platform
+ *           - context
+ *           - resourceLinkID
+ *           - lesson
+ *         properties:
+ *           platform:
+ *             $ref: '#/components/schemas/LtiPlatform'
+ *           context:
+ *             $ref: '#/components/schemas/LtiContext'
+ *           resourceLinkID:
+ *             type: string
+ *             description: Identifier of the link in the learning management system.
+ *           lesson:
+ *             $ref: '#/components/schemas/Lesson'
+ *           lineItem:
+ *             type: string
+ *             description: URL of the gradebook column to which scores for the lesson are sent.
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time of the first launch via the link.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time at which the link was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const LtiResourceLinkSchema = new Schema({
+	platform: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'LtiPlatform',
+		'required': true
+	},
+	context: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'LtiContext',
+		'required': true
+	},
+	resourceLinkID: {
+		'type': String,
+		'required': true
+	},
+	lesson: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Lesson',
+		'required': true
+	},
+	lineItem: {
+		'type': String,
+		'default': null
+	}
+}, { timestamps: true });
+
+LtiResourceLinkSchema.index({ platform: 1, resourceLinkID: 1 }, { unique: true });
+LtiResourceLinkSchema.index({ lesson: 1 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'LtiResourceLink', LtiResourceLinkSchema );
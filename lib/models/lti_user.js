@@ -0,0 +1,73 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       LtiUser:
+ *         type: object
+ *         required:
+ *           - platform
+ *           - sub
+ *           - user
+ *         properties:
+ *           platform:
+ *             $ref: '#/components/schemas/LtiPlatform'
+ *           sub:
+ *             type: string
+ *             description: Identifier of the user in the learning management system (used when sending scores).
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ */
+
+const Schema = mongoose.Schema;
+
+const LtiUserSchema = new Schema({
+	platform: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'LtiPlatform',
+		'required': true
+	},
+	sub: {
+		'type': String,
+		'required': true
+	},
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'required': true
+	}
+}, { timestamps: true });
+
+LtiUserSchema.index({ platform: 1, sub: 1 }, { unique: true });
+LtiUserSchema.index({ user: 1 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'LtiUser', LtiUserSchema );
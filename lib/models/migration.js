@@ -0,0 +1,95 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       Migration:
+ *         type: object
+ *         required:
+ *           - name
+ *         properties:
+ *           name:
+ *             type: string
+ *             description: Unique name of the database migration.
+ *           status:
+ *             type: string
+ *             description: Status of the migration.
+ *             enum: [ running, done, failed ]
+ *             default: running
+ *           result:
+ *             type: object
+ *             description: Summary returned by the migration (e.g., number of updated documents).
+ *           error:
+ *             type: string
+ *             description: Error message in case the migration failed.
+ *           startedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the migration was last started (used to reclaim migrations interrupted by a crash).
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the migration was first started.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the migration was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const MigrationSchema = new Schema({
+	name: {
+		'type': String,
+		'required': true,
+		'unique': true
+	},
+	status: {
+		'type': String,
+		'enum': [ 'running', 'done', 'failed' ],
+		'default': 'running'
+	},
+	result: {
+		'type': Object,
+		'default': null
+	},
+	error: {
+		'type': String,
+		'default': null
+	},
+	startedAt: {
+		'type': Date,
+		'default': Date.now
+	}
+}, { timestamps: true });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'Migration', MigrationSchema );
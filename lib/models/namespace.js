@@ -21,6 +21,7 @@
 
 const mongoose = require( 'mongoose' );
 const AnnouncementSchema = require( './announcement.js' );
+const GradeCategorySchema = require( './grade_category.js' );
 
 
 // MAIN //
@@ -49,6 +50,14 @@ const AnnouncementSchema = require( './announcement.js' );
  *             description: Whether or not to enable ticketing for this namespace.
  *             example: true
  *             default: false
+ *           emailFromName:
+ *             type: string
+ *             description: Sender name of emails sent in the context of this namespace (e.g., cohort invitations); defaults to the sender name of the server.
+ *             example: "36-200 Teaching Team"
+ *           emailReplyTo:
+ *             type: string
+ *             description: Address to which replies to emails sent in the context of this namespace are directed.
+ *             example: "36-200-staff@andrew.cmu.edu"
  *           announcements:
  *             type: array
  *             description: Array of announcements for this namespace.
@@ -65,6 +74,18 @@ const AnnouncementSchema = require( './announcement.js' );
  *             description: Array of lessons belonging to this namespace.
  *             items:
  *               $ref: '#/components/schemas/Lesson'
+ *           gradeCategories:
+ *             type: array
+ *             description: Weighted grade categories of the gradebook of this namespace.
+ *             items:
+ *               $ref: '#/components/schemas/GradeCategory'
+ *             default: []
+ *           program:
+ *             $ref: '#/components/schemas/Program'
+ *             description: Program the namespace belongs to (if any).
+ *           pseudonymSalt:
+ *             type: string
+ *             description: Secret salt for pseudonymizing users in research exports of the namespace (generated on first use and never returned by default).
  *           createdAt:
  *             type: string
  *             format: date-time
@@ -99,9 +120,30 @@ const NamespaceSchema = new Schema({
 		'type': Boolean,
 		'default': false
 	},
+	emailFromName: {
+		'type': String,
+		'default': null
+	},
+	emailReplyTo: {
+		'type': String,
+		'default': null
+	},
 	announcements: {
 		'type': [ AnnouncementSchema ],
 		'default': []
+	},
+	gradeCategories: {
+		'type': [ GradeCategorySchema ],
+		'default': []
+	},
+	program: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Program',
+		'default': null
+	},
+	pseudonymSalt: {
+		'type': String,
+		'select': false
 	}
 }, { timestamps: true });
 
@@ -0,0 +1,180 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       OutgoingMail:
+ *         type: object
+ *         required:
+ *           - to
+ *           - subject
+ *         properties:
+ *           from:
+ *             type: string
+ *             description: Sender of the email.
+ *             example: notifications@isledocs.com
+ *           to:
+ *             type: string
+ *             description: Recipient(s) of the email.
+ *             example: jane.doe@isledocs.com
+ *           cc:
+ *             type: string
+ *             description: Carbon copy recipient(s) of the email.
+ *           bcc:
+ *             type: string
+ *             description: Blind carbon copy recipient(s) of the email.
+ *           replyTo:
+ *             type: string
+ *             description: Reply-to address of the email.
+ *           subject:
+ *             type: string
+ *             description: Subject of the email.
+ *           text:
+ *             type: string
+ *             description: Plain text body of the email.
+ *           html:
+ *             type: string
+ *             description: Custom HTML body of the email (if not set, the body is rendered from the email template at delivery time).
+ *           link:
+ *             type: string
+ *             description: Link displayed as a button below the text of the email.
+ *           locale:
+ *             type: string
+ *             description: Language in which the email template is rendered and the email is translated.
+ *             example: en
+ *           status:
+ *             type: string
+ *             description: Delivery status of the email.
+ *             enum: [ queued, sending, sent, failed ]
+ *           attempts:
+ *             type: integer
+ *             description: Number of delivery attempts.
+ *           nextAttemptAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time of the next delivery attempt.
+ *           lastError:
+ *             type: string
+ *             description: Error message of the last failed delivery attempt.
+ *           sentAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time at which the email was delivered to the mail transport.
+ *           messageId:
+ *             type: string
+ *             description: Message identifier returned by the mail transport.
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time at which the email was queued.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time of the last status change.
+ */
+
+const Schema = mongoose.Schema;
+
+const OutgoingMailSchema = new Schema({
+	from: {
+		'type': String,
+		'default': null
+	},
+	to: {
+		'type': String,
+		'required': true
+	},
+	cc: {
+		'type': String,
+		'default': null
+	},
+	bcc: {
+		'type': String,
+		'default': null
+	},
+	replyTo: {
+		'type': String,
+		'default': null
+	},
+	subject: {
+		'type': String,
+		'required': true
+	},
+	text: {
+		'type': String,
+		'default': ''
+	},
+	html: {
+		'type': String,
+		'default': null
+	},
+	link: {
+		'type': String,
+		'default': null
+	},
+	locale: {
+		'type': String,
+		'default': 'en'
+	},
+	status: {
+		'type': String,
+		'enum': [ 'queued', 'sending', 'sent', 'failed' ],
+		'default': 'queued'
+	},
+	attempts: {
+		'type': Number,
+		'default': 0
+	},
+	nextAttemptAt: {
+		'type': Date,
+		'default': Date.now
+	},
+	lastError: {
+		'type': String,
+		'default': null
+	},
+	sentAt: {
+		'type': Date,
+		'default': null
+	},
+	messageId: {
+		'type': String,
+		'default': null
+	}
+}, { timestamps: true });
+
+OutgoingMailSchema.index({ status: 1, nextAttemptAt: 1 });
+OutgoingMailSchema.index({ to: 1, createdAt: -1 });
+OutgoingMailSchema.index({ createdAt: -1 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'OutgoingMail', OutgoingMailSchema );
@@ -0,0 +1,91 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       Program:
+ *         type: object
+ *         required:
+ *           - title
+ *         properties:
+ *           title:
+ *             type: string
+ *             description: Title of the program (has to be unique).
+ *             example: "MS Statistics"
+ *           description:
+ *             type: string
+ *             description: Description of the program.
+ *             example: "Master of Science in Statistics"
+ *           administrators:
+ *             type: array
+ *             description: Array of users administering the program and all of its namespaces.
+ *             items:
+ *               $ref: '#/components/schemas/User'
+ *           createdBy:
+ *             $ref: '#/components/schemas/User'
+ *             description: User who created the program.
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the program was created.
+ *             example: "2022-01-01T00:00:00.000Z"
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the program was last updated.
+ *             example: "2022-01-01T00:00:00.000Z"
+ */
+
+const Schema = mongoose.Schema;
+
+const ProgramSchema = new Schema({
+	title: {
+		'type': String,
+		'required': true,
+		'unique': true
+	},
+	description: {
+		'type': String,
+		'default': ''
+	},
+	administrators: [
+		{ 'type': Schema.Types.ObjectId, 'ref': 'User' }
+	],
+	createdBy: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User'
+	}
+}, { timestamps: true });
+
+const Program = mongoose.model( 'Program', ProgramSchema );
+
+
+// EXPORTS //
+
+module.exports = Program;
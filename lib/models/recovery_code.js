@@ -0,0 +1,77 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       RecoveryCode:
+ *         type: object
+ *         required:
+ *           - user
+ *           - codeHash
+ *         properties:
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ *           codeHash:
+ *             type: string
+ *             description: SHA-256 hash of the normalized recovery code (the code itself is never stored).
+ *           usedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the code was used to log in (`null` for unused codes).
+ *             default: null
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the code was generated.
+ */
+
+const Schema = mongoose.Schema;
+
+const RecoveryCodeSchema = new Schema({
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'required': true,
+		'index': true
+	},
+	codeHash: {
+		'type': String,
+		'required': true,
+		'unique': true
+	},
+	usedAt: {
+		'type': Date,
+		'default': null
+	}
+}, { timestamps: { createdAt: true, updatedAt: false }});
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'RecoveryCode', RecoveryCodeSchema );
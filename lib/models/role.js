@@ -20,6 +20,7 @@
 // MODULES //
 
 const mongoose = require( 'mongoose' );
+const DEFAULT_ROLES = require( './../permissions/default_roles.js' );
 
 
 // MAIN //
@@ -33,7 +34,6 @@ const mongoose = require( 'mongoose' );
  *         type: object
  *         required:
  *           - title
- *           - createdBy
  *           - permissions
  *         properties:
  *           title:
@@ -47,6 +47,11 @@ const mongoose = require( 'mongoose' );
  *             enum: ["course","program","global"]
  *           createdBy:
  *             $ref: '#/components/schemas/User'
+ *             description: User who created the role (not set for built-in roles).
+ *           builtIn:
+ *             type: string
+ *             description: Identifier of the default role a built-in role corresponds to; built-in roles are created by a migration and cannot be deleted.
+ *             enum: ["administrator","instructor","owner","teaching-assistant"]
  *           authorizedRoles:
  *             description: Roles authorized to edit the role.
  *             type: array
@@ -54,8 +59,8 @@ const mongoose = require( 'mongoose' );
  *                $ref: '#/components/schemas/Role'
  *           permissions:
  *             type: object
- *             description: Permissions associated with the role.
- *             example: { "create": true, "read": true, "update": true, "delete": true }
+ *             description: Object mapping names of permissions from the catalogue to `true` (grant) or `false` (deny).
+ *             example: { "view_gradebook": true, "grade_students": true }
  *           createdAt:
  *             type: string
  *             format: date-time
@@ -84,7 +89,15 @@ const RoleSchema = new Schema({
 	createdBy: {
 		'type': Schema.Types.ObjectId,
 		'ref': 'User',
-		'required': true
+		'required': function isRequired() {
+			return !this.builtIn;
+		}
+	},
+	builtIn: {
+		'type': String,
+		'enum': DEFAULT_ROLES.map( x => x.builtIn ),
+		'unique': true,
+		'sparse': true
 	},
 	authorizedRoles: [
 		{ 'type': Schema.Types.ObjectId, 'ref': 'Role' }
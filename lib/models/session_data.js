@@ -20,6 +20,7 @@
 // MODULES //
 
 const mongoose = require( 'mongoose' );
+const isnan = require( '@stdlib/math/base/assert/is-nan' );
 
 
 // MAIN //
@@ -47,6 +48,16 @@ const mongoose = require( 'mongoose' );
  *           data:
  *             type: object
  *             description: Key-value pairs of session data.
+ *           componentID:
+ *             type: string
+ *             description: Identifier of the lesson component the session data belong to (copied from `data.id`).
+ *           actionType:
+ *             type: string
+ *             description: Type of the action (copied from `data.type`).
+ *           time:
+ *             type: string
+ *             format: date-time
+ *             description: Time at which the action was performed (copied from `data.absoluteTime`).
  */
 
 const Schema = mongoose.Schema;
@@ -68,7 +79,32 @@ const SessionDataSchema = new Schema({
 	data: {
 		'type': Object,
 		'required': true
+	},
+	componentID: {
+		'type': String
+	},
+	actionType: {
+		'type': String
+	},
+	time: {
+		'type': Date
+	}
+});
+
+SessionDataSchema.index({ componentID: 1 });
+SessionDataSchema.index({ lesson: 1, type: 1, time: -1 });
+SessionDataSchema.index({ lesson: 1, componentID: 1, time: -1 });
+
+SessionDataSchema.pre( 'validate', function validate( next ) {
+	// Copy the queried fields of the untyped data object into indexed fields:
+	const data = this.data || {};
+	if ( this.isModified( 'data' ) || this.isNew ) {
+		this.componentID = data.id;
+		this.actionType = data.type;
+		const time = new Date( data.absoluteTime );
+		this.time = data.absoluteTime && !isnan( time.getTime() ) ? time : null;
 	}
+	next();
 });
 
 
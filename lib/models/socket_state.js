@@ -0,0 +1,86 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// VARIABLES //
+
+const EXPIRATION_TIME = 24 * 60 * 60; // Expire state of rooms that have been idle for a day (in seconds)...
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       SocketState:
+ *         type: object
+ *         required:
+ *           - key
+ *         properties:
+ *           key:
+ *             type: string
+ *             description: Key of the stored state (e.g., `room:<namespace>/<lesson>:groups`).
+ *           field:
+ *             type: string
+ *             description: Field name for state stored as a hash (empty string for plain values and lists).
+ *             default: ""
+ *           value:
+ *             description: Stored value.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the state was last updated (state expires after a day of inactivity).
+ */
+
+const Schema = mongoose.Schema;
+
+const SocketStateSchema = new Schema({
+	key: {
+		'type': String,
+		'required': true
+	},
+	field: {
+		'type': String,
+		'default': ''
+	},
+	value: {
+		'type': Schema.Types.Mixed,
+		'default': null
+	},
+	updatedAt: {
+		'type': Date,
+		'default': Date.now,
+		'expires': EXPIRATION_TIME
+	}
+}, { minimize: false });
+
+SocketStateSchema.index({ key: 1, field: 1 }, { unique: true });
+
+const SocketState = mongoose.model( 'SocketState', SocketStateSchema );
+
+
+// EXPORTS //
+
+module.exports = SocketState;
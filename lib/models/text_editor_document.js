@@ -63,6 +63,31 @@ const mongoose = require( 'mongoose' );
  *             type: array
  *             description: The comments associated with the document.
  *             default: []
+ *           contributions:
+ *             type: array
+ *             description: Contribution statistics for each author of the document.
+ *             default: []
+ *             items:
+ *               type: object
+ *               properties:
+ *                 email:
+ *                   type: string
+ *                   description: Email address of the author (the client identifier the author's steps are tagged with).
+ *                 inserted:
+ *                   type: integer
+ *                   description: Number of characters inserted by the author.
+ *                 deleted:
+ *                   type: integer
+ *                   description: Number of characters deleted by the author.
+ *                 steps:
+ *                   type: integer
+ *                   description: Number of editing steps of the author.
+ *                 activeTime:
+ *                   type: integer
+ *                   description: Active editing time of the author (in milliseconds).
+ *                 lastEdit:
+ *                   type: integer
+ *                   description: Time of the author's last edit (in milliseconds since the epoch).
  *           steps:
  *             type: array
  *             description: Array of compressed steps constituting the document's history.
@@ -102,6 +127,10 @@ const TextEditorDocumentSchema = new Schema({
 		'type': Array,
 		'default': []
 	},
+	contributions: {
+		'type': Array,
+		'default': []
+	},
 	steps: {
 		'type': Array,
 		'default': []
@@ -0,0 +1,138 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       TextEditorDocumentVersion:
+ *         type: object
+ *         required:
+ *           - id
+ *           - namespace
+ *           - lesson
+ *           - version
+ *           - doc
+ *         properties:
+ *           id:
+ *             type: string
+ *             description: The unique identifier for the text editor corresponding to the document.
+ *           namespace:
+ *             $ref: '#/components/schemas/Namespace'
+ *             description: The namespace corresponding to the document.
+ *           lesson:
+ *             $ref: '#/components/schemas/Lesson'
+ *             description: The lesson corresponding to the document.
+ *           version:
+ *             type: integer
+ *             description: The version of the document captured by the snapshot.
+ *             minimum: 0
+ *           name:
+ *             type: string
+ *             description: The name of the snapshot.
+ *             example: "Version 42"
+ *           kind:
+ *             type: string
+ *             description: Whether the snapshot was taken periodically (`auto`), before restoring an earlier version (`backup`), or as the result of a restore (`restore`).
+ *             enum: [ auto, backup, restore ]
+ *             default: auto
+ *           authors:
+ *             type: array
+ *             description: Email addresses of the users who have edited the document since the previous snapshot (anonymous users are recorded with a per-connection identifier).
+ *             items:
+ *               type: string
+ *           createdBy:
+ *             $ref: '#/components/schemas/User'
+ *             description: The user who triggered the snapshot (not set for periodic snapshots).
+ *           doc:
+ *             type: object
+ *             description: The document data at the given version as a JSON object.
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: The date and time the snapshot was taken.
+ *             example: "2016-12-31T23:59:59.999Z"
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: The date and time the snapshot was last updated.
+ *             example: "2016-12-31T23:59:59.999Z"
+ */
+
+const Schema = mongoose.Schema;
+
+const DocumentVersionSchema = new Schema({
+	id: {
+		'type': String,
+		'required': true
+	},
+	namespace: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Namespace',
+		'required': true
+	},
+	lesson: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'Lesson',
+		'required': true
+	},
+	version: {
+		'type': Number,
+		'required': true,
+		'min': 0
+	},
+	name: {
+		'type': String,
+		'default': ''
+	},
+	kind: {
+		'type': String,
+		'enum': [ 'auto', 'backup', 'restore' ],
+		'default': 'auto'
+	},
+	authors: {
+		'type': [ String ],
+		'default': []
+	},
+	createdBy: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User'
+	},
+	doc: {
+		'type': Object,
+		'required': true
+	}
+}, { timestamps: true });
+
+DocumentVersionSchema.index({ namespace: 1, lesson: 1, id: 1, version: -1 });
+
+const TextEditorDocumentVersion = mongoose.model( 'TextEditorDocumentVersion', DocumentVersionSchema );
+
+
+// EXPORTS //
+
+module.exports = TextEditorDocumentVersion;
@@ -241,6 +241,11 @@ const UserRoleHashSchema = new Schema({
  *             $ref: '#/components/schemas/UserRoleHash'
  *             description: Roles associated with the user.
  *             default: { global: [], namespace: [], lesson: [] }
+ *           locale:
+ *             type: string
+ *             description: Language of the user's last login, in which emails to the user are written.
+ *             example: de
+ *             default: null
  *           createdAt:
  *             type: string
  *             format: date-time
@@ -364,6 +369,10 @@ const UserSchema = new Schema({
 	pronouns: {
 		'type': String,
 		'default': null
+	},
+	locale: {
+		'type': String,
+		'default': null
 	}
 }, {
 	timestamps: true,
@@ -0,0 +1,115 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// VARIABLES //
+
+const PURPOSES = [ 'reset-password', 'registration', 'confirm-email', 'cohort-invite', 'sso-login' ];
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       UserToken:
+ *         type: object
+ *         required:
+ *           - user
+ *           - purpose
+ *           - tokenHash
+ *           - expiresAt
+ *         properties:
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ *           purpose:
+ *             type: string
+ *             description: Action the token authorizes.
+ *             enum: [ reset-password, registration, confirm-email, cohort-invite, sso-login ]
+ *           tokenHash:
+ *             type: string
+ *             description: SHA-256 hash of the token sent to the user (the token itself is never stored).
+ *           data:
+ *             type: object
+ *             description: Additional data associated with the token (e.g., the cohort a user was invited to).
+ *             default: {}
+ *           expiresAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the token expires (expired tokens are removed automatically).
+ *           usedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the token was used (`null` for unused tokens).
+ *             default: null
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the token was issued.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the token was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const UserTokenSchema = new Schema({
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'required': true,
+		'index': true
+	},
+	purpose: {
+		'type': String,
+		'enum': PURPOSES,
+		'required': true
+	},
+	tokenHash: {
+		'type': String,
+		'required': true,
+		'unique': true
+	},
+	data: {
+		'type': Object,
+		'default': {}
+	},
+	expiresAt: {
+		'type': Date,
+		'required': true
+	},
+	usedAt: {
+		'type': Date,
+		'default': null
+	}
+}, { timestamps: true, minimize: false });
+
+UserTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'UserToken', UserTokenSchema );
@@ -0,0 +1,89 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// VARIABLES //
+
+const CEREMONIES = [ 'registration', 'second-factor', 'passwordless' ];
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       WebAuthnChallenge:
+ *         type: object
+ *         required:
+ *           - challenge
+ *           - ceremony
+ *           - expiresAt
+ *         properties:
+ *           challenge:
+ *             type: string
+ *             description: Base64URL-encoded random challenge to be signed by the authenticator.
+ *           ceremony:
+ *             type: string
+ *             description: Ceremony the challenge was issued for.
+ *             enum: [ registration, second-factor, passwordless ]
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ *             description: User the challenge was issued to (`null` for passwordless logins, where the user is identified by the credential).
+ *           expiresAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the challenge expires (expired challenges are removed automatically).
+ */
+
+const Schema = mongoose.Schema;
+
+const WebAuthnChallengeSchema = new Schema({
+	challenge: {
+		'type': String,
+		'required': true,
+		'unique': true
+	},
+	ceremony: {
+		'type': String,
+		'enum': CEREMONIES,
+		'required': true
+	},
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'default': null
+	},
+	expiresAt: {
+		'type': Date,
+		'required': true
+	}
+});
+
+WebAuthnChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'WebAuthnChallenge', WebAuthnChallengeSchema );
@@ -0,0 +1,132 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ *   components:
+ *     schemas:
+ *       WebAuthnCredential:
+ *         type: object
+ *         required:
+ *           - user
+ *           - name
+ *           - credentialID
+ *           - publicKey
+ *         properties:
+ *           user:
+ *             $ref: '#/components/schemas/User'
+ *           name:
+ *             type: string
+ *             description: Name given to the authenticator by the user.
+ *             example: YubiKey
+ *           credentialID:
+ *             type: string
+ *             description: Base64URL-encoded identifier of the credential.
+ *           publicKey:
+ *             type: string
+ *             description: Base64URL-encoded COSE public key of the credential.
+ *           counter:
+ *             type: integer
+ *             description: Signature counter reported by the authenticator at the last login.
+ *             default: 0
+ *           transports:
+ *             type: array
+ *             items:
+ *               type: string
+ *             description: Transports supported by the authenticator (e.g., `usb`, `nfc`, `ble`, `internal` or `hybrid`).
+ *             default: []
+ *           deviceType:
+ *             type: string
+ *             description: Whether the credential is bound to a single device (`singleDevice`) or can be synchronized across devices as a passkey (`multiDevice`).
+ *             enum: [ singleDevice, multiDevice ]
+ *           backedUp:
+ *             type: boolean
+ *             description: Whether the credential is backed up.
+ *             default: false
+ *           lastUsedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time of the last login with the credential.
+ *             default: null
+ *           createdAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the credential was registered.
+ *           updatedAt:
+ *             type: string
+ *             format: date-time
+ *             description: Date and time when the credential was last updated.
+ */
+
+const Schema = mongoose.Schema;
+
+const WebAuthnCredentialSchema = new Schema({
+	user: {
+		'type': Schema.Types.ObjectId,
+		'ref': 'User',
+		'required': true,
+		'index': true
+	},
+	name: {
+		'type': String,
+		'required': true
+	},
+	credentialID: {
+		'type': String,
+		'required': true,
+		'unique': true
+	},
+	publicKey: {
+		'type': String,
+		'required': true
+	},
+	counter: {
+		'type': Number,
+		'default': 0
+	},
+	transports: {
+		'type': [ String ],
+		'default': []
+	},
+	deviceType: {
+		'type': String,
+		'enum': [ 'singleDevice', 'multiDevice' ]
+	},
+	backedUp: {
+		'type': Boolean,
+		'default': false
+	},
+	lastUsedAt: {
+		'type': Date,
+		'default': null
+	}
+}, { timestamps: true });
+
+
+// EXPORTS //
+
+module.exports = mongoose.model( 'WebAuthnCredential', WebAuthnCredentialSchema );
@@ -35,12 +35,14 @@ const rateLimit = require( 'express-rate-limit' );
 const trim = require( '@stdlib/string/trim' );
 const pick = require( '@stdlib/utils/pick' );
 const contains = require( '@stdlib/assert/contains' );
+const isValidObjectId = require( 'mongoose' ).Types.ObjectId.isValid;
 const debug = require( './debug' )( 'server:namespaces' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const ErrorStatus = require( './helpers/error.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
 const validateString = require( './helpers/validate_string.js' );
+const validateEmailAddress = require( './helpers/validate_email_address.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const validateStringArray = require( './helpers/validate_string_array.js' );
 const validateObjectIdArray = require( './helpers/validate_object_id_array.js' );
@@ -51,9 +53,12 @@ const User = require( './models/user.js' );
 const extractEmailsWithoutAccount = require( './utils/extract_emails_without_account.js' );
 const renameDirectory = require( './utils/rename_directory.js' );
 const institutionName = require( './utils/institution_name.js' );
+const issueUserToken = require( './utils/issue_user_token.js' );
+const recordAuditLog = require( './utils/record_audit_log.js' );
+const namespaceSender = require( './utils/namespace_sender.js' );
 const mailer = require( './mailer' );
 const settings = require( './../etc/settings.json' );
-const { NAMESPACES_DIRECTORY, NOTIFICATIONS_EMAIL, SERVER_HOST_NAME } = require( './constants.js' );
+const { NAMESPACES_DIRECTORY, SERVER_HOST_NAME } = require( './constants.js' );
 
 
 // VARIABLES //
@@ -212,6 +217,7 @@ router.post( '/create_namespace',
 		if ( !req.body.title || !req.body.description || !req.body.owners ) {
 			return res.status( 400 ).send( req.t( 'namespace-create-missing-fields' ) );
 		}
+		await validatePermissions( req, 'create_namespace' );
 		validateNamespaceName( req.body.title, 'title', req.t );
 		validateStringArray( req.body.owners, 'owners', req.t );
 		validateString( req.body.description, 'description', req.t );
@@ -251,7 +257,7 @@ router.post( '/create_namespace',
 			if ( owner.email !== req.user.email ) {
 				debug( `Send invitation email to ${owner.email}...` );
 				const mail = {
-					'from': NOTIFICATIONS_EMAIL,
+					...namespaceSender( namespace ),
 					'subject': req.t('course-invitation'),
 					'to': owner.email,
 					'text': `
@@ -296,7 +302,7 @@ router.post( '/create_namespace',
 				};
 				if ( samlEmailDomains.some( x => contains( email, x ) ) ) {
 					mail = {
-						'from': NOTIFICATIONS_EMAIL,
+						...namespaceSender( namespace ),
 						'subject': req.t('course-invitation'),
 						'to': user.email,
 						'text': `
@@ -305,14 +311,15 @@ router.post( '/create_namespace',
 						'link': `${SERVER_HOST_NAME}/dashboard/lessons/${namespace.title}`
 					};
 				} else {
+					const token = await issueUserToken({ user: user._id, purpose: 'registration' });
 					mail = {
-						'from': NOTIFICATIONS_EMAIL,
+						...namespaceSender( namespace ),
 						'subject': req.t('course-invitation'),
 						'to': user.email,
 						'text': `
 							${req.t('course-owner-invitation-email-new-users', emailOptions )}
 						`,
-						'link': `${SERVER_HOST_NAME}/dashboard/complete-registration?token=${user._id}`
+						'link': `${SERVER_HOST_NAME}/dashboard/complete-registration?token=${token}`
 					};
 				}
 				debug( 'Mail: ' + JSON.stringify( mail ) );
@@ -389,18 +396,11 @@ router.post( '/delete_namespace',
 	wrapAsync( async function onDeleteNamespace( req, res ) {
 		validateObjectId( req.body.id, 'id', req.t );
 
-		const query = {
-			_id: req.body.id
-		};
-		if ( !req.user.administrator ) {
-			query.owners = {
-				$in: [ req.user ]
-			};
-		}
-		const namespace = await Namespace.findOne( query );
+		const namespace = await Namespace.findOne({ _id: req.body.id });
 		if ( !namespace ) {
 			return res.status( 404 ).send( req.t( 'namespace-nonexistent' ) );
 		}
+		await validatePermissions( req, 'delete_namespace', { namespace });
 		const nLessons = await Lesson.countDocuments({ namespace: namespace });
 		if ( nLessons > 0 ) {
 			return res.status( 405 ).send( req.t( 'delete-lessons-first' ) );
@@ -410,6 +410,12 @@ router.post( '/delete_namespace',
 		await removeOwnedNamespaceFromUsers( namespace, users );
 		await deleteNamespaceDirectory( namespace.title );
 		await namespace.remove();
+		await recordAuditLog( req, {
+			action: 'delete_namespace',
+			targetType: 'namespace',
+			target: namespace._id,
+			before: pick( namespace.toObject(), [ 'title', 'description', 'owners' ])
+		});
 		res.json({ message: req.t( 'namespace-deleted' ) });
 	})
 );
@@ -452,6 +458,14 @@ router.post( '/delete_namespace',
  *                     type: boolean
  *                     description: Whether to enable ticketing for this namespace.
  *                     example: true
+ *                   emailFromName:
+ *                     type: string
+ *                     description: Sender name of emails sent in the context of the namespace (empty to use the default sender name).
+ *                     example: 36-200 Teaching Team
+ *                   emailReplyTo:
+ *                     type: string
+ *                     description: Address to which replies to emails sent in the context of the namespace are directed (empty to disable).
+ *                     example: 36-200-staff@andrew.cmu.edu
  *     responses:
  *       200:
  *         description: Successfully updated namespace.
@@ -488,10 +502,16 @@ router.post( '/update_namespace',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onUpdateNamespace( req, res ) {
 		const ns = req.body.ns;
-		const newProps = pick( ns, [ 'owners', 'title', 'description', 'enableTicketing' ]);
+		const newProps = pick( ns, [ 'owners', 'title', 'description', 'enableTicketing', 'emailFromName', 'emailReplyTo' ]);
 
 		validateNamespaceName( newProps.title, 'title', req.t );
 		validateString( newProps.description, 'description', req.t );
+		if ( newProps.emailFromName ) {
+			validateString( newProps.emailFromName, 'emailFromName', req.t );
+		}
+		if ( newProps.emailReplyTo ) {
+			validateEmailAddress( newProps.emailReplyTo, 'emailReplyTo', req.t );
+		}
 
 		const namespace = await Namespace
 			.findOne({ _id: ns._id })
@@ -500,6 +520,7 @@ router.post( '/update_namespace',
 		if ( !namespace ) {
 			return res.status( 404 ).send( req.t( 'namespace-nonexistent' ) );
 		}
+		await validatePermissions( req, 'update_namespace', { namespace });
 
 		debug( 'Check whether namespace has lessons array...' );
 		if ( !namespace.lessons || namespace.lessons.length === 0 ) {
@@ -533,7 +554,7 @@ router.post( '/update_namespace',
 				owner.ownedNamespaces.addToSet( namespace );
 				owner.save();
 				const mail = {
-					'from': NOTIFICATIONS_EMAIL,
+					...namespaceSender( namespace ),
 					'subject': req.t('course-invitation'),
 					'to': owner.email,
 					'text': `
@@ -577,7 +598,7 @@ router.post( '/update_namespace',
 				let mail;
 				if ( samlEmailDomains.some( x => contains( email, x ) ) ) {
 					mail = {
-						'from': NOTIFICATIONS_EMAIL,
+						...namespaceSender( namespace ),
 						'subject': req.t('course-invitation'),
 						'to': user.email,
 						'text': `
@@ -586,14 +607,15 @@ router.post( '/update_namespace',
 						'link': `${SERVER_HOST_NAME}/dashboard/lessons/${namespace.title}`
 					};
 				} else {
+					const token = await issueUserToken({ user: user._id, purpose: 'registration' });
 					mail = {
-						'from': NOTIFICATIONS_EMAIL,
+						...namespaceSender( namespace ),
 						'subject': req.t('course-invitation'),
 						'to': user.email,
 						'text': `
 							${req.t('course-owner-invitation-email-new-users', emailOptions )}
 						`,
-						'link': `${SERVER_HOST_NAME}/dashboard/complete-registration?token=${user._id}`
+						'link': `${SERVER_HOST_NAME}/dashboard/complete-registration?token=${token}`
 					};
 				}
 				debug( 'Mail: ' + JSON.stringify( mail ) );
@@ -628,7 +650,7 @@ router.post( '/update_namespace',
  * /get_namespaces:
  *   get:
  *     summary: Get namespaces
- *     description: Get namespaces owned by the user.
+ *     description: Get namespaces owned by the user or for which the user has been assigned a role.
  *     tags: [Namespaces]
  *     responses:
  *       200:
@@ -649,10 +671,13 @@ router.post( '/update_namespace',
 router.get( '/get_namespaces',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetNamespaces( req, res ) {
+		// Namespaces owned by the user or for which the user has been assigned a role:
+		const assigned = ( req.user.roles && req.user.roles.namespace ) || [];
 		let namespaces = await Namespace.find({
-			owners: {
-				$in: [ req.user ]
-			}
+			$or: [
+				{ owners: { $in: [ req.user ]}},
+				{ _id: { $in: assigned.map( x => x.context ).filter( isValidObjectId ) }}
+			]
 		});
 		const promises = namespaces.map( ns => {
 			return User.find({ _id: { $in: ns.owners }});
@@ -697,7 +722,7 @@ router.get( '/get_namespaces',
 router.get( '/get_all_namespaces',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetAllNamespaces( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'view_all_courses' );
 
 		const namespaces = await Namespace
 			.find({})
@@ -761,6 +786,7 @@ router.post( '/set_lesson_order',
 		if ( !namespace ) {
 			return res.status( 404 ).send( req.t( 'namespace-nonexistent' ) );
 		}
+		await validatePermissions( req, 'update_namespace', { namespace });
 		if ( !namespace.lessons || namespace.lessons.length === 0 ) {
 			debug( 'Attaching lessons to namespace...' );
 			const lessons = await Lesson.find({ namespace: namespace });
@@ -0,0 +1,310 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const crypto = require( 'crypto' );
+const axios = require( 'axios' );
+const qs = require( 'qs' );
+const jwt = require( 'jsonwebtoken' );
+const debug = require( './../debug' )( 'server:oidc' );
+
+
+// VARIABLES //
+
+const CACHE_TTL = 60 * 60 * 1000; // One hour...
+const CLOCK_TOLERANCE = 60; // Seconds...
+const ALGORITHMS = [ 'RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512' ];
+const discoveryCache = new Map();
+const keyCache = new Map();
+
+
+// FUNCTIONS //
+
+/**
+* Returns a cached value if it has not expired yet.
+*
+* @private
+* @param {Map} cache - cache
+* @param {string} key - cache key
+* @returns {*} cached value or `null`
+*/
+function cached( cache, key ) {
+	const entry = cache.get( key );
+	if ( entry && entry.expiresAt > Date.now() ) {
+		return entry.value;
+	}
+	return null;
+}
+
+/**
+* Fetches the JSON Web Key Set of a provider and converts its signing keys to PEM format.
+*
+* @private
+* @param {string} jwksURI - URL of the key set
+* @returns {Promise<Array>} list of objects holding the key identifier (`kid`) and the `pem` encoded public key
+*/
+async function fetchKeys( jwksURI ) {
+	const res = await axios.get( jwksURI );
+	const keys = ( res.data && res.data.keys ) || [];
+	const out = [];
+	for ( let i = 0; i < keys.length; i++ ) {
+		const jwk = keys[ i ];
+		if ( jwk.use && jwk.use !== 'sig' ) {
+			continue;
+		}
+		try {
+			const pem = crypto.createPublicKey({ key: jwk, format: 'jwk' })
+				.export({ type: 'spki', format: 'pem' });
+			out.push({ kid: jwk.kid, pem });
+		} catch ( err ) {
+			debug( `Skipping unsupported key ${jwk.kid}: ${err.message}` );
+		}
+	}
+	keyCache.set( jwksURI, {
+		value: out,
+		expiresAt: Date.now() + CACHE_TTL
+	});
+	return out;
+}
+
+/**
+* Returns the public key with a given key identifier.
+*
+* @private
+* @param {string} jwksURI - URL of the key set
+* @param {string} [kid] - key identifier
+* @returns {Promise<(string|null)>} PEM encoded public key or `null` if no matching key was found
+*/
+async function signingKey( jwksURI, kid ) {
+	let keys = cached( keyCache, jwksURI );
+	for ( let attempt = 0; attempt < 2; attempt++ ) {
+		if ( !keys ) {
+			// Fetch the key set anew, e.g. after the provider rotated its keys:
+			keys = await fetchKeys( jwksURI );
+		}
+		if ( !kid && keys.length === 1 ) {
+			return keys[ 0 ].pem;
+		}
+		for ( let i = 0; i < keys.length; i++ ) {
+			if ( keys[ i ].kid === kid ) {
+				return keys[ i ].pem;
+			}
+		}
+		keys = null;
+	}
+	return null;
+}
+
+
+// MAIN //
+
+/**
+* Retrieves the metadata of an OpenID Connect provider from its discovery endpoint.
+*
+* @param {Object} provider - provider settings
+* @throws {Error} metadata must be for the configured issuer
+* @returns {Promise<Object>} provider metadata
+*/
+async function discover( provider ) {
+	const metadata = cached( discoveryCache, provider.issuer );
+	if ( metadata ) {
+		return metadata;
+	}
+	const url = provider.issuer.replace( /\/+$/, '' ) + '/.well-known/openid-configuration';
+	debug( `Retrieving provider metadata from ${url}...` );
+	const res = await axios.get( url );
+	if ( !res.data || res.data.issuer !== provider.issuer ) {
+		throw new Error( `Issuer in provider metadata does not match ${provider.issuer}` );
+	}
+	discoveryCache.set( provider.issuer, {
+		value: res.data,
+		expiresAt: Date.now() + CACHE_TTL
+	});
+	return res.data;
+}
+
+/**
+* Generates the random values protecting an authorization request, i.e. the `state`, the `nonce` and the PKCE `codeVerifier`.
+*
+* @returns {Object} random values
+*/
+function createAuthorizationParams() {
+	return {
+		state: crypto.randomBytes( 24 ).toString( 'base64url' ),
+		nonce: crypto.randomBytes( 24 ).toString( 'base64url' ),
+		codeVerifier: crypto.randomBytes( 32 ).toString( 'base64url' )
+	};
+}
+
+/**
+* Returns the URL to which users are redirected to authenticate with a provider.
+*
+* @param {Object} provider - provider settings
+* @param {Object} options - function options
+* @param {string} options.redirectURI - callback URL
+* @param {string} options.state - opaque value binding the callback to the user's session
+* @param {string} options.nonce - value binding the ID token to the user's session
+* @param {string} options.codeVerifier - PKCE code verifier
+* @returns {Promise<string>} authorization URL
+*/
+async function authorizationURL( provider, { redirectURI, state, nonce, codeVerifier }) {
+	const metadata = await discover( provider );
+	const codeChallenge = crypto.createHash( 'sha256' )
+		.update( codeVerifier )
+		.digest( 'base64url' );
+	const query = qs.stringify({
+		response_type: 'code',
+		client_id: provider.clientID,
+		redirect_uri: redirectURI,
+		scope: provider.scope,
+		state,
+		nonce,
+		code_challenge: codeChallenge,
+		code_challenge_method: 'S256'
+	});
+	const endpoint = metadata.authorization_endpoint;
+	return endpoint + ( endpoint.includes( '?' ) ? '&' : '?' ) + query;
+}
+
+/**
+* Verifies a JSON Web Token signed with one of the keys of a JSON Web Key Set and returns its claims.
+*
+* @param {string} token - JSON Web Token
+* @param {Object} options - function options
+* @param {string} options.jwksURI - URL of the key set of the issuer
+* @param {string} options.issuer - expected issuer
+* @param {string} options.audience - expected audience
+* @throws {Error} token must be signed with a key of the key set, be issued by the issuer for the audience and not be expired
+* @returns {Promise<Object>} claims
+*/
+async function verifyJWT( token, { jwksURI, issuer, audience }) {
+	const decoded = jwt.decode( token, { complete: true });
+	if ( !decoded || !decoded.header ) {
+		throw new Error( 'Malformed token' );
+	}
+	const key = await signingKey( jwksURI, decoded.header.kid );
+	if ( !key ) {
+		throw new Error( `No signing key found for key identifier ${decoded.header.kid}` );
+	}
+	return jwt.verify( token, key, {
+		algorithms: ALGORITHMS,
+		audience,
+		issuer,
+		clockTolerance: CLOCK_TOLERANCE
+	});
+}
+
+/**
+* Verifies an ID token issued by a provider and returns its claims.
+*
+* @param {Object} provider - provider settings
+* @param {string} idToken - ID token
+* @param {string} nonce - nonce sent in the authorization request
+* @throws {Error} ID token must be signed by the provider, issued for the client and contain the nonce
+* @returns {Promise<Object>} claims
+*/
+async function verifyIDToken( provider, idToken, nonce ) {
+	const metadata = await discover( provider );
+	const claims = await verifyJWT( idToken, {
+		jwksURI: metadata.jwks_uri,
+		issuer: metadata.issuer,
+		audience: provider.clientID
+	});
+	if ( !claims.sub ) {
+		throw new Error( 'ID token has no subject' );
+	}
+	if ( claims.nonce !== nonce ) {
+		throw new Error( 'ID token nonce mismatch' );
+	}
+	if ( Array.isArray( claims.aud ) && claims.aud.length > 1 && claims.azp !== provider.clientID ) {
+		throw new Error( 'ID token was issued to another party' );
+	}
+	return claims;
+}
+
+/**
+* Exchanges an authorization code for tokens and returns the claims of the authenticated user.
+*
+* ## Notes
+*
+* -   Claims returned by the provider's userinfo endpoint complement the ID token claims, provided they refer to the same subject.
+*
+* @param {Object} provider - provider settings
+* @param {Object} options - function options
+* @param {string} options.code - authorization code
+* @param {string} options.redirectURI - callback URL used in the authorization request
+* @param {string} options.nonce - nonce sent in the authorization request
+* @param {string} options.codeVerifier - PKCE code verifier
+* @throws {Error} provider must return a valid ID token
+* @returns {Promise<Object>} claims
+*/
+async function authenticate( provider, { code, redirectURI, nonce, codeVerifier }) {
+	const metadata = await discover( provider );
+	const body = {
+		grant_type: 'authorization_code',
+		code,
+		redirect_uri: redirectURI,
+		client_id: provider.clientID,
+		code_verifier: codeVerifier
+	};
+	if ( provider.clientSecret ) {
+		body.client_secret = provider.clientSecret;
+	}
+	const res = await axios.post( metadata.token_endpoint, qs.stringify( body ), {
+		headers: {
+			'Content-Type': 'application/x-www-form-urlencoded',
+			'Accept': 'application/json'
+		}
+	});
+	if ( !res.data || !res.data.id_token ) {
+		throw new Error( 'Token response contains no ID token' );
+	}
+	const claims = await verifyIDToken( provider, res.data.id_token, nonce );
+	if ( metadata.userinfo_endpoint && res.data.access_token ) {
+		try {
+			const info = await axios.get( metadata.userinfo_endpoint, {
+				headers: {
+					'Authorization': 'Bearer '+res.data.access_token
+				}
+			});
+			if ( info.data && info.data.sub === claims.sub ) {
+				return {
+					...info.data,
+					...claims
+				};
+			}
+		} catch ( err ) {
+			debug( 'Encountered an error when retrieving userinfo: '+err.message );
+		}
+	}
+	return claims;
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	authenticate,
+	authorizationURL,
+	createAuthorizationParams,
+	discover,
+	verifyIDToken,
+	verifyJWT
+};
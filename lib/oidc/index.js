@@ -0,0 +1,330 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: OpenID Connect
+ *   description: Single sign-on via OpenID Connect providers.
+ */
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const qs = require( 'qs' );
+const debug = require( './../debug' )( 'server:oidc' );
+const wrapAsync = require( './../utils/wrap_async.js' );
+const escapeHTML = require( './../utils/escape_html.js' );
+const createAuthSession = require( './../utils/create_auth_session.js' );
+const issueUserToken = require( './../utils/issue_user_token.js' );
+const consumeUserToken = require( './../utils/consume_user_token.js' );
+const provisionSSOUser = require( './../utils/provision_sso_user.js' );
+const validateString = require( './../helpers/validate_string.js' );
+const ErrorStatus = require( './../helpers/error.js' );
+const config = require( './../../etc/config.json' );
+const { SERVER_HOST_NAME } = require( './../constants.js' );
+const { findProvider, providers } = require( './providers.js' );
+const { authenticate, authorizationURL, createAuthorizationParams } = require( './client.js' );
+const mapClaims = require( './map_claims.js' );
+
+
+// VARIABLES //
+
+const REDIRECT_URI = `${SERVER_HOST_NAME}/oidc/callback`;
+const LOGIN_REDIRECT = ( config.oidc && config.oidc.loginRedirect ) || `${SERVER_HOST_NAME}/dashboard/login`;
+const MAX_LOGIN_DURATION = 10 * 60 * 1000; // Ten minutes...
+
+
+// FUNCTIONS //
+
+/**
+* Returns a page letting users choose the provider to log in with.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @returns {string} HTML page
+*/
+function choicePage( req ) {
+	const title = escapeHTML( req.t( 'oidc-choose-provider' ) );
+	const items = providers.map( provider => {
+		const href = '/oidc/login?'+qs.stringify({ provider: provider.id });
+		return `<li><a href="${escapeHTML( href )}">${escapeHTML( provider.name )}</a></li>`;
+	}).join( '\n' );
+	return `<!DOCTYPE html>
+<html lang="${escapeHTML( req.language || 'en' )}">
+<head>
+	<meta charset="utf-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1">
+	<title>${title}</title>
+	<style type="text/css">
+		body { font-family: sans-serif; margin: 48px auto; max-width: 480px; }
+		ul { list-style: none; padding: 0; }
+		li a { border: 1px solid #ccc; border-radius: 4px; display: block; margin: 8px 0; padding: 12px; text-decoration: none; }
+		li a:hover { background-color: #f5f5f5; }
+	</style>
+</head>
+<body>
+	<h1>${title}</h1>
+	<ul>
+${items}
+	</ul>
+</body>
+</html>`;
+}
+
+/**
+* Redirects the user back to the dashboard's login page.
+*
+* @private
+* @param {Response} res - HTTP response object
+* @param {Object} params - query parameters
+*/
+function redirectToLogin( res, params ) {
+	res.redirect( LOGIN_REDIRECT + ( LOGIN_REDIRECT.includes( '?' ) ? '&' : '?' ) + qs.stringify( params ) );
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /oidc/providers:
+ *   get:
+ *     summary: Get OpenID Connect providers
+ *     description: Get the identifiers and display names of the configured OpenID Connect providers.
+ *     tags: [OpenID Connect]
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: Provider identifier
+ *                       name:
+ *                         type: string
+ *                         description: Display name
+ */
+router.get( '/oidc/providers', function onProviders( req, res ) {
+	res.json({
+		message: 'ok',
+		providers: providers.map( x => ({ id: x.id, name: x.name }) )
+	});
+});
+
+/**
+ * @openapi
+ *
+ * /oidc/login:
+ *   get:
+ *     summary: Log in via OpenID Connect
+ *     description: Redirect to the chosen OpenID Connect provider to authenticate. Without a `provider` parameter, a page for choosing among several configured providers is displayed.
+ *     tags: [OpenID Connect]
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         description: Provider identifier
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Provider choice page
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       302:
+ *         description: Redirect to the provider's authorization endpoint
+ *       404:
+ *         description: Provider does not exist
+ */
+router.get( '/oidc/login',
+	wrapAsync( async function onLogin( req, res ) {
+		let id = req.query.provider;
+		if ( !id ) {
+			if ( providers.length !== 1 ) {
+				if ( providers.length === 0 ) {
+					throw new ErrorStatus( 404, req.t( 'oidc-provider-nonexistent' ) );
+				}
+				return res.type( 'html' ).send( choicePage( req ) );
+			}
+			id = providers[ 0 ].id;
+		}
+		const provider = findProvider( id );
+		if ( !provider ) {
+			throw new ErrorStatus( 404, req.t( 'oidc-provider-nonexistent' ) );
+		}
+		const params = createAuthorizationParams();
+		const url = await authorizationURL( provider, {
+			...params,
+			redirectURI: REDIRECT_URI
+		});
+		req.session.oidc = {
+			...params,
+			provider: provider.id,
+			createdAt: Date.now()
+		};
+		res.redirect( url );
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /oidc/callback:
+ *   get:
+ *     summary: OpenID Connect callback
+ *     description: Endpoint to which providers redirect after authentication. Verifies the response, creates the user on first login and redirects to the dashboard's login page with a single-use login code (`oidcCode`) or an error message (`oidcError`).
+ *     tags: [OpenID Connect]
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         description: Authorization code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         description: State sent in the authorization request
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the dashboard's login page
+ */
+router.get( '/oidc/callback',
+	wrapAsync( async function onCallback( req, res ) {
+		const pending = req.session.oidc;
+		req.session.oidc = null;
+		if (
+			!pending || !req.query.state || req.query.state !== pending.state ||
+			Date.now() - pending.createdAt > MAX_LOGIN_DURATION
+		) {
+			return redirectToLogin( res, { oidcError: req.t( 'oidc-invalid-state' ) });
+		}
+		const provider = findProvider( pending.provider );
+		if ( !provider || req.query.error || !req.query.code ) {
+			debug( 'Authentication failed: '+( req.query.error_description || req.query.error ) );
+			return redirectToLogin( res, { oidcError: req.t( 'oidc-login-failed' ) });
+		}
+		let claims;
+		try {
+			claims = await authenticate( provider, {
+				code: req.query.code,
+				redirectURI: REDIRECT_URI,
+				nonce: pending.nonce,
+				codeVerifier: pending.codeVerifier
+			});
+		} catch ( err ) {
+			debug( `Authentication with provider ${provider.id} failed: ${err.message}` );
+			return redirectToLogin( res, { oidcError: req.t( 'oidc-login-failed' ) });
+		}
+		const { email, emailVerified, name, customFields } = mapClaims( provider, claims );
+		if ( !email ) {
+			return redirectToLogin( res, { oidcError: req.t( 'oidc-email-missing' ) });
+		}
+		if ( provider.requireVerifiedEmail && !emailVerified ) {
+			return redirectToLogin( res, { oidcError: req.t( 'oidc-email-not-verified' ) });
+		}
+		const user = await provisionSSOUser({ email, name, customFields });
+		const code = await issueUserToken({
+			user: user._id,
+			purpose: 'sso-login',
+			data: { provider: provider.id }
+		});
+		redirectToLogin( res, { oidcCode: code });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /oidc/exchange_code:
+ *   post:
+ *     summary: Exchange login code
+ *     description: Exchange the single-use login code issued after authenticating via OpenID Connect for the tokens of a new authentication session.
+ *     tags: [OpenID Connect]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Login code
+ *     responses:
+ *       200:
+ *         description: A JSON object containing a JWT token and an `ok` status message
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 token:
+ *                   type: string
+ *                   description: Short-lived JWT token for authentication
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token to obtain a new JWT token via `/refresh_token` once the current one has expired
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the JWT token in seconds
+ *                 id:
+ *                   type: string
+ *                   description: User identifier
+ *       400:
+ *         description: Missing login code
+ *       401:
+ *         description: Invalid, expired or already used login code
+ */
+router.post( '/oidc/exchange_code',
+	wrapAsync( async function onExchangeCode( req, res ) {
+		validateString( req.body.code, 'code', req.t );
+		const result = await consumeUserToken( req.body.code, [ 'sso-login' ] );
+		if ( !result ) {
+			throw new ErrorStatus( 401, req.t( 'login-code-invalid' ) );
+		}
+		const { token, refreshToken, expiresIn } = await createAuthSession({ user: result.user, req });
+		req.session.loggedIn = true;
+		res.json({ message: 'ok', token, refreshToken, expiresIn, id: String( result.user ) });
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
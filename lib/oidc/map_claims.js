@@ -0,0 +1,109 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const objectKeys = require( '@stdlib/utils/keys' );
+const isString = require( '@stdlib/assert/is-string' ).isPrimitive;
+
+
+// VARIABLES //
+
+const DEFAULT_CLAIMS = {
+	email: 'email',
+	emailVerified: 'email_verified',
+	name: 'name',
+	givenName: 'given_name',
+	familyName: 'family_name'
+};
+
+
+// FUNCTIONS //
+
+/**
+* Returns the value of a claim, supporting dot-separated paths for nested claims (e.g., `address.country`).
+*
+* @private
+* @param {Object} claims - claims
+* @param {string} path - claim name or path
+* @returns {*} claim value or `undefined`
+*/
+function claimValue( claims, path ) {
+	const parts = path.split( '.' );
+	let value = claims;
+	for ( let i = 0; i < parts.length; i++ ) {
+		if ( value === null || typeof value !== 'object' ) {
+			return;
+		}
+		value = value[ parts[ i ] ];
+	}
+	return value;
+}
+
+
+// MAIN //
+
+/**
+* Maps the claims returned by an OpenID Connect provider to user attributes.
+*
+* ## Notes
+*
+* -   The claim names used for the email address, its verification status and the user's name can be overridden via the `claims` setting of a provider (keys `email`, `emailVerified`, `name`, `givenName` and `familyName`).
+* -   The `customFields` setting of a provider maps claim names to names of custom user fields.
+* -   If no `name` claim is present, the name is assembled from the given and family names.
+*
+* @param {Object} provider - provider settings
+* @param {Object} claims - claims
+* @returns {Object} object holding the user's `email`, `emailVerified` status, `name` and `customFields`
+*/
+function mapClaims( provider, claims ) {
+	const mapping = {
+		...DEFAULT_CLAIMS,
+		...provider.claims
+	};
+	const email = claimValue( claims, mapping.email );
+	const verified = claimValue( claims, mapping.emailVerified );
+	let name = claimValue( claims, mapping.name );
+	if ( !isString( name ) || !name.trim() ) {
+		const parts = [
+			claimValue( claims, mapping.givenName ),
+			claimValue( claims, mapping.familyName )
+		].filter( x => isString( x ) && x.trim() );
+		name = parts.join( ' ' );
+	}
+	const customFields = {};
+	const fieldClaims = objectKeys( provider.customFields || {} );
+	for ( let i = 0; i < fieldClaims.length; i++ ) {
+		const value = claimValue( claims, fieldClaims[ i ] );
+		if ( value !== void 0 && value !== null ) {
+			customFields[ provider.customFields[ fieldClaims[ i ] ] ] = value;
+		}
+	}
+	return {
+		email: isString( email ) ? email.trim().toLowerCase() : null,
+		emailVerified: verified === true || verified === 'true',
+		name: name.trim(),
+		customFields
+	};
+}
+
+
+// EXPORTS //
+
+module.exports = mapClaims;
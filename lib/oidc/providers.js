@@ -0,0 +1,83 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const config = require( './../../etc/config.json' );
+const credentials = require( './../credentials.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_SCOPE = 'openid email profile';
+const oidc = config.oidc || {};
+
+
+// FUNCTIONS //
+
+/**
+* Returns the settings of an OpenID Connect provider merged with defaults and its client secret.
+*
+* @private
+* @param {Object} provider - provider configuration
+* @returns {Object} provider settings
+*/
+function normalizeProvider( provider ) {
+	const secrets = credentials.oidc[ provider.id ] || {};
+	return {
+		name: provider.id,
+		scope: DEFAULT_SCOPE,
+		requireVerifiedEmail: true,
+		claims: {},
+		customFields: {},
+		...provider,
+		clientSecret: secrets.clientSecret
+	};
+}
+
+
+// MAIN //
+
+/**
+* OpenID Connect providers configured in the `oidc.providers` section of `etc/config.json` (client secrets are read from `credentials/oidc.json`, keyed by provider identifier).
+*/
+const providers = ( oidc.providers || [] ).map( normalizeProvider );
+
+/**
+* Returns the OpenID Connect provider with a given identifier.
+*
+* @param {string} id - provider identifier
+* @returns {(Object|null)} provider settings or `null` if no such provider is configured
+*/
+function findProvider( id ) {
+	for ( let i = 0; i < providers.length; i++ ) {
+		if ( providers[ i ].id === id ) {
+			return providers[ i ];
+		}
+	}
+	return null;
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	findProvider,
+	providers
+};
@@ -23,6 +23,7 @@ const passport = require( 'passport' );
 const passportJWT = require( 'passport-jwt' );
 const debug = require( './debug' )( 'server:passport' );
 const User = require( './models/user.js' );
+const resolveAuthSession = require( './utils/resolve_auth_session.js' );
 const { tokens } = require( './credentials.js' );
 
 
@@ -34,23 +35,48 @@ const JwtStrategy = passportJWT.Strategy;
 // JSON Web Token options for user authentication:
 const jwtOptions = {
 	jwtFromRequest: ExtractJwt.fromAuthHeaderWithScheme( 'jwt' ),
-	secretOrKey: tokens.jwtKey
+	secretOrKey: tokens.jwtKey,
+	passReqToCallback: true
 };
 
-const strategy = new JwtStrategy( jwtOptions, function onPayloadReceived( jwtPayload, next ) {
+
+// FUNCTIONS //
+
+/**
+* Verifies that the authentication session of a (signature-checked and unexpired) token has not been revoked and retrieves the corresponding user.
+*
+* ## Notes
+*
+* -   The session is exposed to route handlers as `req.authInfo.session`.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @param {Object} jwtPayload - token payload
+* @param {Function} next - callback to invoke when done
+* @returns {Promise<void>}
+*/
+async function onPayloadReceived( req, jwtPayload, next ) {
 	debug( 'Payload received: ', jwtPayload );
-	User.findOne({ '_id': jwtPayload.id }, function onFindOne( err, user ) {
-		if ( !err ) {
-			next( null, user );
-		} else {
-			next( err, false );
+	try {
+		const session = await resolveAuthSession( jwtPayload, req.ip );
+		if ( !session ) {
+			debug( 'Token belongs to an expired or revoked session...' );
+			return next( null, false );
+		}
+		const user = await User.findOne({ '_id': jwtPayload.id });
+		if ( !user ) {
+			return next( null, false );
 		}
-	});
-});
+		next( null, user, { session });
+	} catch ( err ) {
+		next( err, false );
+	}
+}
 
 
 // MAIN //
 
+const strategy = new JwtStrategy( jwtOptions, onPayloadReceived );
 passport.use( strategy );
 
 
@@ -0,0 +1,512 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MAIN //
+
+/**
+* Catalogue of the named permissions which can be granted via roles.
+*
+* ## Notes
+*
+* -   The `level` of a permission is the most specific context in which it can be granted: permissions of level `lesson` can be granted for single lessons or for all lessons of a namespace, a program or the whole platform, while permissions of level `global` can only be granted globally.
+*/
+const PERMISSIONS = {
+	// Platform administration:
+	manage_users: {
+		level: 'global',
+		description: 'List, create, update, impersonate and delete users and reset their second factors.'
+	},
+	manage_roles: {
+		level: 'global',
+		description: 'Create, update and delete roles and assign them in any context.'
+	},
+	manage_settings: {
+		level: 'global',
+		description: 'Change the platform settings, translations, custom user fields, logo and license.'
+	},
+	manage_lti_platforms: {
+		level: 'global',
+		description: 'Register, update and delete learning management systems connected via LTI.'
+	},
+	manage_mail: {
+		level: 'global',
+		description: 'Inspect and retry outgoing emails and send test emails.'
+	},
+	manage_backups: {
+		level: 'global',
+		description: 'Create, download and delete database backups.'
+	},
+	manage_events: {
+		level: 'global',
+		description: 'Inspect, trigger and delete scheduled events.'
+	},
+	manage_security: {
+		level: 'global',
+		description: 'Inspect and revoke the login sessions of all users and clear login lockouts.'
+	},
+	view_audit_log: {
+		level: 'global',
+		description: 'Inspect and export the audit log.'
+	},
+	view_statistics: {
+		level: 'global',
+		description: 'Inspect usage statistics of the platform and its open rooms.'
+	},
+	view_all_courses: {
+		level: 'global',
+		description: 'List all namespaces, lessons, cohorts and files of the platform.'
+	},
+	manage_tickets: {
+		level: 'global',
+		description: 'List, prioritize and delete the support tickets of all users.'
+	},
+	manage_templates: {
+		level: 'global',
+		description: 'Mark lessons as templates offered to all instructors.'
+	},
+	create_namespace: {
+		level: 'global',
+		description: 'Create new namespaces.'
+	},
+	manage_programs: {
+		level: 'global',
+		description: 'List, create and delete the programs grouping namespaces.'
+	},
+	translate_lesson: {
+		level: 'global',
+		description: 'Translate lessons via the machine translation service.'
+	},
+
+	// Program management:
+	manage_program: {
+		level: 'program',
+		description: 'Change the title, description and administrators of a program, add namespaces to it or remove them and assign roles for it.'
+	},
+	view_program_statistics: {
+		level: 'program',
+		description: 'Inspect usage statistics aggregated across the namespaces of a program.'
+	},
+
+	// Namespace management:
+	update_namespace: {
+		level: 'namespace',
+		description: 'Change the title, description, owners and settings of a namespace, its lesson order and announcements.'
+	},
+	delete_namespace: {
+		level: 'namespace',
+		description: 'Delete a namespace along with its lessons.'
+	},
+	create_lesson: {
+		level: 'namespace',
+		description: 'Upload lessons to a namespace or copy lessons into it.'
+	},
+	manage_cohorts: {
+		level: 'namespace',
+		description: 'Create, update and delete the cohorts of a namespace.'
+	},
+	assign_roles: {
+		level: 'namespace',
+		description: 'Assign roles to users for a namespace or its lessons.'
+	},
+	view_course_tickets: {
+		level: 'namespace',
+		description: 'Inspect the support tickets of a namespace.'
+	},
+	manage_files: {
+		level: 'namespace',
+		description: 'Upload files as owner of a namespace and delete files uploaded by other users.'
+	},
+
+	// Lesson management and teaching:
+	update_lesson: {
+		level: 'lesson',
+		description: 'Upload new versions of a lesson, roll them back and change its settings and visibility.'
+	},
+	delete_lesson: {
+		level: 'lesson',
+		description: 'Delete a lesson.'
+	},
+	view_gradebook: {
+		level: 'lesson',
+		description: 'Inspect and export the grades and grade messages of all students.'
+	},
+	grade_students: {
+		level: 'lesson',
+		description: 'Assign grades, grade messages and progress to students and import grades.'
+	},
+	view_student_data: {
+		level: 'lesson',
+		description: 'Inspect the actions, chats, documents and other data of all students.'
+	},
+	delete_student_data: {
+		level: 'lesson',
+		description: 'Delete actions and other data of students.'
+	},
+	manage_documents: {
+		level: 'lesson',
+		description: 'Restore earlier versions of collaborative documents.'
+	},
+	moderate_meetings: {
+		level: 'lesson',
+		description: 'Moderate lesson rooms (close chats, create groups, remove questions and receive the progress of all members), join video conferences as moderator and share sticky notes and sketchpad data with all students.'
+	}
+};
+
+
+/**
+* Mapping of the HTTP routes of the server to the permissions checked when handling them.
+*
+* ## Notes
+*
+* -   Routes are keyed by HTTP method and path; middleware mounted via `app.use` is keyed by `USE` and its mount path.
+* -   Some routes only check a permission under certain conditions, e.g. when acting on resources of other users; routes with an empty array are public or accessible to all authenticated users.
+*/
+const ROUTE_PERMISSIONS = {
+	// Announcements:
+	'POST /new_announcement': [ 'update_namespace' ],
+	'POST /edit_announcement': [ 'update_namespace' ],
+	'POST /delete_announcement': [ 'update_namespace' ],
+
+	// Audit log:
+	'GET /get_audit_log': [ 'view_audit_log' ],
+	'GET /export_audit_log': [ 'view_audit_log' ],
+
+	// Auth sessions:
+	'GET /get_auth_sessions': [],
+	'POST /revoke_auth_session': [],
+	'POST /revoke_other_auth_sessions': [],
+	'GET /admin_get_auth_sessions': [ 'manage_security' ],
+	'POST /admin_revoke_auth_sessions': [ 'manage_security' ],
+
+	// Backups:
+	'GET /get_backups': [ 'manage_backups' ],
+	'POST /delete_backup': [ 'manage_backups' ],
+	'POST /create_backup': [ 'manage_backups' ],
+
+	// Badges:
+	'GET /get_available_badges': [],
+	'GET /get_user_badges': [],
+
+	// Chats:
+	'GET /get_lesson_chats': [ 'view_student_data' ],
+	'GET /search_chat_messages': [ 'view_student_data' ],
+	'GET /export_chat_messages': [ 'view_student_data' ],
+
+	// Cohorts:
+	'POST /create_cohort': [ 'manage_cohorts' ],
+	'GET /get_enrollable_cohorts': [],
+	'GET /get_cohorts': [ 'view_student_data' ],
+	'GET /get_all_cohorts': [ 'view_all_courses' ],
+	'POST /delete_cohort': [ 'manage_cohorts' ],
+	'POST /add_to_cohort': [],
+	'POST /update_cohort': [ 'manage_cohorts' ],
+
+	// Custom fields:
+	'GET /get_custom_fields': [],
+	'POST /create_custom_field': [ 'manage_settings' ],
+	'POST /delete_custom_field': [ 'manage_settings' ],
+	'POST /increment_field_position': [ 'manage_settings' ],
+	'POST /decrement_field_position': [ 'manage_settings' ],
+
+	// API documentation:
+	'GET /docs/swagger.json': [],
+	'GET /docs': [],
+
+	// Events:
+	'GET /get_events': [ 'manage_events' ],
+	'POST /delete_event': [ 'manage_events' ],
+	'POST /trigger_event': [ 'manage_events' ],
+
+	// Files:
+	'GET /get_files': [],
+	'GET /get_all_files': [ 'view_all_courses' ],
+	'GET /get_user_files': [],
+	'POST /upload_file': [ 'manage_files' ],
+	'POST /delete_file': [ 'manage_files' ],
+	'POST /upload_logo': [ 'manage_settings' ],
+
+	// Grades:
+	'GET /get_gradebook': [ 'view_gradebook' ],
+	'POST /update_gradebook_categories': [ 'grade_students' ],
+	'GET /export_gradebook': [ 'view_gradebook' ],
+	'POST /import_gradebook': [ 'grade_students' ],
+	'GET /get_grade': [ 'view_gradebook' ],
+
+	// Server:
+	'GET /ping': [],
+	'GET /socket.io-admin': [ 'manage_settings' ],
+	'GET /version': [],
+	'GET /robots.txt': [],
+	'GET /favicon.ico': [],
+	'USE /logs/': [ 'manage_settings' ],
+	'GET /': [],
+
+	// Lessons:
+	'POST /create_lesson': [ 'create_lesson', 'update_lesson' ],
+	'POST /rollback_lesson': [ 'update_lesson' ],
+	'POST /delete_lesson': [ 'delete_lesson' ],
+	'POST /update_lesson': [ 'update_lesson', 'manage_templates' ],
+	'GET /get_lesson_info': [],
+	'POST /update_metadata': [ 'update_lesson' ],
+	'GET /get_lesson': [],
+	'GET /get_public_lessons': [],
+	'GET /get_isle_file': [],
+	'GET /get_lessons': [],
+	'GET /get_all_lessons': [ 'view_all_courses' ],
+	'GET /get_template_lessons': [],
+	'POST /translate_lesson': [ 'translate_lesson' ],
+	'POST /activate_lesson': [ 'update_lesson' ],
+	'POST /deactivate_lesson': [ 'update_lesson' ],
+	'POST /show_lesson': [ 'update_lesson' ],
+	'POST /hide_lesson': [ 'update_lesson' ],
+	'POST /copy_lesson': [ 'create_lesson', 'update_lesson' ],
+	'POST /copy_namespace_lessons': [ 'update_lesson', 'create_lesson' ],
+	'GET /get_lesson_grades': [ 'view_gradebook' ],
+	'GET /get_lesson_grade_messages': [ 'view_gradebook' ],
+	'GET /get_open_rooms': [ 'view_statistics' ],
+
+	// License:
+	'GET /get_license': [ 'manage_settings' ],
+	'POST /remove_license': [ 'manage_settings' ],
+	'POST /upload_license': [ 'manage_settings' ],
+
+	// Login:
+	'POST /login': [],
+	'POST /ensure_session': [],
+	'POST /refresh_token': [],
+	'POST /invalidate_session': [],
+	'POST /credentials': [],
+	'POST /credentials_dashboard': [],
+	'POST /complete_registration': [],
+	'POST /resend_confirm_email': [],
+	'POST /confirm_email': [],
+	'GET /forgot_password': [],
+
+	// Login lockouts:
+	'GET /admin_get_login_lockouts': [ 'manage_security' ],
+	'POST /admin_clear_login_lockout': [ 'manage_security' ],
+	'GET /admin_get_login_attempts': [ 'manage_security' ],
+
+	// LTI:
+	'GET /lti/jwks': [],
+	'GET /lti/login': [],
+	'POST /lti/login': [],
+	'POST /lti/launch': [],
+	'POST /lti/deep_link': [],
+	'GET /admin_get_lti_platforms': [ 'manage_lti_platforms' ],
+	'POST /admin_create_lti_platform': [ 'manage_lti_platforms' ],
+	'POST /admin_update_lti_platform': [ 'manage_lti_platforms' ],
+	'POST /admin_rotate_lti_platform_key': [ 'manage_lti_platforms' ],
+	'POST /admin_delete_lti_platform': [ 'manage_lti_platforms' ],
+
+	// Mail:
+	'POST /send_mail': [],
+	'GET /admin_get_outgoing_mails': [ 'manage_mail' ],
+	'POST /admin_retry_outgoing_mail': [ 'manage_mail' ],
+	'POST /admin_send_test_mail': [ 'manage_mail' ],
+
+	// Media:
+	'GET /get_file_url': [ 'manage_files', 'view_student_data', 'manage_tickets', 'view_course_tickets' ],
+	'GET /backups/:filename': [ 'manage_backups' ],
+	'GET /attachments/:filename': [ 'manage_tickets', 'view_course_tickets' ],
+	'GET /files/:filename': [ 'manage_files', 'view_student_data' ],
+	'GET /:filename': [ 'manage_files', 'view_student_data' ],
+
+	// Namespaces:
+	'POST /create_namespace': [ 'create_namespace' ],
+	'POST /delete_namespace': [ 'delete_namespace' ],
+	'POST /update_namespace': [ 'update_namespace' ],
+	'GET /get_namespaces': [],
+	'GET /get_all_namespaces': [ 'view_all_courses' ],
+	'POST /set_lesson_order': [ 'update_namespace' ],
+
+	// OpenID Connect:
+	'GET /oidc/providers': [],
+	'GET /oidc/login': [],
+	'GET /oidc/callback': [],
+	'POST /oidc/exchange_code': [],
+
+	// Programs:
+	'POST /create_program': [ 'manage_programs' ],
+	'GET /get_programs': [],
+	'GET /get_all_programs': [ 'manage_programs' ],
+	'POST /update_program': [ 'manage_program' ],
+	'POST /delete_program': [ 'manage_programs' ],
+	'POST /add_program_namespace': [ 'manage_program', 'update_namespace' ],
+	'POST /remove_program_namespace': [ 'manage_program', 'update_namespace' ],
+	'GET /get_program_statistics': [ 'view_program_statistics' ],
+
+	// Roles:
+	'GET /get_all_roles': [ 'manage_roles' ],
+	'POST /create_role': [ 'manage_roles' ],
+	'POST /update_role': [ 'manage_roles' ],
+	'POST /delete_role': [ 'manage_roles' ],
+	'POST /assign_global_role': [ 'manage_roles' ],
+	'POST /assign_lesson_role': [ 'assign_roles' ],
+	'POST /assign_namespace_role': [ 'assign_roles' ],
+	'POST /assign_program_role': [ 'manage_program' ],
+	'GET /get_effective_permissions': [ 'manage_roles' ],
+	'GET /get_route_permissions': [ 'manage_roles' ],
+
+	// Services:
+	'GET /get_jitsi_token': [ 'moderate_meetings' ],
+	'GET /github_oauth_url': [],
+	'POST /github_access_token': [],
+	'GET /weather': [],
+
+	// Sessiondata:
+	'POST /store_session_element': [],
+	'GET /delete_session_element': [ 'delete_student_data' ],
+	'POST /get_user_actions': [ 'view_student_data' ],
+	'GET /get_namespace_actions': [ 'view_student_data' ],
+	'GET /export_session_data': [ 'view_student_data' ],
+	'POST /retrieve_data': [ 'view_student_data' ],
+	'GET /get_lesson_component_summary': [ 'view_student_data' ],
+	'GET /get_component_statistics': [ 'view_student_data' ],
+
+	// Settings:
+	'GET /get_settings': [],
+	'GET /get_public_settings': [],
+	'GET /get_lesson_settings': [],
+	'GET /get_translations': [],
+	'POST /update_settings': [ 'manage_settings' ],
+	'POST /add_custom_translation': [ 'manage_settings' ],
+	'POST /remove_custom_translation': [ 'manage_settings' ],
+
+	// Sketchpad:
+	'GET /get_sketchpad_shared_data': [],
+	'GET /get_sketchpad_user_data': [ 'moderate_meetings' ],
+	'POST /save_sketchpad_data': [ 'moderate_meetings' ],
+
+	// Statistics:
+	'GET /admin_overview_statistics': [ 'view_statistics' ],
+	'GET /admin_historical_overview_statistics': [ 'view_statistics' ],
+	'GET /admin_request_statistics': [ 'view_statistics' ],
+
+	// Sticky notes:
+	'GET /get_sticky_notes': [ 'moderate_meetings' ],
+	'POST /save_sticky_note': [],
+	'POST /update_sticky_note': [ 'moderate_meetings' ],
+	'POST /delete_sticky_note': [ 'moderate_meetings' ],
+
+	// Storage:
+	'GET /get_storage_usage': [],
+	'GET /get_namespace_storage_usage': [ 'manage_files' ],
+	'GET /get_storage_report': [ 'view_statistics' ],
+
+	// Text editor document:
+	'GET /text_editor_document_list': [ 'view_student_data' ],
+	'GET /text_editor_document': [ 'view_student_data' ],
+	'GET /text_editor_document_contributions': [ 'view_student_data' ],
+	'GET /text_editor_document_history': [ 'view_student_data' ],
+	'GET /text_editor_document_version': [ 'view_student_data' ],
+	'POST /restore_text_editor_document': [ 'manage_documents' ],
+	'GET /text_editor_document/export': [ 'view_student_data' ],
+	'GET /text_editor_document_lesson_export': [ 'view_student_data' ],
+
+	// Tickets:
+	'POST /create_ticket': [],
+	'GET /get_all_tickets': [ 'manage_tickets' ],
+	'GET /get_course_tickets': [ 'view_course_tickets' ],
+	'GET /get_user_tickets': [],
+	'POST /delete_ticket': [ 'manage_tickets' ],
+	'POST /update_ticket_priority': [ 'manage_tickets' ],
+	'POST /add_ticket_message': [],
+	'POST /open_ticket': [],
+	'POST /close_ticket': [],
+
+	// Two factor authentication:
+	'GET /get_tfa_qrcode': [],
+	'POST /enable_tfa': [],
+	'POST /disable_tfa': [],
+	'POST /login_tfa': [],
+	'POST /generate_recovery_codes': [],
+	'GET /get_recovery_codes_status': [],
+	'POST /login_recovery_code': [],
+	'POST /admin_reset_second_factors': [ 'manage_users' ],
+
+	// Users:
+	'POST /create_user': [ 'manage_users' ],
+	'GET /get_users': [ 'manage_users' ],
+	'POST /delete_user': [ 'manage_users' ],
+	'POST /update_user_session': [],
+	'GET /user_update_check': [],
+	'POST /user_adjust_progress': [ 'grade_students' ],
+	'POST /user_adjust_grades': [ 'grade_students' ],
+	'POST /user_append_grade_message': [ 'grade_students' ],
+	'POST /sanitize_user': [],
+	'POST /update_user': [],
+	'POST /admin_update_user': [ 'manage_users' ],
+	'POST /update_user_password': [],
+	'POST /get_user_rights': [],
+	'GET /has_write_access': [],
+	'POST /set_write_access': [],
+	'GET /get_fake_users': [ 'view_student_data' ],
+	'POST /get_current_user_actions': [],
+	'POST /upload_profile_pic': [],
+	'POST /upload_thumbnail_pic': [],
+	'POST /impersonate': [ 'manage_users' ],
+
+	// WebAuthn:
+	'GET /webauthn/credentials': [],
+	'POST /webauthn/registration_options': [],
+	'POST /webauthn/register': [],
+	'POST /webauthn/rename_credential': [],
+	'POST /webauthn/delete_credential': [],
+	'POST /webauthn/login_options': [],
+	'POST /login_webauthn': []
+};
+
+
+/**
+* Mapping of the socket events handled by the server to the permissions checked when handling them.
+*
+* ## Notes
+*
+* -   When joining the room of a lesson, users holding the `moderate_meetings` permission become moderators of the room; the events guarded by the permission are ignored for other members.
+*/
+const SOCKET_EVENT_PERMISSIONS = {
+	'join': [ 'moderate_meetings' ],
+	'progress': [],
+	'event': [],
+	'join_chat': [],
+	'load_chat_history': [],
+	'chat_invitation': [],
+	'leave_chat': [],
+	'close_chat': [ 'moderate_meetings' ],
+	'chat_message': [],
+	'video_invitation': [],
+	'create_groups': [ 'moderate_meetings' ],
+	'delete_groups': [ 'moderate_meetings' ],
+	'add_question': [],
+	'remove_question': [ 'moderate_meetings' ],
+	'join_collaborative_editing': [],
+	'send_collaborative_editing_events': [],
+	'poll_collaborative_editing_events': [],
+	'leave': []
+};
+
+
+// EXPORTS //
+
+module.exports = {
+	PERMISSIONS,
+	ROUTE_PERMISSIONS,
+	SOCKET_EVENT_PERMISSIONS
+};
@@ -0,0 +1,101 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const objectKeys = require( '@stdlib/utils/keys' );
+const { PERMISSIONS } = require( './catalogue.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a permission map granting all permissions of the specified levels.
+*
+* @private
+* @param {Array<string>} levels - permission levels
+* @returns {Object} permission map
+*/
+function grantLevels( levels ) {
+	const out = {};
+	const names = objectKeys( PERMISSIONS );
+	for ( let i = 0; i < names.length; i++ ) {
+		if ( levels.includes( PERMISSIONS[ names[ i ] ].level ) ) {
+			out[ names[ i ] ] = true;
+		}
+	}
+	return out;
+}
+
+
+// MAIN //
+
+/**
+* Built-in roles reproducing the access rights of administrators, instructors (users with write access), program administrators and namespace owners.
+*
+* ## Notes
+*
+* -   Administrators, instructors, program administrators and namespace owners implicitly hold the `administrator`, `instructor`, `program-administrator` and `owner` roles (in the global context and the context of their programs and namespaces, respectively), so that these roles need not be assigned explicitly.
+* -   The `teaching-assistant` role is not held implicitly; it can be assigned to users for a namespace or lesson to let them grade students without owning the namespace.
+*/
+const DEFAULT_ROLES = [
+	{
+		builtIn: 'administrator',
+		title: 'Administrator',
+		searchContext: 'global',
+		permissions: grantLevels([ 'global', 'program', 'namespace', 'lesson' ])
+	},
+	{
+		builtIn: 'instructor',
+		title: 'Instructor',
+		searchContext: 'global',
+		permissions: {
+			create_namespace: true,
+			translate_lesson: true
+		}
+	},
+	{
+		builtIn: 'program-administrator',
+		title: 'Program Administrator',
+		searchContext: 'program',
+		permissions: grantLevels([ 'program', 'namespace', 'lesson' ])
+	},
+	{
+		builtIn: 'owner',
+		title: 'Owner',
+		searchContext: 'course',
+		permissions: grantLevels([ 'namespace', 'lesson' ])
+	},
+	{
+		builtIn: 'teaching-assistant',
+		title: 'Teaching Assistant',
+		searchContext: 'course',
+		permissions: {
+			view_gradebook: true,
+			grade_students: true,
+			view_student_data: true,
+			view_course_tickets: true
+		}
+	}
+];
+
+
+// EXPORTS //
+
+module.exports = DEFAULT_ROLES;
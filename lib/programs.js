@@ -0,0 +1,667 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: Programs
+ *   description: Program management (programs group the namespaces of e.g. a department or degree program).
+ */
+
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const trim = require( '@stdlib/string/trim' );
+const pick = require( '@stdlib/utils/pick' );
+const isValidObjectId = require( 'mongoose' ).Types.ObjectId.isValid;
+const debug = require( './debug' )( 'server:programs' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const recordAuditLog = require( './utils/record_audit_log.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const { checkPermissions, hasPermission } = require( './helpers/check_permissions.js' );
+const validateString = require( './helpers/validate_string.js' );
+const validateStringArray = require( './helpers/validate_string_array.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
+const Program = require( './models/program.js' );
+const Namespace = require( './models/namespace.js' );
+const Lesson = require( './models/lesson.js' );
+const Cohort = require( './models/cohort.js' );
+const SessionData = require( './models/session_data.js' );
+const User = require( './models/user.js' );
+
+
+// VARIABLES //
+
+const AUDITED_PROGRAM_FIELDS = [ 'title', 'description', 'administrators' ];
+const ADMINISTRATOR_FIELDS = [ 'firstName', 'lastName', 'preferredName', 'name', 'email', 'picture' ];
+
+
+// FUNCTIONS //
+
+/**
+* Returns the users with the specified email addresses.
+*
+* @private
+* @param {Array<string>} emails - email addresses
+* @returns {Promise<Array<Object>>} user documents
+*/
+function findUsersByEmail( emails ) {
+	return User.find({ email: emails.map( x => trim( x ) ) });
+}
+
+/**
+* Returns programs along with their administrators and namespaces.
+*
+* @private
+* @param {Object} query - program query
+* @returns {Promise<Array<Object>>} programs
+*/
+async function findPrograms( query ) {
+	const programs = await Program
+		.find( query )
+		.populate( 'administrators', ADMINISTRATOR_FIELDS )
+		.lean();
+	const namespaces = await Namespace
+		.find({ program: { $in: programs.map( x => x._id ) }}, { title: 1, description: 1, program: 1 })
+		.lean();
+	for ( let i = 0; i < programs.length; i++ ) {
+		const id = String( programs[ i ]._id );
+		programs[ i ].namespaces = namespaces.filter( x => String( x.program ) === id );
+	}
+	return programs;
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /create_program:
+ *   post:
+ *     summary: Create program
+ *     description: Create a program grouping namespaces.
+ *     tags: [Programs]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 description: Title of the program.
+ *                 example: MS Statistics
+ *               description:
+ *                 type: string
+ *                 description: Description of the program.
+ *                 example: Master of Science in Statistics
+ *               administrators:
+ *                 type: array
+ *                 description: Email addresses of the users administering the program.
+ *                 items:
+ *                   type: string
+ *                 example: [ 'jane.doe@isledocs.com' ]
+ *     responses:
+ *       200:
+ *         description: Program created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Program successfully created.
+ *                 program:
+ *                   $ref: '#/components/schemas/Program'
+ *       403:
+ *         description: Access denied for users lacking the `manage_programs` permission
+ *       409:
+ *         description: A program with the given title already exists
+ */
+router.post( '/create_program',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onCreateProgram( req, res ) {
+		const { title, description = '', administrators = []} = req.body;
+
+		await validatePermissions( req, 'manage_programs' );
+		validateString( title, 'title', req.t );
+		validateString( description, 'description', req.t );
+		validateStringArray( administrators, 'administrators', req.t );
+
+		const exists = await Program.exists({ title });
+		if ( exists ) {
+			throw new ErrorStatus( 409, req.t( 'program-already-exists' ) );
+		}
+		const users = await findUsersByEmail( administrators );
+		const program = await Program.create({
+			title,
+			description,
+			administrators: users.map( x => x._id ),
+			createdBy: req.user
+		});
+		debug( `Created program ${program.title} with ${users.length} administrators...` );
+		await recordAuditLog( req, {
+			action: 'create_program',
+			targetType: 'program',
+			target: program._id,
+			after: pick( program.toObject(), AUDITED_PROGRAM_FIELDS )
+		});
+		res.json({
+			message: req.t( 'program-created' ),
+			program
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_programs:
+ *   get:
+ *     summary: Get programs
+ *     description: Get the programs administered by the user or for which the user has been assigned a role, along with their namespaces.
+ *     tags: [Programs]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'ok'
+ *                 programs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Program'
+ */
+router.get( '/get_programs',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetPrograms( req, res ) {
+		const assigned = ( req.user.roles && req.user.roles.program ) || [];
+		const programs = await findPrograms({
+			$or: [
+				{ administrators: req.user._id },
+				{ _id: { $in: assigned.map( x => x.context ).filter( isValidObjectId ) }}
+			]
+		});
+		res.json({ message: 'ok', programs });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_all_programs:
+ *   get:
+ *     summary: Get all programs
+ *     description: Get all programs along with their namespaces.
+ *     tags: [Programs]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'ok'
+ *                 programs:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Program'
+ *       403:
+ *         description: Access denied for users lacking the `manage_programs` permission
+ */
+router.get( '/get_all_programs',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetAllPrograms( req, res ) {
+		await validatePermissions( req, 'manage_programs' );
+		const programs = await findPrograms({});
+		res.json({ message: 'ok', programs });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /update_program:
+ *   post:
+ *     summary: Update program
+ *     description: Update the title, description or administrators of a program.
+ *     tags: [Programs]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - programID
+ *             properties:
+ *               programID:
+ *                 type: ObjectId
+ *                 description: ID of the program
+ *                 example: 5c9d8f9f8f9f9f9f9f9f9f9
+ *               title:
+ *                 type: string
+ *                 description: New title of the program.
+ *                 example: MS Statistics
+ *               description:
+ *                 type: string
+ *                 description: New description of the program.
+ *                 example: Master of Science in Statistics
+ *               administrators:
+ *                 type: array
+ *                 description: Email addresses of the users administering the program.
+ *                 items:
+ *                   type: string
+ *                 example: [ 'jane.doe@isledocs.com' ]
+ *     responses:
+ *       200:
+ *         description: Program updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Program successfully updated.
+ *                 program:
+ *                   $ref: '#/components/schemas/Program'
+ *       403:
+ *         description: Access denied for users lacking the `manage_program` permission for the program
+ *       404:
+ *         description: Program not found
+ *       409:
+ *         description: A program with the given title already exists
+ */
+router.post( '/update_program',
+	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'manage_program' ),
+	wrapAsync( async function onUpdateProgram( req, res ) {
+		const { programID, title, description, administrators } = req.body;
+
+		validateObjectId( programID, 'programID', req.t );
+		const program = await Program.findById( programID );
+		if ( !program ) {
+			throw new ErrorStatus( 404, req.t( 'program-nonexistent' ) );
+		}
+		const before = pick( program.toObject(), AUDITED_PROGRAM_FIELDS );
+		if ( title !== void 0 && title !== program.title ) {
+			validateString( title, 'title', req.t );
+			const exists = await Program.exists({ title });
+			if ( exists ) {
+				throw new ErrorStatus( 409, req.t( 'program-already-exists' ) );
+			}
+			program.title = title;
+		}
+		if ( description !== void 0 ) {
+			validateString( description, 'description', req.t );
+			program.description = description;
+		}
+		if ( administrators !== void 0 ) {
+			validateStringArray( administrators, 'administrators', req.t );
+			const users = await findUsersByEmail( administrators );
+			program.administrators = users.map( x => x._id );
+		}
+		await program.save();
+		await recordAuditLog( req, {
+			action: 'update_program',
+			targetType: 'program',
+			target: program._id,
+			before,
+			after: pick( program.toObject(), AUDITED_PROGRAM_FIELDS )
+		});
+		res.json({
+			message: req.t( 'program-updated' ),
+			program
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /delete_program:
+ *   post:
+ *     summary: Delete program
+ *     description: Delete a program. Its namespaces are kept but no longer belong to a program, and roles assigned for the program are revoked.
+ *     tags: [Programs]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - programID
+ *             properties:
+ *               programID:
+ *                 type: ObjectId
+ *                 description: ID of the program
+ *                 example: 5c9d8f9f8f9f9f9f9f9f9f9
+ *     responses:
+ *       200:
+ *         description: Program deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Program successfully deleted.
+ *       403:
+ *         description: Access denied for users lacking the `manage_programs` permission
+ *       404:
+ *         description: Program not found
+ */
+router.post( '/delete_program',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onDeleteProgram( req, res ) {
+		const { programID } = req.body;
+
+		await validatePermissions( req, 'manage_programs' );
+		validateObjectId( programID, 'programID', req.t );
+		const program = await Program.findOneAndDelete({ _id: programID });
+		if ( !program ) {
+			throw new ErrorStatus( 404, req.t( 'program-nonexistent' ) );
+		}
+		await Namespace.updateMany({ program: program._id }, { $set: { program: null }});
+		await User.updateMany(
+			{ 'roles.program.context': String( program._id ) },
+			{ $pull: { 'roles.program': { context: String( program._id ) }}}
+		);
+		await recordAuditLog( req, {
+			action: 'delete_program',
+			targetType: 'program',
+			target: program._id,
+			before: pick( program.toObject(), AUDITED_PROGRAM_FIELDS )
+		});
+		res.json({ message: req.t( 'program-deleted' ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /add_program_namespace:
+ *   post:
+ *     summary: Add namespace to program
+ *     description: Add a namespace to a program, making the administrators of the program administrators of the namespace.
+ *     tags: [Programs]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - programID
+ *               - namespaceID
+ *             properties:
+ *               programID:
+ *                 type: ObjectId
+ *                 description: ID of the program
+ *                 example: 5c9d8f9f8f9f9f9f9f9f9f9
+ *               namespaceID:
+ *                 type: ObjectId
+ *                 description: ID of the namespace
+ *                 example: 5c9d8f9f8f9f9f9f9f9f9f8
+ *     responses:
+ *       200:
+ *         description: Namespace added to the program
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Namespace successfully added to the program.
+ *       403:
+ *         description: Access denied for users lacking the `manage_program` permission for the program or the `update_namespace` permission for the namespace
+ *       404:
+ *         description: Program or namespace not found
+ *       409:
+ *         description: Namespace already belongs to another program
+ */
+router.post( '/add_program_namespace',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onAddProgramNamespace( req, res ) {
+		const { programID, namespaceID } = req.body;
+
+		validateObjectId( programID, 'programID', req.t );
+		validateObjectId( namespaceID, 'namespaceID', req.t );
+		const program = await Program.findById( programID );
+		if ( !program ) {
+			throw new ErrorStatus( 404, req.t( 'program-nonexistent' ) );
+		}
+		const namespace = await Namespace.findById( namespaceID );
+		if ( !namespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		await validatePermissions( req, 'manage_program', { program });
+		await validatePermissions( req, 'update_namespace', { namespace });
+		if ( namespace.program && !namespace.program.equals( program._id ) ) {
+			throw new ErrorStatus( 409, req.t( 'namespace-in-other-program' ) );
+		}
+		const before = { program: namespace.program };
+		namespace.program = program._id;
+		await namespace.save();
+		await recordAuditLog( req, {
+			action: 'add_program_namespace',
+			targetType: 'namespace',
+			target: namespace._id,
+			before,
+			after: { program: program._id }
+		});
+		res.json({ message: req.t( 'program-namespace-added' ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /remove_program_namespace:
+ *   post:
+ *     summary: Remove namespace from program
+ *     description: Remove a namespace from its program.
+ *     tags: [Programs]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - namespaceID
+ *             properties:
+ *               namespaceID:
+ *                 type: ObjectId
+ *                 description: ID of the namespace
+ *                 example: 5c9d8f9f8f9f9f9f9f9f9f8
+ *     responses:
+ *       200:
+ *         description: Namespace removed from its program
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Namespace successfully removed from the program.
+ *       403:
+ *         description: Access denied for users lacking both the `manage_program` permission for the program and the `update_namespace` permission for the namespace
+ *       404:
+ *         description: Namespace not found
+ */
+router.post( '/remove_program_namespace',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRemoveProgramNamespace( req, res ) {
+		const { namespaceID } = req.body;
+
+		validateObjectId( namespaceID, 'namespaceID', req.t );
+		const namespace = await Namespace.findById( namespaceID );
+		if ( !namespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		if ( !namespace.program ) {
+			return res.json({ message: req.t( 'program-namespace-removed' ) });
+		}
+		// Both program administrators and namespace owners may remove a namespace from its program:
+		const manager = await hasPermission( req.user, 'manage_program', { program: namespace.program });
+		if ( !manager ) {
+			await validatePermissions( req, 'update_namespace', { namespace });
+		}
+		const program = namespace.program;
+		namespace.program = null;
+		await namespace.save();
+		await recordAuditLog( req, {
+			action: 'remove_program_namespace',
+			targetType: 'namespace',
+			target: namespace._id,
+			before: { program },
+			after: { program: null }
+		});
+		res.json({ message: req.t( 'program-namespace-removed' ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_program_statistics:
+ *   get:
+ *     summary: Get program statistics
+ *     description: Get usage statistics aggregated across the namespaces of a program along with a breakdown by namespace.
+ *     tags: [Programs]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: programID
+ *         schema:
+ *           type: ObjectId
+ *         required: true
+ *         description: ID of the program
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'ok'
+ *                 statistics:
+ *                   type: object
+ *                   description: Number of namespaces, lessons, cohorts, distinct students and recorded actions of the program
+ *                   example: { "nNamespaces": 2, "nLessons": 24, "nCohorts": 3, "nStudents": 120, "nActions": 5310 }
+ *                 namespaces:
+ *                   type: array
+ *                   description: Statistics of each namespace of the program
+ *                   items:
+ *                     type: object
+ *                   example: [ { "_id": "5c9d8f9f8f9f9f9f9f9f9f8", "title": "36-200", "nLessons": 12, "nCohorts": 2, "nStudents": 80, "nActions": 3200 } ]
+ *       403:
+ *         description: Access denied for users lacking the `view_program_statistics` permission for the program
+ *       404:
+ *         description: Program not found
+ */
+router.get( '/get_program_statistics',
+	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'view_program_statistics' ),
+	wrapAsync( async function onGetProgramStatistics( req, res ) {
+		const { program } = req.context;
+		if ( !program ) {
+			throw new ErrorStatus( 404, req.t( 'program-nonexistent' ) );
+		}
+		const namespaces = await Namespace.find({ program: program._id }, { title: 1 }).lean();
+		const students = new Set();
+		const statistics = {
+			nNamespaces: namespaces.length,
+			nLessons: 0,
+			nCohorts: 0,
+			nStudents: 0,
+			nActions: 0
+		};
+		for ( let i = 0; i < namespaces.length; i++ ) {
+			const namespace = namespaces[ i ];
+			const lessons = await Lesson.find({ namespace: namespace._id }, { _id: 1 }).lean();
+			const cohorts = await Cohort.find({ namespace: namespace._id }, { members: 1 }).lean();
+			const members = new Set();
+			for ( let j = 0; j < cohorts.length; j++ ) {
+				for ( let k = 0; k < cohorts[ j ].members.length; k++ ) {
+					const id = String( cohorts[ j ].members[ k ] );
+					members.add( id );
+					students.add( id );
+				}
+			}
+			namespace.nLessons = lessons.length;
+			namespace.nCohorts = cohorts.length;
+			namespace.nStudents = members.size;
+			namespace.nActions = await SessionData.countDocuments({
+				lesson: { $in: lessons.map( x => x._id ) }
+			});
+			statistics.nLessons += namespace.nLessons;
+			statistics.nCohorts += namespace.nCohorts;
+			statistics.nActions += namespace.nActions;
+		}
+		statistics.nStudents = students.size;
+		res.json({ message: 'ok', statistics, namespaces });
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
@@ -28,17 +28,45 @@
 // MODULES //
 
 const router = require( 'express' ).Router();
+const pick = require( '@stdlib/utils/pick' );
+const objectKeys = require( '@stdlib/utils/keys' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
+const recordAuditLog = require( './utils/record_audit_log.js' );
 const ErrorStatus = require( './helpers/error.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
-const validateOwner = require( './helpers/validate_owner.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const { checkPermissions, explainPermissions, hasPermission, resolveContext, updateRolesHash } = require( './helpers/check_permissions.js' );
 const validateString = require( './helpers/validate_string.js' );
 const validateObject = require( './helpers/validate_object.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const validateObjectIdArray = require('./helpers/validate_object_id_array.js');
 const Role = require( './models/role.js' );
 const User = require( './models/user.js' );
+const { PERMISSIONS, ROUTE_PERMISSIONS, SOCKET_EVENT_PERMISSIONS } = require( './permissions/catalogue.js' );
+
+
+// VARIABLES //
+
+const AUDITED_ROLE_FIELDS = [ 'title', 'searchContext', 'authorizedRoles', 'permissions' ];
+
+
+// FUNCTIONS //
+
+/**
+* Validates that a permission map only grants or denies permissions from the catalogue.
+*
+* @private
+* @param {Object} permissions - object mapping permission names to booleans
+* @param {Function} t - translation function
+* @throws {Error} error if the map contains an unknown permission or a non-boolean value
+*/
+function validateRolePermissions( permissions, t ) {
+	for ( const key in permissions ) {
+		if ( !PERMISSIONS[ key ] || typeof permissions[ key ] !== 'boolean' ) {
+			throw new ErrorStatus( 400, t( 'role-permission-invalid', { permission: key }) );
+		}
+	}
+}
 
 
 // MAIN //
@@ -71,12 +99,12 @@ const User = require( './models/user.js' );
  *                   description: Success message
  *                   example: 'ok'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_roles` permission
  */
 router.get( '/get_all_roles',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onRequest( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_roles' );
 		const roles = await Role
 			.find({})
 			.populate( 'authorizedRoles', [ 'title' ] )
@@ -124,8 +152,8 @@ router.get( '/get_all_roles',
  *                   type: ObjectId
  *               permissions:
  *                 type: object
- *                 description: Permissions associated with the role
- *                 example: { "create": true, "read": true, "update": true, "delete": true }
+ *                 description: Object mapping permission names from the catalogue to `true` (grant) or `false` (deny)
+ *                 example: { "view_gradebook": true, "grade_students": true }
  *     responses:
  *       200:
  *         description: Success
@@ -147,10 +175,12 @@ router.post( '/create_role',
 	wrapAsync( async function onCreate( req, res ) {
 		const { title, authorizedRoles, searchContext, permissions } = req.body;
 
+		await validatePermissions( req, 'manage_roles' );
 		validateString( title, 'title', req.t );
 		validateString( searchContext, 'searchContext', req.t );
 		validateObjectIdArray( authorizedRoles, 'authorizedRoles', req.t );
 		validateObject( permissions, 'permissions', req.t );
+		validateRolePermissions( permissions, req.t );
 
 		const role = new Role({
 			title,
@@ -160,6 +190,13 @@ router.post( '/create_role',
 			createdBy: req.user
 		});
 		await role.save();
+		updateRolesHash();
+		await recordAuditLog( req, {
+			action: 'create_role',
+			targetType: 'role',
+			target: role._id,
+			after: pick( role.toObject(), AUDITED_ROLE_FIELDS )
+		});
 		res.json({
 			message: req.t( 'role-created' ),
 			role
@@ -205,8 +242,8 @@ router.post( '/create_role',
  *                   type: ObjectId
  *               permissions:
  *                 type: object
- *                 description: Permissions associated with the role
- *                 example: { "create": true, "read": true, "update": true, "delete": true }
+ *                 description: Object mapping permission names from the catalogue to `true` (grant) or `false` (deny)
+ *                 example: { "view_gradebook": true, "grade_students": true }
  *     responses:
  *       200:
  *         description: Success
@@ -231,24 +268,19 @@ router.post( '/update_role',
 		validateObjectId( id, 'id', req.t );
 		const role = await Role.findById( id );
 
-		if ( !req.user.administrator ) {
-			if ( !req.user.roles ) {
-				throw new ErrorStatus( 403, req.t( 'access-denied' ) );
-			}
-			// Check whether user is authorized to edit the role:
-			const rolesToCheck = req.user.roles.global;
-			let authorized = false;
-			for ( let i = 0; i < rolesToCheck.length; i++ ) {
-				for ( let j = 0; j < authorizedRoles.length; j++ ) {
-					if ( rolesToCheck[ i ] === authorizedRoles[ j ] ) {
-						authorized = true;
-					}
-				}
-			}
+		if ( !role ) {
+			throw new ErrorStatus( 404, req.t( 'role-nonexistent' ) );
+		}
+		const canManage = await hasPermission( req.user, 'manage_roles' );
+		if ( !canManage ) {
+			// Check whether user holds one of the roles authorized to edit the role:
+			const held = ( ( req.user.roles && req.user.roles.global ) || [] ).map( x => String( x.role ) );
+			const authorized = role.authorizedRoles.some( x => held.includes( String( x ) ) );
 			if ( !authorized ) {
-				throw new ErrorStatus( 403, req.t( 'access-denied' ) );
+				throw new ErrorStatus( 403, req.t( 'access-denied-no-permission', { permission: 'manage_roles' }) );
 			}
 		}
+		const before = pick( role.toObject(), AUDITED_ROLE_FIELDS );
 		if ( title ) {
 			validateString( title, 'title', req.t );
 			role.title = title;
@@ -263,9 +295,18 @@ router.post( '/update_role',
 		}
 		if ( permissions ) {
 			validateObject( permissions, 'permissions', req.t );
+			validateRolePermissions( permissions, req.t );
 			role.permissions = permissions;
 		}
 		await role.save();
+		updateRolesHash();
+		await recordAuditLog( req, {
+			action: 'update_role',
+			targetType: 'role',
+			target: role._id,
+			before,
+			after: pick( role.toObject(), AUDITED_ROLE_FIELDS )
+		});
 		res.json({
 			message: req.t( 'role-updated' ),
 			role
@@ -279,7 +320,7 @@ router.post( '/update_role',
  * /delete_role:
  *   post:
  *     summary: Delete role
- *     description: Delete a role.
+ *     description: Delete a role. Built-in roles cannot be deleted.
  *     tags: [Roles]
  *     security:
  *       - JWT: []
@@ -308,15 +349,28 @@ router.post( '/update_role',
  *                   description: Success message
  *                   example: 'Role successfully deleted'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_roles` permission or when attempting to delete a built-in role
  */
 router.post( '/delete_role',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onDelete( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_roles' );
 		validateObjectId( req.body.id, 'id', req.t );
 
-		await Role.deleteOne({ _id: req.body.id });
+		const existing = await Role.findById( req.body.id, { builtIn: 1 });
+		if ( existing && existing.builtIn ) {
+			throw new ErrorStatus( 403, req.t( 'role-built-in' ) );
+		}
+		const role = await Role.findOneAndDelete({ _id: req.body.id });
+		if ( role ) {
+			updateRolesHash();
+			await recordAuditLog( req, {
+				action: 'delete_role',
+				targetType: 'role',
+				target: role._id,
+				before: pick( role.toObject(), AUDITED_ROLE_FIELDS )
+			});
+		}
 		res.json({ message: req.t( 'role-deleted' ) });
 	})
 );
@@ -361,12 +415,12 @@ router.post( '/delete_role',
  *                   description: Success message
  *                   example: 'Role successfully assigned'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_roles` permission
  */
-router.post( 'assign_global_role',
+router.post( '/assign_global_role',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onAssign( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_roles' );
 		const { roleID, userID } = req.body;
 
 		await User.findOneAndUpdate(
@@ -380,6 +434,14 @@ router.post( 'assign_global_role',
 				}
 			}
 		);
+		await recordAuditLog( req, {
+			action: 'assign_global_role',
+			targetType: 'user',
+			target: userID,
+			after: {
+				'roles.global': { context: null, role: roleID }
+			}
+		});
 		res.json({ message: req.t( 'role-assigned' ) });
 	})
 );
@@ -434,15 +496,13 @@ router.post( 'assign_global_role',
  *                   description: Success message
  *                   example: 'Role successfully assigned'
  *       403:
- *         description: Access denied for non-administrators or non-owners of the namespace of the lesson
+ *         description: Access denied for users lacking the `assign_roles` permission for the namespace of the lesson
  */
-router.post( 'assign_lesson_role',
+router.post( '/assign_lesson_role',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'assign_roles' ),
 	wrapAsync( async function onAssign( req, res ) {
-		const { roleID, lessonID, namespaceID, userID } = req.body;
-		if ( !req.user.administrator ) {
-			await validateOwner( req, namespaceID );
-		}
+		const { roleID, lessonID, userID } = req.body;
 		await User.findOneAndUpdate(
 			{ _id: userID },
 			{
@@ -454,6 +514,14 @@ router.post( 'assign_lesson_role',
 				}
 			}
 		);
+		await recordAuditLog( req, {
+			action: 'assign_lesson_role',
+			targetType: 'user',
+			target: userID,
+			after: {
+				'roles.lesson': { context: lessonID, role: roleID }
+			}
+		});
 		res.json({ message: req.t( 'role-assigned' ) });
 	})
 );
@@ -503,15 +571,13 @@ router.post( 'assign_lesson_role',
  *                   description: Success message
  *                   example: 'Role successfully assigned'
  *       403:
- *         description: Access denied for non-administrators or non-owners of the namespace.
+ *         description: Access denied for users lacking the `assign_roles` permission for the namespace
  */
-router.post( 'assign_namespace_role',
+router.post( '/assign_namespace_role',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'assign_roles' ),
 	wrapAsync( async function onAssign( req, res ) {
 		const { roleID, namespaceID, userID } = req.body;
-		if ( !req.user.administrator ) {
-			await validateOwner( req, namespaceID );
-		}
 		await User.findOneAndUpdate(
 			{ _id: userID },
 			{
@@ -523,11 +589,248 @@ router.post( 'assign_namespace_role',
 				}
 			}
 		);
+		await recordAuditLog( req, {
+			action: 'assign_namespace_role',
+			targetType: 'user',
+			target: userID,
+			after: {
+				'roles.namespace': { context: namespaceID, role: roleID }
+			}
+		});
+		res.json({ message: req.t( 'role-assigned' ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /assign_program_role:
+ *   post:
+ *     summary: Assign program role
+ *     description: Assign a role in the program context to a user.
+ *     tags: [Roles]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userID
+ *               - programID
+ *               - roleID
+ *             properties:
+ *               userID:
+ *                 type: ObjectId
+ *                 description: ID of the user to assign the role to
+ *                 example: '5c9d8f9f8f9f9f9f9f9f9f9'
+ *               programID:
+ *                 type: ObjectId
+ *                 description: ID of the program to assign the role to
+ *                 example: '5c9d8f9f8f9f9f9f9f9f9f9'
+ *               roleID:
+ *                 type: ObjectId
+ *                 description: ID of the role to assign
+ *                 example: '5c9d8f9f8f9f9f9f9f9f9f9'
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: 'Role successfully assigned'
+ *       403:
+ *         description: Access denied for users lacking the `manage_program` permission for the program
+ */
+router.post( '/assign_program_role',
+	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'manage_program' ),
+	wrapAsync( async function onAssign( req, res ) {
+		const { roleID, programID, userID } = req.body;
+		await User.findOneAndUpdate(
+			{ _id: userID },
+			{
+				$push: {
+					'roles.program': {
+						context: programID,
+						role: roleID
+					}
+				}
+			}
+		);
+		await recordAuditLog( req, {
+			action: 'assign_program_role',
+			targetType: 'user',
+			target: userID,
+			after: {
+				'roles.program': { context: programID, role: roleID }
+			}
+		});
 		res.json({ message: req.t( 'role-assigned' ) });
 	})
 );
 
 
+/**
+ * @openapi
+ *
+ * /get_effective_permissions:
+ *   get:
+ *     summary: Get effective permissions
+ *     description: Get the effective permissions of a user in a context along with the role and context level each decision came from. The context is taken from the `lessonID`, `namespaceID` and `programID` query parameters and the `X-Context-Level` and `X-Context-Target` headers; without any of them, the global context is used.
+ *     tags: [Roles]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: userID
+ *         schema:
+ *           type: ObjectId
+ *         description: ID of the user
+ *         required: true
+ *       - in: query
+ *         name: lessonID
+ *         schema:
+ *           type: ObjectId
+ *         description: ID of the lesson
+ *       - in: query
+ *         name: namespaceID
+ *         schema:
+ *           type: ObjectId
+ *         description: ID of the namespace
+ *       - in: query
+ *         name: programID
+ *         schema:
+ *           type: ObjectId
+ *         description: ID of the program
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: 'ok'
+ *                 user:
+ *                   type: object
+ *                   description: ID, name and email address of the user
+ *                 context:
+ *                   type: object
+ *                   description: IDs of the lesson, namespace and program of the context (or `null` for levels not part of the context)
+ *                   example: { "lesson": null, "namespace": "5c9d8f9f8f9f9f9f9f9f9f9", "program": null }
+ *                 permissions:
+ *                   type: object
+ *                   description: Object mapping permission names to decisions consisting of whether the permission is `granted`, the context `level` and `role` the decision came from (both `null` if no role decided) and whether the role is held `implicit`ly (as by administrators, instructors, program administrators and namespace owners)
+ *                   example: { "grade_students": { "granted": true, "level": "namespace", "role": { "_id": "5c9d8f9f8f9f9f9f9f9f9f1", "title": "Teaching Assistant", "builtIn": "teaching-assistant" }, "implicit": false } }
+ *       403:
+ *         description: Access denied for users lacking the `manage_roles` permission
+ *       404:
+ *         description: User, lesson, namespace or program not found
+ */
+router.get( '/get_effective_permissions',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onEffectivePermissions( req, res ) {
+		const { userID } = req.query;
+
+		await validatePermissions( req, 'manage_roles' );
+		validateObjectId( userID, 'userID', req.t );
+		const user = await User.findById( userID );
+		if ( !user ) {
+			throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
+		}
+		const context = await resolveContext( req );
+		const permissions = await explainPermissions( user, context );
+		res.json({
+			message: 'ok',
+			user: {
+				_id: user._id,
+				name: user.name,
+				email: user.email
+			},
+			context: {
+				lesson: context.lesson,
+				namespace: context.namespace ? context.namespace._id : null,
+				program: context.program ? context.program._id : null
+			},
+			permissions
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_route_permissions:
+ *   get:
+ *     summary: Get route permissions
+ *     description: Get the catalogue of permissions along with the permissions guarding each HTTP route and socket event of the server.
+ *     tags: [Roles]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: 'ok'
+ *                 permissions:
+ *                   type: object
+ *                   description: Object mapping permission names to their context `level` and `description`
+ *                 routes:
+ *                   type: array
+ *                   description: HTTP routes with their `method`, `path` and guarding `permissions` (an empty array for public routes and routes accessible to all authenticated users)
+ *                   example: [ { "method": "POST", "path": "/user_adjust_grades", "permissions": [ "grade_students" ] } ]
+ *                 socketEvents:
+ *                   type: array
+ *                   description: Socket events with their `event` name and guarding `permissions`
+ *                   example: [ { "event": "create_groups", "permissions": [ "moderate_meetings" ] } ]
+ *       403:
+ *         description: Access denied for users lacking the `manage_roles` permission
+ */
+router.get( '/get_route_permissions',
+	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'manage_roles' ),
+	function onRoutePermissions( req, res ) {
+		const routes = objectKeys( ROUTE_PERMISSIONS ).map( key => {
+			const [ method, path ] = key.split( ' ' );
+			return {
+				method,
+				path,
+				permissions: ROUTE_PERMISSIONS[ key ]
+			};
+		});
+		const socketEvents = objectKeys( SOCKET_EVENT_PERMISSIONS ).map( event => {
+			return {
+				event,
+				permissions: SOCKET_EVENT_PERMISSIONS[ event ]
+			};
+		});
+		res.json({
+			message: 'ok',
+			permissions: PERMISSIONS,
+			routes,
+			socketEvents
+		});
+	}
+);
+
+
 // EXPORTS //
 
 module.exports = router;
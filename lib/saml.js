@@ -20,16 +20,13 @@
 // MODULES //
 
 const path = require( 'path' );
-const jwt = require( 'jsonwebtoken' );
 const debug = require( './debug' )( 'server:saml' );
 const objectKeys = require( '@stdlib/utils/keys' );
 const config = require( '../etc/config.json' );
 const settings = require( './../etc/settings.json' );
 const samlAudiences = require( '../etc/saml/audiences.json' );
-const institutionName = require( './utils/institution_name.js' );
-const User = require( './models/user.js' );
-const ErrorStatus = require( './helpers/error.js' );
-const { tokens } = require( './credentials.js' );
+const createAuthSession = require( './utils/create_auth_session.js' );
+const provisionSSOUser = require( './utils/provision_sso_user.js' );
 const { SERVER_HOST_NAME } = require( './constants.js' );
 
 
@@ -58,17 +55,6 @@ function extractSAMLName( attributes ) {
 	return name;
 }
 
-/**
- * Checks whether a string is empty or contains only whitespace characters.
- *
- * @private
- * @param {string} str - string to check
- * @returns {boolean} true if the string is empty or contains only whitespace characters, false otherwise
- */
-function isBlankString( str ) {
-	return str === '' || /^[\s\xa0]*$/.test( str );
-}
-
 
 // VARIABLES //
 
@@ -132,6 +118,8 @@ const options = {
 		'service-worker.js',
 		'isle_logo.svg',
 		'/avatar/',
+		'/lti/',
+		'/oidc/',
 		'terms$',
 		'privacy$',
 		...( settings.samlExemptPatterns || [] )
@@ -152,41 +140,16 @@ const options = {
 				attributes[ attributeMap[ key ] ] = attributes[ key ];
 			}
 		}
-		let user = await User.findOne({ email: attributes.email });
-		if ( !user ) {
-			try {
-				const numUsers = await User.estimatedDocumentCount();
-				user = new User({
-					email: attributes.email,
-					name: extractSAMLName( attributes ),
-					organization: institutionName( attributes.email ),
-					writeAccess: numUsers === 0, // Make first registered user an instructor
-					administrator: numUsers === 0, // Make first registered user an administrator...
-					loginWithoutPassword: true,
-					verifiedEmail: true
-				});
-				await user.save();
-			} catch ( err ) {
-				throw new ErrorStatus( 403, err.message );
-			}
-		} else if (
-			user.name === user.email.substring( 0, user.email.indexOf( '@' ) ) ||
-			!user.name || isBlankString( user.name )
-		) {
-			// Case: User still has the default name, i.e. is equal to the username of the email address...
-
-			// Update the user's name from the SAML attributes:
-			const name = extractSAMLName( attributes );
-			if ( name !== user.name ) {
-				user.name = name;
-				await user.save();
-			}
-		}
+		const user = await provisionSSOUser({
+			email: attributes.email,
+			name: extractSAMLName( attributes )
+		});
 		debug( 'Found user, returning JSON Web Token for user authentication...' );
-		const payload = { id: user.id };
-		const jsonWebToken = jwt.sign( payload, tokens.jwtKey );
+		const { token, refreshToken, expiresIn } = await createAuthSession({ user: user._id });
 		return {
-			token: jsonWebToken,
+			token,
+			refreshToken,
+			expiresIn,
 			id: user.id
 		};
 	}
@@ -30,12 +30,15 @@ const Lesson = require( './models/lesson.js' );
 const Ticket = require( './models/ticket.js' );
 const Namespace = require( './models/namespace.js' );
 const OverviewStatistics = require( './models/overview_statistics.js' );
+const ChatMessage = require( './models/chat_message.js' );
 const mailer = require( './mailer' );
+const settings = require( './../etc/settings.json' );
 
 
 // VARIABLES //
 
 const EVENT_SCHEDULER_INTERVAL = 60 * 1000; // 1 minute
+const CHAT_RETENTION_INTERVAL = 60 * 60 * 1000; // 1 hour
 
 
 // FUNCTIONS //
@@ -191,12 +194,35 @@ async function checkEvents() {
 	}
 }
 
+/**
+ * Removes chat messages older than the number of days specified by the `chatRetentionDays` setting (messages are kept indefinitely if the setting is not a positive number).
+ */
+async function removeExpiredChatMessages() {
+	const days = settings.chatRetentionDays;
+	if ( !( days > 0 ) ) {
+		return;
+	}
+	const cutoff = new Date();
+	cutoff.setDate( cutoff.getDate() - days );
+	try {
+		const result = await ChatMessage.deleteMany({
+			createdAt: { $lt: cutoff }
+		});
+		debug( `Removed ${result.deletedCount} chat messages older than ${days} days...` );
+	} catch ( err ) {
+		debug( 'Encountered an error when removing expired chat messages: ' + err.message );
+	}
+}
+
 
 // MAIN //
 
 // Check for events that need to be triggered every minute...
 setInterval( checkEvents, EVENT_SCHEDULER_INTERVAL );
 
+// Remove chat messages exceeding the retention period every hour...
+setInterval( removeExpiredChatMessages, CHAT_RETENTION_INTERVAL );
+
 const main = {};
 setReadOnly( main, 'triggerEvent', triggerEvent );
 
@@ -35,7 +35,7 @@ const ceil = require( '@stdlib/math/base/special/ceil' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const { apixu, github, jitsi } = require( './credentials.js' );
-const isOwner = require( './helpers/is_owner.js' );
+const { hasPermission, resolveContext } = require( './helpers/check_permissions.js' );
 const { SERVER_HOST_NAME } = require( './constants.js' );
 
 
@@ -86,7 +86,7 @@ router.get( '/get_jitsi_token',
 			if ( !jitsi.server ) {
 				return res.status( 501 ).send( req.t( 'jitsi-not-available' ) );
 			}
-			const owner = await isOwner( req, req.query.namespaceID );
+			const owner = await hasPermission( req.user, 'moderate_meetings', await resolveContext( req ) );
 			const payload = {
 				user: {
 					avatar: SERVER_HOST_NAME + '/avatar/' + req.user.picture,
@@ -27,19 +27,273 @@
 
 // MODULES //
 
+const { randomBytes } = require( 'crypto' );
 const router = require( 'express' ).Router();
+const objectKeys = require( '@stdlib/utils/keys' );
 const debug = require( './debug' )( 'server:sessiondata' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
+const toCSVRow = require( './utils/to_csv_row.js' );
+const waitForDrain = require( './utils/wait_for_drain.js' );
+const pseudonymize = require( './utils/pseudonymize.js' );
+const ErrorStatus = require( './helpers/error.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
+const validateString = require( './helpers/validate_string.js' );
+const validateEnum = require( './helpers/validate_enum.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const { hasPermission } = require( './helpers/check_permissions.js' );
+const parseDate = require( './helpers/parse_date.js' );
 const SessionData = require( './models/session_data.js' );
 const Namespace = require( './models/namespace.js' );
 const Lesson = require( './models/lesson.js' );
+const Cohort = require( './models/cohort.js' );
+const User = require( './models/user.js' );
 
 
 // VARIABLES //
 
 const MAX_NUM_ACTIONS = 50000; // Maximum number of actions retrieved by instructors when opening a lesson
+const MAX_NUM_ANSWERS = 100; // Maximum number of distinct answers returned for the answer distribution of a component
+const EXPORT_FORMATS = [ 'csv', 'jsonl' ];
+const EXPORT_BATCH_SIZE = 1000; // Number of actions written to the response at a time when exporting session data
+const EXPORT_CSV_COLUMNS = [ 'id', 'lesson', 'componentID', 'actionType', 'time', 'user', 'name', 'cohort', 'value' ];
+const SALT_BYTES = 32;
+const HISTOGRAM_FORMATS = {
+	'minute': '%Y-%m-%dT%H:%M',
+	'hour': '%Y-%m-%dT%H:00',
+	'day': '%Y-%m-%d',
+	'month': '%Y-%m'
+};
+
+
+// FUNCTIONS //
+
+/**
+* Validates that the lesson with the supplied identifier exists and that the request is made by a user allowed to view the data of its students.
+*
+* @private
+* @param {Object} req - HTTP request object
+* @param {string} lessonID - lesson identifier
+* @throws {Error} error if the lesson does not exist or the user lacks the permission
+* @returns {Promise<Object>} lesson
+*/
+async function validateLessonAccess( req, lessonID ) {
+	const lesson = await findLesson( req, lessonID );
+	await validatePermissions( req, 'view_student_data', { lesson });
+	return lesson;
+}
+
+/**
+* Returns the lesson with the supplied identifier.
+*
+* @private
+* @param {Object} req - HTTP request object
+* @param {string} lessonID - lesson identifier
+* @throws {Error} error if the identifier is invalid or the lesson does not exist
+* @returns {Promise<Object>} lesson
+*/
+async function findLesson( req, lessonID ) {
+	validateObjectId( lessonID, 'lessonID', req.t );
+	const lesson = await Lesson.findById( lessonID );
+	if ( !lesson ) {
+		throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+	}
+	return lesson;
+}
+
+/**
+* Returns a query restricting session data to the records the user of a request may read.
+*
+* ## Notes
+*
+* -   Users with the `view_student_data` permission for a lesson may read the data of all users of the lesson, while all other users may only read their own data.
+*
+* @private
+* @param {Object} req - HTTP request object
+* @param {(Object|null)} lesson - lesson whose data to read (`null` for the data of all lessons)
+* @returns {Promise<Object>} query
+*/
+async function readableSessionData( req, lesson ) {
+	if ( lesson && await hasPermission( req.user, 'view_student_data', { lesson }) ) {
+		return { lesson: lesson._id };
+	}
+	const query = { user: req.user._id };
+	if ( lesson ) {
+		query.lesson = lesson._id;
+	}
+	return query;
+}
+
+/**
+* Returns the secret salt used for pseudonymizing users in exports of a namespace, generating it on first use.
+*
+* @private
+* @param {ObjectId} namespaceID - namespace identifier
+* @returns {Promise<string>} salt
+*/
+async function namespaceSalt( namespaceID ) {
+	const namespace = await Namespace.findById( namespaceID ).select( '+pseudonymSalt' );
+	if ( namespace.pseudonymSalt ) {
+		return namespace.pseudonymSalt;
+	}
+	await Namespace.updateOne(
+		{ _id: namespaceID, pseudonymSalt: { $exists: false }},
+		{ $set: { pseudonymSalt: randomBytes( SALT_BYTES ).toString( 'hex' ) }},
+		{ timestamps: false }
+	);
+
+	// Read the salt again in case a concurrent export has set it first:
+	const updated = await Namespace.findById( namespaceID ).select( '+pseudonymSalt' );
+	return updated.pseudonymSalt;
+}
+
+/**
+* Converts a session data document to a record of the research export.
+*
+* @private
+* @param {Object} doc - session data document
+* @param {Object} ctx - export context
+* @param {Object} ctx.users - hash table from user identifiers to users
+* @param {Object} ctx.lessonTitles - hash table from lesson identifiers to lesson titles
+* @param {Object} ctx.cohortTitles - hash table from user identifiers to the titles of their cohorts
+* @param {(string|null)} ctx.salt - salt for pseudonymizing users or `null` if users should not be pseudonymized
+* @returns {Object} export record
+*/
+function exportRecord( doc, { users, lessonTitles, cohortTitles, salt }) {
+	const data = { ...doc.data };
+	const userID = doc.user ? String( doc.user ) : null;
+	const user = userID ? users[ userID ] : null;
+	let email = user ? user.email : data.email;
+	let name = user ? user.name : data.name;
+	if ( salt ) {
+		email = pseudonymize( email, salt );
+		name = null;
+		delete data.email;
+		delete data.name;
+	}
+	return {
+		id: String( doc._id ),
+		lesson: lessonTitles[ String( doc.lesson ) ],
+		componentID: doc.componentID,
+		actionType: doc.actionType,
+		time: doc.time,
+		user: email || null,
+		name: name || null,
+		cohort: ( userID && cohortTitles[ userID ] ) || null,
+		value: data.value,
+		data
+	};
+}
+
+/**
+* Returns an expression identifying the user who performed an action (falling back to the email address stored with the action for anonymous users).
+*
+* @private
+* @returns {Object} aggregation expression
+*/
+function userExpression() {
+	return { $ifNull: [ '$user', '$data.email' ]};
+}
+
+/**
+* Returns an aggregation pipeline computing summary statistics for all components of a lesson.
+*
+* @private
+* @param {ObjectId} lessonID - lesson identifier
+* @returns {Array} aggregation pipeline
+*/
+function componentSummaryPipeline( lessonID ) {
+	return [
+		{ $match: { lesson: lessonID, type: 'action' }},
+		{ $group: {
+			_id: { componentID: '$componentID', actionType: '$actionType' },
+			count: { $sum: 1 },
+			users: { $addToSet: userExpression() },
+			firstTime: { $min: '$time' },
+			lastTime: { $max: '$time' }
+		}},
+		{ $group: {
+			_id: '$_id.componentID',
+			count: { $sum: '$count' },
+			users: { $push: '$users' },
+			firstTime: { $min: '$firstTime' },
+			lastTime: { $max: '$lastTime' },
+			actionTypes: { $push: { type: '$_id.actionType', count: '$count' }}
+		}},
+		{ $project: {
+			_id: 0,
+			componentID: '$_id',
+			count: 1,
+			users: {
+				$size: {
+					$reduce: {
+						input: '$users',
+						initialValue: [],
+						in: { $setUnion: [ '$$value', '$$this' ]}
+					}
+				}
+			},
+			firstTime: 1,
+			lastTime: 1,
+			actionTypes: 1
+		}},
+		{ $sort: { count: -1, componentID: 1 }}
+	];
+}
+
+/**
+* Returns an aggregation pipeline computing response counts, distinct users, a time histogram and the answer distribution for a single component.
+*
+* @private
+* @param {Object} options - pipeline options
+* @param {ObjectId} options.lessonID - lesson identifier
+* @param {string} options.componentID - component identifier
+* @param {string} [options.actionType] - only include actions of the given type
+* @param {string} [options.interval='hour'] - width of the histogram bins (`minute`, `hour`, `day` or `month`)
+* @returns {Array} aggregation pipeline
+*/
+function componentStatisticsPipeline({ lessonID, componentID, actionType, interval = 'hour' }) {
+	const match = { lesson: lessonID, componentID, type: 'action' };
+	if ( actionType ) {
+		match.actionType = actionType;
+	}
+	return [
+		{ $match: match },
+		{ $facet: {
+			totals: [
+				{ $group: { _id: null, count: { $sum: 1 }, users: { $addToSet: userExpression() }}},
+				{ $project: { _id: 0, count: 1, users: { $size: '$users' }}}
+			],
+			actionTypes: [
+				{ $group: { _id: '$actionType', count: { $sum: 1 }}},
+				{ $project: { _id: 0, type: '$_id', count: 1 }},
+				{ $sort: { count: -1 }}
+			],
+			histogram: [
+				{ $match: { time: { $ne: null }}},
+				{ $group: {
+					_id: { $dateToString: { format: HISTOGRAM_FORMATS[ interval ], date: '$time' }},
+					count: { $sum: 1 }
+				}},
+				{ $project: { _id: 0, time: '$_id', count: 1 }},
+				{ $sort: { time: 1 }}
+			],
+			answers: [
+				{ $group: { _id: '$data.value', count: { $sum: 1 }, users: { $addToSet: userExpression() }}},
+				{ $project: { _id: 0, value: '$_id', count: 1, users: { $size: '$users' }}},
+				{ $sort: { count: -1 }},
+				{ $limit: MAX_NUM_ANSWERS }
+			]
+		}},
+		{ $project: {
+			count: { $ifNull: [ { $arrayElemAt: [ '$totals.count', 0 ]}, 0 ]},
+			users: { $ifNull: [ { $arrayElemAt: [ '$totals.users', 0 ]}, 0 ]},
+			actionTypes: 1,
+			histogram: 1,
+			answers: 1
+		}}
+	];
+}
 
 
 // MAIN //
@@ -63,7 +317,7 @@ const MAX_NUM_ACTIONS = 50000; // Maximum number of actions retrieved by instruc
  *                 description: ID of the lesson to which the session data belong.
  *               userID:
  *                 type: ObjectID
- *                 description: ID of the user who owns the session data (if not anonymous).
+ *                 description: ID of the user who owns the session data (if not anonymous); must be the ID of the authenticated user.
  *               type:
  *                 type: string
  *                 description: Type of session data.
@@ -83,40 +337,56 @@ const MAX_NUM_ACTIONS = 50000; // Maximum number of actions retrieved by instruc
  *                   type: ObjectID
  *                   description: ID of the session data.
  *                   example: 5a9b8f8f8f8f8f8f8f8f8f8f8f8f8f8f
+ *       401:
+ *         description: Unauthorized for session data of users sent without a valid access token
+ *       403:
+ *         description: Access denied for session data of other users
  */
-router.post( '/store_session_element', function onStoreSessionElement( req, res ) {
-	debug( 'Should store session element...' );
-	if ( req.body ) {
-		const formData = req.body;
-		if ( formData.type === 'action' ) {
-			let sessionData;
-			if ( !formData.userID ) {
-				// Anonymous user:
-				sessionData = new SessionData({
-					data: formData.data,
-					lesson: formData.lessonID,
-					type: formData.type
-				});
-			} else {
-				sessionData = new SessionData({
-					data: formData.data,
-					user: formData.userID,
-					lesson: formData.lessonID,
-					type: formData.type
-				});
-			}
-			sessionData.save( function onSaveSessionData( err, element ) {
-				if ( err ) {
-					return res.status( 404 ).send( req.t( 'session-data-save-failed' ) );
+router.post( '/store_session_element',
+	function authenticateUser( req, res, next ) {
+		// Actions of anonymous users are stored without authentication:
+		if ( !req.body || !req.body.userID ) {
+			return next();
+		}
+		passport.authenticate( 'jwt', { session: false })( req, res, next );
+	},
+	function onStoreSessionElement( req, res ) {
+		debug( 'Should store session element...' );
+		if ( req.body ) {
+			const formData = req.body;
+			if ( formData.type === 'action' ) {
+				let sessionData;
+				if ( !formData.userID ) {
+					// Anonymous user:
+					sessionData = new SessionData({
+						data: formData.data,
+						lesson: formData.lessonID,
+						type: formData.type
+					});
+				} else {
+					if ( String( req.user._id ) !== String( formData.userID ) ) {
+						return res.status( 403 ).send( req.t( 'access-denied' ) );
+					}
+					sessionData = new SessionData({
+						data: formData.data,
+						user: req.user._id,
+						lesson: formData.lessonID,
+						type: formData.type
+					});
 				}
-				res.json({
-					message: req.t( 'user-action-saved' ),
-					id: element._id
+				sessionData.save( function onSaveSessionData( err, element ) {
+					if ( err ) {
+						return res.status( 404 ).send( req.t( 'session-data-save-failed' ) );
+					}
+					res.json({
+						message: req.t( 'user-action-saved' ),
+						id: element._id
+					});
 				});
-			});
+			}
 		}
 	}
-});
+);
 
 // TODO: Convert to POST request in next major update
 
@@ -156,7 +426,7 @@ router.post( '/store_session_element', function onStoreSessionElement( req, res
  *         description: Forbidden
  *         content:
  *           text/plain:
- *             Access denied as not an instructor of the course of the lesson containing the session data.
+ *             Access denied for users lacking the `delete_student_data` permission for the lesson containing the session data.
  *       400:
  *         description: Bad request
  *         content:
@@ -165,36 +435,21 @@ router.post( '/store_session_element', function onStoreSessionElement( req, res
  */
 router.get( '/delete_session_element',
 	passport.authenticate( 'jwt', { session: false }),
-	function onDeleteSessionElement( req, res ) {
+	wrapAsync( async function onDeleteSessionElement( req, res ) {
 		debug( 'Should delete session element...' );
-		SessionData.findById( req.query._id, onFindSessionData );
-
-		function onFindSessionData( err, sessionData ) {
-			if ( err || !sessionData ) {
-				return res.status( 404 ).send( req.t( 'session-data-nonexistent' ) );
-			}
-
-			Lesson.findById( sessionData.lesson, function onFindLesson( err, lesson ) {
-				Namespace.findOne({ _id: lesson.namespace, owners: { $in: [ req.user ]}}, onNamespace );
-			});
-
-			function onNamespace( err, namespace ) {
-				if ( err ) {
-					return res.status( 403 ).send( req.t( 'access-denied-no-owner' ) );
-				}
-				if ( namespace ) {
-					sessionData.remove( onRemove );
-				}
-			}
+		validateObjectId( req.query._id, '_id', req.t );
+		const sessionData = await SessionData.findById( req.query._id );
+		if ( !sessionData ) {
+			return res.status( 404 ).send( req.t( 'session-data-nonexistent' ) );
 		}
-
-		function onRemove( err ) {
-			if ( err ) {
-				return res.status( 400 ).send( req.t( 'session-data-removal-failed' ) );
-			}
-			res.json({ message: req.t( 'session-data-removed' ) });
+		await validatePermissions( req, 'delete_student_data', { lesson: sessionData.lesson });
+		try {
+			await sessionData.remove();
+		} catch ( err ) {
+			return res.status( 400 ).send( req.t( 'session-data-removal-failed' ) );
 		}
-	}
+		res.json({ message: req.t( 'session-data-removed' ) });
+	})
 );
 
 // TODO: Convert to GET request in next major update
@@ -205,8 +460,10 @@ router.get( '/delete_session_element',
  * /get_user_actions:
  *   post:
  *     summary: Retrieve user actions
- *     description: Retrieve user actions from the database.
+ *     description: Retrieve user actions of a lesson from the database. Users with the `view_student_data` permission for the lesson receive the actions of all users, all other users only their own actions.
  *     tags: [SessionData]
+ *     security:
+ *       - JWT: []
  *     requestBody:
  *       content:
  *         application/json:
@@ -231,14 +488,17 @@ router.get( '/delete_session_element',
  *                   description: Array of user session data.
  *                   items:
  *                     $ref: '#/components/schemas/SessionData'
+ *       404:
+ *         description: Lesson not found
  */
 router.post( '/get_user_actions',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetUserActions( req, res ) {
-		validateObjectId( req.body.lessonID, 'lessonID', req.t );
+		const lesson = await findLesson( req, req.body.lessonID );
+		const query = await readableSessionData( req, lesson );
 		const actions = await SessionData
-			.find({ type: 'action', lesson: req.body.lessonID }, null )
-			.sort( '-data.absoluteTime' )
+			.find({ ...query, type: 'action' }, null )
+			.sort( '-time' )
 			.limit( MAX_NUM_ACTIONS )
 			.exec();
 		debug( `Return ${actions.length} actions to the caller` );
@@ -282,13 +542,14 @@ router.get( '/get_namespace_actions',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetUserActions( req, res ) {
 		validateObjectId( req.query.namespaceID, 'namespaceID', req.t );
+		await validatePermissions( req, 'view_student_data', { namespace: req.query.namespaceID });
 		const lessons = await Lesson.find({ namespace: req.query.namespaceID });
 		let results = [];
 		for ( let i = 0; i < lessons.length; i++ ) {
 			const lesson = lessons[ i ];
 			let actions = await SessionData
 				.find({ type: 'action', lesson: lesson }, null )
-				.sort( '-data.absoluteTime' )
+				.sort( '-time' )
 				.exec();
 			actions = actions.map( d => {
 				const data = d.data;
@@ -302,23 +563,245 @@ router.get( '/get_namespace_actions',
 	})
 );
 
+/**
+ * @openapi
+ *
+ * /export_session_data:
+ *   get:
+ *     summary: Export session data
+ *     description: Stream all actions of a namespace or lesson as CSV or JSON Lines for research purposes, joined with the email address, name and cohort of the users. Users can be pseudonymized via a stable, secret per-namespace salt so that exports can be joined across runs. Only available to users with the `view_student_data` permission.
+ *     tags: [SessionData]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: namespaceID
+ *         schema:
+ *           type: ObjectId
+ *         description: ID of the namespace whose actions to export (required if no `lessonID` is supplied).
+ *       - in: query
+ *         name: lessonID
+ *         schema:
+ *           type: ObjectId
+ *         description: ID of the lesson whose actions to export.
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [ csv, jsonl ]
+ *           default: csv
+ *         description: Export format.
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only export actions performed at or after this date.
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only export actions performed at or before this date.
+ *       - in: query
+ *         name: cohortID
+ *         schema:
+ *           type: ObjectId
+ *         description: Only export actions of members of the given cohort.
+ *       - in: query
+ *         name: componentID
+ *         schema:
+ *           type: string
+ *         description: Only export actions of the given component.
+ *       - in: query
+ *         name: pseudonymize
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Whether to replace email addresses by pseudonyms and omit names.
+ *     responses:
+ *       200:
+ *         description: Streamed export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request
+ *       401:
+ *         description: Access denied for users lacking the `view_student_data` permission
+ *       404:
+ *         description: Lesson or cohort not found
+ */
+router.get( '/export_session_data',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onExportSessionData( req, res ) {
+		const { namespaceID, lessonID, cohortID, componentID, format = 'csv' } = req.query;
+		validateEnum( format, EXPORT_FORMATS, 'format', req.t );
+		let namespace;
+		let lessons;
+		if ( lessonID ) {
+			const lesson = await validateLessonAccess( req, lessonID );
+			namespace = lesson.namespace;
+			lessons = [ lesson ];
+		} else {
+			validateObjectId( namespaceID, 'namespaceID', req.t );
+			await validatePermissions( req, 'view_student_data', { namespace: namespaceID });
+			namespace = namespaceID;
+			lessons = await Lesson.find({ namespace: namespaceID }, { title: 1 });
+		}
+		const query = {
+			type: 'action',
+			lesson: { $in: lessons.map( x => x._id ) }
+		};
+		const startDate = parseDate( req.query.startDate, 'startDate', req.t );
+		const endDate = parseDate( req.query.endDate, 'endDate', req.t );
+		if ( startDate || endDate ) {
+			query.time = {};
+			if ( startDate ) {
+				query.time.$gte = startDate;
+			}
+			if ( endDate ) {
+				query.time.$lte = endDate;
+			}
+		}
+		if ( componentID ) {
+			validateString( componentID, 'componentID', req.t );
+			query.componentID = componentID;
+		}
+		const cohorts = await Cohort.find({ namespace }, { title: 1, members: 1 });
+		if ( cohortID ) {
+			validateObjectId( cohortID, 'cohortID', req.t );
+			const cohort = cohorts.find( x => String( x._id ) === cohortID );
+			if ( !cohort ) {
+				throw new ErrorStatus( 404, req.t( 'cohort-nonexistent' ) );
+			}
+			query.user = { $in: cohort.members };
+		}
+		const ctx = {
+			users: {},
+			lessonTitles: {},
+			cohortTitles: {},
+			salt: req.query.pseudonymize === 'true' ? await namespaceSalt( namespace ) : null
+		};
+		for ( let i = 0; i < lessons.length; i++ ) {
+			ctx.lessonTitles[ String( lessons[ i ]._id ) ] = lessons[ i ].title;
+		}
+		for ( let i = 0; i < cohorts.length; i++ ) {
+			const members = cohorts[ i ].members;
+			for ( let j = 0; j < members.length; j++ ) {
+				const id = String( members[ j ] );
+				ctx.cohortTitles[ id ] = ctx.cohortTitles[ id ] ? ctx.cohortTitles[ id ] + '; ' + cohorts[ i ].title : cohorts[ i ].title;
+			}
+		}
+		const date = new Date().toISOString();
+		const filename = `${lessonID ? lessons[ 0 ].title : 'session_data'}_${date.substring( 0, 10 )}.${format}`;
+		res.attachment( filename );
+		res.type( format === 'csv' ? 'text/csv' : 'application/x-ndjson' );
+		if ( format === 'csv' ) {
+			res.write( toCSVRow( EXPORT_CSV_COLUMNS ) );
+		}
+
+		/**
+		* Writes a batch of actions to the response, looking up the users not encountered before.
+		*
+		* @private
+		* @param {Array<Object>} batch - session data documents
+		* @returns {Promise} promise resolving once the response is ready to receive more data
+		*/
+		async function writeBatch( batch ) {
+			const missing = [];
+			for ( let i = 0; i < batch.length; i++ ) {
+				const userID = batch[ i ].user ? String( batch[ i ].user ) : null;
+				if ( userID && !ctx.users[ userID ] ) {
+					ctx.users[ userID ] = {};
+					missing.push( userID );
+				}
+			}
+			if ( missing.length > 0 ) {
+				const users = await User.find({ _id: { $in: missing }}, { email: 1, name: 1 }).lean();
+				for ( let i = 0; i < users.length; i++ ) {
+					ctx.users[ String( users[ i ]._id ) ] = users[ i ];
+				}
+			}
+			let out = '';
+			for ( let i = 0; i < batch.length; i++ ) {
+				const record = exportRecord( batch[ i ], ctx );
+				if ( format === 'csv' ) {
+					out += toCSVRow( EXPORT_CSV_COLUMNS.map( key => record[ key ] ) );
+				} else {
+					out += JSON.stringify( record ) + '\n';
+				}
+			}
+			if ( !res.write( out ) ) {
+				await waitForDrain( res );
+			}
+		}
+
+		const cursor = SessionData
+			.find( query )
+			.sort( 'time' )
+			.lean()
+			.cursor({ batchSize: EXPORT_BATCH_SIZE });
+		let batch = [];
+		let count = 0;
+		try {
+			for await ( const doc of cursor ) {
+				if ( res.destroyed ) {
+					debug( 'Client closed the connection, abort export...' );
+					break;
+				}
+				batch.push( doc );
+				if ( batch.length === EXPORT_BATCH_SIZE ) {
+					await writeBatch( batch );
+					count += batch.length;
+					batch = [];
+				}
+			}
+			if ( batch.length > 0 && !res.destroyed ) {
+				await writeBatch( batch );
+				count += batch.length;
+			}
+		} catch ( err ) {
+			// Headers have already been sent, so the error cannot be reported to the client via the error handler:
+			debug( 'Encountered an error while exporting session data: '+err.message );
+			await cursor.close();
+			return res.destroy( err );
+		}
+		await cursor.close();
+		debug( `Exported ${count} actions` );
+		res.end();
+	})
+);
+
 /**
  * @openapi
  *
  * /retrieve_data:
  *   post:
  *     summary: Retrieve session data
- *     description: Retrieve session data for a given component.
+ *     description: Retrieve session data for a given component. Users with the `view_student_data` permission for the lesson receive the data of all users, all other users (and requests without a lesson) only their own data.
  *     tags: [SessionData]
+ *     security:
+ *       - JWT: []
  *     requestBody:
  *       content:
  *         application/json:
  *           schema:
  *             type: object
  *             properties:
- *               componentID:
- *                 type: string
- *                 description: ID of the component.
+ *               lessonID:
+ *                 type: ObjectID
+ *                 description: ID of the lesson to which the session data belong.
+ *               query:
+ *                 type: object
+ *                 properties:
+ *                   componentID:
+ *                     type: string
+ *                     description: ID of the component.
  *     responses:
  *        200:
  *          description: Success
@@ -328,18 +811,176 @@ router.get( '/get_namespace_actions',
  *              type: Array
  *              items:
  *                $ref: '#/components/schemas/SessionData'
+ *        404:
+ *          description: Lesson not found
  */
 router.post( '/retrieve_data',
+	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onRetrieveData( req, res ) {
 		debug( 'Should retrieve data...' );
-		const query = req.body.query;
-		const data = await SessionData.find({ 'data.id': query.componentID });
+		const lesson = req.body.lessonID ? await findLesson( req, req.body.lessonID ) : null;
+		const query = req.body.query || {};
+		validateString( query.componentID, 'componentID', req.t );
+		const readable = await readableSessionData( req, lesson );
+		const data = await SessionData.find({ ...readable, componentID: query.componentID });
 		debug( 'Return found data...' );
 		res.json( data );
 	})
 );
 
 
+/**
+ * @openapi
+ *
+ * /get_lesson_component_summary:
+ *   get:
+ *     summary: Get summary statistics for lesson components
+ *     description: Get the number of recorded actions, the number of distinct users, the time of the first and last action and the counts per action type for each component of a lesson. Only available to users with the `view_student_data` permission for the lesson.
+ *     tags: [SessionData]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: lessonID
+ *         schema:
+ *           type: ObjectId
+ *         required: true
+ *         description: ID of the lesson.
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 components:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       componentID:
+ *                         type: string
+ *                       count:
+ *                         type: integer
+ *                       users:
+ *                         type: integer
+ *                       firstTime:
+ *                         type: string
+ *                         format: date-time
+ *                       lastTime:
+ *                         type: string
+ *                         format: date-time
+ *                       actionTypes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             type:
+ *                               type: string
+ *                             count:
+ *                               type: integer
+ *       403:
+ *         description: Access denied for users lacking the `view_student_data` permission
+ *       404:
+ *         description: Lesson not found
+ */
+router.get( '/get_lesson_component_summary',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetLessonComponentSummary( req, res ) {
+		const lesson = await validateLessonAccess( req, req.query.lessonID );
+		const components = await SessionData.aggregate( componentSummaryPipeline( lesson._id ) );
+		debug( `Return summary statistics for ${components.length} components of lesson ${lesson._id}` );
+		res.json({ components });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_component_statistics:
+ *   get:
+ *     summary: Get statistics for a lesson component
+ *     description: Get the number of recorded actions, the number of distinct users, a histogram of the action times and the distribution of submitted answers for a single component of a lesson. Only available to users with the `view_student_data` permission for the lesson.
+ *     tags: [SessionData]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: lessonID
+ *         schema:
+ *           type: ObjectId
+ *         required: true
+ *         description: ID of the lesson.
+ *       - in: query
+ *         name: componentID
+ *         schema:
+ *           type: string
+ *         required: true
+ *         description: ID of the component.
+ *       - in: query
+ *         name: actionType
+ *         schema:
+ *           type: string
+ *         description: Only include actions of the given type (e.g., `TEXT_AREA_SUBMISSION`).
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [ minute, hour, day, month ]
+ *           default: hour
+ *         description: Width of the bins of the time histogram.
+ *     responses:
+ *       200:
+ *         description: Successful response
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: integer
+ *                   description: Number of actions.
+ *                 users:
+ *                   type: integer
+ *                   description: Number of distinct users.
+ *                 actionTypes:
+ *                   type: array
+ *                   description: Number of actions per action type.
+ *                 histogram:
+ *                   type: array
+ *                   description: Number of actions per time bin (sorted by time).
+ *                 answers:
+ *                   type: array
+ *                   description: Number of actions and distinct users for the most frequent answer values.
+ *       400:
+ *         description: Bad request
+ *       403:
+ *         description: Access denied for users lacking the `view_student_data` permission
+ *       404:
+ *         description: Lesson not found
+ */
+router.get( '/get_component_statistics',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetComponentStatistics( req, res ) {
+		const { componentID, actionType, interval = 'hour' } = req.query;
+		const lesson = await validateLessonAccess( req, req.query.lessonID );
+		validateString( componentID, 'componentID', req.t );
+		validateEnum( interval, objectKeys( HISTOGRAM_FORMATS ), 'interval', req.t );
+		if ( actionType ) {
+			validateString( actionType, 'actionType', req.t );
+		}
+		const [ statistics ] = await SessionData.aggregate( componentStatisticsPipeline({
+			lessonID: lesson._id,
+			componentID,
+			actionType,
+			interval
+		}) );
+		res.json( statistics );
+	})
+);
+
+
 // EXPORTS //
 
 module.exports = router;
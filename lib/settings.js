@@ -33,8 +33,9 @@ const fs = require( 'fs/promises' );
 const path = require( 'path' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
+const recordAuditLog = require( './utils/record_audit_log.js' );
 const validateString = require( './helpers/validate_string.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
 const settings = require( './../etc/settings.json' );
 const translations = require( './../etc/custom_translations.json' );
 const i18next = require( './i18n.js' );
@@ -201,16 +202,24 @@ router.get( '/get_translations',
  *       400:
  *         description: Bad request
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_settings` permission
  */
 router.post( '/update_settings',
 	passport.authenticate( 'jwt', { session: false }),
-	wrapAsync( function onUpdateSettings( req, res ) {
-		validateAdmin( req );
+	wrapAsync( async function onUpdateSettings( req, res ) {
+		await validatePermissions( req, 'manage_settings' );
 		validateString( req.body.name, 'name', req.t );
 
+		const before = { [ req.body.name ]: settings[ req.body.name ] };
 		settings[ req.body.name ] = req.body.value;
 		fs.writeFile( path.join( __dirname, './../etc/settings.json' ), JSON.stringify( settings ) );
+		await recordAuditLog( req, {
+			action: 'update_settings',
+			targetType: 'setting',
+			target: req.body.name,
+			before,
+			after: { [ req.body.name ]: req.body.value }
+		});
 
 		res.json({ message: req.t('successfully-updated-setting'), settings });
 	})
@@ -272,12 +281,12 @@ router.post( '/update_settings',
  *       400:
  *         description: Bad request
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_settings` permission
  */
 router.post( '/add_custom_translation',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onUpdateSettings( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_settings' );
 		const { language, ns, key, value } = req.body;
 		validateString( language, 'language', req.t );
 		validateString( ns, 'ns', req.t );
@@ -355,12 +364,12 @@ router.post( '/add_custom_translation',
  *                    description: A message describing the result of the update.
  *                    example: "Successfully removed custom translation with key `access-denied`."
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_settings` permission
  */
 router.post( '/remove_custom_translation',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onUpdateSettings( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_settings' );
 		const { language, ns, key } = req.body;
 		validateString( language, 'language', req.t );
 		validateString( ns, 'ns', req.t );
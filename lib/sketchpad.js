@@ -32,7 +32,7 @@ const router = require( 'express' ).Router();
 const debug = require( './debug' )( 'server:sketchpad' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
-const isOwner = require( './helpers/is_owner.js' );
+const { hasPermission, resolveContext } = require( './helpers/check_permissions.js' );
 const validateString = require('./helpers/validate_string');
 const validateObject = require( './helpers/validate_object.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
@@ -178,7 +178,7 @@ router.get( '/get_sketchpad_user_data',
 		validateObjectId( req.query.lessonID, 'lessonID', req.t );
 		validateString( req.query.sketchpadID, 'sketchpadID', req.t );
 
-		const owner = await isOwner( req, req.query.namespaceID );
+		const owner = await hasPermission( req.user, 'moderate_meetings', await resolveContext( req ) );
 		debug( owner ? 'User is an owner' : 'User is not an owner' );
 		if ( owner ) {
 			// Case: User is an owner...
@@ -291,7 +291,7 @@ router.post( '/save_sketchpad_data',
 		validateString( req.body.sketchpadID, 'sketchpadID', req.t );
 		validateObject( req.body.data, 'data', req.t );
 
-		const owner = await isOwner( req, req.body.namespaceID );
+		const owner = await hasPermission( req.user, 'moderate_meetings', await resolveContext( req ) );
 		if ( owner ) {
 			debug( 'Save sketchpad data for owner...' );
 			await SketchpadOwnerData.findOneAndUpdate(
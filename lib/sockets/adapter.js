@@ -0,0 +1,69 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const mongoose = require( 'mongoose' );
+const debug = require( './../debug' )( 'sockets:adapter' );
+const store = require( './store' );
+
+
+// VARIABLES //
+
+const COLLECTION_NAME = 'socket.io-adapter-events';
+const COLLECTION_SIZE = 1e7; // Size of the capped collection for inter-process messages (in bytes)...
+
+
+// MAIN //
+
+/**
+* Attaches the MongoDB socket.io adapter so that broadcasts reach the sockets of all server processes.
+*
+* ## Notes
+*
+* -   The adapter is only attached when the `mongodb` room store is used; a single process with the in-memory store keeps the default adapter.
+* -   The adapter relies on MongoDB change streams, which require the database to run as a replica set (a single-node replica set is sufficient).
+*
+* @param {SocketIO} io - socket.io server
+* @returns {Promise<boolean>} boolean indicating whether the adapter was attached
+*/
+async function attachAdapter( io ) {
+	if ( !store.isDistributed ) {
+		return false;
+	}
+	const { createAdapter } = require( '@socket.io/mongo-adapter' );
+	await mongoose.connection.asPromise();
+	const db = mongoose.connection.db;
+	try {
+		await db.createCollection( COLLECTION_NAME, {
+			capped: true,
+			size: COLLECTION_SIZE
+		});
+	} catch ( err ) {
+		debug( `Collection ${COLLECTION_NAME} already exists...` );
+	}
+	io.adapter( createAdapter( db.collection( COLLECTION_NAME ) ) );
+	debug( `Attached MongoDB adapter (worker: ${store.workerID})...` );
+	return true;
+}
+
+
+// EXPORTS //
+
+module.exports = attachAdapter;
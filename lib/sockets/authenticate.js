@@ -0,0 +1,104 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const jwt = require( 'jsonwebtoken' );
+const debug = require( './../debug' )( 'sockets:authenticate' );
+const User = require( './../models/user.js' );
+const resolveAuthSession = require( './../utils/resolve_auth_session.js' );
+const { tokens } = require( './../credentials.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Extracts the JSON Web Token from the socket handshake.
+*
+* ## Notes
+*
+* -   The token is preferably sent via the `auth` payload of the socket.io client (`{ auth: { token } }`), but may also be supplied via a `jwt` query parameter.
+*
+* @private
+* @param {Object} handshake - socket handshake
+* @returns {(string|null)} token or null if no token was sent
+*/
+function extractToken( handshake ) {
+	if ( handshake.auth && handshake.auth.token ) {
+		return handshake.auth.token;
+	}
+	if ( handshake.query && handshake.query.jwt ) {
+		return handshake.query.jwt;
+	}
+	return null;
+}
+
+
+// MAIN //
+
+/**
+* Socket.io middleware verifying the JSON Web Token sent during the handshake and attaching the corresponding user to the socket.
+*
+* ## Notes
+*
+* -   Sockets connecting without a token are treated as anonymous (`socket.data.user` is `null`).
+* -   Connections sending an invalid or expired token, a token of a revoked session or a token of a non-existent user are rejected.
+*
+* @param {Object} socket - socket.io socket
+* @param {Function} next - callback to invoke when done
+* @returns {void}
+*/
+async function authenticate( socket, next ) {
+	socket.data.user = null;
+	const token = extractToken( socket.handshake );
+	if ( !token ) {
+		debug( `Socket ${socket.id} connected without a token and is treated as anonymous...` );
+		return next();
+	}
+	let payload;
+	try {
+		payload = jwt.verify( token, tokens.jwtKey );
+	} catch ( err ) {
+		debug( `Socket ${socket.id} sent an invalid token: ${err.message}` );
+		return next( new Error( 'invalid token' ) );
+	}
+	try {
+		const session = await resolveAuthSession( payload, socket.handshake.address );
+		if ( !session ) {
+			debug( `Socket ${socket.id} sent a token of an expired or revoked session...` );
+			return next( new Error( 'session revoked' ) );
+		}
+		const user = await User.findOne({ '_id': payload.id });
+		if ( !user ) {
+			debug( `Socket ${socket.id} sent a token of a non-existent user...` );
+			return next( new Error( 'user not found' ) );
+		}
+		debug( `Socket ${socket.id} is authenticated as ${user.email}...` );
+		socket.data.user = user;
+		next();
+	} catch ( err ) {
+		debug( `Encountered an error: ${err.message}` );
+		next( err );
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = authenticate;
@@ -20,8 +20,15 @@
 // MODULES //
 
 const debug = require( './../debug' )( 'sockets:chat' );
-const contains = require( '@stdlib/assert/contains' );
 const copy = require( '@stdlib/utils/copy' );
+const hasOwnProp = require( '@stdlib/assert/has-own-property' );
+const isString = require( '@stdlib/assert/is-string' ).isPrimitive;
+const objectValues = require( '@stdlib/utils/values' );
+const isValidObjectId = require( 'mongoose' ).Types.ObjectId.isValid;
+const ChatMessage = require( './../models/chat_message.js' );
+const Namespace = require( './../models/namespace.js' );
+const Lesson = require( './../models/lesson.js' );
+const store = require( './store' );
 
 
 // VARIABLES //
@@ -29,23 +36,198 @@ const copy = require( '@stdlib/utils/copy' );
 const DEFAULT_PICTURE = 'anonymous.jpg';
 
 
+// FUNCTIONS //
+
+/**
+* Returns a copy of a chat message with the sender obscured if the message was sent anonymously.
+*
+* @private
+* @param {Object} msg - message object
+* @returns {Object} message object
+*/
+function obscureSender( msg ) {
+	if ( msg && msg.anonymous ) {
+		msg = copy( msg );
+		msg.user = 'Anonymous';
+		msg.email = 'anonymous';
+		msg.picture = DEFAULT_PICTURE;
+	}
+	return msg;
+}
+
+/**
+* Converts a persisted chat message to the message object sent to clients.
+*
+* @private
+* @param {Object} doc - chat message document
+* @returns {Object} message object
+*/
+function toMessage( doc ) {
+	const msg = copy( doc.data || {} );
+	msg.user = doc.author;
+	msg.email = doc.email;
+	msg.picture = doc.picture;
+	msg.anonymous = doc.anonymous;
+	msg.messageID = doc._id.toString();
+	if ( !msg.time ) {
+		msg.time = doc.createdAt.getTime();
+	}
+	return msg;
+}
+
+/**
+* Looks up the namespace and lesson identifiers for a room.
+*
+* ## Notes
+*
+* -   Room names are of the form `<namespace title>/<lesson title>`. Chats of rooms without a matching lesson (e.g., lessons previewed in the editor) are persisted without namespace and lesson references.
+*
+* @private
+* @param {string} roomName - room name
+* @returns {Promise<Object>} object with `namespace` and `lesson` identifiers (`null` if not found)
+*/
+async function findLesson( roomName ) {
+	const out = {
+		namespace: null,
+		lesson: null
+	};
+	const idx = roomName.indexOf( '/' );
+	if ( idx === -1 ) {
+		return out;
+	}
+	const namespace = await Namespace.findOne({ title: roomName.slice( 0, idx ) }, { _id: 1 });
+	if ( !namespace ) {
+		return out;
+	}
+	out.namespace = namespace._id;
+	const lesson = await Lesson.findOne({
+		namespace: namespace._id,
+		title: roomName.slice( idx+1 )
+	}, { _id: 1 });
+	if ( lesson ) {
+		out.lesson = lesson._id;
+	}
+	return out;
+}
+
+
 // MAIN //
 
+/**
+* Chat of a room.
+*
+* ## Notes
+*
+* -   Chat members are kept in the shared store so that all server processes operate on the same chat state.
+* -   Messages are persisted in the database. Members joining a chat receive the most recent page of messages and may load older messages page by page.
+*/
 class Chat {
-	constructor({ name, maxNumMessages, roomName }) {
+	constructor({ io, name, pageSize, roomName }) {
+		this.io = io;
 		this.name = name;
 		this.roomName = roomName;
-		this.maxNumMessages = maxNumMessages;
-		this.messages = [];
-		this.members = [];
+		this.pageSize = pageSize;
+		this.membersKey = `chat:${name}:members`;
+		this.lessonPromise = null;
+	}
+
+	/**
+	* Returns the namespace and lesson identifiers of the chat's room (looked up only once per chat).
+	*
+	* @private
+	* @returns {Promise<Object>} object with `namespace` and `lesson` identifiers
+	*/
+	getLesson() {
+		if ( !this.lessonPromise ) {
+			this.lessonPromise = findLesson( this.roomName ).catch( err => {
+				this.lessonPromise = null;
+				throw err;
+			});
+		}
+		return this.lessonPromise;
+	}
+
+	/**
+	* Returns the members of the chat.
+	*
+	* @returns {Promise<Array>} list of members
+	*/
+	async getMembers() {
+		const members = await store.getFields( this.membersKey );
+		return objectValues( members );
+	}
+
+	/**
+	* Returns a page of messages of the current chat session in chronological order.
+	*
+	* @param {string} [before] - identifier of a message; if provided, only messages sent before it are returned
+	* @returns {Promise<Object>} object with `messages` and a `hasMore` flag indicating whether older messages exist
+	*/
+	async getMessages( before ) {
+		const query = {
+			chat: this.name,
+			closed: false
+		};
+		if ( isString( before ) && isValidObjectId( before ) ) {
+			query._id = { $lt: before };
+		}
+		const docs = await ChatMessage
+			.find( query )
+			.sort({ _id: -1 })
+			.limit( this.pageSize + 1 )
+			.lean();
+		const hasMore = docs.length > this.pageSize;
+		if ( hasMore ) {
+			docs.pop();
+		}
+		return {
+			messages: docs.reverse().map( toMessage ),
+			hasMore
+		};
+	}
+
+	/**
+	* Sends the most recent page of the chat history to the socket of a member.
+	*
+	* @private
+	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the history has been sent
+	*/
+	async sendHistory( member ) {
+		const { messages, hasMore } = await this.getMessages();
+		const members = await this.getMembers();
+		member.socket.emit( 'chat_history', {
+			name: this.name,
+			messages: member.owner ? messages : messages.map( obscureSender ),
+			members,
+			hasMore
+		});
+	}
+
+	/**
+	* Sends a page of older messages to the socket of a member.
+	*
+	* @param {Object} member - member object
+	* @param {string} before - identifier of the oldest message the member has already received
+	* @returns {Promise<void>} promise resolving once the messages have been sent
+	*/
+	async sendHistoryPage( member, before ) {
+		debug( `Send older messages of chat ${this.name} to ${member.email}...` );
+		const { messages, hasMore } = await this.getMessages( before );
+		member.socket.emit( 'chat_history_page', {
+			name: this.name,
+			messages: member.owner ? messages : messages.map( obscureSender ),
+			hasMore
+		});
 	}
 
 	/**
 	* A user already logged in on another browser window or device.
 	*
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the member has joined
 	*/
-	mirrorJoin( member ) {
+	async mirrorJoin( member ) {
 		debug( 'User is already a member of the chat, just create connection and return messages...' );
 		member.socket.join( this.name );
 		if ( member.owner ) {
@@ -54,27 +236,18 @@ class Chat {
 			member.socket.join( this.name+':users' );
 		}
 		member.socket.emit( 'console', 'You, '+member.name+', have successfully joined the chat '+this.name );
-		return member.socket.emit( 'chat_history', {
-			name: this.name,
-			messages: member.owner ? this.messages : this.messages.map( x => {
-				if ( x.anonymous ) {
-					x.user = 'Anonymous';
-					x.picture = DEFAULT_PICTURE;
-				}
-				return x;
-			}),
-			members: this.members
-		});
+		await this.sendHistory( member );
 	}
 
 	/**
 	* A new user is joining the chat.
 	*
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the member has joined
 	*/
-	join( member ) {
+	async join( member ) {
 		debug( `Member ${member.email} is joining the chat...` );
-		if ( contains( this.members.map( m => m.email ), member.email ) ) {
+		if ( await this.isMember( member ) ) {
 			return this.mirrorJoin( member );
 		}
 		const socket = member.socket;
@@ -89,43 +262,29 @@ class Chat {
 			name: this.name,
 			member: member
 		});
-		this.members.push( member );
-		socket.emit( 'chat_history', {
-			name: this.name,
-			messages: member.owner ? this.messages : this.messages.map( x => {
-				if ( x.anonymous ) {
-					x.user = 'Anonymous';
-					x.picture = DEFAULT_PICTURE;
-				}
-				return x;
-			}),
-			members: this.members
-		});
-		this.sendStatistics( socket );
-		debug( `The chat now has ${this.members.length} members.` );
+		await store.setField( this.membersKey, member.email, member.toJSON() );
+		await this.sendHistory( member );
+		await this.sendStatistics( socket );
 	}
 
 	/**
 	* Checks whether a user is a member of the chat.
 	*
 	* @param {Object} user - user object
-	* @returns {boolean} indicates whether user is a member of the chat
+	* @returns {Promise<boolean>} indicates whether user is a member of the chat
 	*/
-	isMember( user ) {
-		for ( let i = 0; i < this.members.length; i++ ) {
-			if ( this.members[ i ].email === user.email ) {
-				return true;
-			}
-		}
-		return false;
+	async isMember( user ) {
+		const members = await store.getFields( this.membersKey );
+		return hasOwnProp( members, user.email );
 	}
 
 	/**
 	* A member is leaving the chat and should be removed.
 	*
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the member has left
 	*/
-	leave( member ) {
+	async leave( member ) {
 		debug( `Member ${member.email} is leaving the chat...` );
 		const socket = member.socket;
 		socket.to( this.name ).emit( 'member_has_left_chat', {
@@ -134,35 +293,37 @@ class Chat {
 		});
 		socket.leave( this.name );
 		socket.emit( 'console', 'You, '+member.name+', have successfully left the chat '+this.name );
-		this.members = this.members.filter( m => m.email !== member.email );
-		this.sendStatistics( socket );
-		debug( `The chat now has ${this.members.length} members.` );
+		await store.deleteField( this.membersKey, member.email );
+		await this.sendStatistics( socket );
 	}
 
 	/**
 	* Removes all members from the chat but leaves the chat intact (e.g, for instructors to browse through the message or restore them).
 	*
 	* @param {Object} socket - instructor socket
+	* @returns {Promise<void>} promise resolving once all members have been removed
 	*/
-	removeAllMembers( socket ) {
+	async removeAllMembers( socket ) {
 		socket.to( this.name ).emit( 'closed_chat', this.name );
-		const members = this.members;
-		for ( let i = 0; i < members.length; i++ ) {
-			const memberSocket = members[ i ].socket;
-			memberSocket.leave( this.name );
-		}
-		this.members = [];
+		this.io.in( this.name ).socketsLeave( this.name );
+		await store.delete( this.membersKey );
 	}
 
 	/**
 	* Sends chat statistics to all members in the room
 	*
 	* @param {Object} socket - socket of joining user
+	* @returns {Promise<void>} promise resolving once the statistics have been sent
 	*/
-	sendStatistics( socket ) {
+	async sendStatistics( socket ) {
+		const nMessages = await ChatMessage.countDocuments({
+			chat: this.name,
+			closed: false
+		});
+		const members = await this.getMembers();
 		const stats = {
-			nMessages: this.messages.length,
-			nMembers: this.members.length,
+			nMessages,
+			nMembers: members.length,
 			name: this.name
 		};
 		socket.to( this.roomName ).emit( 'chat_statistics', stats );
@@ -172,11 +333,22 @@ class Chat {
 	/**
 	* Sends an incoming chat message to all other members of the chat as well as chat statistics all members in the room.
 	*
-	* @param {Object} socket - socket of sender
+	* ## Notes
+	*
+	* -   The sender information of the message is overwritten with the one of the authenticated member.
+	*
+	* @param {Object} member - member sending the message
 	* @param {Object} data - message object
+	* @returns {Promise<void>} promise resolving once the message has been sent
 	*/
-	send( socket, data ) {
+	async send( member, data ) {
 		debug( `Send message to chat ${this.name}...` );
+		const socket = member.socket;
+		if ( data.msg ) {
+			data.msg.user = member.name;
+			data.msg.email = member.email;
+			data.msg.picture = member.picture;
+		}
 
 		// Send unaltered message to owners:
 		socket.to( this.name+':owners' ).emit( 'chat_message', {
@@ -185,48 +357,83 @@ class Chat {
 		});
 
 		// If message should be sent anonymously, obscure sender:
-		const msg = copy( data.msg );
-		if ( msg & msg.anonymous ) {
-			msg.user = 'Anonymous';
-			msg.picture = DEFAULT_PICTURE;
-		}
+		const msg = obscureSender( data.msg );
 		socket.to( this.name+':users' ).emit( 'chat_message', {
 			chatroom: data.chatroom,
 			msg
 		});
-		this.addMessage( data.msg );
-		this.sendStatistics( socket );
+		if ( data.msg ) {
+			await this.addMessage( data.msg, member );
+		}
+		await this.sendStatistics( socket );
 	}
 
 	/**
-	* Attaches an incoming message to the list of messages.
+	* Persists an incoming message.
+	*
+	* ## Notes
+	*
+	* -   The identity of the sender is stored together with the `anonymous` flag of the message, so that anonymous messages remain obscured for students but not for instructors.
 	*
 	* @param {Object} msg - message object
+	* @param {Object} member - member who sent the message
+	* @returns {Promise<void>} promise resolving once the message has been stored
 	*/
-	addMessage( msg ) {
-		if ( this.messages.length >= this.maxNumMessages ) {
-			this.messages.shift();
-		}
-		this.messages.push( msg );
-		debug( `The chat history now contains ${this.messages.length} messages` );
+	async addMessage( msg, member ) {
+		const { namespace, lesson } = await this.getLesson();
+		const data = copy( msg );
+		delete data.user;
+		delete data.email;
+		delete data.picture;
+		await ChatMessage.create({
+			namespace,
+			lesson,
+			chat: this.name,
+			roomName: this.roomName,
+			user: member.id || null,
+			author: member.name,
+			email: member.email,
+			picture: member.picture,
+			content: isString( msg.content ) ? msg.content : '',
+			anonymous: Boolean( msg.anonymous ),
+			data
+		});
+		debug( `Added message to the chat history of ${this.name}` );
 	}
 
 	/**
-	* Resets all messages in the chat room.
+	* Closes the current session of the chat: its messages are no longer sent to members joining the chat but are kept in the database for instructors.
+	*
+	* @returns {Promise<void>} promise resolving once the messages have been closed
 	*/
-	cleanMessages() {
-		this.messages = [];
+	async cleanMessages() {
+		await ChatMessage.updateMany({
+			chat: this.name,
+			closed: false
+		}, { closed: true });
 	}
 
 	/**
-	* @returns {Object} JSON representation of the chat
+	* Removes all state of the chat from the store (persisted messages are retained).
+	*
+	* @returns {Promise<void>} promise resolving once the chat state has been removed
+	*/
+	async clear() {
+		await store.delete( this.membersKey );
+	}
+
+	/**
+	* Returns a description of the chat including the most recent page of its messages.
+	*
+	* @returns {Promise<Object>} chat description
 	*/
-	toJSON() {
+	async describe() {
+		const { messages } = await this.getMessages();
 		return {
 			name: this.name,
 			roomName: this.roomName,
-			maxNumMessages: this.maxNumMessages,
-			messages: this.messages
+			pageSize: this.pageSize,
+			messages
 		};
 	}
 }
@@ -31,17 +31,43 @@
 const isNull = require( '@stdlib/assert/is-null' );
 
 
+// VARIABLES //
+
+const DEFAULT_REPLY_ID_PREFIX = 'reply-';
+
+
 // MAIN //
 
 /**
 * Individual comment left by a user on a document.
 */
 class Comment {
-	constructor({ from, to, text, id }) {
+	constructor({ from, to, text, id, author = null, time = null, replies = [], resolved = false, resolvedBy = null, resolvedAt = null }) {
 		this.from = from;
 		this.to = to;
 		this.text = text;
 		this.id = id;
+		this.author = author;
+		this.time = time;
+		this.replies = replies;
+		this.resolved = resolved;
+		this.resolvedBy = resolvedBy;
+		this.resolvedAt = resolvedAt;
+	}
+
+	/**
+	* Returns the index of the reply with the given identifier.
+	*
+	* @param {string} id - reply identifier
+	* @returns {(integer|null)} index of the reply or `null` if not found
+	*/
+	replyIndex( id ) {
+		for ( let i = 0; i < this.replies.length; i++ ) {
+			if ( this.replies[ i ].id === id ) {
+				return i;
+			}
+		}
+		return null;
 	}
 
 	static fromJSON( json ) {
@@ -51,6 +77,11 @@ class Comment {
 
 /**
 * A document's comments.
+*
+* ## Notes
+*
+* -   Besides `create` and `delete` events, comments support the event types `reply` and `delete_reply` for threaded replies as well as `resolve` and `reopen` for their resolution state.
+* -   Comments may only be deleted, resolved or reopened by their authors and owners of the lesson; replies may only be deleted by their authors and owners of the lesson.
 */
 class Comments {
 	constructor( comments ) {
@@ -73,18 +104,97 @@ class Comments {
 		}
 	}
 
+	/**
+	* Applies a comment event sent by a client.
+	*
+	* ## Notes
+	*
+	* -   Events modifying a comment or reply the sender is not allowed to modify are ignored.
+	*
+	* @param {Object} event - comment event
+	* @param {string} author - client identifier of the user who sent the event
+	* @param {number} time - time of the event (in milliseconds since the epoch)
+	* @param {boolean} [owner=false] - boolean indicating whether the user who sent the event is an owner of the lesson
+	*/
+	apply( event, author, time, owner = false ) {
+		switch ( event.type ) {
+			case 'delete':
+				if ( this.mayModify( event.id, null, author, owner ) ) {
+					this.deleted( event.id );
+				}
+			break;
+			case 'reply':
+				this.replied( event, author, time );
+			break;
+			case 'delete_reply':
+				if ( this.mayModify( event.id, event.replyID, author, owner ) ) {
+					this.replyDeleted( event.id, event.replyID );
+				}
+			break;
+			case 'resolve':
+				if ( this.mayModify( event.id, null, author, owner ) ) {
+					this.resolved( event.id, author, time );
+				}
+			break;
+			case 'reopen':
+				if ( this.mayModify( event.id, null, author, owner ) ) {
+					this.reopened( event.id );
+				}
+			break;
+			default:
+				this.created({ ...event, author, time });
+			break;
+		}
+	}
+
 	created( data ) {
-		this.comments.push( new Comment( data ) );
+		this.comments.push( new Comment({
+			from: data.from,
+			to: data.to,
+			text: data.text,
+			id: data.id,
+			author: data.author,
+			time: data.time
+		}) );
 		this.events.push({ type: 'create', id: data.id });
 		this.version += 1;
 	}
 
+	/**
+	* Returns a boolean indicating whether a user may modify a comment or one of its replies.
+	*
+	* @param {string} id - comment identifier
+	* @param {(string|null)} replyID - reply identifier (`null` for the comment itself)
+	* @param {string} author - client identifier of the user
+	* @param {boolean} owner - boolean indicating whether the user is an owner of the lesson
+	* @returns {boolean} boolean indicating whether the user may modify the comment or reply
+	*/
+	mayModify( id, replyID, author, owner ) {
+		if ( owner ) {
+			return true;
+		}
+		const found = this.index( id );
+		if ( isNull( found ) ) {
+			return false;
+		}
+		const comment = this.comments[ found ];
+		if ( isNull( replyID ) ) {
+			return Boolean( author ) && comment.author === author;
+		}
+		const replyFound = comment.replyIndex( replyID );
+		if ( isNull( replyFound ) ) {
+			return false;
+		}
+		return Boolean( author ) && comment.replies[ replyFound ].author === author;
+	}
+
 	index( id ) {
 		for ( let i = 0; i < this.comments.length; i++ ) {
 			if ( this.comments[ i ].id === id ) {
 				return i;
 			}
 		}
+		return null;
 	}
 
 	deleted( id ) {
@@ -96,24 +206,141 @@ class Comments {
 		}
 	}
 
+	/**
+	* Adds a reply to the thread of a comment.
+	*
+	* ## Notes
+	*
+	* -   If the client did not supply a reply identifier, one is generated and attached to the event so that other server processes replaying the event assign the same identifier.
+	*
+	* @param {Object} event - reply event
+	* @param {string} author - client identifier of the user replying
+	* @param {number} time - time of the reply
+	*/
+	replied( event, author, time ) {
+		const found = this.index( event.id );
+		if ( isNull( found ) ) {
+			return;
+		}
+		const comment = this.comments[ found ];
+		if ( !event.replyID ) {
+			event.replyID = DEFAULT_REPLY_ID_PREFIX + time + '-' + comment.replies.length;
+		}
+		if ( !isNull( comment.replyIndex( event.replyID ) ) ) {
+			return;
+		}
+		comment.replies.push({
+			id: event.replyID,
+			text: event.text,
+			author,
+			time
+		});
+		this.version += 1;
+		this.events.push({ type: 'reply', id: event.id, replyID: event.replyID });
+	}
+
+	replyDeleted( id, replyID ) {
+		const found = this.index( id );
+		if ( isNull( found ) ) {
+			return;
+		}
+		const comment = this.comments[ found ];
+		const replyFound = comment.replyIndex( replyID );
+		if ( !isNull( replyFound ) ) {
+			comment.replies.splice( replyFound, 1 );
+			this.version += 1;
+			this.events.push({ type: 'delete_reply', id, replyID });
+		}
+	}
+
+	resolved( id, author, time ) {
+		const found = this.index( id );
+		if ( !isNull( found ) && !this.comments[ found ].resolved ) {
+			const comment = this.comments[ found ];
+			comment.resolved = true;
+			comment.resolvedBy = author;
+			comment.resolvedAt = time;
+			this.version += 1;
+			this.events.push({ type: 'resolve', id });
+		}
+	}
+
+	reopened( id ) {
+		const found = this.index( id );
+		if ( !isNull( found ) && this.comments[ found ].resolved ) {
+			const comment = this.comments[ found ];
+			comment.resolved = false;
+			comment.resolvedBy = null;
+			comment.resolvedAt = null;
+			this.version += 1;
+			this.events.push({ type: 'reopen', id });
+		}
+	}
+
+	/**
+	* Returns the comment events after the given index.
+	*
+	* ## Notes
+	*
+	* -   `create` events carry the current state of the comment including its replies and resolution state; reply and resolution events for comments created in the same batch are hence omitted.
+	*
+	* @param {integer} startIndex - index of the first event to return
+	* @returns {Array} comment events
+	*/
 	eventsAfter( startIndex ) {
 		const result = [];
+		const created = {};
 		for ( let i = startIndex; i < this.events.length; i++ ) {
 			const event = this.events[ i ];
-			if ( event.type === 'delete' ) {
+			if ( event.type === 'delete' || event.type === 'delete_reply' ) {
 				result.push( event );
-			} else {
-				const found = this.index( event.id );
-				if ( !isNull( found ) ) {
-					const comment = this.comments[ found ];
+				continue;
+			}
+			const found = this.index( event.id );
+			if ( isNull( found ) ) {
+				continue;
+			}
+			const comment = this.comments[ found ];
+			switch ( event.type ) {
+				case 'create':
+					created[ event.id ] = true;
 					result.push({
 						type: 'create',
 						id: event.id,
 						text: comment.text,
 						from: comment.from,
-						to: comment.to
+						to: comment.to,
+						author: comment.author,
+						time: comment.time,
+						replies: comment.replies.slice(),
+						resolved: comment.resolved,
+						resolvedBy: comment.resolvedBy,
+						resolvedAt: comment.resolvedAt
 					});
+				break;
+				case 'reply': {
+					const replyFound = comment.replyIndex( event.replyID );
+					if ( !created[ event.id ] && !isNull( replyFound ) ) {
+						result.push({
+							type: 'reply',
+							id: event.id,
+							reply: comment.replies[ replyFound ]
+						});
+					}
 				}
+				break;
+				case 'resolve':
+				case 'reopen':
+					if ( !created[ event.id ] ) {
+						result.push({
+							type: event.type,
+							id: event.id,
+							resolved: comment.resolved,
+							resolvedBy: comment.resolvedBy,
+							resolvedAt: comment.resolvedAt
+						});
+					}
+				break;
 			}
 		}
 		return result;
@@ -0,0 +1,177 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { ReplaceStep, ReplaceAroundStep } = require( 'prosemirror-transform' );
+const hasOwnProp = require( '@stdlib/assert/has-own-property' );
+const objectKeys = require( '@stdlib/utils/keys' );
+
+
+// VARIABLES //
+
+const ACTIVITY_TIMEOUT = 5 * 60 * 1000; // Edits more than five minutes apart are counted as separate editing sessions
+
+
+// FUNCTIONS //
+
+/**
+* Returns the number of text characters in a range of a document or fragment (ignoring block boundaries and leaf nodes such as images).
+*
+* @private
+* @param {(Node|Fragment)} content - document or fragment
+* @param {integer} from - start position
+* @param {integer} to - end position
+* @returns {integer} number of characters
+*/
+function countText( content, from, to ) {
+	if ( from >= to ) {
+		return 0;
+	}
+	return content.textBetween( from, to, '', '' ).length;
+}
+
+/**
+* Returns the number of characters inserted and deleted by a step.
+*
+* @private
+* @param {Step} step - step
+* @param {Node} doc - document before the step is applied
+* @returns {Object} object with `inserted` and `deleted` character counts
+*/
+function countCharacters( step, doc ) {
+	if ( step instanceof ReplaceStep ) {
+		const content = step.slice.content;
+		return {
+			inserted: countText( content, 0, content.size ),
+			deleted: countText( doc, step.from, step.to )
+		};
+	}
+	if ( step instanceof ReplaceAroundStep ) {
+		const content = step.slice.content;
+		return {
+			inserted: countText( content, 0, content.size ),
+			deleted: countText( doc, step.from, step.gapFrom ) + countText( doc, step.gapTo, step.to )
+		};
+	}
+	// Mark and attribute steps do not change the text of the document:
+	return {
+		inserted: 0,
+		deleted: 0
+	};
+}
+
+
+// MAIN //
+
+/**
+* Contributions of the authors of a document, i.e., the number of inserted and deleted characters, the number of steps, and the active editing time of each author.
+*
+* ## Notes
+*
+* -   Authors are identified by the client identifiers their steps are tagged with, i.e., the email addresses of authenticated users.
+* -   The active editing time of an author is the sum of the time between consecutive edits that are less than five minutes apart.
+*/
+class Contributions {
+	constructor( authors = {} ) {
+		this.authors = authors;
+	}
+
+	/**
+	* Creates contributions from their JSON representation.
+	*
+	* @param {Array} [json=[]] - list of contributions
+	* @returns {Contributions} contributions
+	*/
+	static fromJSON( json = [] ) {
+		const authors = {};
+		for ( let i = 0; i < json.length; i++ ) {
+			// Contributions recorded before authors were identified by email address are keyed by the author's name:
+			const { email, name, ...stats } = json[ i ];
+			authors[ email || name ] = stats;
+		}
+		return new Contributions( authors );
+	}
+
+	/**
+	* Returns the contribution record of an author, creating it if necessary.
+	*
+	* @private
+	* @param {string} clientID - client identifier of the author
+	* @returns {Object} contribution record
+	*/
+	get( clientID ) {
+		if ( !hasOwnProp( this.authors, clientID ) ) {
+			this.authors[ clientID ] = {
+				inserted: 0,
+				deleted: 0,
+				steps: 0,
+				activeTime: 0,
+				lastEdit: null
+			};
+		}
+		return this.authors[ clientID ];
+	}
+
+	/**
+	* Attributes a step to an author.
+	*
+	* @param {string} clientID - client identifier of the author
+	* @param {Step} step - step
+	* @param {Node} doc - document before the step is applied
+	*/
+	addStep( clientID, step, doc ) {
+		const record = this.get( clientID );
+		const { inserted, deleted } = countCharacters( step, doc );
+		record.inserted += inserted;
+		record.deleted += deleted;
+		record.steps += 1;
+	}
+
+	/**
+	* Records that an author has edited the document at the given time.
+	*
+	* @param {string} clientID - client identifier of the author
+	* @param {number} time - time of the edit (in milliseconds since the epoch)
+	*/
+	recordEdit( clientID, time ) {
+		const record = this.get( clientID );
+		if ( record.lastEdit !== null ) {
+			const elapsed = time - record.lastEdit;
+			if ( elapsed > 0 && elapsed < ACTIVITY_TIMEOUT ) {
+				record.activeTime += elapsed;
+			}
+		}
+		record.lastEdit = record.lastEdit === null ? time : Math.max( record.lastEdit, time );
+	}
+
+	/**
+	* @returns {Array} JSON representation of the contributions
+	*/
+	toJSON() {
+		return objectKeys( this.authors ).map( email => {
+			return { email, ...this.authors[ email ] };
+		});
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = Contributions;
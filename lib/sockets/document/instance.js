@@ -28,12 +28,13 @@
 
 // MODULES //
 
-const { Mapping, Step } = require( 'prosemirror-transform' );
-const { Node } = require( 'prosemirror-model' );
+const { Mapping, ReplaceStep, Step } = require( 'prosemirror-transform' );
+const { Node, Slice } = require( 'prosemirror-model' );
 const hasOwnProp = require( '@stdlib/assert/has-own-property' );
 const objectKeys = require( '@stdlib/utils/keys' );
 const isJSON = require( '@stdlib/assert/is-json' );
 const repeat = require( '@stdlib/string/repeat' );
+const startsWith = require( '@stdlib/string/starts-with' );
 const isPlainObject = require( '@stdlib/assert/is-plain-object' );
 const TextEditorDocument = require( '../../models/text_editor_document.js' );
 const debug = require( './../../debug' )( 'sockets:document' );
@@ -41,6 +42,9 @@ const schema = require( './schema.js' );
 const { Comments, Comment } = require( './comments.js' );
 const { compressStepJSON, uncompressStepJSON } = require( './compress' );
 const { Cursors } = require( './cursors.js' );
+const Contributions = require( './contributions.js' );
+const saveSnapshot = require( './snapshots.js' );
+const store = require( './../store' );
 
 
 // VARIABLES //
@@ -51,10 +55,35 @@ const SAVE_INTERVAL = 60000; // Save document instances every minute...
 const MAX_DOC_INSTANCES = 400; // Maximum number of document instances to keep in memory
 const DEFAULT_EDITOR_VALUE = repeat( '\n', 15 );
 const RE_ID_PARTS = /^([^-]+)-([^-]+)-([\s\S]+?)$/;
+const MAX_SHARED_EVENTS = 1000; // Maximum number of event batches kept in the shared store for other server processes
+const ANONYMOUS_CLIENT_PREFIX = 'anonymous-';
+const ANONYMOUS_USER_NAME = 'Anonymous';
 
 
 // FUNCTIONS //
 
+/**
+* Returns the key under which the current version of a document is kept in the shared store.
+*
+* @private
+* @param {string} id - document id
+* @returns {string} store key
+*/
+function versionKey( id ) {
+	return `document:${id}:version`;
+}
+
+/**
+* Returns the key under which the latest event batches of a document are kept in the shared store.
+*
+* @private
+* @param {string} id - document id
+* @returns {string} store key
+*/
+function eventsKey( id ) {
+	return `document:${id}:events`;
+}
+
 /**
 * Merges a sequence of steps into as few steps as possible given the authorship of the steps.
 *
@@ -91,7 +120,7 @@ function mergeSteps( steps ) {
 * Document instance.
 */
 class Instance {
-	constructor({ id, doc, comments, version = 0, steps = [], users = {}}) {
+	constructor({ id, doc, comments, contributions, version = 0, steps = [], users = {}}) {
 		debug( 'Creating document instance...' );
 		this.id = id;
 		if ( isJSON( doc ) ) {
@@ -112,11 +141,14 @@ class Instance {
 			])]);
 		}
 		this.comments = comments || new Comments();
+		this.contributions = contributions || new Contributions();
 		this.version = version; // The version number of the document instance
 		this.steps = steps;
 		this.lastActive = Date.now(); // Last time the instance was loaded
 		this.users = users;
 		this.cursors = new Cursors();
+		this.authors = {}; // Client identifiers (email addresses) of users who have edited the document since the last snapshot
+		this.lastSnapshotTime = null;
 		this.userCount = objectKeys( users ).reduce( ( acc, key ) => {
 			if ( users[ key ].active === true ) {
 				acc += 1;
@@ -131,10 +163,14 @@ class Instance {
 	* @param {number} version - document version
 	* @param {Array} steps - steps array
 	* @param {Array} comments - comment array
-	* @param {string} clientID - id of client
+	* @param {string} clientID - client identifier of the author (see `Member#clientID`)
+	* @param {number} [time=Date.now()] - time at which the steps were sent (in milliseconds since the epoch)
+	* @param {Object} [options] - options
+	* @param {boolean} [options.restore=false] - boolean indicating whether the steps restore an earlier version of the document (and are hence not counted as contributions)
+	* @param {boolean} [options.owner=false] - boolean indicating whether the author is an owner of the lesson (and may hence modify comments of other users)
 	* @returns {(boolean|Object} false if the steps could not be added, otherwise an object containing the version numbers and user counts
 	*/
-	addEvents( version, steps, comments, clientID ) {
+	addEvents( version, steps, comments, clientID, time = Date.now(), { restore = false, owner = false } = {} ) {
 		if ( version < 0 || version > this.version ) {
 			// TODO: When can this happen?
 			debug( 'Invalid version number: '+version );
@@ -143,11 +179,13 @@ class Instance {
 		// Case: version < this.version
 		let doc = this.doc;
 		const maps = [];
+		const docs = [];
 
 		debug( 'Add '+steps.length+' steps to document instance from client '+clientID+'...' );
 		try {
 			for ( let i = 0; i < steps.length; i++ ) {
 				steps[ i ].clientID = clientID;
+				docs.push( doc );
 				const result = steps[ i ].apply( doc );
 				doc = result.doc;
 				maps.push( steps[ i ].getMap() );
@@ -162,6 +200,13 @@ class Instance {
 		}
 		this.doc = doc;
 		this.version += steps.length;
+		if ( clientID && !restore ) {
+			this.authors[ clientID ] = true;
+			for ( let i = 0; i < steps.length; i++ ) {
+				this.contributions.addStep( clientID, steps[ i ], docs[ i ] );
+			}
+			this.contributions.recordEdit( clientID, time );
+		}
 		this.steps = this.steps.concat( steps );
 		if ( this.steps.length > MAX_STEP_HISTORY ) {
 			// TODO: Is this necessary? Investigate whether the current limit is appropriate.
@@ -171,12 +216,7 @@ class Instance {
 		this.cursors.mapThrough( new Mapping( maps ) );
 		if ( comments ) {
 			for ( let i = 0; i < comments.length; i++ ) {
-				const event = comments[i];
-				if ( event.type === 'delete' ) {
-					this.comments.deleted( event.id );
-				} else {
-					this.comments.created( event );
-				}
+				this.comments.apply( comments[ i ], clientID, time, owner );
 			}
 		}
 		debug( 'Scheduled document with id '+this.id+'to be saved to database...' );
@@ -200,7 +240,7 @@ class Instance {
 	* @param {number} version - document version
 	* @param {number} commentVersion - version of comments
 	* @param {number} cursorVersion - version of cursors
-	* @returns {(boolean|Object)} document information or `false`
+	* @returns {(boolean|Object)} document information (including the display names of the authors of the returned steps and cursors) or `false`
 	*/
 	getEvents( version, commentVersion, cursorVersion ) {
 		if ( version < 0 || version > this.version ) {
@@ -216,14 +256,39 @@ class Instance {
 		) {
 			return false;
 		}
+		const steps = this.steps.slice( startIndex );
+		const cursors = this.cursors.getCursors( cursorVersion );
+		const names = {};
+		const clientIDs = steps.map( step => step.clientID ).concat( cursors ? objectKeys( cursors ) : [] );
+		for ( let i = 0; i < clientIDs.length; i++ ) {
+			names[ clientIDs[ i ] ] = this.displayName( clientIDs[ i ] );
+		}
 		return {
-			steps: this.steps.slice( startIndex ),
+			steps,
 			comment: this.comments.eventsAfter( commentStartIndex ),
 			users: this.userCount,
-			cursors: this.cursors.getCursors( cursorVersion )
+			cursors,
+			names
 		};
 	}
 
+	/**
+	* Returns the name to be displayed for the author of steps, comments or cursors.
+	*
+	* @param {string} clientID - client identifier
+	* @returns {string} user name
+	*/
+	displayName( clientID ) {
+		const user = this.users[ clientID ];
+		if ( user && user.name ) {
+			return user.name;
+		}
+		if ( startsWith( String( clientID ), ANONYMOUS_CLIENT_PREFIX ) ) {
+			return ANONYMOUS_USER_NAME;
+		}
+		return clientID;
+	}
+
 	/**
 	* Registers a user with the document instance.
 	*
@@ -235,9 +300,9 @@ class Instance {
 		if ( !this.users[ email ] || !this.users[ email ].active ) {
 			this.users[ email ] = {
 				active: true,
-				id: id
+				id: id,
+				name: name
 			};
-			this.cursors[ name ] = null;
 			this.userCount += 1;
 		}
 	}
@@ -257,9 +322,10 @@ let instanceCount = 0;
 * @param {Object} member - member retrieving the document (to be registered to the instance as a user)
 * @param {Function} hasActiveSocket - function checking whether a user has an active socket connection
 * @param {Object} [doc] - document object used to initialize new document instance (if required)
+* @param {boolean} [reloaded=false] - boolean indicating whether the instance has just been reloaded from the database after failing to synchronize it
 * @returns {Instance} document instance
 */
-async function getInstance( id, member, hasActiveSocket, doc ) {
+async function getInstance( id, member, hasActiveSocket, doc, reloaded = false ) {
 	debug( 'Instance count: '+instanceCount );
 	if ( instanceCount > MAX_DOC_INSTANCES ) {
 		const toRemove = instanceCount - MAX_DOC_INSTANCES;
@@ -284,23 +350,25 @@ async function getInstance( id, member, hasActiveSocket, doc ) {
 		const [ _, namespaceID, lessonID, componentID ] = RE_ID_PARTS.exec( id );
 		const textDocument = await TextEditorDocument
 			.findOne({ id: componentID, namespace: namespaceID, lesson: lessonID })
-			.populate( 'users', [ 'email' ])
+			.populate( 'users', [ 'email', 'name' ])
 			.exec();
 		if ( textDocument ) {
 			const users = {};
 			for ( let i = 0; i < textDocument.users.length; i++ ) {
 				const email = textDocument.users[ i ].email;
-				const isActive = hasActiveSocket( email );
+				const isActive = await hasActiveSocket( email );
 				debug( `Registering user ${email} as ${isActive ? 'active' : 'inactive'} to document instance ${id}...` );
 				users[ email ] = {
 					active: isActive,
-					id: textDocument.users[ i ]._id
+					id: textDocument.users[ i ]._id,
+					name: textDocument.users[ i ].name
 				};
 			}
 			inst = newInstance({
 				id,
 				doc: schema.nodeFromJSON( textDocument.doc || doc ), // Use sent document if the document in the database is empty...
 				comments: new Comments( textDocument.comments.map( c => Comment.fromJSON( c ) ) ),
+				contributions: Contributions.fromJSON( textDocument.contributions ),
 				steps: textDocument.steps.map( json => {
 					json = uncompressStepJSON( json );
 					let out = Step.fromJSON( schema, json );
@@ -315,6 +383,13 @@ async function getInstance( id, member, hasActiveSocket, doc ) {
 			inst = newInstance({ id, doc });
 		}
 	}
+	const synced = await syncInstance( inst );
+	if ( !synced && !reloaded ) {
+		debug( `Document instance "${id}" could not be synchronized, reload it from the database...` );
+		delete instances[ id ];
+		instanceCount -= 1;
+		return getInstance( id, member, hasActiveSocket, doc, true );
+	}
 	if ( member && member.email && member.name ) {
 		inst.registerUser( member.email, member.name, member.id );
 	}
@@ -322,12 +397,127 @@ async function getInstance( id, member, hasActiveSocket, doc ) {
 	return inst;
 }
 
+/**
+* Applies the events of other server processes to a document instance so that it reflects the latest shared version.
+*
+* ## Notes
+*
+* -   For the in-memory store, the instance is always up-to-date as there is only a single server process.
+*
+* @param {Instance} inst - document instance
+* @returns {Promise<boolean>} boolean indicating whether the instance could be brought up-to-date (`false` if the required events are no longer available)
+*/
+async function syncInstance( inst ) {
+	if ( !store.isDistributed ) {
+		return true;
+	}
+	const sharedVersion = await store.get( versionKey( inst.id ) );
+	if ( sharedVersion === null || sharedVersion <= inst.version ) {
+		return true;
+	}
+	debug( `Synchronizing document instance "${inst.id}" from version ${inst.version} to ${sharedVersion}...` );
+	const events = await store.range( eventsKey( inst.id ) );
+	const pending = events.filter( e => e.version > inst.version );
+	if ( pending.length === 0 || pending[ 0 ].from !== inst.version ) {
+		debug( `Events required to synchronize document instance "${inst.id}" are no longer available...` );
+		return false;
+	}
+	for ( let i = 0; i < pending.length; i++ ) {
+		const event = pending[ i ];
+		const steps = event.steps.map( json => Step.fromJSON( schema, uncompressStepJSON( json ) ) );
+		if ( !inst.addEvents( inst.version, steps, event.comments, event.clientID, event.time, {
+			restore: event.restore,
+			owner: event.owner
+		}) ) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+* Adds steps from a user to the document instance and shares them with other server processes.
+*
+* ## Notes
+*
+* -   The new version of the document is claimed in the shared store before the steps are applied; if another server process has claimed it first, the steps are rejected in the same way as steps for an outdated version.
+*
+* @param {Instance} inst - document instance
+* @param {number} version - document version
+* @param {Array} steps - steps array
+* @param {Array} comments - comment array
+* @param {string} clientID - client identifier of the author
+* @param {Object} [options] - options
+* @param {boolean} [options.restore=false] - boolean indicating whether the steps restore an earlier version of the document
+* @param {boolean} [options.owner=false] - boolean indicating whether the author is an owner of the lesson
+* @returns {Promise<(boolean|Object)>} false if the steps could not be added, otherwise an object containing the version numbers and user counts
+*/
+async function addSharedEvents( inst, version, steps, comments, clientID, { restore = false, owner = false } = {} ) {
+	const time = Date.now();
+	if ( !store.isDistributed ) {
+		return inst.addEvents( version, steps, comments, clientID, time, { restore, owner });
+	}
+	const from = inst.version;
+	const key = versionKey( inst.id );
+	const sharedVersion = await store.get( key );
+	if ( sharedVersion !== null && sharedVersion !== from ) {
+		debug( `Document instance "${inst.id}" is behind the shared version (${from} vs. ${sharedVersion})...` );
+		return false;
+	}
+	const claimed = await store.setIfEqual( key, sharedVersion, from + steps.length );
+	if ( !claimed ) {
+		return false;
+	}
+	const result = inst.version === from ? inst.addEvents( version, steps, comments, clientID, time, { restore, owner }) : false;
+	if ( !result ) {
+		// Release the claimed version as the steps could not be applied:
+		await store.setIfEqual( key, from + steps.length, from );
+		return false;
+	}
+	await store.push( eventsKey( inst.id ), {
+		from,
+		version: inst.version,
+		clientID,
+		time,
+		restore,
+		owner,
+		comments: comments || null,
+		steps: steps.map( step => compressStepJSON( step.toJSON() ) )
+	}, MAX_SHARED_EVENTS );
+	return result;
+}
+
+/**
+* Restores the content of a document to an earlier state by replacing its entire content in a single step.
+*
+* ## Notes
+*
+* -   As the restore is applied as a regular step, it is shared with other server processes and picked up by clients when polling for collaborative editing events.
+* -   The step is not counted towards the contributions of the user restoring the document.
+*
+* @param {string} id - document id
+* @param {Object} doc - document data as a JSON object
+* @param {string} clientID - email address of the user restoring the document
+* @param {Function} hasActiveSocket - function checking whether a user has an active socket connection
+* @returns {Promise<(boolean|Object)>} false if the document could not be restored, otherwise an object containing the document instance and the result of adding the step
+*/
+async function restoreDocument( id, doc, clientID, hasActiveSocket ) {
+	const inst = await getInstance( id, null, hasActiveSocket );
+	const target = schema.nodeFromJSON( doc );
+	const step = new ReplaceStep( 0, inst.doc.content.size, new Slice( target.content, 0, 0 ) );
+	const result = await addSharedEvents( inst, inst.version, [ step ], null, clientID, { restore: true });
+	if ( !result ) {
+		return false;
+	}
+	return { inst, result };
+}
+
 /**
 * Removes a user from all instances.
 *
 * @param {Object} member - user object
 * @param {string} member.email - user email
-* @param {string} member.name - user name
+* @param {string} member.clientID - client identifier of the user
 * @returns {void}
 */
 function removeFromInstances( member ) {
@@ -336,7 +526,7 @@ function removeFromInstances( member ) {
 		const inst = instances[ keys[ i ] ];
 		if ( inst.users[ member.email ] && inst.users[ member.email ].active ) {
 			inst.users[ member.email ].active = false;
-			inst.cursors.remove( member.name );
+			inst.cursors.remove( member.clientID );
 			inst.userCount -= 1;
 		}
 	}
@@ -349,13 +539,14 @@ function removeFromInstances( member ) {
 * @param {string} options.id - instance id
 * @param {Object} options.doc - ProseMirror document object
 * @param {Array} options.comments - array of comments
+* @param {Contributions} options.contributions - contributions of the document's authors
 * @param {Array} options.steps - array of steps that have been applied to the document
 * @param {number} options.version - current document version
 * @param {Object} options.users - object mapping user emails to user objects
 * @returns {Object} document instance
 */
-function newInstance({ id, doc, comments, steps, version, users }) {
-	instances[ id ] = new Instance({ id, doc, comments, steps, version, users });
+function newInstance({ id, doc, comments, contributions, steps, version, users }) {
+	instances[ id ] = new Instance({ id, doc, comments, contributions, steps, version, users });
 	instanceCount += 1;
 	return instances[ id ];
 }
@@ -404,6 +595,15 @@ async function saveToDatabase() {
 		const docId = keys[ i ];
 		delete instancesToSave[ docId ];
 		const instance = instances[ docId ];
+		if ( !instance ) {
+			continue;
+		}
+		try {
+			// Make sure not to overwrite newer versions saved by other server processes:
+			await syncInstance( instance );
+		} catch ( err ) {
+			debug( `Document instance couldn't be synchronized. Error message: ${err.message}.` );
+		}
 
 		const [ _, namespaceID, lessonID, componentID ] = RE_ID_PARTS.exec( instance.id );
 		const users = [];
@@ -426,6 +626,7 @@ async function saveToDatabase() {
 			namespace: namespaceID,
 			lesson: lessonID,
 			comments: instance.comments.comments,
+			contributions: instance.contributions.toJSON(),
 			steps: mergeSteps( instance.steps ).map( step => {
 				let out = step.toJSON();
 				out.clientID = step.clientID;
@@ -443,12 +644,19 @@ async function saveToDatabase() {
 		} catch ( err ) {
 			debug( `Document couldn't be updated in database. Error message: ${err.message}.` );
 		}
+		try {
+			await saveSnapshot( instance, { id: componentID, namespace: namespaceID, lesson: lessonID });
+		} catch ( err ) {
+			debug( `Snapshot of document couldn't be saved. Error message: ${err.message}.` );
+		}
 	}
 }
 
 
 // EXPORTS //
 
+exports.addSharedEvents = addSharedEvents;
+
 exports.getInstance = getInstance;
 
 exports.instanceInfo = instanceInfo;
@@ -456,3 +664,7 @@ exports.instanceInfo = instanceInfo;
 exports.saveToDatabase = saveToDatabase;
 
 exports.removeFromInstances = removeFromInstances;
+
+exports.restoreDocument = restoreDocument;
+
+exports.syncInstance = syncInstance;
@@ -0,0 +1,190 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const objectKeys = require( '@stdlib/utils/keys' );
+const escapeRegExpString = require( '@stdlib/utils/escape-regexp-string' );
+const debug = require( './../../debug' )( 'sockets:document' );
+const User = require( './../../models/user.js' );
+const mailer = require( './../../mailer' );
+const { NOTIFICATIONS_EMAIL, SERVER_HOST_NAME } = require( './../../constants.js' );
+
+
+// VARIABLES //
+
+const MENTION_EVENT_TYPES = [ 'create', 'reply' ];
+
+
+// FUNCTIONS //
+
+/**
+* Returns a regular expression matching a mention of the given name or email address.
+*
+* @private
+* @param {string} str - name or email address
+* @returns {RegExp} regular expression
+*/
+function mentionRegExp( str ) {
+	return new RegExp( '(^|[^\\p{L}\\p{N}_.@])@'+escapeRegExpString( str )+'(?![\\p{L}\\p{N}_@]|\\.[\\p{L}\\p{N}])', 'giu' );
+}
+
+/**
+* Returns the users mentioned via `@name` or `@email` in a text.
+*
+* ## Notes
+*
+* -   Candidates are matched by decreasing length of their names so that a mention of `@Jane Doe` is not also attributed to a user named `Jane`.
+*
+* @param {string} text - comment or reply text
+* @param {Array<Object>} candidates - users that can be mentioned (objects with `name` and `email` properties)
+* @returns {Array<Object>} mentioned users
+*
+* @example
+* const mentioned = extractMentions( 'Thanks @Jane Doe!', [ { name: 'Jane Doe', email: 'jane@isledocs.com' } ]);
+* // returns [ { name: 'Jane Doe', email: 'jane@isledocs.com' } ]
+*/
+function extractMentions( text, candidates ) {
+	if ( !text || !candidates ) {
+		return [];
+	}
+	const sorted = candidates.slice().sort( ( a, b ) => {
+		return ( b.name || '' ).length - ( a.name || '' ).length;
+	});
+	const out = [];
+	const seen = {};
+	for ( let i = 0; i < sorted.length; i++ ) {
+		const { name, email } = sorted[ i ];
+		if ( !email || seen[ email ] ) {
+			continue;
+		}
+		let mentioned = false;
+		const patterns = name ? [ email, name ] : [ email ];
+		for ( let j = 0; j < patterns.length; j++ ) {
+			const re = mentionRegExp( patterns[ j ] );
+			if ( re.test( text ) ) {
+				mentioned = true;
+
+				// Remove the mention so that it cannot match users whose names are prefixes of this user's name:
+				text = text.replace( re, '$1' );
+			}
+		}
+		if ( mentioned ) {
+			seen[ email ] = true;
+			out.push( sorted[ i ] );
+		}
+	}
+	return out;
+}
+
+/**
+* Returns the users who can be mentioned in comments on the given document, i.e. its users and the current members of the room.
+*
+* @private
+* @param {Object} inst - document instance
+* @param {Object} room - room of the document
+* @returns {Promise<Array>} users with `name` and `email` properties
+*/
+async function mentionCandidates( inst, room ) {
+	const members = await room.getMembers();
+	const users = await User.find({
+		email: { $in: objectKeys( inst.users ) }
+	}, { name: 1, email: 1 });
+	return members.map( m => ({ name: m.name, email: m.email }) )
+		.concat( users.map( u => ({ name: u.name, email: u.email }) ) );
+}
+
+
+// MAIN //
+
+/**
+* Notifies users mentioned in new comments or replies.
+*
+* ## Notes
+*
+* -   Mentioned users with an active socket connection receive a `document_comment_mention` event via the room; all others are notified by email.
+* -   Users mentioning themselves are not notified.
+*
+* @param {Object} options - function options
+* @param {Object} options.room - room of the document
+* @param {Object} options.inst - document instance
+* @param {string} options.docID - document identifier
+* @param {Object} options.member - member who sent the comment events
+* @param {Array} options.events - comment events
+* @returns {Promise<Array>} email addresses of the notified users
+*/
+async function notifyMentions({ room, inst, docID, member, events }) {
+	const texts = events.filter( e => MENTION_EVENT_TYPES.includes( e.type || 'create' ) && e.text );
+	if ( texts.length === 0 ) {
+		return [];
+	}
+	const candidates = await mentionCandidates( inst, room );
+	const notified = [];
+	for ( let i = 0; i < texts.length; i++ ) {
+		const event = texts[ i ];
+		const mentioned = extractMentions( event.text, candidates );
+		for ( let j = 0; j < mentioned.length; j++ ) {
+			const user = mentioned[ j ];
+			if ( user.email === member.email ) {
+				continue;
+			}
+			const mention = {
+				docID,
+				commentID: event.id,
+				replyID: event.replyID || null,
+				author: member.name,
+				text: event.text
+			};
+			const online = await room.memberHasActiveSocket( user.email );
+			if ( online ) {
+				room.emitToEmail( user.email, 'document_comment_mention', mention );
+			} else if ( mailer.active ) {
+				debug( `Notify ${user.email} about mention in document ${docID} by email...` );
+				const recipient = await User.findOne({ email: user.email }, { locale: 1 }).lean();
+
+				// The comment text is HTML-escaped by the outbox when translating the email:
+				mailer.send({
+					'from': NOTIFICATIONS_EMAIL,
+					'to': user.email,
+					'translation': {
+						'subject': 'comment-mention-subject',
+						'text': 'comment-mention-email',
+						'data': {
+							user: user.name,
+							author: member.name,
+							lesson: room.name,
+							text: event.text
+						}
+					},
+					'locale': recipient && recipient.locale ? recipient.locale : void 0,
+					'link': SERVER_HOST_NAME
+				}, debug );
+			}
+			notified.push( user.email );
+		}
+	}
+	return notified;
+}
+
+
+// EXPORTS //
+
+exports.notifyMentions = notifyMentions;
+
+exports.extractMentions = extractMentions;
@@ -0,0 +1,345 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { readFile } = require( 'fs/promises' );
+const { extname, join, resolve, sep } = require( 'path' );
+const { Node } = require( 'prosemirror-model' );
+const isPlainObject = require( '@stdlib/assert/is-plain-object' );
+const objectKeys = require( '@stdlib/utils/keys' );
+const { MEDIA_DIRECTORY, PUBLIC_MEDIA_DIRECTORIES, SERVER_HOST_NAME } = require( './../../../constants.js' );
+const debug = require( './../../../debug' )( 'sockets:document' );
+const escapeHTML = require( './../../../utils/escape_html.js' );
+const schema = require( './../schema.js' );
+
+
+// VARIABLES //
+
+const IMAGE_MIME_TYPES = {
+	'.gif': 'image/gif',
+	'.jpeg': 'image/jpeg',
+	'.jpg': 'image/jpeg',
+	'.png': 'image/png',
+	'.svg': 'image/svg+xml',
+	'.webp': 'image/webp'
+};
+const VOID_ELEMENTS = new Set([ 'br', 'hr', 'img' ]);
+const STYLES = `
+body {
+	font-family: "Open Sans", "Helvetica Neue", Arial, sans-serif;
+	line-height: 1.5;
+	margin: 0 auto;
+	max-width: 50em;
+	padding: 2em;
+}
+img {
+	max-width: 100%;
+}
+table {
+	border-collapse: collapse;
+	margin: 1em 0;
+}
+td, th {
+	border: 1px solid #ccc;
+	padding: 0.25em 0.5em;
+}
+legend {
+	font-style: italic;
+	text-align: center;
+}
+.plot {
+	display: block;
+	text-align: center;
+}
+.footnotes {
+	font-size: 0.9em;
+}
+@page {
+	margin: 2cm;
+}
+@media print {
+	body {
+		max-width: none;
+		padding: 0;
+	}
+	h1, h2, h3, h4, h5, h6 {
+		break-after: avoid;
+	}
+	img, table, pre, blockquote {
+		break-inside: avoid;
+	}
+}
+`;
+
+
+// FUNCTIONS //
+
+/**
+* Serializes an object of attributes, omitting attributes with empty values.
+*
+* @private
+* @param {Object} attrs - attributes
+* @returns {string} serialized attributes
+*/
+function serializeAttrs( attrs ) {
+	let out = '';
+	const keys = objectKeys( attrs );
+	for ( let i = 0; i < keys.length; i++ ) {
+		const value = attrs[ keys[ i ] ];
+		if ( value === null || value === void 0 || value === '' || typeof value === 'object' ) {
+			continue;
+		}
+		out += ` ${keys[ i ]}="${escapeHTML( value )}"`;
+	}
+	return out;
+}
+
+/**
+* Renders a ProseMirror DOM output specification (as returned by the `toDOM` methods of the schema) to an HTML string.
+*
+* ## Notes
+*
+* -   The content is inserted at the position of the hole (`0`) or, if the specification has no hole, into its outermost element.
+*
+* @private
+* @param {(string|Array)} spec - DOM output specification
+* @param {string} content - HTML of the content
+* @returns {string} HTML string
+*/
+function renderSpec( spec, content ) {
+	let filled = false;
+	function render( structure, isRoot ) {
+		if ( typeof structure === 'string' ) {
+			return escapeHTML( structure );
+		}
+		if ( structure === null || structure === void 0 ) {
+			return '';
+		}
+		const tag = structure[ 0 ];
+		let start = 1;
+		let attrs = {};
+		if ( structure[ 1 ] === null || isPlainObject( structure[ 1 ] ) ) {
+			attrs = structure[ 1 ] || {};
+			start = 2;
+		}
+		if ( VOID_ELEMENTS.has( tag ) ) {
+			return `<${tag}${serializeAttrs( attrs )}>`;
+		}
+		let inner = '';
+		for ( let i = start; i < structure.length; i++ ) {
+			if ( structure[ i ] === 0 ) {
+				inner += content;
+				filled = true;
+			} else {
+				inner += render( structure[ i ], false );
+			}
+		}
+		if ( isRoot && !filled ) {
+			inner += content;
+		}
+		return `<${tag}${serializeAttrs( attrs )}>${inner}</${tag}>`;
+	}
+	return render( spec, true );
+}
+
+/**
+* Returns the source of an image to be used in an exported document.
+*
+* ## Notes
+*
+* -   Images served to anyone from the public subdirectories of the media directory (e.g., avatars and logos) are embedded as data URLs so that the exported document is self-contained; all other sources, including uploaded files which require an access check, are returned unchanged.
+*
+* @private
+* @param {string} src - image source
+* @returns {Promise<string>} image source
+*/
+async function embedImage( src ) {
+	if ( !src || src.startsWith( 'data:' ) ) {
+		return src;
+	}
+	let path;
+	if ( SERVER_HOST_NAME && src.startsWith( SERVER_HOST_NAME ) ) {
+		path = src.slice( SERVER_HOST_NAME.length );
+	} else if ( src.startsWith( '/' ) && !src.startsWith( '//' ) ) {
+		path = src;
+	} else {
+		return src;
+	}
+	path = path.split( /[?#]/ )[ 0 ];
+	const mimeType = IMAGE_MIME_TYPES[ extname( path ).toLowerCase() ];
+	if ( !mimeType ) {
+		return src;
+	}
+	let filePath;
+	try {
+		filePath = resolve( MEDIA_DIRECTORY, '.'+decodeURIComponent( path ) );
+	} catch ( err ) {
+		return src;
+	}
+	const isPublic = PUBLIC_MEDIA_DIRECTORIES.some( dir => filePath.startsWith( join( MEDIA_DIRECTORY, dir )+sep ) );
+	if ( !isPublic ) {
+		return src;
+	}
+	try {
+		const data = await readFile( filePath );
+		return `data:${mimeType};base64,${data.toString( 'base64' )}`;
+	} catch ( err ) {
+		debug( `Image ${src} could not be embedded: ${err.message}` );
+		return src;
+	}
+}
+
+/**
+* Serializes a text node including its marks.
+*
+* @private
+* @param {Node} node - text node
+* @returns {string} HTML string
+*/
+function serializeText( node ) {
+	let out = escapeHTML( node.text );
+	for ( let i = node.marks.length - 1; i >= 0; i-- ) {
+		const mark = node.marks[ i ];
+		out = renderSpec( mark.type.spec.toDOM( mark, true ), out );
+	}
+	return out;
+}
+
+/**
+* Serializes the children of a node.
+*
+* @private
+* @param {Node} node - parent node
+* @param {Object} state - serialization state
+* @returns {Promise<string>} HTML string
+*/
+async function serializeContent( node, state ) {
+	let out = '';
+	for ( let i = 0; i < node.childCount; i++ ) {
+		out += await serializeNode( node.child( i ), state );
+	}
+	return out;
+}
+
+/**
+* Serializes a node.
+*
+* @private
+* @param {Node} node - node
+* @param {Object} state - serialization state
+* @param {Array<string>} state.footnotes - HTML of the footnotes encountered so far
+* @returns {Promise<string>} HTML string
+*/
+async function serializeNode( node, state ) {
+	switch ( node.type.name ) {
+	case 'text':
+		return serializeText( node );
+	case 'footnote': {
+		state.footnotes.push( await serializeContent( node, state ) );
+		const n = state.footnotes.length;
+		return `<sup class="footnote-ref"><a href="#fn-${n}" id="fnref-${n}">${n}</a></sup>`;
+	}
+	case 'image':
+	case 'plot':
+	case 'plotContainer': {
+		const { alt, title, width, height } = node.attrs;
+		const src = await embedImage( node.attrs.src );
+		const img = `<img${serializeAttrs({ src, alt, title, width, height })}>`;
+		if ( node.type.name === 'image' ) {
+			return img;
+		}
+		return `<span class="plot">${img}</span>`;
+	}
+	default: {
+		const content = await serializeContent( node, state );
+		return renderSpec( node.type.spec.toDOM( node ), content );
+	}
+	}
+}
+
+/**
+* Serializes the collected footnotes as a numbered list.
+*
+* @private
+* @param {Array<string>} footnotes - HTML of the footnotes
+* @returns {string} HTML string
+*/
+function serializeFootnotes( footnotes ) {
+	if ( footnotes.length === 0 ) {
+		return '';
+	}
+	let out = '<section class="footnotes"><hr><ol>';
+	for ( let i = 0; i < footnotes.length; i++ ) {
+		const n = i + 1;
+		out += `<li id="fn-${n}">${footnotes[ i ]} <a href="#fnref-${n}">&#8617;</a></li>`;
+	}
+	out += '</ol></section>';
+	return out;
+}
+
+
+// MAIN //
+
+/**
+* Converts a text editor document to a standalone HTML page suitable for printing to PDF.
+*
+* ## Notes
+*
+* -   Images served to anyone by this server (e.g., avatars and logos) are embedded as data URLs.
+* -   Footnotes are numbered consecutively and listed at the end of the document.
+*
+* @param {(Object|Node)} doc - document as a JSON object or ProseMirror node
+* @param {Object} [options] - options
+* @param {string} [options.title=''] - document title
+* @param {string} [options.language='en'] - document language
+* @returns {Promise<string>} HTML string
+*/
+async function toHTML( doc, { title = '', language = 'en' } = {} ) {
+	if ( !( doc instanceof Node ) ) {
+		doc = schema.nodeFromJSON( doc );
+	}
+	const state = {
+		footnotes: []
+	};
+	const body = await serializeContent( doc, state );
+	return [
+		'<!DOCTYPE html>',
+		`<html lang="${escapeHTML( language )}">`,
+		'<head>',
+		'<meta charset="utf-8">',
+		'<meta name="viewport" content="width=device-width, initial-scale=1">',
+		`<title>${escapeHTML( title )}</title>`,
+		`<style>${STYLES}</style>`,
+		'</head>',
+		'<body>',
+		'<article>',
+		body,
+		serializeFootnotes( state.footnotes ),
+		'</article>',
+		'</body>',
+		'</html>',
+		''
+	].join( '\n' );
+}
+
+
+// EXPORTS //
+
+module.exports = toHTML;
@@ -0,0 +1,36 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const setReadOnly = require( '@stdlib/utils/define-read-only-property' );
+const toHTML = require( './html.js' );
+const toMarkdown = require( './markdown.js' );
+
+
+// MAIN //
+
+const main = {};
+setReadOnly( main, 'toHTML', toHTML );
+setReadOnly( main, 'toMarkdown', toMarkdown );
+
+
+// EXPORTS //
+
+module.exports = main;
@@ -0,0 +1,276 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { Node } = require( 'prosemirror-model' );
+const repeat = require( '@stdlib/string/repeat' );
+const schema = require( './../schema.js' );
+
+
+// VARIABLES //
+
+const RE_MARKDOWN_SPECIAL = /[\\`*_[\]<>~|#]/g;
+const RE_LINE_START_SPECIAL = /^(\s*)([-+]|\d+\.)(?=\s|$)/gm;
+const RE_LEADING_WHITESPACE = /^\s*/;
+const RE_TRAILING_WHITESPACE = /\s*$/;
+const RE_NEWLINES = /\n/g;
+const RE_LINK_DESTINATION = /[()\s]/g;
+
+// Delimiters of marks which have a Markdown (or inline HTML) equivalent; all other marks (e.g., font size or text color) are dropped:
+const MARK_DELIMITERS = {
+	strong: [ '**', '**' ],
+	em: [ '*', '*' ],
+	code: [ '`', '`' ],
+	strikethrough: [ '~~', '~~' ],
+	underline: [ '<u>', '</u>' ],
+	subscript: [ '<sub>', '</sub>' ],
+	superscript: [ '<sup>', '</sup>' ]
+};
+
+
+// FUNCTIONS //
+
+/**
+* Escapes characters with a special meaning in Markdown.
+*
+* @private
+* @param {string} str - input string
+* @returns {string} escaped string
+*/
+function escapeMarkdown( str ) {
+	return str
+		.replace( RE_MARKDOWN_SPECIAL, '\\$&' )
+		.replace( RE_LINE_START_SPECIAL, '$1\\$2' );
+}
+
+/**
+* Prefixes all lines of a string (trailing whitespace of the prefix is omitted for empty lines).
+*
+* @private
+* @param {string} str - input string
+* @param {string} first - prefix of the first line
+* @param {string} [rest=first] - prefix of all other lines
+* @returns {string} prefixed string
+*/
+function prefixLines( str, first, rest = first ) {
+	return str
+		.split( '\n' )
+		.map( ( line, i ) => {
+			const prefix = i === 0 ? first : rest;
+			return line ? prefix + line : prefix.trimEnd();
+		})
+		.join( '\n' );
+}
+
+/**
+* Serializes a text node including its marks.
+*
+* ## Notes
+*
+* -   Leading and trailing whitespace is moved outside of the mark delimiters, as Markdown does not recognize delimiters adjacent to whitespace.
+*
+* @private
+* @param {Node} node - text node
+* @returns {string} Markdown string
+*/
+function serializeText( node ) {
+	const isCode = node.marks.some( mark => mark.type.name === 'code' );
+	let text = isCode ? node.text : escapeMarkdown( node.text );
+	const leading = RE_LEADING_WHITESPACE.exec( text )[ 0 ];
+	if ( leading.length === text.length ) {
+		return text;
+	}
+	const trailing = RE_TRAILING_WHITESPACE.exec( text )[ 0 ];
+	text = text.slice( leading.length, text.length - trailing.length );
+	for ( let i = node.marks.length - 1; i >= 0; i-- ) {
+		const mark = node.marks[ i ];
+		if ( mark.type.name === 'link' ) {
+			const href = ( mark.attrs.href || '' ).replace( RE_LINK_DESTINATION, encodeURIComponent );
+			text = `[${text}](${href})`;
+		}
+		else if ( MARK_DELIMITERS[ mark.type.name ] ) {
+			const [ open, close ] = MARK_DELIMITERS[ mark.type.name ];
+			text = open + text + close;
+		}
+	}
+	return leading + text + trailing;
+}
+
+/**
+* Serializes the inline content of a node.
+*
+* @private
+* @param {Node} node - parent node
+* @param {Object} state - serialization state
+* @returns {string} Markdown string
+*/
+function serializeInline( node, state ) {
+	let out = '';
+	for ( let i = 0; i < node.childCount; i++ ) {
+		const child = node.child( i );
+		switch ( child.type.name ) {
+		case 'text':
+			out += serializeText( child );
+			break;
+		case 'hard_break':
+			out += '\\\n';
+			break;
+		case 'footnote':
+			state.footnotes.push( serializeInline( child, state ) );
+			out += `[^${state.footnotes.length}]`;
+			break;
+		case 'image':
+		case 'plot':
+		case 'plotContainer': {
+			const alt = escapeMarkdown( child.attrs.alt || '' );
+			const src = ( child.attrs.src || '' ).replace( RE_LINK_DESTINATION, encodeURIComponent );
+			out += `![${alt}](${src})`;
+			break;
+		}
+		default:
+			out += serializeInline( child, state );
+		}
+	}
+	return out;
+}
+
+/**
+* Serializes the block children of a node, separating them by blank lines.
+*
+* @private
+* @param {Node} node - parent node
+* @param {Object} state - serialization state
+* @returns {string} Markdown string
+*/
+function serializeBlocks( node, state ) {
+	const blocks = [];
+	for ( let i = 0; i < node.childCount; i++ ) {
+		blocks.push( serializeBlock( node.child( i ), state ) );
+	}
+	return blocks.join( '\n\n' );
+}
+
+/**
+* Serializes a table as a GitHub-flavored Markdown table using its first row as the header.
+*
+* @private
+* @param {Node} node - table node
+* @param {Object} state - serialization state
+* @returns {string} Markdown string
+*/
+function serializeTable( node, state ) {
+	const rows = [];
+	node.forEach( row => {
+		const cells = [];
+		row.forEach( cell => {
+			const content = serializeBlocks( cell, state );
+			cells.push( content.replace( RE_NEWLINES, '<br>' ) );
+		});
+		rows.push( '| ' + cells.join( ' | ' ) + ' |' );
+	});
+	if ( rows.length === 0 ) {
+		return '';
+	}
+	const nColumns = node.firstChild.childCount;
+	rows.splice( 1, 0, '|' + repeat( ' --- |', nColumns ) );
+	return rows.join( '\n' );
+}
+
+/**
+* Serializes a block node.
+*
+* @private
+* @param {Node} node - block node
+* @param {Object} state - serialization state
+* @param {Array<string>} state.footnotes - Markdown of the footnotes encountered so far
+* @returns {string} Markdown string
+*/
+function serializeBlock( node, state ) {
+	switch ( node.type.name ) {
+	case 'paragraph':
+		return serializeInline( node, state );
+	case 'heading':
+		return repeat( '#', node.attrs.level || 1 ) + ' ' + serializeInline( node, state );
+	case 'figureCaption':
+	case 'tableCaption': {
+		const caption = serializeInline( node, state );
+		return caption ? `*${caption}*` : '';
+	}
+	case 'blockquote':
+		return prefixLines( serializeBlocks( node, state ), '> ' );
+	case 'code_block':
+		return '```\n' + node.textContent + '\n```';
+	case 'horizontal_rule':
+		return '---';
+	case 'bullet_list': {
+		const items = [];
+		node.forEach( item => {
+			items.push( prefixLines( serializeBlocks( item, state ), '- ', '  ' ) );
+		});
+		return items.join( '\n' );
+	}
+	case 'ordered_list': {
+		const items = [];
+		const start = node.attrs.order || 1;
+		node.forEach( ( item, _, i ) => {
+			const marker = `${start+i}. `;
+			items.push( prefixLines( serializeBlocks( item, state ), marker, repeat( ' ', marker.length ) ) );
+		});
+		return items.join( '\n' );
+	}
+	case 'table':
+		return serializeTable( node, state );
+	default:
+		return node.isTextblock ? serializeInline( node, state ) : serializeBlocks( node, state );
+	}
+}
+
+
+// MAIN //
+
+/**
+* Converts a text editor document to Markdown.
+*
+* ## Notes
+*
+* -   Footnotes are numbered consecutively and their definitions are appended to the end of the document.
+* -   Formatting without a Markdown equivalent (e.g., font sizes and text colors) is dropped.
+*
+* @param {(Object|Node)} doc - document as a JSON object or ProseMirror node
+* @returns {string} Markdown string
+*/
+function toMarkdown( doc ) {
+	if ( !( doc instanceof Node ) ) {
+		doc = schema.nodeFromJSON( doc );
+	}
+	const state = {
+		footnotes: []
+	};
+	let out = serializeBlocks( doc, state );
+	for ( let i = 0; i < state.footnotes.length; i++ ) {
+		out += ( i === 0 ? '\n\n' : '\n' ) + `[^${i+1}]: ${state.footnotes[ i ]}`;
+	}
+	return out.trim() + '\n';
+}
+
+
+// EXPORTS //
+
+module.exports = toMarkdown;
@@ -0,0 +1,119 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const objectKeys = require( '@stdlib/utils/keys' );
+const TextEditorDocumentVersion = require( './../../models/text_editor_document_version.js' );
+const debug = require( './../../debug' )( 'sockets:document' );
+
+
+// VARIABLES //
+
+const SNAPSHOT_INTERVAL = 10 * 60 * 1000; // Take periodic snapshots of a document at most every ten minutes...
+const MAX_AUTO_SNAPSHOTS = 200; // Maximum number of periodic snapshots kept per document
+
+
+// FUNCTIONS //
+
+/**
+* Removes the oldest periodic snapshots of a document exceeding the maximum number of snapshots to keep.
+*
+* @private
+* @param {Object} keys - document keys
+* @returns {Promise<void>} promise resolving once the snapshots have been removed
+*/
+async function pruneSnapshots( keys ) {
+	const outdated = await TextEditorDocumentVersion
+		.find({ ...keys, kind: 'auto' }, { _id: 1 })
+		.sort({ version: -1 })
+		.skip( MAX_AUTO_SNAPSHOTS )
+		.lean();
+	if ( outdated.length > 0 ) {
+		debug( `Removing ${outdated.length} outdated snapshots of document "${keys.id}"...` );
+		await TextEditorDocumentVersion.deleteMany({
+			_id: { $in: outdated.map( x => x._id ) }
+		});
+	}
+}
+
+
+// MAIN //
+
+/**
+* Saves a snapshot of the current state of a document instance.
+*
+* ## Notes
+*
+* -   Periodic snapshots (of kind `auto`) are only taken if the last snapshot of the document is older than the snapshot interval.
+* -   No snapshot is taken if a snapshot of the current version already exists (e.g., when it was saved by another server process).
+* -   The client identifiers (i.e., email addresses) of all users who have edited the document since the last snapshot taken on the current server process are recorded as authors of the snapshot.
+*
+* @param {Object} inst - document instance
+* @param {Object} keys - document keys
+* @param {string} keys.id - text editor identifier
+* @param {string} keys.namespace - namespace identifier
+* @param {string} keys.lesson - lesson identifier
+* @param {Object} [options] - snapshot options
+* @param {string} [options.kind='auto'] - snapshot kind (`auto`, `backup`, or `restore`)
+* @param {string} [options.name] - snapshot name
+* @param {string} [options.createdBy] - identifier of the user triggering the snapshot
+* @returns {Promise<(Object|null)>} saved snapshot or `null` if no snapshot was taken
+*/
+async function saveSnapshot( inst, keys, { kind = 'auto', name, createdBy = null } = {} ) {
+	const now = Date.now();
+	if ( kind === 'auto' && inst.lastSnapshotTime && now - inst.lastSnapshotTime < SNAPSHOT_INTERVAL ) {
+		return null;
+	}
+	const latest = await TextEditorDocumentVersion
+		.findOne( keys, { version: 1, createdAt: 1 })
+		.sort({ version: -1 })
+		.lean();
+	if ( latest ) {
+		const latestTime = latest.createdAt.getTime();
+		if (
+			latest.version >= inst.version ||
+			( kind === 'auto' && now - latestTime < SNAPSHOT_INTERVAL )
+		) {
+			inst.lastSnapshotTime = latestTime;
+			return null;
+		}
+	}
+	debug( `Saving ${kind} snapshot of document "${keys.id}" at version ${inst.version}...` );
+	const snapshot = await TextEditorDocumentVersion.create({
+		...keys,
+		version: inst.version,
+		name: name || `Version ${inst.version}`,
+		kind,
+		authors: objectKeys( inst.authors ),
+		createdBy,
+		doc: inst.doc.toJSON()
+	});
+	inst.authors = {};
+	inst.lastSnapshotTime = now;
+	if ( kind === 'auto' ) {
+		await pruneSnapshots( keys );
+	}
+	return snapshot;
+}
+
+
+// EXPORTS //
+
+module.exports = saveSnapshot;
@@ -21,20 +21,74 @@
 
 const { Step } = require( 'prosemirror-transform' );
 const isNonNegativeInteger = require( '@stdlib/assert/is-nonnegative-integer' );
+const isPlainObject = require( '@stdlib/assert/is-plain-object' );
+const isArray = require( '@stdlib/assert/is-array' );
+const isString = require( '@stdlib/assert/is-string' ).isPrimitive;
 const objectKeys = require( '@stdlib/utils/keys' );
 const debug = require( './../debug' )( 'sockets:handler' );
 const Member = require( './member.js' );
 const Room = require( './room.js' );
-const User = require( '../models/user.js' );
 const Namespace = require( '../models/namespace.js' );
-const { getInstance, removeFromInstances } = require( './document/instance.js' );
+const Lesson = require( '../models/lesson.js' );
+const { hasPermission } = require( './../helpers/check_permissions.js' );
+const { addSharedEvents, getInstance, removeFromInstances } = require( './document/instance.js' );
+const { notifyMentions } = require( './document/mentions.js' );
 const schema = require( './document/schema.js' );
 const openRooms = require( './open_rooms.js' );
+const authenticate = require( './authenticate.js' );
 
 
 // VARIABLES //
 
 const ANONYMOUS_USER_PICTURE = 'anonymous_inverted.jpg';
+const ANONYMOUS_USER_EMAIL = 'anonymous';
+const ANONYMOUS_USER_NAME = 'Anonymous';
+
+
+// FUNCTIONS //
+
+/**
+* Logs errors encountered when handling socket events.
+*
+* @private
+* @param {Error} err - error object
+*/
+function logError( err ) {
+	debug( 'Encountered an error: ' + err.message );
+}
+
+/**
+* Returns a boolean indicating whether the payload of a collaborative editing event sent by a client holds a document identifier and a data object.
+*
+* @private
+* @param {*} payload - event payload
+* @returns {boolean} boolean indicating whether the payload is valid
+*/
+function isEditingPayload( payload ) {
+	return isPlainObject( payload ) && isString( payload.docID ) && isPlainObject( payload.data );
+}
+
+/**
+* Returns a boolean indicating whether a user may moderate the room of a lesson, i.e. close chats, create groups and receive the progress and events of all members.
+*
+* @private
+* @param {(Object|null)} user - user authenticated during the handshake
+* @param {Object} data - room data
+* @param {string} data.namespaceName - namespace title
+* @param {string} data.lessonName - lesson title
+* @returns {Promise<boolean>} boolean indicating whether the user is a moderator
+*/
+async function isModerator( user, { namespaceName, lessonName }) {
+	if ( !user ) {
+		return false;
+	}
+	const namespace = await Namespace.findOne({ title: namespaceName }, { owners: 1 }).lean();
+	if ( !namespace ) {
+		return false;
+	}
+	const lesson = await Lesson.findOne({ namespace: namespace._id, title: lessonName }, { _id: 1 }).lean();
+	return hasPermission( user, 'moderate_meetings', { namespace, lesson });
+}
 
 
 // MAIN //
@@ -45,6 +99,7 @@ const ANONYMOUS_USER_PICTURE = 'anonymous_inverted.jpg';
 * @param {SocketIO} io - socket.io object
 */
 function SocketHandler( io ) {
+	io.use( authenticate );
 	io.on( 'connection', function connect( socket ) {
 		let currentRoom;
 		let member;
@@ -54,52 +109,36 @@ function SocketHandler( io ) {
 			debug( 'Should join room: ' + roomName );
 			debug( 'Received data: ' + JSON.stringify( data ) );
 
-			User.findOne( { _id: data.userID }, function find( err, user ) {
-				if ( err ) {
-					debug( 'Encountered an error: ' + err.message );
-				}
-				else if ( user ) {
-					debug( 'User was found in the database...' );
-					data.picture = user.picture;
-					Namespace.findOne({
-						'title': data.namespaceName,
-						'owners': { $in: [ user ]}
-					}, onFind );
-				} else {
-					data.picture = ANONYMOUS_USER_PICTURE;
-					onFind( null, null );
-				}
-			});
-
-			function onFind( err, namespace ) {
-				if ( err ) {
-					debug( 'Encountered an error: ' + err.message );
-				}
-				else if ( namespace ) {
-					debug( 'User is an owner...' );
-					data.owner = true;
-				} else {
-					debug( 'User is not an owner...' );
-					data.owner = false;
-				}
-				data.socket = socket;
-				member = new Member( data );
+			// Only rely on the identity established during the handshake and ignore user information sent by the client:
+			const user = socket.data.user;
+			isModerator( user, data )
+				.catch( err => {
+					logError( err );
+					return false;
+				})
+				.then( onModerator );
+
+			function onModerator( owner ) {
+				const memberData = {
+					userEmail: user ? user.email : ANONYMOUS_USER_EMAIL,
+					userName: user ? user.name : ANONYMOUS_USER_NAME,
+					userID: user ? user._id.toString() : null,
+					picture: user ? user.picture : ANONYMOUS_USER_PICTURE,
+					socket: socket,
+					owner
+				};
+				debug( owner ? 'User is a moderator...' : 'User is not a moderator...' );
+				member = new Member( memberData );
 				debug( 'Created a member: ' + JSON.stringify( member ) );
 
-				let found = false;
-				openRooms.forEach( ( room ) => {
-					if ( room.name === roomName ) {
-						found = true;
-						room.join( member );
-						currentRoom = room;
-					}
-				});
-				if ( !found ) {
-					let room = new Room( io, member, roomName );
+				let room = openRooms.find( r => r.name === roomName );
+				if ( !room ) {
+					room = new Room( io, roomName );
 					openRooms.push( room );
-					currentRoom = room;
-					debug( `Room ${room.name} has been created...` );
+					debug( `Room ${room.name} has been created on this process...` );
 				}
+				currentRoom = room;
+				room.join( member ).catch( logError );
 			}
 		});
 
@@ -132,7 +171,15 @@ function SocketHandler( io ) {
 
 		socket.on( 'join_chat', function onJoinChat( name ) {
 			if ( currentRoom ) {
-				currentRoom.joinChat( name, member );
+				currentRoom.joinChat( name, member ).catch( logError );
+			} else {
+				debug( 'Warning: current room does not exist anymore...' );
+			}
+		});
+
+		socket.on( 'load_chat_history', function onLoadChatHistory( data ) {
+			if ( member && currentRoom && data ) {
+				currentRoom.loadChatHistory( data.name, member, data.before ).catch( logError );
 			} else {
 				debug( 'Warning: current room does not exist anymore...' );
 			}
@@ -148,26 +195,30 @@ function SocketHandler( io ) {
 
 		socket.on( 'leave_chat', function onLeaveChat( name ) {
 			if ( currentRoom ) {
-				currentRoom.leaveChat( name, member );
+				currentRoom.leaveChat( name, member ).catch( logError );
 			} else {
 				debug( 'Warning: current room does not exist anymore...' );
 			}
 		});
 
 		socket.on( 'close_chat', function onClose( name ) {
-			if ( currentRoom ) {
-				currentRoom.closeChatForAll( socket, name );
+			if ( member && member.owner && currentRoom ) {
+				currentRoom.closeChatForAll( socket, name ).catch( logError );
 			} else {
 				debug( 'Warning: current room does not exist anymore...' );
 			}
 		});
 
-		socket.on( 'chat_message', function onChatMessage( msgObj ) {
-			if ( currentRoom ) {
+		socket.on( 'chat_message', async function onChatMessage( msgObj ) {
+			if ( member && currentRoom ) {
 				const chatroom = msgObj.namespaceName + '/' + msgObj.lessonName + ':' + msgObj.chatroom;
-				const chat = currentRoom.chats[ chatroom ];
-				if ( chat ) {
-					chat.send( socket, msgObj );
+				const chat = currentRoom.getChat( chatroom );
+				try {
+					if ( await chat.isMember( member ) ) {
+						await chat.send( member, msgObj );
+					}
+				} catch ( err ) {
+					logError( err );
 				}
 			} else {
 				debug( 'Warning: current room does not exist anymore...' );
@@ -184,25 +235,28 @@ function SocketHandler( io ) {
 
 		socket.on( 'create_groups', function onCreateGroups( groups ) {
 			if ( member && member.owner && currentRoom ) {
-				currentRoom.createGroups( groups, member );
+				currentRoom.createGroups( groups, member ).catch( logError );
 			}
 		});
 
 		socket.on( 'delete_groups', function onDeleteGroups() {
 			if ( member && member.owner && currentRoom ) {
-				currentRoom.deleteGroups( member );
+				currentRoom.deleteGroups( member ).catch( logError );
 			}
 		});
 
 		socket.on( 'add_question', function onAddQuestion( question ) {
 			if ( member && currentRoom ) {
-				currentRoom.addQuestion( question, member );
+				currentRoom.addQuestion( question, member ).catch( logError );
 			}
 		});
 
 		socket.on( 'remove_question', function onRemoveQuestion( question ) {
 			if ( member && currentRoom ) {
-				currentRoom.removeQuestion( question, member );
+				if ( !member.owner && question.email !== member.email ) {
+					return debug( 'Only owners may remove questions of other members...' );
+				}
+				currentRoom.removeQuestion( question, member ).catch( logError );
 			}
 		});
 
@@ -210,53 +264,77 @@ function SocketHandler( io ) {
 		* Someones wants to join a collaborative editing session for a given document.
 		*/
 		socket.on( 'join_collaborative_editing', async function onJoining( docID, doc ) {
-			if ( member ) {
-				let inst = await getInstance( docID, member, currentRoom.memberHasActiveSocket, doc );
-				debug( `Return collaborative document with id ${docID} and ${inst.userCount} users (version: ${inst.version}, commentVersion: ${inst.comments.version})` );
-				const json = {
-					doc: inst.doc.toJSON(),
-					users: inst.userCount,
-					version: inst.version,
-					comments: inst.comments.comments,
-					commentVersion: inst.comments.version,
-					cursors: inst.cursors.cursors,
-					cursorVersion: inst.cursors.version
-				};
-				member.socket.emit( 'joined_collaborative_editing', docID, json );
+			if ( member && currentRoom ) {
+				if ( !isString( docID ) ) {
+					return debug( 'Dropping request to join a collaborative editing session without a document identifier...' );
+				}
+				try {
+					let inst = await getInstance( docID, member, currentRoom.memberHasActiveSocket, doc );
+					debug( `Return collaborative document with id ${docID} and ${inst.userCount} users (version: ${inst.version}, commentVersion: ${inst.comments.version})` );
+					const json = {
+						doc: inst.doc.toJSON(),
+						users: inst.userCount,
+						version: inst.version,
+						comments: inst.comments.comments,
+						commentVersion: inst.comments.version,
+						cursors: inst.cursors.cursors,
+						cursorVersion: inst.cursors.version
+					};
+					member.socket.emit( 'joined_collaborative_editing', docID, json );
+				} catch ( err ) {
+					logError( err );
+				}
 			}
 		});
 
 		/**
 		* The current member sends a set of collaborative editing steps to the server.
 		*
-		* @param {string} docID - document identifier
-		* @param {Object} data - data object
-		* @param {Array} data.steps - array of steps to be applied
-		* @param {Object} data.cursor - latest cursor position of the current member in the document
+		* @param {Object} payload - event payload (dropped if invalid)
+		* @param {string} payload.docID - document identifier
+		* @param {Object} payload.data - data object
+		* @param {Array} payload.data.steps - array of steps to be applied
+		* @param {Array} [payload.data.comment] - comment events (`create`, `delete`, `reply`, `delete_reply`, `resolve` or `reopen`)
+		* @param {Object} payload.data.cursor - latest cursor position of the current member in the document
 		*/
-		socket.on( 'send_collaborative_editing_events', async function onEvents({ docID, data }) {
-			if ( member ) {
+		socket.on( 'send_collaborative_editing_events', async function onEvents( payload ) {
+			if ( member && currentRoom ) {
+				if ( !isEditingPayload( payload ) || !isArray( payload.data.steps ) ) {
+					return debug( 'Dropping invalid collaborative editing events...' );
+				}
+				const { docID, data } = payload;
 				const version = data.version;
 				if ( !isNonNegativeInteger( version ) ) {
 					return member.socket.emit( 'sent_collaborative_editing_events', docID, 'invalid version' );
 				}
-				const steps = data.steps.map( s => Step.fromJSON( schema, s ) );
-				const inst = await getInstance( docID, member, currentRoom.memberHasActiveSocket );
-				let result = inst.addEvents( version, steps, data.comment, data.clientID );
-				if ( !result ) {
-					return member.socket.emit( 'sent_collaborative_editing_events', docID, 'version not current' );
-				}
-				inst.updateCursors( data.clientID, data.cursor );
-				member.socket.emit( 'sent_collaborative_editing_events', docID, { ...data, ...result } );
-
-				// Send to all other users editing the same document:
-				const users = objectKeys( inst.users );
-				debug( `Send polling instructions to ${users.length} users: ${users.join( ', ' )}` );
-				for ( let i = 0; i < users.length; i++ ) {
-					if ( users[ i ] !== member.email ) {
-						// Other users will have to poll for the new events that were just sent:
-						currentRoom.emitToEmail( users[ i ], 'collaborative_editing_events', docID, result );
+				try {
+					// Steps are always attributed to the authenticated member regardless of the client identifier sent along:
+					const clientID = member.clientID;
+					const steps = data.steps.map( s => Step.fromJSON( schema, s ) );
+					const inst = await getInstance( docID, member, currentRoom.memberHasActiveSocket );
+					let result = await addSharedEvents( inst, version, steps, data.comment, clientID, { owner: member.owner });
+					if ( !result ) {
+						return member.socket.emit( 'sent_collaborative_editing_events', docID, 'version not current' );
+					}
+					inst.updateCursors( clientID, data.cursor );
+					member.socket.emit( 'sent_collaborative_editing_events', docID, { ...data, ...result, clientID } );
+
+					// Send to all other users editing the same document:
+					const users = objectKeys( inst.users );
+					debug( `Send polling instructions to ${users.length} users: ${users.join( ', ' )}` );
+					for ( let i = 0; i < users.length; i++ ) {
+						if ( users[ i ] !== member.email ) {
+							// Other users will have to poll for the new events that were just sent:
+							currentRoom.emitToEmail( users[ i ], 'collaborative_editing_events', docID, result );
+						}
 					}
+					if ( data.comment ) {
+						// Notify users mentioned in new comments or replies without delaying the editing events:
+						notifyMentions({ room: currentRoom, inst, docID, member, events: data.comment })
+							.catch( err => debug( 'Encountered an error when notifying mentioned users: '+err.message ) );
+					}
+				} catch ( err ) {
+					logError( err );
 				}
 			}
 		});
@@ -264,53 +342,70 @@ function SocketHandler( io ) {
 		/**
 		* Returns all events between a given version and the server's current version of the document.
 		*
-		* @param {string} docID - document identifier
-		* @param {Object} data - data object
-		* @param {number} data.version - version of the document
-		* @param {number} data.commentVersion - version of the comments
-		* @param {number} data.cursorVersion - version of the cursors
+		* @param {Object} payload - event payload (dropped if invalid)
+		* @param {string} payload.docID - document identifier
+		* @param {Object} payload.data - data object
+		* @param {number} payload.data.version - version of the document
+		* @param {number} payload.data.commentVersion - version of the comments
+		* @param {number} payload.data.cursorVersion - version of the cursors
 		*/
-		socket.on( 'poll_collaborative_editing_events', async function onEvents({ docID, data }) {
-			if ( member ) {
+		socket.on( 'poll_collaborative_editing_events', async function onEvents( payload ) {
+			if ( member && currentRoom ) {
+				if ( !isEditingPayload( payload ) ) {
+					return debug( 'Dropping invalid request for collaborative editing events...' );
+				}
+				const { docID, data } = payload;
 				let version = data.version;
 				let commentVersion = data.commentVersion;
 				let cursorVersion = data.cursorVersion;
 				if ( !isNonNegativeInteger( version ) ) {
 					return member.socket.emit( 'polled_collaborative_editing_events', docID, 'invalid version' );
 				}
-				let inst = await getInstance( docID, member, currentRoom.memberHasActiveSocket );
-				let result = inst.getEvents( version, commentVersion, cursorVersion );
-				if ( result === false ) {
-					return member.socket.emit( 'polled_collaborative_editing_events', docID, 'history no longer available' );
-				}
-				// If the server version is greater than the given version, return the data immediately:
-				if ( result.steps.length || result.comment.length || result.cursors ) {
-					const msg = {
-						version: inst.version,
-						commentVersion: inst.comments.version,
-						cursorVersion: inst.cursors.version,
-						steps: result.steps.map( s => s.toJSON() ),
-						cursors: result.cursors,
-						clientIDs: result.steps.map( step => step.clientID ),
-						comment: result.comment,
-						users: result.users
-					};
-					debug( `Server version is greater for ${docID}, so return events (version: ${inst.version}, commentVersion: ${inst.comments.version}, cursorVersion: ${inst.cursors.version})` );
-					return member.socket.emit( 'polled_collaborative_editing_events', docID, msg );
+				try {
+					let inst = await getInstance( docID, member, currentRoom.memberHasActiveSocket );
+					let result = inst.getEvents( version, commentVersion, cursorVersion );
+					if ( result === false ) {
+						return member.socket.emit( 'polled_collaborative_editing_events', docID, 'history no longer available' );
+					}
+					// If the server version is greater than the given version, return the data immediately:
+					if ( result.steps.length || result.comment.length || result.cursors ) {
+						const msg = {
+							version: inst.version,
+							commentVersion: inst.comments.version,
+							cursorVersion: inst.cursors.version,
+							steps: result.steps.map( s => s.toJSON() ),
+							cursors: result.cursors,
+							clientIDs: result.steps.map( step => step.clientID ),
+							names: result.names,
+							comment: result.comment,
+							users: result.users
+						};
+						debug( `Server version is greater for ${docID}, so return events (version: ${inst.version}, commentVersion: ${inst.comments.version}, cursorVersion: ${inst.cursors.version})` );
+						return member.socket.emit( 'polled_collaborative_editing_events', docID, msg );
+					}
+				} catch ( err ) {
+					logError( err );
 				}
 			}
 		});
 
-		function leaveAllRooms() {
+		async function leaveAllRooms() {
 			if ( member && openRooms ) {
 				debug( `Should remove user ${member.name} from all rooms...` );
-				let i = openRooms.length;
-				while ( i-- ) {
-					let room = openRooms[ i ];
-					room.leave( member );
+				const rooms = openRooms.slice();
+				for ( let i = 0; i < rooms.length; i++ ) {
+					const room = rooms[ i ];
+					await room.leave( member );
 					if ( room.members.length === 0 ) {
-						debug( 'Should remove room: '+i );
-						openRooms.splice( i, 1 );
+						debug( 'Should remove room: '+room.name );
+						const idx = openRooms.indexOf( room );
+						if ( idx !== -1 ) {
+							openRooms.splice( idx, 1 );
+						}
+						if ( await room.isEmpty() ) {
+							// Last member across all server processes has left, so discard the shared room state:
+							await room.clear();
+						}
 					}
 				}
 				debug( `The remaining ${openRooms.length} open rooms are: ` + openRooms.map( r => r.name ).join( ', ' ) );
@@ -320,14 +415,14 @@ function SocketHandler( io ) {
 		function leaveRoom( room ) {
 			if ( room && member ) {
 				debug( `User ${member.name} is leaving the current room ${room.name}` );
-				room.leave( member );
+				room.leave( member ).catch( logError );
 			}
 		}
 
 		socket.on( 'leave', function onLeave() {
 			if ( member ) {
 				debug( `User ${member.name} has logged out.` );
-				leaveAllRooms();
+				leaveAllRooms().catch( logError );
 				socket.disconnect( true );
 				removeFromInstances( member );
 			}
@@ -40,6 +40,22 @@ class Member {
 		return this;
 	}
 
+	/**
+	* Identifier under which the member's collaborative editing steps, comments and cursors are recorded.
+	*
+	* ## Notes
+	*
+	* -   Authenticated members are identified by their verified email address, whereas anonymous members share a placeholder email and are hence told apart by their socket.
+	*
+	* @returns {string} client identifier
+	*/
+	get clientID() {
+		if ( this.id ) {
+			return this.email;
+		}
+		return 'anonymous-'+this.socket.id;
+	}
+
 	/**
 	* Attaches the time when user is leaving the room.
 	*/
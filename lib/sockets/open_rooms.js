@@ -19,6 +19,13 @@
 
 // MAIN //
 
+/**
+* Rooms with sockets connected to the current server process.
+*
+* ## Notes
+*
+* -   The state of the rooms (members, chats, groups and questions) is kept in the shared store (see `./store`), so that rooms may span several server processes.
+*/
 const openRooms = [];
 
 
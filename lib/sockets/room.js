@@ -22,53 +22,164 @@
 const contains = require( '@stdlib/assert/contains' );
 const hasOwnProp = require( '@stdlib/assert/has-own-property' );
 const objectKeys = require( '@stdlib/utils/keys' );
+const objectValues = require( '@stdlib/utils/values' );
 const debug = require( './../debug' )( 'sockets:rooms' );
 const Chat = require( './chat.js' );
+const store = require( './store' );
+
+
+// VARIABLES //
+
+const ROOMS_KEY = 'rooms';
+const CHAT_HISTORY_PAGE_SIZE = 100; // Number of chat messages sent per history page
+
+
+// FUNCTIONS //
+
+/**
+* Returns the field under which a question is stored.
+*
+* @private
+* @param {Object} question - question object
+* @returns {string} field name
+*/
+function questionField( question ) {
+	return question.email+'|'+JSON.stringify( question.value );
+}
 
 
 // MAIN //
 
 /**
 * Room class manages communications of students logged into one lesson.
+*
+* ## Notes
+*
+* -   Members, chats, groups and questions of a room are kept in the shared store, so that a room may span sockets connected to several server processes. A `Room` object only tracks the sockets connected to the current process.
 */
 class Room {
-	constructor( _, member, roomName ) {
+	constructor( io, roomName ) {
 		debug( `Construct ${roomName} room...` );
 
-		// List of all currently logged-in users:
-		this.members = [ member ];
-
-		// List of socket identifiers for each user:
-		this.sockets = {};
-		this.sockets[ member.email ] = [ member.socket ];
-
-		// List of course owners / instructors:
-		this.owners = [];
-		if ( member.owner ) {
-			this.owners.push( member );
-			member.socket.join( this.name+':owners' );
-		}
+		this.io = io;
 
 		// Room name:
 		this.name = roomName;
 
-		// Start time:
-		this.startTime = new Date().getTime();
+		// List of members with sockets connected to the current process:
+		this.members = [];
+
+		// List of socket identifiers for each user connected to the current process:
+		this.sockets = {};
 
-		// List of chats
+		// Chats of the room used by members connected to the current process:
 		this.chats = {};
 
-		// List of breakout rooms / groups:
-		this.groups = [];
+		// Keys of the room state in the shared store:
+		this.membersKey = `room:${roomName}:members`;
+		this.chatsKey = `room:${roomName}:chats`;
+		this.groupsKey = `room:${roomName}:groups`;
+		this.questionsKey = `room:${roomName}:questions`;
+		this.startTimeKey = `room:${roomName}:startTime`;
 
-		// Questions in queue:
-		this.questions = [];
+		this.memberHasActiveSocket = this.memberHasActiveSocket.bind( this );
+	}
 
-		member.socket.join( this.name );
-		member.socket.emit( 'console', 'You, '+member.name+', have successfully created room '+this.name );
-		this.sendUserList( member );
+	/**
+	* Returns the names of all open rooms across all server processes.
+	*
+	* @returns {Promise<Array>} list of room names
+	*/
+	static async list() {
+		const rooms = await store.getFields( ROOMS_KEY );
+		return objectKeys( rooms );
+	}
 
-		this.memberHasActiveSocket = this.memberHasActiveSocket.bind( this );
+	/**
+	* Returns the name of the socket.io room containing all sockets of a user.
+	*
+	* @param {string} email - email address of the user
+	* @returns {string} socket.io room name
+	*/
+	userRoom( email ) {
+		return this.name+':user:'+email;
+	}
+
+	/**
+	* Returns the field under which a member connected to the current process is stored.
+	*
+	* @private
+	* @param {string} email - email address of the member
+	* @returns {string} field name
+	*/
+	memberField( email ) {
+		return store.workerID+'|'+email;
+	}
+
+	/**
+	* Returns the handle for a chat of the room.
+	*
+	* @param {string} chatName - full name of the chat
+	* @returns {Chat} chat
+	*/
+	getChat( chatName ) {
+		if ( !hasOwnProp( this.chats, chatName ) ) {
+			this.chats[ chatName ] = new Chat({
+				io: this.io,
+				name: chatName,
+				pageSize: CHAT_HISTORY_PAGE_SIZE,
+				roomName: this.name
+			});
+		}
+		return this.chats[ chatName ];
+	}
+
+	/**
+	* Returns the handles for all chats of the room.
+	*
+	* @returns {Promise<Array>} list of chats
+	*/
+	async getChats() {
+		const names = objectKeys( await store.getFields( this.chatsKey ) );
+		return names.map( name => this.getChat( name ) );
+	}
+
+	/**
+	* Returns all members of the room across all server processes (one entry per user).
+	*
+	* @returns {Promise<Array>} list of members
+	*/
+	async getMembers() {
+		const members = objectValues( await store.getFields( this.membersKey ) );
+		const seen = {};
+		return members.filter( m => {
+			if ( seen[ m.email ] ) {
+				return false;
+			}
+			seen[ m.email ] = true;
+			return true;
+		});
+	}
+
+	/**
+	* Checks whether a user with the given email address is a member of the room on any of the server processes.
+	*
+	* @param {string} email - email address
+	* @returns {Promise<boolean>} boolean indicating whether the user is a member
+	*/
+	async hasMember( email ) {
+		const members = await this.getMembers();
+		return contains( members.map( m => m.email ), email );
+	}
+
+	/**
+	* Checks whether the room has no members left on any of the server processes.
+	*
+	* @returns {Promise<boolean>} boolean indicating whether the room is empty
+	*/
+	async isEmpty() {
+		const members = await this.getMembers();
+		return members.length === 0;
 	}
 
 	/**
@@ -80,19 +191,13 @@ class Room {
 	*
 	* @param {string} name - chat identifier
 	* @param {Object} member - member joining the chat
+	* @returns {Promise<void>} promise resolving once the member has joined the chat
 	*/
-	joinChat( name, member ) {
+	async joinChat( name, member ) {
 		const chatName = this.name + ':' + name;
 		debug( `User is joining ${chatName} chat...` );
-		if ( !hasOwnProp( this.chats, chatName ) ) {
-			let chat = new Chat({
-				name: chatName,
-				maxNumMessages: 250,
-				roomName: this.name
-			});
-			this.chats[ chatName ] = chat;
-		}
-		this.chats[ chatName ].join( member );
+		await store.setField( this.chatsKey, chatName, true );
+		await this.getChat( chatName ).join( member );
 	}
 
 	/**
@@ -100,13 +205,28 @@ class Room {
 	*
 	* @param {Name} socket - socket of user initiating the closing
 	* @param {string} name - chat name
+	* @returns {Promise<void>} promise resolving once the chat has been closed
 	*/
-	closeChatForAll( socket, name ) {
+	async closeChatForAll( socket, name ) {
 		const chatName = this.name + ':' + name;
-		const chat = this.chats[ chatName ];
-		if ( chat ) {
-			chat.removeAllMembers( socket );
-			chat.cleanMessages();
+		const chat = this.getChat( chatName );
+		await chat.removeAllMembers( socket );
+		await chat.cleanMessages();
+	}
+
+	/**
+	* Sends a page of older messages of a chat to a member.
+	*
+	* @param {string} name - chat name
+	* @param {Object} member - member object
+	* @param {string} before - identifier of the oldest message the member has already received
+	* @returns {Promise<void>} promise resolving once the messages have been sent
+	*/
+	async loadChatHistory( name, member, before ) {
+		const chatName = this.name + ':' + name;
+		const chat = this.getChat( chatName );
+		if ( await chat.isMember( member ) ) {
+			await chat.sendHistoryPage( member, before );
 		}
 	}
 
@@ -115,25 +235,26 @@ class Room {
 	*
 	* @param {string} name - chat name
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the member has left the chat
 	*/
-	leaveChat( name, member ) {
+	async leaveChat( name, member ) {
 		const chatName = this.name + ':' + name;
 		debug( `User is leaving ${chatName} chat...` );
-		this.chats[ chatName ].leave( member );
+		await this.getChat( chatName ).leave( member );
 	}
 
 	/**
 	* A users leaves all chats (e.g., when the user is logging out and not just leaving a specific chat).
 	*
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the member has left all chats
 	*/
-	leaveAllChats( member ) {
-		const keys = objectKeys( this.chats );
-		for ( let i = 0; i < keys.length; i++ ) {
-			const chat = this.chats[ keys[ i ] ];
-			if ( chat.isMember( member ) ) {
-				debug( 'Need to leave chat with name: '+keys[ i ] );
-				chat.leave( member );
+	async leaveAllChats( member ) {
+		const chats = await this.getChats();
+		for ( let i = 0; i < chats.length; i++ ) {
+			if ( await chats[ i ].isMember( member ) ) {
+				debug( 'Need to leave chat with name: '+chats[ i ].name );
+				await chats[ i ].leave( member );
 			}
 		}
 		debug( 'Left all chats...' );
@@ -143,12 +264,12 @@ class Room {
 	* Sends statistics (number of chat members, number of messages and the name) of all chats to a user (triggered when logging in).
 	*
 	* @param {Object} socket - socket of user
+	* @returns {Promise<void>} promise resolving once the statistics have been sent
 	*/
-	sendChatStatistics( socket ) {
-		const keys = objectKeys( this.chats );
-		for ( let i = 0; i < keys.length; i++ ) {
-			const chat = this.chats[ keys[ i ] ];
-			chat.sendStatistics( socket );
+	async sendChatStatistics( socket ) {
+		const chats = await this.getChats();
+		for ( let i = 0; i < chats.length; i++ ) {
+			await chats[ i ].sendStatistics( socket );
 		}
 	}
 
@@ -156,82 +277,74 @@ class Room {
 	* Joining chats for user already logged in on another browser window or device.
 	*
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the chats have been joined
 	*/
-	mirrorJoinChats( member ) {
+	async mirrorJoinChats( member ) {
 		debug( 'Mirror join chats when user is logging in from other device...' );
-		const keys = objectKeys( this.chats );
-		for ( let i = 0; i < keys.length; i++ ) {
-			const chat = this.chats[ keys[ i ] ];
-			if ( chat.isMember( member ) ) {
-				chat.mirrorJoin( member );
+		const chats = await this.getChats();
+		for ( let i = 0; i < chats.length; i++ ) {
+			if ( await chats[ i ].isMember( member ) ) {
+				await chats[ i ].mirrorJoin( member );
 			}
 		}
 	}
 
-	/**
-	* Joining room for user already logged in on another browser window or device.
-	*
-	* @param {Object} member - member object
-	*/
-	mirrorJoin( member ) {
-		debug( 'Mirror join when user is logging in from other device...' );
-		const socket = member.socket;
-		if ( member.owner ) {
-			member.socket.join( this.name+':owners' );
-		}
-		socket.join( this.name );
-		socket.emit( 'console', 'You, '+member.name+', have successfully joined room '+this.name );
-		socket.to( this.name ).emit( 'console', member.name+' has successfully joined room '+this.name );
-		socket.to( this.name ).emit( 'user_joins', JSON.stringify( member ) );
-		socket.emit( 'user_joins', JSON.stringify( member ) );
-		this.sendChatStatistics( socket );
-		this.sendGroups( socket );
-		this.sendQuestions( socket );
-	}
-
 	/**
 	* A new member is joining the room for a given lesson.
 	*
+	* ## Notes
+	*
+	* -   If the user is already a member (e.g., when logged in on another browser window or device), the new socket also joins all chats of the user.
+	*
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the member has joined
 	*/
-	join( member ) {
+	async join( member ) {
 		const socket = member.socket;
+		const alreadyMember = await this.hasMember( member.email );
 
 		if ( this.sockets[ member.email ] ) {
 			this.sockets[ member.email ].push( socket );
 		} else {
 			this.sockets[ member.email ] = [ socket ];
 		}
-
-		debug( 'Remove re-connecting member from members scheduled to leave...' );
 		if ( !contains( this.members.map( m => m.email ), member.email ) ) {
 			this.members.push( member );
-			if ( member.owner ) {
-				this.owners.push( member );
-				socket.join( this.name+':owners' );
-			}
-			socket.join( this.name );
-			socket.emit( 'console', 'You, '+member.name+', have successfully joined room '+this.name );
-			socket.to( this.name ).emit( 'console', member.name+' has successfully joined room '+this.name );
-			socket.to( this.name ).emit( 'user_joins', JSON.stringify( member ) );
-			socket.emit( 'user_joins', JSON.stringify( member ) );
-		} else {
-			debug( 'User who is already a member tried to join: ' + JSON.stringify( member ) );
-			this.mirrorJoinChats( member );
-			this.mirrorJoin( member );
 		}
-		this.sendChatStatistics( socket );
-		this.sendGroups( socket );
-		this.sendQuestions( socket );
-		this.sendUserList( member );
+		const startTime = new Date().getTime();
+		if ( await store.setIfEqual( this.startTimeKey, null, startTime ) ) {
+			debug( `Room ${this.name} has been opened...` );
+			await store.setField( ROOMS_KEY, this.name, startTime );
+		}
+		await store.setField( this.membersKey, this.memberField( member.email ), member.toJSON() );
+
+		if ( member.owner ) {
+			socket.join( this.name+':owners' );
+		}
+		socket.join( this.name );
+		socket.join( this.userRoom( member.email ) );
+		if ( alreadyMember ) {
+			debug( 'User who is already a member joined: ' + JSON.stringify( member ) );
+			await this.mirrorJoinChats( member );
+		}
+		socket.emit( 'console', 'You, '+member.name+', have successfully joined room '+this.name );
+		socket.to( this.name ).emit( 'console', member.name+' has successfully joined room '+this.name );
+		socket.to( this.name ).emit( 'user_joins', JSON.stringify( member ) );
+		socket.emit( 'user_joins', JSON.stringify( member ) );
+
+		await this.sendChatStatistics( socket );
+		await this.sendGroups( socket );
+		await this.sendQuestions( socket );
+		await this.sendUserList( member );
 	}
 
 	/**
 	* A member is leaving the room for a given lesson.
 	*
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the member has left
 	*/
-	leave( member ) {
+	async leave( member ) {
 		if ( !member ) {
 			return debug( 'Member is not valid anymore...' );
 		}
@@ -246,29 +359,84 @@ class Room {
 			contains( this.members.map( m => m.email ), member.email ) &&
 			( !this.sockets[ member.email ] || this.sockets[ member.email ].length === 0 )
 		) {
-			debug( 'Remove user from all chats...' );
-			this.leaveAllChats( member );
 			this.members = this.members.filter( m => m.email !== member.email );
-			debug( 'Removed user from room members. No of remaining members: '+this.members.length );
-			member.setExitTime();
-			member.socket.to( this.name ).emit( 'user_leaves', JSON.stringify( member ) );
-			member.socket.emit( 'user_leaves', JSON.stringify( member ) );
+			await store.deleteField( this.membersKey, this.memberField( member.email ) );
+			debug( 'Removed user from room members. No of remaining members on this process: '+this.members.length );
+			if ( !await this.hasMember( member.email ) ) {
+				debug( 'Remove user from all chats...' );
+				await this.leaveAllChats( member );
+				member.setExitTime();
+				member.socket.to( this.name ).emit( 'user_leaves', JSON.stringify( member ) );
+				member.socket.emit( 'user_leaves', JSON.stringify( member ) );
+			}
 			member.socket.leave( this.name );
+			member.socket.leave( this.userRoom( member.email ) );
 			if ( member.owner ) {
-				this.owners = this.owners.filter( o => o !== member );
 				member.socket.leave( this.name+':owners' );
 			}
 		}
 	}
 
+	/**
+	* Removes all state of the room from the store (once the last member has left).
+	*
+	* @returns {Promise<void>} promise resolving once the state has been removed
+	*/
+	async clear() {
+		debug( `Clearing state of room ${this.name}...` );
+		const chats = await this.getChats();
+		for ( let i = 0; i < chats.length; i++ ) {
+			await chats[ i ].clear();
+		}
+		await store.delete( this.chatsKey );
+		await store.delete( this.membersKey );
+		await store.delete( this.groupsKey );
+		await store.delete( this.questionsKey );
+		await store.delete( this.startTimeKey );
+		await store.deleteField( ROOMS_KEY, this.name );
+	}
+
+	/**
+	* Returns a description of the room with its members, chats and groups.
+	*
+	* @returns {Promise<Object>} room description
+	*/
+	async describe() {
+		const rooms = await store.getFields( ROOMS_KEY );
+		const chats = await this.getChats();
+		const chatDescriptions = {};
+		for ( let i = 0; i < chats.length; i++ ) {
+			chatDescriptions[ chats[ i ].name ] = await chats[ i ].describe();
+		}
+		return {
+			name: this.name,
+			startTime: rooms[ this.name ] || null,
+			members: await this.getMembers(),
+			chats: chatDescriptions,
+			groups: await this.getGroups()
+		};
+	}
+
+	/**
+	* Returns the breakout rooms / groups of the room.
+	*
+	* @returns {Promise<Array>} list of groups
+	*/
+	async getGroups() {
+		const groups = await store.get( this.groupsKey );
+		return groups || [];
+	}
+
 	/**
 	* Sends groups information to the given member when logging in (if already existing) or when groups are created.
 	*
 	* @param {Object} socket - user socket
+	* @returns {Promise<void>} promise resolving once the groups have been sent
 	*/
-	sendGroups( socket ) {
-		if ( this.groups.length > 0 ) {
-			socket.emit( 'created_groups', this.groups );
+	async sendGroups( socket ) {
+		const groups = await this.getGroups();
+		if ( groups.length > 0 ) {
+			socket.emit( 'created_groups', groups );
 		}
 	}
 
@@ -279,33 +447,47 @@ class Room {
 	*
 	* -   Users will receive information on all groups and their members
 	*
-	* @param {Object} socket - user socket
+	* @param {Array} groups - list of groups
+	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the groups have been stored
 	*/
-	createGroups( groups, member ) {
+	async createGroups( groups, member ) {
 		member.socket.to( this.name ).emit( 'created_groups', groups );
 		member.socket.emit( 'created_groups', groups );
-		this.groups = groups;
+		await store.set( this.groupsKey, groups );
 	}
 
 	/**
 	* Resets the `groups` after the instructor has closed the group mode.
 	*
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the groups have been removed
 	*/
-	deleteGroups( member ) {
+	async deleteGroups( member ) {
 		member.socket.to( this.name ).emit( 'deleted_groups' );
 		member.socket.emit( 'deleted_groups' );
-		this.groups = [];
+		await store.delete( this.groupsKey );
+	}
+
+	/**
+	* Returns the questions in the queue.
+	*
+	* @returns {Promise<Array>} list of questions
+	*/
+	async getQuestions() {
+		return objectValues( await store.getFields( this.questionsKey ) );
 	}
 
 	/**
 	* Sends questions in queue to the given member.
 	*
 	* @param {Object} socket - user socket
+	* @returns {Promise<void>} promise resolving once the questions have been sent
 	*/
-	sendQuestions( socket ) {
-		if ( this.questions.length > 0 ) {
-			socket.emit( 'queue_questions', this.questions );
+	async sendQuestions( socket ) {
+		const questions = await this.getQuestions();
+		if ( questions.length > 0 ) {
+			socket.emit( 'queue_questions', questions );
 		}
 	}
 
@@ -314,11 +496,15 @@ class Room {
 	*
 	* @param {Object} question - question object
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the question has been added
 	*/
-	addQuestion( question, member ) {
-		this.questions.push( question );
-		member.socket.to( this.name ).emit( 'queue_questions', this.questions );
-		member.socket.emit( 'queue_questions', this.questions );
+	async addQuestion( question, member ) {
+		question.email = member.email;
+		question.name = member.name;
+		await store.setField( this.questionsKey, questionField( question ), question );
+		const questions = await this.getQuestions();
+		member.socket.to( this.name ).emit( 'queue_questions', questions );
+		member.socket.emit( 'queue_questions', questions );
 	}
 
 	/**
@@ -326,18 +512,13 @@ class Room {
 	*
 	* @param {Object} question - question object
 	* @param {Object} member - member object
+	* @returns {Promise<void>} promise resolving once the question has been removed
 	*/
-	removeQuestion( question, member ) {
-		const questions = [];
-		for ( let i = 0; i < this.questions.length; i++ ) {
-			const q = this.questions[ i ];
-			if ( q.email !== question.email || q.value !== question.value ) {
-				questions.push( q );
-			}
-		}
-		this.questions = questions;
-		member.socket.to( this.name ).emit( 'queue_questions', this.questions );
-		member.socket.emit( 'queue_questions', this.questions );
+	async removeQuestion( question, member ) {
+		await store.deleteField( this.questionsKey, questionField( question ) );
+		const questions = await this.getQuestions();
+		member.socket.to( this.name ).emit( 'queue_questions', questions );
+		member.socket.emit( 'queue_questions', questions );
 	}
 
 	/**
@@ -349,12 +530,7 @@ class Room {
 	*/
 	emitToEmail( to, type, ...args ) {
 		debug( 'Sending message to user with email `'+to+'`...' );
-		const sockets = this.sockets[ to ];
-		if ( sockets ) {
-			sockets.forEach( socket => {
-				socket.emit( type, ...args );
-			});
-		}
+		this.io.to( this.userRoom( to ) ).emit( type, ...args );
 	}
 
 	/**
@@ -416,20 +592,25 @@ class Room {
 	* Sends the list of room members to the newly arriving user.
 	*
 	* @param {Object} member - member joining the room
+	* @returns {Promise<void>} promise resolving once the list has been sent
 	*/
-	sendUserList( member ) {
+	async sendUserList( member ) {
 		debug( 'Send member list to incoming socket.' );
-		member.socket.emit( 'userlist', JSON.stringify( this.members ) );
+		const members = await this.getMembers();
+		member.socket.emit( 'userlist', JSON.stringify( members ) );
 	}
 
 	/**
-	* Checks whether a user with the email address has an active socket.
+	* Checks whether a user with the email address has an active socket on any of the server processes.
 	*
 	* @param {string} email - member's email address
-	* @returns {boolean} whether a user with the email address has an active socket
+	* @returns {Promise<boolean>} whether a user with the email address has an active socket
 	*/
 	memberHasActiveSocket( email ) {
-		return this.sockets[ email ] && this.sockets[ email ].length > 0;
+		if ( this.sockets[ email ] && this.sockets[ email ].length > 0 ) {
+			return Promise.resolve( true );
+		}
+		return this.hasMember( email );
 	}
 }
 
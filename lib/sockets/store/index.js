@@ -0,0 +1,67 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const os = require( 'os' );
+const crypto = require( 'crypto' );
+const debug = require( './../../debug' )( 'sockets:store' );
+const MemoryStore = require( './memory.js' );
+const MongoStore = require( './mongodb.js' );
+const config = require( './../../../etc/config.json' );
+
+
+// VARIABLES //
+
+const STORES = {
+	'memory': MemoryStore,
+	'mongodb': MongoStore
+};
+
+
+// FUNCTIONS //
+
+/**
+* Creates the store for shared socket state configured via the `roomStore` setting in `etc/config.json`.
+*
+* @private
+* @param {string} [type='memory'] - store type (either `memory` or `mongodb`)
+* @returns {Object} store instance
+*/
+function createStore( type = 'memory' ) {
+	const Store = STORES[ type ];
+	if ( !Store ) {
+		throw new Error( `Unknown room store type: ${type}. Has to be one of the following: ${Object.keys( STORES ).join( ', ' )}.` );
+	}
+	debug( `Using ${type} store for shared socket state...` );
+	return new Store();
+}
+
+
+// MAIN //
+
+const store = createStore( config.roomStore );
+
+// Unique identifier of the current server process (used to distinguish state written by several processes):
+store.workerID = `${os.hostname()}-${process.pid}-${crypto.randomBytes( 4 ).toString( 'hex' )}`;
+
+
+// EXPORTS //
+
+module.exports = store;
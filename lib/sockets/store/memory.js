@@ -0,0 +1,186 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const copy = require( '@stdlib/utils/copy' );
+
+
+// MAIN //
+
+/**
+* In-memory store for room, chat and document state shared by all sockets of a single server process.
+*
+* ## Notes
+*
+* -   All methods are asynchronous to share the interface of stores backed by a database.
+* -   Values are deep-copied when written and read so that callers cannot mutate the stored state by accident.
+*/
+class MemoryStore {
+	constructor() {
+		this.type = 'memory';
+		this.isDistributed = false;
+		this.values = new Map();
+		this.fields = new Map();
+	}
+
+	/**
+	* Returns the value stored under a key.
+	*
+	* @param {string} key - key
+	* @returns {Promise<(*|null)>} stored value or `null` if no value exists
+	*/
+	get( key ) {
+		if ( !this.values.has( key ) ) {
+			return Promise.resolve( null );
+		}
+		return Promise.resolve( copy( this.values.get( key ) ) );
+	}
+
+	/**
+	* Stores a value under a key.
+	*
+	* @param {string} key - key
+	* @param {*} value - value to store
+	* @returns {Promise<void>} promise resolving once the value has been stored
+	*/
+	set( key, value ) {
+		this.values.set( key, copy( value ) );
+		return Promise.resolve();
+	}
+
+	/**
+	* Stores a value under a key if the currently stored value equals an expected value.
+	*
+	* @param {string} key - key
+	* @param {(*|null)} expected - expected current value (`null` if the key should not exist yet)
+	* @param {*} value - value to store
+	* @returns {Promise<boolean>} boolean indicating whether the value was stored
+	*/
+	setIfEqual( key, expected, value ) {
+		const current = this.values.has( key ) ? this.values.get( key ) : null;
+		if ( current !== expected ) {
+			return Promise.resolve( false );
+		}
+		this.values.set( key, copy( value ) );
+		return Promise.resolve( true );
+	}
+
+	/**
+	* Appends an item to the list stored under a key, keeping only the most recent items.
+	*
+	* @param {string} key - key
+	* @param {*} item - item to append
+	* @param {number} [maxLength] - maximum number of items to keep
+	* @returns {Promise<void>} promise resolving once the item has been appended
+	*/
+	push( key, item, maxLength ) {
+		let list = this.values.get( key );
+		if ( !Array.isArray( list ) ) {
+			list = [];
+			this.values.set( key, list );
+		}
+		list.push( copy( item ) );
+		if ( maxLength && list.length > maxLength ) {
+			list.splice( 0, list.length - maxLength );
+		}
+		return Promise.resolve();
+	}
+
+	/**
+	* Returns all items of the list stored under a key.
+	*
+	* @param {string} key - key
+	* @returns {Promise<Array>} list items
+	*/
+	range( key ) {
+		const list = this.values.get( key );
+		return Promise.resolve( Array.isArray( list ) ? copy( list ) : [] );
+	}
+
+	/**
+	* Returns all fields of the hash stored under a key.
+	*
+	* @param {string} key - key
+	* @returns {Promise<Object>} object mapping field names to values
+	*/
+	getFields( key ) {
+		const out = {};
+		const hash = this.fields.get( key );
+		if ( hash ) {
+			for ( const [ field, value ] of hash ) {
+				out[ field ] = copy( value );
+			}
+		}
+		return Promise.resolve( out );
+	}
+
+	/**
+	* Sets a field of the hash stored under a key.
+	*
+	* @param {string} key - key
+	* @param {string} field - field name
+	* @param {*} value - field value
+	* @returns {Promise<void>} promise resolving once the field has been set
+	*/
+	setField( key, field, value ) {
+		let hash = this.fields.get( key );
+		if ( !hash ) {
+			hash = new Map();
+			this.fields.set( key, hash );
+		}
+		hash.set( field, copy( value ) );
+		return Promise.resolve();
+	}
+
+	/**
+	* Removes a field of the hash stored under a key.
+	*
+	* @param {string} key - key
+	* @param {string} field - field name
+	* @returns {Promise<void>} promise resolving once the field has been removed
+	*/
+	deleteField( key, field ) {
+		const hash = this.fields.get( key );
+		if ( hash ) {
+			hash.delete( field );
+			if ( hash.size === 0 ) {
+				this.fields.delete( key );
+			}
+		}
+		return Promise.resolve();
+	}
+
+	/**
+	* Removes a key along with its value, list or hash.
+	*
+	* @param {string} key - key
+	* @returns {Promise<void>} promise resolving once the key has been removed
+	*/
+	delete( key ) {
+		this.values.delete( key );
+		this.fields.delete( key );
+		return Promise.resolve();
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = MemoryStore;
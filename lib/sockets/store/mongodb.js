@@ -0,0 +1,185 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const debug = require( './../../debug' )( 'sockets:store' );
+const SocketState = require( './../../models/socket_state.js' );
+
+
+// VARIABLES //
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+
+// MAIN //
+
+/**
+* MongoDB-backed store for room, chat and document state shared by several server processes.
+*
+* ## Notes
+*
+* -   Every read goes to the database, so all processes always observe the latest state without having to watch for changes.
+* -   Writes are single atomic operations, which allows concurrent writers on different processes.
+*/
+class MongoStore {
+	constructor() {
+		this.type = 'mongodb';
+		this.isDistributed = true;
+	}
+
+	/**
+	* Returns the value stored under a key.
+	*
+	* @param {string} key - key
+	* @returns {Promise<(*|null)>} stored value or `null` if no value exists
+	*/
+	async get( key ) {
+		const state = await SocketState.findOne({ key, field: '' }).lean();
+		return state ? state.value : null;
+	}
+
+	/**
+	* Stores a value under a key.
+	*
+	* @param {string} key - key
+	* @param {*} value - value to store
+	* @returns {Promise<void>} promise resolving once the value has been stored
+	*/
+	async set( key, value ) {
+		await SocketState.updateOne({ key, field: '' }, {
+			$set: { value, updatedAt: new Date() }
+		}, { upsert: true });
+	}
+
+	/**
+	* Stores a value under a key if the currently stored value equals an expected value.
+	*
+	* @param {string} key - key
+	* @param {(*|null)} expected - expected current value (`null` if the key should not exist yet)
+	* @param {*} value - value to store
+	* @returns {Promise<boolean>} boolean indicating whether the value was stored
+	*/
+	async setIfEqual( key, expected, value ) {
+		if ( expected === null ) {
+			try {
+				await SocketState.create({ key, field: '', value });
+				return true;
+			} catch ( err ) {
+				if ( err.code === DUPLICATE_KEY_ERROR ) {
+					return false;
+				}
+				throw err;
+			}
+		}
+		const res = await SocketState.updateOne({ key, field: '', value: expected }, {
+			$set: { value, updatedAt: new Date() }
+		});
+		debug( `Compare-and-set of ${key} ${res.modifiedCount === 1 ? 'succeeded' : 'failed'}...` );
+		return res.modifiedCount === 1;
+	}
+
+	/**
+	* Appends an item to the list stored under a key, keeping only the most recent items.
+	*
+	* @param {string} key - key
+	* @param {*} item - item to append
+	* @param {number} [maxLength] - maximum number of items to keep
+	* @returns {Promise<void>} promise resolving once the item has been appended
+	*/
+	async push( key, item, maxLength ) {
+		const op = { $each: [ item ]};
+		if ( maxLength ) {
+			op.$slice = -maxLength;
+		}
+		await SocketState.updateOne({ key, field: '' }, {
+			$push: { value: op },
+			$set: { updatedAt: new Date() }
+		}, { upsert: true });
+	}
+
+	/**
+	* Returns all items of the list stored under a key.
+	*
+	* @param {string} key - key
+	* @returns {Promise<Array>} list items
+	*/
+	async range( key ) {
+		const value = await this.get( key );
+		return Array.isArray( value ) ? value : [];
+	}
+
+	/**
+	* Returns all fields of the hash stored under a key.
+	*
+	* @param {string} key - key
+	* @returns {Promise<Object>} object mapping field names to values
+	*/
+	async getFields( key ) {
+		const states = await SocketState
+			.find({ key, field: { $ne: '' }})
+			.sort({ _id: 1 })
+			.lean();
+		const out = {};
+		for ( let i = 0; i < states.length; i++ ) {
+			out[ states[ i ].field ] = states[ i ].value;
+		}
+		return out;
+	}
+
+	/**
+	* Sets a field of the hash stored under a key.
+	*
+	* @param {string} key - key
+	* @param {string} field - field name
+	* @param {*} value - field value
+	* @returns {Promise<void>} promise resolving once the field has been set
+	*/
+	async setField( key, field, value ) {
+		await SocketState.updateOne({ key, field }, {
+			$set: { value, updatedAt: new Date() }
+		}, { upsert: true });
+	}
+
+	/**
+	* Removes a field of the hash stored under a key.
+	*
+	* @param {string} key - key
+	* @param {string} field - field name
+	* @returns {Promise<void>} promise resolving once the field has been removed
+	*/
+	async deleteField( key, field ) {
+		await SocketState.deleteOne({ key, field });
+	}
+
+	/**
+	* Removes a key along with its value, list or hash.
+	*
+	* @param {string} key - key
+	* @returns {Promise<void>} promise resolving once the key has been removed
+	*/
+	async delete( key ) {
+		await SocketState.deleteMany({ key });
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = MongoStore;
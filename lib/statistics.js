@@ -35,6 +35,7 @@ const incrcount = require( '@stdlib/stats/incr/count' );
 const incrmean = require( '@stdlib/stats/incr/mean' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
+const { checkPermissions } = require( './helpers/check_permissions.js' );
 const Event = require( './models/event.js' );
 const User = require( './models/user.js' );
 const Cohort = require( './models/cohort.js' );
@@ -155,15 +156,12 @@ router.use( responseTime(function onRequest( req, res, time ) {
  *                       description: Number of actions by type.
  *                       default: {}
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `view_statistics` permission
  */
 router.get( '/admin_overview_statistics',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'view_statistics' ),
 	wrapAsync( async function onOverviewStatistics( req, res ) {
-		const isAdmin = req.user.administrator;
-		if ( !isAdmin ) {
-			return res.status( 403 ).send( req.t( 'access-denied' ) );
-		}
 		const nUsers = await User.estimatedDocumentCount();
 		const nInstructors = await User.countDocuments({
 			writeAccess: true
@@ -275,15 +273,12 @@ router.get( '/admin_overview_statistics',
  *                   items:
  *                     $ref: '#/components/schemas/OverviewStatistics'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `view_statistics` permission
  */
 router.get( '/admin_historical_overview_statistics',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'view_statistics' ),
 	wrapAsync( async function onOverviewStatistics( req, res ) {
-		const isAdmin = req.user.administrator;
-		if ( !isAdmin ) {
-			return res.status( 403 ).send( req.t( 'access-denied' ) );
-		}
 		const statistics = await OverviewStatistics.find();
 		res.json({
 			message: 'ok',
@@ -330,15 +325,12 @@ router.get( '/admin_historical_overview_statistics',
  *                         type: number
  *                         description: Mean response time (in milliseconds)
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `view_statistics` permission
  */
 router.get( '/admin_request_statistics',
 	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'view_statistics' ),
 	function onRequestStatistics( req, res ) {
-		const isAdmin = req.user.administrator;
-		if ( !isAdmin ) {
-			return res.status( 403 ).send( req.t( 'access-denied' ) );
-		}
 		const statistics = [];
 		const keys = objectKeys( REQUEST_STATISTICS );
 		for ( let i = 0; i < keys.length; i++ ) {
@@ -34,7 +34,7 @@ const isNumber = require( '@stdlib/assert/is-number' ).isPrimitive;
 const isObject = require( '@stdlib/assert/is-object' );
 const passport = require( './passport.js' );
 const debug = require( './debug' )( 'server:sticky_notes' );
-const isOwner = require( './helpers/is_owner.js' );
+const { hasPermission, resolveContext } = require( './helpers/check_permissions.js' );
 const ErrorStatus = require( './helpers/error.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const StickyNote = require( './models/sticky_note.js' );
@@ -86,7 +86,7 @@ const StickyNote = require( './models/sticky_note.js' );
 router.get( '/get_sticky_notes',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetStickyNotes( req, res ) {
-		const owner = await isOwner( req, req.query.namespaceID );
+		const owner = await hasPermission( req.user, 'moderate_meetings', await resolveContext( req ) );
 		const query = [
 			{
 				lesson: req.query.lessonID,
@@ -253,7 +253,7 @@ router.post( '/save_sticky_note',
  *                   description: Updated sticky note
  *                   $ref: '#/components/schemas/StickyNote'
  *       403:
- *         description: Access denied due to not being the creator of the sticky note or owner of the namespace
+ *         description: Access denied due to not being the creator of the sticky note or moderator of the lesson
  *         content:
  *           text/plain:
  *             Access denied
@@ -263,7 +263,7 @@ router.post( '/update_sticky_note',
 	wrapAsync( async function onUpdateStickyNote( req, res ) {
 		debug( 'Should update sticky note...' );
 		const note = await StickyNote.findById( req.body.noteID );
-		const owner = await isOwner( req, req.body.namespaceID );
+		const owner = await hasPermission( req.user, 'moderate_meetings', await resolveContext( req ) );
 		if ( note.user !== req.user._id && !owner ) {
 			throw new ErrorStatus( 403, req.t( 'access-denied' ) );
 		}
@@ -330,7 +330,7 @@ router.post( '/update_sticky_note',
  *                   description: Success message
  *                   example: ok
  *       403:
- *         description: Access denied due to not being the creator of the sticky note or owner of the namespace
+ *         description: Access denied due to not being the creator of the sticky note or moderator of the lesson
  *         content:
  *           text/plain:
  *             Access denied
@@ -338,7 +338,7 @@ router.post( '/update_sticky_note',
 router.post( '/delete_sticky_note',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onDeleteStickyNote( req, res ) {
-		const owner = await isOwner( req, req.body.namespaceID );
+		const owner = await hasPermission( req.user, 'moderate_meetings', await resolveContext( req ) );
 		const note = await StickyNote.findById( req.body.noteID );
 		if ( note.user !== req.user._id && !owner ) {
 			throw new ErrorStatus( 403, req.t( 'access-denied' ) );
@@ -22,6 +22,7 @@
 const multer = require( 'multer' );
 const debug = require( './../debug' )( 'server:storage' );
 const { basename, extname, join } = require( 'path' );
+const QuotaStorage = require( './quota_storage.js' );
 const { MEDIA_DIRECTORY } = require( '../constants.js' );
 
 
@@ -96,11 +97,11 @@ function onFilename( req, file, cb ) {
 
 debug( 'Directory to store files in: '+FILES_DIRECTORY );
 
-// Settings for storing user and owner files in the `media` directory:
-const storage = multer.diskStorage({
+// Settings for storing user and owner files in the `media` directory within the storage quotas:
+const storage = new QuotaStorage( multer.diskStorage({
 	destination: onDestination,
 	filename: onFilename
-});
+}) );
 
 
 // EXPORTS //
@@ -0,0 +1,203 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const ObjectId = require( 'mongoose' ).Types.ObjectId;
+const isObject = require( '@stdlib/assert/is-object' );
+const objectValues = require( '@stdlib/utils/values' );
+const isPositiveNumber = require( '@stdlib/assert/is-positive-number' ).isPrimitive;
+const File = require( './../models/file.js' );
+const Lesson = require( './../models/lesson.js' );
+const settings = require( './../../etc/settings.json' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns a quota setting in megabytes.
+*
+* @private
+* @param {*} value - setting value
+* @returns {(number|null)} quota or `null` if the quota is disabled
+*/
+function quotaSetting( value ) {
+	const mb = Number( value );
+	return isPositiveNumber( mb ) ? mb : null;
+}
+
+/**
+* Sums up the sizes of the documents of a collection grouped by a field.
+*
+* @private
+* @param {Model} Model - mongoose model with a `size` field
+* @param {Object} match - query selecting the documents
+* @param {string} field - field to group by
+* @param {integer} [limit] - maximum number of groups to return in descending order of size
+* @returns {Promise<Array<Object>>} groups with the field value (`_id`), total size (`size`) and number of documents (`nFiles`)
+*/
+function sumSizes( Model, match, field, limit ) {
+	const pipeline = [
+		{ $match: match },
+		{ $group: {
+			_id: '$'+field,
+			size: { $sum: { $ifNull: [ '$size', 0 ]}},
+			nFiles: { $sum: 1 }
+		}}
+	];
+	if ( limit ) {
+		pipeline.push( { $sort: { size: -1 }}, { $limit: limit } );
+	}
+	return Model.aggregate( pipeline );
+}
+
+
+// MAIN //
+
+/**
+* Returns the storage quota of each user (setting `userStorageQuotaMB`).
+*
+* @returns {(number|null)} quota in megabytes or `null` if disabled
+*/
+function userQuota() {
+	return quotaSetting( settings.userStorageQuotaMB );
+}
+
+/**
+* Returns the storage quota of each namespace (setting `namespaceStorageQuotaMB`).
+*
+* @returns {(number|null)} quota in megabytes or `null` if disabled
+*/
+function namespaceQuota() {
+	return quotaSetting( settings.namespaceStorageQuotaMB );
+}
+
+/**
+* Returns the maximum size of a single file of the given MIME type (setting `fileTypeMaxSizeMB`).
+*
+* ## Notes
+*
+* -   The setting maps MIME types (e.g., `application/pdf`), type wildcards (e.g., `image/*`) or `*` for all remaining types to sizes in megabytes. The most specific matching entry applies.
+*
+* @param {string} mimetype - MIME type of the file
+* @returns {(number|null)} maximum size in megabytes or `null` if unlimited
+*/
+function fileTypeLimit( mimetype ) {
+	const limits = settings.fileTypeMaxSizeMB;
+	if ( !isObject( limits ) ) {
+		return null;
+	}
+	mimetype = String( mimetype || '' ).toLowerCase();
+	const keys = [ mimetype, mimetype.split( '/' )[ 0 ] + '/*', '*' ];
+	for ( let i = 0; i < keys.length; i++ ) {
+		if ( limits[ keys[ i ] ] !== void 0 ) {
+			return quotaSetting( limits[ keys[ i ] ] );
+		}
+	}
+	return null;
+}
+
+/**
+* Returns the storage used by the files a user has uploaded.
+*
+* @param {ObjectId} user - user identifier
+* @returns {Promise<Object>} object with the total size in megabytes (`size`) and the number of files (`nFiles`)
+*/
+async function userUsage( user ) {
+	const [ files ] = await sumSizes( File, { user: new ObjectId( String( user ) ) }, 'user' );
+	return {
+		size: files ? files.size : 0,
+		nFiles: files ? files.nFiles : 0
+	};
+}
+
+/**
+* Returns the storage used by the files and lessons of a namespace.
+*
+* @param {ObjectId} namespace - namespace identifier
+* @param {string} [excludedLesson] - title of a lesson not to count, e.g. because it is about to be replaced
+* @returns {Promise<Object>} object with the total size (`size`), the size of the uploaded files (`fileSize`) and of the lessons (`lessonSize`) in megabytes as well as the number of files (`nFiles`)
+*/
+async function namespaceUsage( namespace, excludedLesson ) {
+	const id = new ObjectId( String( namespace ) );
+	const [ files ] = await sumSizes( File, { namespace: id }, 'namespace' );
+	const lessonMatch = { namespace: id };
+	if ( excludedLesson ) {
+		lessonMatch.title = { $ne: excludedLesson };
+	}
+	const [ lessons ] = await sumSizes( Lesson, lessonMatch, 'namespace' );
+	const fileSize = files ? files.size : 0;
+	const lessonSize = lessons ? lessons.size : 0;
+	return {
+		size: fileSize + lessonSize,
+		fileSize,
+		lessonSize,
+		nFiles: files ? files.nFiles : 0
+	};
+}
+
+/**
+* Returns the users and namespaces using the most storage.
+*
+* @param {integer} limit - maximum number of users and namespaces to return
+* @returns {Promise<Object>} object with `users` and `namespaces` arrays holding identifiers (`_id`), sizes in megabytes (`size`) and number of files (`nFiles`) in descending order of size
+*/
+async function largestConsumers( limit ) {
+	const users = await sumSizes( File, {}, 'user', limit );
+	const files = await sumSizes( File, {}, 'namespace' );
+	const lessons = await sumSizes( Lesson, {}, 'namespace' );
+	const byNamespace = {};
+	for ( let i = 0; i < files.length; i++ ) {
+		byNamespace[ files[ i ]._id ] = {
+			_id: files[ i ]._id,
+			size: files[ i ].size,
+			fileSize: files[ i ].size,
+			lessonSize: 0,
+			nFiles: files[ i ].nFiles
+		};
+	}
+	for ( let i = 0; i < lessons.length; i++ ) {
+		const id = lessons[ i ]._id;
+		byNamespace[ id ] = byNamespace[ id ] || {
+			_id: id,
+			size: 0,
+			fileSize: 0,
+			lessonSize: 0,
+			nFiles: 0
+		};
+		byNamespace[ id ].lessonSize = lessons[ i ].size;
+		byNamespace[ id ].size += lessons[ i ].size;
+	}
+	const namespaces = objectValues( byNamespace )
+		.sort( ( a, b ) => b.size - a.size )
+		.slice( 0, limit );
+	return { users, namespaces };
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	fileTypeLimit,
+	largestConsumers,
+	namespaceQuota,
+	namespaceUsage,
+	userQuota,
+	userUsage
+};
@@ -0,0 +1,207 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { Transform } = require( 'stream' );
+const isValidObjectId = require( 'mongoose' ).Types.ObjectId.isValid;
+const isString = require( '@stdlib/assert/is-string' ).isPrimitive;
+const debug = require( './../debug' )( 'server:storage' );
+const ErrorStatus = require( './../helpers/error.js' );
+const Namespace = require( './../models/namespace.js' );
+const { fileTypeLimit, namespaceQuota, namespaceUsage, userQuota, userUsage } = require( './quota.js' );
+
+
+// VARIABLES //
+
+const BYTES_PER_MB = 1e6; // Same unit as the `size` of file documents
+const USER_FILE_FIELDS = [ 'file', 'attachment', 'avatar' ]; // Fields of uploads counted against the quota of the uploading user
+
+
+// FUNCTIONS //
+
+/**
+* Returns the identifier of the namespace an upload belongs to, as far as it is known before the file is received.
+*
+* @private
+* @param {Request} req - HTTP request object (with the fields preceding the file in `req.body`)
+* @returns {Promise<(ObjectId|null)>} namespace identifier or `null` if unknown
+*/
+async function uploadNamespace( req ) {
+	const name = req.query.namespaceName || req.body.namespaceName;
+	if ( isString( name ) ) {
+		const namespace = await Namespace.findOne({ title: name }, { _id: 1 }).lean();
+		return namespace ? namespace._id : null;
+	}
+	if ( isValidObjectId( req.body.namespaceID ) ) {
+		return req.body.namespaceID;
+	}
+	return null;
+}
+
+/**
+* Returns the most restrictive limit for the size of an uploaded file.
+*
+* ## Notes
+*
+* -   The quota of the uploading user applies to files which are stored as file documents (uploaded files and ticket attachments) and to profile pictures.
+* -   Files received earlier in the same request (`req.uploadSize`) count against the quotas.
+* -   When replacing a lesson, its current files do not count against the quota of the namespace.
+*
+* @private
+* @param {Request} req - HTTP request object
+* @param {Object} file - multer file object
+* @returns {Promise<(Object|null)>} object with the available size in megabytes (`size`) and the error message sent when it is exceeded (`message`) or `null` if the upload is unlimited
+*/
+async function uploadLimit( req, file ) {
+	const uploaded = req.uploadSize || 0;
+	const limits = [];
+	const typeLimit = fileTypeLimit( file.mimetype );
+	if ( typeLimit !== null ) {
+		limits.push({
+			size: typeLimit,
+			message: req.t( 'file-type-size-exceeded', { type: file.mimetype, max: typeLimit })
+		});
+	}
+	const maxUser = userQuota();
+	if ( maxUser !== null && req.user && USER_FILE_FIELDS.includes( file.fieldname ) ) {
+		const usage = await userUsage( req.user._id );
+		limits.push({
+			size: maxUser - usage.size - uploaded,
+			message: req.t( 'user-storage-quota-exceeded', { max: maxUser })
+		});
+	}
+	const maxNamespace = namespaceQuota();
+	const namespace = maxNamespace !== null ? await uploadNamespace( req ) : null;
+	if ( namespace ) {
+		const usage = await namespaceUsage( namespace, file.fieldname === 'zipped' ? req.body.lessonName : null );
+		limits.push({
+			size: maxNamespace - usage.size - uploaded,
+			message: req.t( 'namespace-storage-quota-exceeded', { max: maxNamespace })
+		});
+	}
+	let out = null;
+	for ( let i = 0; i < limits.length; i++ ) {
+		if ( !out || limits[ i ].size < out.size ) {
+			out = limits[ i ];
+		}
+	}
+	return out;
+}
+
+/**
+* Passes an uploaded file on to a storage engine, writing at most as many bytes as the given limit permits.
+*
+* @private
+* @param {Object} storage - multer storage engine writing the files
+* @param {Request} req - HTTP request object
+* @param {Object} file - multer file object
+* @param {(Object|null)} limit - available size and error message (or `null` if unlimited)
+* @param {Function} cb - callback invoked with an error or the file information
+* @returns {void}
+*/
+function storeFile( storage, req, file, limit, cb ) {
+	if ( limit && limit.size <= 0 ) {
+		debug( `Rejected ${file.originalname} as the storage quota is exhausted` );
+		file.stream.resume();
+		return cb( new ErrorStatus( 413, limit.message ) );
+	}
+	const maxBytes = limit ? limit.size * BYTES_PER_MB : Infinity;
+	let bytes = 0;
+	let exceeded = false;
+	const stream = new Transform({
+		transform( chunk, encoding, done ) {
+			bytes += chunk.length;
+			if ( bytes > maxBytes ) {
+				// Keep consuming the upload without writing the remaining data:
+				exceeded = true;
+				return done();
+			}
+			done( null, chunk );
+		}
+	});
+	file.stream.pipe( stream );
+	storage._handleFile( req, { ...file, stream }, ( err, info ) => {
+		if ( err ) {
+			return cb( err );
+		}
+		if ( exceeded ) {
+			debug( `Rejected ${file.originalname} after ${maxBytes} bytes as it exceeds the storage quota` );
+			return storage._removeFile( req, info, () => {
+				cb( new ErrorStatus( 413, limit.message ) );
+			});
+		}
+		req.uploadSize = ( req.uploadSize || 0 ) + ( info.size / BYTES_PER_MB );
+		cb( null, info );
+	});
+}
+
+
+// MAIN //
+
+/**
+* Multer storage engine enforcing the storage quotas while files are received.
+*
+* ## Notes
+*
+* -   Files are passed on to the wrapped storage engine only up to the available size, so that uploads exceeding a quota never fully reach the disk; the truncated file is removed and the upload fails with status code 413.
+* -   The total size of the files stored during a request is accumulated in `req.uploadSize` (in megabytes).
+*/
+class QuotaStorage {
+	/**
+	* Storage engine constructor.
+	*
+	* @param {Object} storage - multer storage engine writing the files
+	* @returns {QuotaStorage} storage engine
+	*/
+	constructor( storage ) {
+		this.storage = storage;
+	}
+
+	/**
+	* Stores an uploaded file if it does not exceed the storage quotas.
+	*
+	* @param {Request} req - HTTP request object
+	* @param {Object} file - multer file object
+	* @param {Function} cb - callback invoked with an error or the file information
+	* @returns {void}
+	*/
+	_handleFile( req, file, cb ) {
+		uploadLimit( req, file )
+			.then( limit => storeFile( this.storage, req, file, limit, cb ) )
+			.catch( cb );
+	}
+
+	/**
+	* Removes a stored file, e.g. when a later file of the same request is rejected.
+	*
+	* @param {Request} req - HTTP request object
+	* @param {Object} file - multer file object
+	* @param {Function} cb - callback invoked once the file is removed
+	* @returns {void}
+	*/
+	_removeFile( req, file, cb ) {
+		this.storage._removeFile( req, file, cb );
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = QuotaStorage;
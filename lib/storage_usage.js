@@ -0,0 +1,233 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: Storage
+ *   description: Storage usage and quotas for uploaded files and lessons.
+ */
+
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const debug = require( './debug' )( 'server:storage' );
+const passport = require( './passport.js' );
+const wrapAsync = require( './utils/wrap_async.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const { checkPermissions } = require( './helpers/check_permissions.js' );
+const Lesson = require( './models/lesson.js' );
+const Namespace = require( './models/namespace.js' );
+const User = require( './models/user.js' );
+const { largestConsumers, namespaceQuota, namespaceUsage, userQuota, userUsage } = require( './storage/quota.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_REPORT_LIMIT = 20;
+const MAX_REPORT_LIMIT = 100;
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /get_storage_usage:
+ *   get:
+ *     summary: Get storage usage
+ *     description: Get the storage used by the files the user has uploaded along with the user's storage quota.
+ *     tags: [Storage]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'ok'
+ *                 usage:
+ *                   type: object
+ *                   description: Total size of the uploaded files (`size`) and storage quota (`quota`, `null` if unlimited) in megabyte along with the number of files (`nFiles`)
+ *                   example: { "size": 12.5, "nFiles": 4, "quota": 500 }
+ */
+router.get( '/get_storage_usage',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetStorageUsage( req, res ) {
+		const usage = await userUsage( req.user._id );
+		usage.quota = userQuota();
+		res.json({ message: 'ok', usage });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_namespace_storage_usage:
+ *   get:
+ *     summary: Get namespace storage usage
+ *     description: Get the storage used by the files and lessons of a namespace along with its storage quota.
+ *     tags: [Storage]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: namespaceID
+ *         schema:
+ *           type: ObjectId
+ *         required: true
+ *         description: ID of the namespace
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'ok'
+ *                 usage:
+ *                   type: object
+ *                   description: Total size (`size`), size of the uploaded files (`fileSize`) and lessons (`lessonSize`) and storage quota (`quota`, `null` if unlimited) in megabyte along with the number of files (`nFiles`)
+ *                   example: { "size": 310.2, "fileSize": 120.7, "lessonSize": 189.5, "nFiles": 42, "quota": 5000 }
+ *                 lessons:
+ *                   type: array
+ *                   description: Sizes of the lessons (`size`) and of their previous versions (`previousSize`) in megabyte in descending order of size
+ *                   items:
+ *                     type: object
+ *                   example: [ { "_id": "5c9d8f9f8f9f9f9f9f9f9f8", "title": "regression", "size": 80.1, "previousSize": 79.6 } ]
+ *       403:
+ *         description: Access denied for users lacking the `manage_files` permission for the namespace
+ *       404:
+ *         description: Namespace not found
+ */
+router.get( '/get_namespace_storage_usage',
+	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'manage_files' ),
+	wrapAsync( async function onGetNamespaceStorageUsage( req, res ) {
+		const { namespace } = req.context;
+		if ( !namespace ) {
+			throw new ErrorStatus( 404, req.t( 'namespace-nonexistent' ) );
+		}
+		const usage = await namespaceUsage( namespace._id );
+		usage.quota = namespaceQuota();
+		const lessons = await Lesson
+			.find({ namespace: namespace._id }, { title: 1, size: 1, previousSize: 1 })
+			.sort({ size: -1 })
+			.lean();
+		res.json({ message: 'ok', usage, lessons });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_storage_report:
+ *   get:
+ *     summary: Get storage report
+ *     description: Get the users and namespaces using the most storage along with the storage quotas.
+ *     tags: [Storage]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         required: false
+ *         description: Maximum number of users and namespaces to return
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: 'ok'
+ *                 users:
+ *                   type: array
+ *                   description: Users with the largest uploaded files in descending order of their total size (in megabyte)
+ *                   items:
+ *                     type: object
+ *                   example: [ { "_id": "5c9d8f9f8f9f9f9f9f9f9f8", "name": "Jane Doe", "email": "jane.doe@isledocs.com", "size": 480.3, "nFiles": 61 } ]
+ *                 namespaces:
+ *                   type: array
+ *                   description: Namespaces with the largest files and lessons in descending order of their total size (in megabyte)
+ *                   items:
+ *                     type: object
+ *                   example: [ { "_id": "5c9d8f9f8f9f9f9f9f9f9f8", "title": "36-200", "size": 310.2, "fileSize": 120.7, "lessonSize": 189.5, "nFiles": 42 } ]
+ *                 quotas:
+ *                   type: object
+ *                   description: Storage quotas of each user and namespace in megabyte (`null` if unlimited)
+ *                   example: { "user": 500, "namespace": 5000 }
+ *       403:
+ *         description: Access denied for users lacking the `view_statistics` permission
+ */
+router.get( '/get_storage_report',
+	passport.authenticate( 'jwt', { session: false }),
+	checkPermissions( 'view_statistics' ),
+	wrapAsync( async function onGetStorageReport( req, res ) {
+		const limit = Math.max( Math.min( parseInt( req.query.limit, 10 ) || DEFAULT_REPORT_LIMIT, MAX_REPORT_LIMIT ), 1 );
+		debug( `Retrieve the ${limit} largest consumers of storage...` );
+		const { users, namespaces } = await largestConsumers( limit );
+		const userDocs = await User
+			.find({ _id: { $in: users.map( x => x._id ) }}, { name: 1, email: 1 })
+			.lean();
+		for ( let i = 0; i < users.length; i++ ) {
+			const user = userDocs.find( x => String( x._id ) === String( users[ i ]._id ) );
+			users[ i ].name = user ? user.name : null;
+			users[ i ].email = user ? user.email : null;
+		}
+		const namespaceDocs = await Namespace
+			.find({ _id: { $in: namespaces.map( x => x._id ) }}, { title: 1 })
+			.lean();
+		for ( let i = 0; i < namespaces.length; i++ ) {
+			const namespace = namespaceDocs.find( x => String( x._id ) === String( namespaces[ i ]._id ) );
+			namespaces[ i ].title = namespace ? namespace.title : null;
+		}
+		res.json({
+			message: 'ok',
+			users,
+			namespaces,
+			quotas: {
+				user: userQuota(),
+				namespace: namespaceQuota()
+			}
+		});
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
@@ -29,15 +29,79 @@
 // MODULES //
 
 const router = require( 'express' ).Router();
+const archiver = require( 'archiver' );
+const debug = require( './debug' )( 'server:text-editor-document' );
+const isNonNegativeInteger = require( '@stdlib/assert/is-nonnegative-integer' ).isPrimitive;
+const objectKeys = require( '@stdlib/utils/keys' );
 const passport = require( './passport.js' );
-const isOwner = require( './helpers/is_owner.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
-const validateOwner = require( './helpers/validate_owner.js' );
+const exportFilename = require( './utils/export_filename.js' );
+const ErrorStatus = require( './helpers/error.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const { hasPermission } = require( './helpers/check_permissions.js' );
 const validateString = require( './helpers/validate_string.js' );
+const validateEnum = require( './helpers/validate_enum.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const TextEditorDocument = require( './models/text_editor_document.js' );
+const TextEditorDocumentVersion = require( './models/text_editor_document_version.js' );
+const Namespace = require( './models/namespace.js' );
+const Lesson = require( './models/lesson.js' );
+const User = require( './models/user.js' );
+const Room = require( './sockets/room.js' );
 const { uncompressStepJSON } = require( './sockets/document/compress' );
-const { saveToDatabase } = require( './sockets/document/instance.js' );
+const { getInstance, restoreDocument, saveToDatabase } = require( './sockets/document/instance.js' );
+const saveSnapshot = require( './sockets/document/snapshots.js' );
+const { toHTML, toMarkdown } = require( './sockets/document/serializers' );
+
+
+// VARIABLES //
+
+const EXPORT_FORMATS = [ 'md', 'html' ];
+
+
+// FUNCTIONS //
+
+/**
+* Validates that a request is made by a user allowed to view the data of the students of a lesson or by one of the document's users.
+*
+* @private
+* @param {Object} req - HTTP request object
+* @param {Object} keys - document keys
+* @param {string} keys.id - text editor identifier
+* @param {string} keys.namespace - namespace identifier
+* @param {string} keys.lesson - lesson identifier
+* @throws {Error} error if the request is made by neither a user with access to the lesson's student data nor a user of the document
+* @returns {Promise<void>} promise resolving once access has been validated
+*/
+async function validateDocumentAccess( req, keys ) {
+	const allowed = await hasPermission( req.user, 'view_student_data', { lesson: keys.lesson });
+	if ( allowed ) {
+		return;
+	}
+	const document = await TextEditorDocument.findOne({
+		...keys,
+		users: { $in: [ req.user._id ]}
+	}, { _id: 1 });
+	if ( !document ) {
+		throw new ErrorStatus( 403, req.t( 'access-denied' ) );
+	}
+}
+
+/**
+* Resolves the email addresses under which document authors are recorded to the names of the respective users for display.
+*
+* @private
+* @param {Array<string>} emails - email addresses
+* @returns {Promise<Object>} object mapping email addresses to user names
+*/
+async function authorNames( emails ) {
+	const users = await User.find({ email: { $in: emails }}, { email: 1, name: 1 }).lean();
+	const out = {};
+	for ( let i = 0; i < users.length; i++ ) {
+		out[ users[ i ].email ] = users[ i ].name;
+	}
+	return out;
+}
 
 
 // MAIN //
@@ -90,7 +154,7 @@ router.get( '/text_editor_document_list',
 
 		validateObjectId( lessonID, 'lessonID', req.t );
 		validateObjectId( namespaceID, 'namespaceID', req.t );
-		validateOwner( req, namespaceID );
+		await validatePermissions( req, 'view_student_data', { lesson: lessonID });
 
 		const documents = await TextEditorDocument.find({
 			namespace: namespaceID,
@@ -107,7 +171,7 @@ router.get( '/text_editor_document_list',
  * /text_editor_document:
  *   get:
  *     summary: Get text editor document
- *     description: Get a text editor document.
+ *     description: Get a text editor document. Accessible to users with the `view_student_data` permission for the lesson and users of the document.
  *     tags: [TextEditorDocument]
  *     security:
  *       - JWT: []
@@ -144,6 +208,10 @@ router.get( '/text_editor_document_list',
  *                   example: ok
  *                 document:
  *                   $ref: '#/components/schemas/TextEditorDocument'
+ *       403:
+ *         description: Access denied for users lacking the `view_student_data` permission for the lesson who are not users of the document
+ *       404:
+ *         description: Document not found
  */
 router.get( '/text_editor_document',
 	passport.authenticate( 'jwt', { session: false }),
@@ -153,25 +221,606 @@ router.get( '/text_editor_document',
 		validateObjectId( lessonID, 'lessonID', req.t );
 		validateObjectId( namespaceID, 'namespaceID', req.t );
 		validateString( id, 'id', req.t );
-		await saveToDatabase();
-
-		const namespaceOwner = await isOwner( req, namespaceID );
-		const query = {
+		const keys = {
 			id: id,
 			namespace: namespaceID,
 			lesson: lessonID
 		};
-		const document = await TextEditorDocument.findOne( query );
-		if ( !namespaceOwner ) {
-			query.users = {
-				$in: [ req.user ]
-			};
+		await validateDocumentAccess( req, keys );
+		await saveToDatabase();
+
+		const document = await TextEditorDocument.findOne( keys );
+		if ( !document ) {
+			throw new ErrorStatus( 404, req.t( 'document-nonexistent' ) );
 		}
 		document.steps = document.steps.map( json => uncompressStepJSON( json ) );
 		res.json({ message: 'ok', document });
 	})
 );
 
+/**
+ * @openapi
+ *
+ * /text_editor_document_contributions:
+ *   get:
+ *     summary: Get contributions to text editor documents
+ *     description: Get the contribution breakdown (inserted and deleted characters, editing steps and active editing time per author) for all text editor documents of a lesson. Only accessible to users with the `view_student_data` permission for the lesson.
+ *     tags: [TextEditorDocument]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: namespaceID
+ *         description: ID of the namespace
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 documents:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                         description: ID of the text editor document
+ *                       version:
+ *                         type: integer
+ *                         description: Current version of the document
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Time of the last save of the document
+ *                       contributions:
+ *                         type: array
+ *                         description: Contributions of the document's authors sorted by the number of inserted characters; authors are identified by their `email`, `name` is set if the author could be matched to a user and `share` denotes the author's share of all inserted characters.
+ *                         items:
+ *                           type: object
+ *       401:
+ *         description: Access denied for users lacking the `view_student_data` permission
+ */
+router.get( '/text_editor_document_contributions',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetContributions( req, res ) {
+		const { lessonID, namespaceID } = req.query;
+
+		validateObjectId( lessonID, 'lessonID', req.t );
+		validateObjectId( namespaceID, 'namespaceID', req.t );
+		await validatePermissions( req, 'view_student_data', { lesson: lessonID });
+		await saveToDatabase();
+
+		const documents = await TextEditorDocument.find({
+			namespace: namespaceID,
+			lesson: lessonID,
+			version: { $gt: 0 }
+		}, { id: 1, version: 1, contributions: 1, updatedAt: 1 })
+			.lean();
+		const names = await authorNames( documents.reduce( ( acc, x ) => acc.concat( ( x.contributions || [] ).map( c => c.email ).filter( email => email ) ), [] ) );
+		res.json({
+			message: 'ok',
+			documents: documents.map( document => {
+				const contributions = document.contributions || [];
+				const total = contributions.reduce( ( acc, x ) => acc + x.inserted, 0 );
+				return {
+					id: document.id,
+					version: document.version,
+					updatedAt: document.updatedAt,
+					contributions: contributions
+						.map( x => {
+							return {
+								...x,
+								email: x.email || null,
+								name: names[ x.email ] || x.name || null,
+								share: total > 0 ? x.inserted / total : 0
+							};
+						})
+						.sort( ( a, b ) => b.inserted - a.inserted )
+				};
+			})
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /text_editor_document_history:
+ *   get:
+ *     summary: Get text editor document history
+ *     description: Get the list of stored versions of a text editor document (newest first) together with the users who edited the document before each version was saved (as objects holding the `email` and, if the user could be found, the `name` of each author). Accessible to users with the `view_student_data` permission for the lesson and users of the document.
+ *     tags: [TextEditorDocument]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         description: ID of the text editor document
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: namespaceID
+ *         description: ID of the namespace
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 versions:
+ *                   type: array
+ *                   description: Array of stored versions (without document data)
+ *                   items:
+ *                     $ref: '#/components/schemas/TextEditorDocumentVersion'
+ *       403:
+ *         description: Access denied
+ */
+router.get( '/text_editor_document_history',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetDocumentHistory( req, res ) {
+		const { lessonID, namespaceID, id } = req.query;
+
+		validateObjectId( lessonID, 'lessonID', req.t );
+		validateObjectId( namespaceID, 'namespaceID', req.t );
+		validateString( id, 'id', req.t );
+		const keys = {
+			id: id,
+			namespace: namespaceID,
+			lesson: lessonID
+		};
+		await validateDocumentAccess( req, keys );
+		await saveToDatabase();
+
+		const versions = await TextEditorDocumentVersion
+			.find( keys, { doc: 0 })
+			.sort({ version: -1 })
+			.populate( 'createdBy', [ 'name', 'email' ])
+			.lean();
+		const names = await authorNames( versions.reduce( ( acc, x ) => acc.concat( x.authors || [] ), [] ) );
+		res.json({
+			message: 'ok',
+			versions: versions.map( version => {
+				return {
+					...version,
+					authors: ( version.authors || [] ).map( email => {
+						return { email, name: names[ email ] || null };
+					})
+				};
+			})
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /text_editor_document_version:
+ *   get:
+ *     summary: Get text editor document at a version
+ *     description: Get the content of a text editor document at one of its stored versions. Accessible to users with the `view_student_data` permission for the lesson and users of the document.
+ *     tags: [TextEditorDocument]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         description: ID of the text editor document
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: namespaceID
+ *         description: ID of the namespace
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: version
+ *         description: Stored version of the document
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: ok
+ *                 version:
+ *                   $ref: '#/components/schemas/TextEditorDocumentVersion'
+ *       400:
+ *         description: Invalid version
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Version not found
+ */
+router.get( '/text_editor_document_version',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetDocumentVersion( req, res ) {
+		const { lessonID, namespaceID, id } = req.query;
+		const version = Number( req.query.version );
+
+		validateObjectId( lessonID, 'lessonID', req.t );
+		validateObjectId( namespaceID, 'namespaceID', req.t );
+		validateString( id, 'id', req.t );
+		if ( !isNonNegativeInteger( version ) ) {
+			throw new ErrorStatus( 400, req.t( 'invalid-document-version' ) );
+		}
+		const keys = {
+			id: id,
+			namespace: namespaceID,
+			lesson: lessonID
+		};
+		await validateDocumentAccess( req, keys );
+
+		const snapshot = await TextEditorDocumentVersion
+			.findOne({ ...keys, version })
+			.populate( 'createdBy', [ 'name', 'email' ])
+			.lean();
+		if ( !snapshot ) {
+			throw new ErrorStatus( 404, req.t( 'document-version-not-found' ) );
+		}
+		res.json({ message: 'ok', version: snapshot });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /restore_text_editor_document:
+ *   post:
+ *     summary: Restore text editor document
+ *     description: Restore a text editor document to one of its stored versions. The current state is saved as a new version beforehand, and the restored content is sent to all users editing the document. Only accessible to users with the `manage_documents` permission for the lesson.
+ *     tags: [TextEditorDocument]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *                 description: ID of the text editor document
+ *               namespaceID:
+ *                 type: ObjectId
+ *                 description: ID of the namespace
+ *               lessonID:
+ *                 type: ObjectId
+ *                 description: ID of the lesson
+ *               version:
+ *                 type: integer
+ *                 description: Stored version to restore
+ *             required:
+ *               - id
+ *               - namespaceID
+ *               - lessonID
+ *               - version
+ *     responses:
+ *       200:
+ *         description: Success
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                   example: Document has been restored to version 42.
+ *                 version:
+ *                   type: integer
+ *                   description: New version of the document after the restore
+ *                   example: 57
+ *       400:
+ *         description: Invalid version
+ *       401:
+ *         description: Access denied for users lacking the `manage_documents` permission
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: Document was changed concurrently
+ */
+router.post( '/restore_text_editor_document',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRestoreDocument( req, res ) {
+		const { lessonID, namespaceID, id, version } = req.body;
+
+		validateObjectId( lessonID, 'lessonID', req.t );
+		validateObjectId( namespaceID, 'namespaceID', req.t );
+		validateString( id, 'id', req.t );
+		if ( !isNonNegativeInteger( version ) ) {
+			throw new ErrorStatus( 400, req.t( 'invalid-document-version' ) );
+		}
+		await validatePermissions( req, 'manage_documents', { lesson: lessonID });
+
+		const keys = {
+			id: id,
+			namespace: namespaceID,
+			lesson: lessonID
+		};
+		const snapshot = await TextEditorDocumentVersion.findOne({ ...keys, version });
+		if ( !snapshot ) {
+			throw new ErrorStatus( 404, req.t( 'document-version-not-found' ) );
+		}
+		const namespace = await Namespace.findById( namespaceID );
+		const lesson = await Lesson.findOne({ _id: lessonID, namespace: namespaceID });
+		if ( !lesson ) {
+			throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+		}
+		const room = new Room( req.app.get( 'io' ), namespace.title+'/'+lesson.title );
+		const docID = `${namespaceID}-${lessonID}-${id}`;
+		await saveToDatabase();
+
+		// Keep the current state of the document so that the restore can be undone:
+		const inst = await getInstance( docID, null, room.memberHasActiveSocket );
+		await saveSnapshot( inst, keys, {
+			kind: 'backup',
+			name: req.t( 'document-version-before-restore', { version } ),
+			createdBy: req.user._id
+		});
+		const restored = await restoreDocument( docID, snapshot.doc, req.user.email, room.memberHasActiveSocket );
+		if ( !restored ) {
+			throw new ErrorStatus( 409, req.t( 'document-restore-failed' ) );
+		}
+		debug( `Restored document "${docID}" to version ${version} (new version: ${restored.result.version})...` );
+		await saveSnapshot( restored.inst, keys, {
+			kind: 'restore',
+			name: req.t( 'document-version-restored', { version } ),
+			createdBy: req.user._id
+		});
+
+		// Users editing the document will poll for the step replacing its content:
+		const users = objectKeys( restored.inst.users );
+		for ( let i = 0; i < users.length; i++ ) {
+			room.emitToEmail( users[ i ], 'collaborative_editing_events', docID, restored.result );
+		}
+		res.json({
+			message: req.t( 'document-restored', { version } ),
+			version: restored.result.version
+		});
+	})
+);
+
+
+/**
+* Serializes a document in the requested export format.
+*
+* @private
+* @param {Object} document - text editor document
+* @param {string} format - export format (`md` or `html`)
+* @param {string} language - document language
+* @returns {Promise<string>} serialized document
+*/
+function serializeDocument( document, format, language ) {
+	if ( format === 'md' ) {
+		return Promise.resolve( toMarkdown( document.doc ) );
+	}
+	return toHTML( document.doc, {
+		title: document.id,
+		language
+	});
+}
+
+/**
+ * @openapi
+ *
+ * /text_editor_document/export:
+ *   get:
+ *     summary: Export text editor document
+ *     description: Export a text editor document as Markdown or as a standalone HTML page (with embedded images and numbered footnotes) that can be printed to PDF. Accessible to users with the `view_student_data` permission for the lesson and users of the document.
+ *     tags: [TextEditorDocument]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: id
+ *         description: ID of the text editor document
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: namespaceID
+ *         description: ID of the namespace
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: format
+ *         description: Export format
+ *         schema:
+ *           type: string
+ *           enum: [md, html]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: Exported document
+ *         content:
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Document not found
+ */
+router.get( '/text_editor_document/export',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onExportDocument( req, res ) {
+		const { lessonID, namespaceID, id } = req.query;
+		const format = req.query.format || 'html';
+
+		validateObjectId( lessonID, 'lessonID', req.t );
+		validateObjectId( namespaceID, 'namespaceID', req.t );
+		validateString( id, 'id', req.t );
+		validateEnum( format, EXPORT_FORMATS, 'format', req.t );
+		const keys = {
+			id: id,
+			namespace: namespaceID,
+			lesson: lessonID
+		};
+		await validateDocumentAccess( req, keys );
+		await saveToDatabase();
+
+		const document = await TextEditorDocument.findOne( keys );
+		if ( !document ) {
+			throw new ErrorStatus( 404, req.t( 'document-nonexistent' ) );
+		}
+		const out = await serializeDocument( document, format, req.language );
+		res.attachment( exportFilename( id, format ) );
+		res.type( format === 'md' ? 'text/markdown' : 'text/html' );
+		res.send( out );
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /text_editor_document_lesson_export:
+ *   get:
+ *     summary: Export all text editor documents of a lesson
+ *     description: Export all text editor documents of a lesson as a ZIP archive containing one Markdown or HTML file per document (named after the document, with a counter appended to names which are already in use). Only accessible to users with the `view_student_data` permission for the lesson.
+ *     tags: [TextEditorDocument]
+ *     security:
+ *       - JWT: []
+ *     parameters:
+ *       - in: query
+ *         name: namespaceID
+ *         description: ID of the namespace
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: lessonID
+ *         description: ID of the lesson
+ *         required: true
+ *         schema:
+ *           type: ObjectId
+ *       - in: query
+ *         name: format
+ *         description: Export format of the documents in the archive
+ *         schema:
+ *           type: string
+ *           enum: [md, html]
+ *           default: html
+ *     responses:
+ *       200:
+ *         description: ZIP archive with the exported documents
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Access denied for users lacking the `view_student_data` permission
+ *       404:
+ *         description: Lesson not found
+ */
+router.get( '/text_editor_document_lesson_export',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onExportLessonDocuments( req, res ) {
+		const { lessonID, namespaceID } = req.query;
+		const format = req.query.format || 'html';
+
+		validateObjectId( lessonID, 'lessonID', req.t );
+		validateObjectId( namespaceID, 'namespaceID', req.t );
+		validateEnum( format, EXPORT_FORMATS, 'format', req.t );
+		await validatePermissions( req, 'view_student_data', { lesson: lessonID });
+		const lesson = await Lesson.findOne({ _id: lessonID, namespace: namespaceID });
+		if ( !lesson ) {
+			throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+		}
+		await saveToDatabase();
+
+		const documents = await TextEditorDocument.find({
+			namespace: namespaceID,
+			lesson: lessonID,
+			version: { $gt: 0 }
+		});
+		const files = [];
+		const used = new Set();
+		for ( let i = 0; i < documents.length; i++ ) {
+			files.push({
+				name: exportFilename( documents[ i ].id, format, used ),
+				content: await serializeDocument( documents[ i ], format, req.language )
+			});
+		}
+		debug( `Export ${files.length} documents of lesson ${lesson.title} as ${format}...` );
+		const archive = archiver( 'zip', {
+			zlib: { level: 9 }
+		});
+		archive.on( 'error', function onArchiveError( err ) {
+			debug( 'Encountered an error: '+err.message );
+			res.destroy( err );
+		});
+		archive.on( 'warning', function onArchiveWarning( err ) {
+			debug( 'Encountered a warning: '+err.message );
+		});
+		res.attachment( exportFilename( lesson.title, 'zip' ) );
+		archive.pipe( res );
+		for ( let i = 0; i < files.length; i++ ) {
+			archive.append( files[ i ].content, { name: files[ i ].name });
+		}
+		archive.finalize();
+	})
+);
+
+
 // EXPORTS //
 
 module.exports = router;
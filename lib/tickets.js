@@ -38,8 +38,8 @@ const storage = require( './storage' );
 const passport = require( './passport.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const validateString = require( './helpers/validate_string.js' );
-const validateOwner = require( './helpers/validate_owner.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const validateNamespaceQuota = require( './helpers/validate_namespace_quota.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
 const ErrorStatus = require( './helpers/error.js' );
 const Namespace = require( './models/namespace.js' );
@@ -286,10 +286,12 @@ function sendTicketMessageNotification( ticket, sender, message, t ) {
  *                   description: Attachments
  *                   items:
  *                     $ref: '#/components/schemas/File'
+ *       413:
+ *         description: Attachment exceeds the maximum size for its type or the storage quota of the user or namespace
  */
 router.post( '/create_ticket',
-	attachmentsUpload,
 	passport.authenticate( 'jwt', { session: false }),
+	attachmentsUpload,
 	wrapAsync( async function onCreateTicket( req, res ) {
 		const { lessonID, namespaceID, title, description } = req.body;
 		debug( `Create ticket for namespace with id ${namespaceID} and lesson ${lessonID}...`);
@@ -298,6 +300,7 @@ router.post( '/create_ticket',
 		validateObjectId( lessonID, 'lessonID', req.t );
 		validateString( title, 'title', req.t );
 		validateString( description, 'description', req.t );
+		await validateNamespaceQuota( req, namespaceID );
 
 		if ( req.body.component ) {
 			validateString( req.body.component, 'component', req.t );
@@ -388,12 +391,12 @@ router.post( '/create_ticket',
  *                   description: Message
  *                   example: "ok"
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_tickets` permission
  */
 router.get( '/get_all_tickets',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetTickets( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_tickets' );
 
 		const tickets = await Ticket
 			.find({})
@@ -445,7 +448,7 @@ router.get( '/get_course_tickets',
 	wrapAsync( async function onGetTickets( req, res ) {
 		const { namespaceID } = req.query;
 		validateObjectId( namespaceID, 'namespaceID', req.t );
-		await validateOwner( req, namespaceID );
+		await validatePermissions( req, 'view_course_tickets', { namespace: namespaceID });
 
 		const tickets = await Ticket
 			.find({
@@ -540,12 +543,12 @@ router.get( '/get_user_tickets',
  *                   type: string
  *                   description: database operation status
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_tickets` permission
  */
 router.post( '/delete_ticket',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onDeleteTicket( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_tickets' );
 		validateObjectId( req.body.id, 'id', req.t );
 		const status = await Ticket.deleteOne({ _id: req.body.id });
 		res.json({ message: req.t( 'ticket-deleted' ), status });
@@ -592,6 +595,8 @@ router.post( '/delete_ticket',
  *                  type: string
  *                  description: Message
  *                  example: "ok"
+ *       403:
+ *         description: Access denied for users lacking the `manage_tickets` permission
  */
 router.post( '/update_ticket_priority',
 	passport.authenticate( 'jwt', { session: false }),
@@ -604,6 +609,7 @@ router.post( '/update_ticket_priority',
 			);
 		}
 		validateObjectId( ticketID, 'ticketID', req.t );
+		await validatePermissions( req, 'manage_tickets' );
 		await Ticket.updateOne(
 			{ _id: ticketID },
 			{ priority }
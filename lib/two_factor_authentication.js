@@ -31,13 +31,19 @@
 const router = require( 'express' ).Router();
 const speakeasy = require( 'speakeasy' );
 const QRCode = require( 'qrcode' );
-const jwt = require( 'jsonwebtoken' );
 const passport = require( './passport.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
+const createAuthSession = require( './utils/create_auth_session.js' );
+const recordAuditLog = require( './utils/record_audit_log.js' );
+const { consumeRecoveryCode, countRecoveryCodes, generateRecoveryCodes } = require( './utils/recovery_codes.js' );
+const { assertLoginAllowed, recordLoginAttempt } = require( './login_throttle.js' );
 const ErrorStatus = require( './helpers/error.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
+const validateObjectId = require( './helpers/validate_object_id.js' );
 const validateString = require( './helpers/validate_string.js' );
+const RecoveryCode = require( './models/recovery_code.js' );
 const User = require( './models/user.js' );
-const { tokens } = require( './credentials.js' );
+const WebAuthnCredential = require( './models/webauthn_credential.js' );
 
 
 // MAIN //
@@ -94,7 +100,7 @@ router.get( '/get_tfa_qrcode',
  * /enable_tfa:
  *   post:
  *     summary: Enable TFA
- *     description: Enable two-factor authentication for the user.
+ *     description: Enable two-factor authentication for the user. If the user has no unused recovery codes, a new set of recovery codes is generated and returned (only once).
  *     tags: [TFA]
  *     security:
  *       - JWT: []
@@ -123,6 +129,11 @@ router.get( '/get_tfa_qrcode',
  *                   type: boolean
  *                   description: Indicates if the token was verified.
  *                   example: true
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Newly generated recovery codes (only present if the user had no unused recovery codes).
  */
 router.post( '/enable_tfa',
 	passport.authenticate( 'jwt', { session: false }),
@@ -137,7 +148,12 @@ router.post( '/enable_tfa',
 		if ( verified ) {
 			req.user.twoFactorAuth = true;
 			await req.user.save();
-			res.json({ message: req.t( 'enable-tfa-success' ), verified });
+			const out = { message: req.t( 'enable-tfa-success' ), verified };
+			const remaining = await countRecoveryCodes( req.user._id );
+			if ( remaining === 0 ) {
+				out.recoveryCodes = await generateRecoveryCodes( req.user._id );
+			}
+			return res.json( out );
 		}
 		res.json({ message: req.t( 'enable-tfa-failure' ), verified });
 	})
@@ -225,6 +241,13 @@ router.post( '/disable_tfa',
  *                   type: string
  *                   description: JWT token.
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.e30.Et9HFtf9R3GEMA0IICOfFMVXY7kkTX1wr4qCyhIf58U
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token.
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the JWT token in seconds.
+ *                   example: 900
  *                 id:
  *                   type: string
  *                   description: User ID.
@@ -262,6 +285,8 @@ router.post( '/disable_tfa',
  *             examples:
  *               not-found:
  *                 value: User with the specified email address was not found.
+ *       429:
+ *         description: Too many failed login attempts for the account or from the IP address (the `Retry-After` header holds the number of seconds to wait).
  */
 router.post( '/login_tfa',
 	wrapAsync( async function onLoginTFA( req, res ) {
@@ -271,8 +296,10 @@ router.post( '/login_tfa',
 		validateString( email, 'email', req.t );
 		validateString( token, 'token', req.t );
 
+		await assertLoginAllowed( email, req, res );
 		const user = await User.findOne({ 'email': email });
 		if ( !user ) {
+			await recordLoginAttempt({ email, req, reason: 'unknown-email' });
 			return res.status( 404 ).send( req.t( 'user-email-not-found' ) );
 		}
 		const correctPassword = await user.comparePassword( password );
@@ -284,18 +311,266 @@ router.post( '/login_tfa',
 			window: 10
 		});
 		if ( correctPassword && tokenVerified ) {
-			// Identify users by their ID:
-			const payload = { id: user.id };
-			const token = jwt.sign( payload, tokens.jwtKey );
-			res.json({ message: 'ok', token: token, id: user.id });
+			await recordLoginAttempt({ email, user, req, reason: 'ok' });
+			const { token, refreshToken, expiresIn } = await createAuthSession({ user: user._id, req });
+			res.json({ message: 'ok', token, refreshToken, expiresIn, id: user.id });
 		} else if ( correctPassword && !tokenVerified ) {
+			await recordLoginAttempt({ email, user, req, reason: 'wrong-code' });
 			res.status( 401 ).send( req.t( 'code-incorrect' ) );
 		} else {
+			await recordLoginAttempt({ email, user, req, reason: 'wrong-password' });
 			res.status( 401 ).send( req.t( 'password-incorrect' ) );
 		}
 	})
 );
 
+/**
+ * @openapi
+ *
+ * /generate_recovery_codes:
+ *   post:
+ *     summary: Generate recovery codes
+ *     description: Generate a new set of ten single-use recovery codes for the user, which can be used in place of the second factor when logging in via `/login_recovery_code`. Previously generated codes become invalid. The codes are only returned once.
+ *     tags: [TFA]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Request successful.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message.
+ *                   example: New recovery codes have been generated. Previously generated codes are no longer valid.
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Recovery codes.
+ *                   example: [ k7m2p-x9qrt, 4hbw8-ne3cz ]
+ */
+router.post( '/generate_recovery_codes',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGenerateRecoveryCodes( req, res ) {
+		const recoveryCodes = await generateRecoveryCodes( req.user._id );
+		res.json({ message: req.t( 'recovery-codes-generated' ), recoveryCodes });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /get_recovery_codes_status:
+ *   get:
+ *     summary: Get recovery codes status
+ *     description: Get the number of unused recovery codes of the user.
+ *     tags: [TFA]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Request successful.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 remaining:
+ *                   type: integer
+ *                   description: Number of unused recovery codes.
+ *                   example: 8
+ */
+router.get( '/get_recovery_codes_status',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetRecoveryCodesStatus( req, res ) {
+		const remaining = await countRecoveryCodes( req.user._id );
+		res.json({ remaining });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /login_recovery_code:
+ *   post:
+ *     summary: Login with recovery code
+ *     description: Login with email address, password and a single-use recovery code in place of the authenticator app or security key.
+ *     tags: [TFA]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: Email address.
+ *                 example: jane.doe@isledocs.com
+ *               password:
+ *                 type: string
+ *                 description: Password.
+ *                 example: secret-password
+ *               code:
+ *                 type: string
+ *                 description: Recovery code.
+ *                 example: k7m2p-x9qrt
+ *     responses:
+ *       200:
+ *         description: Request successful.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Message indicating that request was successful.
+ *                   example: ok
+ *                 token:
+ *                   type: string
+ *                   description: JWT token.
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token.
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the JWT token in seconds.
+ *                   example: 900
+ *                 id:
+ *                   type: string
+ *                   description: User ID.
+ *                   example: 61b782236ebb6a7edc089755
+ *                 remainingRecoveryCodes:
+ *                   type: integer
+ *                   description: Number of unused recovery codes left.
+ *                   example: 9
+ *       400:
+ *         description: Bad request.
+ *       401:
+ *         description: Unauthorized.
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             examples:
+ *               recovery-code-incorrect:
+ *                 value: The recovery code is invalid or has already been used.
+ *               invalid-password:
+ *                 value: Invalid password.
+ *       404:
+ *         description: User not found.
+ *       429:
+ *         description: Too many failed login attempts for the account or from the IP address (the `Retry-After` header holds the number of seconds to wait).
+ */
+router.post( '/login_recovery_code',
+	wrapAsync( async function onLoginRecoveryCode( req, res ) {
+		const { email, password, code } = req.body;
+
+		validateString( password, 'password', req.t );
+		validateString( email, 'email', req.t );
+		validateString( code, 'code', req.t );
+
+		await assertLoginAllowed( email, req, res );
+		const user = await User.findOne({ 'email': email });
+		if ( !user ) {
+			await recordLoginAttempt({ email, req, reason: 'unknown-email' });
+			return res.status( 404 ).send( req.t( 'user-email-not-found' ) );
+		}
+		const correctPassword = await user.comparePassword( password );
+		if ( !correctPassword ) {
+			await recordLoginAttempt({ email, user, req, reason: 'wrong-password' });
+			return res.status( 401 ).send( req.t( 'password-incorrect' ) );
+		}
+		const codeVerified = await consumeRecoveryCode( user._id, code );
+		if ( !codeVerified ) {
+			await recordLoginAttempt({ email, user, req, reason: 'wrong-code' });
+			return res.status( 401 ).send( req.t( 'recovery-code-incorrect' ) );
+		}
+		await recordLoginAttempt({ email, user, req, reason: 'ok' });
+		const { token, refreshToken, expiresIn } = await createAuthSession({ user: user._id, req });
+		const remainingRecoveryCodes = await countRecoveryCodes( user._id );
+		res.json({ message: 'ok', token, refreshToken, expiresIn, id: user.id, remainingRecoveryCodes });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /admin_reset_second_factors:
+ *   post:
+ *     summary: Reset second factors
+ *     description: Disable two-factor authentication for a user who has lost access to their authenticator app or security keys, removing all registered security keys, passkeys and recovery codes. Only available to administrators.
+ *     tags: [TFA]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: User identifier.
+ *     responses:
+ *       200:
+ *         description: Request successful.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message.
+ *                   example: Two-factor authentication, security keys and recovery codes of the user have been reset.
+ *       403:
+ *         description: Access denied for users lacking the `manage_users` permission.
+ *       404:
+ *         description: User not found.
+ */
+router.post( '/admin_reset_second_factors',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onResetSecondFactors( req, res ) {
+		await validatePermissions( req, 'manage_users' );
+		validateObjectId( req.body.id, 'id', req.t );
+
+		const user = await User.findById( req.body.id );
+		if ( !user ) {
+			throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
+		}
+		const before = {
+			twoFactorAuth: user.twoFactorAuth,
+			webAuthnCredentials: await WebAuthnCredential.countDocuments({ user: user._id }),
+			recoveryCodes: await countRecoveryCodes( user._id )
+		};
+		user.twoFactorAuth = false;
+		user.twoFactorAuthSecret = null;
+		await user.save();
+		await WebAuthnCredential.deleteMany({ user: user._id });
+		await RecoveryCode.deleteMany({ user: user._id });
+		await recordAuditLog( req, {
+			action: 'reset_second_factors',
+			targetType: 'user',
+			target: user._id,
+			before,
+			after: {
+				twoFactorAuth: false,
+				webAuthnCredentials: 0,
+				recoveryCodes: 0
+			}
+		});
+		res.json({ message: req.t( 'second-factors-reset' ) });
+	})
+);
+
 
 // EXPORTS //
 
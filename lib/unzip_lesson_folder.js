@@ -14,40 +14,364 @@
 * You should have received a copy of the GNU Affero General Public License
 * along with this program.  If not, see <https://www.gnu.org/licenses/>.
 */
-
 'use strict';
 
 // MODULES //
 
-const { unlink } = require( 'fs/promises' );
+const { mkdir, mkdtemp, rename, rm, writeFile } = require( 'fs/promises' );
 const path = require( 'path' );
+const zlib = require( 'zlib' );
 const AdmZip = require( 'adm-zip' );
-const debug = require( './debug' )( 'server' );
-const config = require( './../etc/config.json' );
-const namespacesDirectory = config.namespacesDirectory;
+const isPositiveInteger = require( '@stdlib/assert/is-positive-integer' ).isPrimitive;
+const isPositiveNumber = require( '@stdlib/assert/is-positive-number' ).isPrimitive;
+const debug = require( './debug' )( 'server:lessons' );
+const ErrorStatus = require( './helpers/error.js' );
+const settings = require( './../etc/settings.json' );
+const { NAMESPACES_DIRECTORY } = require( './constants.js' );
+
+
+// VARIABLES //
+
+const STAGING_DIRECTORY = path.join( NAMESPACES_DIRECTORY, '.staging' );
+const PREVIOUS_VERSIONS_DIRECTORY = path.join( NAMESPACES_DIRECTORY, '.previous' );
+const DEFAULT_MAX_SIZE_MB = 250;
+const DEFAULT_MAX_FILES = 5000;
+const BYTES_PER_MB = 1024 * 1024;
+const QUOTA_BYTES_PER_MB = 1e6; // Storage quotas use the same unit as the `size` of file documents
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const RE_BACKSLASH = /\\/g;
+const RE_DRIVE_LETTER = /^[A-Za-z]:/;
+
+
+// FUNCTIONS //
+
+/**
+* Returns the maximum total size (in bytes) of the unpacked files of a lesson (setting `lessonUploadMaxSizeMB`).
+*
+* @private
+* @returns {number} maximum size
+*/
+function maxSize() {
+	const mb = Number( settings.lessonUploadMaxSizeMB );
+	return ( isPositiveNumber( mb ) ? mb : DEFAULT_MAX_SIZE_MB ) * BYTES_PER_MB;
+}
+
+/**
+* Returns the maximum number of entries in a lesson archive (setting `lessonUploadMaxFiles`).
+*
+* @private
+* @returns {integer} maximum number of entries
+*/
+function maxFiles() {
+	const n = Number( settings.lessonUploadMaxFiles );
+	return isPositiveInteger( n ) ? n : DEFAULT_MAX_FILES;
+}
+
+/**
+* Resolves the path of an archive entry inside of a directory.
+*
+* @private
+* @param {string} root - absolute path of the directory
+* @param {string} entryName - name of the archive entry
+* @returns {(string|null)} absolute path or `null` if the entry would be written outside of the directory
+*/
+function resolveEntryPath( root, entryName ) {
+	const name = entryName.replace( RE_BACKSLASH, '/' );
+	if (
+		!name ||
+		name.includes( '\0' ) ||
+		name.startsWith( '/' ) ||
+		RE_DRIVE_LETTER.test( name )
+	) {
+		return null;
+	}
+	const segments = name.split( '/' ).filter( x => x && x !== '.' );
+	if ( segments.length === 0 || segments.includes( '..' ) ) {
+		return null;
+	}
+	const out = path.resolve( root, ...segments );
+	if ( !out.startsWith( root + path.sep ) ) {
+		return null;
+	}
+	return out;
+}
+
+/**
+* Returns a boolean indicating whether an archive entry is a symbolic link.
+*
+* @private
+* @param {Object} entry - archive entry
+* @returns {boolean} boolean indicating whether the entry is a symbolic link
+*/
+function isSymbolicLink( entry ) {
+	return ( ( entry.header.attr >>> 16 ) & S_IFMT ) === S_IFLNK;
+}
+
+/**
+* Decompresses the data of an archive entry without producing more than the given number of bytes.
+*
+* ## Notes
+*
+* -   The entry is inflated directly via `zlib` instead of via `entry.getData()`, which inflates the entire entry regardless of its declared size.
+*
+* @private
+* @param {Object} entry - archive entry
+* @param {integer} limit - maximum number of bytes to produce
+* @throws {RangeError} decompressed data must not exceed the limit
+* @throws {Error} entry must be stored or deflated and must not be encrypted
+* @returns {Buffer} decompressed data
+*/
+function inflateEntry( entry, limit ) {
+	if ( entry.header.encripted ) {
+		throw new Error( 'Encrypted entries are not supported' );
+	}
+	const compressed = entry.getCompressedData();
+	switch ( entry.header.method ) {
+		case METHOD_STORED:
+			if ( compressed.length > limit ) {
+				throw new RangeError( 'Entry exceeds the maximum size' );
+			}
+			return compressed;
+		case METHOD_DEFLATED:
+			if ( compressed.length === 0 ) {
+				return compressed;
+			}
+			return zlib.inflateRawSync( compressed, {
+				maxOutputLength: Math.max( limit, 1 )
+			});
+		default:
+			throw new Error( 'Unsupported compression method: '+entry.header.method );
+	}
+}
+
+/**
+* Extracts a lesson archive into a directory after validating its entries.
+*
+* ## Notes
+*
+* -   The sizes declared in the archive are checked before extracting any file, and the actual sizes of the decompressed files while extracting, so that archives declaring wrong sizes are rejected as well.
+* -   Entries are never decompressed beyond their declared size (which is bounded by the remaining size and storage budget), so that archives lying about the sizes of their entries cannot exhaust the memory of the server.
+*
+* @private
+* @param {string} filePath - path of the archive
+* @param {string} dir - absolute path of the (empty) target directory
+* @param {Function} t - translation function
+* @param {(Object|null)} quota - available (`available`) and total (`max`) storage of the namespace in megabytes or `null` if unlimited
+* @throws {ErrorStatus} archive must be a valid ZIP archive
+* @throws {ErrorStatus} archive must not contain too many entries
+* @throws {ErrorStatus} unpacked files must not exceed maximum size
+* @throws {ErrorStatus} unpacked files must not exceed the storage quota of the namespace
+* @throws {ErrorStatus} entries must not be symbolic links or have paths outside of the target directory
+* @returns {Promise<Object>} object with the number of extracted files (`files`) and their total size in bytes (`size`)
+*/
+async function extractArchive( filePath, dir, t, quota ) {
+	let entries;
+	try {
+		const zip = new AdmZip( filePath );
+		entries = zip.getEntries();
+	} catch ( err ) {
+		debug( `Encountered an error when opening lesson archive ${filePath}: ${err.message}` );
+		throw new ErrorStatus( 400, t( 'lesson-archive-invalid' ) );
+	}
+	const max = maxSize();
+	const nMax = maxFiles();
+	if ( entries.length > nMax ) {
+		throw new ErrorStatus( 400, t( 'lesson-archive-too-many-files', { max: nMax }) );
+	}
+	const paths = [];
+	let declaredSize = 0;
+	for ( let i = 0; i < entries.length; i++ ) {
+		const entry = entries[ i ];
+		const dest = resolveEntryPath( dir, entry.entryName );
+		if ( !dest || isSymbolicLink( entry ) ) {
+			throw new ErrorStatus( 400, t( 'lesson-archive-unsafe-path', { path: entry.entryName }) );
+		}
+		paths.push( dest );
+		declaredSize += entry.header.size;
+	}
+	if ( declaredSize > max ) {
+		throw new ErrorStatus( 400, t( 'lesson-archive-too-large', { max: max / BYTES_PER_MB }) );
+	}
+	const available = quota ? quota.available * QUOTA_BYTES_PER_MB : Infinity;
+	if ( declaredSize > available ) {
+		throw new ErrorStatus( 413, t( 'namespace-storage-quota-exceeded', { max: quota.max }) );
+	}
+	let size = 0;
+	let nFiles = 0;
+	for ( let i = 0; i < entries.length; i++ ) {
+		const entry = entries[ i ];
+		try {
+			if ( entry.isDirectory ) {
+				await mkdir( paths[ i ], { recursive: true });
+				continue;
+			}
+			const budget = Math.min( max, available ) - size;
+			let data;
+			try {
+				data = inflateEntry( entry, Math.min( entry.header.size, budget ) );
+			} catch ( err ) {
+				if ( err instanceof RangeError ) {
+					throw new ErrorStatus( 400, t( 'lesson-archive-too-large', { max: max / BYTES_PER_MB }) );
+				}
+				throw err;
+			}
+			size += data.length;
+			if ( size > max || data.length !== entry.header.size ) {
+				throw new ErrorStatus( 400, t( 'lesson-archive-too-large', { max: max / BYTES_PER_MB }) );
+			}
+			if ( size > available ) {
+				throw new ErrorStatus( 413, t( 'namespace-storage-quota-exceeded', { max: quota.max }) );
+			}
+			await mkdir( path.dirname( paths[ i ] ), { recursive: true });
+			await writeFile( paths[ i ], data );
+			nFiles += 1;
+		} catch ( err ) {
+			if ( err instanceof ErrorStatus ) {
+				throw err;
+			}
+			debug( `Encountered an error when extracting ${entry.entryName}: ${err.message}` );
+			throw new ErrorStatus( 400, t( 'lesson-archive-invalid' ) );
+		}
+	}
+	return { files: nFiles, size };
+}
+
+/**
+* Moves a directory into place, keeping the directory it replaces as backup.
+*
+* @private
+* @param {string} source - directory to move into place
+* @param {string} target - directory to replace
+* @param {string} backup - directory to which the replaced directory is moved (replacing an existing backup)
+* @returns {Promise<boolean>} boolean indicating whether a directory was replaced
+*/
+async function replaceDirectory( source, target, backup ) {
+	await mkdir( path.dirname( target ), { recursive: true });
+	await mkdir( path.dirname( backup ), { recursive: true });
+	await rm( backup, { recursive: true, force: true });
+	let replaced = true;
+	try {
+		await rename( target, backup );
+	} catch ( err ) {
+		if ( err.code !== 'ENOENT' ) {
+			throw err;
+		}
+		replaced = false;
+	}
+	try {
+		await rename( source, target );
+	} catch ( err ) {
+		if ( replaced ) {
+			await rename( backup, target );
+		}
+		throw err;
+	}
+	return replaced;
+}
+
+/**
+* Returns the path of the directory holding the previous version of a lesson.
+*
+* @private
+* @param {ObjectId} lessonID - lesson identifier
+* @returns {string} directory path
+*/
+function previousVersionDirectory( lessonID ) {
+	return path.join( PREVIOUS_VERSIONS_DIRECTORY, String( lessonID ) );
+}
 
 
 // MAIN //
 
 /**
-* Unzips a lesson folder.
+* Unzips an uploaded lesson archive and deploys it as the new version of the lesson.
+*
+* ## Notes
+*
+* -   The archive is extracted into a staging directory, which replaces the lesson directory only once all files have been extracted successfully, so that a failed upload leaves the current version untouched.
+* -   The replaced version is kept for rolling back via `rollbackLessonFolder` (only the most recent previous version is kept).
+* -   The uploaded archive is not removed.
+*
+* @param {Object} options - function options
+* @param {string} options.namespaceName - namespace name
+* @param {string} options.lessonName - lesson name
+* @param {ObjectId} options.lessonID - lesson identifier
+* @param {string} options.filename - file name of the uploaded archive in the namespaces directory
+* @param {Function} options.t - translation function
+* @param {(Object|null)} [options.quota] - available (`available`) and total (`max`) storage of the namespace in megabytes
+* @throws {ErrorStatus} archive must be a valid ZIP archive within the size and file count limits and the storage quota and contain only safe paths
+* @returns {Promise<Object>} object with the number of extracted files (`files`), their total size in bytes (`size`) and a boolean indicating whether a previous version was kept (`hasPreviousVersion`)
+*/
+async function unzipLessonFolder({ namespaceName, lessonName, lessonID, filename, t, quota }) {
+	const filePath = path.join( NAMESPACES_DIRECTORY, filename );
+	const target = path.join( NAMESPACES_DIRECTORY, namespaceName, lessonName );
+	await mkdir( STAGING_DIRECTORY, { recursive: true });
+	const staging = await mkdtemp( path.join( STAGING_DIRECTORY, 'lesson-' ) );
+	try {
+		debug( `Unzipping lesson file ${filePath} to ${staging}` );
+		const { files, size } = await extractArchive( filePath, staging, t, quota || null );
+		debug( `Deploying ${files} files to ${target}` );
+		const hasPreviousVersion = await replaceDirectory( staging, target, previousVersionDirectory( lessonID ) );
+		return { files, size, hasPreviousVersion };
+	} catch ( err ) {
+		await rm( staging, { recursive: true, force: true });
+		throw err;
+	}
+}
+
+/**
+* Restores the previous version of a lesson, keeping the current version as the new previous version (so that the rollback can be undone).
+*
+* @param {Object} options - function options
+* @param {string} options.namespaceName - namespace name
+* @param {string} options.lessonName - lesson name
+* @param {ObjectId} options.lessonID - lesson identifier
+* @returns {Promise<boolean>} boolean indicating whether a previous version existed and was restored
+*/
+async function rollbackLessonFolder({ namespaceName, lessonName, lessonID }) {
+	const target = path.join( NAMESPACES_DIRECTORY, namespaceName, lessonName );
+	const previous = previousVersionDirectory( lessonID );
+	await mkdir( STAGING_DIRECTORY, { recursive: true });
+	const tmp = await mkdtemp( path.join( STAGING_DIRECTORY, 'rollback-' ) );
+	const current = path.join( tmp, 'current' );
+	try {
+		await rename( previous, path.join( tmp, 'previous' ) );
+	} catch ( err ) {
+		await rm( tmp, { recursive: true, force: true });
+		if ( err.code === 'ENOENT' ) {
+			return false;
+		}
+		throw err;
+	}
+	await replaceDirectory( path.join( tmp, 'previous' ), target, current );
+	await rename( current, previous ).catch( err => {
+		if ( err.code !== 'ENOENT' ) {
+			throw err;
+		}
+	});
+	await rm( tmp, { recursive: true, force: true });
+	debug( `Restored previous version of lesson ${lessonID}` );
+	return true;
+}
+
+/**
+* Removes the previous version of a lesson, e.g. when the lesson is deleted.
 *
-* @param {string} namespaceName - namespace name
-* @param {string} lessonName - lesson name
-* @param {string} filename - zipped file name
-* @returns {Promise} promise resolved after deleting the zipped lesson file
+* @param {ObjectId} lessonID - lesson identifier
+* @returns {Promise} promise resolving once the directory is removed
 */
-function unzipLessonFolder( namespaceName, lessonName, filename ) {
-	const filePath = path.resolve( __dirname, namespacesDirectory, filename );
-	const zip = new AdmZip( filePath );
-	let dirpath = path.join( namespacesDirectory, namespaceName, lessonName );
-	dirpath = path.resolve( __dirname, dirpath );
-	debug( `Unzipping lesson file ${filePath} to ${dirpath}` );
-	zip.extractAllTo( dirpath, true );
-	return unlink( filePath );
+function removePreviousLessonFolder( lessonID ) {
+	return rm( previousVersionDirectory( lessonID ), { recursive: true, force: true });
 }
 
 
 // EXPORTS //
 
-module.exports = unzipLessonFolder;
+module.exports = {
+	removePreviousLessonFolder,
+	rollbackLessonFolder,
+	unzipLessonFolder
+};
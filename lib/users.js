@@ -21,36 +21,45 @@
 
 const router = require( 'express' ).Router();
 const multer = require( 'multer' );
-const jwt = require( 'jsonwebtoken' );
 const tldjs = require( 'tldjs' );
 const rateLimit = require( 'express-rate-limit' );
 const isObject = require( '@stdlib/assert/is-object' );
 const isEmptyObject = require( '@stdlib/assert/is-empty-object' );
 const isUndefinedOrNull = require( '@stdlib/assert/is-undefined-or-null' );
 const contains = require( '@stdlib/assert/contains' );
-const isArray = require( '@stdlib/assert/is-array' );
 const isString = require( '@stdlib/assert/is-string' ).isPrimitive;
 const groupBy = require( '@stdlib/utils/group-by' );
 const objectKeys = require( '@stdlib/utils/keys' );
 const copy = require( '@stdlib/utils/copy' );
+const pick = require( '@stdlib/utils/pick' );
 const lowercase = require( '@stdlib/string/lowercase' );
 const debug = require( './debug' )( 'server:users' );
 const storage = require( './storage' );
 const passport = require( './passport.js' );
 const sendVerificationEmail = require( './utils/send_verification_email.js' );
 const institutionName = require( './utils/institution_name.js' );
+const updateGrades = require( './utils/update_grades.js' );
+const syncLtiScore = require( './lti/sync_score.js' );
+const appendGradeMessage = require( './utils/append_grade_message.js' );
+const createAuthSession = require( './utils/create_auth_session.js' );
+const revokeAuthSessions = require( './utils/revoke_auth_sessions.js' );
+const consumeUserToken = require( './utils/consume_user_token.js' );
+const recordAuditLog = require( './utils/record_audit_log.js' );
 const validateObjectId = require( './helpers/validate_object_id.js' );
 const validateString = require( './helpers/validate_string.js' );
-const validateOwner = require( './helpers/validate_owner.js' );
-const validateAdmin = require( './helpers/validate_admin.js' );
+const validateObject = require( './helpers/validate_object.js' );
+const validatePermissions = require( './helpers/validate_permissions.js' );
 const ErrorStatus = require( './helpers/error.js' );
 const wrapAsync = require( './utils/wrap_async.js' );
-const isOwner = require( './helpers/is_owner.js' );
+const { explainPermissions, hasPermission } = require( './helpers/check_permissions.js' );
 const User = require( './models/user.js' );
 const Cohort = require( './models/cohort.js' );
 const Namespace = require( './models/namespace.js' );
+const Lesson = require( './models/lesson.js' );
 const SessionData = require( './models/session_data.js' );
 const CustomUserField = require( './models/custom_user_field.js' );
+const RecoveryCode = require( './models/recovery_code.js' );
+const WebAuthnCredential = require( './models/webauthn_credential.js' );
 const settings = require( './../etc/settings.json' );
 const { tokens } = require( './credentials.js' );
 
@@ -59,6 +68,7 @@ const { tokens } = require( './credentials.js' );
 
 const avatarUpload = multer({ storage: storage }).single( 'avatar' );
 const thumbnailUpload = multer({ storage: storage }).single( 'thumbnail' );
+const AUDITED_USER_FIELDS = [ 'name', 'firstName', 'lastName', 'preferredName', 'pronouns', 'organization', 'password', 'writeAccess', 'administrator', 'verifiedEmail', 'twoFactorAuth', 'loginWithoutPassword', 'customFields' ];
 const createUserLimit = rateLimit({
 	windowMs: 60 * 60 * 1000, // One hour window
 	max: settings.rateLimitUserCreation || 30, // Start blocking after thirty requests by default
@@ -130,7 +140,7 @@ router.post( '/create_user',
 		validateString( password, 'password', req.t );
 		email = lowercase( req.body.email );
 		if ( !settings.allowUserRegistrations ) {
-			validateAdmin( req );
+			await validatePermissions( req, 'manage_users' );
 		}
 		if ( settings.permittedEmailDomains && settings.permittedEmailDomains.length > 0 ) {
 			const domain = tldjs.getDomain( email );
@@ -183,7 +193,7 @@ router.post( '/create_user',
 			throw new ErrorStatus( 403, err.message );
 		}
 		try {
-			sendVerificationEmail( user, req.t );
+			await sendVerificationEmail( user, req.t, req.language );
 		} catch ( err ) {
 			debug( 'Could not send verification email for '+user.name );
 		}
@@ -222,12 +232,12 @@ router.post( '/create_user',
  *                   items:
  *                     $ref: '#/components/schemas/User'
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_users` permission
  */
 router.get( '/get_users',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onGetUsers( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_users' );
 		const users = await User.find({});
 		res.json({ message: 'ok', users });
 	})
@@ -269,15 +279,17 @@ router.get( '/get_users',
  *                   description: Database operation status
  *                   example: ok
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_users` permission
  */
 router.post( '/delete_user',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onDeleteUser( req, res ) {
-		validateAdmin( req );
+		await validatePermissions( req, 'manage_users' );
 		validateObjectId( req.body.id, 'id', req.t );
 
 		const status = await User.deleteOne({ _id: req.body.id });
+		await WebAuthnCredential.deleteMany({ user: req.body.id });
+		await RecoveryCode.deleteMany({ user: req.body.id });
 		res.json({ message: req.t( 'user-deleted' ), status });
 	})
 );
@@ -350,6 +362,7 @@ router.post( '/update_user_session',
 			lessonData[ lessonID ] = {};
 		}
 		const data = lessonData[ lessonID ];
+		const previousProgress = data.progress;
 		if ( !data.progress ) {
 			data.progress = progress;
 		}
@@ -393,6 +406,9 @@ router.post( '/update_user_session',
 			spentTime
 		});
 		debug( 'Result: ' + JSON.stringify( stats ) );
+		if ( data.progress !== previousProgress ) {
+			syncLtiScore({ user: user._id, lesson: lessonID });
+		}
 		res.json({
 			score,
 			spentTime
@@ -514,7 +530,7 @@ router.post( '/user_adjust_progress',
 		validateString( email, 'email', req.t );
 		validateObjectId( lessonID, 'lessonID', req.t );
 		validateObjectId( namespaceID, 'namespaceID', req.t );
-		await validateOwner( req, namespaceID );
+		await validatePermissions( req, 'grade_students', { namespace: namespaceID });
 
 		const user = await User.findOne({ email });
 		const lessonData = copy( user.lessonData );
@@ -523,6 +539,7 @@ router.post( '/user_adjust_progress',
 		}
 		lessonData[ lessonID ].progress = Number( progress ) / 100;
 		await user.updateOne({ $set: { lessonData }});
+		syncLtiScore({ user: user._id, lesson: lessonID });
 		res.json({ message: req.t( 'user-progress-updated' ) });
 	})
 );
@@ -559,6 +576,10 @@ router.post( '/user_adjust_progress',
  *                 type: object
  *                 description: New grades of the user
  *                 example: { 'free-text-question-1': 90, 'free-text-question-2': 95 }
+ *               maxPoints:
+ *                 type: object
+ *                 description: Maximum points of the graded components (optional)
+ *                 example: { 'free-text-question-1': 100, 'free-text-question-2': 100 }
  *     responses:
  *       200:
  *         description: Success response
@@ -575,17 +596,34 @@ router.post( '/user_adjust_progress',
 router.post( '/user_adjust_grades',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onProgressAdjustment( req, res ) {
-		const { email, lessonID, namespaceID, grades } = req.body;
+		const { email, lessonID, namespaceID, grades, maxPoints } = req.body;
 
 		validateString( email, 'email', req.t );
 		validateObjectId( lessonID, 'lessonID', req.t );
 		validateObjectId( namespaceID, 'namespaceID', req.t );
-		await validateOwner( req, namespaceID );
+		await validatePermissions( req, 'grade_students', { namespace: namespaceID });
 
+		validateObject( grades, 'grades', req.t );
+		if ( maxPoints ) {
+			validateObject( maxPoints, 'maxPoints', req.t );
+		}
+		const lesson = await Lesson.findOne({ _id: lessonID, namespace: namespaceID });
+		if ( !lesson ) {
+			throw new ErrorStatus( 404, req.t( 'lesson-not-found' ) );
+		}
 		const user = await User.findOne({ email });
-		const lessonGrades = { ...user.lessonGrades };
-		lessonGrades[ lessonID ] = grades;
-		await user.updateOne({ $set: { lessonGrades }});
+		if ( !user ) {
+			throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
+		}
+		await updateGrades({
+			user,
+			namespace: lesson.namespace,
+			lesson: lesson._id,
+			grades,
+			maxPoints,
+			grader: req.user
+		});
+		syncLtiScore({ user: user._id, lesson: lesson._id });
 		res.json({ message: req.t( 'user-grades-updated' ) });
 	})
 );
@@ -649,23 +687,21 @@ router.post( '/user_append_grade_message',
 		validateObjectId( namespaceID, 'namespaceID', req.t );
 		validateString( componentID, 'componentID', req.t );
 
-		const owner = await isOwner( req, namespaceID );
-		if ( !owner && !req.user.email === email ) {
+		const grader = await hasPermission( req.user, 'grade_students', { namespace: namespaceID });
+		if ( !grader && req.user.email !== email ) {
 			return res.status( 401 ).send( req.t( 'access-denied' ) );
 		}
 		const user = await User.findOne({ email });
-		const lessonGradeMessages = { ...user.lessonGradeMessages };
-		if ( !lessonGradeMessages[ lessonID ] ) {
-			lessonGradeMessages[ lessonID ] = {};
+		if ( !user ) {
+			throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
 		}
-		if ( isArray( lessonGradeMessages[ lessonID ][ componentID ] ) ) {
-			lessonGradeMessages[ lessonID ][ componentID ].push( message );
-		} else {
-			lessonGradeMessages[ lessonID ][ componentID ] = [
-				message
-			];
-		}
-		await user.updateOne({ $set: { lessonGradeMessages }});
+		await appendGradeMessage({
+			user,
+			namespace: namespaceID,
+			lesson: lessonID,
+			component: componentID,
+			message
+		});
 		res.json({ message: req.t( 'grade-message-appended' ) });
 	})
 );
@@ -865,6 +901,13 @@ router.post( '/update_user',
 			}
 		}
 		await user.save();
+		if ( req.body.password ) {
+			// Log out all other devices after a password change:
+			await revokeAuthSessions({
+				user: user._id,
+				_id: { $ne: req.authInfo.session._id }
+			}, user._id );
+		}
 		res.json({
 			message: req.t( 'user-updated', {
 				name: user.name
@@ -958,16 +1001,14 @@ router.post( '/update_user',
  *                   description: Success message
  *                   example: User updated
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_users` permission
  */
 router.post( '/admin_update_user',
 	passport.authenticate( 'jwt', { session: false }),
 	wrapAsync( async function onUpdateUser( req, res ) {
-		const isAdmin = req.user.administrator;
-		if ( !isAdmin ) {
-			return res.status( 403 ).send( req.t( 'access-denied' ) );
-		}
+		await validatePermissions( req, 'manage_users' );
 		const user = await User.findById( req.body.id );
+		const before = pick( user.toObject(), AUDITED_USER_FIELDS );
 		if ( req.body.password ) {
 			user.password = req.body.password;
 		}
@@ -996,6 +1037,9 @@ router.post( '/admin_update_user',
 			user.writeAccess = req.body.writeAccess;
 		}
 		if ( req.body.administrator === true || req.body.administrator === false ) {
+			if ( !req.user.administrator ) {
+				throw new ErrorStatus( 403, req.t( 'access-denied-no-admin' ) );
+			}
 			user.administrator = req.body.administrator;
 		}
 		if ( req.body.verifiedEmail === true || req.body.verifiedEmail === false ) {
@@ -1021,6 +1065,16 @@ router.post( '/admin_update_user',
 			}
 		}
 		await user.save();
+		if ( req.body.password ) {
+			await revokeAuthSessions({ user: user._id }, req.user._id );
+		}
+		await recordAuditLog( req, {
+			action: 'admin_update_user',
+			targetType: 'user',
+			target: user._id,
+			before,
+			after: pick( user.toObject(), AUDITED_USER_FIELDS )
+		});
 		res.json({
 			message: req.t( 'user-updated', {
 				name: user.name
@@ -1043,9 +1097,12 @@ router.post( '/admin_update_user',
  *           schema:
  *             type: object
  *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Password reset token from the link sent to the user via email
  *               id:
  *                 type: ObjectId
- *                 description: User identifier
+ *                 description: User identifier (deprecated; only accepted during the transition window for links sent by earlier versions of the server)
  *                 example: 5c9b9f9f8b8f8b8f8b8f8b8f
  *               newPassword:
  *                 type: string
@@ -1063,32 +1120,39 @@ router.post( '/admin_update_user',
  *                    type: string
  *                    description: Success message
  *                    example: Password updated
+ *       401:
+ *         description: Invalid, expired or already used token
  */
 router.post( '/update_user_password',
 	updateUserLimit,
-	function onUpdateUserPassword( req, res ) {
+	wrapAsync( async function onUpdateUserPassword( req, res ) {
 		debug( 'Should update user password...' );
-		const { newPassword, id } = req.body;
+		const { newPassword } = req.body;
+		const token = req.body.token || req.body.id;
 
 		validateString( newPassword, 'newPassword', req.t );
-		validateObjectId( id, 'id', req.t );
+		validateString( token, 'token', req.t );
 
-		User.findOne({ _id: id }, function onFindUser( err, user ) {
-			if ( err || !user ) {
-				return res.status( 404 ).send( req.t( 'user-nonexistent' ) );
-			}
-			user.verifiedEmail = true;
-			user.password = newPassword;
-			user.save( function onSaveUser( err ) {
-				if ( err ) {
-					return res.status( 404 ).send( req.t( 'password-update-failed' ) + ': ' + err.message );
-				}
-				res.json({
-					message: req.t( 'password-updated' )
-				});
-			});
+		const userToken = await consumeUserToken( token, [ 'reset-password' ] );
+		if ( !userToken ) {
+			throw new ErrorStatus( 401, req.t( 'invalid-user-token' ) );
+		}
+		const user = await User.findOne({ _id: userToken.user });
+		if ( !user ) {
+			throw new ErrorStatus( 404, req.t( 'user-nonexistent' ) );
+		}
+		user.verifiedEmail = true;
+		user.password = newPassword;
+		try {
+			await user.save();
+		} catch ( err ) {
+			throw new ErrorStatus( 404, req.t( 'password-update-failed' ) + ': ' + err.message );
+		}
+		await revokeAuthSessions({ user: user._id });
+		res.json({
+			message: req.t( 'password-updated' )
 		});
-	}
+	})
 );
 
 /**
@@ -1131,6 +1195,10 @@ router.post( '/update_user_password',
  *                   type: string
  *                   description: Cohort of the user in the namespace if enrolled; otherwise, null
  *                   example: cohort-1
+ *                 permissions:
+ *                   type: array
+ *                   description: Names of the permissions the user has for the namespace
+ *                   example: [ "view_gradebook", "grade_students" ]
  */
 router.post( '/get_user_rights',
 	passport.authenticate( 'jwt', { session: false }),
@@ -1144,7 +1212,8 @@ router.post( '/get_user_rights',
 		if ( !namespace ) {
 			res.json({
 				owner: false,
-				enrolled: false
+				enrolled: false,
+				permissions: []
 			});
 		}
 		else {
@@ -1164,10 +1233,12 @@ router.post( '/get_user_rights',
 				startDate: { '$lt': new Date() },
 				endDate: { '$gte': new Date() }
 			});
+			const decisions = await explainPermissions( req.user, { namespace });
 			res.json({
 				owner: !!owner,
 				enrolled: !!cohort,
-				cohort: cohort ? cohort.title : null
+				cohort: cohort ? cohort.title : null,
+				permissions: objectKeys( decisions ).filter( x => decisions[ x ].granted )
 			});
 		}
 	})
@@ -1265,8 +1336,16 @@ router.post( '/set_write_access',
 		if ( token !== tokens.writeAccess ) {
 			return res.status( 401 ).send( req.t( 'incorrect-token' ) );
 		}
+		const before = { writeAccess: user.writeAccess };
 		user.writeAccess = true;
 		await user.save();
+		await recordAuditLog( req, {
+			action: 'set_write_access',
+			targetType: 'user',
+			target: user._id,
+			before,
+			after: { writeAccess: user.writeAccess }
+		});
 		res.json({
 			message: req.t( 'user-updated', {
 				name: user.name
@@ -1314,7 +1393,7 @@ router.get( '/get_fake_users',
 		const { namespaceID } = req.query;
 
 		validateObjectId( namespaceID, 'namespaceID', req.t );
-		await validateOwner( req, namespaceID );
+		await validatePermissions( req, 'view_student_data', { namespace: namespaceID });
 
 		const users = await User.find();
 		const email = {};
@@ -1376,7 +1455,7 @@ router.post( '/get_current_user_actions',
 				lesson: lessonID,
 				'data.email': req.user.email
 			}, null )
-			.sort( '-data.absoluteTime' )
+			.sort( '-time' )
 			.exec();
 		debug( `Return ${actions.length} actions to the caller` );
 		res.json({
@@ -1429,10 +1508,12 @@ router.post( '/get_current_user_actions',
  *                   type: string
  *                   description: Name of the file
  *                   example: profile.png
+ *       413:
+ *         description: Picture exceeds the maximum size for its type or the storage quota of the user
  */
 router.post( '/upload_profile_pic',
-	avatarUpload,
 	passport.authenticate( 'jwt', { session: false }),
+	avatarUpload,
 	wrapAsync( async function onUploadFile( req, res ) {
 		req.user.picture = req.file.filename;
 		await req.user.save();
@@ -1472,8 +1553,8 @@ router.post( '/upload_profile_pic',
  *             Operation successful
  */
 router.post( '/upload_thumbnail_pic',
-	thumbnailUpload,
 	passport.authenticate( 'jwt', { session: false }),
+	thumbnailUpload,
 	function onUploadFile( req, res ) {
 		res.status( 200 ).send( req.t( 'operation-successful' ) );
 	}
@@ -1521,32 +1602,53 @@ router.post( '/upload_thumbnail_pic',
  *                 token:
  *                   type: string
  *                   description: JWT token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token of the impersonation session
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the JWT token in seconds
+ *                   example: 900
  *                 id:
  *                   type: ObjectId
  *                   description: ID of the impersonated user
  *                   example: 5b9f9f9f9f9f9f9f9f9f9f9
  *       403:
- *         description: Access denied for non-administrators
+ *         description: Access denied for users lacking the `manage_users` permission
  */
 router.post( '/impersonate',
 	passport.authenticate( 'jwt', { session: false }),
 	async function onImpersonate( req, res ) {
 		const { password, id } = req.body;
 
-		const isAdmin = req.user.administrator;
-		if ( !isAdmin ) {
-			return res.status( 403 ).send( req.t( 'access-denied' ) );
+		const allowed = await hasPermission( req.user, 'manage_users' );
+		if ( !allowed ) {
+			return res.status( 403 ).send( req.t( 'access-denied-no-permission', { permission: 'manage_users' }) );
 		}
 		validateObjectId( id, 'id', req.t );
 		validateString( password, 'password', req.t );
+		if ( !req.user.administrator ) {
+			const target = await User.findById( id, { administrator: 1 }).lean();
+			if ( target && target.administrator ) {
+				return res.status( 403 ).send( req.t( 'access-denied-no-admin' ) );
+			}
+		}
 
 		const correctPassword = await req.user.comparePassword( password );
 		if ( !correctPassword ) {
 			return res.status( 401 ).send( req.t( 'invalid-credentials' ) );
 		}
-		const payload = { id };
-		const token = jwt.sign( payload, tokens.jwtKey );
-		const out = { message: 'ok', token, id };
+		const { token, refreshToken, expiresIn } = await createAuthSession({
+			user: id,
+			req,
+			impersonator: req.user._id
+		});
+		await recordAuditLog( req, {
+			action: 'impersonate',
+			targetType: 'user',
+			target: id
+		});
+		const out = { message: 'ok', token, refreshToken, expiresIn, id };
 		res.json( out );
 	}
 );
@@ -0,0 +1,71 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const isArray = require( '@stdlib/assert/is-array' );
+const Grade = require( './../models/grade.js' );
+const User = require( './../models/user.js' );
+
+
+// MAIN //
+
+/**
+* Appends a message to the grade of a user for a lesson component.
+*
+* ## Notes
+*
+* -   Creates an ungraded `Grade` document if the component has not been graded yet.
+* -   The legacy `lessonGradeMessages` field of the user is kept in sync.
+*
+* @param {Object} options - function options
+* @param {Object} options.user - user whose grade the message refers to
+* @param {ObjectId} options.namespace - namespace identifier
+* @param {ObjectId} options.lesson - lesson identifier
+* @param {string} options.component - component identifier
+* @param {*} options.message - message to append
+* @returns {Promise} promise resolving once the message has been stored
+*/
+async function appendGradeMessage({ user, namespace, lesson, component, message }) {
+	await Grade.updateOne(
+		{ user: user._id, lesson, component },
+		{
+			$push: { messages: message },
+			$setOnInsert: { namespace }
+		},
+		{ upsert: true }
+	);
+	const lessonGradeMessages = { ...user.lessonGradeMessages };
+	if ( !lessonGradeMessages[ lesson ] ) {
+		lessonGradeMessages[ lesson ] = {};
+	}
+	if ( isArray( lessonGradeMessages[ lesson ][ component ] ) ) {
+		lessonGradeMessages[ lesson ][ component ].push( message );
+	} else {
+		lessonGradeMessages[ lesson ][ component ] = [
+			message
+		];
+	}
+	await User.updateOne({ _id: user._id }, { $set: { lessonGradeMessages }});
+}
+
+
+// EXPORTS //
+
+module.exports = appendGradeMessage;
@@ -0,0 +1,95 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const isObject = require( '@stdlib/assert/is-object' );
+const isUndefined = require( '@stdlib/assert/is-undefined' );
+
+
+// VARIABLES //
+
+const REDACTED_FIELDS = [ 'password', 'token', 'secret', 'twoFactorAuthSecret' ];
+const REDACTED = '[redacted]';
+
+
+// FUNCTIONS //
+
+/**
+* Converts a value to a form which can be compared and stored.
+*
+* @private
+* @param {*} value - input value
+* @returns {*} normalized value
+*/
+function normalize( value ) {
+	if ( isUndefined( value ) ) {
+		return null;
+	}
+	return JSON.parse( JSON.stringify( value ) );
+}
+
+
+// MAIN //
+
+/**
+* Returns the fields which differ between two snapshots of an entity along with their old and new values.
+*
+* ## Notes
+*
+* -   Values of sensitive fields such as passwords are replaced by a placeholder.
+* -   Missing snapshots are treated as empty objects, so that created or deleted entities list all their fields.
+*
+* @param {(Object|null)} before - snapshot before the change
+* @param {(Object|null)} after - snapshot after the change
+* @returns {Array<Object>} list of changes with `field`, `before`, and `after` properties
+*
+* @example
+* const changes = auditChanges( { name: 'a', admin: false }, { name: 'a', admin: true } );
+* // returns [ { field: 'admin', before: false, after: true } ]
+*/
+function auditChanges( before, after ) {
+	before = isObject( before ) ? before : {};
+	after = isObject( after ) ? after : {};
+	const fields = new Set( Object.keys( before ).concat( Object.keys( after ) ) );
+	const out = [];
+	for ( const field of fields ) {
+		const oldValue = normalize( before[ field ] );
+		const newValue = normalize( after[ field ] );
+		if ( JSON.stringify( oldValue ) === JSON.stringify( newValue ) ) {
+			continue;
+		}
+		if ( REDACTED_FIELDS.includes( field ) ) {
+			out.push({
+				field,
+				before: oldValue === null ? null : REDACTED,
+				after: newValue === null ? null : REDACTED
+			});
+		} else {
+			out.push({ field, before: oldValue, after: newValue });
+		}
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = auditChanges;
@@ -0,0 +1,115 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const hasOwnProp = require( '@stdlib/assert/has-own-property' );
+const debug = require( './../debug' )( 'server:user-tokens' );
+const User = require( './../models/user.js' );
+const UserToken = require( './../models/user_token.js' );
+const hashToken = require( './hash_token.js' );
+const settings = require( './../../etc/settings.json' );
+
+
+// VARIABLES //
+
+const RE_OBJECT_ID = /^[0-9a-f]{24}$/i;
+const LEGACY_CONDITIONS = { // Conditions users have to meet for legacy links of each purpose to be accepted
+	'registration': { password: { $in: [ null, '' ]}},
+	'confirm-email': { verifiedEmail: false }
+};
+
+
+// FUNCTIONS //
+
+/**
+* Returns a boolean indicating whether a user ID sent in place of a token stems from a registration or confirmation link that is still accepted.
+*
+* ## Notes
+*
+* -   Registration links were only sent to users who had yet to set a password and confirmation links only to users who had yet to confirm their email address, so the ID is only accepted for a purpose whose condition the user still meets.
+*
+* @private
+* @param {string} id - user ID
+* @param {StringArray} purposes - accepted token purposes
+* @returns {Promise<boolean>} boolean indicating whether the legacy link is accepted
+*/
+async function acceptsLegacyToken( id, purposes ) {
+	const conditions = purposes
+		.filter( x => hasOwnProp( LEGACY_CONDITIONS, x ) )
+		.map( x => LEGACY_CONDITIONS[ x ] );
+	if ( !RE_OBJECT_ID.test( id ) || conditions.length === 0 ) {
+		return false;
+	}
+	const until = new Date( settings.legacyUserTokensAcceptedUntil );
+	if ( !( Date.now() < until.getTime() ) ) {
+		return false;
+	}
+	const user = await User.findOne({
+		_id: id,
+		$or: conditions
+	}, { _id: 1 }).lean();
+	return Boolean( user );
+}
+
+
+// MAIN //
+
+/**
+* Verifies and consumes a single-use user token.
+*
+* ## Notes
+*
+* -   The token is marked as used in the same atomic update that looks it up, so that it cannot be used twice.
+* -   Registration and confirmation emails sent by earlier versions of the server contain the ID of the user in place of a token. Such links are accepted for registration of users who have not set a password and for confirmation of users who have not confirmed their email address until the date given by the `legacyUserTokensAcceptedUntil` setting and rejected afterwards (or if the setting is absent). User IDs are never accepted for password resets.
+*
+* @param {string} token - token sent to the user
+* @param {StringArray} purposes - accepted token purposes
+* @returns {Promise<(Object|null)>} object holding the `user` identifier, the token `purpose` (`null` for legacy links) and its associated `data`, or `null` if the token is invalid, expired or has already been used
+*/
+async function consumeUserToken( token, purposes ) {
+	const now = new Date();
+	const userToken = await UserToken.findOneAndUpdate({
+		tokenHash: hashToken( token ),
+		purpose: { $in: purposes },
+		usedAt: null,
+		expiresAt: { $gt: now }
+	}, { $set: { usedAt: now }}, { new: true });
+	if ( userToken ) {
+		return {
+			user: userToken.user,
+			purpose: userToken.purpose,
+			data: userToken.data
+		};
+	}
+	if ( await acceptsLegacyToken( token, purposes ) ) {
+		debug( 'Accepting legacy token containing a user ID...' );
+		return {
+			user: token,
+			purpose: null,
+			data: {}
+		};
+	}
+	return null;
+}
+
+
+// EXPORTS //
+
+module.exports = consumeUserToken;
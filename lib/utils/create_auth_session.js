@@ -0,0 +1,71 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const AuthSession = require( './../models/auth_session.js' );
+const User = require( './../models/user.js' );
+const generateToken = require( './generate_token.js' );
+const hashToken = require( './hash_token.js' );
+const refreshTokenExpiration = require( './refresh_token_expiration.js' );
+const signAccessToken = require( './sign_access_token.js' );
+
+
+// VARIABLES //
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+
+// MAIN //
+
+/**
+* Starts a new authentication session for a user and issues its access and refresh tokens.
+*
+* ## Notes
+*
+* -   Only a hash of the refresh token is stored in the database, so the returned token cannot be recovered later on.
+* -   The language of the request is recorded as the locale of the user, so that emails sent to the user are written in that language.
+*
+* @param {Object} options - function options
+* @param {ObjectId} options.user - user identifier
+* @param {Request} [options.req] - HTTP request from which the device and IP address of the session are extracted
+* @param {ObjectId} [options.impersonator] - identifier of the administrator impersonating the user
+* @returns {Promise<Object>} object holding the access `token`, the `refreshToken`, the lifetime of the access token in seconds (`expiresIn`) and the `session` document
+*/
+async function createAuthSession({ user, req, impersonator = null }) {
+	const refreshToken = generateToken();
+	const session = await AuthSession.create({
+		user,
+		impersonator,
+		refreshTokenHash: hashToken( refreshToken ),
+		userAgent: req ? String( req.get( 'User-Agent' ) || '' ).substring( 0, MAX_USER_AGENT_LENGTH ) : '',
+		ip: req ? req.ip : '',
+		expiresAt: refreshTokenExpiration()
+	});
+	if ( req && req.language && !impersonator ) {
+		await User.updateOne({ _id: user }, { $set: { locale: req.language }});
+	}
+	const { token, expiresIn } = signAccessToken( session.user, session._id );
+	return { token, refreshToken, expiresIn, session };
+}
+
+
+// EXPORTS //
+
+module.exports = createAuthSession;
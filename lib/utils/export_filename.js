@@ -0,0 +1,66 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// VARIABLES //
+
+const RE_UNSAFE_FILENAME_CHARACTERS = /[^\w.-]+/g;
+
+
+// MAIN //
+
+/**
+* Returns a file name for an exported document.
+*
+* ## Notes
+*
+* -   Characters which are unsafe in file names are replaced by underscores.
+* -   If a set of file names already in use is supplied, a counter is appended to names which are already in use (ignoring case, as not all file systems distinguish names by case) and the returned name is added to the set, so that the files of an archive do not overwrite each other when extracted.
+*
+* @param {string} name - document name
+* @param {string} extension - file extension
+* @param {Set} [used] - lower-cased file names already in use
+* @returns {string} file name
+*
+* @example
+* const used = new Set();
+* let filename = exportFilename( 'Group report', 'md', used );
+* // returns 'Group_report.md'
+*
+* filename = exportFilename( 'Group/report', 'md', used );
+* // returns 'Group_report-2.md'
+*/
+function exportFilename( name, extension, used ) {
+	const base = String( name ).replace( RE_UNSAFE_FILENAME_CHARACTERS, '_' );
+	let filename = base + '.' + extension;
+	if ( !used ) {
+		return filename;
+	}
+	let counter = 1;
+	while ( used.has( filename.toLowerCase() ) ) {
+		counter += 1;
+		filename = base + '-' + counter + '.' + extension;
+	}
+	used.add( filename.toLowerCase() );
+	return filename;
+}
+
+
+// EXPORTS //
+
+module.exports = exportFilename;
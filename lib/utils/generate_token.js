@@ -19,27 +19,30 @@
 
 // MODULES //
 
-const ErrorStatus = require( './error.js' );
-const isOwner = require( './is_owner.js' );
+const { randomBytes } = require( 'crypto' );
+
+
+// VARIABLES //
+
+const NUM_BYTES = 32;
 
 
 // MAIN //
 
 /**
-* Validates that a request is made by an owner of a namespace.
+* Generates a cryptographically secure random token.
+*
+* @returns {string} hexadecimal token
 *
-* @param {Object} request - HTTP request object
-* @param {string} namespaceID- namespace identifier
-* @throws {Error} error if the request is not made by an owner of a namespace
+* @example
+* const token = generateToken();
+* // returns <string>
 */
-async function validateOwner( req, namespaceID ) {
-	const owner = await isOwner( req, namespaceID );
-	if ( !owner ) {
-		throw new ErrorStatus( 401, req.t( 'access-denied-no-owner' ) );
-	}
+function generateToken() {
+	return randomBytes( NUM_BYTES ).toString( 'hex' );
 }
 
 
 // EXPORTS //
 
-module.exports = validateOwner;
+module.exports = generateToken;
@@ -0,0 +1,116 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const objectKeys = require( '@stdlib/utils/keys' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns the percentage of points scored or `null` if the maximum number of points is unknown.
+*
+* @private
+* @param {number} points - scored points
+* @param {number} maxPoints - maximum points
+* @returns {(number|null)} percentage between zero and one
+*/
+function percentage( points, maxPoints ) {
+	return maxPoints > 0 ? points / maxPoints : null;
+}
+
+
+// MAIN //
+
+/**
+* Computes category and overall totals of a user's grades.
+*
+* ## Notes
+*
+* -   Percentages only take into account grades for which the maximum number of points is known.
+* -   The overall total is the weighted average of the category percentages, ignoring categories without any such grades. If no categories are defined, it is the percentage of all points scored.
+*
+* @param {Object} lessonTotals - object mapping lesson identifiers to objects with the `points` (all awarded points), `scoredPoints` (points of grades with known maximum) and `maxPoints` of the user in the lesson
+* @param {Array<Object>} [categories=[]] - grade categories with `name`, `weight` and `lessons` properties
+* @returns {Object} object with the `points` in total, the `categories` totals and the overall `total` percentage (or `null`)
+*
+* @example
+* const out = gradebookTotals({
+*     'l1': { points: 8, scoredPoints: 8, maxPoints: 10 },
+*     'l2': { points: 5, scoredPoints: 5, maxPoints: 20 }
+* }, [
+*     { name: 'Homework', weight: 1, lessons: [ 'l1' ] },
+*     { name: 'Exams', weight: 3, lessons: [ 'l2' ] }
+* ]);
+* // returns { points: 13, categories: {...}, total: 0.3875 }
+*/
+function gradebookTotals( lessonTotals, categories = [] ) {
+	const lessons = objectKeys( lessonTotals );
+	let points = 0;
+	let scoredPoints = 0;
+	let maxPoints = 0;
+	for ( let i = 0; i < lessons.length; i++ ) {
+		const totals = lessonTotals[ lessons[ i ] ];
+		points += totals.points;
+		scoredPoints += totals.scoredPoints;
+		maxPoints += totals.maxPoints;
+	}
+	const out = {
+		points,
+		categories: {},
+		total: null
+	};
+	if ( categories.length === 0 ) {
+		out.total = percentage( scoredPoints, maxPoints );
+		return out;
+	}
+	let weightedSum = 0;
+	let weights = 0;
+	for ( let i = 0; i < categories.length; i++ ) {
+		const category = categories[ i ];
+		const entry = {
+			points: 0,
+			maxPoints: 0,
+			percentage: null
+		};
+		let scored = 0;
+		for ( let j = 0; j < category.lessons.length; j++ ) {
+			const totals = lessonTotals[ String( category.lessons[ j ] ) ];
+			if ( totals ) {
+				entry.points += totals.points;
+				entry.maxPoints += totals.maxPoints;
+				scored += totals.scoredPoints;
+			}
+		}
+		entry.percentage = percentage( scored, entry.maxPoints );
+		if ( entry.percentage !== null ) {
+			weightedSum += category.weight * entry.percentage;
+			weights += category.weight;
+		}
+		out.categories[ category.name ] = entry;
+	}
+	out.total = weights > 0 ? weightedSum / weights : null;
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = gradebookTotals;
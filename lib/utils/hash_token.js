@@ -0,0 +1,46 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { createHash } = require( 'crypto' );
+
+
+// MAIN //
+
+/**
+* Returns the SHA-256 hash of a secret token, which can be stored in the database in place of the token itself.
+*
+* @param {string} token - secret token
+* @returns {string} hexadecimal hash
+*
+* @example
+* const hash = hashToken( 'abc' );
+* // returns 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad'
+*/
+function hashToken( token ) {
+	return createHash( 'sha256' )
+		.update( String( token ) )
+		.digest( 'hex' );
+}
+
+
+// EXPORTS //
+
+module.exports = hashToken;
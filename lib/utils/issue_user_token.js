@@ -0,0 +1,77 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const contains = require( '@stdlib/assert/contains' );
+const UserToken = require( './../models/user_token.js' );
+const generateToken = require( './generate_token.js' );
+const hashToken = require( './hash_token.js' );
+
+
+// VARIABLES //
+
+const MILLISECONDS_PER_HOUR = 60 * 60 * 1000;
+const LIFETIME_HOURS = {
+	'reset-password': 2,
+	'confirm-email': 7 * 24,
+	'registration': 14 * 24,
+	'cohort-invite': 30 * 24,
+	'sso-login': 5 / 60
+};
+const SINGLE_ACTIVE_PURPOSES = [ 'reset-password', 'confirm-email' ];
+
+
+// MAIN //
+
+/**
+* Issues a random single-use token authorizing an action of a user (e.g., resetting the password), to be sent to the user via email.
+*
+* ## Notes
+*
+* -   Only a hash of the token is stored in the database.
+* -   Issuing a password reset or email confirmation token invalidates previously issued, unused tokens for the same purpose.
+* -   Tokens expire after a purpose-dependent lifetime (two hours for password resets, one week for email confirmations, two weeks for registrations, thirty days for cohort invitations and five minutes for single sign-on login codes), counted from the time the email is sent.
+*
+* @param {Object} options - function options
+* @param {ObjectId} options.user - user identifier
+* @param {string} options.purpose - token purpose (`reset-password`, `registration`, `confirm-email`, `cohort-invite` or `sso-login`)
+* @param {Object} [options.data={}] - additional data to associate with the token
+* @param {number} [options.sentAt=Date.now()] - time (in milliseconds since the epoch) at which the email containing the token is sent (used for emails scheduled for later delivery)
+* @returns {Promise<string>} token
+*/
+async function issueUserToken({ user, purpose, data = {}, sentAt = Date.now() }) {
+	if ( contains( SINGLE_ACTIVE_PURPOSES, purpose ) ) {
+		await UserToken.deleteMany({ user, purpose, usedAt: null });
+	}
+	const token = generateToken();
+	await UserToken.create({
+		user,
+		purpose,
+		data,
+		tokenHash: hashToken( token ),
+		expiresAt: new Date( sentAt + ( LIFETIME_HOURS[ purpose ] * MILLISECONDS_PER_HOUR ) )
+	});
+	return token;
+}
+
+
+// EXPORTS //
+
+module.exports = issueUserToken;
@@ -0,0 +1,57 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { relative, resolve, sep } = require( 'path' );
+const { MEDIA_DIRECTORY } = require( './../constants.js' );
+
+
+// MAIN //
+
+/**
+* Returns the URL path under which an uploaded file is served.
+*
+* @param {Object} file - file document
+* @returns {string} percent-encoded URL path
+*/
+function mediaPath( file ) {
+	return '/' + relative( MEDIA_DIRECTORY, resolve( file.path ) )
+		.split( sep )
+		.map( encodeURIComponent )
+		.join( '/' );
+}
+
+/**
+* Returns the URL path under which a backup is served.
+*
+* @param {Object} backup - backup document
+* @returns {string} percent-encoded URL path
+*/
+function backupPath( backup ) {
+	return '/backups/' + encodeURIComponent( backup.filename );
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	backupPath,
+	mediaPath
+};
@@ -0,0 +1,54 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const { NOTIFICATIONS_EMAIL } = require( './../constants.js' );
+
+
+// MAIN //
+
+/**
+* Returns the sender options for emails sent in the context of a namespace.
+*
+* @param {Object} namespace - namespace object
+* @returns {Object} object with `from` address and, if configured for the namespace, `replyTo` address
+*
+* @example
+* const opts = namespaceSender({ title: '36-200', emailFromName: '36-200 Teaching Team' });
+* // returns { from: { name: '36-200 Teaching Team', address: 'notifications@...' } }
+*/
+function namespaceSender( namespace ) {
+	const out = {
+		from: {
+			name: namespace.emailFromName || NOTIFICATIONS_EMAIL.name,
+			address: NOTIFICATIONS_EMAIL.address
+		}
+	};
+	if ( namespace.emailReplyTo ) {
+		out.replyTo = namespace.emailReplyTo;
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = namespaceSender;
@@ -0,0 +1,95 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MAIN //
+
+/**
+* Parses a CSV string into an array of objects keyed by the names in the header row.
+*
+* ## Notes
+*
+* -   Supports quoted fields containing commas, line breaks and escaped (doubled) quotes.
+* -   Empty lines are skipped and the names in the header row are trimmed.
+*
+* @param {string} str - CSV string
+* @returns {Array<Object>} parsed rows
+*
+* @example
+* const rows = parseCSV( 'a,b\n1,"x,y"\n' );
+* // returns [ { a: '1', b: 'x,y' } ]
+*/
+function parseCSV( str ) {
+	const lines = [];
+	let row = [];
+	let field = '';
+	let quoted = false;
+	for ( let i = 0; i < str.length; i++ ) {
+		const ch = str[ i ];
+		if ( quoted ) {
+			if ( ch === '"' ) {
+				if ( str[ i+1 ] === '"' ) {
+					field += '"';
+					i += 1;
+				} else {
+					quoted = false;
+				}
+			} else {
+				field += ch;
+			}
+		} else if ( ch === '"' ) {
+			quoted = true;
+		} else if ( ch === ',' ) {
+			row.push( field );
+			field = '';
+		} else if ( ch === '\n' || ch === '\r' ) {
+			if ( ch === '\r' && str[ i+1 ] === '\n' ) {
+				i += 1;
+			}
+			row.push( field );
+			lines.push( row );
+			row = [];
+			field = '';
+		} else {
+			field += ch;
+		}
+	}
+	if ( field || row.length > 0 ) {
+		row.push( field );
+		lines.push( row );
+	}
+	const nonEmpty = lines.filter( x => x.length > 1 || x[ 0 ] !== '' );
+	if ( nonEmpty.length === 0 ) {
+		return [];
+	}
+	const header = nonEmpty[ 0 ].map( x => x.trim() );
+	const out = [];
+	for ( let i = 1; i < nonEmpty.length; i++ ) {
+		const obj = {};
+		for ( let j = 0; j < header.length; j++ ) {
+			obj[ header[ j ] ] = nonEmpty[ i ][ j ];
+		}
+		out.push( obj );
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = parseCSV;
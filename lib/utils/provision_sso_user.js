@@ -0,0 +1,146 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const isEmptyObject = require( '@stdlib/assert/is-empty-object' );
+const objectKeys = require( '@stdlib/utils/keys' );
+const User = require( './../models/user.js' );
+const CustomUserField = require( './../models/custom_user_field.js' );
+const ErrorStatus = require( './../helpers/error.js' );
+const institutionName = require( './institution_name.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns the username part of an email address.
+*
+* @private
+* @param {string} email - email address
+* @returns {string} username
+*/
+function emailUsername( email ) {
+	return email.substring( 0, email.indexOf( '@' ) );
+}
+
+/**
+* Checks whether a string is empty or contains only whitespace characters.
+*
+* @private
+* @param {string} str - string to check
+* @returns {boolean} true if the string is empty or contains only whitespace characters, false otherwise
+*/
+function isBlankString( str ) {
+	return str === '' || /^[\s\xa0]*$/.test( str );
+}
+
+/**
+* Returns the values of custom user fields that exist in the database.
+*
+* @private
+* @param {Object} customFields - custom field values keyed by field name
+* @returns {Promise<Object>} values of existing custom fields
+*/
+async function existingCustomFields( customFields ) {
+	const out = {};
+	const fields = await CustomUserField.find({
+		name: { $in: objectKeys( customFields ) }
+	}).select( 'name' );
+	for ( let i = 0; i < fields.length; i++ ) {
+		const name = fields[ i ].name;
+		out[ name ] = customFields[ name ];
+	}
+	return out;
+}
+
+
+// MAIN //
+
+/**
+* Returns the user with a given email address authenticated via a single sign-on provider, creating the user if it does not exist yet.
+*
+* ## Notes
+*
+* -   New users are created with a verified email address and can log in without a password. The first user of an instance becomes an instructor and administrator.
+* -   Users who still have the default name (the username of their email address) get their name updated from the identity provider.
+* -   Values of custom user fields are only stored for fields defined on the instance.
+*
+* @param {Object} options - function options
+* @param {string} options.email - email address
+* @param {string} [options.name] - user's name (defaults to the username of the email address)
+* @param {Object} [options.customFields={}] - custom field values keyed by field name
+* @throws {ErrorStatus} user could not be created
+* @returns {Promise<User>} user
+*/
+async function provisionSSOUser({ email, name, customFields = {}}) {
+	if ( !name || isBlankString( name ) ) {
+		name = emailUsername( email );
+	}
+	if ( !isEmptyObject( customFields ) ) {
+		customFields = await existingCustomFields( customFields );
+	}
+	let user = await User.findOne({ email });
+	if ( !user ) {
+		try {
+			const numUsers = await User.estimatedDocumentCount();
+			user = new User({
+				email,
+				name,
+				organization: institutionName( email ),
+				writeAccess: numUsers === 0, // Make first registered user an instructor
+				administrator: numUsers === 0, // Make first registered user an administrator...
+				loginWithoutPassword: true,
+				verifiedEmail: true,
+				customFields
+			});
+			await user.save();
+		} catch ( err ) {
+			throw new ErrorStatus( 403, err.message );
+		}
+		return user;
+	}
+	let changed = false;
+	if (
+		user.name === emailUsername( user.email ) ||
+		!user.name || isBlankString( user.name )
+	) {
+		// Case: User still has the default name, i.e. is equal to the username of the email address...
+		if ( name !== user.name ) {
+			user.name = name;
+			changed = true;
+		}
+	}
+	if ( !isEmptyObject( customFields ) ) {
+		user.customFields = {
+			...user.customFields,
+			...customFields
+		};
+		changed = true;
+	}
+	if ( changed ) {
+		await user.save();
+	}
+	return user;
+}
+
+
+// EXPORTS //
+
+module.exports = provisionSSOUser;
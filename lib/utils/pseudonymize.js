@@ -0,0 +1,61 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { createHmac } = require( 'crypto' );
+
+
+// VARIABLES //
+
+const PSEUDONYM_PREFIX = 'anon-';
+const PSEUDONYM_LENGTH = 16;
+
+
+// MAIN //
+
+/**
+* Returns a stable pseudonym for an identifying value such as an email address.
+*
+* ## Notes
+*
+* -   The pseudonym is derived from a keyed hash of the value, so that the same value is always mapped to the same pseudonym for a given salt while it cannot be recovered without knowing the salt.
+*
+* @param {string} value - value to pseudonymize
+* @param {string} salt - secret salt
+* @returns {(string|null)} pseudonym or `null` if no value is provided
+*
+* @example
+* const pseudonym = pseudonymize( 'jane@isledocs.com', 'secret' );
+* // returns <string>
+*/
+function pseudonymize( value, salt ) {
+	if ( !value ) {
+		return null;
+	}
+	const hash = createHmac( 'sha256', salt )
+		.update( String( value ).toLowerCase() )
+		.digest( 'hex' );
+	return PSEUDONYM_PREFIX + hash.substring( 0, PSEUDONYM_LENGTH );
+}
+
+
+// EXPORTS //
+
+module.exports = pseudonymize;
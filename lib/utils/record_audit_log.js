@@ -0,0 +1,75 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const debug = require( './../debug' )( 'server:audit-log' );
+const AuditLog = require( './../models/audit_log.js' );
+const auditChanges = require( './audit_changes.js' );
+
+
+// VARIABLES //
+
+const MAX_USER_AGENT_LENGTH = 512;
+
+
+// MAIN //
+
+/**
+* Records a privileged action performed by the authenticated user in the audit log.
+*
+* ## Notes
+*
+* -   If the request was made from an impersonation session, the impersonating administrator is recorded alongside the actor.
+* -   Failures to write the audit log entry are logged but do not fail the request, as the action has already been performed.
+*
+* @param {Request} req - HTTP request object
+* @param {Object} options - function options
+* @param {string} options.action - name of the action
+* @param {string} options.targetType - type of the affected entity (`user`, `namespace`, `program`, `setting`, `role`, `event`, or `lti-platform`)
+* @param {*} [options.target] - identifier of the affected entity
+* @param {Object} [options.before] - snapshot of the affected fields before the action
+* @param {Object} [options.after] - snapshot of the affected fields after the action
+* @returns {Promise<(Object|null)>} audit log entry or `null` if it could not be written
+*/
+async function recordAuditLog( req, { action, targetType, target, before, after }) {
+	const session = req.authInfo ? req.authInfo.session : null;
+	try {
+		const entry = await AuditLog.create({
+			actor: req.user ? req.user._id : null,
+			impersonator: session ? session.impersonator : null,
+			action,
+			targetType,
+			target: target ? String( target ) : null,
+			changes: auditChanges( before, after ),
+			ip: req.ip,
+			userAgent: String( req.get( 'User-Agent' ) || '' ).substring( 0, MAX_USER_AGENT_LENGTH )
+		});
+		return entry;
+	} catch ( err ) {
+		debug( `Encountered an error when recording ${action} in the audit log: ${err.message}` );
+		return null;
+	}
+}
+
+
+// EXPORTS //
+
+module.exports = recordAuditLog;
@@ -0,0 +1,125 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { randomInt } = require( 'crypto' );
+const RecoveryCode = require( './../models/recovery_code.js' );
+const hashToken = require( './hash_token.js' );
+
+
+// VARIABLES //
+
+const NUM_CODES = 10;
+const GROUP_LENGTH = 5;
+const ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789'; // Omits characters that are easily confused (`0`, `1`, `i`, `l` and `o`)...
+const RE_SEPARATORS = /[\s-]+/g;
+
+
+// FUNCTIONS //
+
+/**
+* Normalizes a recovery code as entered by a user by lowercasing it and removing whitespace and hyphens.
+*
+* @private
+* @param {string} code - recovery code
+* @returns {string} normalized code
+*/
+function normalize( code ) {
+	return String( code ).toLowerCase()
+		.replace( RE_SEPARATORS, '' );
+}
+
+/**
+* Returns a random group of characters.
+*
+* @private
+* @returns {string} group of characters
+*/
+function randomGroup() {
+	let out = '';
+	for ( let i = 0; i < GROUP_LENGTH; i++ ) {
+		out += ALPHABET[ randomInt( ALPHABET.length ) ];
+	}
+	return out;
+}
+
+
+// MAIN //
+
+/**
+* Generates a new set of single-use recovery codes for a user, replacing all previously generated codes.
+*
+* ## Notes
+*
+* -   Only hashes of the codes are stored in the database, so the codes can only be shown to the user once.
+*
+* @param {ObjectId} user - user identifier
+* @returns {Promise<StringArray>} recovery codes (e.g., `k7m2p-x9qrt`)
+*/
+async function generateRecoveryCodes( user ) {
+	const codes = [];
+	for ( let i = 0; i < NUM_CODES; i++ ) {
+		codes.push( randomGroup() + '-' + randomGroup() );
+	}
+	await RecoveryCode.deleteMany({ user });
+	await RecoveryCode.insertMany( codes.map( code => {
+		return {
+			user,
+			codeHash: hashToken( normalize( code ) )
+		};
+	}) );
+	return codes;
+}
+
+/**
+* Verifies and consumes a recovery code of a user.
+*
+* @param {ObjectId} user - user identifier
+* @param {string} code - recovery code entered by the user
+* @returns {Promise<boolean>} boolean indicating whether the code was valid and unused
+*/
+async function consumeRecoveryCode( user, code ) {
+	const doc = await RecoveryCode.findOneAndUpdate({
+		user,
+		codeHash: hashToken( normalize( code ) ),
+		usedAt: null
+	}, { $set: { usedAt: new Date() }});
+	return doc !== null;
+}
+
+/**
+* Returns the number of unused recovery codes of a user.
+*
+* @param {ObjectId} user - user identifier
+* @returns {Promise<integer>} number of unused codes
+*/
+async function countRecoveryCodes( user ) {
+	const count = await RecoveryCode.countDocuments({ user, usedAt: null });
+	return count;
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	consumeRecoveryCode,
+	countRecoveryCodes,
+	generateRecoveryCodes
+};
@@ -0,0 +1,69 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const AuthSession = require( './../models/auth_session.js' );
+const generateToken = require( './generate_token.js' );
+const hashToken = require( './hash_token.js' );
+const refreshTokenExpiration = require( './refresh_token_expiration.js' );
+const signAccessToken = require( './sign_access_token.js' );
+
+
+// MAIN //
+
+/**
+* Exchanges a refresh token for a new access token.
+*
+* ## Notes
+*
+* -   Refresh tokens are rotated, i.e. the supplied token is invalidated and a new one is returned. As the lookup and the rotation happen in a single atomic update, a refresh token can only be used once.
+* -   Using a refresh token renews the expiration of its session.
+*
+* @param {string} refreshToken - refresh token
+* @param {Request} [req] - HTTP request from which the IP address is recorded
+* @returns {Promise<(Object|null)>} object holding the new access `token`, the new `refreshToken`, the lifetime of the access token in seconds (`expiresIn`) and the `session` document, or `null` if the refresh token is invalid, expired or its session has been revoked
+*/
+async function refreshAuthSession( refreshToken, req ) {
+	const now = new Date();
+	const newRefreshToken = generateToken();
+	const update = {
+		refreshTokenHash: hashToken( newRefreshToken ),
+		expiresAt: refreshTokenExpiration(),
+		lastUsedAt: now
+	};
+	if ( req ) {
+		update.ip = req.ip;
+	}
+	const session = await AuthSession.findOneAndUpdate({
+		refreshTokenHash: hashToken( refreshToken ),
+		revokedAt: null,
+		expiresAt: { $gt: now }
+	}, { $set: update }, { new: true });
+	if ( !session ) {
+		return null;
+	}
+	const { token, expiresIn } = signAccessToken( session.user, session._id );
+	return { token, refreshToken: newRefreshToken, expiresIn, session };
+}
+
+
+// EXPORTS //
+
+module.exports = refreshAuthSession;
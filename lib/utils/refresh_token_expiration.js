@@ -0,0 +1,53 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const isPositiveNumber = require( '@stdlib/assert/is-positive-number' ).isPrimitive;
+const settings = require( './../../etc/settings.json' );
+
+
+// VARIABLES //
+
+const DEFAULT_LIFETIME_DAYS = 30;
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+
+// MAIN //
+
+/**
+* Returns the date at which a refresh token issued now expires.
+*
+* ## Notes
+*
+* -   The lifetime is given by the `refreshTokenLifetimeDays` setting (defaulting to thirty days). As the expiration is renewed whenever a refresh token is used, sessions only end after having been inactive for that long.
+*
+* @returns {Date} expiration date
+*/
+function refreshTokenExpiration() {
+	const days = isPositiveNumber( settings.refreshTokenLifetimeDays ) ?
+		settings.refreshTokenLifetimeDays :
+		DEFAULT_LIFETIME_DAYS;
+	return new Date( Date.now() + ( days * MILLISECONDS_PER_DAY ) );
+}
+
+
+// EXPORTS //
+
+module.exports = refreshTokenExpiration;
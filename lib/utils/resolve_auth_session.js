@@ -0,0 +1,72 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const isValidObjectId = require( 'mongoose' ).isValidObjectId;
+const AuthSession = require( './../models/auth_session.js' );
+
+
+// VARIABLES //
+
+const LAST_USED_RESOLUTION = 60 * 1000; // Only record usage of a session once per minute to avoid a write for every request
+
+
+// MAIN //
+
+/**
+* Returns the active authentication session referenced by the payload of a verified JSON Web Token.
+*
+* ## Notes
+*
+* -   Tokens issued before the introduction of authentication sessions do not reference a session and are thus rejected.
+* -   The time and IP address of the last usage of the session are updated as a side effect.
+*
+* @param {Object} payload - token payload
+* @param {string} [ip] - IP address of the request
+* @returns {Promise<(Object|null)>} session document or `null` if the session does not exist, has expired or has been revoked
+*/
+async function resolveAuthSession( payload, ip ) {
+	if ( !payload || !isValidObjectId( payload.sid ) ) {
+		return null;
+	}
+	const now = new Date();
+	const session = await AuthSession.findOne({
+		_id: payload.sid,
+		user: payload.id,
+		revokedAt: null,
+		expiresAt: { $gt: now }
+	});
+	if ( !session ) {
+		return null;
+	}
+	if ( now - session.lastUsedAt > LAST_USED_RESOLUTION ) {
+		const update = { lastUsedAt: now };
+		if ( ip ) {
+			update.ip = ip;
+		}
+		await AuthSession.updateOne({ _id: session._id }, { $set: update });
+	}
+	return session;
+}
+
+
+// EXPORTS //
+
+module.exports = resolveAuthSession;
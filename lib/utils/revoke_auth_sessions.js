@@ -0,0 +1,50 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const AuthSession = require( './../models/auth_session.js' );
+
+
+// MAIN //
+
+/**
+* Revokes all active authentication sessions matching a filter, thereby invalidating their access and refresh tokens.
+*
+* @param {Object} filter - query filter (e.g., `{ user: id }`)
+* @param {ObjectId} [revokedBy=null] - identifier of the user revoking the sessions
+* @returns {Promise<number>} number of revoked sessions
+*/
+async function revokeAuthSessions( filter, revokedBy = null ) {
+	const result = await AuthSession.updateMany({
+		...filter,
+		revokedAt: null
+	}, {
+		$set: {
+			revokedAt: new Date(),
+			revokedBy
+		}
+	});
+	return result.modifiedCount;
+}
+
+
+// EXPORTS //
+
+module.exports = revokeAuthSessions;
@@ -25,9 +25,10 @@ const extractEmailsWithoutAccount = require( './extract_emails_without_account.j
 const Event = require( './../models/event.js' );
 const User = require( './../models/user.js' );
 const institutionName = require( './institution_name.js' );
-const { SERVER_HOST_NAME, NOTIFICATIONS_EMAIL } = require( './../constants.js' );
+const issueUserToken = require( './issue_user_token.js' );
+const namespaceSender = require( './namespace_sender.js' );
+const { SERVER_HOST_NAME } = require( './../constants.js' );
 const settings = require( './../../etc/settings.json' );
-const mailer = require( './../mailer' );
 
 
 // FUNCTIONS //
@@ -81,7 +82,7 @@ async function sendCohortInvitations( memberEmails, cohort, namespace, req ) {
 			for ( let i = 0; i < addedUsers.length; i++ ) {
 				const user = addedUsers[ i ];
 				const mail = {
-					'from': NOTIFICATIONS_EMAIL,
+					...namespaceSender( namespace ),
 					'subject': req.t('course-invitation'),
 					'to': user.email,
 					'text': `
@@ -93,7 +94,8 @@ async function sendCohortInvitations( memberEmails, cohort, namespace, req ) {
 							organization
 						})}
 					`,
-					'link': SERVER_HOST_NAME
+					'link': SERVER_HOST_NAME,
+					'locale': req.language
 				};
 				const event = new Event({
 					type: 'send_email',
@@ -101,7 +103,7 @@ async function sendCohortInvitations( memberEmails, cohort, namespace, req ) {
 					data: mail,
 					user: req.user
 				});
-				event.save();
+				await event.save();
 			}
 		}
 		const newEmails = extractEmailsWithoutAccount( memberEmails, users );
@@ -109,9 +111,6 @@ async function sendCohortInvitations( memberEmails, cohort, namespace, req ) {
 		if ( newEmails.length > 0 ) {
 			const cohortStartTime = cohort.startDate.getTime();
 			const newUsers = [];
-			if ( !mailer.active ) {
-				return { users, newEmails };
-			}
 			const samlEmailDomains = settings.samlEmailDomains || [];
 			for ( let i = 0; i < newEmails.length; i++ ) {
 				const email = newEmails[ i ];
@@ -132,23 +131,31 @@ async function sendCohortInvitations( memberEmails, cohort, namespace, req ) {
 				};
 				if ( samlEmailDomains.some( x => contains( email, x ) ) ) {
 					mail = {
-						'from': NOTIFICATIONS_EMAIL,
+						...namespaceSender( namespace ),
 						'subject': req.t('course-invitation'),
 						'to': user.email,
 						'text': `
 							${req.t('course-invitation-email-sso-users', emailOptions )}
 						`,
-						'link': `${SERVER_HOST_NAME}/dashboard/lessons/${namespace.title}`
+						'link': `${SERVER_HOST_NAME}/dashboard/lessons/${namespace.title}`,
+						'locale': req.language
 					};
 				} else {
+					const token = await issueUserToken({
+						user: user._id,
+						purpose: 'cohort-invite',
+						data: { cohort: cohort._id },
+						sentAt: Math.max( Date.now(), cohortStartTime )
+					});
 					mail = {
-						'from': NOTIFICATIONS_EMAIL,
+						...namespaceSender( namespace ),
 						'subject': req.t('course-invitation'),
 						'to': user.email,
 						'text': `
 							${req.t('course-invitation-email-new-users', emailOptions )}
 						`,
-						'link': `${SERVER_HOST_NAME}/dashboard/complete-registration/?token=${user._id}`
+						'link': `${SERVER_HOST_NAME}/dashboard/complete-registration/?token=${token}`,
+						'locale': req.language
 					};
 				}
 				const event = new Event({
@@ -157,7 +164,7 @@ async function sendCohortInvitations( memberEmails, cohort, namespace, req ) {
 					data: mail,
 					user: req.user
 				});
-				event.save();
+				await event.save();
 			}
 			users = users.concat( newUsers );
 		}
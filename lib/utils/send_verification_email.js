@@ -22,6 +22,7 @@
 const mailer = require( './../mailer' );
 const debug = require( './../debug' )( 'server:mail' );
 const ErrorStatus = require( './../helpers/error.js' );
+const issueUserToken = require( './issue_user_token.js' );
 const { NOTIFICATIONS_EMAIL, SERVER_HOST_NAME } = require( './../constants.js' );
 
 
@@ -32,20 +33,25 @@ const { NOTIFICATIONS_EMAIL, SERVER_HOST_NAME } = require( './../constants.js' )
 *
 * @param {Object} user - user object
 * @param {Function} t - translation function
+* @param {string} [locale] - language of the email (defaults to the locale of the user)
 * @throws {Error} email service is not available
+* @returns {Promise<void>}
 */
-function sendVerificationEmail( user, t ) {
+async function sendVerificationEmail( user, t, locale = user.locale ) {
 	if ( !mailer.active ) {
 		throw new ErrorStatus( 500, t( 'email-service-not-configured' ) );
 	}
+	const token = await issueUserToken({ user: user._id, purpose: 'confirm-email' });
 	const mail = {
 		'from': NOTIFICATIONS_EMAIL,
-		'subject': t('verify-your-email-address'),
 		'to': user.email,
-		'text': `
-			${t('verify-your-email-address-message', { user: user.name })}
-		`,
-		'link': `${SERVER_HOST_NAME}/dashboard/confirm-email/?token=${user._id}`
+		'translation': {
+			'subject': 'verify-your-email-address',
+			'text': 'verify-your-email-address-message',
+			'data': { user: user.name }
+		},
+		'locale': locale,
+		'link': `${SERVER_HOST_NAME}/dashboard/confirm-email/?token=${token}`
 	};
 	debug( 'Mail: ' + JSON.stringify( mail ) );
 	mailer.send( mail, function onDone( error ) {
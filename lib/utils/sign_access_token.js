@@ -0,0 +1,62 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const jwt = require( 'jsonwebtoken' );
+const isPositiveNumber = require( '@stdlib/assert/is-positive-number' ).isPrimitive;
+const settings = require( './../../etc/settings.json' );
+const { tokens } = require( './../credentials.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_LIFETIME_MINUTES = 15;
+
+
+// MAIN //
+
+/**
+* Signs a short-lived JSON Web Token identifying a user and the authentication session it belongs to.
+*
+* ## Notes
+*
+* -   The lifetime of the token is given by the `accessTokenLifetimeMinutes` setting (defaulting to fifteen minutes).
+*
+* @param {string} userID - user identifier
+* @param {string} sessionID - authentication session identifier
+* @returns {Object} object holding the `token` and its lifetime in seconds (`expiresIn`)
+*/
+function signAccessToken( userID, sessionID ) {
+	const minutes = isPositiveNumber( settings.accessTokenLifetimeMinutes ) ?
+		settings.accessTokenLifetimeMinutes :
+		DEFAULT_LIFETIME_MINUTES;
+	const expiresIn = Math.round( minutes * 60 );
+	const payload = {
+		id: String( userID ),
+		sid: String( sessionID )
+	};
+	const token = jwt.sign( payload, tokens.jwtKey, { expiresIn });
+	return { token, expiresIn };
+}
+
+
+// EXPORTS //
+
+module.exports = signAccessToken;
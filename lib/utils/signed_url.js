@@ -0,0 +1,115 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { createHmac, timingSafeEqual } = require( 'crypto' );
+const isPositiveNumber = require( '@stdlib/assert/is-positive-number' ).isPrimitive;
+const settings = require( './../../etc/settings.json' );
+const { tokens } = require( './../credentials.js' );
+const { SERVER_HOST_NAME } = require( './../constants.js' );
+
+
+// VARIABLES //
+
+const DEFAULT_LIFETIME_MINUTES = 60;
+const RE_SIGNATURE = /^[0-9a-f]{64}$/;
+
+
+// FUNCTIONS //
+
+/**
+* Returns the key for signing URLs.
+*
+* ## Notes
+*
+* -   Unless a dedicated `urlSigningKey` is configured in `credentials/tokens.json`, the key is derived from the key for signing JSON Web Tokens.
+*
+* @private
+* @returns {string} signing key
+*/
+function signingKey() {
+	if ( tokens.urlSigningKey ) {
+		return tokens.urlSigningKey;
+	}
+	return createHmac( 'sha256', tokens.jwtKey )
+		.update( 'isle-signed-urls' )
+		.digest( 'hex' );
+}
+
+/**
+* Computes the signature of a path and expiration time.
+*
+* @private
+* @param {string} path - URL path (as sent by clients, i.e. percent-encoded)
+* @param {number} expires - expiration time (in seconds since epoch)
+* @returns {string} hex-encoded signature
+*/
+function signature( path, expires ) {
+	return createHmac( 'sha256', signingKey() )
+		.update( `${path}\n${expires}` )
+		.digest( 'hex' );
+}
+
+
+// MAIN //
+
+/**
+* Returns a URL granting access to a path on the server until it expires.
+*
+* ## Notes
+*
+* -   The lifetime of the URL is given by the `signedURLLifetimeMinutes` setting (defaulting to one hour).
+*
+* @param {string} path - URL path (percent-encoded)
+* @returns {string} signed URL
+*/
+function signURL( path ) {
+	const minutes = isPositiveNumber( settings.signedURLLifetimeMinutes ) ?
+		settings.signedURLLifetimeMinutes :
+		DEFAULT_LIFETIME_MINUTES;
+	const expires = Math.floor( Date.now() / 1000 ) + Math.round( minutes * 60 );
+	return `${SERVER_HOST_NAME}${path}?expires=${expires}&signature=${signature( path, expires )}`;
+}
+
+/**
+* Returns a boolean indicating whether a request for a path carries a valid and unexpired signature.
+*
+* @param {string} path - requested URL path (percent-encoded)
+* @param {Object} query - query parameters of the request
+* @param {string} [query.expires] - expiration time (in seconds since epoch)
+* @param {string} [query.signature] - signature
+* @returns {boolean} boolean indicating whether the signature is valid
+*/
+function verifySignedURL( path, { expires, signature: sig }) {
+	const time = Number( expires );
+	if ( !time || time * 1000 < Date.now() || !RE_SIGNATURE.test( sig ) ) {
+		return false;
+	}
+	const expected = Buffer.from( signature( path, time ), 'hex' );
+	return timingSafeEqual( expected, Buffer.from( sig, 'hex' ) );
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	signURL,
+	verifySignedURL
+};
@@ -0,0 +1,50 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const toCSVRow = require( './to_csv_row.js' );
+
+
+// MAIN //
+
+/**
+* Converts an array of objects to a CSV string with a header row.
+*
+* @param {Array<Object>} rows - objects to convert
+* @param {Array<string>} columns - names of the properties to include as columns
+* @returns {string} CSV string
+*
+* @example
+* const csv = toCSV( [ { a: 1, b: 'x,y' } ], [ 'a', 'b' ] );
+* // returns 'a,b\n1,"x,y"\n'
+*/
+function toCSV( rows, columns ) {
+	let out = toCSVRow( columns );
+	for ( let i = 0; i < rows.length; i++ ) {
+		const row = rows[ i ];
+		out += toCSVRow( columns.map( key => row[ key ] ) );
+	}
+	return out;
+}
+
+
+// EXPORTS //
+
+module.exports = toCSV;
@@ -0,0 +1,79 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const isnull = require( '@stdlib/assert/is-null' );
+const isUndefined = require( '@stdlib/assert/is-undefined' );
+
+
+// VARIABLES //
+
+const RE_SPECIAL_CHARACTERS = /[",\r\n]/;
+const RE_QUOTES = /"/g;
+
+
+// FUNCTIONS //
+
+/**
+* Formats a value as a CSV field.
+*
+* @private
+* @param {*} value - value to format
+* @returns {string} CSV field
+*/
+function formatField( value ) {
+	if ( isnull( value ) || isUndefined( value ) ) {
+		return '';
+	}
+	if ( value instanceof Date ) {
+		return value.toISOString();
+	}
+	if ( typeof value === 'object' ) {
+		value = JSON.stringify( value );
+	} else {
+		value = String( value );
+	}
+	if ( RE_SPECIAL_CHARACTERS.test( value ) ) {
+		return '"' + value.replace( RE_QUOTES, '""' ) + '"';
+	}
+	return value;
+}
+
+
+// MAIN //
+
+/**
+* Converts an array of values to a line of CSV.
+*
+* @param {Array} values - field values
+* @returns {string} CSV line terminated by a newline character
+*
+* @example
+* const line = toCSVRow( [ 1, 'x,y', null ] );
+* // returns '1,"x,y",\n'
+*/
+function toCSVRow( values ) {
+	return values.map( formatField ).join( ',' ) + '\n';
+}
+
+
+// EXPORTS //
+
+module.exports = toCSVRow;
@@ -0,0 +1,147 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const hasOwnProp = require( '@stdlib/assert/has-own-property' );
+const objectKeys = require( '@stdlib/utils/keys' );
+const debug = require( './../debug' )( 'server:grades' );
+const Grade = require( './../models/grade.js' );
+const User = require( './../models/user.js' );
+
+
+// FUNCTIONS //
+
+/**
+* Returns the update operation for changing the points of an existing grade, recording its previous value in the grade history.
+*
+* @private
+* @param {Object} grade - existing grade
+* @param {(number|null)} points - new points
+* @param {(number|null)} maxPoints - new maximum points
+* @param {Object} grader - user assigning the grade
+* @param {Date} now - current date
+* @returns {Object} update operation
+*/
+function changeOperation( grade, points, maxPoints, grader, now ) {
+	const update = {
+		$set: {
+			points,
+			maxPoints,
+			grader: grader ? grader._id : null,
+			gradedAt: now
+		}
+	};
+	if ( grade.points !== null ) {
+		update.$push = {
+			history: {
+				points: grade.points,
+				maxPoints: grade.maxPoints,
+				grader: grade.grader,
+				gradedAt: grade.gradedAt
+			}
+		};
+	}
+	return {
+		updateOne: {
+			filter: { _id: grade._id },
+			update
+		}
+	};
+}
+
+
+// MAIN //
+
+/**
+* Updates the grades of a user for the components of a lesson.
+*
+* ## Notes
+*
+* -   Grades are stored as `Grade` documents; changed grades keep their previous values in their history.
+* -   The legacy `lessonGrades` field of the user is kept in sync for clients still reading grades from the user object.
+* -   If `replace` is `true`, grades for components not contained in `grades` are cleared (mirroring the replacement of the lesson's entry in `lessonGrades`); otherwise, they are left untouched.
+*
+* @param {Object} options - function options
+* @param {Object} options.user - user whose grades to update
+* @param {ObjectId} options.namespace - namespace identifier
+* @param {ObjectId} options.lesson - lesson identifier
+* @param {Object} options.grades - object mapping component identifiers to awarded points
+* @param {Object} [options.maxPoints={}] - object mapping component identifiers to maximum points
+* @param {Object} [options.grader] - user assigning the grades
+* @param {boolean} [options.replace=true] - whether to clear grades of components not contained in `grades`
+* @returns {Promise<number>} number of changed grades
+*/
+async function updateGrades({ user, namespace, lesson, grades, maxPoints = {}, grader, replace = true }) {
+	const now = new Date();
+	const existing = await Grade.find({ user: user._id, lesson });
+	const byComponent = {};
+	for ( let i = 0; i < existing.length; i++ ) {
+		byComponent[ existing[ i ].component ] = existing[ i ];
+	}
+	const ops = [];
+	const components = objectKeys( grades );
+	for ( let i = 0; i < components.length; i++ ) {
+		const component = components[ i ];
+		const points = grades[ component ] === null ? null : Number( grades[ component ] );
+		const grade = byComponent[ component ];
+		let max = hasOwnProp( maxPoints, component ) && maxPoints[ component ] !== null ? Number( maxPoints[ component ] ) : null;
+		if ( max === null && grade ) {
+			max = grade.maxPoints;
+		}
+		if ( !grade ) {
+			ops.push({
+				insertOne: {
+					document: {
+						user: user._id,
+						namespace,
+						lesson,
+						component,
+						points,
+						maxPoints: max,
+						grader: grader ? grader._id : null,
+						gradedAt: now
+					}
+				}
+			});
+		} else if ( grade.points !== points || grade.maxPoints !== max ) {
+			ops.push( changeOperation( grade, points, max, grader, now ) );
+		}
+	}
+	if ( replace ) {
+		for ( let i = 0; i < existing.length; i++ ) {
+			const grade = existing[ i ];
+			if ( !hasOwnProp( grades, grade.component ) && grade.points !== null ) {
+				ops.push( changeOperation( grade, null, grade.maxPoints, grader, now ) );
+			}
+		}
+	}
+	if ( ops.length > 0 ) {
+		debug( `Apply ${ops.length} grade change(s) for user ${user.email}...` );
+		await Grade.bulkWrite( ops );
+	}
+	const lessonGrades = replace ? grades : { ...( user.lessonGrades || {} )[ lesson ], ...grades };
+	await User.updateOne({ _id: user._id }, { $set: { [ 'lessonGrades.'+lesson ]: lessonGrades }});
+	return ops.length;
+}
+
+
+// EXPORTS //
+
+module.exports = updateGrades;
@@ -0,0 +1,43 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MAIN //
+
+/**
+* Returns a promise which resolves once a response can receive more data or has been closed.
+*
+* @param {Object} res - HTTP response object
+* @returns {Promise} promise
+*/
+function waitForDrain( res ) {
+	return new Promise( ( resolve ) => {
+		function done() {
+			res.off( 'drain', done );
+			res.off( 'close', done );
+			resolve();
+		}
+		res.on( 'drain', done );
+		res.on( 'close', done );
+	});
+}
+
+
+// EXPORTS //
+
+module.exports = waitForDrain;
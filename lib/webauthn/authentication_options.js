@@ -0,0 +1,74 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const { generateAuthenticationOptions } = require( '@simplewebauthn/server' );
+const WebAuthnCredential = require( './../models/webauthn_credential.js' );
+const { storeChallenge } = require( './challenges.js' );
+const { rpID } = require( './relying_party.js' );
+
+
+// MAIN //
+
+/**
+* Returns options for requesting an assertion from an authenticator of a user, to be passed to `navigator.credentials.get()`.
+*
+* ## Notes
+*
+* -   If a user is supplied, the assertion serves as a second factor after the password was verified and is restricted to the user's credentials. Otherwise, the options are for a passwordless login, where the user picks a passkey and has to be verified by the authenticator (e.g., via fingerprint or PIN).
+*
+* @param {Object} [user] - user document
+* @returns {Promise<(Object|null)>} authentication options or `null` if the supplied user has not registered any authenticators
+*/
+async function authenticationOptions( user ) {
+	let allowCredentials;
+	if ( user ) {
+		const credentials = await WebAuthnCredential
+			.find({ user: user._id })
+			.select( 'credentialID transports' )
+			.lean();
+		if ( credentials.length === 0 ) {
+			return null;
+		}
+		allowCredentials = credentials.map( x => {
+			return {
+				id: Buffer.from( x.credentialID, 'base64url' ),
+				type: 'public-key',
+				transports: x.transports
+			};
+		});
+	}
+	const options = await generateAuthenticationOptions({
+		rpID,
+		allowCredentials,
+		userVerification: user ? 'discouraged' : 'required'
+	});
+	await storeChallenge({
+		challenge: options.challenge,
+		ceremony: user ? 'second-factor' : 'passwordless',
+		user: user ? user._id : null
+	});
+	return options;
+}
+
+
+// EXPORTS //
+
+module.exports = authenticationOptions;
@@ -0,0 +1,100 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const isObject = require( '@stdlib/assert/is-plain-object' );
+const isString = require( '@stdlib/assert/is-string' ).isPrimitive;
+const WebAuthnChallenge = require( './../models/webauthn_challenge.js' );
+
+
+// VARIABLES //
+
+const CHALLENGE_LIFETIME = 5 * 60 * 1000; // Five minutes (in milliseconds)...
+
+
+// FUNCTIONS //
+
+/**
+* Extracts the challenge signed by an authenticator from a registration or authentication response.
+*
+* @private
+* @param {Object} response - response of the authenticator in JSON format
+* @returns {(string|null)} challenge or `null` if the response is malformed
+*/
+function extractChallenge( response ) {
+	if ( !isObject( response ) || !isObject( response.response ) || !isString( response.response.clientDataJSON ) ) {
+		return null;
+	}
+	try {
+		const clientData = JSON.parse( Buffer.from( response.response.clientDataJSON, 'base64url' ).toString( 'utf8' ) );
+		return isString( clientData.challenge ) ? clientData.challenge : null;
+	} catch ( err ) {
+		return null;
+	}
+}
+
+
+// MAIN //
+
+/**
+* Stores a challenge issued to a client until it is used or expires.
+*
+* @param {Object} options - function options
+* @param {string} options.challenge - base64url-encoded challenge
+* @param {string} options.ceremony - ceremony the challenge is issued for (`registration`, `second-factor` or `passwordless`)
+* @param {ObjectId} [options.user=null] - user the challenge is issued to
+* @returns {Promise} promise resolving once the challenge is stored
+*/
+async function storeChallenge({ challenge, ceremony, user = null }) {
+	await WebAuthnChallenge.create({
+		challenge,
+		ceremony,
+		user,
+		expiresAt: new Date( Date.now() + CHALLENGE_LIFETIME )
+	});
+}
+
+/**
+* Looks up and removes the stored challenge signed in an authenticator response, so that each challenge can only be used once.
+*
+* @param {Object} response - response of the authenticator in JSON format
+* @param {StringArray} ceremonies - accepted ceremonies
+* @returns {Promise<(Object|null)>} challenge document or `null` if the challenge is unknown, expired or was issued for another ceremony
+*/
+async function takeChallenge( response, ceremonies ) {
+	const challenge = extractChallenge( response );
+	if ( !challenge ) {
+		return null;
+	}
+	const doc = await WebAuthnChallenge.findOneAndDelete({
+		challenge,
+		ceremony: { $in: ceremonies },
+		expiresAt: { $gt: new Date() }
+	});
+	return doc;
+}
+
+
+// EXPORTS //
+
+module.exports = {
+	storeChallenge,
+	takeChallenge
+};
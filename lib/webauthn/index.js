@@ -0,0 +1,542 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+/**
+ * @openapi
+ *
+ * tags:
+ *   name: WebAuthn
+ *   description: Security keys and passkeys as second factor and for passwordless login.
+ */
+
+// MODULES //
+
+const router = require( 'express' ).Router();
+const { generateRegistrationOptions, verifyAuthenticationResponse, verifyRegistrationResponse } = require( '@simplewebauthn/server' );
+const debug = require( './../debug' )( 'server:webauthn' );
+const passport = require( './../passport.js' );
+const wrapAsync = require( './../utils/wrap_async.js' );
+const createAuthSession = require( './../utils/create_auth_session.js' );
+const { countRecoveryCodes, generateRecoveryCodes } = require( './../utils/recovery_codes.js' );
+const { assertLoginAllowed, recordLoginAttempt } = require( './../login_throttle.js' );
+const ErrorStatus = require( './../helpers/error.js' );
+const validateObject = require( './../helpers/validate_object.js' );
+const validateObjectId = require( './../helpers/validate_object_id.js' );
+const validateString = require( './../helpers/validate_string.js' );
+const User = require( './../models/user.js' );
+const WebAuthnCredential = require( './../models/webauthn_credential.js' );
+const { storeChallenge, takeChallenge } = require( './challenges.js' );
+const authenticationOptions = require( './authentication_options.js' );
+const { rpID, rpName, origins } = require( './relying_party.js' );
+
+
+// VARIABLES //
+
+const MAX_NAME_LENGTH = 64;
+
+
+// FUNCTIONS //
+
+/**
+* Returns the fields of a credential shown to its owner.
+*
+* @private
+* @param {Object} credential - credential document
+* @returns {Object} credential summary
+*/
+function credentialSummary( credential ) {
+	return {
+		_id: credential._id,
+		name: credential.name,
+		deviceType: credential.deviceType,
+		backedUp: credential.backedUp,
+		transports: credential.transports,
+		createdAt: credential.createdAt,
+		lastUsedAt: credential.lastUsedAt
+	};
+}
+
+/**
+* Validates and normalizes the name of a credential.
+*
+* @private
+* @param {*} name - name supplied by the user
+* @param {Function} t - translation function
+* @throws {Error} name must be a non-empty string
+* @returns {string} trimmed name
+*/
+function validateName( name, t ) {
+	validateString( name, 'name', t );
+	const out = name.trim().substring( 0, MAX_NAME_LENGTH );
+	if ( !out ) {
+		throw new ErrorStatus( 400, t( 'field-expect-string', { field: 'name' }) );
+	}
+	return out;
+}
+
+
+// MAIN //
+
+/**
+ * @openapi
+ *
+ * /webauthn/credentials:
+ *   get:
+ *     summary: Get WebAuthn credentials
+ *     description: Get the security keys and passkeys registered by the user.
+ *     tags: [WebAuthn]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Credentials of the user (without public keys).
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 credentials:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebAuthnCredential'
+ */
+router.get( '/webauthn/credentials',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onGetCredentials( req, res ) {
+		const credentials = await WebAuthnCredential
+			.find({ user: req.user._id })
+			.sort({ createdAt: 1 })
+			.lean();
+		res.json({ credentials: credentials.map( credentialSummary ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /webauthn/registration_options:
+ *   post:
+ *     summary: Start WebAuthn registration
+ *     description: Get the options for registering a new security key or passkey, to be passed to `navigator.credentials.create()`. The challenge contained in the options expires after five minutes.
+ *     tags: [WebAuthn]
+ *     security:
+ *       - JWT: []
+ *     responses:
+ *       200:
+ *         description: Registration options.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 options:
+ *                   type: object
+ *                   description: Public key credential creation options in JSON format.
+ */
+router.post( '/webauthn/registration_options',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRegistrationOptions( req, res ) {
+		const existing = await WebAuthnCredential
+			.find({ user: req.user._id })
+			.select( 'credentialID transports' )
+			.lean();
+		const options = await generateRegistrationOptions({
+			rpName,
+			rpID,
+			userID: String( req.user._id ),
+			userName: req.user.email,
+			userDisplayName: req.user.name || req.user.email,
+			attestationType: 'none',
+			excludeCredentials: existing.map( x => {
+				return {
+					id: Buffer.from( x.credentialID, 'base64url' ),
+					type: 'public-key',
+					transports: x.transports
+				};
+			}),
+			authenticatorSelection: {
+				residentKey: 'preferred',
+				userVerification: 'preferred'
+			}
+		});
+		await storeChallenge({
+			challenge: options.challenge,
+			ceremony: 'registration',
+			user: req.user._id
+		});
+		res.json({ options });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /webauthn/register:
+ *   post:
+ *     summary: Register WebAuthn credential
+ *     description: Verify the response of an authenticator to the registration options and register the new credential under the given name. If the user has no unused recovery codes, a new set of recovery codes is generated and returned (only once).
+ *     tags: [WebAuthn]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - response
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Name of the authenticator.
+ *                 example: YubiKey
+ *               response:
+ *                 type: object
+ *                 description: Registration response of the authenticator in JSON format.
+ *     responses:
+ *       200:
+ *         description: Credential registered.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message.
+ *                   example: Security key successfully registered.
+ *                 credential:
+ *                   $ref: '#/components/schemas/WebAuthnCredential'
+ *                 recoveryCodes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Newly generated recovery codes (only present if the user had no unused recovery codes).
+ *       400:
+ *         description: Invalid or expired registration.
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             examples:
+ *               webauthn-challenge-invalid:
+ *                 value: The request has expired. Please try again.
+ *               webauthn-verification-failed:
+ *                 value: The security key could not be verified.
+ */
+router.post( '/webauthn/register',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRegister( req, res ) {
+		const name = validateName( req.body.name, req.t );
+		validateObject( req.body.response, 'response', req.t );
+
+		const challenge = await takeChallenge( req.body.response, [ 'registration' ] );
+		if ( !challenge || !req.user._id.equals( challenge.user ) ) {
+			throw new ErrorStatus( 400, req.t( 'webauthn-challenge-invalid' ) );
+		}
+		let verification;
+		try {
+			verification = await verifyRegistrationResponse({
+				response: req.body.response,
+				expectedChallenge: challenge.challenge,
+				expectedOrigin: origins,
+				expectedRPID: rpID,
+				requireUserVerification: false
+			});
+		} catch ( err ) {
+			debug( 'Registration could not be verified: '+err.message );
+			throw new ErrorStatus( 400, req.t( 'webauthn-verification-failed' ) );
+		}
+		if ( !verification.verified ) {
+			throw new ErrorStatus( 400, req.t( 'webauthn-verification-failed' ) );
+		}
+		const info = verification.registrationInfo;
+		const credential = await WebAuthnCredential.create({
+			user: req.user._id,
+			name,
+			credentialID: Buffer.from( info.credentialID ).toString( 'base64url' ),
+			publicKey: Buffer.from( info.credentialPublicKey ).toString( 'base64url' ),
+			counter: info.counter,
+			transports: req.body.response.response.transports || [],
+			deviceType: info.credentialDeviceType,
+			backedUp: info.credentialBackedUp
+		});
+		const out = {
+			message: req.t( 'webauthn-credential-registered' ),
+			credential: credentialSummary( credential )
+		};
+		const remaining = await countRecoveryCodes( req.user._id );
+		if ( remaining === 0 ) {
+			out.recoveryCodes = await generateRecoveryCodes( req.user._id );
+		}
+		res.json( out );
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /webauthn/rename_credential:
+ *   post:
+ *     summary: Rename WebAuthn credential
+ *     description: Rename a security key or passkey of the user.
+ *     tags: [WebAuthn]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *               - name
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: Credential identifier.
+ *               name:
+ *                 type: string
+ *                 description: New name of the authenticator.
+ *     responses:
+ *       200:
+ *         description: Credential renamed.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message.
+ *                 credential:
+ *                   $ref: '#/components/schemas/WebAuthnCredential'
+ *       404:
+ *         description: Credential not found.
+ */
+router.post( '/webauthn/rename_credential',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onRenameCredential( req, res ) {
+		validateObjectId( req.body.id, 'id', req.t );
+		const name = validateName( req.body.name, req.t );
+		const credential = await WebAuthnCredential.findOneAndUpdate(
+			{ _id: req.body.id, user: req.user._id },
+			{ $set: { name }},
+			{ new: true }
+		);
+		if ( !credential ) {
+			throw new ErrorStatus( 404, req.t( 'webauthn-credential-nonexistent' ) );
+		}
+		res.json({
+			message: req.t( 'webauthn-credential-renamed' ),
+			credential: credentialSummary( credential )
+		});
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /webauthn/delete_credential:
+ *   post:
+ *     summary: Delete WebAuthn credential
+ *     description: Remove a security key or passkey of the user.
+ *     tags: [WebAuthn]
+ *     security:
+ *       - JWT: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - id
+ *             properties:
+ *               id:
+ *                 type: ObjectId
+ *                 description: Credential identifier.
+ *     responses:
+ *       200:
+ *         description: Credential deleted.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message.
+ *       404:
+ *         description: Credential not found.
+ */
+router.post( '/webauthn/delete_credential',
+	passport.authenticate( 'jwt', { session: false }),
+	wrapAsync( async function onDeleteCredential( req, res ) {
+		validateObjectId( req.body.id, 'id', req.t );
+		const result = await WebAuthnCredential.deleteOne({ _id: req.body.id, user: req.user._id });
+		if ( result.deletedCount === 0 ) {
+			throw new ErrorStatus( 404, req.t( 'webauthn-credential-nonexistent' ) );
+		}
+		res.json({ message: req.t( 'webauthn-credential-deleted' ) });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /webauthn/login_options:
+ *   post:
+ *     summary: Start passwordless login
+ *     description: Get the options for logging in with a passkey without entering email address and password, to be passed to `navigator.credentials.get()`. The challenge contained in the options expires after five minutes.
+ *     tags: [WebAuthn]
+ *     responses:
+ *       200:
+ *         description: Authentication options.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 options:
+ *                   type: object
+ *                   description: Public key credential request options in JSON format.
+ */
+router.post( '/webauthn/login_options',
+	wrapAsync( async function onLoginOptions( req, res ) {
+		const options = await authenticationOptions();
+		res.json({ options });
+	})
+);
+
+/**
+ * @openapi
+ *
+ * /login_webauthn:
+ *   post:
+ *     summary: Login with WebAuthn
+ *     description: Log in with the response of an authenticator, either as second factor after `/login` returned `finish-login-via-webauthn` along with authentication options or for a passwordless login started via `/webauthn/login_options`.
+ *     tags: [WebAuthn]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - response
+ *             properties:
+ *               response:
+ *                 type: object
+ *                 description: Authentication response of the authenticator in JSON format.
+ *     responses:
+ *       200:
+ *         description: Request successful.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: ok
+ *                 token:
+ *                   type: string
+ *                   description: JWT token.
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Refresh token.
+ *                 expiresIn:
+ *                   type: integer
+ *                   description: Lifetime of the JWT token in seconds.
+ *                   example: 900
+ *                 id:
+ *                   type: string
+ *                   description: User ID.
+ *       401:
+ *         description: Invalid or expired authentication.
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *             examples:
+ *               webauthn-challenge-invalid:
+ *                 value: The request has expired. Please try again.
+ *               webauthn-verification-failed:
+ *                 value: The security key could not be verified.
+ *       429:
+ *         description: Too many failed login attempts for the account or from the IP address (the `Retry-After` header holds the number of seconds to wait).
+ */
+router.post( '/login_webauthn',
+	wrapAsync( async function onLoginWebAuthn( req, res ) {
+		const response = req.body.response;
+		validateObject( response, 'response', req.t );
+		validateString( response.id, 'response.id', req.t );
+
+		const challenge = await takeChallenge( response, [ 'second-factor', 'passwordless' ] );
+		if ( !challenge ) {
+			throw new ErrorStatus( 401, req.t( 'webauthn-challenge-invalid' ) );
+		}
+		const credential = await WebAuthnCredential.findOne({ credentialID: response.id });
+		if ( !credential || ( challenge.user && !challenge.user.equals( credential.user ) ) ) {
+			throw new ErrorStatus( 401, req.t( 'webauthn-verification-failed' ) );
+		}
+		const user = await User.findById( credential.user );
+		if ( !user ) {
+			throw new ErrorStatus( 401, req.t( 'webauthn-verification-failed' ) );
+		}
+		const email = user.email;
+		await assertLoginAllowed( email, req, res );
+		let verification;
+		try {
+			verification = await verifyAuthenticationResponse({
+				response,
+				expectedChallenge: challenge.challenge,
+				expectedOrigin: origins,
+				expectedRPID: rpID,
+				authenticator: {
+					credentialID: Buffer.from( credential.credentialID, 'base64url' ),
+					credentialPublicKey: Buffer.from( credential.publicKey, 'base64url' ),
+					counter: credential.counter,
+					transports: credential.transports
+				},
+				requireUserVerification: challenge.ceremony === 'passwordless'
+			});
+		} catch ( err ) {
+			debug( 'Authentication could not be verified: '+err.message );
+			verification = { verified: false };
+		}
+		if ( !verification.verified ) {
+			await recordLoginAttempt({ email, user, req, reason: 'wrong-code' });
+			throw new ErrorStatus( 401, req.t( 'webauthn-verification-failed' ) );
+		}
+		credential.counter = verification.authenticationInfo.newCounter;
+		credential.lastUsedAt = new Date();
+		await credential.save();
+
+		await recordLoginAttempt({ email, user, req, reason: 'ok' });
+		const { token, refreshToken, expiresIn } = await createAuthSession({ user: user._id, req });
+		req.session.loggedIn = true;
+		res.json({ message: 'ok', token, refreshToken, expiresIn, id: user.id });
+	})
+);
+
+
+// EXPORTS //
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const config = require( './../../etc/config.json' );
+const { SERVER_HOST_NAME } = require( './../constants.js' );
+
+
+// VARIABLES //
+
+const webauthn = config.webauthn || {};
+const server = new URL( SERVER_HOST_NAME );
+
+
+// MAIN //
+
+/**
+* Relying party settings for WebAuthn, read from the `webauthn` section of `etc/config.json`.
+*
+* ## Notes
+*
+* -   The relying party identifier defaults to the host name of the server and the accepted origins to the origin of the server. If the dashboard is served from another host, its origin has to be added to `webauthn.origins` and `webauthn.rpID` set to a common parent domain.
+*/
+const relyingParty = {
+	rpID: webauthn.rpID || server.hostname,
+	rpName: webauthn.rpName || 'ISLE',
+	origins: webauthn.origins || [ server.origin ]
+};
+
+
+// EXPORTS //
+
+module.exports = relyingParty;
@@ -39,18 +39,32 @@ const credentials = {
 	'jitsi': {},
 	'github': {},
 	'mailgun': {},
+	'mail': {},
 	'mapbox': {},
+	'oidc': {},
 	'opencpu': {}
 };
 const passport = proxyquire.noCallThru()( './../lib/passport.js', {
 	'./credentials.js': credentials
 });
+const signAccessToken = proxyquire.noCallThru()( './../lib/utils/sign_access_token.js', {
+	'./../credentials.js': credentials
+});
+const createAuthSession = proxyquire.noCallThru()( './../lib/utils/create_auth_session.js', {
+	'./sign_access_token.js': signAccessToken
+});
+const refreshAuthSession = proxyquire.noCallThru()( './../lib/utils/refresh_auth_session.js', {
+	'./sign_access_token.js': signAccessToken
+});
 const mailer = {
 	'send': function send( mail, clbk ) {
 		clbk( null, 'Mail sent' );
 	},
 	'active': true
 };
+const loginThrottle = proxyquire.noCallThru()( './../lib/login_throttle.js', {
+	'./mailer': mailer
+});
 const fileOwnerCheck = () => ( req, res, next ) => next();
 const isAdmin = () => ( req, res, next ) => next();
 const sendCohortInvitations = () => {
@@ -82,6 +96,12 @@ const requires = {
 	'./announcements.js': proxyquire.noCallThru()( './../lib/announcements.js', {
 		'./passport.js': passport
 	}),
+	'./audit_log.js': proxyquire.noCallThru()( './../lib/audit_log.js', {
+		'./passport.js': passport
+	}),
+	'./auth_sessions.js': proxyquire.noCallThru()( './../lib/auth_sessions.js', {
+		'./passport.js': passport
+	}),
 	'./backups.js': proxyquire.noCallThru()( './../lib/backups.js', {
 		'./passport.js': passport,
 		'./mailer': mailer
@@ -89,6 +109,9 @@ const requires = {
 	'./badges.js': proxyquire.noCallThru()( './../lib/badges.js', {
 		'./passport.js': passport
 	}),
+	'./chats.js': proxyquire.noCallThru()( './../lib/chats.js', {
+		'./passport.js': passport
+	}),
 	'./cohorts.js': proxyquire.noCallThru()( './../lib/cohorts.js', {
 		'./passport.js': passport,
 		'./mailer': mailer,
@@ -109,6 +132,9 @@ const requires = {
 		'./helpers/is_admin.js': isAdmin
 	}),
 	'./passport.js': passport,
+	'./grades.js': proxyquire.noCallThru()( './../lib/grades.js', {
+		'./passport.js': passport
+	}),
 	'./lessons.js': proxyquire.noCallThru()( './../lib/lessons.js', {
 		'./credentials.js': credentials,
 		'./passport.js': passport
@@ -121,20 +147,37 @@ const requires = {
 		'./credentials.js': credentials,
 		'./mailer': mailer,
 		'./passport.js': passport,
-		'./utils/send_verification_email.js': mailer.send
+		'./utils/send_verification_email.js': mailer.send,
+		'./utils/create_auth_session.js': createAuthSession,
+		'./utils/refresh_auth_session.js': refreshAuthSession,
+		'./login_throttle.js': loginThrottle
+	}),
+	'./login_lockouts.js': proxyquire.noCallThru()( './../lib/login_lockouts.js', {
+		'./passport.js': passport
+	}),
+	'./lti': proxyquire.noCallThru()( './../lib/lti/index.js', {
+		'./../passport.js': passport
 	}),
 	'./mail.js': proxyquire.noCallThru()( './../lib/mail.js', {
-		'./mailer': mailer
+		'./mailer': mailer,
+		'./passport.js': passport
 	}),
 	'./namespaces.js': proxyquire.noCallThru()( './../lib/namespaces.js', {
 		'./passport.js': passport,
 		'./mailer': mailer
 	}),
+	'./oidc': proxyquire.noCallThru()( './../lib/oidc/index.js', {
+		'./providers.js': {
+			findProvider: () => null,
+			providers: []
+		},
+		'./../utils/create_auth_session.js': createAuthSession
+	}),
 	'./roles.js': proxyquire.noCallThru()( './../lib/roles.js', {
 		'./passport.js': passport
 	}),
 	'./saml.js': proxyquire.noCallThru()( './../lib/saml.js', {
-		'./credentials.js': credentials
+		'./utils/create_auth_session.js': createAuthSession
 	}),
 	'./services.js': proxyquire.noCallThru()( './../lib/services.js', {
 		'./credentials.js': credentials,
@@ -163,17 +206,24 @@ const requires = {
 		'./mailer': mailer
 	}),
 	'./two_factor_authentication.js': proxyquire.noCallThru()( './../lib/two_factor_authentication.js', {
-		'./credentials.js': credentials,
-		'./passport.js': passport
+		'./passport.js': passport,
+		'./utils/create_auth_session.js': createAuthSession,
+		'./login_throttle.js': loginThrottle
 	}),
 	'./users.js': proxyquire.noCallThru()( './../lib/users.js', {
 		'./credentials.js': credentials,
 		'./passport.js': passport,
 		'./utils/send_verification_email.js': noop,
+		'./utils/create_auth_session.js': createAuthSession,
 		'express-rate-limit': () => ( req, res, next ) => {
 			next();
 		}
 	}),
+	'./webauthn': proxyquire.noCallThru()( './../lib/webauthn/index.js', {
+		'./../passport.js': passport,
+		'./../utils/create_auth_session.js': createAuthSession,
+		'./../login_throttle.js': loginThrottle
+	}),
 	'./helpers/is_instructor.js': () => ( req, res, next ) => next(),
 	'./helpers/is_admin.js': isAdmin,
 	'./helpers/file_owner_check.js': fileOwnerCheck
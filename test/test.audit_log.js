@@ -0,0 +1,110 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const utils = require( './utils.js' );
+const AuditLog = require( './../lib/models/audit_log.js' );
+const auditChanges = require( './../lib/utils/audit_changes.js' );
+const recordAuditLog = require( './../lib/utils/record_audit_log.js' );
+
+
+// FUNCTIONS //
+
+function mockRequest( user, impersonator ) {
+	return {
+		user: { _id: user },
+		authInfo: {
+			session: { impersonator: impersonator || null }
+		},
+		ip: '127.0.0.1',
+		get: function get() {
+			return 'tape';
+		}
+	};
+}
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'the audit log only records changed fields', function test( t ) {
+	const changes = auditChanges({
+		name: 'Jane',
+		administrator: false,
+		customFields: { a: 1 }
+	}, {
+		name: 'Jane',
+		administrator: true,
+		customFields: { a: 1 }
+	});
+	t.deepEqual( changes, [ { field: 'administrator', before: false, after: true } ], 'returns expected changes' );
+	t.end();
+});
+
+tape( 'the audit log lists all fields of created or deleted entities', function test( t ) {
+	t.deepEqual( auditChanges( null, { title: 'Role' }), [ { field: 'title', before: null, after: 'Role' } ], 'lists fields of created entity' );
+	t.deepEqual( auditChanges( { title: 'Role' }, null ), [ { field: 'title', before: 'Role', after: null } ], 'lists fields of deleted entity' );
+	t.end();
+});
+
+tape( 'the audit log redacts sensitive values', function test( t ) {
+	const changes = auditChanges( { password: 'old-hash' }, { password: 'new-hash' });
+	t.deepEqual( changes, [ { field: 'password', before: '[redacted]', after: '[redacted]' } ], 'redacts passwords' );
+	t.end();
+});
+
+tape( 'privileged actions are recorded with actor, impersonator, target, changes and IP address', async function test( t ) {
+	const admin = '5a4e409c3d8668487003dec6';
+	const impersonator = '5a4e409c3d8668487003dec7';
+	const target = '5a4e409c3d8668487003dec8';
+	const entry = await recordAuditLog( mockRequest( admin, impersonator ), {
+		action: 'admin_update_user',
+		targetType: 'user',
+		target,
+		before: { administrator: false },
+		after: { administrator: true }
+	});
+	t.ok( entry, 'returns audit log entry' );
+
+	const stored = await AuditLog.findById( entry._id ).lean();
+	t.strictEqual( String( stored.actor ), admin, 'records actor' );
+	t.strictEqual( String( stored.impersonator ), impersonator, 'records impersonator' );
+	t.strictEqual( stored.action, 'admin_update_user', 'records action' );
+	t.strictEqual( stored.target, target, 'records target' );
+	t.deepEqual( stored.changes, [ { field: 'administrator', before: false, after: true } ], 'records changes' );
+	t.strictEqual( stored.ip, '127.0.0.1', 'records IP address' );
+	t.strictEqual( stored.userAgent, 'tape', 'records user agent' );
+	t.ok( stored.createdAt instanceof Date, 'records time of the action' );
+	t.end();
+});
+
+tape( 'failing to record an action does not throw', async function test( t ) {
+	const entry = await recordAuditLog( mockRequest( '5a4e409c3d8668487003dec6' ), {
+		action: 'update_settings',
+		targetType: 'unknown'
+	});
+	t.strictEqual( entry, null, 'returns null' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
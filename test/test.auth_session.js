@@ -0,0 +1,109 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const jwt = require( 'jsonwebtoken' );
+const proxyquire = require( 'proxyquire' );
+const utils = require( './utils.js' );
+const AuthSession = require( './../lib/models/auth_session.js' );
+const User = require( './../lib/models/user.js' );
+const resolveAuthSession = require( './../lib/utils/resolve_auth_session.js' );
+const revokeAuthSessions = require( './../lib/utils/revoke_auth_sessions.js' );
+
+
+// VARIABLES //
+
+const JWT_KEY = 'json_web_token_key';
+const signAccessToken = proxyquire.noCallThru()( './../lib/utils/sign_access_token.js', {
+	'./../credentials.js': {
+		'tokens': {
+			'jwtKey': JWT_KEY
+		}
+	}
+});
+const createAuthSession = proxyquire.noCallThru()( './../lib/utils/create_auth_session.js', {
+	'./sign_access_token.js': signAccessToken
+});
+const refreshAuthSession = proxyquire.noCallThru()( './../lib/utils/refresh_auth_session.js', {
+	'./sign_access_token.js': signAccessToken
+});
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'fails creating an authentication session without user, refresh token hash and expiration date', function test( t ) {
+	AuthSession.create({
+		'userAgent': 'Mozilla/5.0'
+	}, function onCreate( err ) {
+		if ( err ) {
+			t.pass( 'should return an error' );
+			t.ok( err.message.startsWith( 'AuthSession validation failed' ), 'returns expected error message' );
+		} else {
+			t.fail( 'expected an error' );
+		}
+		t.end();
+	});
+});
+
+tape( 'authentication sessions issue expiring access tokens, rotate refresh tokens and can be revoked', async function test( t ) {
+	const user = await User.create({
+		'email': 'session.user@isledocs.com',
+		'password': 'session'
+	});
+	const { token, refreshToken, expiresIn, session } = await createAuthSession({ user: user._id });
+	t.ok( expiresIn > 0, 'returns lifetime of access token' );
+
+	const payload = jwt.verify( token, JWT_KEY );
+	t.strictEqual( payload.id, String( user._id ), 'token identifies the user' );
+	t.strictEqual( payload.sid, String( session._id ), 'token references the session' );
+	t.strictEqual( payload.exp - payload.iat, expiresIn, 'token expires' );
+
+	const stored = await AuthSession.findById( session._id ).select( '+refreshTokenHash' );
+	t.notEqual( stored.refreshTokenHash, refreshToken, 'does not store the refresh token itself' );
+
+	let resolved = await resolveAuthSession( payload );
+	t.strictEqual( String( resolved._id ), String( session._id ), 'resolves the session of a token' );
+
+	resolved = await resolveAuthSession({ id: payload.id });
+	t.strictEqual( resolved, null, 'rejects tokens without a session' );
+
+	const refreshed = await refreshAuthSession( refreshToken );
+	t.ok( refreshed, 'exchanges a refresh token' );
+	t.notEqual( refreshed.refreshToken, refreshToken, 'rotates the refresh token' );
+	t.strictEqual( String( refreshed.session._id ), String( session._id ), 'keeps the session' );
+
+	const reused = await refreshAuthSession( refreshToken );
+	t.strictEqual( reused, null, 'rejects a refresh token that has already been used' );
+
+	const count = await revokeAuthSessions({ user: user._id });
+	t.strictEqual( count, 1, 'revokes the session' );
+
+	resolved = await resolveAuthSession( payload );
+	t.strictEqual( resolved, null, 'rejects tokens of a revoked session' );
+
+	const afterRevocation = await refreshAuthSession( refreshed.refreshToken );
+	t.strictEqual( afterRevocation, null, 'rejects refresh tokens of a revoked session' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
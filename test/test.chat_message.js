@@ -0,0 +1,70 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const utils = require( './utils.js' );
+const ChatMessage = require( './../lib/models/chat_message.js' );
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'successfully creates a chat message with default values', function test( t ) {
+	ChatMessage.create({
+		'chat': 'Namespace/Lesson:group-1',
+		'roomName': 'Namespace/Lesson',
+		'author': 'Mister X',
+		'email': 'misterx@isledocs.com',
+		'content': 'Hello, world!',
+		'data': {
+			'content': 'Hello, world!',
+			'time': 1499033385712
+		}
+	}, function onCreate( err, msg ) {
+		if ( err ) {
+			t.fail( 'should not return an error' );
+			return t.end();
+		}
+		t.strictEqual( msg.chat, 'Namespace/Lesson:group-1', 'has expected chat' );
+		t.strictEqual( msg.content, 'Hello, world!', 'has expected content' );
+		t.strictEqual( msg.anonymous, false, 'is not anonymous by default' );
+		t.strictEqual( msg.closed, false, 'is not closed by default' );
+		t.ok( msg.createdAt instanceof Date, 'has creation date' );
+		t.end();
+	});
+});
+
+tape( 'fails creating a chat message without a chat and room name', function test( t ) {
+	ChatMessage.create({
+		'content': 'Hello, world!'
+	}, function onCreate( err ) {
+		if ( err ) {
+			t.pass( 'should return an error' );
+			t.strictEqual( err.message, 'ChatMessage validation failed: roomName: Path `roomName` is required., chat: Path `chat` is required.', 'returns expected error message' );
+		} else {
+			t.fail( 'expected an error' );
+		}
+		t.end();
+	});
+});
+
+tape( 'perform clean-up', utils.after );
@@ -0,0 +1,240 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const noop = require( '@stdlib/utils/noop' );
+const { Comments } = require( './../lib/sockets/document/comments.js' );
+
+
+// VARIABLES //
+
+const MAILS = [];
+const { notifyMentions, extractMentions } = proxyquire.noCallThru()( './../lib/sockets/document/mentions.js', {
+	'./../../mailer': {
+		'active': true,
+		'send': function send( mail, clbk ) {
+			MAILS.push( mail );
+			clbk( null, 'Mail sent' );
+		}
+	},
+	'./../../models/user.js': {
+		'find': function find() {
+			return Promise.resolve([
+				{ name: 'Zorro', email: 'zorro@isledocs.com' }
+			]);
+		},
+		'findOne': function findOne() {
+			return {
+				'lean': () => Promise.resolve({ locale: 'es' })
+			};
+		}
+	},
+	'./../../debug': () => noop
+});
+const USERS = [
+	{ name: 'Jane', email: 'jane@isledocs.com' },
+	{ name: 'Jane Doe', email: 'jane.doe@isledocs.com' },
+	{ name: 'Mister X', email: 'mister.x@isledocs.com' }
+];
+
+
+// FUNCTIONS //
+
+function createComments() {
+	const comments = new Comments();
+	comments.apply({ type: 'create', id: 1, from: 1, to: 5, text: 'Typo?' }, 'mister.x@isledocs.com', 1000 );
+	return comments;
+}
+
+
+// TESTS //
+
+tape( 'comments record their author and creation time', function test( t ) {
+	const comments = createComments();
+	const comment = comments.comments[ 0 ];
+	t.strictEqual( comment.author, 'mister.x@isledocs.com', 'has author' );
+	t.strictEqual( comment.time, 1000, 'has time' );
+	t.deepEqual( comment.replies, [], 'has no replies' );
+	t.strictEqual( comment.resolved, false, 'is not resolved' );
+	t.end();
+});
+
+tape( 'comments events without a type are treated as `create` events (legacy clients)', function test( t ) {
+	const comments = new Comments();
+	comments.apply({ id: 2, from: 1, to: 3, text: 'Nice' }, 'zorro@isledocs.com', 1000 );
+	t.strictEqual( comments.comments.length, 1, 'creates a comment' );
+	t.strictEqual( comments.version, 1, 'increments version' );
+	t.end();
+});
+
+tape( 'replies are added to the thread of a comment', function test( t ) {
+	const comments = createComments();
+	const event = { type: 'reply', id: 1, text: 'Fixed it' };
+	comments.apply( event, 'zorro@isledocs.com', 2000 );
+	const replies = comments.comments[ 0 ].replies;
+	t.strictEqual( replies.length, 1, 'adds reply' );
+	t.strictEqual( replies[ 0 ].author, 'zorro@isledocs.com', 'reply has author' );
+	t.strictEqual( replies[ 0 ].time, 2000, 'reply has time' );
+	t.ok( event.replyID, 'attaches generated reply identifier to event' );
+	t.strictEqual( replies[ 0 ].id, event.replyID, 'reply has identifier of event' );
+
+	comments.apply( event, 'zorro@isledocs.com', 2000 );
+	t.strictEqual( replies.length, 1, 'does not add the same reply twice' );
+
+	comments.apply({ type: 'delete_reply', id: 1, replyID: event.replyID }, 'zorro@isledocs.com', 3000 );
+	t.strictEqual( replies.length, 0, 'removes reply' );
+	t.strictEqual( comments.version, 3, 'increments version for each change' );
+	t.end();
+});
+
+tape( 'comments can be resolved and reopened', function test( t ) {
+	const comments = createComments();
+	comments.apply({ type: 'resolve', id: 1 }, 'zorro@isledocs.com', 2000, true );
+	const comment = comments.comments[ 0 ];
+	t.strictEqual( comment.resolved, true, 'is resolved' );
+	t.strictEqual( comment.resolvedBy, 'zorro@isledocs.com', 'records who resolved the comment' );
+	t.strictEqual( comment.resolvedAt, 2000, 'records when the comment was resolved' );
+
+	comments.apply({ type: 'resolve', id: 1 }, 'mister.x@isledocs.com', 3000 );
+	t.strictEqual( comment.resolvedBy, 'zorro@isledocs.com', 'ignores resolving an already resolved comment' );
+
+	comments.apply({ type: 'reopen', id: 1 }, 'mister.x@isledocs.com', 4000 );
+	t.strictEqual( comment.resolved, false, 'is reopened' );
+	t.strictEqual( comment.resolvedBy, null, 'clears resolver' );
+	t.end();
+});
+
+tape( 'deleting a non-existent comment leaves other comments untouched', function test( t ) {
+	const comments = createComments();
+	comments.apply({ type: 'delete', id: 99 }, 'zorro@isledocs.com', 2000, true );
+	t.strictEqual( comments.comments.length, 1, 'keeps comment' );
+	t.strictEqual( comments.version, 1, 'does not increment version' );
+	t.end();
+});
+
+tape( 'comments and replies can only be modified by their authors and owners', function test( t ) {
+	const comments = createComments();
+	const comment = comments.comments[ 0 ];
+	comments.apply({ type: 'reply', id: 1, replyID: 'a', text: 'Fixed' }, 'zorro@isledocs.com', 2000 );
+
+	comments.apply({ type: 'resolve', id: 1 }, 'zorro@isledocs.com', 3000 );
+	t.strictEqual( comment.resolved, false, 'does not resolve comment of another user' );
+
+	comments.apply({ type: 'resolve', id: 1 }, 'mister.x@isledocs.com', 3000 );
+	t.strictEqual( comment.resolved, true, 'resolves own comment' );
+
+	comments.apply({ type: 'reopen', id: 1 }, 'zorro@isledocs.com', 4000 );
+	t.strictEqual( comment.resolved, true, 'does not reopen comment of another user' );
+
+	comments.apply({ type: 'delete_reply', id: 1, replyID: 'a' }, 'mister.x@isledocs.com', 5000 );
+	t.strictEqual( comment.replies.length, 1, 'does not delete reply of another user' );
+
+	comments.apply({ type: 'delete', id: 1 }, 'zorro@isledocs.com', 5000 );
+	t.strictEqual( comments.comments.length, 1, 'does not delete comment of another user' );
+
+	comments.apply({ type: 'delete', id: 1 }, 'owner@isledocs.com', 6000, true );
+	t.strictEqual( comments.comments.length, 0, 'deletes comment of another user for owners' );
+	t.end();
+});
+
+tape( 'the events after a given index include the current state of newly created comments', function test( t ) {
+	const comments = createComments();
+	comments.apply({ type: 'reply', id: 1, replyID: 'a', text: 'Fixed' }, 'zorro@isledocs.com', 2000 );
+	comments.apply({ type: 'resolve', id: 1 }, 'mister.x@isledocs.com', 3000 );
+
+	let events = comments.eventsAfter( 0 );
+	t.strictEqual( events.length, 1, 'returns a single event' );
+	t.strictEqual( events[ 0 ].type, 'create', 'returns create event' );
+	t.strictEqual( events[ 0 ].text, 'Typo?', 'has text' );
+	t.strictEqual( events[ 0 ].replies.length, 1, 'includes replies' );
+	t.strictEqual( events[ 0 ].resolved, true, 'includes resolution state' );
+
+	events = comments.eventsAfter( 1 );
+	t.deepEqual( events.map( e => e.type ), [ 'reply', 'resolve' ], 'returns reply and resolve events' );
+	t.strictEqual( events[ 0 ].reply.text, 'Fixed', 'reply event contains reply' );
+	t.end();
+});
+
+tape( 'the function extracts mentions of users by name or email address', function test( t ) {
+	let mentioned = extractMentions( 'Hey @Mister X, could you check this?', USERS );
+	t.deepEqual( mentioned.map( x => x.email ), [ 'mister.x@isledocs.com' ], 'matches name' );
+
+	mentioned = extractMentions( '@jane@isledocs.com please review.', USERS );
+	t.deepEqual( mentioned.map( x => x.email ), [ 'jane@isledocs.com' ], 'matches email address' );
+
+	mentioned = extractMentions( 'Thanks @Jane Doe!', USERS );
+	t.deepEqual( mentioned.map( x => x.email ), [ 'jane.doe@isledocs.com' ], 'prefers the longest matching name' );
+
+	mentioned = extractMentions( 'Thanks @Jane and @Jane Doe', USERS );
+	t.strictEqual( mentioned.length, 2, 'matches both users' );
+
+	mentioned = extractMentions( 'Write to mister@Jane or @Janet', USERS );
+	t.strictEqual( mentioned.length, 0, 'does not match inside words' );
+	t.end();
+});
+
+tape( 'the function notifies mentioned users via the room or by email', async function test( t ) {
+	const emitted = [];
+	const room = {
+		name: 'Statistics/Lesson',
+		getMembers: () => Promise.resolve([ { name: 'Mister X', email: 'mister.x@isledocs.com' } ]),
+		memberHasActiveSocket: email => Promise.resolve( email === 'mister.x@isledocs.com' ),
+		emitToEmail: ( ...args ) => emitted.push( args )
+	};
+	const notified = await notifyMentions({
+		room,
+		inst: { users: { 'zorro@isledocs.com': { active: false }}},
+		docID: 'doc',
+		member: { name: 'Mister X', email: 'mister.x@isledocs.com' },
+		events: [
+			{ type: 'create', id: 1, text: '@Zorro and @Mister X' },
+			{ type: 'delete', id: 2 }
+		]
+	});
+	t.deepEqual( notified, [ 'zorro@isledocs.com' ], 'notifies mentioned users except the author' );
+	t.strictEqual( emitted.length, 0, 'does not emit event to offline user' );
+	t.end();
+});
+
+tape( 'the function sends notification emails to be translated into the language of the recipient', async function test( t ) {
+	const room = {
+		name: 'Statistics/Lesson',
+		getMembers: () => Promise.resolve([]),
+		memberHasActiveSocket: () => Promise.resolve( false ),
+		emitToEmail: noop
+	};
+	MAILS.length = 0;
+	await notifyMentions({
+		room,
+		inst: { users: { 'zorro@isledocs.com': { active: false }}},
+		docID: 'doc',
+		member: { name: 'Mister X', email: 'mister.x@isledocs.com' },
+		events: [
+			{ type: 'create', id: 1, text: '@Zorro <img src=x onerror="alert(1)">' }
+		]
+	});
+	t.strictEqual( MAILS.length, 1, 'sends email' );
+	t.strictEqual( MAILS[ 0 ].locale, 'es', 'uses locale of recipient' );
+	t.strictEqual( MAILS[ 0 ].translation.text, 'comment-mention-email', 'passes translation key' );
+	t.strictEqual( MAILS[ 0 ].translation.data.text, '@Zorro <img src=x onerror="alert(1)">', 'passes comment text to be escaped by the outbox' );
+	t.end();
+});
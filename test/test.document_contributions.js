@@ -0,0 +1,86 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const { ReplaceStep } = require( 'prosemirror-transform' );
+const { Slice, Fragment } = require( 'prosemirror-model' );
+const schema = require( './../lib/sockets/document/schema.js' );
+const Contributions = require( './../lib/sockets/document/contributions.js' );
+
+
+// FUNCTIONS //
+
+function createDocument( text ) {
+	return schema.node( 'doc', null, [ schema.node( 'paragraph', null, [ schema.text( text ) ]) ]);
+}
+
+
+// TESTS //
+
+tape( 'the contributions count inserted and deleted characters per author', function test( t ) {
+	const contributions = new Contributions();
+	const doc = createDocument( 'Hello world' );
+
+	// Replace "world" (positions 7 to 12) by "ISLE!":
+	const step = new ReplaceStep( 7, 12, new Slice( Fragment.from( schema.text( 'ISLE!' ) ), 0, 0 ) );
+	contributions.addStep( 'mister.x@isledocs.com', step, doc );
+	contributions.addStep( 'zorro@isledocs.com', new ReplaceStep( 1, 7, Slice.empty ), doc );
+
+	const json = contributions.toJSON();
+	t.deepEqual( json.map( x => x.email ), [ 'mister.x@isledocs.com', 'zorro@isledocs.com' ], 'has a record for each author' );
+	t.strictEqual( json[ 0 ].inserted, 5, 'counts inserted characters' );
+	t.strictEqual( json[ 0 ].deleted, 5, 'counts deleted characters' );
+	t.strictEqual( json[ 1 ].inserted, 0, 'counts inserted characters' );
+	t.strictEqual( json[ 1 ].deleted, 6, 'counts deleted characters' );
+	t.strictEqual( json[ 1 ].steps, 1, 'counts steps' );
+	t.end();
+});
+
+tape( 'the contributions only count the time between edits close to each other as active editing time', function test( t ) {
+	const contributions = new Contributions();
+	contributions.recordEdit( 'mister.x@isledocs.com', 0 );
+	contributions.recordEdit( 'mister.x@isledocs.com', 60000 );
+	contributions.recordEdit( 'mister.x@isledocs.com', 90000 );
+	contributions.recordEdit( 'mister.x@isledocs.com', 90000 + ( 60 * 60 * 1000 ) );
+
+	const json = contributions.toJSON();
+	t.strictEqual( json[ 0 ].activeTime, 90000, 'has expected active time' );
+	t.strictEqual( json[ 0 ].lastEdit, 90000 + ( 60 * 60 * 1000 ), 'has expected time of last edit' );
+	t.end();
+});
+
+tape( 'the contributions can be restored from their JSON representation', function test( t ) {
+	const contributions = new Contributions();
+	contributions.recordEdit( 'mister.x@isledocs.com', 1000 );
+	const restored = Contributions.fromJSON( contributions.toJSON() );
+	t.deepEqual( restored.toJSON(), contributions.toJSON(), 'returns equal contributions' );
+	t.end();
+});
+
+tape( 'the contributions can be restored from JSON representations keyed by author names', function test( t ) {
+	const restored = Contributions.fromJSON([
+		{ name: 'Mister X', inserted: 3, deleted: 1, steps: 2, activeTime: 0, lastEdit: 1000 }
+	]);
+	t.deepEqual( restored.toJSON(), [
+		{ email: 'Mister X', inserted: 3, deleted: 1, steps: 2, activeTime: 0, lastEdit: 1000 }
+	], 'keeps contributions of legacy records' );
+	t.end();
+});
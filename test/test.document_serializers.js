@@ -0,0 +1,130 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const { toHTML, toMarkdown } = require( './../lib/sockets/document/serializers' );
+
+
+// VARIABLES //
+
+const DOC = {
+	'type': 'doc',
+	'content': [
+		{
+			'type': 'heading',
+			'attrs': { 'level': 2 },
+			'content': [ { 'type': 'text', 'text': 'Group Report' } ]
+		},
+		{
+			'type': 'paragraph',
+			'content': [
+				{ 'type': 'text', 'text': 'The mean is ' },
+				{ 'type': 'text', 'text': 'significant', 'marks': [ { 'type': 'strong' } ]},
+				{ 'type': 'footnote', 'content': [ { 'type': 'text', 'text': 'At the 5% level.' } ]},
+				{ 'type': 'text', 'text': '.' }
+			]
+		},
+		{
+			'type': 'bullet_list',
+			'content': [
+				{
+					'type': 'list_item',
+					'content': [
+						{ 'type': 'paragraph', 'content': [ { 'type': 'text', 'text': 'First <point>' } ]}
+					]
+				}
+			]
+		}
+	]
+};
+
+const MEDIA_DIRECTORY = fs.mkdtempSync( path.join( os.tmpdir(), 'isle-media-' ) );
+const PNG = Buffer.from( 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64' );
+
+
+// TESTS //
+
+tape( 'the Markdown serializer converts a document to Markdown with numbered footnotes', function test( t ) {
+	const expected = [
+		'## Group Report',
+		'',
+		'The mean is **significant**[^1].',
+		'',
+		'- First \\<point\\>',
+		'',
+		'[^1]: At the 5% level.',
+		''
+	].join( '\n' );
+	t.strictEqual( toMarkdown( DOC ), expected, 'returns expected Markdown' );
+	t.end();
+});
+
+tape( 'the HTML serializer converts a document to a standalone HTML page with numbered footnotes', async function test( t ) {
+	const html = await toHTML( DOC, { title: 'Report' });
+	t.ok( html.startsWith( '<!DOCTYPE html>' ), 'returns a standalone page' );
+	t.ok( html.includes( '<title>Report</title>' ), 'contains the title' );
+	t.ok( html.includes( '<h2>Group Report</h2>' ), 'contains the heading' );
+	t.ok( html.includes( '<strong>significant</strong>' ), 'contains marked text' );
+	t.ok( html.includes( '<a href="#fn-1" id="fnref-1">1</a>' ), 'contains the footnote reference' );
+	t.ok( html.includes( '<li id="fn-1">At the 5% level.' ), 'contains the footnote' );
+	t.ok( html.includes( 'First &lt;point&gt;' ), 'escapes text' );
+	t.end();
+});
+
+tape( 'the HTML serializer only embeds images served to anyone from the media directory', async function test( t ) {
+	fs.mkdirSync( path.join( MEDIA_DIRECTORY, 'branding' ) );
+	fs.writeFileSync( path.join( MEDIA_DIRECTORY, 'branding', 'logo.png' ), PNG );
+	fs.writeFileSync( path.join( MEDIA_DIRECTORY, 'report_1600000000000.png' ), PNG );
+	const html = proxyquire( './../lib/sockets/document/serializers/html.js', {
+		'./../../../constants.js': {
+			MEDIA_DIRECTORY,
+			PUBLIC_MEDIA_DIRECTORIES: [ 'branding' ],
+			SERVER_HOST_NAME: 'https://isle.example.com'
+		}
+	});
+	const doc = {
+		'type': 'doc',
+		'content': [
+			{
+				'type': 'paragraph',
+				'content': [
+					{ 'type': 'image', 'attrs': { 'src': 'https://isle.example.com/branding/logo.png' }},
+					{ 'type': 'image', 'attrs': { 'src': '/report_1600000000000.png' }},
+					{ 'type': 'image', 'attrs': { 'src': '/branding/../report_1600000000000.png' }}
+				]
+			}
+		]
+	};
+	const out = await html( doc, { title: 'Report' });
+	t.ok( out.includes( 'src="data:image/png;base64,'+PNG.toString( 'base64' )+'"' ), 'embeds public image' );
+	t.ok( out.includes( 'src="/report_1600000000000.png"' ), 'does not embed uploaded file' );
+	t.ok( out.includes( 'src="/branding/../report_1600000000000.png"' ), 'does not embed uploaded file reached via a public directory' );
+	t.end();
+});
+
+tape( 'perform clean-up', function test( t ) {
+	fs.rmSync( MEDIA_DIRECTORY, { recursive: true, force: true });
+	t.end();
+});
@@ -0,0 +1,46 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const exportFilename = require( './../lib/utils/export_filename.js' );
+
+
+// TESTS //
+
+tape( 'the function replaces characters which are unsafe in file names', function test( t ) {
+	t.strictEqual( exportFilename( 'Group report', 'md' ), 'Group_report.md', 'replaces spaces' );
+	t.strictEqual( exportFilename( '../report', 'html' ), '.._report.html', 'replaces slashes' );
+	t.end();
+});
+
+tape( 'the function returns unique file names for documents with the same name', function test( t ) {
+	const used = new Set();
+	const names = [
+		exportFilename( 'Group report', 'md', used ),
+		exportFilename( 'Group report', 'md', used ),
+		exportFilename( 'Group/report', 'md', used ),
+		exportFilename( 'group_report', 'md', used ),
+		exportFilename( 'Group_report-2', 'md', used )
+	];
+	t.deepEqual( names, [ 'Group_report.md', 'Group_report-2.md', 'Group_report-3.md', 'group_report-4.md', 'Group_report-2-2.md' ], 'appends a counter to names already in use' );
+	t.strictEqual( new Set( names.map( x => x.toLowerCase() ) ).size, names.length, 'returns distinct names' );
+	t.end();
+});
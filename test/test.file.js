@@ -26,6 +26,8 @@ const utils = require( './utils.js' );
 const Namespace = require( './../lib/models/namespace.js' );
 const Lesson = require( './../lib/models/lesson.js' );
 const File = require( './../lib/models/file.js' );
+const User = require( './../lib/models/user.js' );
+const { largestConsumers, namespaceUsage, userUsage } = require( './../lib/storage/quota.js' );
 
 
 // FUNCTIONS //
@@ -207,4 +209,49 @@ tape( 'fails creating a file when no user or namespace is given', function test(
 	});
 });
 
+tape( 'sums up the storage used by users and namespaces', async function test( t ) {
+	const user = await User.findOne({ email: 'mummy@gmail.com' });
+	const namespace = await Namespace.findOne({ title: 'DraculaVsTheWolfMan' });
+	await File.create([
+		{
+			'title': 'Slides.pdf',
+			'path': '/media/Slides_1.pdf',
+			'filename': 'Slides_1.pdf',
+			'user': user,
+			'namespace': namespace,
+			'size': 2.5
+		},
+		{
+			'title': 'Data.csv',
+			'path': '/media/Data_1.csv',
+			'filename': 'Data_1.csv',
+			'user': user,
+			'namespace': namespace,
+			'size': 1.5
+		}
+	]);
+	await Lesson.create({
+		'title': 'Large lesson',
+		'namespace': namespace,
+		'size': 10
+	});
+
+	let usage = await userUsage( user._id );
+	t.deepEqual( usage, { size: 4, nFiles: 2 }, 'returns size and number of files uploaded by user' );
+
+	usage = await namespaceUsage( namespace._id );
+	t.deepEqual( usage, { size: 14, fileSize: 4, lessonSize: 10, nFiles: 2 }, 'returns size of files and lessons of namespace' );
+
+	usage = await namespaceUsage( namespace._id, 'Large lesson' );
+	t.strictEqual( usage.lessonSize, 0, 'does not count excluded lesson' );
+
+	const { users, namespaces } = await largestConsumers( 1 );
+	t.strictEqual( users.length, 1, 'returns at most the requested number of users' );
+	t.strictEqual( String( users[ 0 ]._id ), String( user._id ), 'returns user using the most storage' );
+	t.strictEqual( namespaces.length, 1, 'returns at most the requested number of namespaces' );
+	t.strictEqual( String( namespaces[ 0 ]._id ), String( namespace._id ), 'returns namespace using the most storage' );
+	t.strictEqual( namespaces[ 0 ].size, 14, 'returns total size of namespace' );
+	t.end();
+});
+
 tape( 'perform clean-up', utils.after );
@@ -0,0 +1,133 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const utils = require( './utils.js' );
+const Grade = require( './../lib/models/grade.js' );
+const Lesson = require( './../lib/models/lesson.js' );
+const Namespace = require( './../lib/models/namespace.js' );
+const User = require( './../lib/models/user.js' );
+const updateGrades = require( './../lib/utils/update_grades.js' );
+const gradebookTotals = require( './../lib/utils/gradebook_totals.js' );
+const parseCSV = require( './../lib/utils/parse_csv.js' );
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'fails creating a grade without user, namespace, lesson and component', function test( t ) {
+	Grade.create({
+		'points': 5
+	}, function onCreate( err ) {
+		if ( err ) {
+			t.pass( 'should return an error' );
+			t.ok( err.message.startsWith( 'Grade validation failed' ), 'returns expected error message' );
+		} else {
+			t.fail( 'expected an error' );
+		}
+		t.end();
+	});
+});
+
+tape( 'updating grades creates grade documents, records their history and keeps the legacy field in sync', async function test( t ) {
+	const user = await User.create({
+		'email': 'grades.student@isledocs.com',
+		'password': 'student'
+	});
+	const grader = await User.create({
+		'email': 'grades.instructor@isledocs.com',
+		'password': 'instructor'
+	});
+	const namespace = await Namespace.create({
+		'title': 'Gradebook_Namespace',
+		'description': 'A namespace with a gradebook',
+		'owners': [ grader ]
+	});
+	const lesson = await Lesson.create({
+		'title': 'Graded lesson',
+		'namespace': namespace
+	});
+	await updateGrades({
+		user,
+		namespace: namespace._id,
+		lesson: lesson._id,
+		grades: { 'question-1': 5, 'question-2': 3 },
+		maxPoints: { 'question-1': 10 },
+		grader
+	});
+	let grades = await Grade.find({ user: user._id, lesson: lesson._id }).sort( 'component' );
+	t.strictEqual( grades.length, 2, 'creates a grade for each component' );
+	t.strictEqual( grades[ 0 ].points, 5, 'has expected points' );
+	t.strictEqual( grades[ 0 ].maxPoints, 10, 'has expected maximum points' );
+	t.strictEqual( grades[ 1 ].maxPoints, null, 'has no maximum points if not supplied' );
+	t.strictEqual( String( grades[ 0 ].grader ), String( grader._id ), 'records the grader' );
+
+	await updateGrades({
+		user: await User.findById( user._id ),
+		namespace: namespace._id,
+		lesson: lesson._id,
+		grades: { 'question-1': 8 },
+		grader
+	});
+	grades = await Grade.find({ user: user._id, lesson: lesson._id }).sort( 'component' );
+	t.strictEqual( grades[ 0 ].points, 8, 'updates points' );
+	t.strictEqual( grades[ 0 ].maxPoints, 10, 'keeps maximum points' );
+	t.strictEqual( grades[ 0 ].history.length, 1, 'records previous value in history' );
+	t.strictEqual( grades[ 0 ].history[ 0 ].points, 5, 'history has previous points' );
+	t.strictEqual( grades[ 1 ].points, null, 'clears grades of components not contained in the replaced grades' );
+
+	const updated = await User.findById( user._id );
+	t.deepEqual( updated.lessonGrades[ String( lesson._id ) ], { 'question-1': 8 }, 'keeps legacy lesson grades in sync' );
+	t.end();
+});
+
+tape( 'the gradebook totals are weighted averages of the category percentages', function test( t ) {
+	const lessonTotals = {
+		'l1': { points: 8, scoredPoints: 8, maxPoints: 10 },
+		'l2': { points: 5, scoredPoints: 5, maxPoints: 20 },
+		'l3': { points: 4, scoredPoints: 0, maxPoints: 0 }
+	};
+	let out = gradebookTotals( lessonTotals, [
+		{ name: 'Homework', weight: 1, lessons: [ 'l1' ]},
+		{ name: 'Exams', weight: 3, lessons: [ 'l2' ]},
+		{ name: 'Participation', weight: 2, lessons: [ 'l3' ]}
+	]);
+	t.strictEqual( out.points, 17, 'sums all points' );
+	t.strictEqual( out.categories.Homework.percentage, 0.8, 'computes category percentage' );
+	t.strictEqual( out.categories.Participation.percentage, null, 'has no percentage for categories without maximum points' );
+	t.strictEqual( out.total, ( 0.8 + ( 3 * 0.25 ) ) / 4, 'ignores categories without maximum points in the weighted total' );
+
+	out = gradebookTotals( lessonTotals );
+	t.strictEqual( out.total, 13 / 30, 'uses the overall percentage if no categories are defined' );
+	t.end();
+});
+
+tape( 'the function parses CSV files into objects keyed by the header row', function test( t ) {
+	const rows = parseCSV( 'email,lesson,component,points\r\njane@isledocs.com,"Lesson, 1",q1,5\r\n\r\nzorro@isledocs.com,Lesson 2,"say ""hi""",\n' );
+	t.strictEqual( rows.length, 2, 'skips empty lines' );
+	t.strictEqual( rows[ 0 ].lesson, 'Lesson, 1', 'handles quoted commas' );
+	t.strictEqual( rows[ 1 ].component, 'say "hi"', 'handles escaped quotes' );
+	t.strictEqual( rows[ 1 ].points, '', 'handles empty fields' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
@@ -28,6 +28,10 @@ const isString = require( '@stdlib/assert/is-string' );
 const isArray = require( '@stdlib/assert/is-array' );
 const isNull= require( '@stdlib/assert/is-null' );
 const User = require( './../lib/models/user.js' );
+const Lesson = require( './../lib/models/lesson.js' );
+const TextEditorDocument = require( './../lib/models/text_editor_document.js' );
+const SessionData = require( './../lib/models/session_data.js' );
+const issueUserToken = require( './../lib/utils/issue_user_token.js' );
 const requires = require( './requires.js' );
 const utils = require( './utils.js' );
 
@@ -36,6 +40,7 @@ const utils = require( './utils.js' );
 
 let USER_TOKEN;
 let USER_ID;
+let OTHER_USER_TOKEN;
 const WRITE_ACCESS_TOKEN = 'no_restrictions';
 const app = proxyquire.noCallThru()( './../lib/index.js', requires );
 
@@ -295,55 +300,62 @@ tape( 'GET /get_lessons', function test( t ) {
 	});
 });
 
-tape( 'POST /update_user_password', function test( t ) {
-	User.findOne( { email: 'zorro707@gmail.com' }, function onUser( err, user ) {
-		t.ok( true, 'Found user with email ' + user.email + ' and id  ' + user._id + '...' );
+tape( 'POST /update_user_password', async function test( t ) {
+	const user = await User.findOne({ email: 'zorro707@gmail.com' });
+	t.ok( true, 'Found user with email ' + user.email + ' and id  ' + user._id + '...' );
+	const token = await issueUserToken({ user: user._id, purpose: 'reset-password' });
+	request( app )
+	.post( '/update_user_password' )
+	.send({ token, newPassword: 'zorro123' })
+	.expect( 200 )
+	.end( function onEnd( err, res ) {
+		t.error( err, 'does not return an error' );
+		if ( err ) {
+			t.ok( true, res.text );
+		}
+		const body = res.body;
+		t.strictEqual( body.message, 'User password successfully updated.', 'returns expected message' );
 		request( app )
 		.post( '/update_user_password' )
-		.send({ id: user._id, newPassword: 'zorro123' })
-		.expect( 200 )
+		.send({ token, newPassword: 'zorro456' })
+		.expect( 401 )
 		.end( function onEnd( err, res ) {
 			t.error( err, 'does not return an error' );
-			if ( err ) {
-				t.ok( true, res.text );
-			}
-			const body = res.body;
-			t.strictEqual( body.message, 'User password successfully updated.', 'returns expected message' );
+			t.strictEqual( res.text, 'This link is invalid, has expired or has already been used.', 'rejects a token that has already been used' );
 			t.end();
 		});
 	});
 });
 
-tape( 'POST /update_user_password (invalid ID)', function test( t ) {
+tape( 'POST /update_user_password (invalid token)', function test( t ) {
 	request( app )
 	.post( '/update_user_password' )
-	.send({ id: 'abc', newPassword: 'zorro123' })
-	.expect( 400 )
+	.send({ token: 'abc', newPassword: 'zorro123' })
+	.expect( 401 )
 	.end( function onEnd( err, res ) {
 		t.error( err, 'does not return an error' );
-		t.strictEqual( res.text, '`id` has to be a valid ObjectID.', 'returns expected message' );
+		t.strictEqual( res.text, 'This link is invalid, has expired or has already been used.', 'returns expected message' );
 		t.end();
 	});
 });
 
 tape( 'POST /update_user_password (invalid `newPassword`)', function test( t ) {
-	User.findOne( function onUser( err, user ) {
-		request( app )
-		.post( '/update_user_password' )
-		.send({ id: user._id, newPassword: []})
-		.expect( 400 )
-		.end( function onEnd( err, res ) {
-			t.error( err, 'does not return an error' );
-			t.strictEqual( res.text, '`newPassword` has to be a string.', 'returns expected message' );
-			t.end();
-		});
+	request( app )
+	.post( '/update_user_password' )
+	.send({ token: 'abc', newPassword: []})
+	.expect( 400 )
+	.end( function onEnd( err, res ) {
+		t.error( err, 'does not return an error' );
+		t.strictEqual( res.text, '`newPassword` has to be a string.', 'returns expected message' );
+		t.end();
 	});
 });
 
-tape( 'POST /update_user_password (unknown user)', function test( t ) {
+tape( 'POST /update_user_password (unknown user)', async function test( t ) {
+	const token = await issueUserToken({ user: '5a4e409c3d8668487003dec6', purpose: 'reset-password' });
 	request( app )
 	.post( '/update_user_password' )
-	.send({ id: '5a4e409c3d8668487003dec6', newPassword: 'zorro123' })
+	.send({ token, newPassword: 'zorro123' })
 	.expect( 404 )
 	.end( function onEnd( err, res ) {
 		t.error( err, 'does not return an error' );
@@ -501,6 +513,86 @@ tape( 'POST /set_write_access (wrong token)', function test( t ) {
 	});
 });
 
+tape( 'POST /login (other user)', function test( t ) {
+	request( app )
+	.post( '/login' )
+	.send({
+		email: 'mummy@gmail.com',
+		password: 'Egypt'
+	})
+	.expect( 200 )
+	.end( function onEnd( err, res ) {
+		t.error( err, 'does not return an error' );
+		t.ok( isString( res.body.token ), 'returns `token` string' );
+		OTHER_USER_TOKEN = res.body.token;
+		t.end();
+	});
+});
+
+tape( 'GET /text_editor_document (document of other users)', async function test( t ) {
+	const lesson = await Lesson.findOne({ title: 'Unearth the monster' });
+	await TextEditorDocument.create({
+		id: 'group-report',
+		namespace: lesson.namespace,
+		lesson: lesson._id,
+		doc: { type: 'doc', content: []},
+		users: [ USER_ID ]
+	});
+	request( app )
+	.get( '/text_editor_document' )
+	.set( 'Authorization', 'JWT '+OTHER_USER_TOKEN )
+	.query({ id: 'group-report', namespaceID: String( lesson.namespace ), lessonID: String( lesson._id ) })
+	.expect( 403 )
+	.end( function onEnd( err, res ) {
+		t.error( err, 'does not return an error' );
+		t.strictEqual( res.body.document, void 0, 'does not return the document' );
+		t.end();
+	});
+});
+
+tape( 'POST /get_user_actions (student)', async function test( t ) {
+	const lesson = await Lesson.findOne({ title: 'Unearth the monster' });
+	const student = await User.findOne({ email: 'mummy@gmail.com' });
+	await SessionData.create([
+		{ type: 'action', lesson: lesson._id, user: USER_ID, data: { id: 'question-1', type: 'TEXT_QUESTION_SUBMISSION', value: 'owner answer' }},
+		{ type: 'action', lesson: lesson._id, user: student._id, data: { id: 'question-1', type: 'TEXT_QUESTION_SUBMISSION', value: 'student answer' }}
+	]);
+	request( app )
+	.post( '/get_user_actions' )
+	.set( 'Authorization', 'JWT '+OTHER_USER_TOKEN )
+	.send({ lessonID: String( lesson._id ) })
+	.expect( 200 )
+	.end( function onEnd( err, res ) {
+		t.error( err, 'does not return an error' );
+		t.deepEqual( res.body.actions.map( x => x.value ), [ 'student answer' ], 'only returns the actions of the student' );
+		t.end();
+	});
+});
+
+tape( 'POST /retrieve_data (student without lesson)', function test( t ) {
+	request( app )
+	.post( '/retrieve_data' )
+	.set( 'Authorization', 'JWT '+OTHER_USER_TOKEN )
+	.send({ query: { componentID: 'question-1' }})
+	.expect( 200 )
+	.end( function onEnd( err, res ) {
+		t.error( err, 'does not return an error' );
+		t.deepEqual( res.body.map( x => x.data.value ), [ 'student answer' ], 'only returns the data of the student' );
+		t.end();
+	});
+});
+
+tape( 'POST /retrieve_data (unauthenticated)', function test( t ) {
+	request( app )
+	.post( '/retrieve_data' )
+	.send({ query: { componentID: 'question-1' }})
+	.expect( 401 )
+	.end( function onEnd( err ) {
+		t.error( err, 'does not return an error' );
+		t.end();
+	});
+});
+
 /* TODO:
 
 tape( 'POST /store_session_element', function test( t ) {
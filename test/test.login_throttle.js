@@ -0,0 +1,132 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const utils = require( './utils.js' );
+const LoginAttempt = require( './../lib/models/login_attempt.js' );
+const LoginThrottle = require( './../lib/models/login_throttle.js' );
+const User = require( './../lib/models/user.js' );
+
+
+// VARIABLES //
+
+const sentMails = [];
+const mailer = {
+	'send': function send( mail, clbk ) {
+		sentMails.push( mail );
+		clbk( null, 'Mail sent' );
+	},
+	'active': true
+};
+const { checkLoginThrottle, recordLoginAttempt } = proxyquire.noCallThru()( './../lib/login_throttle.js', {
+	'./mailer': mailer
+});
+
+
+// FUNCTIONS //
+
+function mockRequest( ip ) {
+	return {
+		ip,
+		get: function get() {
+			return 'tape';
+		}
+	};
+}
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'the first failed login attempts are not delayed', async function test( t ) {
+	const req = mockRequest( '10.0.0.1' );
+	for ( let i = 0; i < 3; i++ ) {
+		await recordLoginAttempt({ email: 'throttled@isledocs.com', req, reason: 'unknown-email' });
+	}
+	const res = await checkLoginThrottle({ email: 'throttled@isledocs.com', ip: '10.0.0.1' });
+	t.strictEqual( res.locked, false, 'is not locked' );
+	t.strictEqual( res.retryAfter, 0, 'does not have to wait' );
+	t.end();
+});
+
+tape( 'further failed login attempts for the same account are delayed', async function test( t ) {
+	const req = mockRequest( '10.0.0.2' );
+	await recordLoginAttempt({ email: 'Throttled@isledocs.com', req, reason: 'wrong-password' });
+	let res = await checkLoginThrottle({ email: 'throttled@isledocs.com', ip: '10.0.0.3' });
+	t.strictEqual( res.locked, false, 'is not locked' );
+	t.ok( res.retryAfter >= 1 && res.retryAfter <= 2, 'has to wait about one second' );
+
+	await recordLoginAttempt({ email: 'throttled@isledocs.com', req, reason: 'wrong-password' });
+	res = await checkLoginThrottle({ email: 'throttled@isledocs.com', ip: '10.0.0.3' });
+	t.ok( res.retryAfter >= 2 && res.retryAfter <= 3, 'doubles the delay' );
+
+	res = await checkLoginThrottle({ email: 'other@isledocs.com', ip: '10.0.0.3' });
+	t.strictEqual( res.retryAfter, 0, 'does not delay attempts for other accounts' );
+	t.end();
+});
+
+tape( 'an account is locked after the maximum number of failed attempts and its owner is notified', async function test( t ) {
+	const user = await User.create({
+		'email': 'locked@isledocs.com',
+		'name': 'Locked User',
+		'password': 'locked'
+	});
+	const req = mockRequest( '10.0.0.4' );
+	for ( let i = 0; i < 10; i++ ) {
+		await recordLoginAttempt({ email: user.email, user, req, reason: 'wrong-password' });
+	}
+	const res = await checkLoginThrottle({ email: user.email, ip: '10.0.0.5' });
+	t.strictEqual( res.locked, true, 'is locked' );
+	t.ok( res.retryAfter > 14 * 60 && res.retryAfter <= 15 * 60, 'is locked for the configured number of minutes' );
+
+	const throttle = await LoginThrottle.findOne({ kind: 'account', key: user.email });
+	t.strictEqual( throttle.lockouts, 1, 'counts the lockout' );
+	t.strictEqual( throttle.failures, 0, 'resets the failure count' );
+
+	t.strictEqual( sentMails.length, 1, 'sends a single notification' );
+	t.strictEqual( sentMails[ 0 ].to, user.email, 'notifies the account owner' );
+	t.end();
+});
+
+tape( 'a successful login resets the failure count of the account', async function test( t ) {
+	const req = mockRequest( '10.0.0.6' );
+	await recordLoginAttempt({ email: 'reset@isledocs.com', req, reason: 'wrong-password' });
+	await recordLoginAttempt({ email: 'reset@isledocs.com', req, reason: 'ok' });
+	const throttle = await LoginThrottle.findOne({ kind: 'account', key: 'reset@isledocs.com' });
+	t.strictEqual( throttle, null, 'removes the account throttle' );
+	t.end();
+});
+
+tape( 'login attempts are recorded in the audit trail', async function test( t ) {
+	const attempts = await LoginAttempt.find({ email: 'reset@isledocs.com' }).sort({ createdAt: 1 });
+	t.strictEqual( attempts.length, 2, 'records all attempts' );
+	t.strictEqual( attempts[ 0 ].success, false, 'records failed attempt' );
+	t.strictEqual( attempts[ 0 ].reason, 'wrong-password', 'records reason of failure' );
+	t.strictEqual( attempts[ 1 ].success, true, 'records successful attempt' );
+	t.strictEqual( attempts[ 1 ].ip, '10.0.0.6', 'records IP address' );
+	t.strictEqual( attempts[ 1 ].userAgent, 'tape', 'records user agent' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
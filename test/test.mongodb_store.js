@@ -0,0 +1,177 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const utils = require( './utils.js' );
+const SocketState = require( './../lib/models/socket_state.js' );
+const MongoStore = require( './../lib/sockets/store/mongodb.js' );
+
+
+// VARIABLES //
+
+const ROOM_NAME = 'Frankenstein University/Unearth the monster';
+const EXPIRATION_TIME = 24 * 60 * 60;
+
+
+// FUNCTIONS //
+
+/**
+* Creates a store and a room class as used by a server process with the given identifier.
+*
+* @private
+* @param {string} workerID - server process identifier
+* @returns {Object} store and room class
+*/
+function createWorker( workerID ) {
+	const store = new MongoStore();
+	store.workerID = workerID;
+	const Room = proxyquire( './../lib/sockets/room.js', {
+		'./store': store
+	});
+	return { store, Room };
+}
+
+/**
+* Returns a room member as stored in the shared store.
+*
+* @private
+* @param {string} email - email address
+* @param {string} name - user name
+* @returns {Object} member
+*/
+function member( email, name ) {
+	return {
+		email,
+		name,
+		id: null,
+		owner: false,
+		joinTime: Date.now(),
+		exitTime: null,
+		picture: null
+	};
+}
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'the MongoDB store returns `null` for keys without a value', async function test( t ) {
+	const store = new MongoStore();
+	t.strictEqual( await store.get( 'beep' ), null, 'returns null' );
+	t.deepEqual( await store.range( 'beep' ), [], 'returns empty list' );
+	t.deepEqual( await store.getFields( 'beep' ), {}, 'returns empty hash' );
+	t.end();
+});
+
+tape( 'the MongoDB store only sets a value if the current value equals the expected one', async function test( t ) {
+	const store = new MongoStore();
+	t.strictEqual( await store.setIfEqual( 'version', null, 3 ), true, 'sets value for non-existent key' );
+	t.strictEqual( await store.setIfEqual( 'version', null, 5 ), false, 'does not set value for existing key' );
+	t.strictEqual( await store.setIfEqual( 'version', 2, 5 ), false, 'does not set value for outdated expectation' );
+	t.strictEqual( await store.setIfEqual( 'version', 3, 5 ), true, 'sets value for matching expectation' );
+	t.strictEqual( await store.get( 'version' ), 5, 'has expected value' );
+	t.end();
+});
+
+tape( 'the MongoDB store lets only one of several concurrent writers claim a value', async function test( t ) {
+	const a = createWorker( 'worker-a' ).store;
+	const b = createWorker( 'worker-b' ).store;
+
+	let results = await Promise.all([
+		a.setIfEqual( 'document:report:version', null, 1 ),
+		b.setIfEqual( 'document:report:version', null, 1 )
+	]);
+	t.strictEqual( results.filter( x => x ).length, 1, 'only one writer creates the key' );
+
+	results = await Promise.all([
+		a.setIfEqual( 'document:report:version', 1, 4 ),
+		b.setIfEqual( 'document:report:version', 1, 2 )
+	]);
+	t.strictEqual( results.filter( x => x ).length, 1, 'only one writer updates the value' );
+	t.strictEqual( await a.get( 'document:report:version' ), results[ 0 ] ? 4 : 2, 'keeps value of the successful writer' );
+	t.strictEqual( await b.get( 'document:report:version' ), await a.get( 'document:report:version' ), 'both writers observe the same value' );
+	t.end();
+});
+
+tape( 'the MongoDB store keeps only the most recent list items', async function test( t ) {
+	const store = new MongoStore();
+	for ( let i = 0; i < 5; i++ ) {
+		await store.push( 'events', { version: i }, 3 );
+	}
+	t.deepEqual( await store.range( 'events' ), [ { version: 2 }, { version: 3 }, { version: 4 } ], 'returns most recent items' );
+	t.end();
+});
+
+tape( 'the MongoDB store expires state (such as room members) after a day without updates', async function test( t ) {
+	const store = new MongoStore();
+	await SocketState.init();
+	const indexes = await SocketState.collection.indexes();
+	const ttl = indexes.find( x => x.key.updatedAt === 1 );
+	t.ok( ttl, 'has index on update time' );
+	t.strictEqual( ttl.expireAfterSeconds, EXPIRATION_TIME, 'expires state after a day' );
+
+	const key = `room:${ROOM_NAME}:members`;
+	await store.setField( key, 'worker-a|zorro707@gmail.com', member( 'zorro707@gmail.com', 'Zorro' ) );
+	const created = await SocketState.findOne({ key, field: 'worker-a|zorro707@gmail.com' }).lean();
+	t.ok( created.updatedAt instanceof Date, 'records update time of member' );
+
+	await new Promise( resolve => setTimeout( resolve, 10 ) );
+	await store.setField( key, 'worker-a|zorro707@gmail.com', member( 'zorro707@gmail.com', 'Zorro' ) );
+	const updated = await SocketState.findOne({ key, field: 'worker-a|zorro707@gmail.com' }).lean();
+	t.ok( updated.updatedAt > created.updatedAt, 'refreshes update time when member is written again' );
+
+	await store.delete( key );
+	t.end();
+});
+
+tape( 'rooms observe the members of other server processes', async function test( t ) {
+	const a = createWorker( 'worker-a' );
+	const b = createWorker( 'worker-b' );
+	const roomA = new a.Room( null, ROOM_NAME );
+	const roomB = new b.Room( null, ROOM_NAME );
+
+	await a.store.setField( 'rooms', ROOM_NAME, Date.now() );
+	t.deepEqual( await b.Room.list(), [ ROOM_NAME ], 'lists room opened by another process' );
+
+	await a.store.setField( roomA.membersKey, roomA.memberField( 'zorro707@gmail.com' ), member( 'zorro707@gmail.com', 'Zorro' ) );
+	t.strictEqual( await roomB.hasMember( 'zorro707@gmail.com' ), true, 'has member connected to another process' );
+	t.strictEqual( await roomB.isEmpty(), false, 'room is not empty' );
+
+	await b.store.setField( roomB.membersKey, roomB.memberField( 'zorro707@gmail.com' ), member( 'zorro707@gmail.com', 'Zorro' ) );
+	await b.store.setField( roomB.membersKey, roomB.memberField( 'wolfgang.amadeus@gmail.com' ), member( 'wolfgang.amadeus@gmail.com', 'Wolfgang Amadeus' ) );
+	const members = await roomA.getMembers();
+	t.deepEqual( members.map( x => x.email ).sort(), [ 'wolfgang.amadeus@gmail.com', 'zorro707@gmail.com' ], 'returns each member once across processes' );
+
+	await a.store.deleteField( roomA.membersKey, roomA.memberField( 'zorro707@gmail.com' ) );
+	t.strictEqual( await roomA.hasMember( 'zorro707@gmail.com' ), true, 'keeps member still connected to another process' );
+
+	await b.store.deleteField( roomB.membersKey, roomB.memberField( 'zorro707@gmail.com' ) );
+	await b.store.deleteField( roomB.membersKey, roomB.memberField( 'wolfgang.amadeus@gmail.com' ) );
+	t.strictEqual( await roomA.isEmpty(), true, 'room is empty once members have left all processes' );
+
+	await roomA.clear();
+	t.deepEqual( await b.Room.list(), [], 'room is closed for all processes' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
@@ -0,0 +1,303 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const crypto = require( 'crypto' );
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const jwt = require( 'jsonwebtoken' );
+const qs = require( 'qs' );
+const utils = require( './utils.js' );
+const CustomUserField = require( './../lib/models/custom_user_field.js' );
+const mapClaims = require( './../lib/oidc/map_claims.js' );
+const provisionSSOUser = require( './../lib/utils/provision_sso_user.js' );
+
+
+// VARIABLES //
+
+const ISSUER = 'https://idp.isledocs.com';
+const CLIENT_ID = 'isle-client';
+const { privateKey, publicKey } = crypto.generateKeyPairSync( 'rsa', { modulusLength: 2048 });
+const otherKeys = crypto.generateKeyPairSync( 'rsa', { modulusLength: 2048 });
+const provider = {
+	id: 'mock',
+	name: 'Mock Provider',
+	issuer: ISSUER,
+	clientID: CLIENT_ID,
+	clientSecret: 'secret',
+	scope: 'openid email profile',
+	requireVerifiedEmail: true,
+	claims: {},
+	customFields: {
+		'department': 'Department',
+		'address.country': 'Country'
+	}
+};
+const provider2 = {
+	...provider,
+	id: 'mock2',
+	issuer: ISSUER+'/tenant'
+};
+
+// Mock OpenID Connect provider:
+const requests = [];
+let nextClaims = {};
+let nextSigningKey = privateKey;
+const axios = {
+	get: async function get( url, opts ) {  // eslint-disable-line require-await
+		requests.push({ method: 'GET', url, opts });
+		const issuer = url.startsWith( provider2.issuer ) ? provider2.issuer : ISSUER;
+		if ( url.endsWith( '/.well-known/openid-configuration' ) ) {
+			return {
+				data: {
+					issuer,
+					authorization_endpoint: issuer+'/authorize',
+					token_endpoint: issuer+'/token',
+					userinfo_endpoint: issuer+'/userinfo',
+					jwks_uri: issuer+'/jwks'
+				}
+			};
+		}
+		if ( url.endsWith( '/jwks' ) ) {
+			return {
+				data: {
+					keys: [ { ...publicKey.export({ format: 'jwk' }), kid: 'key-1', use: 'sig' } ]
+				}
+			};
+		}
+		if ( url.endsWith( '/userinfo' ) ) {
+			return {
+				data: {
+					sub: nextClaims.sub,
+					department: 'Statistics'
+				}
+			};
+		}
+		throw new Error( 'Unexpected request' );
+	},
+	post: async function post( url, body ) {  // eslint-disable-line require-await
+		requests.push({ method: 'POST', url, body: qs.parse( body ) });
+		const idToken = jwt.sign( nextClaims, nextSigningKey.export({ type: 'pkcs8', format: 'pem' }), {
+			algorithm: 'RS256',
+			keyid: 'key-1',
+			issuer: ISSUER,
+			audience: CLIENT_ID,
+			expiresIn: 300
+		});
+		return {
+			data: {
+				id_token: idToken,
+				access_token: 'access-token',
+				token_type: 'Bearer'
+			}
+		};
+	}
+};
+const client = proxyquire.noCallThru()( './../lib/oidc/client.js', {
+	'axios': axios
+});
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'creates an authorization URL with state, nonce and PKCE challenge', async function test( t ) {
+	const params = client.createAuthorizationParams();
+	t.ok( params.state && params.nonce && params.codeVerifier, 'returns random values' );
+	t.notEqual( params.state, params.nonce, 'state and nonce differ' );
+
+	const url = new URL( await client.authorizationURL( provider, {
+		...params,
+		redirectURI: 'https://isle.isledocs.com/oidc/callback'
+	}) );
+	t.strictEqual( url.origin + url.pathname, ISSUER+'/authorize', 'uses authorization endpoint from discovery document' );
+	t.strictEqual( url.searchParams.get( 'client_id' ), CLIENT_ID, 'includes client ID' );
+	t.strictEqual( url.searchParams.get( 'state' ), params.state, 'includes state' );
+	t.strictEqual( url.searchParams.get( 'nonce' ), params.nonce, 'includes nonce' );
+	t.strictEqual( url.searchParams.get( 'code_challenge_method' ), 'S256', 'uses S256 challenge method' );
+
+	const expected = crypto.createHash( 'sha256' )
+		.update( params.codeVerifier )
+		.digest( 'base64url' );
+	t.strictEqual( url.searchParams.get( 'code_challenge' ), expected, 'includes code challenge derived from verifier' );
+	t.end();
+});
+
+tape( 'rejects discovery documents for another issuer', async function test( t ) {
+	try {
+		await client.discover({ ...provider, issuer: ISSUER+'/' });
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.ok( err.message.includes( 'does not match' ), 'returns expected error message' );
+	}
+	t.end();
+});
+
+tape( 'exchanges an authorization code and verifies the ID token', async function test( t ) {
+	nextSigningKey = privateKey;
+	nextClaims = {
+		sub: 'user-1',
+		nonce: 'nonce-1',
+		email: 'jane.doe@isledocs.com',
+		email_verified: true,
+		given_name: 'Jane',
+		family_name: 'Doe'
+	};
+	const claims = await client.authenticate( provider, {
+		code: 'auth-code',
+		redirectURI: 'https://isle.isledocs.com/oidc/callback',
+		nonce: 'nonce-1',
+		codeVerifier: 'verifier'
+	});
+	const tokenRequest = requests.filter( x => x.method === 'POST' ).pop();
+	t.strictEqual( tokenRequest.body.code, 'auth-code', 'sends authorization code' );
+	t.strictEqual( tokenRequest.body.code_verifier, 'verifier', 'sends code verifier' );
+	t.strictEqual( tokenRequest.body.client_secret, 'secret', 'sends client secret' );
+	t.strictEqual( claims.sub, 'user-1', 'returns subject' );
+	t.strictEqual( claims.email, 'jane.doe@isledocs.com', 'returns ID token claims' );
+	t.strictEqual( claims.department, 'Statistics', 'merges userinfo claims' );
+	t.end();
+});
+
+tape( 'rejects ID tokens with a wrong nonce', async function test( t ) {
+	nextSigningKey = privateKey;
+	nextClaims = {
+		sub: 'user-1',
+		nonce: 'nonce-1'
+	};
+	try {
+		await client.authenticate( provider, {
+			code: 'auth-code',
+			redirectURI: 'https://isle.isledocs.com/oidc/callback',
+			nonce: 'another-nonce',
+			codeVerifier: 'verifier'
+		});
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.strictEqual( err.message, 'ID token nonce mismatch', 'returns expected error message' );
+	}
+	t.end();
+});
+
+tape( 'rejects ID tokens not signed by the provider', async function test( t ) {
+	nextSigningKey = otherKeys.privateKey;
+	nextClaims = {
+		sub: 'user-1',
+		nonce: 'nonce-1'
+	};
+	try {
+		await client.authenticate( provider, {
+			code: 'auth-code',
+			redirectURI: 'https://isle.isledocs.com/oidc/callback',
+			nonce: 'nonce-1',
+			codeVerifier: 'verifier'
+		});
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.strictEqual( err.message, 'invalid signature', 'returns expected error message' );
+	}
+	nextSigningKey = privateKey;
+	t.end();
+});
+
+tape( 'rejects ID tokens issued by another issuer', async function test( t ) {
+	nextClaims = {
+		sub: 'user-1',
+		nonce: 'nonce-1'
+	};
+	try {
+		await client.authenticate( provider2, {
+			code: 'auth-code',
+			redirectURI: 'https://isle.isledocs.com/oidc/callback',
+			nonce: 'nonce-1',
+			codeVerifier: 'verifier'
+		});
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.ok( err.message.startsWith( 'jwt issuer invalid' ), 'returns expected error message' );
+	}
+	t.end();
+});
+
+tape( 'maps claims to user attributes', function test( t ) {
+	let user = mapClaims( provider, {
+		sub: 'user-1',
+		email: 'Jane.Doe@isledocs.com',
+		email_verified: true,
+		given_name: 'Jane',
+		family_name: 'Doe',
+		department: 'Statistics',
+		address: {
+			country: 'US'
+		}
+	});
+	t.strictEqual( user.email, 'jane.doe@isledocs.com', 'normalizes email address' );
+	t.strictEqual( user.emailVerified, true, 'returns email verification status' );
+	t.strictEqual( user.name, 'Jane Doe', 'assembles name from given and family name' );
+	t.deepEqual( user.customFields, { Department: 'Statistics', Country: 'US' }, 'maps claims to custom fields' );
+
+	user = mapClaims({ ...provider, claims: { email: 'upn', name: 'displayName' }}, {
+		upn: 'john@isledocs.com',
+		displayName: 'John Smith'
+	});
+	t.strictEqual( user.email, 'john@isledocs.com', 'uses configured email claim' );
+	t.strictEqual( user.name, 'John Smith', 'uses configured name claim' );
+	t.strictEqual( user.emailVerified, false, 'treats missing verification status as unverified' );
+	t.end();
+});
+
+tape( 'provisions users from single sign-on attributes', async function test( t ) {
+	await CustomUserField.create({
+		name: 'Department',
+		description: 'Department of the user',
+		type: 'text',
+		position: 0
+	});
+	let user = await provisionSSOUser({
+		email: 'jane.doe@isledocs.com',
+		name: 'Jane Doe',
+		customFields: {
+			Department: 'Statistics',
+			Country: 'US'
+		}
+	});
+	t.strictEqual( user.name, 'Jane Doe', 'sets name' );
+	t.strictEqual( user.administrator, true, 'makes first user an administrator' );
+	t.strictEqual( user.writeAccess, true, 'makes first user an instructor' );
+	t.strictEqual( user.verifiedEmail, true, 'marks email as verified' );
+	t.strictEqual( user.loginWithoutPassword, true, 'allows login without password' );
+	t.deepEqual( user.customFields, { Department: 'Statistics' }, 'only stores existing custom fields' );
+
+	const other = await provisionSSOUser({ email: 'john.smith@isledocs.com' });
+	t.strictEqual( other.name, 'john.smith', 'defaults to username of email address' );
+	t.strictEqual( other.administrator, false, 'does not make further users administrators' );
+
+	user = await provisionSSOUser({ email: 'john.smith@isledocs.com', name: 'John Smith', customFields: { Department: 'History' }});
+	t.strictEqual( String( user._id ), String( other._id ), 'returns existing user' );
+	t.strictEqual( user.name, 'John Smith', 'replaces default name' );
+	t.strictEqual( user.customFields.Department, 'History', 'updates custom fields' );
+
+	user = await provisionSSOUser({ email: 'john.smith@isledocs.com', name: 'Johnny' });
+	t.strictEqual( user.name, 'John Smith', 'keeps names chosen by the user' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
@@ -0,0 +1,190 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const utils = require( './utils.js' );
+const OutgoingMail = require( './../lib/models/outgoing_mail.js' );
+const renderMail = require( './../lib/mailer/render_mail.js' );
+const { deliverMail, processOutbox, queueMail } = require( './../lib/mailer/outbox.js' );
+
+
+// FUNCTIONS //
+
+function mockTransport( failures ) {
+	const transport = {
+		sent: [],
+		sendMail: function sendMail( options, clbk ) {
+			if ( failures > 0 ) {
+				failures -= 1;
+				return clbk( new Error( 'Connection refused' ) );
+			}
+			transport.sent.push( options );
+			clbk( null, { messageId: '<'+transport.sent.length+'@isledocs.com>' });
+		}
+	};
+	return transport;
+}
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'renders the email template in the language of the recipient', async function test( t ) {
+	let html = await renderMail({ text: 'Hello', link: 'https://isledocs.com', locale: 'de' });
+	t.ok( html.includes( 'lang="de"' ), 'sets the language of the document' );
+	t.ok( html.includes( 'Hello' ), 'contains the text' );
+	t.ok( html.includes( 'href="https://isledocs.com"' ), 'contains the link' );
+	t.ok( html.includes( 'Öffnen' ), 'contains the translated button label' );
+
+	html = await renderMail({ text: 'Hello' });
+	t.ok( html.includes( 'lang="en"' ), 'defaults to English' );
+	t.notOk( html.includes( '{{' ), 'replaces all placeholders' );
+	t.notOk( html.includes( 'target="_new"' ), 'omits the button if no link is supplied' );
+	t.end();
+});
+
+tape( 'queued emails are persisted and delivered', async function test( t ) {
+	const mail = await queueMail({
+		from: { name: 'ISLE Messenger', address: 'notifications@isledocs.com' },
+		to: [ 'a@isledocs.com', 'b@isledocs.com' ],
+		subject: 'Subject',
+		text: 'Text'
+	});
+	t.strictEqual( mail.status, 'queued', 'queues email' );
+	t.strictEqual( mail.to, 'a@isledocs.com, b@isledocs.com', 'joins multiple recipients' );
+	t.strictEqual( mail.from, '"ISLE Messenger" <notifications@isledocs.com>', 'formats sender with name' );
+
+	const transport = mockTransport( 0 );
+	const info = await deliverMail( mail._id, transport );
+	t.strictEqual( info.messageId, '<1@isledocs.com>', 'returns delivery information' );
+	t.strictEqual( transport.sent.length, 1, 'hands email to transport' );
+	t.ok( transport.sent[ 0 ].html.includes( 'Text' ), 'renders HTML body' );
+
+	const stored = await OutgoingMail.findById( mail._id );
+	t.strictEqual( stored.status, 'sent', 'marks email as sent' );
+	t.strictEqual( stored.attempts, 1, 'counts attempt' );
+	t.ok( stored.sentAt instanceof Date, 'records delivery time' );
+
+	const again = await deliverMail( mail._id, transport );
+	t.strictEqual( again, null, 'does not deliver an email twice' );
+	t.end();
+});
+
+tape( 'emails are translated into the language of the recipient with escaped values in the HTML body only', async function test( t ) {
+	const mail = await queueMail({
+		to: 'jane@isledocs.com',
+		translation: {
+			subject: 'comment-mention-subject',
+			text: 'comment-mention-email',
+			data: {
+				user: 'Jane',
+				author: 'O\'Brien',
+				lesson: 'Statistics/Lesson',
+				text: '<b>Look</b>'
+			}
+		},
+		locale: 'de'
+	});
+	t.strictEqual( mail.locale, 'de', 'records locale' );
+	t.strictEqual( mail.subject, 'O\'Brien hat Sie in einem Kommentar erwähnt', 'translates subject without escaping' );
+	t.ok( mail.text.includes( 'Hallo Jane' ), 'translates body' );
+	t.ok( mail.text.includes( 'O\'Brien' ), 'does not escape interpolated values in plain-text body' );
+	t.ok( mail.text.includes( '<b>Look</b>' ), 'keeps interpolated values of plain-text body as given' );
+	t.ok( mail.html.includes( '&lt;b&gt;Look&lt;/b&gt;' ), 'escapes interpolated values in HTML body' );
+	t.ok( mail.html.includes( 'O&#39;Brien' ), 'escapes quotes in HTML body' );
+	t.notOk( mail.html.includes( '<b>Look</b>' ), 'does not contain unescaped HTML' );
+	t.end();
+});
+
+tape( 'failed deliveries are retried with exponential backoff', async function test( t ) {
+	const mail = await queueMail({
+		to: 'retry@isledocs.com',
+		subject: 'Subject',
+		text: 'Text'
+	});
+	const transport = mockTransport( 2 );
+	try {
+		await deliverMail( mail._id, transport );
+		t.fail( 'should throw an error' );
+	} catch ( err ) {
+		t.strictEqual( err.message, 'Connection refused', 'throws delivery error' );
+	}
+	let stored = await OutgoingMail.findById( mail._id );
+	t.strictEqual( stored.status, 'queued', 're-queues email' );
+	t.strictEqual( stored.lastError, 'Connection refused', 'records error' );
+	const firstDelay = stored.nextAttemptAt.getTime() - Date.now();
+	t.ok( firstDelay > 50 * 1000 && firstDelay <= 60 * 1000, 'schedules retry after one minute' );
+
+	let delivered = await processOutbox( transport );
+	t.strictEqual( delivered, 0, 'does not retry before the next attempt is due' );
+
+	await OutgoingMail.updateOne({ _id: mail._id }, { nextAttemptAt: new Date( Date.now() - 1000 ) });
+	delivered = await processOutbox( transport );
+	t.strictEqual( delivered, 0, 'fails again' );
+	stored = await OutgoingMail.findById( mail._id );
+	const secondDelay = stored.nextAttemptAt.getTime() - Date.now();
+	t.ok( secondDelay > 110 * 1000 && secondDelay <= 120 * 1000, 'doubles the delay' );
+
+	await OutgoingMail.updateOne({ _id: mail._id }, { nextAttemptAt: new Date( Date.now() - 1000 ) });
+	delivered = await processOutbox( transport );
+	t.strictEqual( delivered, 1, 'delivers email on third attempt' );
+	stored = await OutgoingMail.findById( mail._id );
+	t.strictEqual( stored.status, 'sent', 'marks email as sent' );
+	t.strictEqual( stored.attempts, 3, 'counts all attempts' );
+	t.end();
+});
+
+tape( 'emails are marked as failed after the maximum number of attempts', async function test( t ) {
+	const mail = await queueMail({
+		to: 'failed@isledocs.com',
+		subject: 'Subject',
+		text: 'Text'
+	});
+	await OutgoingMail.updateOne({ _id: mail._id }, { attempts: 7 });
+	try {
+		await deliverMail( mail._id, mockTransport( 1 ) );
+	} catch ( err ) {
+		t.pass( 'throws delivery error' );
+	}
+	const stored = await OutgoingMail.findById( mail._id );
+	t.strictEqual( stored.status, 'failed', 'marks email as failed' );
+	t.strictEqual( stored.attempts, 8, 'counts attempt' );
+	t.end();
+});
+
+tape( 'scheduled emails are only delivered once they are due', async function test( t ) {
+	const mail = await queueMail({
+		to: 'scheduled@isledocs.com',
+		subject: 'Subject',
+		text: 'Text',
+		delay: 3600
+	});
+	const transport = mockTransport( 0 );
+	await processOutbox( transport );
+	t.strictEqual( transport.sent.length, 0, 'does not deliver email before it is due' );
+	const stored = await OutgoingMail.findById( mail._id );
+	t.strictEqual( stored.status, 'queued', 'keeps email in the outbox' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
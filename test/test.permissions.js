@@ -0,0 +1,380 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+const tape = require( 'tape' );
+const objectKeys = require( '@stdlib/utils/keys' );
+const utils = require( './utils.js' );
+const Lesson = require( './../lib/models/lesson.js' );
+const Namespace = require( './../lib/models/namespace.js' );
+const Program = require( './../lib/models/program.js' );
+const Role = require( './../lib/models/role.js' );
+const User = require( './../lib/models/user.js' );
+const defaultRoles = require( './../lib/migrations/default_roles.js' );
+const DEFAULT_ROLES = require( './../lib/permissions/default_roles.js' );
+const { PERMISSIONS, ROUTE_PERMISSIONS, SOCKET_EVENT_PERMISSIONS } = require( './../lib/permissions/catalogue.js' );
+const { explainPermissions, hasPermission, updateRolesHash } = require( './../lib/helpers/check_permissions.js' );
+
+
+// VARIABLES //
+
+const LIB_DIRECTORY = path.join( __dirname, '..', 'lib' );
+const RE_ROUTE = /^(?:router|app)\.(get|post|put|delete|patch)\(\s*'([^']+)'/gm;
+const RE_SOCKET_EVENT = /socket\.on\( '([a-z_]+)'/g;
+const RESERVED_SOCKET_EVENTS = [ 'disconnect', 'disconnecting', 'error' ];
+const RE_PERMISSION_CHECK = /(?:validatePermissions\( req, |hasPermission\( req\.user, |checkPermissions\( )'([a-z_]+)'/g;
+const RE_BLOCK_COMMENT = /\/\*[\s\S]*?\*\//g;
+const RE_LINE_COMMENT = /^\s*\/\/.*$/gm;
+const RE_FUNCTION = /^(?:async )?function (\w+)\(/gm;
+const RE_HELPER = /^const (\w+) = require\( '([^']*\/helpers\/[^']+)' \);$/gm;
+const RE_STRING = /'([a-z_]+)'/g;
+const RE_IDENTIFIER = /\b([A-Za-z_]\w*)\b/g;
+
+
+// FUNCTIONS //
+
+/**
+* Returns the paths of all JavaScript files in a directory and its subdirectories.
+*
+* @private
+* @param {string} dir - directory
+* @returns {Array<string>} file paths
+*/
+function sourceFiles( dir ) {
+	let out = [];
+	const entries = fs.readdirSync( dir, { withFileTypes: true });
+	for ( let i = 0; i < entries.length; i++ ) {
+		const file = path.join( dir, entries[ i ].name );
+		if ( entries[ i ].isDirectory() ) {
+			out = out.concat( sourceFiles( file ) );
+		} else if ( entries[ i ].name.endsWith( '.js' ) ) {
+			out.push( file );
+		}
+	}
+	return out;
+}
+
+/**
+* Reads the source code of a file without its comments.
+*
+* @private
+* @param {string} file - file path
+* @returns {string} source code
+*/
+function readCode( file ) {
+	return fs.readFileSync( file, 'utf8' )
+		.replace( RE_BLOCK_COMMENT, '' )
+		.replace( RE_LINE_COMMENT, '' );
+}
+
+/**
+* Returns the code of the functions declared in a file and of the helper modules it requires, keyed by the names under which they can be referenced.
+*
+* @private
+* @param {string} file - file path
+* @param {string} code - source code of the file without comments
+* @returns {Object} hash table from names to code
+*/
+function dependencies( file, code ) {
+	const out = Object.create( null );
+	let match = RE_FUNCTION.exec( code );
+	while ( match ) {
+		const end = code.indexOf( '\n}\n', match.index );
+		out[ match[ 1 ] ] = code.slice( match.index, ( end === -1 ) ? code.length : end );
+		match = RE_FUNCTION.exec( code );
+	}
+	match = RE_HELPER.exec( code );
+	while ( match ) {
+		out[ match[ 1 ] ] = readCode( path.resolve( path.dirname( file ), match[ 2 ] ) );
+		match = RE_HELPER.exec( code );
+	}
+	return out;
+}
+
+/**
+* Returns the permissions checked by a piece of code, including the permissions checked by the functions and helpers it references.
+*
+* @private
+* @param {string} code - source code
+* @param {Object} deps - hash table from names to code of the referenced functions and helpers
+* @param {Set} visited - names of the functions and helpers which have already been inspected
+* @returns {Set} names of the checked permissions
+*/
+function checkedPermissions( code, deps, visited ) {
+	const out = new Set();
+	for ( const match of code.matchAll( RE_STRING ) ) {
+		if ( PERMISSIONS[ match[ 1 ] ] ) {
+			out.add( match[ 1 ] );
+		}
+	}
+	for ( const match of code.matchAll( RE_IDENTIFIER ) ) {
+		const name = match[ 1 ];
+		if ( deps[ name ] !== void 0 && !visited.has( name ) ) {
+			visited.add( name );
+			checkedPermissions( deps[ name ], deps, visited ).forEach( x => out.add( x ) );
+		}
+	}
+	return out;
+}
+
+
+// TESTS //
+
+tape( 'every route of the server is listed in the route catalogue', function test( t ) {
+	const files = sourceFiles( LIB_DIRECTORY );
+	const missing = [];
+	for ( let i = 0; i < files.length; i++ ) {
+		const source = fs.readFileSync( files[ i ], 'utf8' );
+		let match = RE_ROUTE.exec( source );
+		while ( match ) {
+			const key = match[ 1 ].toUpperCase() + ' ' + match[ 2 ];
+			if ( !ROUTE_PERMISSIONS[ key ] ) {
+				missing.push( key );
+			}
+			match = RE_ROUTE.exec( source );
+		}
+	}
+	t.deepEqual( missing, [], 'has no routes missing from the catalogue' );
+	t.end();
+});
+
+tape( 'every route checks the permissions listed for it in the route catalogue', function test( t ) {
+	const files = sourceFiles( LIB_DIRECTORY );
+	const unchecked = [];
+	for ( let i = 0; i < files.length; i++ ) {
+		const code = readCode( files[ i ] );
+		const deps = dependencies( files[ i ], code );
+		const routes = Array.from( code.matchAll( RE_ROUTE ) );
+		for ( let j = 0; j < routes.length; j++ ) {
+			const key = routes[ j ][ 1 ].toUpperCase() + ' ' + routes[ j ][ 2 ];
+			const end = ( j < routes.length - 1 ) ? routes[ j+1 ].index : code.length;
+			const checked = checkedPermissions( code.slice( routes[ j ].index, end ), deps, new Set() );
+			const listed = ROUTE_PERMISSIONS[ key ] || [];
+			for ( let k = 0; k < listed.length; k++ ) {
+				if ( !checked.has( listed[ k ] ) ) {
+					unchecked.push( `${key}: ${listed[ k ]}` );
+				}
+			}
+		}
+	}
+	t.deepEqual( unchecked, [], 'has no catalogued permissions which are not checked by the respective route' );
+	t.end();
+});
+
+tape( 'every socket event handled by the server is listed in the socket event catalogue', function test( t ) {
+	const source = fs.readFileSync( path.join( LIB_DIRECTORY, 'sockets', 'handler.js' ), 'utf8' );
+	const events = [];
+	let match = RE_SOCKET_EVENT.exec( source );
+	while ( match ) {
+		if ( !RESERVED_SOCKET_EVENTS.includes( match[ 1 ] ) ) {
+			events.push( match[ 1 ] );
+		}
+		match = RE_SOCKET_EVENT.exec( source );
+	}
+	t.deepEqual( events.sort(), objectKeys( SOCKET_EVENT_PERMISSIONS ).sort(), 'lists exactly the handled socket events' );
+	t.end();
+});
+
+tape( 'the catalogues only reference known permissions', function test( t ) {
+	const catalogue = { ...ROUTE_PERMISSIONS, ...SOCKET_EVENT_PERMISSIONS };
+	const keys = objectKeys( catalogue );
+	for ( let i = 0; i < keys.length; i++ ) {
+		const unknown = catalogue[ keys[ i ] ].filter( x => !PERMISSIONS[ x ] );
+		if ( unknown.length > 0 ) {
+			t.fail( `${keys[ i ]} references unknown permissions: ${unknown.join( ', ' )}` );
+		}
+	}
+	for ( let i = 0; i < DEFAULT_ROLES.length; i++ ) {
+		const { builtIn, permissions } = DEFAULT_ROLES[ i ];
+		const names = objectKeys( permissions );
+		t.ok( names.every( x => PERMISSIONS[ x ] && permissions[ x ] === true ), `built-in role ${builtIn} only grants known permissions` );
+	}
+	const files = sourceFiles( LIB_DIRECTORY );
+	const unknown = [];
+	for ( let i = 0; i < files.length; i++ ) {
+		const source = fs.readFileSync( files[ i ], 'utf8' );
+		let match = RE_PERMISSION_CHECK.exec( source );
+		while ( match ) {
+			if ( !PERMISSIONS[ match[ 1 ] ] ) {
+				unknown.push( match[ 1 ] );
+			}
+			match = RE_PERMISSION_CHECK.exec( source );
+		}
+	}
+	t.deepEqual( unknown, [], 'routers only check known permissions' );
+	t.end();
+});
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'the migration creates the built-in roles', async function test( t ) {
+	const admin = await User.create({
+		'email': 'permissions.admin@isledocs.com',
+		'password': 'admin'
+	});
+	await Role.create({
+		'title': 'Owner',
+		'createdBy': admin,
+		'permissions': {}
+	});
+	let result = await defaultRoles.up();
+	t.strictEqual( result.created, DEFAULT_ROLES.length, 'creates all built-in roles' );
+
+	const owner = await Role.findOne({ builtIn: 'owner' });
+	t.strictEqual( owner.title, 'Owner (built-in)', 'appends suffix to titles of existing custom roles' );
+
+	result = await defaultRoles.up();
+	t.strictEqual( result.created, 0, 'does not create roles twice' );
+	t.end();
+});
+
+tape( 'resolves permissions along the lesson, namespace and global levels', async function test( t ) {
+	const instructor = await User.create({
+		'email': 'permissions.instructor@isledocs.com',
+		'password': 'instructor',
+		'writeAccess': true
+	});
+	const ta = await User.create({
+		'email': 'permissions.ta@isledocs.com',
+		'password': 'ta'
+	});
+	const student = await User.create({
+		'email': 'permissions.student@isledocs.com',
+		'password': 'student'
+	});
+	const namespace = await Namespace.create({
+		'title': 'permissions-course',
+		'description': 'Course for permission tests',
+		'owners': [ instructor ]
+	});
+	const lesson = await Lesson.create({
+		'namespace': namespace,
+		'title': 'permissions-lesson'
+	});
+	const otherLesson = await Lesson.create({
+		'namespace': namespace,
+		'title': 'permissions-other-lesson'
+	});
+	const taRole = await Role.findOne({ builtIn: 'teaching-assistant' });
+	const restricted = await Role.create({
+		'title': 'No Grading',
+		'createdBy': instructor,
+		'permissions': {
+			'grade_students': false
+		}
+	});
+	await User.updateOne({ _id: ta._id }, {
+		'roles.namespace': [ { context: String( namespace._id ), role: taRole._id } ],
+		'roles.lesson': [ { context: String( otherLesson._id ), role: restricted._id } ]
+	});
+	const assistant = await User.findById( ta._id );
+	updateRolesHash();
+
+	t.strictEqual( await hasPermission( instructor, 'create_namespace' ), true, 'grants global permissions of instructors' );
+	t.strictEqual( await hasPermission( instructor, 'update_lesson', { lesson }), true, 'grants lesson permissions to namespace owners' );
+	t.strictEqual( await hasPermission( student, 'update_lesson', { lesson }), false, 'denies lesson permissions to students' );
+	t.strictEqual( await hasPermission( assistant, 'grade_students', { lesson }), true, 'grants grading rights to teaching assistants' );
+	t.strictEqual( await hasPermission( assistant, 'update_lesson', { lesson }), false, 'does not grant other lesson permissions to teaching assistants' );
+	t.strictEqual( await hasPermission( assistant, 'grade_students', { lesson: otherLesson }), false, 'lets denials for a lesson override grants for its namespace' );
+	t.strictEqual( await hasPermission( assistant, 'grade_students' ), false, 'does not grant namespace roles globally' );
+	t.strictEqual( await hasPermission( null, 'grade_students', { lesson }), false, 'denies permissions without a user' );
+	try {
+		await hasPermission( instructor, 'unknown_permission' );
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.strictEqual( err.message, 'Unknown permission: unknown_permission', 'throws for unknown permissions' );
+	}
+	t.end();
+});
+
+tape( 'explains the role and level effective permissions come from', async function test( t ) {
+	const assistant = await User.findOne({ email: 'permissions.ta@isledocs.com' });
+	const instructor = await User.findOne({ email: 'permissions.instructor@isledocs.com' });
+	const student = await User.findOne({ email: 'permissions.student@isledocs.com' });
+	const lesson = await Lesson.findOne({ title: 'permissions-lesson' });
+	const otherLesson = await Lesson.findOne({ title: 'permissions-other-lesson' });
+
+	let permissions = await explainPermissions( assistant, { lesson });
+	t.deepEqual( objectKeys( permissions ).sort(), objectKeys( PERMISSIONS ).sort(), 'returns decisions for all permissions' );
+	t.strictEqual( permissions.grade_students.granted, true, 'grants permission' );
+	t.strictEqual( permissions.grade_students.level, 'namespace', 'returns level of the decision' );
+	t.strictEqual( permissions.grade_students.role.builtIn, 'teaching-assistant', 'returns role of the decision' );
+	t.strictEqual( permissions.grade_students.implicit, false, 'marks explicitly assigned roles' );
+
+	permissions = await explainPermissions( assistant, { lesson: otherLesson });
+	t.strictEqual( permissions.grade_students.granted, false, 'denies permission' );
+	t.strictEqual( permissions.grade_students.level, 'lesson', 'returns level of the denial' );
+	t.strictEqual( permissions.grade_students.role.title, 'No Grading', 'returns role of the denial' );
+
+	permissions = await explainPermissions( instructor, { lesson });
+	t.strictEqual( permissions.update_lesson.role.builtIn, 'owner', 'attributes permissions of namespace owners to the built-in owner role' );
+	t.strictEqual( permissions.update_lesson.implicit, true, 'marks implicitly held roles' );
+	t.strictEqual( permissions.create_namespace.level, 'global', 'resolves global permissions at the global level' );
+
+	permissions = await explainPermissions( student, { lesson });
+	t.deepEqual( permissions.view_gradebook, { granted: false, level: null, role: null, implicit: false }, 'returns undecided permissions as not granted' );
+	t.end();
+});
+
+tape( 'program administrators hold the permissions of the namespaces in their programs', async function test( t ) {
+	const head = await User.create({
+		'email': 'permissions.head@isledocs.com',
+		'password': 'head'
+	});
+	const program = await Program.create({
+		'title': 'MS Statistics',
+		'administrators': [ head ]
+	});
+	const lesson = await Lesson.findOne({ title: 'permissions-lesson' });
+	const namespace = await Namespace.findById( lesson.namespace );
+
+	t.strictEqual( await hasPermission( head, 'view_program_statistics', { program }), true, 'grants program permissions' );
+	t.strictEqual( await hasPermission( head, 'update_lesson', { lesson }), false, 'does not grant permissions for namespaces outside of the program' );
+
+	namespace.program = program._id;
+	await namespace.save();
+	t.strictEqual( await hasPermission( head, 'update_lesson', { lesson }), true, 'grants lesson permissions for namespaces of the program' );
+	t.strictEqual( await hasPermission( head, 'manage_program', { namespace }), true, 'derives program from namespace' );
+	t.strictEqual( await hasPermission( head, 'manage_programs' ), false, 'does not grant global permissions' );
+
+	const permissions = await explainPermissions( head, { lesson });
+	t.strictEqual( permissions.update_lesson.level, 'program', 'resolves permissions at the program level' );
+	t.strictEqual( permissions.update_lesson.role.builtIn, 'program-administrator', 'attributes permissions to the built-in program administrator role' );
+
+	const instructor = await User.findOne({ email: 'permissions.instructor@isledocs.com' });
+	t.strictEqual( await hasPermission( instructor, 'manage_program', { program }), false, 'does not grant program permissions to namespace owners' );
+	t.end();
+});
+
+tape( 'administrators hold all permissions', async function test( t ) {
+	const admin = await User.findOneAndUpdate({ email: 'permissions.admin@isledocs.com' }, { administrator: true }, { new: true });
+	t.strictEqual( await hasPermission( admin, 'manage_roles' ), true, 'grants global permissions' );
+
+	const lesson = await Lesson.findOne({ title: 'permissions-lesson' });
+	t.strictEqual( await hasPermission( admin, 'delete_lesson', { lesson }), true, 'grants lesson permissions' );
+
+	const permissions = await explainPermissions( admin, { lesson });
+	t.strictEqual( permissions.delete_lesson.role.builtIn, 'administrator', 'attributes permissions to the built-in administrator role' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
@@ -0,0 +1,48 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const pseudonymize = require( './../lib/utils/pseudonymize.js' );
+const toCSVRow = require( './../lib/utils/to_csv_row.js' );
+
+
+// TESTS //
+
+tape( 'the function returns a stable pseudonym for a given salt', function test( t ) {
+	const a = pseudonymize( 'jane@isledocs.com', 'salt' );
+	t.strictEqual( typeof a, 'string', 'returns a string' );
+	t.notOk( a.includes( 'jane' ), 'does not reveal the value' );
+	t.strictEqual( pseudonymize( 'jane@isledocs.com', 'salt' ), a, 'returns the same pseudonym for the same value' );
+	t.strictEqual( pseudonymize( 'Jane@isledocs.com', 'salt' ), a, 'ignores case of email addresses' );
+	t.notEqual( pseudonymize( 'jane@isledocs.com', 'other salt' ), a, 'returns a different pseudonym for a different salt' );
+	t.notEqual( pseudonymize( 'zorro@isledocs.com', 'salt' ), a, 'returns a different pseudonym for a different value' );
+	t.strictEqual( pseudonymize( null, 'salt' ), null, 'returns null if no value is provided' );
+	t.end();
+});
+
+tape( 'the function converts values to a line of CSV', function test( t ) {
+	const date = new Date( 1499033385712 );
+	t.strictEqual( toCSVRow( [ 'a', 1, null, void 0 ] ), 'a,1,,\n', 'formats primitive values' );
+	t.strictEqual( toCSVRow( [ 'x,y', 'say "hi"' ] ), '"x,y","say ""hi"""\n', 'quotes special characters' );
+	t.strictEqual( toCSVRow( [ date ] ), date.toISOString()+'\n', 'formats dates' );
+	t.strictEqual( toCSVRow( [ { a: 1 } ] ), '"{""a"":1}"\n', 'serializes objects' );
+	t.end();
+});
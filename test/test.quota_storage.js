@@ -0,0 +1,158 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+const { PassThrough } = require( 'stream' );
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const noop = require( '@stdlib/utils/noop' );
+
+
+// VARIABLES //
+
+const UPLOAD_DIRECTORY = fs.mkdtempSync( path.join( os.tmpdir(), 'isle-uploads-' ) );
+const usage = {
+	user: 0,
+	namespace: 0
+};
+const QuotaStorage = proxyquire.noCallThru()( './../lib/storage/quota_storage.js', {
+	'./quota.js': {
+		fileTypeLimit: type => ( type === 'image/png' ) ? 0.0005 : null,
+		namespaceQuota: () => 0.002,
+		namespaceUsage: async () => ({ size: usage.namespace }), // eslint-disable-line require-await
+		userQuota: () => 0.001,
+		userUsage: async () => ({ size: usage.user }) // eslint-disable-line require-await
+	},
+	'./../models/namespace.js': {},
+	'./../debug': () => noop
+});
+const diskStorage = {
+	_handleFile( req, file, cb ) {
+		const filePath = path.join( UPLOAD_DIRECTORY, file.originalname );
+		const out = fs.createWriteStream( filePath );
+		file.stream.pipe( out );
+		out.on( 'error', cb );
+		out.on( 'finish', () => cb( null, { path: filePath, size: out.bytesWritten }) );
+	},
+	_removeFile( req, file, cb ) {
+		fs.unlink( file.path, cb );
+	}
+};
+const storage = new QuotaStorage( diskStorage );
+
+
+// FUNCTIONS //
+
+function createRequest( body ) {
+	return {
+		t: ( key, opts ) => key + ' ' + JSON.stringify( opts ),
+		user: { _id: '61b782236ebb6a7edc089755' },
+		query: {},
+		body: body || {}
+	};
+}
+
+function upload( req, { name, fieldname, mimetype, size }) {
+	return new Promise( resolve => {
+		const stream = new PassThrough();
+		const file = {
+			originalname: name,
+			fieldname: fieldname || 'file',
+			mimetype: mimetype || 'application/pdf',
+			stream
+		};
+		storage._handleFile( req, file, ( err, info ) => {
+			resolve({ err, info });
+		});
+		stream.end( Buffer.alloc( size ) );
+	});
+}
+
+function exists( name ) {
+	return fs.existsSync( path.join( UPLOAD_DIRECTORY, name ) );
+}
+
+
+// TESTS //
+
+tape( 'stores files within the quotas and accumulates their size', async function test( t ) {
+	const req = createRequest();
+	const out = await upload( req, { name: 'notes.pdf', size: 600 });
+	t.strictEqual( out.err, null, 'does not return an error' );
+	t.strictEqual( out.info.size, 600, 'stores the whole file' );
+	t.ok( exists( 'notes.pdf' ), 'writes file to disk' );
+	t.strictEqual( req.uploadSize, 0.0006, 'accumulates size of uploaded files' );
+	t.end();
+});
+
+tape( 'rejects files exceeding the quota of the user including earlier files of the request', async function test( t ) {
+	const req = createRequest();
+	await upload( req, { name: 'first.pdf', size: 600 });
+	const out = await upload( req, { name: 'second.pdf', size: 600 });
+	t.strictEqual( out.err.statusCode, 413, 'returns 413 status code' );
+	t.strictEqual( out.err.message, 'user-storage-quota-exceeded {"max":0.001}', 'returns expected error message' );
+	t.notOk( exists( 'second.pdf' ), 'removes truncated file' );
+	t.end();
+});
+
+tape( 'rejects files exceeding the maximum size for their type', async function test( t ) {
+	const out = await upload( createRequest(), { name: 'avatar.png', fieldname: 'avatar', mimetype: 'image/png', size: 1000 });
+	t.strictEqual( out.err.statusCode, 413, 'returns 413 status code' );
+	t.strictEqual( out.err.message, 'file-type-size-exceeded {"type":"image/png","max":0.0005}', 'returns expected error message' );
+	t.notOk( exists( 'avatar.png' ), 'removes truncated file' );
+	t.end();
+});
+
+tape( 'applies the quota of the user to profile pictures', async function test( t ) {
+	usage.user = 0.001;
+	const out = await upload( createRequest(), { name: 'picture.jpg', fieldname: 'avatar', mimetype: 'image/jpeg', size: 10 });
+	t.strictEqual( out.err.statusCode, 413, 'returns 413 status code' );
+	t.strictEqual( out.err.message, 'user-storage-quota-exceeded {"max":0.001}', 'returns expected error message' );
+	t.notOk( exists( 'picture.jpg' ), 'does not write file to disk' );
+	usage.user = 0;
+	t.end();
+});
+
+tape( 'does not apply the quota of the user to lessons', async function test( t ) {
+	usage.user = 1;
+	const out = await upload( createRequest(), { name: 'lesson.zip', fieldname: 'zipped', mimetype: 'application/zip', size: 600 });
+	t.strictEqual( out.err, null, 'does not return an error' );
+	t.ok( exists( 'lesson.zip' ), 'writes file to disk' );
+	usage.user = 0;
+	t.end();
+});
+
+tape( 'rejects files when the quota of the namespace is exhausted', async function test( t ) {
+	usage.namespace = 0.002;
+	const out = await upload( createRequest({ namespaceID: '61b782236ebb6a7edc089756' }), { name: 'attachment.pdf', fieldname: 'attachment', size: 10 });
+	t.strictEqual( out.err.statusCode, 413, 'returns 413 status code' );
+	t.strictEqual( out.err.message, 'namespace-storage-quota-exceeded {"max":0.002}', 'returns expected error message' );
+	t.notOk( exists( 'attachment.pdf' ), 'does not write file to disk' );
+	usage.namespace = 0;
+	t.end();
+});
+
+tape( 'perform clean-up', function test( t ) {
+	fs.rmSync( UPLOAD_DIRECTORY, { recursive: true, force: true });
+	t.end();
+});
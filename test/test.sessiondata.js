@@ -26,6 +26,7 @@ const utils = require( './utils.js' );
 const Namespace = require( './../lib/models/namespace.js' );
 const Lesson = require( './../lib/models/lesson.js' );
 const SessionData = require( './../lib/models/session_data.js' );
+const sessionDataFields = require( './../lib/migrations/session_data_fields.js' );
 
 
 // FUNCTIONS //
@@ -87,6 +88,9 @@ tape( 'successfully creates a session data object for a given lesson and user',
 			t.deepEqual( sessionData.data, data, 'has expected data' );
 			t.strictEqual( sessionData.user, obj.user, 'has expected user' );
 			t.strictEqual( sessionData.lesson, obj.lesson, 'has expected lesson' );
+			t.strictEqual( sessionData.componentID, 'Question 1', 'has expected component ID' );
+			t.strictEqual( sessionData.actionType, 'RSHELL_EVALUATION', 'has expected action type' );
+			t.strictEqual( sessionData.time.getTime(), 1499033385712, 'has expected time' );
 			next( null );
 		});
 	}
@@ -226,4 +230,41 @@ tape( 'fails creating a session data object when no lesson is given', function t
 	});
 });
 
+tape( 'the session data migration copies component ID, action type and time of existing session data into indexed fields', async function test( t ) {
+	const lesson = await Lesson.findOne({ 'title': 'My first lesson' });
+	await SessionData.collection.insertMany([
+		{
+			'type': 'action',
+			'lesson': lesson._id,
+			'data': {
+				'absoluteTime': 1499033385712,
+				'value': 'Yes',
+				'type': 'SELECT_QUESTION_SUBMISSION',
+				'id': 'Legacy Question'
+			}
+		},
+		{
+			'type': 'action',
+			'lesson': lesson._id,
+			'data': {
+				'absoluteTime': 'not a time',
+				'type': 'SELECT_QUESTION_SUBMISSION',
+				'id': 'Legacy Question'
+			}
+		}
+	]);
+	const result = await sessionDataFields.up();
+	t.strictEqual( result.modified, 2, 'updates legacy session data' );
+
+	const migrated = await SessionData.find({ 'componentID': 'Legacy Question' }).sort( 'time' );
+	t.strictEqual( migrated.length, 2, 'finds migrated session data by component ID' );
+	t.strictEqual( migrated[ 0 ].time, null, 'sets invalid times to null' );
+	t.strictEqual( migrated[ 1 ].actionType, 'SELECT_QUESTION_SUBMISSION', 'has expected action type' );
+	t.strictEqual( migrated[ 1 ].time.getTime(), 1499033385712, 'has expected time' );
+
+	const rerun = await sessionDataFields.up();
+	t.strictEqual( rerun.modified, 0, 'does not update session data a second time' );
+	t.end();
+});
+
 tape( 'perform clean-up', utils.after );
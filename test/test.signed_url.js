@@ -0,0 +1,78 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const { backupPath, mediaPath } = require( './../lib/utils/media_path.js' );
+const { MEDIA_DIRECTORY } = require( './../lib/constants.js' );
+
+
+// VARIABLES //
+
+const { signURL, verifySignedURL } = proxyquire.noCallThru()( './../lib/utils/signed_url.js', {
+	'./../credentials.js': {
+		'tokens': {
+			'jwtKey': 'json_web_token_key'
+		}
+	}
+});
+
+
+// FUNCTIONS //
+
+/**
+* Returns the query parameters of a signed URL.
+*
+* @private
+* @param {string} url - signed URL
+* @returns {Object} query parameters
+*/
+function query( url ) {
+	const params = new URL( url, 'https://isledocs.com' ).searchParams;
+	return {
+		expires: params.get( 'expires' ),
+		signature: params.get( 'signature' )
+	};
+}
+
+
+// TESTS //
+
+tape( 'signed URLs grant access to the signed path until they expire', function test( t ) {
+	const url = signURL( '/data_1589788000000.csv' );
+	t.ok( url.includes( '/data_1589788000000.csv?expires=' ), 'appends expiration time to path' );
+	t.strictEqual( verifySignedURL( '/data_1589788000000.csv', query( url ) ), true, 'accepts valid signature' );
+	t.strictEqual( verifySignedURL( '/other_1589788000000.csv', query( url ) ), false, 'rejects signature for another path' );
+
+	const params = query( url );
+	t.strictEqual( verifySignedURL( '/data_1589788000000.csv', { ...params, expires: String( Number( params.expires ) + 60 ) }), false, 'rejects extended expiration time' );
+	t.strictEqual( verifySignedURL( '/data_1589788000000.csv', { ...params, expires: '1589788000' }), false, 'rejects expired URLs' );
+	t.strictEqual( verifySignedURL( '/data_1589788000000.csv', { expires: params.expires, signature: 'abc' }), false, 'rejects malformed signatures' );
+	t.strictEqual( verifySignedURL( '/data_1589788000000.csv', {}), false, 'rejects unsigned requests' );
+	t.end();
+});
+
+tape( 'the URL paths of files and backups are percent-encoded', function test( t ) {
+	t.strictEqual( mediaPath({ path: MEDIA_DIRECTORY+'/my data.csv' }), '/my%20data.csv', 'returns path of uploaded file' );
+	t.strictEqual( mediaPath({ path: MEDIA_DIRECTORY+'/attachments/screenshot.png' }), '/attachments/screenshot.png', 'returns path of file in subdirectory' );
+	t.strictEqual( backupPath({ filename: 'backup_1_1_2022.zip' }), '/backups/backup_1_1_2022.zip', 'returns path of backup' );
+	t.end();
+});
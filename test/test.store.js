@@ -0,0 +1,84 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const MemoryStore = require( './../lib/sockets/store/memory.js' );
+
+
+// TESTS //
+
+tape( 'the in-memory store returns `null` for keys without a value', async function test( t ) {
+	const store = new MemoryStore();
+	t.strictEqual( await store.get( 'beep' ), null, 'returns null' );
+	t.deepEqual( await store.range( 'beep' ), [], 'returns empty list' );
+	t.deepEqual( await store.getFields( 'beep' ), {}, 'returns empty hash' );
+	t.end();
+});
+
+tape( 'the in-memory store sets and deletes values', async function test( t ) {
+	const store = new MemoryStore();
+	const groups = [ { name: 'Group 1', members: []} ];
+	await store.set( 'groups', groups );
+
+	const out = await store.get( 'groups' );
+	t.deepEqual( out, groups, 'returns stored value' );
+	t.notEqual( out, groups, 'returns a copy' );
+
+	await store.delete( 'groups' );
+	t.strictEqual( await store.get( 'groups' ), null, 'removes value' );
+	t.end();
+});
+
+tape( 'the in-memory store only sets a value if the current value equals the expected one', async function test( t ) {
+	const store = new MemoryStore();
+	t.strictEqual( await store.setIfEqual( 'version', null, 3 ), true, 'sets value for non-existent key' );
+	t.strictEqual( await store.setIfEqual( 'version', null, 5 ), false, 'does not set value for existing key' );
+	t.strictEqual( await store.setIfEqual( 'version', 2, 5 ), false, 'does not set value for outdated expectation' );
+	t.strictEqual( await store.setIfEqual( 'version', 3, 5 ), true, 'sets value for matching expectation' );
+	t.strictEqual( await store.get( 'version' ), 5, 'has expected value' );
+	t.end();
+});
+
+tape( 'the in-memory store keeps only the most recent list items', async function test( t ) {
+	const store = new MemoryStore();
+	for ( let i = 0; i < 5; i++ ) {
+		await store.push( 'messages', { content: 'Message '+i }, 3 );
+	}
+	const messages = await store.range( 'messages' );
+	t.deepEqual( messages.map( x => x.content ), [ 'Message 2', 'Message 3', 'Message 4' ], 'returns most recent items' );
+	t.end();
+});
+
+tape( 'the in-memory store manages hash fields', async function test( t ) {
+	const store = new MemoryStore();
+	await store.setField( 'members', 'jane@isledocs.com', { name: 'Jane' } );
+	await store.setField( 'members', 'john@isledocs.com', { name: 'John' } );
+	t.deepEqual( await store.getFields( 'members' ), {
+		'jane@isledocs.com': { name: 'Jane' },
+		'john@isledocs.com': { name: 'John' }
+	}, 'returns all fields' );
+
+	await store.deleteField( 'members', 'jane@isledocs.com' );
+	t.deepEqual( await store.getFields( 'members' ), {
+		'john@isledocs.com': { name: 'John' }
+	}, 'removes field' );
+	t.end();
+});
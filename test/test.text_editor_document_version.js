@@ -0,0 +1,85 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const mongoose = require( 'mongoose' );
+const utils = require( './utils.js' );
+const TextEditorDocumentVersion = require( './../lib/models/text_editor_document_version.js' );
+
+
+// VARIABLES //
+
+const DOC = {
+	'type': 'doc',
+	'content': [
+		{
+			'type': 'paragraph',
+			'content': [ { 'type': 'text', 'text': 'Group report' } ]
+		}
+	]
+};
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'successfully creates a document version with default values', function test( t ) {
+	TextEditorDocumentVersion.create({
+		'id': 'report',
+		'namespace': new mongoose.Types.ObjectId(),
+		'lesson': new mongoose.Types.ObjectId(),
+		'version': 12,
+		'authors': [ 'mister.x@isledocs.com', 'zorro@isledocs.com' ],
+		'doc': DOC
+	}, function onCreate( err, version ) {
+		if ( err ) {
+			t.fail( 'should not return an error' );
+			return t.end();
+		}
+		t.strictEqual( version.version, 12, 'has expected version' );
+		t.strictEqual( version.kind, 'auto', 'is a periodic snapshot by default' );
+		t.deepEqual( version.authors.toObject(), [ 'mister.x@isledocs.com', 'zorro@isledocs.com' ], 'has expected authors' );
+		t.deepEqual( version.doc, DOC, 'has expected document' );
+		t.end();
+	});
+});
+
+tape( 'fails creating a document version with an unknown kind', function test( t ) {
+	TextEditorDocumentVersion.create({
+		'id': 'report',
+		'namespace': new mongoose.Types.ObjectId(),
+		'lesson': new mongoose.Types.ObjectId(),
+		'version': 3,
+		'kind': 'manual',
+		'doc': DOC
+	}, function onCreate( err ) {
+		if ( err ) {
+			t.pass( 'should return an error' );
+			t.strictEqual( err.errors.kind.kind, 'enum', 'returns enum validation error' );
+		} else {
+			t.fail( 'expected an error' );
+		}
+		t.end();
+	});
+});
+
+tape( 'perform clean-up', utils.after );
@@ -0,0 +1,218 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const fs = require( 'fs' );
+const os = require( 'os' );
+const path = require( 'path' );
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const AdmZip = require( 'adm-zip' );
+
+
+// VARIABLES //
+
+const NAMESPACES_DIRECTORY = fs.mkdtempSync( path.join( os.tmpdir(), 'isle-namespaces-' ) );
+const LESSON_ID = '61b782236ebb6a7edc089755';
+const settings = {
+	lessonUploadMaxSizeMB: 1,
+	lessonUploadMaxFiles: 5
+};
+const { removePreviousLessonFolder, rollbackLessonFolder, unzipLessonFolder } = proxyquire( './../lib/unzip_lesson_folder.js', {
+	'./../etc/settings.json': settings,
+	'./constants.js': {
+		NAMESPACES_DIRECTORY
+	}
+});
+const LOCAL_FILE_HEADER = Buffer.from([ 0x50, 0x4b, 0x03, 0x04 ]);
+const CENTRAL_DIRECTORY_HEADER = Buffer.from([ 0x50, 0x4b, 0x01, 0x02 ]);
+const translate = ( key, opts ) => key + ( opts ? ' '+JSON.stringify( opts ) : '' );
+let counter = 0;
+
+
+// FUNCTIONS //
+
+function writeArchive( files ) {
+	const zip = new AdmZip();
+	for ( const name in files ) {
+		if ( Object.prototype.hasOwnProperty.call( files, name ) ) {
+			zip.addFile( name, Buffer.from( files[ name ] ) );
+		}
+	}
+	counter += 1;
+	const filename = 'upload-'+counter;
+	zip.writeZip( path.join( NAMESPACES_DIRECTORY, filename ) );
+	return filename;
+}
+
+function lessonFile( name ) {
+	const file = path.join( NAMESPACES_DIRECTORY, 'Statistics', 'Regression', name );
+	return fs.existsSync( file ) ? fs.readFileSync( file, 'utf8' ) : null;
+}
+
+function upload( files, quota ) {
+	return unzipLessonFolder({
+		namespaceName: 'Statistics',
+		lessonName: 'Regression',
+		lessonID: LESSON_ID,
+		filename: writeArchive( files ),
+		t: translate,
+		quota
+	});
+}
+
+
+// TESTS //
+
+tape( 'extracts a lesson archive into the lesson directory', async function test( t ) {
+	const out = await upload({
+		'index.html': 'version 1',
+		'js/bundle.js': 'console.log( 1 );'
+	});
+	t.strictEqual( out.files, 2, 'returns number of extracted files' );
+	t.strictEqual( out.size, 26, 'returns total size of extracted files' );
+	t.strictEqual( out.hasPreviousVersion, false, 'indicates that there was no previous version' );
+	t.strictEqual( lessonFile( 'index.html' ), 'version 1', 'extracts files' );
+	t.strictEqual( lessonFile( 'js/bundle.js' ), 'console.log( 1 );', 'extracts files in subdirectories' );
+	t.end();
+});
+
+tape( 'replaces the lesson and keeps the previous version', async function test( t ) {
+	const out = await upload({
+		'index.html': 'version 2'
+	});
+	t.strictEqual( out.hasPreviousVersion, true, 'indicates that the previous version was kept' );
+	t.strictEqual( lessonFile( 'index.html' ), 'version 2', 'deploys new version' );
+	t.strictEqual( lessonFile( 'js/bundle.js' ), null, 'removes files not contained in the new version' );
+	t.end();
+});
+
+tape( 'rejects archives with paths outside of the lesson directory', async function test( t ) {
+	const names = [ '../../escaped.html', '/etc/escaped.html', 'js/../../escaped.html', 'C:\\escaped.html' ];
+	for ( let i = 0; i < names.length; i++ ) {
+		try {
+			await upload({ [ names[ i ] ]: 'evil' });
+			t.fail( 'expected an error' );
+		} catch ( err ) {
+			t.strictEqual( err.statusCode, 400, 'returns 400 status code for '+names[ i ] );
+			t.ok( err.message.startsWith( 'lesson-archive-unsafe-path' ), 'returns expected error message' );
+		}
+	}
+	t.strictEqual( fs.existsSync( path.join( NAMESPACES_DIRECTORY, 'escaped.html' ) ), false, 'does not write files outside of the lesson directory' );
+	t.strictEqual( lessonFile( 'index.html' ), 'version 2', 'keeps the current version' );
+	t.end();
+});
+
+tape( 'rejects archives exceeding the size and file count limits', async function test( t ) {
+	try {
+		await upload({ 'index.html': 'x'.repeat( 2 * 1024 * 1024 ) });
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.strictEqual( err.message, 'lesson-archive-too-large {"max":1}', 'returns expected error message' );
+	}
+	try {
+		await upload({ 'a.html': 'a', 'b.html': 'b', 'c.html': 'c', 'd.html': 'd', 'e.html': 'e', 'f.html': 'f' });
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.strictEqual( err.message, 'lesson-archive-too-many-files {"max":5}', 'returns expected error message' );
+	}
+	t.strictEqual( lessonFile( 'index.html' ), 'version 2', 'keeps the current version' );
+	t.end();
+});
+
+tape( 'rejects archives exceeding the storage quota of the namespace', async function test( t ) {
+	try {
+		await upload({ 'index.html': 'x'.repeat( 2000 ) }, { available: 0.001, max: 5 });
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.strictEqual( err.statusCode, 413, 'returns 413 status code' );
+		t.strictEqual( err.message, 'namespace-storage-quota-exceeded {"max":5}', 'returns expected error message' );
+	}
+	t.strictEqual( lessonFile( 'index.html' ), 'version 2', 'keeps the current version' );
+	t.end();
+});
+
+tape( 'rejects archives whose entries declare a smaller size than their decompressed data', async function test( t ) {
+	const zip = new AdmZip();
+	zip.addFile( 'index.html', Buffer.from( 'x'.repeat( 4 * 1024 * 1024 ) ) );
+	const buf = zip.toBuffer();
+
+	// Claim an uncompressed size of ten bytes in both the local file header and the central directory:
+	buf.writeUInt32LE( 10, buf.indexOf( LOCAL_FILE_HEADER ) + 22 );
+	buf.writeUInt32LE( 10, buf.indexOf( CENTRAL_DIRECTORY_HEADER ) + 24 );
+	const filename = 'upload-lying-header';
+	fs.writeFileSync( path.join( NAMESPACES_DIRECTORY, filename ), buf );
+	try {
+		await unzipLessonFolder({
+			namespaceName: 'Statistics',
+			lessonName: 'Regression',
+			lessonID: LESSON_ID,
+			filename,
+			t: translate
+		});
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.strictEqual( err.statusCode, 400, 'returns 400 status code' );
+		t.strictEqual( err.message, 'lesson-archive-too-large {"max":1}', 'returns expected error message' );
+	}
+	t.strictEqual( lessonFile( 'index.html' ), 'version 2', 'keeps the current version' );
+	t.end();
+});
+
+tape( 'rejects corrupt archives', async function test( t ) {
+	const filename = 'upload-corrupt';
+	fs.writeFileSync( path.join( NAMESPACES_DIRECTORY, filename ), 'not a zip archive' );
+	try {
+		await unzipLessonFolder({
+			namespaceName: 'Statistics',
+			lessonName: 'Regression',
+			lessonID: LESSON_ID,
+			filename,
+			t: translate
+		});
+		t.fail( 'expected an error' );
+	} catch ( err ) {
+		t.strictEqual( err.statusCode, 400, 'returns 400 status code' );
+		t.strictEqual( err.message, 'lesson-archive-invalid', 'returns expected error message' );
+	}
+	const staging = fs.readdirSync( path.join( NAMESPACES_DIRECTORY, '.staging' ) );
+	t.strictEqual( staging.length, 0, 'removes staging directories of failed uploads' );
+	t.end();
+});
+
+tape( 'rolls back to the previous version and back again', async function test( t ) {
+	let restored = await rollbackLessonFolder({ namespaceName: 'Statistics', lessonName: 'Regression', lessonID: LESSON_ID });
+	t.strictEqual( restored, true, 'returns `true`' );
+	t.strictEqual( lessonFile( 'index.html' ), 'version 1', 'restores previous version' );
+
+	restored = await rollbackLessonFolder({ namespaceName: 'Statistics', lessonName: 'Regression', lessonID: LESSON_ID });
+	t.strictEqual( lessonFile( 'index.html' ), 'version 2', 'undoes the rollback' );
+
+	await removePreviousLessonFolder( LESSON_ID );
+	restored = await rollbackLessonFolder({ namespaceName: 'Statistics', lessonName: 'Regression', lessonID: LESSON_ID });
+	t.strictEqual( restored, false, 'returns `false` if there is no previous version' );
+	t.strictEqual( lessonFile( 'index.html' ), 'version 2', 'keeps the current version' );
+	t.end();
+});
+
+tape( 'perform clean-up', function test( t ) {
+	fs.rmSync( NAMESPACES_DIRECTORY, { recursive: true, force: true });
+	t.end();
+});
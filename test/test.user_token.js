@@ -0,0 +1,151 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const proxyquire = require( 'proxyquire' );
+const utils = require( './utils.js' );
+const UserToken = require( './../lib/models/user_token.js' );
+const User = require( './../lib/models/user.js' );
+const issueUserToken = require( './../lib/utils/issue_user_token.js' );
+const consumeUserToken = require( './../lib/utils/consume_user_token.js' );
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'fails creating a user token with an unknown purpose', function test( t ) {
+	UserToken.create({
+		'user': '5a4e409c3d8668487003dec6',
+		'purpose': 'unknown',
+		'tokenHash': 'abc',
+		'expiresAt': new Date()
+	}, function onCreate( err ) {
+		if ( err ) {
+			t.pass( 'should return an error' );
+			t.ok( err.message.startsWith( 'UserToken validation failed' ), 'returns expected error message' );
+		} else {
+			t.fail( 'expected an error' );
+		}
+		t.end();
+	});
+});
+
+tape( 'user tokens are random, single-use and bound to their purpose', async function test( t ) {
+	const user = await User.create({
+		'email': 'token.user@isledocs.com',
+		'password': 'token'
+	});
+	const token = await issueUserToken({ user: user._id, purpose: 'registration' });
+	t.ok( /^[0-9a-f]{64}$/.test( token ), 'returns a random token' );
+	t.notEqual( token, String( user._id ), 'does not use the user ID as token' );
+
+	const stored = await UserToken.findOne({ user: user._id });
+	t.notEqual( stored.tokenHash, token, 'does not store the token itself' );
+	t.ok( stored.expiresAt > new Date(), 'sets an expiration date' );
+
+	let out = await consumeUserToken( token, [ 'reset-password' ]);
+	t.strictEqual( out, null, 'rejects a token issued for another purpose' );
+
+	out = await consumeUserToken( token, [ 'registration', 'cohort-invite' ]);
+	t.strictEqual( String( out.user ), String( user._id ), 'returns the user of the token' );
+	t.strictEqual( out.purpose, 'registration', 'returns the purpose of the token' );
+
+	out = await consumeUserToken( token, [ 'registration' ]);
+	t.strictEqual( out, null, 'rejects a token that has already been used' );
+	t.end();
+});
+
+tape( 'issuing a new password reset token invalidates earlier ones', async function test( t ) {
+	const user = await User.findOne({ 'email': 'token.user@isledocs.com' });
+	const first = await issueUserToken({ user: user._id, purpose: 'reset-password' });
+	const second = await issueUserToken({ user: user._id, purpose: 'reset-password' });
+
+	let out = await consumeUserToken( first, [ 'reset-password' ]);
+	t.strictEqual( out, null, 'rejects the earlier token' );
+
+	out = await consumeUserToken( second, [ 'reset-password' ]);
+	t.strictEqual( String( out.user ), String( user._id ), 'accepts the latest token' );
+	t.end();
+});
+
+tape( 'expired user tokens are rejected', async function test( t ) {
+	const user = await User.findOne({ 'email': 'token.user@isledocs.com' });
+	const token = await issueUserToken({
+		user: user._id,
+		purpose: 'confirm-email',
+		sentAt: Date.now() - ( 30 * 24 * 60 * 60 * 1000 )
+	});
+	const out = await consumeUserToken( token, [ 'confirm-email' ]);
+	t.strictEqual( out, null, 'rejects the expired token' );
+	t.end();
+});
+
+tape( 'user IDs are only accepted in place of tokens for the purposes of legacy links', async function test( t ) {
+	const consumeLegacyToken = proxyquire( './../lib/utils/consume_user_token.js', {
+		'./../../etc/settings.json': {
+			legacyUserTokensAcceptedUntil: '2100-01-01'
+		}
+	});
+	const user = await User.create({
+		'email': 'legacy.user@isledocs.com',
+		'password': 'legacy',
+		'verifiedEmail': false
+	});
+	const result = await consumeLegacyToken( String( user._id ), [ 'confirm-email' ]);
+	t.strictEqual( String( result.user ), String( user._id ), 'accepts user ID for email confirmation' );
+	t.strictEqual( result.purpose, null, 'marks link as legacy link' );
+	t.strictEqual( await consumeLegacyToken( String( user._id ), [ 'reset-password' ]), null, 'rejects user ID for password reset' );
+	t.strictEqual( await consumeLegacyToken( String( user._id ), [ 'cohort-invite' ]), null, 'rejects user ID for cohort invites' );
+	t.strictEqual( await consumeLegacyToken( String( user._id ), [ 'sso-login' ]), null, 'rejects user ID as login code' );
+
+	await User.updateOne({ _id: user._id }, { $set: { verifiedEmail: true }});
+	t.strictEqual( await consumeLegacyToken( String( user._id ), [ 'confirm-email' ]), null, 'rejects user ID of user with verified email address and password' );
+	t.end();
+});
+
+tape( 'user IDs are only accepted for registration of users without a password and for confirmation of users with unverified email addresses', async function test( t ) {
+	const consumeLegacyToken = proxyquire( './../lib/utils/consume_user_token.js', {
+		'./../../etc/settings.json': {
+			legacyUserTokensAcceptedUntil: '2100-01-01'
+		}
+	});
+	const user = await User.create({
+		'email': 'leaked.id@isledocs.com',
+		'password': 'secret',
+		'verifiedEmail': false
+	});
+
+	// Purposes accepted by `/complete_registration`:
+	t.strictEqual( await consumeLegacyToken( String( user._id ), [ 'registration', 'cohort-invite' ]), null, 'rejects user ID for registration of user with a password' );
+	t.notEqual( await consumeLegacyToken( String( user._id ), [ 'confirm-email' ]), null, 'accepts user ID for confirmation of user with unverified email address' );
+
+	const invited = await User.create({
+		'email': 'invited.user@isledocs.com',
+		'verifiedEmail': true
+	});
+	const result = await consumeLegacyToken( String( invited._id ), [ 'registration', 'cohort-invite' ]);
+	t.strictEqual( String( result.user ), String( invited._id ), 'accepts user ID for registration of user without a password' );
+	t.strictEqual( await consumeLegacyToken( String( invited._id ), [ 'confirm-email' ]), null, 'rejects user ID for confirmation of user with verified email address' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );
@@ -0,0 +1,137 @@
+/**
+* Copyright (C) 2016-present The ISLE Authors
+*
+* The isle-server program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU Affero General Public License as
+* published by the Free Software Foundation, either version 3 of the
+* License, or (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU Affero General Public License for more details.
+*
+* You should have received a copy of the GNU Affero General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+
+'use strict';
+
+// MODULES //
+
+const tape = require( 'tape' );
+const utils = require( './utils.js' );
+const User = require( './../lib/models/user.js' );
+const WebAuthnChallenge = require( './../lib/models/webauthn_challenge.js' );
+const WebAuthnCredential = require( './../lib/models/webauthn_credential.js' );
+const { consumeRecoveryCode, countRecoveryCodes, generateRecoveryCodes } = require( './../lib/utils/recovery_codes.js' );
+const { storeChallenge, takeChallenge } = require( './../lib/webauthn/challenges.js' );
+const authenticationOptions = require( './../lib/webauthn/authentication_options.js' );
+
+
+// FUNCTIONS //
+
+function authenticatorResponse( challenge ) {
+	const clientData = {
+		type: 'webauthn.get',
+		challenge,
+		origin: 'http://localhost'
+	};
+	return {
+		id: 'credential-1',
+		type: 'public-key',
+		response: {
+			clientDataJSON: Buffer.from( JSON.stringify( clientData ) ).toString( 'base64url' )
+		}
+	};
+}
+
+
+// TESTS //
+
+tape( 'connect to a clean mongoDB database', utils.before );
+
+tape( 'generates single-use recovery codes', async function test( t ) {
+	const user = await User.create({
+		'email': 'recovery.codes@isledocs.com',
+		'password': 'recovery'
+	});
+	const codes = await generateRecoveryCodes( user._id );
+	t.strictEqual( codes.length, 10, 'returns ten codes' );
+	t.strictEqual( new Set( codes ).size, 10, 'returns distinct codes' );
+	t.ok( codes.every( x => /^[a-z2-9]{5}-[a-z2-9]{5}$/.test( x ) ), 'returns codes in expected format' );
+	t.strictEqual( await countRecoveryCodes( user._id ), 10, 'stores all codes' );
+
+	t.strictEqual( await consumeRecoveryCode( user._id, codes[ 0 ].toUpperCase().replace( '-', ' ' ) ), true, 'accepts code regardless of case and separators' );
+	t.strictEqual( await consumeRecoveryCode( user._id, codes[ 0 ] ), false, 'rejects code that has already been used' );
+	t.strictEqual( await consumeRecoveryCode( user._id, 'aaaaa-aaaaa' ), false, 'rejects unknown code' );
+	t.strictEqual( await countRecoveryCodes( user._id ), 9, 'counts only unused codes' );
+
+	const other = await User.create({
+		'email': 'recovery.codes.other@isledocs.com',
+		'password': 'recovery'
+	});
+	t.strictEqual( await consumeRecoveryCode( other._id, codes[ 1 ] ), false, 'rejects code of another user' );
+
+	const newCodes = await generateRecoveryCodes( user._id );
+	t.strictEqual( await consumeRecoveryCode( user._id, codes[ 1 ] ), false, 'invalidates previous codes when generating new ones' );
+	t.strictEqual( await consumeRecoveryCode( user._id, newCodes[ 1 ] ), true, 'accepts new code' );
+	t.end();
+});
+
+tape( 'challenges can only be used once and for the ceremony they were issued for', async function test( t ) {
+	await storeChallenge({ challenge: 'challenge-1', ceremony: 'registration' });
+	let doc = await takeChallenge( authenticatorResponse( 'challenge-1' ), [ 'second-factor', 'passwordless' ] );
+	t.strictEqual( doc, null, 'does not accept challenge for another ceremony' );
+
+	doc = await takeChallenge( authenticatorResponse( 'challenge-1' ), [ 'registration' ] );
+	t.strictEqual( doc.challenge, 'challenge-1', 'returns the stored challenge' );
+	doc = await takeChallenge( authenticatorResponse( 'challenge-1' ), [ 'registration' ] );
+	t.strictEqual( doc, null, 'does not accept challenge a second time' );
+
+	doc = await takeChallenge({ response: { clientDataJSON: 'not-json' }}, [ 'registration' ] );
+	t.strictEqual( doc, null, 'returns `null` for malformed responses' );
+
+	await WebAuthnChallenge.create({
+		challenge: 'challenge-2',
+		ceremony: 'passwordless',
+		expiresAt: new Date( Date.now() - 1000 )
+	});
+	doc = await takeChallenge( authenticatorResponse( 'challenge-2' ), [ 'passwordless' ] );
+	t.strictEqual( doc, null, 'does not accept expired challenge' );
+	t.end();
+});
+
+tape( 'returns authentication options for second factor and passwordless logins', async function test( t ) {
+	const user = await User.create({
+		'email': 'webauthn.user@isledocs.com',
+		'password': 'webauthn'
+	});
+	let options = await authenticationOptions( user );
+	t.strictEqual( options, null, 'returns `null` for users without authenticators' );
+
+	await WebAuthnCredential.create({
+		user: user._id,
+		name: 'YubiKey',
+		credentialID: Buffer.from( 'credential-1' ).toString( 'base64url' ),
+		publicKey: Buffer.from( 'public-key' ).toString( 'base64url' ),
+		transports: [ 'usb', 'nfc' ]
+	});
+	options = await authenticationOptions( user );
+	t.strictEqual( options.allowCredentials.length, 1, 'allows credentials of the user' );
+	t.strictEqual( options.allowCredentials[ 0 ].id, Buffer.from( 'credential-1' ).toString( 'base64url' ), 'includes credential identifier' );
+	t.deepEqual( options.allowCredentials[ 0 ].transports, [ 'usb', 'nfc' ], 'includes transports' );
+	let challenge = await WebAuthnChallenge.findOne({ challenge: options.challenge });
+	t.strictEqual( challenge.ceremony, 'second-factor', 'stores challenge for second factor' );
+	t.strictEqual( String( challenge.user ), String( user._id ), 'associates challenge with the user' );
+
+	options = await authenticationOptions();
+	t.strictEqual( options.userVerification, 'required', 'requires user verification for passwordless logins' );
+	t.ok( !options.allowCredentials || options.allowCredentials.length === 0, 'lets the user pick a passkey' );
+	challenge = await WebAuthnChallenge.findOne({ challenge: options.challenge });
+	t.strictEqual( challenge.ceremony, 'passwordless', 'stores challenge for passwordless login' );
+	t.strictEqual( challenge.user, null, 'does not associate challenge with a user' );
+	t.end();
+});
+
+tape( 'perform clean-up', utils.after );